@@ -1,491 +1,1573 @@
 /**
  * 文書送付書・受領書 自動でつくる君 - 統合ブラウザ版
  *
- * 3ファイル（generate-browser.js, receipt-browser.js, app.js）を統合。
  * pdf.js + Tesseract.js + JSZip + pdf-lib で全てブラウザ内で処理。
  * サーバー不要・インストール不要。
+ *
+ * このファイルは src/ から scripts/build.mjs で生成されます。直接編集しないでください。
  */
-(function() {
-  'use strict';
-
-  // =============================================
-  // Section 1: 共通設定
-  // =============================================
-
-  const CMAP_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/';
-
-  function getConfig() {
-    try {
-      return JSON.parse(localStorage.getItem('tsukurukun_config') || '{}');
-    } catch (e) { return {}; }
-  }
-
-  const COURT_FAX_MAP = {
-    '神戸地方裁判所尼崎支部': '06-6438-1710',
-    '大阪地方裁判所': '06-6316-2804',
-    '大阪高等裁判所': '06-6316-2804',
-    '東京地方裁判所': '03-3580-5611',
-    '東京高等裁判所': '03-3580-5611',
-    '広島地方裁判所': '082-228-0197',
-    '広島高等裁判所': '082-228-0197',
-    '広島地方裁判所福山支部': '084-923-2897',
-    '岡山地方裁判所': '086-222-6961',
-    '福岡地方裁判所': '092-781-3141',
-    '名古屋地方裁判所': '052-204-7780',
-    '京都地方裁判所': '075-211-4226',
-    '神戸地方裁判所': '078-367-1478',
-    '横浜地方裁判所': '045-212-0947',
-    'さいたま地方裁判所': '048-863-8761',
-    '千葉地方裁判所': '043-227-5601',
-    '仙台地方裁判所': '022-266-0091',
-    '札幌地方裁判所': '011-271-1456',
-    '山口地方裁判所': '083-922-1440',
+(() => {
+  // src/runtime.js
+  var runtime = {
+    /** pdf.js（pdfjsLib） */
+    pdfjsLib: null,
+    /** pdf-lib（PDFLib） */
+    PDFLib: null,
+    /** @pdf-lib/fontkit */
+    fontkit: null,
+    /** JSZip */
+    JSZip: null,
+    /** Tesseract.js */
+    Tesseract: null,
+    /** pdf.js の cMap の場所 */
+    cmapUrl: "https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/",
+    /** Tesseract.createWorker() に追加で渡すオプション（workerPath・corePath・langPath。省略時は CDN） */
+    tesseractOptions: {},
+    /** pdf.js getDocument() に追加で渡すオプション */
+    pdfjsOptions: {},
+    /** localStorage 互換ストア（事務所設定・印鑑。暗号化したときは secure-store.js を通す） */
+    storage: null,
+    /** IndexedDB（フォント・テンプレートのキャッシュ。無ければキャッシュしない） */
+    indexedDB: null,
+    /** Web Crypto（OCR結果のキャッシュのキーにする SHA-256、設定・印影の暗号化。無ければキャッシュ・暗号化しない） */
+    crypto: null,
+    /** fetch（相対URLはアプリのディレクトリ基準） */
+    fetch: (...args) => globalThis.fetch(...args),
+    /** setTimeout・clearTimeout（自動ロックのタイマー） */
+    setTimeout: (...args) => globalThis.setTimeout(...args),
+    clearTimeout: (...args) => globalThis.clearTimeout(...args),
+    /** (width, height) => canvas */
+    createCanvas: null,
+    /** 画像（data URL）を canvas に描ける画像にする（src => Promise<image>。印影の取り込み） */
+    loadImage: null,
+    /** 並行してOCRするワーカーの数（CPUコア数。上限は ocr-pool.js） */
+    ocrConcurrency: 1,
+    /** Tesseract に渡す画像へ変換（ブラウザは canvas のまま） */
+    toOcrImage: (canvas) => canvas,
+    /** フォント自動読み込み失敗時にユーザーにファイルを選ばせる（() => Promise<ArrayBuffer>） */
+    pickFontFile: null
   };
-
-  function toFullWidthNumber(str) {
-    return str.replace(/[0-9]/g, c => String.fromCharCode(c.charCodeAt(0) + 0xFEE0));
+  function configureRuntime(options) {
+    Object.assign(runtime, options);
+    return runtime;
   }
 
-  function getTodayReiwa() {
-    const now = new Date();
-    const year = now.getFullYear() - 2018;
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    return { year, month, day };
+  // src/idb.js
+  var openCache = /* @__PURE__ */ new Map();
+  var conflictListeners = /* @__PURE__ */ new Set();
+  var DATA_DB_NAME = "tsukurukun_data";
+  var DATA_DB_VERSION = 5;
+  var DATA_STORES = {
+    cases: { keyPath: "key" },
+    templates: { keyPath: "id" },
+    ocr: { keyPath: "hash" },
+    receiptProfiles: { keyPath: "id" },
+    secure: { keyPath: "id" }
+  };
+  function onDatabaseConflict(listener) {
+    conflictListeners.add(listener);
+    return () => conflictListeners.delete(listener);
   }
-
-  // --- IndexedDBキャッシュ（フォント・テンプレート用）---
-  async function _idbGet(storeName, key) {
-    return new Promise(resolve => {
+  function notifyConflict(name, reason, message) {
+    conflictListeners.forEach((listener) => {
       try {
-        const req = indexedDB.open('tsukurukun_cache', 1);
-        req.onupgradeneeded = e => {
-          const db = e.target.result;
-          ['fonts', 'templates'].forEach(s => {
-            if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
-          });
-        };
-        req.onsuccess = () => {
-          try {
-            const g = req.result.transaction(storeName, 'readonly').objectStore(storeName).get(key);
-            g.onsuccess = () => resolve(g.result || null);
-            g.onerror = () => resolve(null);
-          } catch (e) { resolve(null); }
-        };
-        req.onerror = () => resolve(null);
-      } catch (e) { resolve(null); }
+        listener({ name, reason, message });
+      } catch (err) {
+        console.warn("[IndexedDB]", err);
+      }
     });
   }
-
-  async function _idbPut(storeName, key, value) {
-    try {
-      const req = indexedDB.open('tsukurukun_cache', 1);
-      req.onupgradeneeded = e => {
-        const db = e.target.result;
-        ['fonts', 'templates'].forEach(s => {
-          if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
-        });
+  function openDatabase(name, version, stores) {
+    const cached = openCache.get(name);
+    if (cached && cached.factory === runtime.indexedDB) return cached.promise;
+    const entry2 = { factory: runtime.indexedDB, promise: null };
+    const forget = () => {
+      if (openCache.get(name) === entry2) openCache.delete(name);
+    };
+    entry2.promise = new Promise((resolve, reject) => {
+      let blocked = false;
+      const req = runtime.indexedDB.open(name, version);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [storeName, params] of Object.entries(stores)) {
+          if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName, params);
+        }
+      };
+      req.onblocked = () => {
+        blocked = true;
+        const message = "別のタブ・ウィンドウで古い版のつくる君が開いているため、保存したデータを読み書きできません。ほかのタブ・ウィンドウを閉じてから、もう一度操作してください。";
+        notifyConflict(name, "blocked", message);
+        reject(new Error(message));
       };
       req.onsuccess = () => {
-        try { req.result.transaction(storeName, 'readwrite').objectStore(storeName).put(value, key); }
-        catch (e) { /* ignore */ }
+        const db = req.result;
+        if (blocked) {
+          db.close();
+          return;
+        }
+        db.onversionchange = () => {
+          db.close();
+          forget();
+          notifyConflict(
+            name,
+            "versionchange",
+            "別のタブ・ウィンドウで新しい版のつくる君が開かれました。このページを再読み込みしてください。"
+          );
+        };
+        resolve(db);
       };
-    } catch (e) { /* ignore */ }
+      req.onerror = () => reject(req.error);
+    });
+    openCache.set(name, entry2);
+    entry2.promise.catch(forget);
+    return entry2.promise;
   }
-
-  // --- 日本語フォント読み込み（IndexedDBキャッシュ + CDN + ファイル選択フォールバック）---
-  let _cachedFontBytes = null;
-  async function loadJapaneseFont() {
-    if (_cachedFontBytes) return _cachedFontBytes;
-
-    // 1. IndexedDBキャッシュ
-    const cached = await _idbGet('fonts', 'NotoSerifJP');
-    if (cached) {
-      console.log('[フォント] IndexedDBキャッシュから読み込み');
-      _cachedFontBytes = cached;
-      return _cachedFontBytes;
-    }
-
-    // 2. fetch（ローカル → CDN）
-    const urls = [
-      'fonts/NotoSerifJP.ttf',
-      'https://cdn.jsdelivr.net/gh/Rachmaninovpiano/bunsho-sofusho-juryosho-auto@master/docs/fonts/NotoSerifJP.ttf',
-    ];
-    for (const url of urls) {
-      try {
-        console.log('[フォント] 読み込み試行:', url);
-        const resp = await fetch(url);
-        if (resp.ok) {
-          _cachedFontBytes = await resp.arrayBuffer();
-          console.log('[フォント] 読み込み成功:', url, _cachedFontBytes.byteLength, 'bytes');
-          await _idbPut('fonts', 'NotoSerifJP', _cachedFontBytes);
-          return _cachedFontBytes;
-        }
-      } catch (e) {
-        console.warn('[フォント] 読み込み失敗:', url, e.message);
-        continue;
-      }
-    }
-
-    // 3. ファイル選択ダイアログ（file://プロトコル用）
+  async function idbRequest(dbPromise, storeName, mode, operation) {
+    const db = await dbPromise;
     return new Promise((resolve, reject) => {
-      alert('フォントの自動読み込みに失敗しました。\n\nfonts/NotoSerifJP.ttf を手動で選択してください。\n（一度選択すると次回以降はキャッシュされます）');
-      const input = document.createElement('input');
-      input.type = 'file';
-      input.accept = '.ttf,.otf';
-      input.onchange = async () => {
-        if (!input.files[0]) { reject(new Error('フォントが選択されませんでした')); return; }
-        _cachedFontBytes = await input.files[0].arrayBuffer();
-        await _idbPut('fonts', 'NotoSerifJP', _cachedFontBytes);
-        console.log('[フォント] ファイル選択で読み込み成功、キャッシュ保存');
-        resolve(_cachedFontBytes);
-      };
-      input.click();
+      const tx = db.transaction(storeName, mode);
+      const req = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
     });
   }
+  function openDataDatabase() {
+    return openDatabase(DATA_DB_NAME, DATA_DB_VERSION, DATA_STORES);
+  }
 
-  // --- テンプレート読み込み（CDNフォールバック + キャッシュ）---
-  async function loadTemplate(localPath, cdnPath, cacheKey) {
-    // 1. IndexedDBキャッシュ
-    const cached = await _idbGet('templates', cacheKey);
-    if (cached) {
-      console.log('[テンプレート] キャッシュから読み込み:', cacheKey);
-      return cached;
+  // src/secure-store.js
+  var STORE = "secure";
+  var RECORD_ID = "vault";
+  var MARKER_KEY = "tsukurukun_secure";
+  var PBKDF2_ITERATIONS = 31e4;
+  var MIN_PASSPHRASE_LENGTH = 8;
+  var SECURE_KEYS = ["tsukurukun_config", "tsukurukun_seals", "tsukurukun_seal"];
+  var DEFAULT_AUTO_LOCK_MINUTES = 15;
+  var state = { key: null, salt: null, iterations: 0, values: null, timer: null, pending: Promise.resolve() };
+  var lockListeners = /* @__PURE__ */ new Set();
+  var memoryRecord = null;
+  function readMarker() {
+    try {
+      return JSON.parse(runtime.storage && runtime.storage.getItem(MARKER_KEY) || "null");
+    } catch (e) {
+      return null;
     }
-    // 2. fetch（ローカル → CDN）
-    const urls = [localPath];
-    if (cdnPath) urls.push(cdnPath);
-    for (const url of urls) {
-      try {
-        const resp = await fetch(url);
-        if (resp.ok) {
-          const data = await resp.arrayBuffer();
-          await _idbPut('templates', cacheKey, data);
-          console.log('[テンプレート] 読み込み成功:', url);
-          return data;
-        }
-      } catch (e) { continue; }
+  }
+  function subtle() {
+    const s = runtime.crypto && runtime.crypto.subtle;
+    if (!s) throw new Error("この環境では暗号化できません（Web Crypto がありません）");
+    return s;
+  }
+  async function deriveKey(passphrase, salt, iterations) {
+    const base = await subtle().importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return subtle().deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      base,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+  async function encryptValues(key, values) {
+    const iv = runtime.crypto.getRandomValues(new Uint8Array(12));
+    const data = new TextEncoder().encode(JSON.stringify(Object.fromEntries(values)));
+    return { iv, ciphertext: new Uint8Array(await subtle().encrypt({ name: "AES-GCM", iv }, key, data)) };
+  }
+  async function decryptValues(key, record) {
+    let plain;
+    try {
+      plain = await subtle().decrypt({ name: "AES-GCM", iv: record.iv }, key, record.ciphertext);
+    } catch (e) {
+      throw new Error("合言葉が違います");
     }
-    throw new Error('テンプレートの読み込みに失敗しました: ' + cacheKey);
+    return new Map(Object.entries(JSON.parse(new TextDecoder().decode(plain))));
   }
-
-  // =============================================
-  // Section 2: PDFテキスト抽出（2パス最適化）
-  // =============================================
-
-  // 指定ページ群からテキスト抽出（座標ベース改行）
-  async function extractPagesText(pdfDoc, pageNums) {
-    let text = '';
-    for (const i of pageNums) {
-      const page = await pdfDoc.getPage(i);
-      const content = await page.getTextContent();
-      let lastY = null;
-      let lastEndX = null;
-      for (const item of content.items) {
-        if (!item.str && item.str !== '') continue;
-        const tx = item.transform;
-        if (tx) {
-          const y = Math.round(tx[5]);
-          const x = tx[4];
-          const itemWidth = item.width || 0;
-          if (lastY !== null && Math.abs(y - lastY) > 3) {
-            text += '\n';
-            lastEndX = null;
-          } else if (lastEndX !== null && x > lastEndX + 5) {
-            text += ' ';
-          }
-          text += item.str;
-          lastY = y;
-          lastEndX = x + itemWidth;
-        } else {
-          text += item.str;
-        }
-        if (item.hasEOL) {
-          text += '\n';
-          lastY = null;
-          lastEndX = null;
-        }
-      }
-      text += '\n\n';
+  function checkPassphrase(passphrase) {
+    if (String(passphrase || "").length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`合言葉は${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
     }
-    return text;
   }
-
-  // 2パス方式: まず[1,2,末尾]→プローブ→不足時のみ残りページ
-  async function extractTextFromPDFBrowser(pdfArrayBuffer, onProgress) {
-    onProgress && onProgress('PDFからテキストを抽出中...');
-    const pdfDoc = await pdfjsLib.getDocument({
-      data: pdfArrayBuffer,
-      cMapUrl: CMAP_URL,
-      cMapPacked: true,
-    }).promise;
-    const totalPages = pdfDoc.numPages;
-
-    // Pass 1: ページ [1, 2, 末尾]（重複除去）
-    const pass1Set = new Set([1, Math.min(2, totalPages), totalPages]);
-    const pass1Pages = [...pass1Set].sort((a, b) => a - b);
-    console.log('[抽出] Pass1: ページ', pass1Pages.join(','), '/', totalPages);
-    const pass1Text = await extractPagesText(pdfDoc, pass1Pages);
-
-    // プローブ: courtName + caseNumber があれば十分
-    const probe = extractInfoFromText(pass1Text);
-    if (probe.courtName && probe.caseNumber) {
-      console.log('[抽出] Pass1完了:', pass1Text.length, '文字');
-      return pass1Text;
+  async function readRecord() {
+    if (!runtime.indexedDB) return memoryRecord;
+    return await idbRequest(openDataDatabase(), STORE, "readonly", (store) => store.get(RECORD_ID)) || null;
+  }
+  async function writeRecord(record) {
+    if (!runtime.indexedDB) {
+      memoryRecord = record;
+      return;
     }
-
-    // Pass 2: 残りページ
-    const remaining = [];
-    for (let i = 1; i <= totalPages; i++) {
-      if (!pass1Set.has(i)) remaining.push(i);
+    await idbRequest(openDataDatabase(), STORE, "readwrite", (store) => store.put(record));
+  }
+  async function deleteRecord() {
+    if (!runtime.indexedDB) {
+      memoryRecord = null;
+      return;
     }
-    if (remaining.length === 0) {
-      console.log('[抽出] 全ページ読み取り済み:', pass1Text.length, '文字');
-      return pass1Text;
+    await idbRequest(openDataDatabase(), STORE, "readwrite", (store) => store.delete(RECORD_ID));
+  }
+  async function sealRecord(key, salt, iterations, values) {
+    return Object.assign({ id: RECORD_ID, salt, iterations }, await encryptValues(key, values));
+  }
+  function persist() {
+    const { key, salt, iterations } = state;
+    const values = new Map(state.values);
+    state.pending = state.pending.then(async () => writeRecord(await sealRecord(key, salt, iterations, values))).catch((err) => console.warn("[暗号化] 設定を保存できません:", err));
+  }
+  function touch() {
+    runtime.clearTimeout(state.timer);
+    state.timer = null;
+    const minutes = getAutoLockMinutes();
+    if (!state.key || !(minutes > 0)) return;
+    state.timer = runtime.setTimeout(lockSecureStore, minutes * 6e4);
+    if (state.timer && state.timer.unref) state.timer.unref();
+  }
+  function unlocked(key, salt, iterations, values) {
+    Object.assign(state, { key, salt, iterations, values });
+    touch();
+  }
+  function isSecureStoreEnabled() {
+    return !!readMarker();
+  }
+  function isSecureStoreUnlocked() {
+    return isSecureStoreEnabled() && !!state.key;
+  }
+  function assertSecureStoreUnlocked() {
+    if (isSecureStoreEnabled() && !state.key) {
+      throw new Error("事務所設定と印影はロックされています。合言葉で解錠してください");
     }
-
-    console.log('[抽出] Pass2: ページ', remaining.join(','));
-    onProgress && onProgress('追加ページを読み取り中...');
-    const pass2Text = await extractPagesText(pdfDoc, remaining);
-    const fullText = pass1Text + pass2Text;
-    console.log('[抽出] Pass1+2完了:', fullText.length, '文字');
-    return fullText;
   }
+  function getAutoLockMinutes() {
+    const marker = readMarker();
+    return marker && marker.autoLockMinutes !== void 0 ? marker.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+  }
+  function setAutoLockMinutes(minutes) {
+    if (!isSecureStoreEnabled()) throw new Error("暗号化していません");
+    const value = Math.max(0, Math.round(Number(minutes) || 0));
+    runtime.storage.setItem(MARKER_KEY, JSON.stringify(Object.assign(readMarker(), { autoLockMinutes: value })));
+    touch();
+  }
+  function onSecureStoreLock(listener) {
+    lockListeners.add(listener);
+    return () => lockListeners.delete(listener);
+  }
+  async function enableSecureStore(passphrase, options = {}) {
+    if (isSecureStoreEnabled()) throw new Error("既に暗号化しています");
+    checkPassphrase(passphrase);
+    const salt = runtime.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const values = /* @__PURE__ */ new Map();
+    for (const name of SECURE_KEYS) {
+      const value = runtime.storage.getItem(name);
+      if (value !== null) values.set(name, value);
+    }
+    await writeRecord(await sealRecord(key, salt, PBKDF2_ITERATIONS, values));
+    const autoLockMinutes = options.autoLockMinutes !== void 0 ? options.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+    runtime.storage.setItem(MARKER_KEY, JSON.stringify({ autoLockMinutes }));
+    SECURE_KEYS.forEach((name) => runtime.storage.removeItem(name));
+    unlocked(key, salt, PBKDF2_ITERATIONS, values);
+  }
+  async function unlockSecureStore(passphrase) {
+    if (!isSecureStoreEnabled()) return;
+    await state.pending;
+    const record = await readRecord();
+    if (!record) throw new Error("暗号化した設定が見つかりません（ブラウザのデータが消えた可能性があります）");
+    const key = await deriveKey(String(passphrase || ""), record.salt, record.iterations);
+    unlocked(key, record.salt, record.iterations, await decryptValues(key, record));
+  }
+  function lockSecureStore() {
+    runtime.clearTimeout(state.timer);
+    Object.assign(state, { key: null, salt: null, iterations: 0, values: null, timer: null });
+    lockListeners.forEach((listener) => listener());
+  }
+  async function changeSecureStorePassphrase(current, next) {
+    checkPassphrase(next);
+    await unlockSecureStore(current);
+    const salt = runtime.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(next, salt, PBKDF2_ITERATIONS);
+    await writeRecord(await sealRecord(key, salt, PBKDF2_ITERATIONS, state.values));
+    unlocked(key, salt, PBKDF2_ITERATIONS, state.values);
+  }
+  async function disableSecureStore(passphrase) {
+    await unlockSecureStore(passphrase);
+    for (const [name, value] of state.values) runtime.storage.setItem(name, value);
+    await deleteRecord();
+    runtime.storage.removeItem(MARKER_KEY);
+    runtime.clearTimeout(state.timer);
+    Object.assign(state, { key: null, salt: null, iterations: 0, values: null, timer: null });
+  }
+  async function resetSecureStore() {
+    await deleteRecord();
+    runtime.storage.removeItem(MARKER_KEY);
+    lockSecureStore();
+  }
+  var secureStorage = {
+    getItem(name) {
+      if (!SECURE_KEYS.includes(name) || !isSecureStoreEnabled()) {
+        return runtime.storage ? runtime.storage.getItem(name) : null;
+      }
+      if (!state.key) return null;
+      touch();
+      return state.values.has(name) ? state.values.get(name) : null;
+    },
+    setItem(name, value) {
+      if (!SECURE_KEYS.includes(name) || !isSecureStoreEnabled()) {
+        runtime.storage.setItem(name, value);
+        return;
+      }
+      assertSecureStoreUnlocked();
+      state.values.set(name, String(value));
+      touch();
+      persist();
+    },
+    removeItem(name) {
+      if (!SECURE_KEYS.includes(name) || !isSecureStoreEnabled()) {
+        runtime.storage.removeItem(name);
+        return;
+      }
+      assertSecureStoreUnlocked();
+      state.values.delete(name);
+      touch();
+      persist();
+    }
+  };
 
-  // OCR: ページ[1, 末尾]のみ（OCRは重いため最小限に）
-  async function extractTextWithOCRBrowser(pdfArrayBuffer, onProgress) {
-    onProgress && onProgress('画像PDFを検出。OCRで文字認識中...');
-    const pdfDoc = await pdfjsLib.getDocument({
-      data: pdfArrayBuffer,
-      cMapUrl: CMAP_URL,
-      cMapPacked: true,
-    }).promise;
-    const totalPages = pdfDoc.numPages;
-    const ocrPages = totalPages === 1 ? [1] : [1, totalPages];
-    let allText = '';
-
-    for (let idx = 0; idx < ocrPages.length; idx++) {
-      const pageNum = ocrPages[idx];
-      onProgress && onProgress(`ページ ${pageNum}/${totalPages} をOCR中...`);
-      const page = await pdfDoc.getPage(pageNum);
-      const viewport = page.getViewport({ scale: 400 / 72 });
-      const canvas = document.createElement('canvas');
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-      const ctx = canvas.getContext('2d');
-      await page.render({ canvasContext: ctx, viewport }).promise;
-
-      const worker = await Tesseract.createWorker('jpn', 1, {
-        logger: m => {
-          if (m.status === 'recognizing text' && onProgress) {
-            onProgress(`ページ${pageNum} OCR処理中... ${Math.round((m.progress || 0) * 100)}%`);
-          }
-        }
-      });
-      const { data } = await worker.recognize(canvas);
-      await worker.terminate();
-      if (data && data.text) {
-        allText += data.text + '\n';
+  // src/wareki.js
+  var ERAS = [
+    { name: "令和", abbr: "R", start: { year: 2019, month: 5, day: 1 } },
+    { name: "平成", abbr: "H", start: { year: 1989, month: 1, day: 8 } },
+    { name: "昭和", abbr: "S", start: { year: 1926, month: 12, day: 25 } },
+    { name: "大正", abbr: "T", start: { year: 1912, month: 7, day: 30 } },
+    { name: "明治", abbr: "M", start: { year: 1868, month: 10, day: 23 } }
+  ];
+  var ERA_PATTERN = ERAS.map((e) => e.name).join("|");
+  var KANJI_DIGITS = "〇一二三四五六七八九";
+  var KANJI_UNITS = { 十: 10, 百: 100, 千: 1e3 };
+  var NUMBER = "[0-9０-９〇零一二三四五六七八九十百千]+";
+  var WAREKI_PATTERN = new RegExp(
+    `^(${ERA_PATTERN}|[RHSTMrhstm]|[令平昭大明])\\s*(元|${NUMBER})\\s*(?:年|[./\\-．／・])\\s*(?:(${NUMBER})\\s*(?:月|[./\\-．／・])?\\s*(?:(${NUMBER})\\s*日?)?)?$`
+  );
+  var SEIREKI_PATTERN = new RegExp(
+    `^(\\d{4}|[０-９]{4})\\s*(?:年|[./\\-．／])\\s*(${NUMBER})\\s*(?:月|[./\\-．／])?\\s*(?:(${NUMBER})\\s*日?)?$`
+  );
+  function findEra(nameOrAbbr) {
+    const key = String(nameOrAbbr || "");
+    return ERAS.find((e) => e.name === key || e.abbr === key.toUpperCase() || e.name[0] === key) || null;
+  }
+  function serial(date) {
+    return date.year * 1e4 + date.month * 100 + (date.day || 1);
+  }
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+  function toDateParts(date) {
+    if (date instanceof Date) return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    return { year: Number(date.year), month: Number(date.month) || 1, day: date.day === void 0 ? void 0 : Number(date.day) };
+  }
+  function toHalfWidthDigits(str) {
+    return String(str).replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 65248));
+  }
+  function parseJapaneseNumber(str) {
+    const s = toHalfWidthDigits(String(str || "").trim()).replace(/零/g, "〇");
+    if (s === "元") return 1;
+    if (/^\d+$/.test(s)) return Number(s);
+    if (!/^[〇一二三四五六七八九十百千]+$/.test(s)) return NaN;
+    if (!/[十百千]/.test(s)) return Number([...s].map((c) => KANJI_DIGITS.indexOf(c)).join(""));
+    let total = 0;
+    let digit = 0;
+    for (const c of s) {
+      if (KANJI_UNITS[c]) {
+        total += (digit || 1) * KANJI_UNITS[c];
+        digit = 0;
+      } else {
+        digit = KANJI_DIGITS.indexOf(c);
       }
     }
-    return allText;
+    return total + digit;
   }
-
-  // テキスト抽出 → OCRフォールバック
-  async function extractTextBrowser(pdfArrayBuffer, onProgress) {
+  function formatJapaneseNumber(n, digits = "half") {
+    const s = String(n);
+    if (digits === "full") return s.replace(/[0-9]/g, (c) => String.fromCharCode(c.charCodeAt(0) + 65248));
+    if (digits === "kanjiPositional") return [...s].map((c) => KANJI_DIGITS[c]).join("");
+    if (digits !== "kanji") return s;
+    if (n === 0) return KANJI_DIGITS[0];
+    let out = "";
+    let rest = n;
+    for (const [unit, value] of [["千", 1e3], ["百", 100], ["十", 10]]) {
+      const q = Math.floor(rest / value);
+      if (q > 0) out += (q > 1 ? KANJI_DIGITS[q] : "") + unit;
+      rest %= value;
+    }
+    return out + (rest > 0 ? KANJI_DIGITS[rest] : "");
+  }
+  function toWareki(date) {
+    const d = toDateParts(date);
+    const era = ERAS.find((e) => serial(d) >= serial(e.start));
+    if (!era) return null;
+    return { era: era.name, year: d.year - era.start.year + 1, month: d.month, day: d.day };
+  }
+  function fromWareki(era, year, month, day) {
+    const info = findEra(era);
+    if (!info) throw new Error(`元号が分かりません: ${era}`);
+    const y = typeof year === "number" ? year : parseJapaneseNumber(year);
+    if (!(y >= 1)) throw new Error(`${info.name}の年が正しくありません: ${year}`);
+    const next = ERAS[ERAS.indexOf(info) - 1];
+    const result = { year: info.start.year + y - 1 };
+    if (month !== void 0) {
+      if (!(month >= 1 && month <= 12)) throw new Error(`月が正しくありません: ${month}`);
+      result.month = month;
+    }
+    if (day !== void 0) {
+      if (!(day >= 1 && day <= daysInMonth(result.year, month))) throw new Error(`${month}月${day}日はありません`);
+      result.day = day;
+    }
+    const first = { year: result.year, month: result.month || 1, day: result.day || 1 };
+    const last = { year: result.year, month: result.month || 12, day: result.day || daysInMonth(result.year, result.month || 12) };
+    if (serial(last) < serial(info.start) || next && serial(first) >= serial(next.start)) {
+      const end = next ? toWareki(previousDay(next.start)) : null;
+      throw new Error(`${info.name}は${formatEraDate(toWareki(info.start))}から${end ? formatEraDate(end) + "まで" : ""}です`);
+    }
+    return result;
+  }
+  function previousDay(date) {
+    const d = new Date(Date.UTC(date.year, date.month - 1, date.day - 1));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+  }
+  function formatEraDate(w) {
+    return `${w.era}${w.year === 1 ? "元" : w.year}年${w.month}月${w.day}日`;
+  }
+  function parseDate(text) {
+    const s = String(text || "").trim().replace(/\s+/g, " ");
+    if (!s) return null;
+    let m = s.match(WAREKI_PATTERN);
+    if (m) {
+      const era = findEra(m[1]);
+      const eraYear = parseJapaneseNumber(m[2]);
+      const month = m[3] !== void 0 ? parseJapaneseNumber(m[3]) : void 0;
+      const day = m[4] !== void 0 ? parseJapaneseNumber(m[4]) : void 0;
+      if (month === void 0) return null;
+      const date = fromWareki(era.name, eraYear, month, day);
+      return Object.assign(date, { era: era.name, eraYear });
+    }
+    m = s.match(SEIREKI_PATTERN);
+    if (m) {
+      const year = Number(toHalfWidthDigits(m[1]));
+      const month = parseJapaneseNumber(m[2]);
+      const day = m[3] !== void 0 ? parseJapaneseNumber(m[3]) : void 0;
+      if (!(month >= 1 && month <= 12)) throw new Error(`月が正しくありません: ${m[2]}`);
+      if (day !== void 0 && !(day >= 1 && day <= daysInMonth(year, month))) throw new Error(`${month}月${day}日はありません`);
+      const wareki = toWareki({ year, month, day: day || daysInMonth(year, month) });
+      if (!wareki) throw new Error("明治より前の日付は扱えません");
+      return { year, month, day, era: wareki.era, eraYear: wareki.year };
+    }
+    return null;
+  }
+  function formatWareki(date, options = {}) {
+    const d = toDateParts(date);
+    const w = toWareki(Object.assign({}, d, { day: d.day || 1 }));
+    if (!w) throw new Error("明治より前の日付は和暦で書けません");
+    const precision = options.precision || (d.day === void 0 ? "month" : "day");
+    if (options.abbr) {
+      const parts = [w.year, d.month, d.day].slice(0, precision === "year" ? 1 : precision === "month" ? 2 : 3);
+      return findEra(w.era).abbr + parts.join(".");
+    }
+    const num = (n) => formatJapaneseNumber(n, options.digits);
+    let out = w.era + (w.year === 1 && options.gannen !== false ? "元" : num(w.year)) + "年";
+    if (precision !== "year") out += num(d.month) + "月";
+    if (precision === "day") out += num(d.day) + "日";
+    return out;
+  }
+  function formatSeireki(date, options = {}) {
+    const d = toDateParts(date);
+    const num = (n) => formatJapaneseNumber(n, options.digits);
+    const year = formatJapaneseNumber(d.year, options.digits === "kanji" ? "kanjiPositional" : options.digits);
+    return `${year}年${num(d.month)}月` + (d.day === void 0 ? "" : `${num(d.day)}日`);
+  }
+  function normalizeWarekiDate(text, options) {
+    let date = null;
     try {
-      const text = await extractTextFromPDFBrowser(pdfArrayBuffer, onProgress);
-      const trimmed = text.replace(/[\s\n\r]/g, '');
-      console.log('[抽出] テキスト結果:', trimmed.length, '文字 (空白除去後)');
-      if (trimmed.length < 10) {
-        console.log('[抽出] テキスト埋め込みなし → OCRに切り替え');
-        return await extractTextWithOCRBrowser(pdfArrayBuffer, onProgress);
-      }
-      return text;
-    } catch (err) {
-      console.error('[抽出] エラー:', err);
-      console.log('[抽出] テキスト抽出失敗 → OCRに切り替え');
-      onProgress && onProgress('テキスト抽出に失敗。OCRで文字認識中...');
-      return await extractTextWithOCRBrowser(pdfArrayBuffer, onProgress);
+      date = parseDate(text);
+    } catch (e) {
     }
+    return date ? formatWareki(date, options) : String(text || "").trim();
+  }
+  function warekiYearToSeireki(era, year) {
+    return fromWareki(era, year).year;
   }
 
-  // =============================================
-  // Section 2b: Word (.docx) テキスト抽出
-  // =============================================
+  // src/config.js
+  var CONFIG_KEY = "tsukurukun_config";
+  var SEAL_KEY = "tsukurukun_seal";
+  var officeConfig = {};
+  function getConfig() {
+    return Object.assign({}, officeConfig, getLocalConfig());
+  }
+  function getLocalConfig() {
+    try {
+      return JSON.parse(secureStorage.getItem(CONFIG_KEY) || "{}");
+    } catch (e) {
+      return {};
+    }
+  }
+  function saveConfig(config) {
+    const local = {};
+    for (const [key, value] of Object.entries(config)) {
+      if (JSON.stringify(value) !== JSON.stringify(officeConfig[key])) local[key] = value;
+    }
+    secureStorage.setItem(CONFIG_KEY, JSON.stringify(local));
+  }
+  function setOfficeConfig(config) {
+    officeConfig = Object.assign({}, config || {});
+  }
+  function getSeal() {
+    return secureStorage.getItem(SEAL_KEY);
+  }
+  function removeSeal() {
+    secureStorage.removeItem(SEAL_KEY);
+  }
+  function toFullWidthNumber(str) {
+    return str.replace(/[0-9]/g, (c) => String.fromCharCode(c.charCodeAt(0) + 65248));
+  }
 
-  async function extractTextFromDocx(arrayBuffer, onProgress) {
-    onProgress && onProgress('Wordファイルからテキストを抽出中...');
-    const zip = await JSZip.loadAsync(arrayBuffer);
-    const docXmlFile = zip.file('word/document.xml');
-    if (!docXmlFile) {
-      throw new Error('Word文書の解析に失敗しました（document.xmlが見つかりません）');
+  // src/seal.js
+  var SEALS_KEY = "tsukurukun_seals";
+  var SEAL_KINDS = ["認印", "職印"];
+  var SEAL_DEFAULTS = { size: 36, offsetX: -6, offsetY: 0, opacity: 0.85 };
+  var SEAL_INK = [205, 32, 40];
+  var SEAL_MAX_PIXELS = 512;
+  var SEAL_CROP_ALPHA = 24;
+  function readSeals() {
+    try {
+      return JSON.parse(secureStorage.getItem(SEALS_KEY) || "null");
+    } catch (e) {
+      return null;
     }
-    const xmlStr = await docXmlFile.async('string');
-    let text = '';
-    var endParaTag = new RegExp('<\/w:p>', 'g');
-    var wtTagGlobal = new RegExp('<w:t[^>]*>([^<]*)<\/w:t>', 'g');
-    var wtTagSingle = new RegExp('<w:t[^>]*>([^<]*)<\/w:t>');
-    var paragraphs = xmlStr.split(endParaTag);
-    for (var pi = 0; pi < paragraphs.length; pi++) {
-      var para = paragraphs[pi];
-      var textMatches = para.match(wtTagGlobal);
-      if (textMatches) {
-        var line = '';
-        for (var ti = 0; ti < textMatches.length; ti++) {
-          var inner = textMatches[ti].match(wtTagSingle);
-          if (inner) line += inner[1];
+  }
+  function writeSeals(seals) {
+    secureStorage.setItem(SEALS_KEY, JSON.stringify(seals));
+  }
+  function listSeals() {
+    const seals = readSeals();
+    if (seals) return seals;
+    const legacy = getSeal();
+    if (!legacy) return [];
+    const migrated = [{
+      id: "seal_legacy",
+      owner: "",
+      kind: SEAL_KINDS[0],
+      dataUrl: legacy,
+      width: 0,
+      height: 0,
+      size: SEAL_DEFAULTS.size,
+      offsetX: 0,
+      offsetY: 0,
+      opacity: 1,
+      createdAt: (/* @__PURE__ */ new Date()).toISOString()
+    }];
+    writeSeals(migrated);
+    removeSeal();
+    return migrated;
+  }
+  function getSealRecord(id) {
+    return listSeals().find((s) => s.id === id) || null;
+  }
+  function pickSeal(signerName, kind) {
+    const name = normalizeOwner(signerName);
+    const seals = listSeals();
+    for (const owner of [name, ""]) {
+      const own = seals.filter((s) => normalizeOwner(s.owner) === owner);
+      const found = kind && own.find((s) => s.kind === kind) || own.find((s) => s.kind === SEAL_KINDS[0]) || own[0];
+      if (found) return found;
+    }
+    return null;
+  }
+  function sealsForSigner(signerName) {
+    const name = normalizeOwner(signerName);
+    return listSeals().filter((s) => !normalizeOwner(s.owner) || normalizeOwner(s.owner) === name);
+  }
+  function normalizeOwner(name) {
+    return String(name || "").replace(/[\s　]/g, "");
+  }
+  function addSeal(seal) {
+    if (!seal || !/^data:image\/(png|jpeg);base64,/.test(seal.dataUrl || "")) {
+      throw new Error("印影は PNG か JPEG の画像にしてください");
+    }
+    const record = Object.assign({}, SEAL_DEFAULTS, {
+      id: "seal_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      owner: String(seal.owner || "").trim(),
+      kind: String(seal.kind || SEAL_KINDS[0]).trim() || SEAL_KINDS[0],
+      createdAt: (/* @__PURE__ */ new Date()).toISOString()
+    }, pickSealFields(seal), { dataUrl: seal.dataUrl, width: seal.width || 0, height: seal.height || 0 });
+    writeSeals([...listSeals(), record]);
+    return record;
+  }
+  function updateSeal(id, changes) {
+    const seals = listSeals();
+    const index = seals.findIndex((s) => s.id === id);
+    if (index < 0) throw new Error("印影が見つかりません");
+    const record = Object.assign({}, seals[index], pickSealFields(changes));
+    if (changes.owner !== void 0) record.owner = String(changes.owner).trim();
+    if (changes.kind !== void 0) record.kind = String(changes.kind).trim() || seals[index].kind;
+    seals[index] = record;
+    writeSeals(seals);
+    return record;
+  }
+  function pickSealFields(source) {
+    const fields = {};
+    const num = (key, min, max) => {
+      const v = Number(source[key]);
+      if (source[key] !== void 0 && source[key] !== "" && Number.isFinite(v)) fields[key] = Math.min(max, Math.max(min, v));
+    };
+    num("size", 8, 144);
+    num("offsetX", -144, 144);
+    num("offsetY", -144, 144);
+    num("opacity", 0.1, 1);
+    return fields;
+  }
+  function deleteSeal(id) {
+    writeSeals(listSeals().filter((s) => s.id !== id));
+  }
+  function importSeals(seals) {
+    const current = listSeals();
+    let count = 0;
+    for (const seal of seals || []) {
+      if (!seal || !seal.id || !/^data:image\/(png|jpeg);base64,/.test(seal.dataUrl || "")) continue;
+      const record = Object.assign({}, SEAL_DEFAULTS, {
+        id: String(seal.id),
+        owner: String(seal.owner || "").trim(),
+        kind: String(seal.kind || SEAL_KINDS[0]).trim() || SEAL_KINDS[0],
+        createdAt: seal.createdAt || (/* @__PURE__ */ new Date()).toISOString()
+      }, pickSealFields(seal), { dataUrl: seal.dataUrl, width: seal.width || 0, height: seal.height || 0 });
+      const index = current.findIndex((s) => s.id === record.id);
+      if (index >= 0) current[index] = record;
+      else current.push(record);
+      count++;
+    }
+    writeSeals(current);
+    return count;
+  }
+  function smoothstep(v, lo, hi) {
+    if (v <= lo) return 0;
+    if (v >= hi) return 1;
+    const t = (v - lo) / (hi - lo);
+    return t * t * (3 - 2 * t);
+  }
+  function extractSealInk(image, options = {}) {
+    const { data, width, height } = image;
+    const count = width * height;
+    const rgb = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const a = data[i * 4 + 3] / 255;
+      for (let c = 0; c < 3; c++) rgb[i * 3 + c] = 255 - a * (255 - data[i * 4 + c]);
+    }
+    const lum = (i) => 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+    const redness = (i) => rgb[i * 3] - Math.max(rgb[i * 3 + 1], rgb[i * 3 + 2]);
+    let bgSum = 0;
+    let bgCount = 0;
+    for (let x = 0; x < width; x++) {
+      bgSum += lum(x) + lum((height - 1) * width + x);
+      bgCount += 2;
+    }
+    for (let y = 0; y < height; y++) {
+      bgSum += lum(y * width) + lum(y * width + width - 1);
+      bgCount += 2;
+    }
+    const bgLum = bgSum / bgCount;
+    let mode = options.mode || "auto";
+    if (mode === "auto") {
+      let inked = 0;
+      let red = 0;
+      for (let i = 0; i < count; i++) {
+        if (bgLum - lum(i) > 40 || redness(i) > 60) {
+          inked++;
+          if (redness(i) > 60) red++;
         }
-        text += line + '\n';
       }
+      mode = red * 2 > inked ? "red" : "dark";
     }
-    console.log('[抽出] Word文書テキスト:', text.length, '文字');
-    return text;
+    const inkOf = mode === "red" ? (i) => smoothstep(redness(i), 25, 90) : (i) => smoothstep(bgLum - lum(i), 30, 110);
+    const alpha = new Uint8ClampedArray(count);
+    let left = width, top = height, right = -1, bottom = -1;
+    for (let i = 0; i < count; i++) {
+      alpha[i] = Math.round(inkOf(i) * 255);
+      if (alpha[i] < SEAL_CROP_ALPHA) continue;
+      const x = i % width;
+      const y = (i - x) / width;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+    if (right < 0) throw new Error("印影が見つかりません（背景と区別できる朱色・濃い部分がありません）");
+    const pad2 = 2;
+    left = Math.max(0, left - pad2);
+    top = Math.max(0, top - pad2);
+    right = Math.min(width - 1, right + pad2);
+    bottom = Math.min(height - 1, bottom + pad2);
+    const outW = right - left + 1;
+    const outH = bottom - top + 1;
+    const out = new Uint8ClampedArray(outW * outH * 4);
+    const color = options.color || SEAL_INK;
+    for (let y = 0; y < outH; y++) {
+      for (let x = 0; x < outW; x++) {
+        const o = (y * outW + x) * 4;
+        out[o] = color[0];
+        out[o + 1] = color[1];
+        out[o + 2] = color[2];
+        out[o + 3] = alpha[(top + y) * width + left + x];
+      }
+    }
+    return { data: out, width: outW, height: outH, mode };
   }
-
-  // =============================================
-  // Section 2c: テキスト正規化（OCR誤読修正）
-  // =============================================
-
-  function normalizeExtractedText(text) {
-    let t = text;
-    // 全角数字→半角
-    t = t.replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
-    // 全角英字→半角
-    t = t.replace(/[Ａ-Ｚａ-ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
-    // 特殊スペース→通常スペース
-    t = t.replace(/[  -​　﻿]/g, ' ');
-    // OCR誤読: よくある文字化けパターン修正
-    t = t.replace(/裁判\s*所/g, '裁判所');
-    t = t.replace(/地方\s*裁判/g, '地方裁判');
-    t = t.replace(/高等\s*裁判/g, '高等裁判');
-    t = t.replace(/家庭\s*裁判/g, '家庭裁判');
-    t = t.replace(/簡易\s*裁判/g, '簡易裁判');
-    t = t.replace(/弁護\s*士/g, '弁護士');
-    t = t.replace(/原\s*告/g, '原告');
-    t = t.replace(/被\s*告/g, '被告');
-    t = t.replace(/事\s*件/g, '事件');
-    t = t.replace(/損\s*害\s*賠\s*償/g, '損害賠償');
-    t = t.replace(/請\s*求/g, '請求');
-    t = t.replace(/訴\s*訟\s*代\s*理\s*人/g, '訴訟代理人');
-    t = t.replace(/令\s*和/g, '令和');
-    t = t.replace(/平\s*成/g, '平成');
-    // 連続スペースを1つに
-    t = t.replace(/ {2,}/g, ' ');
-    return t;
+  async function importSealImage(dataUrl, options = {}) {
+    if (!runtime.loadImage || !runtime.createCanvas) throw new Error("この環境では印影の画像を読み込めません");
+    const image = await runtime.loadImage(dataUrl);
+    const scale = Math.min(1, SEAL_MAX_PIXELS / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = runtime.createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0, width, height);
+    if (options.extract === false) return { dataUrl: canvas.toDataURL("image/png"), width, height };
+    const ink = extractSealInk(ctx.getImageData(0, 0, width, height), { mode: options.mode });
+    const out = runtime.createCanvas(ink.width, ink.height);
+    const outCtx = out.getContext("2d");
+    const imageData = outCtx.createImageData(ink.width, ink.height);
+    imageData.data.set(ink.data);
+    outCtx.putImageData(imageData, 0, 0);
+    return { dataUrl: out.toDataURL("image/png"), width: ink.width, height: ink.height };
   }
 
-  // =============================================
-  // Section 3: 文書送付書 情報抽出
-  // =============================================
-
-  function extractInfoFromText(text) {
+  // src/lawyers.js
+  var SIGNER_TITLES = [
+    "被告訴訟代理人",
+    "原告訴訟代理人",
+    "相手方代理人",
+    "申立人代理人",
+    "債権者代理人",
+    "債務者代理人",
+    "控訴人訴訟代理人",
+    "被控訴人訴訟代理人"
+  ];
+  var DEFAULT_SIGNER_TITLE = SIGNER_TITLES[0];
+  var LEGACY_ID = "lawyer_default";
+  function normalizeName(name) {
+    return String(name || "").replace(/[\s　]/g, "");
+  }
+  function listLawyers(config = getConfig()) {
+    if (Array.isArray(config.lawyers) && config.lawyers.length) return config.lawyers;
+    if (!config.signerName) return [];
+    return [{
+      id: LEGACY_ID,
+      name: config.signerName,
+      shortName: "",
+      title: "",
+      fax: (config.faxNumbers || [])[0] || "",
+      sealId: ""
+    }];
+  }
+  function getLawyer(id, config = getConfig()) {
+    return listLawyers(config).find((l) => l.id === id) || null;
+  }
+  function getDefaultLawyer(config = getConfig()) {
+    const lawyers = listLawyers(config);
+    return lawyers.find((l) => l.id === config.defaultLawyerId) || lawyers[0] || null;
+  }
+  function findLawyerByName(name, config = getConfig()) {
+    const key = normalizeName(name);
+    if (!key) return null;
+    const lawyers = listLawyers(config);
+    return lawyers.find((l) => normalizeName(l.name) === key) || lawyers.find((l) => l.shortName && normalizeName(l.shortName) === key) || null;
+  }
+  function storeLawyers(config, lawyers, defaultLawyerId) {
+    const next = Object.assign({}, config, { lawyers });
+    next.defaultLawyerId = lawyers.some((l) => l.id === defaultLawyerId) ? defaultLawyerId : lawyers[0] ? lawyers[0].id : "";
+    const def = lawyers.find((l) => l.id === next.defaultLawyerId);
+    next.signerName = def ? def.name : "";
+    saveConfig(next);
+    return next;
+  }
+  function saveLawyer(lawyer) {
+    const name = String(lawyer.name || "").trim();
+    if (!name) throw new Error("弁護士の氏名を入力してください");
     const config = getConfig();
-    const info = {};
-    const normalizedText = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    const cleanText = normalizeExtractedText(normalizedText);
+    const lawyers = listLawyers(config).slice();
+    const index = lawyer.id ? lawyers.findIndex((l) => l.id === lawyer.id) : -1;
+    const previous = index >= 0 ? lawyers[index] : null;
+    if (lawyers.some((l) => l !== previous && normalizeName(l.name) === normalizeName(name))) {
+      throw new Error("同じ氏名の弁護士が既にいます: " + name);
+    }
+    const record = {
+      id: previous ? previous.id : "lawyer_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name,
+      shortName: String(lawyer.shortName || "").trim(),
+      title: String(lawyer.title || "").trim(),
+      fax: String(lawyer.fax || "").trim(),
+      sealId: String(lawyer.sealId || "")
+    };
+    if (previous) lawyers[index] = record;
+    else lawyers.push(record);
+    if (previous && normalizeName(previous.name) !== normalizeName(name)) {
+      listSeals().filter((s) => normalizeName(s.owner) === normalizeName(previous.name)).forEach((s) => updateSeal(s.id, { owner: name }));
+    }
+    storeLawyers(config, lawyers, config.defaultLawyerId || record.id);
+    return record;
+  }
+  function deleteLawyer(id) {
+    const config = getConfig();
+    storeLawyers(config, listLawyers(config).filter((l) => l.id !== id), config.defaultLawyerId);
+  }
+  function setDefaultLawyer(id) {
+    const config = getConfig();
+    storeLawyers(config, listLawyers(config).slice(), id);
+  }
+  function getLawyerSeal(lawyer) {
+    if (!lawyer) return null;
+    return lawyer.sealId && getSealRecord(lawyer.sealId) || pickSeal(lawyer.name);
+  }
+  function getOwnLawyerNames(config = getConfig()) {
+    const names = (config.lawyerNames || []).slice();
+    for (const l of listLawyers(config)) names.push(l.name, l.shortName);
+    return [...new Set(names.map((n) => String(n || "").trim()).filter(Boolean))];
+  }
+  function getOwnFaxNumbers(config = getConfig()) {
+    const numbers = (config.faxNumbers || []).slice();
+    for (const l of listLawyers(config)) numbers.push(l.fax);
+    return [...new Set(numbers.map((n) => String(n || "").trim()).filter(Boolean))];
+  }
+
+  // src/court-data.js
+  var HIGH_COURTS = [
+    ["東京高等裁判所", null],
+    ["知的財産高等裁判所", "東京高等裁判所"],
+    ["大阪高等裁判所", null],
+    ["名古屋高等裁判所", null],
+    ["名古屋高等裁判所金沢支部", "名古屋高等裁判所"],
+    ["広島高等裁判所", null],
+    ["広島高等裁判所岡山支部", "広島高等裁判所"],
+    ["広島高等裁判所松江支部", "広島高等裁判所"],
+    ["福岡高等裁判所", null],
+    ["福岡高等裁判所宮崎支部", "福岡高等裁判所"],
+    ["福岡高等裁判所那覇支部", "福岡高等裁判所"],
+    ["仙台高等裁判所", null],
+    ["仙台高等裁判所秋田支部", "仙台高等裁判所"],
+    ["札幌高等裁判所", null],
+    ["高松高等裁判所", null]
+  ];
+  var DISTRICTS = [
+    ["東京", ["立川"]],
+    ["横浜", ["川崎", "相模原", "横須賀", "小田原"]],
+    ["さいたま", ["越谷", "川越", "熊谷", "秩父"]],
+    ["千葉", ["佐倉", "一宮", "松戸", "木更津", "館山", "八日市場", "佐原"]],
+    ["水戸", ["日立", "土浦", "龍ケ崎", "麻生", "下妻"]],
+    ["宇都宮", ["真岡", "大田原", "栃木", "足利"]],
+    ["前橋", ["高崎", "桐生", "太田", "沼田"]],
+    ["静岡", ["沼津", "富士", "下田", "浜松", "掛川"]],
+    ["甲府", ["都留"]],
+    ["長野", ["上田", "佐久", "松本", "諏訪", "飯田", "伊那"]],
+    ["新潟", ["三条", "新発田", "長岡", "高田", "佐渡"]],
+    ["大阪", ["堺", "岸和田"]],
+    ["京都", ["園部", "宮津", "舞鶴", "福知山"]],
+    ["神戸", ["尼崎", "明石", "柏原", "姫路", "社", "龍野", "豊岡", "洲本", "伊丹"]],
+    ["奈良", ["葛城", "五條"]],
+    ["大津", ["彦根", "長浜"]],
+    ["和歌山", ["田辺", "御坊", "新宮"]],
+    ["名古屋", ["一宮", "半田", "岡崎", "豊橋"]],
+    ["津", ["松阪", "伊賀", "四日市", "伊勢", "熊野"]],
+    ["岐阜", ["大垣", "多治見", "御嵩", "高山"]],
+    ["福井", ["武生", "敦賀"]],
+    ["金沢", ["小松", "七尾", "輪島"]],
+    ["富山", ["魚津", "高岡"]],
+    ["広島", ["呉", "尾道", "福山", "三次"]],
+    ["山口", ["岩国", "周南", "萩", "下関", "宇部", "船木"]],
+    ["岡山", ["倉敷", "新見", "津山"]],
+    ["鳥取", ["倉吉", "米子"]],
+    ["松江", ["出雲", "浜田", "益田", "西郷"]],
+    ["福岡", ["飯塚", "直方", "久留米", "柳川", "大牟田", "八女", "小倉", "行橋", "田川"]],
+    ["佐賀", ["武雄", "唐津"]],
+    ["長崎", ["大村", "島原", "佐世保", "平戸", "壱岐", "五島", "厳原"]],
+    ["大分", ["杵築", "佐伯", "竹田", "中津", "日田"]],
+    ["熊本", ["玉名", "山鹿", "阿蘇", "八代", "人吉", "天草"]],
+    ["鹿児島", ["名瀬", "加治木", "知覧", "川内", "鹿屋"]],
+    ["宮崎", ["日南", "都城", "延岡"]],
+    ["那覇", ["名護", "平良", "石垣", "沖縄"]],
+    ["仙台", ["大河原", "古川", "石巻", "登米", "気仙沼"]],
+    ["福島", ["相馬", "郡山", "白河", "会津若松", "いわき"]],
+    ["山形", ["新庄", "米沢", "鶴岡", "酒田"]],
+    ["盛岡", ["花巻", "二戸", "遠野", "宮古", "一関", "水沢"]],
+    ["秋田", ["能代", "本荘", "大館", "横手", "大曲"]],
+    ["青森", ["五所川原", "弘前", "八戸", "十和田"]],
+    ["札幌", ["岩見沢", "滝川", "室蘭", "苫小牧", "浦河", "小樽", "岩内"]],
+    ["函館", ["江差"]],
+    ["旭川", ["名寄", "紋別", "留萌", "稚内"]],
+    ["釧路", ["帯広", "網走", "北見", "根室"]],
+    ["高松", ["丸亀", "観音寺"]],
+    ["徳島", ["阿南", "美馬"]],
+    ["高知", ["須崎", "安芸", "中村"]],
+    ["松山", ["大洲", "西条", "今治", "宇和島"]]
+  ];
+  var KNOWN_FAX = {
+    "神戸地方裁判所尼崎支部": "06-6438-1710",
+    "大阪地方裁判所": "06-6316-2804",
+    "大阪高等裁判所": "06-6316-2804",
+    "東京地方裁判所": "03-3580-5611",
+    "東京高等裁判所": "03-3580-5611",
+    "広島地方裁判所": "082-228-0197",
+    "広島高等裁判所": "082-228-0197",
+    "広島地方裁判所福山支部": "084-923-2897",
+    "岡山地方裁判所": "086-222-6961",
+    "福岡地方裁判所": "092-781-3141",
+    "名古屋地方裁判所": "052-204-7780",
+    "京都地方裁判所": "075-211-4226",
+    "神戸地方裁判所": "078-367-1478",
+    "横浜地方裁判所": "045-212-0947",
+    "さいたま地方裁判所": "048-863-8761",
+    "千葉地方裁判所": "043-227-5601",
+    "仙台地方裁判所": "022-266-0091",
+    "札幌地方裁判所": "011-271-1456",
+    "山口地方裁判所": "083-922-1440"
+  };
+  function entry(name, parent) {
+    return { name, parent, fax: KNOWN_FAX[name] || "", phone: "", divisions: [] };
+  }
+  function buildBundledCourts() {
+    const courts = HIGH_COURTS.map(([name, parent]) => entry(name, parent));
+    for (const kind of ["地方裁判所", "家庭裁判所"]) {
+      for (const [city, branches] of DISTRICTS) {
+        const main = city + kind;
+        courts.push(entry(main, null));
+        branches.forEach((b) => courts.push(entry(main + b + "支部", main)));
+      }
+    }
+    return courts;
+  }
 
-    // 都市名リスト
-    const cityNames = '東京|大阪|名古屋|広島|福岡|仙台|札幌|高松|京都|神戸|横浜|さいたま|千葉|山口|岡山|福山|松山|高知|那覇|長崎|熊本|鹿児島|大分|宮崎|佐賀|秋田|青森|盛岡|山形|福島|水戸|宇都宮|前橋|甲府|長野|新潟|富山|金沢|福井|津|大津|奈良|和歌山|鳥取|松江|徳島|旭川|釧路|函館';
+  // src/court-directory.js
+  var COURTS_KEY = "tsukurukun_courts";
+  var OBSERVED_KEY = "tsukurukun_court_fax_observed";
+  var BUNDLED_COURTS = buildBundledCourts();
+  var BUNDLED_BY_NAME = new Map(BUNDLED_COURTS.map((c) => [c.name, c]));
+  var CSV_COLUMNS = ["裁判所", "部・係", "FAX", "電話", "上位裁判所"];
+  var MAX_OBSERVED_SOURCES = 5;
+  var MAX_PARENT_DEPTH = 5;
+  function toHalfWidthDigits2(str) {
+    return str.replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 65248));
+  }
+  function normalizeCourtName(name) {
+    return toHalfWidthDigits2(String(name || "")).replace(/\s+/g, "").replace(/地裁/g, "地方裁判所").replace(/高裁/g, "高等裁判所").replace(/家裁/g, "家庭裁判所").replace(/簡裁/g, "簡易裁判所");
+  }
+  function normalizeDivisionName(name) {
+    return toHalfWidthDigits2(String(name || "")).replace(/\s+/g, "").replace(/^第(\d+)([民刑])事部/, "$2事第$1部");
+  }
+  function splitCourtName(name) {
+    const normalized = normalizeCourtName(name);
+    const m = normalized.match(/^(.+?裁判所(?:.+?支部)?)(.*)$/);
+    if (!m) return { court: normalized, division: "" };
+    return { court: m[1], division: normalizeDivisionName(m[2]) };
+  }
+  function loadOverrides() {
+    try {
+      return JSON.parse(runtime.storage && runtime.storage.getItem(COURTS_KEY) || "{}");
+    } catch (e) {
+      return {};
+    }
+  }
+  function saveOverrides(overrides) {
+    runtime.storage.setItem(COURTS_KEY, JSON.stringify(overrides));
+  }
+  function cleanEntry(entry2) {
+    return {
+      name: normalizeCourtName(entry2.name),
+      parent: entry2.parent ? normalizeCourtName(entry2.parent) : null,
+      fax: (entry2.fax || "").trim(),
+      phone: (entry2.phone || "").trim(),
+      divisions: (entry2.divisions || []).filter((d) => d && d.name).map((d) => ({ name: normalizeDivisionName(d.name), fax: (d.fax || "").trim(), phone: (d.phone || "").trim() }))
+    };
+  }
+  function sameEntry(a, b) {
+    return JSON.stringify(cleanEntry(a)) === JSON.stringify(cleanEntry(b));
+  }
+  function setOfficeCourtDirectory(directory) {
+    const byName = new Map(buildBundledCourts().map((c) => [c.name, c]));
+    for (const item of directory && directory.courts || []) {
+      if (!item || !item.name) continue;
+      const entry2 = cleanEntry(item);
+      byName.set(entry2.name, Object.assign(entry2, { origin: "office" }));
+    }
+    for (const name of directory && directory.deleted || []) byName.delete(normalizeCourtName(name));
+    BUNDLED_COURTS = [...byName.values()];
+    BUNDLED_BY_NAME = byName;
+  }
+  function getCourtDirectory() {
+    const overrides = loadOverrides();
+    const list = [];
+    for (const bundled of BUNDLED_COURTS) {
+      const o = overrides[bundled.name];
+      if (o && o.deleted) continue;
+      list.push(Object.assign(cleanEntry(o || bundled), { origin: o ? "modified" : bundled.origin || "bundled" }));
+    }
+    for (const [name, o] of Object.entries(overrides)) {
+      if (BUNDLED_BY_NAME.has(name) || o.deleted) continue;
+      list.push(Object.assign(cleanEntry(o), { origin: "user" }));
+    }
+    return list;
+  }
+  function findCourt(name) {
+    const key = normalizeCourtName(name);
+    return getCourtDirectory().find((c) => c.name === key) || null;
+  }
+  function saveCourt(entry2, previousName) {
+    const cleaned = cleanEntry(entry2);
+    if (!cleaned.name) throw new Error("裁判所名が空です");
+    const overrides = loadOverrides();
+    const prev = previousName ? normalizeCourtName(previousName) : "";
+    if (prev && prev !== cleaned.name) {
+      if (BUNDLED_BY_NAME.has(prev)) overrides[prev] = { deleted: true };
+      else delete overrides[prev];
+    }
+    const bundled = BUNDLED_BY_NAME.get(cleaned.name);
+    if (bundled && sameEntry(bundled, cleaned)) delete overrides[cleaned.name];
+    else overrides[cleaned.name] = cleaned;
+    saveOverrides(overrides);
+  }
+  function deleteCourt(name) {
+    const key = normalizeCourtName(name);
+    const overrides = loadOverrides();
+    if (BUNDLED_BY_NAME.has(key)) overrides[key] = { deleted: true };
+    else delete overrides[key];
+    saveOverrides(overrides);
+  }
+  function restoreCourt(name) {
+    const overrides = loadOverrides();
+    delete overrides[normalizeCourtName(name)];
+    saveOverrides(overrides);
+  }
+  function findDivision(court, division) {
+    if (!division) return null;
+    let best = null;
+    for (const d of court.divisions) {
+      if (division === d.name || division.startsWith(d.name)) {
+        if (!best || d.name.length > best.name.length) best = d;
+      }
+    }
+    return best;
+  }
+  function lookupCourt(courtName) {
+    const { court, division } = splitCourtName(courtName);
+    if (!court) return null;
+    const directory = getCourtDirectory();
+    const byName = (name) => directory.find((c) => c.name === name) || null;
+    let entry2 = byName(court);
+    let matchedBy = "court";
+    if (!entry2) {
+      const m = court.match(/^(.+?裁判所).+支部$/);
+      entry2 = m ? byName(m[1]) : null;
+      matchedBy = "parent";
+      if (!entry2) return null;
+    }
+    const result = (source, div, by) => ({
+      fax: div ? div.fax : source.fax,
+      phone: div && div.phone || source.phone,
+      court: source.name,
+      division: div ? div.name : "",
+      requested: court,
+      matchedBy: by
+    });
+    if (matchedBy === "court") {
+      const div = findDivision(entry2, division);
+      if (div && div.fax) return result(entry2, div, "division");
+    }
+    let current = entry2;
+    for (let depth = 0; current && depth <= MAX_PARENT_DEPTH; depth++) {
+      if (current.fax) return result(current, null, current === entry2 ? matchedBy : "parent");
+      current = current.parent ? byName(current.parent) : null;
+    }
+    return result(entry2, null, matchedBy);
+  }
+  function describeCourtMatch(match) {
+    if (!match) return "裁判所名簿に該当する裁判所がありません";
+    const source = match.court + (match.division ? " " + match.division : "");
+    if (!match.fax) return `裁判所名簿の「${source}」にFAX番号が登録されていません`;
+    if (match.matchedBy === "parent") {
+      return `「${match.requested}」に番号の登録が無いため、上位の「${source}」の番号です。支部と番号が違うことがあるので、送信先を確認してください`;
+    }
+    return `裁判所名簿「${source}」の番号です`;
+  }
+  function faxDigits(fax) {
+    return toHalfWidthDigits2(String(fax || "")).replace(/\D/g, "");
+  }
+  function checkCourtFax(courtName, fax) {
+    const stored = lookupCourt(courtName);
+    let status = "unregistered";
+    if (stored && stored.fax) status = faxDigits(stored.fax) === faxDigits(fax) ? "match" : "mismatch";
+    return { status, fax, stored };
+  }
+  function loadObserved() {
+    try {
+      return JSON.parse(runtime.storage && runtime.storage.getItem(OBSERVED_KEY) || "[]");
+    } catch (e) {
+      return [];
+    }
+  }
+  function saveObserved(list) {
+    runtime.storage.setItem(OBSERVED_KEY, JSON.stringify(list));
+  }
+  function sameObservation(a, b) {
+    return a.court === b.court && a.division === b.division && faxDigits(a.fax) === faxDigits(b.fax);
+  }
+  function recordCourtFaxObservation(courtName, fax, source) {
+    if (!courtName || !faxDigits(fax) || !runtime.storage) return null;
+    if (checkCourtFax(courtName, fax).status === "match") return null;
+    const { court, division } = splitCourtName(courtName);
+    const list = loadObserved();
+    const now = (/* @__PURE__ */ new Date()).toISOString();
+    let item = list.find((o) => sameObservation(o, { court, division, fax }));
+    if (!item) {
+      item = { court, division, fax: fax.trim(), count: 0, sources: [], firstSeen: now, dismissed: false };
+      list.push(item);
+    }
+    item.count++;
+    item.lastSeen = now;
+    if (source && !item.sources.includes(source)) {
+      item.sources = item.sources.concat(source).slice(-MAX_OBSERVED_SOURCES);
+    }
+    saveObserved(list);
+    return item;
+  }
+  function getCourtFaxReviewQueue() {
+    return loadObserved().filter((o) => !o.dismissed).map((o) => Object.assign({}, o, { check: checkCourtFax(o.court + o.division, o.fax) })).filter((o) => o.check.status !== "match");
+  }
+  function acceptCourtFaxObservation(item, options = {}) {
+    const toDivision = options.toDivision !== void 0 ? options.toDivision : !!item.division;
+    const court = findCourt(item.court) || { name: item.court, parent: null, fax: "", phone: "", divisions: [] };
+    const parentMatch = !findCourt(item.court) && item.court.match(/^(.+?裁判所).+支部$/);
+    const entry2 = Object.assign({}, court, {
+      parent: court.parent || (parentMatch && findCourt(parentMatch[1]) ? parentMatch[1] : null)
+    });
+    if (toDivision && item.division) {
+      const divisions = court.divisions.filter((d) => d.name !== item.division);
+      const current = court.divisions.find((d) => d.name === item.division);
+      divisions.push({ name: item.division, fax: item.fax, phone: current ? current.phone : "" });
+      entry2.divisions = divisions;
+    } else {
+      entry2.fax = item.fax;
+    }
+    saveCourt(entry2);
+    saveObserved(loadObserved().filter((o) => !sameObservation(o, item)));
+  }
+  function dismissCourtFaxObservation(item) {
+    const list = loadObserved();
+    list.filter((o) => sameObservation(o, item)).forEach((o) => {
+      o.dismissed = true;
+    });
+    saveObserved(list);
+  }
+  function csvField(value) {
+    const s = value == null ? "" : String(value);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    const s = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < s.length; i++) {
+      const c = s[i];
+      if (quoted) {
+        if (c === '"' && s[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && s[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += c;
+      }
+    }
+    if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((v) => v.trim() !== ""));
+  }
+  function exportCourtDirectory(format = "json", options = {}) {
+    const courts = getCourtDirectory().filter((c) => !options.changedOnly || c.origin !== "bundled").map((c) => ({ name: c.name, parent: c.parent, fax: c.fax, phone: c.phone, divisions: c.divisions }));
+    const deleted = Object.entries(loadOverrides()).filter(([, o]) => o.deleted).map(([name]) => name);
+    if (format === "csv") {
+      const lines = [CSV_COLUMNS.join(",")];
+      for (const c of courts) {
+        lines.push([c.name, "", c.fax, c.phone, c.parent || ""].map(csvField).join(","));
+        for (const d of c.divisions) {
+          lines.push([c.name, d.name, d.fax, d.phone, ""].map(csvField).join(","));
+        }
+      }
+      return "\uFEFF" + lines.join("\r\n") + "\r\n";
+    }
+    return JSON.stringify({ version: 1, courts, deleted }, null, 2);
+  }
+  function courtsFromCsv(text, errors) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+    const header = rows[0].map((h) => h.trim());
+    const col = (name) => header.indexOf(name);
+    if (col("裁判所") < 0) {
+      errors.push({ line: 1, message: `1行目に見出し（${CSV_COLUMNS.join(",")}）がありません` });
+      return [];
+    }
+    const get = (row, name) => {
+      const i = col(name);
+      const v = i >= 0 && row[i] !== void 0 ? row[i].trim() : "";
+      return v === "" ? void 0 : v;
+    };
+    const byName = /* @__PURE__ */ new Map();
+    rows.slice(1).forEach((row, i) => {
+      const name = get(row, "裁判所");
+      if (!name) {
+        errors.push({ line: i + 2, message: "裁判所名が空です" });
+        return;
+      }
+      const key = normalizeCourtName(name);
+      const court = byName.get(key) || { name: key, divisions: [] };
+      byName.set(key, court);
+      const division = get(row, "部・係");
+      if (division) {
+        court.divisions.push({ name: division, fax: get(row, "FAX"), phone: get(row, "電話") });
+      } else {
+        court.fax = get(row, "FAX");
+        court.phone = get(row, "電話");
+        court.parent = get(row, "上位裁判所");
+      }
+    });
+    return [...byName.values()];
+  }
+  function pick(value, fallback) {
+    return value === void 0 ? fallback : value;
+  }
+  function importCourtDirectory(text, format) {
+    const fmt = format || (/^\s*[[{]/.test(text.replace(/^\uFEFF/, "")) ? "json" : "csv");
+    const errors = [];
+    let incoming = [];
+    let deleted = [];
+    if (fmt === "json") {
+      let data;
+      try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ""));
+      } catch (e) {
+        throw new Error("JSONを読み込めません: " + e.message);
+      }
+      incoming = Array.isArray(data) ? data : data.courts || [];
+      deleted = Array.isArray(data) ? [] : data.deleted || [];
+    } else {
+      incoming = courtsFromCsv(text, errors);
+    }
+    const result = { courts: 0, divisions: 0, deleted: 0, errors };
+    incoming.forEach((item, i) => {
+      if (!item || !item.name) {
+        errors.push({ line: i + 1, message: "裁判所名が空です" });
+        return;
+      }
+      const existing = findCourt(item.name) || { name: item.name, parent: null, fax: "", phone: "", divisions: [] };
+      const divisions = existing.divisions.map((d) => Object.assign({}, d));
+      for (const d of item.divisions || []) {
+        if (!d || !d.name) continue;
+        const key = normalizeDivisionName(d.name);
+        const current = divisions.find((x) => x.name === key);
+        if (current) {
+          current.fax = pick(d.fax, current.fax);
+          current.phone = pick(d.phone, current.phone);
+        } else {
+          divisions.push({ name: key, fax: d.fax || "", phone: d.phone || "" });
+        }
+        result.divisions++;
+      }
+      saveCourt({
+        name: existing.name,
+        parent: pick(item.parent, existing.parent),
+        fax: pick(item.fax, existing.fax),
+        phone: pick(item.phone, existing.phone),
+        divisions
+      });
+      result.courts++;
+    });
+    for (const name of deleted) {
+      deleteCourt(name);
+      result.deleted++;
+    }
+    return result;
+  }
 
-    // --- 裁判所名 ---
+  // src/extract-info.js
+  var NORMALIZE_RULES = [
+    // 改行コード統一
+    [/\r\n?/g, "\n"],
+    // 全角数字→半角
+    [/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 65248)],
+    // 全角英字→半角
+    [/[Ａ-Ｚａ-ｚ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 65248)],
+    // 特殊スペース→通常スペース
+    [/[  -​　﻿]/g, " "],
+    // OCR誤読: よくある文字化けパターン修正
+    [/裁判\s*所/g, "裁判所"],
+    [/地方\s*裁判/g, "地方裁判"],
+    [/高等\s*裁判/g, "高等裁判"],
+    [/家庭\s*裁判/g, "家庭裁判"],
+    [/簡易\s*裁判/g, "簡易裁判"],
+    [/弁護\s*士/g, "弁護士"],
+    [/原\s*告/g, "原告"],
+    [/被\s*告/g, "被告"],
+    [/事\s*件/g, "事件"],
+    [/損\s*害\s*賠\s*償/g, "損害賠償"],
+    [/請\s*求/g, "請求"],
+    [/訴\s*訟\s*代\s*理\s*人/g, "訴訟代理人"],
+    [/令\s*和/g, "令和"],
+    [/平\s*成/g, "平成"],
+    [/昭\s*和/g, "昭和"],
+    // 連続スペースを1つに
+    [/ {2,}/g, " "]
+  ];
+  function normalizeWithOffsets(text) {
+    let t = text;
+    let offsets = Array.from({ length: text.length + 1 }, (_, i) => i);
+    for (const [pattern, replacement] of NORMALIZE_RULES) {
+      let out = "";
+      const outOffsets = [];
+      let last = 0;
+      let m;
+      pattern.lastIndex = 0;
+      while ((m = pattern.exec(t)) !== null) {
+        const repl = typeof replacement === "function" ? replacement(m[0]) : replacement;
+        out += t.slice(last, m.index) + repl;
+        for (let i = last; i < m.index; i++) outOffsets.push(offsets[i]);
+        for (let k = 0; k < repl.length; k++) {
+          const src = repl.length === m[0].length || k < repl.length - 1 ? m.index + Math.min(k, m[0].length - 1) : m.index + m[0].length - 1;
+          outOffsets.push(offsets[src]);
+        }
+        last = m.index + m[0].length;
+      }
+      out += t.slice(last);
+      for (let i = last; i <= t.length; i++) outOffsets.push(offsets[i]);
+      t = out;
+      offsets = outOffsets;
+    }
+    return { text: t, offsets };
+  }
+  var PATTERN_CONFIDENCE = {
+    "court": 0.9,
+    "caseNumber.strict": 0.95,
+    "caseNumber.spaced": 0.85,
+    "caseNumber.display": 0.8,
+    "caseNumber.display.yearGuessed": 0.6,
+    "caseNumber.display.symbolGuessed": 0.4,
+    "caseNumber.display.numberOnly": 0.3,
+    "caseName.damages": 0.8,
+    "caseName.afterNumber": 0.9,
+    "caseName.known": 0.85,
+    "caseName.generic": 0.6,
+    "party.section": 0.85,
+    "party.bracket": 0.8,
+    "party.label": 0.6,
+    "lawyer.formal": 0.9,
+    "lawyer.sender": 0.75,
+    "lawyer.addressee": 0.6,
+    "lawyer.general": 0.4,
+    "courtFax.directoryDivision": 0.95,
+    "courtFax.directory": 0.9,
+    "courtFax.directoryParent": 0.65,
+    "courtFax.explicit": 0.95,
+    "courtFax.known": 0.9,
+    "lawyerFax.labeled": 0.85,
+    "lawyerFax.nearLawyer": 0.8,
+    "lawyerFax.fallback": 0.5,
+    "lawyerFax.nearDefendant": 0.2,
+    // 事件台帳（case-registry.js）に保存した確認済みの値
+    "caseRegistry": 0.98
+  };
+  var LOW_CONFIDENCE = 0.7;
+  var COURT_FAX_MISMATCH_PENALTY = 0.3;
+  var SNIPPET_CONTEXT = 30;
+  function extractInfoFromText(text, config = getConfig()) {
+    const info = {};
+    const fieldMeta = {};
+    const candidates = {};
+    const { text: cleanText, offsets } = normalizeWithOffsets(text);
+    function buildMeta(pattern, start, end, penalty = 0) {
+      let span = null;
+      let snippet = null;
+      if (start != null) {
+        const s = offsets[start];
+        const e = offsets[end - 1] + 1;
+        span = [s, e];
+        snippet = {
+          before: text.slice(Math.max(0, s - SNIPPET_CONTEXT), s),
+          text: text.slice(s, e),
+          after: text.slice(e, e + SNIPPET_CONTEXT)
+        };
+      }
+      const confidence = Math.max(0, Math.round((PATTERN_CONFIDENCE[pattern] - penalty) * 100) / 100);
+      return { confidence, pattern, span, snippet };
+    }
+    function setField(field, value, pattern, start, end, penalty = 0) {
+      info[field] = value;
+      fieldMeta[field] = buildMeta(pattern, start, end, penalty);
+    }
+    function addCandidate(field, value, pattern, start, end, penalty = 0) {
+      const list = candidates[field] || (candidates[field] = []);
+      const existing = list.find((c) => c.value === value);
+      if (existing) return existing;
+      const candidate = Object.assign({ value }, buildMeta(pattern, start, end, penalty));
+      list.push(candidate);
+      return candidate;
+    }
+    function groupStart(match, group, base = 0) {
+      return base + match.index + match[0].indexOf(match[group]);
+    }
+    const cityNames = "東京|大阪|名古屋|広島|福岡|仙台|札幌|高松|京都|神戸|横浜|さいたま|千葉|山口|岡山|福山|松山|高知|那覇|長崎|熊本|鹿児島|大分|宮崎|佐賀|秋田|青森|盛岡|山形|福島|水戸|宇都宮|前橋|甲府|長野|新潟|富山|金沢|福井|津|大津|奈良|和歌山|鳥取|松江|徳島|旭川|釧路|函館";
     const courtPattern = new RegExp(
       `((?:${cityNames})\\s*(?:地方|高等|家庭|簡易)\\s*裁判\\s*所(?:\\s*[\\u4e00-\\u9fff]+\\s*支部)?(?:\\s*民事\\s*第\\s*[０-９\\d]+\\s*部)?)`,
-      'g'
+      "g"
     );
     let courtMatch;
     const courtCandidates = [];
     while ((courtMatch = courtPattern.exec(cleanText)) !== null) {
-      const cleaned = courtMatch[1].replace(/\s+/g, '');
-      courtCandidates.push(cleaned);
+      const cleaned = courtMatch[1].replace(/\s+/g, "");
+      courtCandidates.push({ name: cleaned, start: courtMatch.index, end: courtMatch.index + courtMatch[0].length });
     }
     if (courtCandidates.length > 0) {
-      info.courtName = courtCandidates.reduce((a, b) => a.length >= b.length ? a : b);
+      const best = courtCandidates.reduce((a, b) => a.name.length >= b.name.length ? a : b);
+      const conflicting = courtCandidates.some((c) => !best.name.startsWith(c.name));
+      setField("courtName", best.name, "court", best.start, best.end, conflicting ? 0.2 : 0);
+      courtCandidates.slice().sort((a, b) => b.name.length - a.name.length).forEach((c) => {
+        addCandidate("courtName", c.name, "court", c.start, c.end, best.name.startsWith(c.name) ? 0.1 : 0.2);
+      });
     }
-
-    // --- 事件番号 ---
-    const caseSymbols = 'ワヲネレモハノニナラ行わをねれもはのになら';
+    const caseSymbols = "ワヲネレモハノニナラ行わをねれもはのになら";
+    const era = `(?:${ERAS.map((e) => [...e.name].join("\\s*")).join("|")})`;
     const caseNumberPatterns = [
-      new RegExp(`([令平]和\\d+年[（(][${caseSymbols}][）)]\\s*第?\\s*\\d+号)`),
-      new RegExp(`([令平]\\s*和\\s*\\d+\\s*年\\s*[（(]\\s*[${caseSymbols}]\\s*[）)]\\s*第?\\s*\\d+\\s*号)`),
-      new RegExp(`([令平]\\s*和\\s*\\d+\\s*年\\s*\\(\\s*[${caseSymbols}]\\s*\\)\\s*第?\\s*\\d+\\s*号)`),
-      new RegExp(`(令\\s*和\\s*(\\d+)\\s*年\\s*[（(]\\s*([${caseSymbols}])\\s*[）)]\\s*第\\s*(\\d+)\\s*号)`),
+      new RegExp(`((?:${ERA_PATTERN})(?:\\d+|元)年[（(][${caseSymbols}][）)]\\s*第?\\s*\\d+号)`),
+      new RegExp(`(${era}\\s*(?:\\d+|元)\\s*年\\s*[（(]\\s*[${caseSymbols}]\\s*[）)]\\s*第?\\s*\\d+\\s*号)`),
+      new RegExp(`(${era}\\s*(?:\\d+|元)\\s*年\\s*\\(\\s*[${caseSymbols}]\\s*\\)\\s*第?\\s*\\d+\\s*号)`),
+      new RegExp(`(${era}\\s*(\\d+|元)\\s*年\\s*[（(]\\s*([${caseSymbols}])\\s*[）)]\\s*第\\s*(\\d+)\\s*号)`)
     ];
-    for (const pattern of caseNumberPatterns) {
-      const match = cleanText.match(pattern);
+    for (let i = 0; i < caseNumberPatterns.length; i++) {
+      const match = cleanText.match(caseNumberPatterns[i]);
       if (match) {
-        let cn = match[1].replace(/\s+/g, '');
-        cn = cn.replace(/（/g, '(').replace(/）/g, ')');
-        info.caseNumber = cn;
+        let cn = match[1].replace(/\s+/g, "");
+        cn = cn.replace(/（/g, "(").replace(/）/g, ")");
+        setField(
+          "caseNumber",
+          cn,
+          i === 0 ? "caseNumber.strict" : "caseNumber.spaced",
+          match.index,
+          match.index + match[0].length
+        );
         break;
       }
     }
-
-    // パターン2: 「事件の表示」セクションから
+    if (info.caseNumber) {
+      const allCaseNumbers = new RegExp(caseNumberPatterns[1].source, "g");
+      let cm;
+      while ((cm = allCaseNumbers.exec(cleanText)) !== null) {
+        const cn = cm[1].replace(/\s+/g, "").replace(/（/g, "(").replace(/）/g, ")");
+        addCandidate(
+          "caseNumber",
+          cn,
+          caseNumberPatterns[0].test(cm[1]) ? "caseNumber.strict" : "caseNumber.spaced",
+          cm.index,
+          cm.index + cm[0].length
+        );
+      }
+    }
     if (!info.caseNumber) {
       const displaySectionMatch = cleanText.match(
         /事\s*件\s*の\s*表\s*示[】\]\s]*([^\n]{1,80})/
       );
       if (displaySectionMatch) {
         const sectionText = displaySectionMatch[1];
+        const sectionStart = groupStart(displaySectionMatch, 1);
         const fullMatch = sectionText.match(
-          new RegExp(`令?\\s*和?\\s*(\\d+)\\s*年?\\s*[（(]\\s*([${caseSymbols}])\\s*[）)]\\s*第\\s*(\\d+)\\s*号`)
+          new RegExp(`(${ERA_PATTERN}|令|和)?\\s*(\\d+|元)\\s*年?\\s*[（(]\\s*([${caseSymbols}])\\s*[）)]\\s*第\\s*(\\d+)\\s*号`)
         );
         if (fullMatch) {
-          info.caseNumber = `令和${fullMatch[1]}年(${fullMatch[2]})第${fullMatch[3]}号`;
+          const eraName = fullMatch[1] && fullMatch[1].length === 2 ? fullMatch[1] : "令和";
+          setField(
+            "caseNumber",
+            `${eraName}${fullMatch[2]}年(${fullMatch[3]})第${fullMatch[4]}号`,
+            "caseNumber.display",
+            sectionStart + fullMatch.index,
+            sectionStart + fullMatch.index + fullMatch[0].length
+          );
         } else {
           const numMatch = sectionText.match(/第\s*(\d+)\s*号/);
           if (numMatch) {
             const caseNum = numMatch[1];
+            const numStart = sectionStart + numMatch.index;
+            const numEnd = numStart + numMatch[0].length;
             const symbolMatch = sectionText.match(new RegExp(`[（(]\\s*([${caseSymbols}])\\s*[）)]`));
-            const symbol = symbolMatch ? symbolMatch[1] : 'ワ';
+            const symbol = symbolMatch ? symbolMatch[1] : "ワ";
             const guessed = !symbolMatch;
             const yearMatches = [];
-            const yearRegex = /令\s*和\s*(\d+)\s*年/g;
+            const yearRegex = new RegExp(`(${ERA_PATTERN})\\s*(\\d+|元)\\s*年`, "g");
             let ym;
             while ((ym = yearRegex.exec(cleanText)) !== null) {
-              yearMatches.push(parseInt(ym[1]));
+              try {
+                yearMatches.push({ era: ym[1], year: ym[2], seireki: warekiYearToSeireki(ym[1], ym[2]) });
+              } catch (e) {
+              }
             }
             if (yearMatches.length > 0) {
-              const minYear = Math.min(...yearMatches);
-              info.caseNumber = `令和${minYear}年(${symbol})第${caseNum}号`;
+              const oldest = yearMatches.reduce((a, b) => b.seireki < a.seireki ? b : a);
+              setField(
+                "caseNumber",
+                `${oldest.era}${oldest.year}年(${symbol})第${caseNum}号`,
+                guessed ? "caseNumber.display.symbolGuessed" : "caseNumber.display.yearGuessed",
+                numStart,
+                numEnd
+              );
               info.caseNumberGuessed = guessed;
             } else {
-              info.caseNumber = `(${symbol})第${caseNum}号`;
+              setField("caseNumber", `(${symbol})第${caseNum}号`, "caseNumber.display.numberOnly", numStart, numEnd);
               info.caseNumberGuessed = true;
             }
           }
         }
       }
     }
-
-    // --- 事件名 ---
     const caseNamePatterns = [
       /損\s*害\s*賠\s*償[\s\S]{0,80}?請\s*求\s*事\s*件/,
       /(?:号\s*)([\u4e00-\u9fff][\u4e00-\u9fff\s]*(?:請\s*求|確\s*認|等?)\s*事\s*件)/,
       /(損\s*害\s*賠\s*償\s*請\s*求\s*事\s*件|貸\s*金\s*返\s*還\s*請\s*求\s*事\s*件|建\s*物\s*明\s*渡\s*請\s*求\s*事\s*件|不\s*当\s*利\s*得\s*返\s*還\s*請\s*求\s*事\s*件)/,
-      /([\u4e00-\u9fff][\u4e00-\u9fff\s]*(?:請\s*求|確\s*認)\s*事\s*件)/,
+      /([\u4e00-\u9fff][\u4e00-\u9fff\s]*(?:請\s*求|確\s*認)\s*事\s*件)/
     ];
-    for (const pattern of caseNamePatterns) {
-      const match = cleanText.match(pattern);
+    const caseNamePatternIds = ["caseName.damages", "caseName.afterNumber", "caseName.known", "caseName.generic"];
+    for (let i = 0; i < caseNamePatterns.length; i++) {
+      const match = cleanText.match(caseNamePatterns[i]);
       if (match) {
-        let caseName = match[0];
-        if (match[1] && !match[0].startsWith('損害')) {
-          caseName = match[1];
-        }
-        caseName = caseName.replace(/^号\s*/, '');
-        caseName = caseName.replace(/[\s\n\r]+/g, '');
+        const useGroup = match[1] && !match[0].startsWith("損害");
+        const start = useGroup ? groupStart(match, 1) : match.index;
+        const end = useGroup ? start + match[1].length : match.index + match[0].length;
+        let caseName = useGroup ? match[1] : match[0];
+        caseName = caseName.replace(/^号\s*/, "");
+        caseName = caseName.replace(/[\s\n\r]+/g, "");
         const cleaned = caseName.match(/([\u4e00-\u9fff]+請求事件|[\u4e00-\u9fff]+確認事件)/);
         if (cleaned) {
-          info.caseName = cleaned[1];
-        } else if (caseName.includes('事件')) {
-          info.caseName = caseName;
+          setField("caseName", cleaned[1], caseNamePatternIds[i], start, end);
+        } else if (caseName.includes("事件")) {
+          setField("caseName", caseName, caseNamePatternIds[i], start, end, 0.2);
         }
         break;
       }
     }
-
-    // --- 原告名・被告名 ---
     const partySection = cleanText.match(/当\s*事\s*者[\s\S]{0,200}/);
     if (partySection) {
       const partySectionText = partySection[0];
@@ -494,2535 +1576,5730 @@
       );
       if (plaintiffInParty) {
         let name = plaintiffInParty[1].trim();
-        name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+        const start = groupStart(plaintiffInParty, 1, partySection.index);
+        const end = start + plaintiffInParty[1].trimEnd().length;
+        name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => " " + suffix.replace(/\s+/g, ""));
         const parts = name.split(/ (外\d+名)$/);
-        if (parts.length > 1) {
-          info.plaintiffName = parts[0].replace(/\s+/g, '') + ' ' + parts[1];
-        } else {
-          info.plaintiffName = name.replace(/\s+/g, '');
-        }
+        const value = parts.length > 1 ? parts[0].replace(/\s+/g, "") + " " + parts[1] : name.replace(/\s+/g, "");
+        setField("plaintiffName", value, "party.section", start, end);
       }
       const defendantInParty = partySectionText.match(
         /被\s*告\s*[_\s]*([^\n原被]{1,40})/
       );
       if (defendantInParty) {
         let name = defendantInParty[1].trim();
-        name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+        const start = groupStart(defendantInParty, 1, partySection.index);
+        const end = start + defendantInParty[1].trimEnd().length;
+        name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => " " + suffix.replace(/\s+/g, ""));
         const parts = name.split(/ (外\d+名)$/);
-        if (parts.length > 1) {
-          info.defendantName = parts[0].replace(/\s+/g, '') + ' ' + parts[1];
-        } else {
-          info.defendantName = name.replace(/\s+/g, '');
-        }
+        const value = parts.length > 1 ? parts[0].replace(/\s+/g, "") + " " + parts[1] : name.replace(/\s+/g, "");
+        setField("defendantName", value, "party.section", start, end);
       }
     }
-
-    // フォールバック: 当事者セクションで見つからなかった場合
     if (!info.plaintiffName) {
       const plaintiffPatterns = [
         /[【\[［]\s*原\s*告\s*[】\]］]\s*\n?\s*([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n【\[［]{1,30})/,
-        /原\s*告\s+(?!.*(?:訴\s*訟|代\s*理))([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n（(被代訴】\]］]{1,20})/,
+        /原\s*告\s+(?!.*(?:訴\s*訟|代\s*理))([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n（(被代訴】\]］]{1,20})/
       ];
-      for (const pattern of plaintiffPatterns) {
+      for (let p = 0; p < plaintiffPatterns.length; p++) {
         const allMatches = [];
-        const globalPattern = new RegExp(pattern.source, 'g');
+        const globalPattern = new RegExp(plaintiffPatterns[p].source, "g");
         let match;
         while ((match = globalPattern.exec(cleanText)) !== null) {
           allMatches.push(match);
         }
-        for (const match of allMatches) {
-          let name = match[1].trim();
-          const cleanedName = name.replace(/\s+/g, '');
+        for (const match2 of allMatches) {
+          let name = match2[1].trim();
+          const cleanedName = name.replace(/\s+/g, "");
           if (cleanedName.length <= 1) continue;
-          name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+          name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => " " + suffix.replace(/\s+/g, ""));
           const parts = name.split(/ (外\d+名)$/);
-          if (parts.length > 1) {
-            info.plaintiffName = parts[0].replace(/\s+/g, '') + ' ' + parts[1];
-          } else {
-            info.plaintiffName = cleanedName;
-          }
+          const value = parts.length > 1 ? parts[0].replace(/\s+/g, "") + " " + parts[1] : cleanedName;
+          const start = groupStart(match2, 1);
+          setField(
+            "plaintiffName",
+            value,
+            p === 0 ? "party.bracket" : "party.label",
+            start,
+            start + match2[1].trimEnd().length
+          );
           break;
         }
         if (info.plaintiffName) break;
       }
     }
-
     if (!info.defendantName) {
       const defendantPatterns = [
         /[【\[［]\s*(?:被|a)\s*告\s*[】\]］]\s*\n?\s*([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n【\[［]{1,30})/,
-        /被\s*告\s+(?!.*(?:訴\s*訟|代\s*理))([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n（(原代訴】\]］]{1,30})/,
+        /被\s*告\s+(?!.*(?:訴\s*訟|代\s*理))([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n（(原代訴】\]］]{1,30})/
       ];
-      for (const pattern of defendantPatterns) {
+      for (let p = 0; p < defendantPatterns.length; p++) {
         const allMatches = [];
-        const globalPattern = new RegExp(pattern.source, 'g');
+        const globalPattern = new RegExp(defendantPatterns[p].source, "g");
         let match;
         while ((match = globalPattern.exec(cleanText)) !== null) {
           allMatches.push(match);
         }
-        for (const match of allMatches) {
-          let name = match[1].trim();
-          const cleanedName = name.replace(/\s+/g, '');
+        for (const match2 of allMatches) {
+          let name = match2[1].trim();
+          const cleanedName = name.replace(/\s+/g, "");
           if (cleanedName.length <= 1) continue;
-          name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+          name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => " " + suffix.replace(/\s+/g, ""));
           const parts = name.split(/ (外\d+名)$/);
-          if (parts.length > 1) {
-            info.defendantName = parts[0].replace(/\s+/g, '') + ' ' + parts[1];
-          } else {
-            info.defendantName = cleanedName;
-          }
+          const value = parts.length > 1 ? parts[0].replace(/\s+/g, "") + " " + parts[1] : cleanedName;
+          const start = groupStart(match2, 1);
+          setField(
+            "defendantName",
+            value,
+            p === 0 ? "party.bracket" : "party.label",
+            start,
+            start + match2[1].trimEnd().length
+          );
           break;
         }
         if (info.defendantName) break;
       }
     }
-
-    // --- 原告代理人弁護士名 ---
     const lawyerCandidates = [];
-
     function cleanLawyerName(rawName) {
       let name = rawName.trim();
       const cjkChars = name.match(/[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]+/g);
       if (cjkChars) {
-        name = cjkChars.join('');
+        name = cjkChars.join("");
       } else {
         return null;
       }
-      name = name.replace(/宛て$/, '');
-      name = name.replace(/[宛殿様御中方和]+$/, '');
+      name = name.replace(/宛て$/, "");
+      name = name.replace(/[宛殿様御中方和]+$/, "");
       if (name.length < 2 || name.length > 6) return null;
       if (/^[法会事件番号裁判]/.test(name)) return null;
       return name;
     }
-
-    const ownLawyerNames = config.lawyerNames || [];
-
+    const ownLawyerNames = getOwnLawyerNames(config);
+    const LAWYER_PATTERNS = ["lawyer.formal", "lawyer.sender", "lawyer.addressee", "lawyer.general"];
+    function lawyerCandidate(name, priority, match) {
+      const start = groupStart(match, 1);
+      return { name, priority, start, end: start + match[1].trimEnd().length };
+    }
     const formalPattern = /原告\s*(?:ら)?\s*(?:訴\s*訟)?\s*代理\s*人\s*弁護\s*士\s*([^\n]{2,20})/g;
     let lm;
     while ((lm = formalPattern.exec(cleanText)) !== null) {
       const name = cleanLawyerName(lm[1]);
-      if (name) lawyerCandidates.push({ name, priority: 1 });
+      if (name) lawyerCandidates.push(lawyerCandidate(name, 1, lm));
     }
-
     const senderPattern = /人\s*弁護\s*士\s*([^\n]{2,20})/g;
     while ((lm = senderPattern.exec(cleanText)) !== null) {
       const contextBefore = cleanText.substring(Math.max(0, lm.index - 30), lm.index);
-      if (contextBefore.includes('被告')) continue;
+      if (contextBefore.includes("被告")) continue;
       const name = cleanLawyerName(lm[1]);
-      if (name) lawyerCandidates.push({ name, priority: 2 });
+      if (name) lawyerCandidates.push(lawyerCandidate(name, 2, lm));
     }
-
     const atePattern = /弁護\s*士\s*([^\n]{2,15})\s*宛/g;
     while ((lm = atePattern.exec(cleanText)) !== null) {
       const name = cleanLawyerName(lm[1]);
-      if (name) lawyerCandidates.push({ name, priority: 3 });
+      if (name) lawyerCandidates.push(lawyerCandidate(name, 3, lm));
     }
-
     const generalPattern = /弁護\s*士\s*([^\n]{2,15})/g;
     while ((lm = generalPattern.exec(cleanText)) !== null) {
       const contextBefore = cleanText.substring(Math.max(0, lm.index - 50), lm.index);
-      if (contextBefore.includes('被告')) continue;
+      if (contextBefore.includes("被告")) continue;
       const name = cleanLawyerName(lm[1]);
-      if (name && !ownLawyerNames.some(own => name.includes(own))) {
-        lawyerCandidates.push({ name, priority: 4 });
+      if (name && !ownLawyerNames.some((own) => name.includes(own))) {
+        lawyerCandidates.push(lawyerCandidate(name, 4, lm));
       }
     }
-
     if (lawyerCandidates.length > 0) {
-      const uniqueNames = [...new Set(lawyerCandidates.map(c => c.name))];
-      const uniqueCandidates = uniqueNames.map(name => {
-        const best = lawyerCandidates.filter(c => c.name === name)
-          .sort((a, b) => a.priority - b.priority)[0];
-        return best;
+      const uniqueNames = [...new Set(lawyerCandidates.map((c) => c.name))];
+      const uniqueCandidates = uniqueNames.map((name) => {
+        const best2 = lawyerCandidates.filter((c) => c.name === name).sort((a, b) => a.priority - b.priority)[0];
+        return best2;
       });
       uniqueCandidates.sort((a, b) => {
         if (a.priority !== b.priority) return a.priority - b.priority;
-        const aIdeal = (a.name.length >= 3 && a.name.length <= 4) ? 0 : 1;
-        const bIdeal = (b.name.length >= 3 && b.name.length <= 4) ? 0 : 1;
+        const aIdeal = a.name.length >= 3 && a.name.length <= 4 ? 0 : 1;
+        const bIdeal = b.name.length >= 3 && b.name.length <= 4 ? 0 : 1;
         if (aIdeal !== bIdeal) return aIdeal - bIdeal;
         return b.name.length - a.name.length;
       });
-      let bestName = uniqueCandidates[0].name;
+      const best = uniqueCandidates[0];
+      let bestName = best.name;
+      let penalty = 0;
       if (bestName.length === 5) {
-        const shorter = uniqueCandidates.find(c => c.name.length <= 3 && bestName.startsWith(c.name));
+        const shorter = uniqueCandidates.find((c) => c.name.length <= 3 && bestName.startsWith(c.name));
         if (shorter) {
           bestName = bestName.substring(0, 4);
+          penalty += 0.1;
         }
       }
-      info.plaintiffLawyer = bestName;
+      const hasRival = (cand) => uniqueCandidates.some((c) => c !== cand && c.priority === cand.priority && !cand.name.startsWith(c.name) && !c.name.startsWith(cand.name));
+      if (hasRival(best)) penalty += 0.15;
+      setField("plaintiffLawyer", bestName, LAWYER_PATTERNS[best.priority - 1], best.start, best.end, penalty);
+      uniqueCandidates.forEach((c) => {
+        addCandidate(
+          "plaintiffLawyer",
+          c.name,
+          LAWYER_PATTERNS[c.priority - 1],
+          c.start,
+          c.end,
+          hasRival(c) ? 0.15 : 0
+        );
+      });
     }
-
-    // --- 裁判所FAX番号（辞書引き）---
     if (info.courtName) {
-      const courtBase = info.courtName
-        .replace(/民事第[０-９\d]+部.*$/, '')
-        .replace(/第[０-９\d]+[民刑]事部$/, '');
-      info.courtFax = COURT_FAX_MAP[courtBase] || '';
+      const match = lookupCourt(info.courtName);
+      info.courtFax = match && match.fax || "";
+      if (info.courtFax) {
+        const pattern = match.matchedBy === "division" ? "courtFax.directoryDivision" : match.matchedBy === "parent" ? "courtFax.directoryParent" : "courtFax.directory";
+        setField("courtFax", info.courtFax, pattern);
+        fieldMeta.courtFax.directory = match;
+        addCandidate("courtFax", info.courtFax, pattern).directory = match;
+      }
+    }
+    const ownFaxPatterns = getOwnFaxNumbers(config);
+    const courtFaxValues = [];
+    for (const court of getCourtDirectory()) {
+      [court.fax, ...court.divisions.map((d) => d.fax)].forEach((fax) => {
+        if (fax) courtFaxValues.push(fax);
+      });
     }
-
-    // --- FAX番号の抽出 ---
-    const ownFaxPatterns = config.faxNumbers || [];
-    const courtFaxValues = Object.values(COURT_FAX_MAP);
-
     function normalizeFax(raw) {
-      return raw
-        .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
-        .replace(/[－ー・]/g, '-');
+      return raw.replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 65248)).replace(/[－ー・]/g, "-");
     }
-
     const explicitCourtFaxMatch = cleanText.match(
       /裁\s*判\s*所[\s\S]{0,60}?[（(]\s*(?:FAX|ＦＡＸ|[Ff]ax)\s*([0-9０-９\-－ー・]+)\s*[）)]/
     );
     if (explicitCourtFaxMatch) {
-      info.courtFaxFromPdf = normalizeFax(explicitCourtFaxMatch[1]);
+      const start = explicitCourtFaxMatch.index + explicitCourtFaxMatch[0].lastIndexOf(explicitCourtFaxMatch[1]);
+      setField(
+        "courtFaxFromPdf",
+        normalizeFax(explicitCourtFaxMatch[1]),
+        "courtFax.explicit",
+        start,
+        start + explicitCourtFaxMatch[1].length
+      );
     }
-
     const allExplicitFaxes = [];
     const explicitFaxRegex = /([\u4e00-\u9fff]{1,10})\s*[（(]\s*(?:FAX|ＦＡＸ|[Ff]ax)\s*([0-9０-９\-－ー・]+)\s*[）)]/g;
     let efm;
     while ((efm = explicitFaxRegex.exec(cleanText)) !== null) {
-      allExplicitFaxes.push({ label: efm[1], fax: normalizeFax(efm[2]) });
+      const start = efm.index + efm[0].lastIndexOf(efm[2]);
+      allExplicitFaxes.push({ label: efm[1], fax: normalizeFax(efm[2]), start, end: start + efm[2].length });
     }
     for (const ef of allExplicitFaxes) {
-      if (ef.label.includes('裁判') || ef.label.includes('裁判所')) continue;
+      if (ef.label.includes("裁判") || ef.label.includes("裁判所")) continue;
       if (info.courtFaxFromPdf && ef.fax === info.courtFaxFromPdf) continue;
-      const isOwn = ownFaxPatterns.some(p => ef.fax.includes(p));
-      if (!isOwn && !info.plaintiffLawyerFax) {
-        info.plaintiffLawyerFax = ef.fax;
+      const isOwn = ownFaxPatterns.some((p) => ef.fax.includes(p));
+      if (isOwn) continue;
+      if (!info.plaintiffLawyerFax) {
+        setField("plaintiffLawyerFax", ef.fax, "lawyerFax.labeled", ef.start, ef.end);
       }
+      addCandidate("plaintiffLawyerFax", ef.fax, "lawyerFax.labeled", ef.start, ef.end);
     }
-
     const faxRegex = /(?:FAX|ＦＡＸ|[Ff]ax)[：:\s]*([0-9０-９\-－ー・]+)/g;
     const allFaxEntries = [];
     let faxMatch;
     while ((faxMatch = faxRegex.exec(cleanText)) !== null) {
       const faxNum = normalizeFax(faxMatch[1]);
-      allFaxEntries.push({ fax: faxNum, index: faxMatch.index });
+      const start = groupStart(faxMatch, 1);
+      allFaxEntries.push({ fax: faxNum, index: faxMatch.index, start, end: start + faxMatch[1].length });
     }
-
-    for (const entry of allFaxEntries) {
-      const isOwnFax = ownFaxPatterns.some(p => entry.fax.includes(p));
+    for (const entry2 of allFaxEntries) {
+      const isOwnFax = ownFaxPatterns.some((p) => entry2.fax.includes(p));
       if (isOwnFax) continue;
-      if (info.courtFaxFromPdf && entry.fax.includes(info.courtFaxFromPdf)) continue;
-      const isKnownCourtFax = courtFaxValues.some(cf => entry.fax.includes(cf));
+      if (info.courtFaxFromPdf && entry2.fax.includes(info.courtFaxFromPdf)) continue;
+      const isKnownCourtFax = courtFaxValues.some((cf) => entry2.fax.includes(cf));
       const textBefore = cleanText.substring(
-        Math.max(0, entry.index - 200), entry.index
+        Math.max(0, entry2.index - 200),
+        entry2.index
       );
-      const isNearPlaintiffLawyer = /原告\s*(?:ら)?\s*訴\s*訟\s*代\s*理\s*人/.test(textBefore) ||
-        (/弁護\s*士/.test(textBefore) && !textBefore.includes('被告'));
+      const isNearPlaintiffLawyer = /原告\s*(?:ら)?\s*訴\s*訟\s*代\s*理\s*人/.test(textBefore) || /弁護\s*士/.test(textBefore) && !textBefore.includes("被告");
       const isNearDefendantLawyer = /被告\s*(?:ら)?\s*訴\s*訟\s*代\s*理\s*人/.test(textBefore);
-      if (isNearDefendantLawyer) continue;
+      if (isNearDefendantLawyer) {
+        if (!isKnownCourtFax) addCandidate("plaintiffLawyerFax", entry2.fax, "lawyerFax.nearDefendant", entry2.start, entry2.end);
+        continue;
+      }
       if (isKnownCourtFax) {
         if (!info.courtFaxFromPdf) {
-          info.courtFaxFromPdf = entry.fax;
-        }
-      } else if (isNearPlaintiffLawyer) {
-        if (!info.plaintiffLawyerFax) {
-          info.plaintiffLawyerFax = entry.fax;
+          setField("courtFaxFromPdf", entry2.fax, "courtFax.known", entry2.start, entry2.end);
         }
+        addCandidate("courtFax", entry2.fax, "courtFax.known", entry2.start, entry2.end);
       } else {
+        const pattern = isNearPlaintiffLawyer ? "lawyerFax.nearLawyer" : "lawyerFax.fallback";
         if (!info.plaintiffLawyerFax) {
-          info.plaintiffLawyerFax = entry.fax;
+          setField("plaintiffLawyerFax", entry2.fax, pattern, entry2.start, entry2.end);
         }
+        addCandidate("plaintiffLawyerFax", entry2.fax, pattern, entry2.start, entry2.end);
       }
     }
-
     if (info.courtFaxFromPdf) {
       info.courtFax = info.courtFaxFromPdf;
+      fieldMeta.courtFax = fieldMeta.courtFaxFromPdf;
+      const check = info.courtName ? checkCourtFax(info.courtName, info.courtFax) : null;
+      if (check && check.status === "mismatch") {
+        info.courtFaxMismatch = check;
+        fieldMeta.courtFax = Object.assign({}, fieldMeta.courtFax, {
+          confidence: Math.max(0, Math.round((fieldMeta.courtFax.confidence - COURT_FAX_MISMATCH_PENALTY) * 100) / 100)
+        });
+      }
     }
-
+    for (const field of Object.keys(fieldMeta)) {
+      const others = (candidates[field] || []).filter((c) => c.value !== info[field]);
+      candidates[field] = [Object.assign({ value: info[field] }, fieldMeta[field])].concat(others);
+    }
+    info.fieldMeta = fieldMeta;
+    info.candidates = candidates;
     return info;
   }
 
-  // =============================================
-  // Section 4: 文書送付書 Word生成
-  // =============================================
-
-  function safeReplaceInXml(xml, oldText, newText) {
-    const paraRegex = /(<w:p[\s>][\s\S]*?<\/w:p>)/g;
-    return xml.replace(paraRegex, (paraXml) => {
-      const wtRegex = /<w:t([^>]*)>([^<]*)<\/w:t>/g;
-      const segments = [];
-      let m;
-      while ((m = wtRegex.exec(paraXml)) !== null) {
-        segments.push({ fullMatch: m[0], attrs: m[1], text: m[2], index: m.index });
-      }
-      if (segments.length === 0) return paraXml;
-      const joinedText = segments.map(s => s.text).join('');
-      if (!joinedText.includes(oldText)) return paraXml;
-
-      const matchStart = joinedText.indexOf(oldText);
-      const matchEnd = matchStart + oldText.length;
-      let cumulative = 0;
-      for (const seg of segments) {
-        seg.startPos = cumulative;
-        seg.endPos = cumulative + seg.text.length;
-        cumulative += seg.text.length;
-      }
-      const affectedSegs = segments.filter(
-        seg => seg.endPos > matchStart && seg.startPos < matchEnd
-      );
-      if (affectedSegs.length === 0) return paraXml;
-
-      if (affectedSegs.length === 1) {
-        const seg = affectedSegs[0];
-        const localStart = matchStart - seg.startPos;
-        const localEnd = matchEnd - seg.startPos;
-        const newSegText = seg.text.substring(0, localStart) + newText + seg.text.substring(localEnd);
-        const hasPreserve = seg.attrs.includes('xml:space="preserve"');
-        const newAttrs = hasPreserve ? seg.attrs : ' xml:space="preserve"';
-        const newWt = `<w:t${newAttrs}>${newSegText}</w:t>`;
-        return paraXml.substring(0, seg.index) + newWt +
-          paraXml.substring(seg.index + seg.fullMatch.length);
-      }
-
-      let segIdx = 0;
-      const result = paraXml.replace(/<w:t([^>]*)>([^<]*)<\/w:t>/g, (match, attrs, text) => {
-        const seg = segments[segIdx];
-        segIdx++;
-        if (!affectedSegs.includes(seg)) return match;
-        const isFirst = seg === affectedSegs[0];
-        const isLast = seg === affectedSegs[affectedSegs.length - 1];
-        const hasPreserve = attrs.includes('xml:space="preserve"');
-        const newAttrs = hasPreserve ? attrs : ' xml:space="preserve"';
-        if (isFirst && isLast) {
-          const localStart = matchStart - seg.startPos;
-          const localEnd = matchEnd - seg.startPos;
-          return `<w:t${newAttrs}>${text.substring(0, localStart)}${newText}${text.substring(localEnd)}</w:t>`;
-        } else if (isFirst) {
-          const localStart = matchStart - seg.startPos;
-          return `<w:t${newAttrs}>${text.substring(0, localStart)}${newText}</w:t>`;
-        } else if (isLast) {
-          const localEnd = matchEnd - seg.startPos;
-          const remaining = text.substring(localEnd);
-          if (remaining.length > 0) {
-            return `<w:t${newAttrs}>${remaining}</w:t>`;
-          } else {
-            return `<w:t${attrs}></w:t>`;
+  // src/assets.js
+  async function _idbGet(storeName, key) {
+    if (!runtime.indexedDB) return null;
+    return new Promise((resolve) => {
+      try {
+        const req = runtime.indexedDB.open("tsukurukun_cache", 1);
+        req.onupgradeneeded = (e) => {
+          const db = e.target.result;
+          ["fonts", "templates"].forEach((s) => {
+            if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
+          });
+        };
+        req.onsuccess = () => {
+          try {
+            const g = req.result.transaction(storeName, "readonly").objectStore(storeName).get(key);
+            g.onsuccess = () => resolve(g.result || null);
+            g.onerror = () => resolve(null);
+          } catch (e) {
+            resolve(null);
           }
-        } else {
-          return `<w:t${attrs}></w:t>`;
-        }
-      });
-      return result;
+        };
+        req.onerror = () => resolve(null);
+      } catch (e) {
+        resolve(null);
+      }
     });
   }
-
-  function applyInfoToTemplate(docXml, info, documentTitle) {
-    const today = getTodayReiwa();
-    if (info.courtName) {
-      const ORIG_COURT = '神戸地方裁判所尼崎支部第２民事部';
-      const courtDiff = ORIG_COURT.length - info.courtName.length;
-      const courtPad = courtDiff > 0 ? '\u3000'.repeat(courtDiff) : '';
-      docXml = safeReplaceInXml(docXml, ORIG_COURT, info.courtName + courtPad);
-    }
-    if (info.courtFax) {
-      docXml = safeReplaceInXml(docXml, '06-6438-1710', info.courtFax);
-      const fullWidthFax = toFullWidthNumber(info.courtFax).replace(/-/g, '\uFF0D');
-      docXml = safeReplaceInXml(docXml, '\uFF10\uFF16\u2015\uFF16\uFF14\uFF13\uFF18\uFF0D\uFF11\uFF17\uFF11\uFF10', fullWidthFax);
+  async function _idbPut(storeName, key, value) {
+    if (!runtime.indexedDB) return;
+    try {
+      const req = runtime.indexedDB.open("tsukurukun_cache", 1);
+      req.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        ["fonts", "templates"].forEach((s) => {
+          if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
+        });
+      };
+      req.onsuccess = () => {
+        try {
+          req.result.transaction(storeName, "readwrite").objectStore(storeName).put(value, key);
+        } catch (e) {
+        }
+      };
+    } catch (e) {
     }
-    if (info.plaintiffLawyer) {
-      const ORIG_LAWYER = '四方久寛';
-      const lawyerDiff = ORIG_LAWYER.length - info.plaintiffLawyer.length;
-      const lawyerPad = lawyerDiff > 0 ? '\u3000'.repeat(lawyerDiff) : '';
-      docXml = safeReplaceInXml(docXml, ORIG_LAWYER, info.plaintiffLawyer + lawyerPad);
+  }
+  var _cachedFontBytes = null;
+  async function loadJapaneseFont() {
+    if (_cachedFontBytes) return _cachedFontBytes;
+    const cached = await _idbGet("fonts", "NotoSerifJP");
+    if (cached) {
+      console.log("[フォント] IndexedDBキャッシュから読み込み");
+      _cachedFontBytes = cached;
+      return _cachedFontBytes;
     }
-    if (info.plaintiffLawyerFax) {
-      docXml = safeReplaceInXml(docXml, '06-4708-3638', info.plaintiffLawyerFax);
+    const urls = [
+      "fonts/NotoSerifJP.ttf",
+      "https://cdn.jsdelivr.net/gh/Rachmaninovpiano/bunsho-sofusho-juryosho-auto@master/docs/fonts/NotoSerifJP.ttf"
+    ];
+    for (const url of urls) {
+      try {
+        console.log("[フォント] 読み込み試行:", url);
+        const resp = await runtime.fetch(url);
+        if (resp.ok) {
+          _cachedFontBytes = await resp.arrayBuffer();
+          console.log("[フォント] 読み込み成功:", url, _cachedFontBytes.byteLength, "bytes");
+          await _idbPut("fonts", "NotoSerifJP", _cachedFontBytes);
+          return _cachedFontBytes;
+        }
+      } catch (e) {
+        console.warn("[フォント] 読み込み失敗:", url, e.message);
+        continue;
+      }
     }
-    docXml = safeReplaceInXml(docXml, '令和6年11月7日', `令和${today.year}年${today.month}月${today.day}日`);
-    docXml = safeReplaceInXml(docXml, '令和6年9月', `令和${today.year}年${today.month}月`);
-    if (info.caseNumber) {
-      const fullWidthCaseNumber = toFullWidthNumber(info.caseNumber);
-      docXml = safeReplaceInXml(docXml, '令和３年（ワ）第８００号', fullWidthCaseNumber);
+    if (!runtime.pickFontFile) {
+      throw new Error("日本語フォント（fonts/NotoSerifJP.ttf）の読み込みに失敗しました");
     }
-    if (info.caseName) {
-      docXml = safeReplaceInXml(docXml, '損害賠償請求事件', info.caseName);
-    }
-    if (info.plaintiffName) {
-      docXml = safeReplaceInXml(docXml, '木村治紀', info.plaintiffName);
+    _cachedFontBytes = await runtime.pickFontFile();
+    await _idbPut("fonts", "NotoSerifJP", _cachedFontBytes);
+    console.log("[フォント] ファイル選択で読み込み成功、キャッシュ保存");
+    return _cachedFontBytes;
+  }
+  async function loadTemplate(localPath, cdnPath, cacheKey) {
+    const cached = await _idbGet("templates", cacheKey);
+    if (cached) {
+      console.log("[テンプレート] キャッシュから読み込み:", cacheKey);
+      return cached;
     }
-    if (info.defendantName) {
-      docXml = safeReplaceInXml(docXml, '独立行政法人国立病院機構', info.defendantName);
+    const urls = [localPath];
+    if (cdnPath) urls.push(cdnPath);
+    for (const url of urls) {
+      try {
+        const resp = await runtime.fetch(url);
+        if (resp.ok) {
+          const data = await resp.arrayBuffer();
+          await _idbPut("templates", cacheKey, data);
+          console.log("[テンプレート] 読み込み成功:", url);
+          return data;
+        }
+      } catch (e) {
+        continue;
+      }
     }
-    docXml = safeReplaceInXml(docXml, '被告第９準備書面', documentTitle);
-    return docXml;
+    throw new Error("テンプレートの読み込みに失敗しました: " + cacheKey);
   }
 
-  function getDocumentTitleFromFilename(fileName) {
-    let baseName = fileName.replace(/\.pdf$/i, '');
-    baseName = baseName.replace(/^【[^】]+】\s*/, '');
-    baseName = baseName.replace(/^[\u4e00-\u9fff]+事案[\s\u3000]+/, '');
-    return baseName;
+  // src/sofusho-template.js
+  var STORE2 = "templates";
+  var BUILTIN_TEMPLATE_ID = "builtin";
+  var BUILTIN_TEMPLATE_NAME = "同梱テンプレート（文書送付書）";
+  var TEMPLATE_PLACEHOLDERS = {
+    courtName: "裁判所名",
+    courtFax: "裁判所FAX",
+    caseNumber: "事件番号",
+    caseName: "事件名",
+    plaintiffName: "原告",
+    defendantName: "被告",
+    plaintiffLawyer: "原告代理人弁護士",
+    plaintiffLawyerFax: "原告代理人FAX",
+    documentTitle: "送付書類名",
+    documentList: "送付書類の一覧（1書類1行・枚数付き）",
+    totalPages: "送信枚数（送付書を含む）",
+    date: "作成日（令和○年○月○日）",
+    officeName: "事務所名",
+    signerName: "署名者名",
+    signerTitle: "署名者の肩書き（被告訴訟代理人など）",
+    signerFax: "署名者のFAX番号"
+  };
+  var REQUIRED_PLACEHOLDERS = [
+    "courtName",
+    "courtFax",
+    "caseNumber",
+    "caseName",
+    "plaintiffName",
+    "defendantName",
+    "documentTitle",
+    "date"
+  ];
+  var PLACEHOLDER_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+  var TEMPLATE_PART_PATTERN = /^word\/(document|header\d*|footer\d*)\.xml$/;
+  var memoryTemplates = /* @__PURE__ */ new Map();
+  async function getAllRecords() {
+    if (!runtime.indexedDB) return [...memoryTemplates.values()];
+    return idbRequest(openDataDatabase(), STORE2, "readonly", (store) => store.getAll());
   }
-
-  async function uploadAndExtractBrowser(file, onProgress) {
-    const fileName = file.name.toLowerCase();
-    const isDocx = fileName.endsWith('.docx') || fileName.endsWith('.doc');
-    console.log('[つくる君] 解析開始:', file.name, file.size, 'bytes', isDocx ? '(Word)' : '(PDF)');
-
-    const arrayBuffer = await file.arrayBuffer();
-    let extractedText;
-
-    if (isDocx) {
-      onProgress && onProgress('Wordファイルを読み込み中...');
-      extractedText = await extractTextFromDocx(arrayBuffer, onProgress);
-    } else {
-      onProgress && onProgress('PDFを読み込み中...');
-      extractedText = await extractTextBrowser(arrayBuffer, onProgress);
+  async function getRecord(id) {
+    if (!runtime.indexedDB) return memoryTemplates.get(id) || null;
+    return await idbRequest(openDataDatabase(), STORE2, "readonly", (store) => store.get(id)) || null;
+  }
+  async function putRecord(record) {
+    if (!runtime.indexedDB) {
+      memoryTemplates.set(record.id, record);
+      return;
     }
-
-    console.log('[つくる君] 抽出テキスト:', extractedText.length, '文字');
-    onProgress && onProgress('情報を抽出中...');
-    const info = extractInfoFromText(extractedText);
-    console.log('[つくる君] 抽出結果:', JSON.stringify(info, null, 2));
-    const documentTitle = getDocumentTitleFromFilename(file.name);
-    return { info, documentTitle, originalName: file.name };
+    await idbRequest(openDataDatabase(), STORE2, "readwrite", (store) => store.put(record));
   }
-
-  async function generateDocumentBrowser(info, documentTitle, onProgress) {
-    onProgress && onProgress('テンプレートを読み込み中...');
-    const templateData = await loadTemplate(
-      'template/文書送付書.doc.docx',
-      'https://cdn.jsdelivr.net/gh/Rachmaninovpiano/bunsho-sofusho-juryosho-auto@master/docs/template/%E6%96%87%E6%9B%B8%E9%80%81%E4%BB%98%E6%9B%B8.doc.docx',
-      'sofusho_template'
-    );
-    onProgress && onProgress('テンプレートにデータを差し込み中...');
-    const zip = await JSZip.loadAsync(templateData);
-    let docXml = await zip.file('word/document.xml').async('string');
-    docXml = applyInfoToTemplate(docXml, info, documentTitle);
-    zip.file('word/document.xml', docXml);
-    onProgress && onProgress('Wordファイルを生成中...');
-    const outputBlob = await zip.generateAsync({ type: 'blob' });
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-    const outputFileName = `文書送付書_${documentTitle}_${timestamp}.docx`;
-    return { blob: outputBlob, fileName: outputFileName };
+  async function deleteRecord2(id) {
+    if (!runtime.indexedDB) {
+      memoryTemplates.delete(id);
+      return;
+    }
+    await idbRequest(openDataDatabase(), STORE2, "readwrite", (store) => store.delete(id));
   }
-
-  // =============================================
-  // Section 5: 受領書 OCR・PDF生成
-  // =============================================
-
-  async function runOcrBrowser(pdfArrayBuffer, pageNum, onProgress) {
-    onProgress && onProgress(`ページ${pageNum}を描画中...`);
-    const pdfDoc = await pdfjsLib.getDocument({
-      data: pdfArrayBuffer,
-      cMapUrl: CMAP_URL,
-      cMapPacked: true,
-    }).promise;
-    const page = await pdfDoc.getPage(pageNum);
-    const viewport = page.getViewport({ scale: 400 / 72 });
-    const canvas = document.createElement('canvas');
-    canvas.width = viewport.width;
-    canvas.height = viewport.height;
-    const ctx = canvas.getContext('2d');
-    await page.render({ canvasContext: ctx, viewport }).promise;
-    const imgWidth = canvas.width;
-    const imgHeight = canvas.height;
-    onProgress && onProgress(`ページ${pageNum}をOCR中...`);
-    const worker = await Tesseract.createWorker('jpn', 1, {
-      logger: m => {
-        if (m.status === 'recognizing text' && onProgress) {
-          onProgress(`OCR処理中... ${Math.round((m.progress || 0) * 100)}%`);
-        }
-      }
-    });
-    const { data } = await worker.recognize(canvas);
-    await worker.terminate();
-    const words = [];
-    if (data && data.words) {
-      for (const w of data.words) {
-        const text = w.text.trim();
-        if (!text) continue;
-        const bbox = w.bbox;
-        words.push({ x1: bbox.x0, y1: bbox.y0, x2: bbox.x1, y2: bbox.y1, text });
+  function paragraphTexts(xml) {
+    const texts = [];
+    const paraRegex = /<w:p[\s>][\s\S]*?<\/w:p>/g;
+    let p;
+    while ((p = paraRegex.exec(xml)) !== null) {
+      const wtRegex = /<w:t[^>]*>([^<]*)<\/w:t>/g;
+      let text = "";
+      let m;
+      while ((m = wtRegex.exec(p[0])) !== null) text += m[1];
+      texts.push(text);
+    }
+    return texts;
+  }
+  function findPlaceholderTokens(xml) {
+    const found = [];
+    for (const text of paragraphTexts(xml)) {
+      for (const m of text.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!found.some((f) => f.token === m[0])) found.push({ token: m[0], name: m[1] });
       }
     }
-    console.log(`  [OCR] ページ${pageNum}: ${words.length}語検出`);
-    return { words, imgWidth, imgHeight };
+    return found;
   }
-
-  function px2pdf(px, py, imgW, imgH, pgW, pgH) {
+  function findPlaceholders(xml) {
+    return [...new Set(findPlaceholderTokens(xml).map((f) => f.name))];
+  }
+  async function inspectSofushoTemplate(data) {
+    let zip;
+    try {
+      zip = await runtime.JSZip.loadAsync(data);
+    } catch (e) {
+      throw new Error("Wordファイル（.docx）として読み込めません");
+    }
+    if (!zip.file("word/document.xml")) throw new Error("Wordファイル（.docx）として読み込めません");
+    const names = [];
+    for (const partName of Object.keys(zip.files).filter((n) => TEMPLATE_PART_PATTERN.test(n))) {
+      findPlaceholders(await zip.file(partName).async("string")).forEach((name) => {
+        if (!names.includes(name)) names.push(name);
+      });
+    }
     return {
-      x: px * pgW / imgW,
-      y: pgH - (py * pgH / imgH),
+      placeholders: names.filter((name) => Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)),
+      unknown: names.filter((name) => !Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)),
+      missing: REQUIRED_PLACEHOLDERS.filter((name) => !names.includes(name))
     };
   }
-
-  function findReceiptLabel(words) {
-    const direct = words.find(w =>
-      w.text.includes('受領書') || w.text.includes('受領')
-    );
-    if (direct) return { found: true, y: direct.y1 };
-    const juWords = words.filter(w => w.text === '受');
-    for (const ju of juWords) {
-      const ryou = words.find(w =>
-        w.text === '領' &&
-        Math.abs(w.y1 - ju.y1) < 50 &&
-        w.x1 > ju.x1 && w.x1 < ju.x1 + 300
-      );
-      if (ryou) return { found: true, y: ju.y1 };
+  function summarize(record) {
+    const { data, ...summary } = record;
+    return summary;
+  }
+  async function listSofushoTemplates() {
+    const records = await getAllRecords();
+    records.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    const builtin = {
+      id: BUILTIN_TEMPLATE_ID,
+      name: BUILTIN_TEMPLATE_NAME,
+      fileName: "文書送付書.doc.docx",
+      builtin: true,
+      placeholders: [],
+      unknown: [],
+      missing: []
+    };
+    return [builtin].concat(records.map(summarize));
+  }
+  async function addSofushoTemplate(data, fileName, name) {
+    const report = await inspectSofushoTemplate(data);
+    if (report.placeholders.length === 0) {
+      throw new Error("差し込み項目（{{courtName}} など）がありません。" + (report.unknown.length ? `項目名を確認してください: ${report.unknown.join(", ")}` : "テンプレートに差し込み項目を入れてください"));
     }
-    return { found: false, y: null };
+    const record = Object.assign({
+      id: "tpl_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: (name || fileName.replace(/\.docx$/i, "")).trim(),
+      fileName,
+      builtin: false,
+      createdAt: (/* @__PURE__ */ new Date()).toISOString(),
+      data: ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data
+    }, report);
+    await putRecord(record);
+    return summarize(record);
   }
-
-  function scoreReceiptPage(words) {
-    const allText = words.map(w => w.text).join('');
-    let score = 0;
-    const receiptLabel = findReceiptLabel(words);
-    if (receiptLabel.found) score += 50;
-    if (/令和/.test(allText))  score += 10;
-    if (/代理人/.test(allText)) score += 10;
-    if (words.length > 200) score -= 20;
-    if (words.length > 300) score -= 20;
-    return score;
+  async function restoreSofushoTemplate(meta, data) {
+    if (!meta || !meta.id || meta.id === BUILTIN_TEMPLATE_ID) throw new Error("テンプレートの id がありません");
+    const report = await inspectSofushoTemplate(data);
+    const record = Object.assign({
+      id: meta.id,
+      name: meta.name || meta.fileName,
+      fileName: meta.fileName,
+      builtin: false,
+      createdAt: meta.createdAt || (/* @__PURE__ */ new Date()).toISOString(),
+      data: ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data
+    }, report);
+    await putRecord(record);
+    return summarize(record);
+  }
+  async function getSofushoTemplate(id) {
+    if (!id || id === BUILTIN_TEMPLATE_ID) return null;
+    return getRecord(id);
+  }
+  async function deleteSofushoTemplate(id) {
+    if (id === BUILTIN_TEMPLATE_ID) throw new Error("同梱テンプレートは削除できません");
+    await deleteRecord2(id);
+    if (getConfig().sofushoTemplateId === id) setDefaultSofushoTemplate(BUILTIN_TEMPLATE_ID);
+  }
+  function getDefaultSofushoTemplateId() {
+    return getConfig().sofushoTemplateId || BUILTIN_TEMPLATE_ID;
+  }
+  function setDefaultSofushoTemplate(id) {
+    saveConfig(Object.assign({}, getConfig(), { sofushoTemplateId: id }));
   }
 
-  async function findReceiptPage(pdfArrayBuffer, totalPages, onProgress) {
-    if (totalPages === 1) {
-      const ocr = await runOcrBrowser(pdfArrayBuffer, 1, onProgress);
-      return { pageNum: 1, ocr };
+  // src/settings-bundle.js
+  var FORMAT = "tsukurukun-settings";
+  var VERSION = 1;
+  var ENCRYPTED_VERSION = 2;
+  var SETTINGS_FILE = "settings.json";
+  var ENCRYPTED_FILE = "settings.enc";
+  var SIGNATURE_FILE = "signature.json";
+  var TEMPLATE_DIR = "templates/";
+  var PBKDF2_ITERATIONS2 = 31e4;
+  var MIN_PASSPHRASE_LENGTH2 = 8;
+  function subtle2() {
+    const s = runtime.crypto && runtime.crypto.subtle;
+    if (!s) throw new Error("この環境では署名できません（Web Crypto がありません）");
+    return s;
+  }
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+  function fromHex(hex) {
+    return new Uint8Array(String(hex).match(/../g).map((h) => parseInt(h, 16)));
+  }
+  async function bundleKeys(passphrase, salt, iterations) {
+    if (String(passphrase || "").length < MIN_PASSPHRASE_LENGTH2) {
+      throw new Error(`署名の合言葉は${MIN_PASSPHRASE_LENGTH2}文字以上にしてください`);
     }
-    const scanOrder = [1, totalPages];
-    for (let p = 2; p < totalPages; p++) scanOrder.push(p);
-    let bestPageNum = 1;
-    let bestOcr = null;
-    let bestScore = -Infinity;
-    for (const p of scanOrder) {
-      onProgress && onProgress(`ページ ${p}/${totalPages} スキャン中...`);
-      const ocr = await runOcrBrowser(pdfArrayBuffer, p, onProgress);
-      const score = scoreReceiptPage(ocr.words);
-      if (score > bestScore) {
-        bestScore = score;
-        bestPageNum = p;
-        bestOcr = ocr;
-      }
-      if (score >= 50) {
-        return { pageNum: p, ocr };
-      }
+    const base = await subtle2().importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+    const bits = new Uint8Array(await subtle2().deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, base, 512));
+    return {
+      sign: await subtle2().importKey("raw", bits.slice(0, 32), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]),
+      encrypt: await subtle2().importKey("raw", bits.slice(32), "AES-GCM", false, ["encrypt", "decrypt"])
+    };
+  }
+  function signedBytes(files) {
+    const sorted = Object.keys(files).sort().map((name) => [name, files[name]]);
+    return new TextEncoder().encode(JSON.stringify(sorted));
+  }
+  async function digestFiles(zip) {
+    const files = {};
+    for (const name of Object.keys(zip.files).sort()) {
+      if (name === SIGNATURE_FILE || zip.files[name].dir) continue;
+      files[name] = toHex(await subtle2().digest("SHA-256", await zip.file(name).async("uint8array")));
     }
-    return { pageNum: bestPageNum, ocr: bestOcr };
+    return files;
   }
-
-  function findReceiptSectionStart(words, imgH) {
-    const receiptLabel = findReceiptLabel(words);
-    if (receiptLabel.found && receiptLabel.y !== null) {
-      return Math.max(0, receiptLabel.y - 50);
+  async function exportSettingsBundle(passphrase) {
+    assertSecureStoreUnlocked();
+    const zip = new runtime.JSZip();
+    const templates = [];
+    for (const summary of (await listSofushoTemplates()).filter((t) => !t.builtin)) {
+      const template = await getSofushoTemplate(summary.id);
+      const path = TEMPLATE_DIR + summary.id + ".docx";
+      zip.file(path, template.data);
+      templates.push({ id: summary.id, name: summary.name, fileName: summary.fileName, createdAt: summary.createdAt, path });
     }
-    return 0;
+    const settings = {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: (/* @__PURE__ */ new Date()).toISOString(),
+      config: getConfig(),
+      courtDirectory: JSON.parse(exportCourtDirectory("json", { changedOnly: true })),
+      seals: listSeals(),
+      templates
+    };
+    const salt = runtime.crypto.getRandomValues(new Uint8Array(16));
+    const keys = await bundleKeys(passphrase, salt, PBKDF2_ITERATIONS2);
+    if (isSecureStoreEnabled()) {
+      const iv = runtime.crypto.getRandomValues(new Uint8Array(12));
+      const data = new TextEncoder().encode(JSON.stringify(settings));
+      zip.file(ENCRYPTED_FILE, new Uint8Array(await subtle2().encrypt({ name: "AES-GCM", iv }, keys.encrypt, data)));
+      zip.file(SETTINGS_FILE, JSON.stringify({
+        format: FORMAT,
+        version: ENCRYPTED_VERSION,
+        exportedAt: settings.exportedAt,
+        encryption: { algorithm: "AES-GCM", iv: toHex(iv), file: ENCRYPTED_FILE }
+      }, null, 2));
+    } else {
+      zip.file(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    }
+    const files = await digestFiles(zip);
+    const signature = await subtle2().sign("HMAC", keys.sign, signedBytes(files));
+    zip.file(SIGNATURE_FILE, JSON.stringify({
+      algorithm: "HMAC-SHA256",
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS2, salt: toHex(salt) },
+      files,
+      signature: toHex(signature)
+    }, null, 2));
+    return zip.generateAsync({ type: "blob", mimeType: "application/zip" });
   }
-
-  function detectPositions(words, imgW, imgH, pgW, pgH) {
-    const receiptStartY = findReceiptSectionStart(words, imgH);
-    const rw = words.filter(w => w.y1 >= receiptStartY);
-
-    let gyouWord = null;
-    const allGyouWords = rw.filter(w => w.text === '行');
-    if (allGyouWords.length > 0) {
-      const bengoWordInReceipt = rw.find(w =>
-        w.text.includes('弁護') || w.text.includes('護士')
-      );
-      if (bengoWordInReceipt) {
-        const bengoY = bengoWordInReceipt.y1;
-        const gyouInBengoLine = allGyouWords.filter(w => Math.abs(w.y1 - bengoY) < 60);
-        if (gyouInBengoLine.length > 0) {
-          gyouWord = gyouInBengoLine.reduce((a, b) => a.x1 > b.x1 ? a : b);
-        }
-      }
-      if (!gyouWord) {
-        gyouWord = allGyouWords.reduce((a, b) => a.y1 < b.y1 ? a : b);
+  async function decryptSettings(zip, encryption, key) {
+    const file = encryption.file === ENCRYPTED_FILE ? zip.file(ENCRYPTED_FILE) : null;
+    if (encryption.algorithm !== "AES-GCM" || !/^[0-9a-f]{24}$/.test(encryption.iv) || !file) {
+      throw new Error("暗号化した設定を読み込めません");
+    }
+    let plain;
+    try {
+      plain = await subtle2().decrypt({ name: "AES-GCM", iv: fromHex(encryption.iv) }, key, await file.async("uint8array"));
+    } catch (e) {
+      throw new Error("暗号化した設定を復号できません");
+    }
+    const settings = JSON.parse(new TextDecoder().decode(plain));
+    if (settings.format !== FORMAT || settings.version > VERSION) throw new Error("書き出した設定のファイルではありません");
+    return settings;
+  }
+  var HEX_DIGEST = /^[0-9a-f]{64}$/;
+  function validSignature(sig) {
+    const { kdf } = sig;
+    return sig.algorithm === "HMAC-SHA256" && kdf.name === "PBKDF2" && kdf.hash === "SHA-256" && kdf.iterations === PBKDF2_ITERATIONS2 && /^[0-9a-f]{32}$/.test(kdf.salt) && HEX_DIGEST.test(sig.signature) && typeof sig.files === "object" && Object.values(sig.files).every((digest) => HEX_DIGEST.test(digest));
+  }
+  async function readSettingsBundle(data, passphrase) {
+    let zip;
+    try {
+      zip = await runtime.JSZip.loadAsync(data);
+    } catch (e) {
+      throw new Error("設定のファイル（ZIP）を読み込めません: " + e.message);
+    }
+    const signatureFile = zip.file(SIGNATURE_FILE);
+    const settingsFile = zip.file(SETTINGS_FILE);
+    if (!signatureFile || !settingsFile) throw new Error("書き出した設定のファイルではありません");
+    let sig;
+    try {
+      sig = JSON.parse(await signatureFile.async("string"));
+    } catch (e) {
+      sig = null;
+    }
+    if (!sig || !sig.kdf || !sig.signature || !sig.files) throw new Error("設定のファイルに署名がありません");
+    if (!validSignature(sig)) throw new Error("書き出した設定のファイルではありません（署名の形式が違います）");
+    const files = await digestFiles(zip);
+    const listed = Object.keys(sig.files).sort();
+    const keys = await bundleKeys(passphrase, fromHex(sig.kdf.salt), sig.kdf.iterations);
+    const valid = await subtle2().verify("HMAC", keys.sign, fromHex(sig.signature), signedBytes(sig.files));
+    const unchanged = listed.length === Object.keys(files).length && listed.every((name) => files[name] === sig.files[name]);
+    if (!valid || !unchanged) {
+      throw new Error("署名が一致しません（署名の合言葉が違うか、ファイルが書き換えられています）");
+    }
+    let settings = JSON.parse(await settingsFile.async("string"));
+    if (settings.format !== FORMAT) throw new Error("書き出した設定のファイルではありません");
+    if (settings.version > ENCRYPTED_VERSION) throw new Error("新しい版で書き出した設定です。アプリを更新してください");
+    if (settings.encryption) settings = await decryptSettings(zip, settings.encryption, keys.encrypt);
+    return { settings, zip };
+  }
+  async function importSettingsBundle(data, passphrase) {
+    assertSecureStoreUnlocked();
+    const { settings, zip } = await readSettingsBundle(data, passphrase);
+    let templates = 0;
+    for (const meta of settings.templates || []) {
+      const file = zip.file(meta.path);
+      if (!file) continue;
+      await restoreSofushoTemplate(meta, await file.async("arraybuffer"));
+      templates++;
+    }
+    const courts = settings.courtDirectory ? importCourtDirectory(JSON.stringify(settings.courtDirectory), "json").courts : 0;
+    const seals = importSeals(settings.seals);
+    const config = settings.config || {};
+    saveConfig(config);
+    return { lawyers: (config.lawyers || []).length, courts, seals, templates };
+  }
+  function applyOfficeConfig(source) {
+    let data = source || {};
+    if (typeof data === "string") {
+      try {
+        data = JSON.parse(data.replace(/^\uFEFF/, ""));
+      } catch (e) {
+        throw new Error("事務所共通の設定ファイルを読み込めません: " + e.message);
       }
     }
+    const { courtDirectory, ...config } = data;
+    setOfficeConfig(config);
+    setOfficeCourtDirectory(courtDirectory || null);
+    return config;
+  }
 
-    let agentWord = null;
-    const agentCandidates = rw.filter(w =>
-      w.text.includes('代理人') || w.text.includes('代理')
-    );
-    if (agentCandidates.length > 0) {
-      agentWord = agentCandidates.reduce((a, b) => a.y1 > b.y1 ? a : b);
-    } else {
-      const midY = receiptStartY + (imgH - receiptStartY) * 0.5;
-      const agentCandidates2 = rw.filter(w =>
-        w.y1 > midY && (w.text.includes('被告') || w.text.includes('原告'))
-      );
-      if (agentCandidates2.length > 0) {
-        agentWord = agentCandidates2.reduce((a, b) => a.y1 > b.y1 ? a : b);
+  // src/case-registry.js
+  var STORE3 = "cases";
+  var CASE_FIELDS = [
+    "courtName",
+    "courtFax",
+    "caseNumber",
+    "caseName",
+    "plaintiffName",
+    "defendantName",
+    "plaintiffLawyer",
+    "plaintiffLawyerFax",
+    "ownLawyer"
+  ];
+  var memoryCases = /* @__PURE__ */ new Map();
+  async function getAllRecords2() {
+    if (!runtime.indexedDB) return [...memoryCases.values()].map((r) => Object.assign({}, r));
+    return idbRequest(openDataDatabase(), STORE3, "readonly", (store) => store.getAll());
+  }
+  async function putRecord2(record) {
+    if (!runtime.indexedDB) {
+      memoryCases.set(record.key, Object.assign({}, record));
+      return;
+    }
+    await idbRequest(openDataDatabase(), STORE3, "readwrite", (store) => store.put(record));
+  }
+  async function deleteRecord3(key) {
+    if (!runtime.indexedDB) {
+      memoryCases.delete(key);
+      return;
+    }
+    await idbRequest(openDataDatabase(), STORE3, "readwrite", (store) => store.delete(key));
+  }
+  var CASE_NUMBER_PATTERN = new RegExp(`(${ERA_PATTERN})(元|[0-9〇一二三四五六七八九十百]+)年\\(([^)]+)\\)第?([0-9〇一二三四五六七八九十百千]+)号`);
+  function normalizeCaseNumber(caseNumber) {
+    const s = toHalfWidthDigits(String(caseNumber || "")).replace(/\s+/g, "").replace(/（/g, "(").replace(/）/g, ")");
+    const m = s.match(CASE_NUMBER_PATTERN);
+    if (!m) return s;
+    return `${m[1]}${parseJapaneseNumber(m[2])}年(${m[3]})第${parseJapaneseNumber(m[4])}号`;
+  }
+  function caseKey(caseNumber, courtName) {
+    const number = normalizeCaseNumber(caseNumber);
+    if (!number) return "";
+    return number + "|" + (courtName ? splitCourtName(courtName).court : "");
+  }
+  function numberPart(key) {
+    return key.split("|")[0];
+  }
+  function courtPart(key) {
+    return key.split("|")[1] || "";
+  }
+  function matchesKey(record, key) {
+    return record.key === key || (record.aliases || []).includes(key);
+  }
+  async function listCases() {
+    const records = await getAllRecords2();
+    return records.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+  async function findCase(caseNumber, courtName) {
+    const key = caseKey(caseNumber, courtName);
+    if (!key) return null;
+    const records = await getAllRecords2();
+    const exact = records.find((r) => matchesKey(r, key));
+    if (exact) return exact;
+    const court = courtPart(key);
+    const sameNumber = records.filter((r) => numberPart(r.key) === numberPart(key) && (!court || !courtPart(r.key)));
+    return sameNumber.length === 1 ? sameNumber[0] : null;
+  }
+  async function findCaseLawyer(text) {
+    const info = extractInfoFromText(text);
+    if (!info.caseNumber) return null;
+    const record = await findCase(info.caseNumber, info.courtName);
+    return record && record.ownLawyer ? findLawyerByName(record.ownLawyer) : null;
+  }
+  function pickFields(values) {
+    const out = {};
+    for (const field of CASE_FIELDS) out[field] = String(values[field] || "").trim();
+    return out;
+  }
+  async function saveCase(values) {
+    const fields = pickFields(values);
+    const key = caseKey(fields.caseNumber, fields.courtName);
+    if (!key) throw new Error("事件番号が空のため事件台帳に保存できません");
+    const now = (/* @__PURE__ */ new Date()).toISOString();
+    const existing = await findCase(fields.caseNumber, fields.courtName);
+    const record = existing ? Object.assign({}, existing) : { key, createdAt: now, useCount: 0, aliases: [] };
+    for (const field of CASE_FIELDS) {
+      if (fields[field]) record[field] = fields[field];
+      else if (record[field] === void 0) record[field] = "";
+    }
+    if (existing && existing.key !== key && !courtPart(existing.key) && courtPart(key)) {
+      await deleteRecord3(existing.key);
+      record.key = key;
+      record.aliases = (existing.aliases || []).concat(existing.key);
+    }
+    record.useCount = (record.useCount || 0) + 1;
+    record.updatedAt = now;
+    await putRecord2(record);
+    return record;
+  }
+  async function updateCase(key, values) {
+    const records = await getAllRecords2();
+    const current = records.find((r) => r.key === key);
+    if (!current) throw new Error("事件台帳に見つかりません: " + key);
+    const fields = pickFields(values);
+    const newKey = caseKey(fields.caseNumber, fields.courtName);
+    if (!newKey) throw new Error("事件番号を入力してください");
+    const record = Object.assign({}, current, fields, { updatedAt: (/* @__PURE__ */ new Date()).toISOString() });
+    if (newKey !== key) {
+      if (records.some((r) => r.key !== key && matchesKey(r, newKey))) {
+        throw new Error("同じ事件番号・裁判所の事件が既にあります。統合してください");
       }
+      await deleteRecord3(key);
+      record.key = newKey;
+      record.aliases = (current.aliases || []).filter((a) => a !== newKey).concat(key);
     }
-
-    if (agentWord) {
-      const agentY = agentWord.y1;
-      const agentRowWords = rw.filter(w => Math.abs(w.y1 - agentY) < 60).sort((a, b) => a.x1 - b.x1);
-      const ninWord = agentRowWords.find(w => w.text === '人' || w.text.endsWith('人'));
-      if (ninWord) agentWord._titleEndX = ninWord.x2;
-      const leftMost = agentRowWords[0];
-      if (leftMost && leftMost.x1 < agentWord.x1) agentWord._lineStartX = leftMost.x1;
+    await putRecord2(record);
+    return record;
+  }
+  async function deleteCase(key) {
+    await deleteRecord3(key);
+  }
+  async function mergeCases(targetKey, sourceKeys) {
+    const records = await getAllRecords2();
+    const target = records.find((r) => r.key === targetKey);
+    if (!target) throw new Error("事件台帳に見つかりません: " + targetKey);
+    const sources = records.filter((r) => r.key !== targetKey && sourceKeys.includes(r.key)).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    const merged = Object.assign({}, target);
+    const aliases = new Set(target.aliases || []);
+    for (const source of sources) {
+      for (const field of CASE_FIELDS) {
+        if (!merged[field] && source[field]) merged[field] = source[field];
+      }
+      aliases.add(source.key);
+      (source.aliases || []).forEach((a) => aliases.add(a));
+      merged.useCount = (merged.useCount || 0) + (source.useCount || 0);
+      await deleteRecord3(source.key);
     }
-
-    const searchTopY = gyouWord ? gyouWord.y1 + 20 : receiptStartY;
-    const searchBottomY = agentWord ? agentWord.y1 - 10 : imgH;
-
-    let dateWord = null;
-    const reiwaWords = rw.filter(w =>
-      w.y1 > searchTopY && w.y1 < searchBottomY &&
-      (w.text === '令' || w.text === '令和' || w.text.startsWith('令'))
-    );
-    if (reiwaWords.length > 0) {
-      dateWord = reiwaWords.reduce((a, b) => a.y1 < b.y1 ? a : b);
-    } else {
-      const dateish = rw.filter(w =>
-        w.y1 > searchTopY && w.y1 < searchBottomY &&
-        (w.text.includes('年') || w.text.includes('月'))
-      );
-      if (dateish.length > 0) {
-        dateWord = dateish.reduce((a, b) => a.y1 < b.y1 ? a : b);
+    aliases.delete(merged.key);
+    merged.aliases = [...aliases];
+    merged.updatedAt = (/* @__PURE__ */ new Date()).toISOString();
+    await putRecord2(merged);
+    return merged;
+  }
+  function applyCaseRecord(info, record, mode = "override") {
+    const out = Object.assign({}, info, {
+      fieldMeta: Object.assign({}, info.fieldMeta),
+      candidates: Object.assign({}, info.candidates)
+    });
+    const meta = {
+      confidence: PATTERN_CONFIDENCE.caseRegistry,
+      pattern: "caseRegistry",
+      span: null,
+      snippet: null,
+      caseRecord: record.key
+    };
+    const applied = [];
+    for (const field of CASE_FIELDS) {
+      const stored = record[field];
+      if (field === "caseNumber" || !stored || info[field] === stored) continue;
+      const others = (out.candidates[field] || []).filter((c) => c.value !== stored);
+      const candidate = Object.assign({ value: stored }, meta);
+      if (!info[field] || mode === "override") {
+        out[field] = stored;
+        out.fieldMeta[field] = meta;
+        out.candidates[field] = [candidate].concat(others);
+        applied.push(field);
+      } else {
+        out.candidates[field] = others.slice(0, 1).concat(candidate, others.slice(1));
       }
     }
+    if (applied.includes("courtFax")) delete out.courtFaxMismatch;
+    out.caseRecord = { key: record.key, applied, mode, updatedAt: record.updatedAt };
+    return out;
+  }
+  async function applyCaseRegistry(info, options = {}) {
+    if (!info.caseNumber) return info;
+    const record = await findCase(info.caseNumber, info.courtName);
+    if (!record) return info;
+    const mode = options.mode || getConfig().caseRegistryMode || "override";
+    return applyCaseRecord(info, record, mode);
+  }
 
-    if (!dateWord && agentWord) {
-      const estimatedY = Math.round(agentWord.y1 - (imgH * 0.06));
-      const estimatedX = Math.round(imgW * 0.05);
-      dateWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 200, y2: estimatedY + 40, text: '令和（推定）', estimated: true };
-    } else if (!dateWord) {
-      const estimatedY = Math.round(receiptStartY + (imgH - receiptStartY) * 0.5);
-      const estimatedX = Math.round(imgW * 0.05);
-      dateWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 200, y2: estimatedY + 40, text: '令和（推定）', estimated: true };
+  // src/page-frame.js
+  function rotateImagePoint(x, y, rotation, width, height) {
+    switch (rotation) {
+      case 90:
+        return { x: height - y, y: x };
+      case 180:
+        return { x: width - x, y: height - y };
+      case 270:
+        return { x: y, y: width - x };
+      default:
+        return { x, y };
     }
-    if (!agentWord) {
-      const estimatedY = Math.round(receiptStartY + (imgH - receiptStartY) * 0.85);
-      const estimatedX = Math.round(imgW * 0.20);
-      agentWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 300, y2: estimatedY + 40, text: '代理人（推定）', estimated: true };
+  }
+  function unrotateImagePoint(x, y, rotation, width, height) {
+    return rotateImagePoint(x, y, (360 - rotation) % 360, width, height);
+  }
+  function layoutToPagePoint(x, y, rotation, pageWidth, pageHeight) {
+    switch (rotation) {
+      case 90:
+        return { x: pageWidth - y, y: x };
+      case 180:
+        return { x: pageWidth - x, y: pageHeight - y };
+      case 270:
+        return { x: y, y: pageHeight - x };
+      default:
+        return { x, y };
     }
-
-    const gyouPdf = gyouWord ? {
-      left:   px2pdf(gyouWord.x1, gyouWord.y2, imgW, imgH, pgW, pgH),
-      right:  px2pdf(gyouWord.x2, gyouWord.y2, imgW, imgH, pgW, pgH),
-      top:    px2pdf(gyouWord.x1, gyouWord.y1, imgW, imgH, pgW, pgH).y,
-      width:  (gyouWord.x2 - gyouWord.x1) * pgW / imgW,
-      height: (gyouWord.y2 - gyouWord.y1) * pgH / imgH,
-      pxY1:   gyouWord.y1,
-    } : null;
-
-    const datePdfTop    = px2pdf(dateWord.x1, dateWord.y1, imgW, imgH, pgW, pgH);
-    const datePdfBottom = px2pdf(dateWord.x1, dateWord.y2, imgW, imgH, pgW, pgH);
-    const agentPdfTop    = px2pdf(agentWord.x1, agentWord.y1, imgW, imgH, pgW, pgH);
-    const agentPdfBottom = px2pdf(agentWord.x1, agentWord.y2, imgW, imgH, pgW, pgH);
-    const agentLinePdf = agentPdfBottom;
-    const agentTitleEndX = agentWord && agentWord._titleEndX
-      ? agentWord._titleEndX * pgW / imgW : null;
-
+  }
+  function layoutSize(width, height, rotation) {
+    return rotation === 90 || rotation === 270 ? { width: height, height: width } : { width, height };
+  }
+  function getPageFrame(page) {
+    const rotation = ((page.getRotation().angle || 0) % 360 + 360) % 360;
+    const crop = page.getCropBox();
+    const size = layoutSize(crop.width, crop.height, rotation);
     return {
-      gyou: gyouPdf,
-      date: { x: datePdfBottom.x, yTop: datePdfTop.y, yBase: datePdfBottom.y },
-      agent: { x: agentLinePdf.x, yTop: agentPdfTop.y, yBase: agentPdfBottom.y },
-      agentTitleEndX,
-      agentRowY: agentPdfBottom.y,
-      imgW, imgH,
+      width: size.width,
+      height: size.height,
+      rotation,
+      toPage(x, y) {
+        const p = layoutToPagePoint(x, y, rotation, crop.width, crop.height);
+        return { x: crop.x + p.x, y: crop.y + p.y };
+      },
+      rotate: runtime.PDFLib.degrees(rotation)
     };
   }
 
-  async function generateReceiptBrowser(file, options, onProgress) {
-    onProgress && onProgress('PDFを読み込み中...');
-    const today = new Date();
-    const reiwaYear = today.getFullYear() - 2018;
-    const defaultDate = `令和${reiwaYear}年${today.getMonth() + 1}月${today.getDate()}日`;
-    const config = getConfig();
-    const receiptDate = (options && options.receiptDate) || defaultDate;
-    const signerTitle = (options && options.signerTitle) || '被告訴訟代理人';
-    const signerName  = (options && options.signerName)  || config.signerName || '山田太郎';
+  // src/pdf.js
+  function openPdf(data) {
+    return runtime.pdfjsLib.getDocument(Object.assign({
+      data,
+      cMapUrl: runtime.cmapUrl,
+      cMapPacked: true
+    }, runtime.pdfjsOptions)).promise;
+  }
+  async function countPdfPages(data) {
+    const pdfDoc = await openPdf(data);
+    const count = pdfDoc.numPages;
+    pdfDoc.destroy();
+    return count;
+  }
+  async function renderPageToCanvas(page, scale) {
+    const viewport = page.getViewport({ scale });
+    const canvas = runtime.createCanvas(viewport.width, viewport.height);
+    const ctx = canvas.getContext("2d");
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return canvas;
+  }
+  async function getPdfPageSize(data, pageIndex) {
+    const pdfDoc = await runtime.PDFLib.PDFDocument.load(data);
+    const { width, height } = getPageFrame(pdfDoc.getPage(pageIndex));
+    return { width, height };
+  }
 
-    const pdfArrayBuffer = await file.arrayBuffer();
-    const pdfDoc = await PDFLib.PDFDocument.load(pdfArrayBuffer);
-    pdfDoc.registerFontkit(fontkit);
-    const totalPages = pdfDoc.getPageCount();
-
-    onProgress && onProgress('受領書ページを探しています...');
-    const { pageNum: receiptPageNum, ocr } = await findReceiptPage(pdfArrayBuffer, totalPages, onProgress);
-    const receiptPageIndex = receiptPageNum - 1;
-    const words = ocr.words;
-    const imgWidth = ocr.imgWidth;
-    const imgHeight = ocr.imgHeight;
-    const page = pdfDoc.getPage(receiptPageIndex);
-    const { width: pgW, height: pgH } = page.getSize();
-
-    onProgress && onProgress('フォントを読み込み中...');
-    const fontBytes = await loadJapaneseFont();
-    const font = await pdfDoc.embedFont(fontBytes, { subset: false });
-
-    const allChars = `行先生${receiptDate}${signerTitle}　${signerName}㊞`;
-    try { font.encodeText(allChars); } catch (e) { /* ignore */ }
-
-    onProgress && onProgress('書き込み位置を検出中...');
-    const pos = detectPositions(words, imgWidth, imgHeight, pgW, pgH);
-    const fs_ = 10.5;
-    const { rgb } = PDFLib;
-
-    // 「行」→ 二重打消し線 + 「先生」
-    if (pos.gyou) {
-      const g = pos.gyou;
-      const gyouOcrW = g.width;
-      const gyouCharW = font.widthOfTextAtSize('行', fs_);
-      const strikeW = Math.min(gyouOcrW, gyouCharW);
-      const midY = g.left.y + fs_ * 0.40;
-      const lx1 = g.left.x;
-      const lx2 = g.left.x + strikeW;
-      page.drawLine({ start: { x: lx1, y: midY + 1.5 }, end: { x: lx2, y: midY + 1.5 }, thickness: 0.8, color: rgb(0,0,0) });
-      page.drawLine({ start: { x: lx1, y: midY - 1.5 }, end: { x: lx2, y: midY - 1.5 }, thickness: 0.8, color: rgb(0,0,0) });
-      const senseiX = g.right.x + 2;
-      page.drawText('先生', { x: senseiX, y: g.left.y, size: fs_, font, color: rgb(0, 0, 0) });
+  // src/ocr-pool.js
+  var MAX_WORKERS = 4;
+  var IDLE_TIMEOUT_MS = 60 * 1e3;
+  var workers = [];
+  var queue = [];
+  var idleTimer = null;
+  function createAbortError() {
+    const err = new Error("読み取りを中止しました");
+    err.name = "AbortError";
+    return err;
+  }
+  function getOcrPoolSize() {
+    return Math.max(1, Math.min(MAX_WORKERS, runtime.ocrConcurrency || 1));
+  }
+  function createPoolWorker(lang) {
+    const entry2 = { lang, ready: null, job: null };
+    entry2.ready = runtime.Tesseract.createWorker(lang, 1, Object.assign({}, runtime.tesseractOptions, {
+      logger: (m) => {
+        if (m.status === "recognizing text" && entry2.job && entry2.job.onProgress) entry2.job.onProgress(m.progress || 0);
+      }
+    }));
+    workers.push(entry2);
+    return entry2;
+  }
+  function discardWorker(entry2) {
+    const i = workers.indexOf(entry2);
+    if (i >= 0) workers.splice(i, 1);
+    entry2.ready.then((worker) => worker.terminate()).catch(() => {
+    });
+  }
+  function scheduleIdleShutdown() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (queue.length === 0 && workers.every((e) => !e.job)) terminateOcrPool();
+    }, IDLE_TIMEOUT_MS);
+    if (idleTimer && idleTimer.unref) idleTimer.unref();
+  }
+  function dispatch() {
+    clearTimeout(idleTimer);
+    while (queue.length > 0) {
+      const { lang } = queue[0];
+      let entry2 = workers.find((e) => !e.job && e.lang === lang);
+      if (!entry2 && workers.length >= getOcrPoolSize()) {
+        const other = workers.find((e) => !e.job);
+        if (other) discardWorker(other);
+      }
+      if (!entry2 && workers.length < getOcrPoolSize()) entry2 = createPoolWorker(lang);
+      if (!entry2) break;
+      run(entry2, queue.shift());
     }
-
-    // 受領日記入
-    {
-      const d = pos.date;
-      const textW = font.widthOfTextAtSize(receiptDate, fs_);
-      const whiteWidth = Math.max(textW + 40, pgW * 0.50);
-      const margin = 3;
-      const rectBottom = d.yBase - margin;
-      const rectTop    = d.yTop  + margin;
-      const rectHeight = rectTop - rectBottom;
-      page.drawRectangle({ x: d.x - 4, y: rectBottom, width: whiteWidth, height: rectHeight, color: rgb(1, 1, 1) });
-      page.drawText(receiptDate, { x: d.x, y: d.yBase, size: fs_, font, color: rgb(0, 0, 0) });
+    if (queue.length === 0 && workers.every((e) => !e.job)) scheduleIdleShutdown();
+  }
+  async function run(entry2, job) {
+    entry2.job = job;
+    job.entry = entry2;
+    try {
+      const worker = await entry2.ready;
+      if (job.settled) return;
+      const { data } = await worker.recognize(job.image);
+      job.resolve(data);
+    } catch (err) {
+      if (job.settled) return;
+      discardWorker(entry2);
+      job.reject(err);
+    } finally {
+      if (entry2.job === job) {
+        entry2.job = null;
+        dispatch();
+      }
     }
+  }
+  function recognizeImage(image, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const i = queue.indexOf(job);
+        if (i >= 0) queue.splice(i, 1);
+        if (job.entry && job.entry.job === job) {
+          discardWorker(job.entry);
+          job.entry.job = null;
+          dispatch();
+        }
+        job.reject(createAbortError());
+      };
+      const settle = (fn) => (value) => {
+        if (job.settled) return;
+        job.settled = true;
+        signal && signal.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      const job = {
+        image,
+        lang: options.lang || "jpn",
+        onProgress: options.onProgress,
+        entry: null,
+        settled: false,
+        resolve: settle(resolve),
+        reject: settle(reject)
+      };
+      signal && signal.addEventListener("abort", onAbort);
+      queue.push(job);
+      dispatch();
+    });
+  }
+  async function terminateOcrPool() {
+    clearTimeout(idleTimer);
+    const entries = workers.splice(0);
+    const pending = queue.splice(0).concat(entries.map((entry2) => entry2.job).filter(Boolean));
+    entries.forEach((entry2) => {
+      entry2.job = null;
+    });
+    pending.forEach((job) => job.reject(new Error("OCRワーカーを終了しました")));
+    await Promise.all(entries.map((entry2) => entry2.ready.then((worker) => worker.terminate()).catch(() => {
+    })));
+  }
 
-    // 署名記入
-    {
-      const a = pos.agent;
-      let nameX;
-      if (pos.agentTitleEndX) {
-        nameX = pos.agentTitleEndX + 4;
-      } else {
-        const titleWidth = font.widthOfTextAtSize(signerTitle, fs_);
-        nameX = a.x + titleWidth + 4;
-      }
-      const nameText = `　${signerName}`;
-      const nameW = font.widthOfTextAtSize(nameText, fs_);
-      const sigMargin = 3;
-      const sigRectBottom = a.yBase - sigMargin;
-      const sigRectTop    = a.yTop  + sigMargin;
-      const sigRectHeight = sigRectTop - sigRectBottom;
-      page.drawRectangle({ x: nameX - 2, y: sigRectBottom, width: nameW + 20, height: sigRectHeight, color: rgb(1, 1, 1) });
-      page.drawText(nameText, { x: nameX, y: a.yBase, size: fs_, font, color: rgb(0, 0, 0) });
+  // src/ocr-orientation.js
+  var ORIENTATION_MIN_CONFIDENCE = 55;
+  var VERTICAL_LINE_PENALTY = 30;
+  var UNREADABLE_CONFIDENCE = 30;
+  var ORIENTATION_CANDIDATES = [
+    { rotation: 0, vertical: false },
+    { rotation: 0, vertical: true },
+    { rotation: 180, vertical: false },
+    { rotation: 90, vertical: false },
+    { rotation: 270, vertical: false }
+  ];
+  var [HORIZONTAL, VERTICAL, UPSIDE_DOWN, ROTATED_90, ROTATED_270] = ORIENTATION_CANDIDATES;
+  var UPRIGHT = { rotation: 0, vertical: false };
+  function layoutRotation(orientation) {
+    return orientation && orientation.vertical ? 270 : orientation && orientation.rotation || 0;
+  }
+  function rotateCanvas(canvas, rotation) {
+    const quarter = rotation === 90 || rotation === 270;
+    const rotated = runtime.createCanvas(quarter ? canvas.height : canvas.width, quarter ? canvas.width : canvas.height);
+    const ctx = rotated.getContext("2d");
+    ctx.translate(rotated.width / 2, rotated.height / 2);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return rotated;
+  }
+  function meanConfidence(data) {
+    if (typeof data.confidence === "number") return data.confidence;
+    const words = data.words || [];
+    if (words.length === 0) return 0;
+    return words.reduce((sum, w) => sum + (w.confidence || 0), 0) / words.length;
+  }
+  function mostlyTallLines(data) {
+    const lines = (data.lines || []).filter((l) => l.bbox && l.text && l.text.trim().length > 1);
+    if (lines.length === 0) return false;
+    const tall = lines.filter((l) => l.bbox.y1 - l.bbox.y0 > (l.bbox.x1 - l.bbox.x0) * 1.5);
+    return tall.length * 2 > lines.length;
+  }
+  function scoreOrientation(data, orientation) {
+    if (!data) return 0;
+    const confidence = meanConfidence(data);
+    return !orientation.vertical && mostlyTallLines(data) ? confidence - VERTICAL_LINE_PENALTY : confidence;
+  }
+  function retryOrientations(data) {
+    if (mostlyTallLines(data)) return [VERTICAL, ROTATED_90, ROTATED_270];
+    if (meanConfidence(data) < UNREADABLE_CONFIDENCE) return [UPSIDE_DOWN];
+    return [];
+  }
+  async function recognizeOriented(canvas, options = {}) {
+    const recognize = async (orientation) => {
+      const image = orientation.rotation ? rotateCanvas(canvas, orientation.rotation) : canvas;
+      const data = await recognizeImage(runtime.toOcrImage(image), {
+        lang: orientation.vertical ? "jpn_vert" : "jpn",
+        onProgress: options.onProgress,
+        signal: options.signal
+      });
+      return { data, orientation, width: image.width, height: image.height, score: scoreOrientation(data, orientation) };
+    };
+    let best = await recognize(HORIZONTAL);
+    if (best.score < ORIENTATION_MIN_CONFIDENCE) {
+      for (const orientation of retryOrientations(best.data)) {
+        const result = await recognize(orientation);
+        if (result.score > best.score) best = result;
+        if (result.score >= ORIENTATION_MIN_CONFIDENCE) break;
+      }
+    }
+    if (best.orientation !== HORIZONTAL) {
+      console.log(`  [OCR] 向き: ${best.orientation.vertical ? "縦書き" : `${best.orientation.rotation}度回転`}（確信度 ${Math.round(best.score)}）`);
+    }
+    return { data: best.data, orientation: best.orientation, width: best.width, height: best.height };
+  }
 
-      // 印鑑画像
-      const sealBase64 = localStorage.getItem('tsukurukun_seal');
-      if (sealBase64) {
-        try {
-          const sealData = Uint8Array.from(atob(sealBase64.replace(/^data:image\/\w+;base64,/, '')), c => c.charCodeAt(0));
-          let sealImage;
-          if (sealBase64.includes('image/png')) {
-            sealImage = await pdfDoc.embedPng(sealData);
-          } else {
-            sealImage = await pdfDoc.embedJpg(sealData);
+  // src/text-extract.js
+  async function extractPagesText(pdfDoc, pageNums) {
+    let text = "";
+    for (const i of pageNums) {
+      const page = await pdfDoc.getPage(i);
+      const content = await page.getTextContent();
+      let lastY = null;
+      let lastEndX = null;
+      for (const item of content.items) {
+        if (!item.str && item.str !== "") continue;
+        const tx = item.transform;
+        if (tx) {
+          const y = Math.round(tx[5]);
+          const x = tx[4];
+          const itemWidth = item.width || 0;
+          if (lastY !== null && Math.abs(y - lastY) > 3) {
+            text += "\n";
+            lastEndX = null;
+          } else if (lastEndX !== null && x > lastEndX + 5) {
+            text += " ";
           }
-          const sealSize = 36;
-          const sealX = nameX + nameW + 2;
-          const sealY = a.yBase - sealSize * 0.5 + fs_ * 0.3;
-          page.drawImage(sealImage, { x: sealX, y: sealY, width: sealSize, height: sealSize });
-        } catch (e) {
-          console.warn('印鑑画像の読み込みに失敗:', e);
-          page.drawText('㊞', { x: nameX + nameW + 4, y: a.yBase, size: fs_, font, color: rgb(0, 0, 0) });
+          text += item.str;
+          lastY = y;
+          lastEndX = x + itemWidth;
+        } else {
+          text += item.str;
+        }
+        if (item.hasEOL) {
+          text += "\n";
+          lastY = null;
+          lastEndX = null;
         }
-      } else {
-        page.drawText('㊞', { x: nameX + nameW + 4, y: a.yBase, size: fs_, font, color: rgb(0, 0, 0) });
       }
+      text += "\n\n";
     }
-
-    // 出力（受領書ページのみ抽出）
-    onProgress && onProgress('PDFを生成中...');
-    const outDoc = await PDFLib.PDFDocument.create();
-    outDoc.registerFontkit(fontkit);
-    const [copiedPage] = await outDoc.copyPages(pdfDoc, [receiptPageIndex]);
-    outDoc.addPage(copiedPage);
-    const savedBytes = await outDoc.save();
-    const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const baseName = file.name.replace(/\.pdf$/i, '');
-    const outFileName = `受領書_${baseName}_${ts}.pdf`;
-    const blob = new Blob([savedBytes], { type: 'application/pdf' });
-    return { blob, fileName: outFileName };
+    return text;
   }
-
-  // =============================================
-  // Section 7: 証拠番号つくる君 PDF生成 + 証拠説明書
-  // =============================================
-
-  /**
-   * 証拠番号ラベル構築
-   */
-  function buildEvidenceLabel(party, num, subNum, useDai) {
-    const fullNum = toFullWidthNumber(String(num));
-    let label = party;
-    if (useDai) label += '第';
-    label += fullNum + '号証';
-    if (subNum) {
-      label += 'の' + toFullWidthNumber(String(subNum));
+  async function extractTextFromPDFBrowser(pdfArrayBuffer, onProgress) {
+    onProgress && onProgress("PDFからテキストを抽出中...");
+    const pdfDoc = await openPdf(pdfArrayBuffer);
+    const totalPages = pdfDoc.numPages;
+    const pass1Set = /* @__PURE__ */ new Set([1, Math.min(2, totalPages), totalPages]);
+    const pass1Pages = [...pass1Set].sort((a, b) => a - b);
+    console.log("[抽出] Pass1: ページ", pass1Pages.join(","), "/", totalPages);
+    const pass1Text = await extractPagesText(pdfDoc, pass1Pages);
+    const probe = extractInfoFromText(pass1Text);
+    if (probe.courtName && probe.caseNumber) {
+      console.log("[抽出] Pass1完了:", pass1Text.length, "文字");
+      return pass1Text;
     }
-    return label;
-  }
-
-  /**
-   * mints形式ファイル名生成
-   * 例: 甲001 売買契約書.pdf, 甲001-1~5 陳述書.pdf
-   */
-  function buildMintsFileName(party, num, subNum, title, subRange) {
-    const numStr = String(num).padStart(3, '0');
-    let name = party + numStr;
-    if (subNum) {
-      name += '-' + subNum;
-    } else if (subRange) {
-      name += '-' + subRange;
+    const remaining = [];
+    for (let i = 1; i <= totalPages; i++) {
+      if (!pass1Set.has(i)) remaining.push(i);
     }
-    if (title) name += ' ' + title;
-    return name + '.pdf';
+    if (remaining.length === 0) {
+      console.log("[抽出] 全ページ読み取り済み:", pass1Text.length, "文字");
+      return pass1Text;
+    }
+    console.log("[抽出] Pass2: ページ", remaining.join(","));
+    onProgress && onProgress("追加ページを読み取り中...");
+    const pass2Text = await extractPagesText(pdfDoc, remaining);
+    const fullText = pass1Text + pass2Text;
+    console.log("[抽出] Pass1+2完了:", fullText.length, "文字");
+    return fullText;
   }
-
-  /** XML特殊文字エスケープ */
-  function escXml(str) {
-    return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw createAbortError();
   }
-
-  /**
-   * スタンプ色取得
-   */
-  function getStampColor(colorName) {
-    const { rgb } = PDFLib;
-    switch (colorName) {
-      case 'red': return rgb(0.86, 0.15, 0.15);
-      case 'blue': return rgb(0.1, 0.2, 0.7);
-      case 'black': return rgb(0, 0, 0);
-      default: return rgb(0.86, 0.15, 0.15);
+  async function ocrPage(pdfDoc, pageNum, label, onProgress, signal) {
+    throwIfAborted(signal);
+    const page = await pdfDoc.getPage(pageNum);
+    const canvas = await renderPageToCanvas(page, 400 / 72);
+    const { data } = await recognizeOriented(canvas, {
+      signal,
+      onProgress: (progress) => onProgress && onProgress(`${label} OCR処理中... ${Math.round(progress * 100)}%`)
+    });
+    return data && data.text || "";
+  }
+  async function extractTextWithOCRBrowser(pdfArrayBuffer, onProgress, options = {}) {
+    const { signal } = options;
+    onProgress && onProgress("画像PDFを検出。OCRで文字認識中...");
+    const pdfDoc = await openPdf(pdfArrayBuffer);
+    const totalPages = pdfDoc.numPages;
+    let count = 0;
+    let allText = "";
+    const readPage = async (pageNum) => {
+      count++;
+      const label = `ページ ${pageNum}/${totalPages}`;
+      onProgress && onProgress(`${label} をOCR中...（${count}ページ目）`);
+      allText += await ocrPage(pdfDoc, pageNum, label, onProgress, signal) + "\n";
+    };
+    const enough = () => {
+      const probe = extractInfoFromText(allText);
+      return probe.courtName && probe.caseNumber;
+    };
+    const pass1Pages = totalPages === 1 ? [1] : [1, totalPages];
+    console.log("[OCR] Pass1: ページ", pass1Pages.join(","), "/", totalPages);
+    for (const pageNum of pass1Pages) await readPage(pageNum);
+    if (enough()) {
+      console.log("[OCR] Pass1完了:", allText.length, "文字");
+      return allText;
     }
+    for (let pageNum = 2; pageNum < totalPages; pageNum++) {
+      console.log("[OCR] Pass2: ページ", pageNum);
+      await readPage(pageNum);
+      if (enough()) break;
+    }
+    console.log("[OCR] 完了:", count, "ページ /", allText.length, "文字");
+    return allText;
   }
-
-  /**
-   * PDFの指定ページに証拠番号をスタンプ（太字）。
-   * 書誌情報（標目）はPDFには打ち込まない（証拠説明書のみ）。
-   */
-  async function generateEvidenceBrowser(file, opts) {
-    const {
-      evidenceLabel, evidenceTitle, allPages, onProgress,
-      stampSize = 20, stampColor = 'red',
-      stampBg = true, stampBorder = false,
-      addPageNum = false,
-      customX = 0.85, customY = 0.03
-    } = opts;
-
-    onProgress && onProgress('PDFを読み込み中...');
-    const pdfArrayBuffer = await file.arrayBuffer();
-    const pdfDoc = await PDFLib.PDFDocument.load(pdfArrayBuffer);
-    pdfDoc.registerFontkit(fontkit);
-
-    onProgress && onProgress('フォントを読み込み中...');
-    const fontBytes = await loadJapaneseFont();
-    const font = await pdfDoc.embedFont(fontBytes, { subset: false });
-
-    const labelFontSize = parseInt(stampSize, 10) || 20;
-    const color = getStampColor(stampColor);
-    const { rgb } = PDFLib;
-
-    const pageCount = pdfDoc.getPageCount();
-    const pagesToStamp = allPages
-      ? Array.from({ length: pageCount }, (_, i) => i)
-      : [0];
-
-    // 太字化: テキストを微小オフセットで複数回描画
-    function drawBoldText(page, text, x, y, size, font, color) {
-      var offsets = [
-        [0, 0], [0.4, 0], [-0.4, 0], [0, 0.4], [0, -0.4],
-        [0.2, 0.2], [-0.2, 0.2], [0.2, -0.2], [-0.2, -0.2]
-      ];
-      for (var k = 0; k < offsets.length; k++) {
-        page.drawText(text, {
-          x: x + offsets[k][0], y: y + offsets[k][1],
-          size: size, font: font, color: color,
-        });
+  async function extractTextBrowser(pdfArrayBuffer, onProgress, options = {}) {
+    try {
+      const text = await extractTextFromPDFBrowser(pdfArrayBuffer, onProgress);
+      const trimmed = text.replace(/[\s\n\r]/g, "");
+      console.log("[抽出] テキスト結果:", trimmed.length, "文字 (空白除去後)");
+      if (trimmed.length < 10) {
+        console.log("[抽出] テキスト埋め込みなし → OCRに切り替え");
+        return await extractTextWithOCRBrowser(pdfArrayBuffer, onProgress, options);
       }
+      return text;
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      console.error("[抽出] エラー:", err);
+      console.log("[抽出] テキスト抽出失敗 → OCRに切り替え");
+      onProgress && onProgress("テキスト抽出に失敗。OCRで文字認識中...");
+      return await extractTextWithOCRBrowser(pdfArrayBuffer, onProgress, options);
     }
-
-    onProgress && onProgress('証拠番号を書き込み中...');
-    for (const pageIndex of pagesToStamp) {
-      const page = pdfDoc.getPage(pageIndex);
-      const { width: pgW, height: pgH } = page.getSize();
-
-      // ラベルテキストのサイズ計算（証拠番号のみ、書誌情報は入れない）
-      const labelWidth = font.widthOfTextAtSize(evidenceLabel, labelFontSize);
-      const boxPadH = 8;
-      const boxPadV = 6;
-      const boxWidth = labelWidth + boxPadH * 2;
-      const boxHeight = labelFontSize + boxPadV * 2;
-
-      // 位置計算
-      let boxX = customX * pgW - boxWidth / 2;
-      let boxY = pgH - (customY * pgH) - boxHeight;
-      boxX = Math.max(2, Math.min(pgW - boxWidth - 2, boxX));
-      boxY = Math.max(2, Math.min(pgH - boxHeight - 2, boxY));
-
-      // 背景描画
-      if (stampBg) {
-        page.drawRectangle({
-          x: boxX, y: boxY,
-          width: boxWidth, height: boxHeight,
-          color: rgb(1, 1, 1),
-          opacity: 0.92,
-          borderColor: stampBorder ? color : undefined,
-          borderWidth: stampBorder ? 1 : 0,
-        });
-      } else if (stampBorder) {
-        page.drawRectangle({
-          x: boxX, y: boxY,
-          width: boxWidth, height: boxHeight,
-          borderColor: color,
-          borderWidth: 1,
-        });
-      }
-
-      // 証拠番号ラベル（太字描画）
-      const labelX = boxX + (boxWidth - labelWidth) / 2;
-      const labelY = boxY + boxPadV;
-      drawBoldText(page, evidenceLabel, labelX, labelY, labelFontSize, font, color);
+  }
+  async function extractTextFromDocx(arrayBuffer, onProgress) {
+    onProgress && onProgress("Wordファイルからテキストを抽出中...");
+    const zip = await runtime.JSZip.loadAsync(arrayBuffer);
+    const docXmlFile = zip.file("word/document.xml");
+    if (!docXmlFile) {
+      throw new Error("Word文書の解析に失敗しました（document.xmlが見つかりません）");
     }
-
-    // ページ番号付与
-    if (addPageNum) {
-      const pageNumSize = 10;
-      for (let i = 0; i < pageCount; i++) {
-        const page = pdfDoc.getPage(i);
-        const { width: pgW } = page.getSize();
-        const pageNumText = '- ' + (i + 1) + ' -';
-        const numWidth = font.widthOfTextAtSize(pageNumText, pageNumSize);
-        page.drawText(pageNumText, {
-          x: (pgW - numWidth) / 2,
-          y: 24,
-          size: pageNumSize, font,
-          color: rgb(0.3, 0.3, 0.3),
-        });
+    const xmlStr = await docXmlFile.async("string");
+    let text = "";
+    var endParaTag = new RegExp("</w:p>", "g");
+    var wtTagGlobal = new RegExp("<w:t[^>]*>([^<]*)</w:t>", "g");
+    var wtTagSingle = new RegExp("<w:t[^>]*>([^<]*)</w:t>");
+    var paragraphs = xmlStr.split(endParaTag);
+    for (var pi = 0; pi < paragraphs.length; pi++) {
+      var para = paragraphs[pi];
+      var textMatches = para.match(wtTagGlobal);
+      if (textMatches) {
+        var line = "";
+        for (var ti = 0; ti < textMatches.length; ti++) {
+          var inner = textMatches[ti].match(wtTagSingle);
+          if (inner) line += inner[1];
+        }
+        text += line + "\n";
       }
     }
+    console.log("[抽出] Word文書テキスト:", text.length, "文字");
+    return text;
+  }
 
-    const savedBytes = await pdfDoc.save();
-    const blob = new Blob([savedBytes], { type: 'application/pdf' });
-    // ファイル名: 甲○号証.pdf or 甲○号証（△△）.pdf
-    let fileName = evidenceLabel;
-    if (evidenceTitle && evidenceTitle.trim()) {
-      fileName += '\uff08' + evidenceTitle.trim() + '\uff09';
+  // src/ocr-cache.js
+  var STORE4 = "ocr";
+  var CACHE_VERSION = 2;
+  var MEMORY_LIMIT = 50;
+  var memoryCache = /* @__PURE__ */ new Map();
+  function useIndexedDB() {
+    return !!runtime.indexedDB && getConfig().ocrCacheMode === "indexeddb";
+  }
+  function remember(record) {
+    memoryCache.delete(record.hash);
+    memoryCache.set(record.hash, record);
+    while (memoryCache.size > MEMORY_LIMIT) memoryCache.delete(memoryCache.keys().next().value);
+  }
+  async function hashData(data) {
+    const subtle3 = runtime.crypto && runtime.crypto.subtle;
+    if (!subtle3) return null;
+    const digest = await subtle3.digest("SHA-256", data);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+  async function getCachedReceiptOcr(hash) {
+    let record = memoryCache.get(hash);
+    if (!record && useIndexedDB()) {
+      try {
+        record = await idbRequest(openDataDatabase(), STORE4, "readonly", (store) => store.get(hash));
+      } catch (err) {
+        console.warn("[OCRキャッシュ] 読み込めません:", err);
+      }
+      if (record) remember(record);
     }
-    fileName += '.pdf';
-    return { blob, fileName, pageCount };
+    if (!record || record.version !== CACHE_VERSION) return null;
+    return {
+      pageNum: record.pageNum,
+      ocr: { words: record.words, imgWidth: record.imgWidth, imgHeight: record.imgHeight, orientation: record.orientation }
+    };
   }
-
-  /**
-   * 複数PDFを結合（枝番結合用）
-   */
-  async function mergePdfs(files, onProgress) {
-    onProgress && onProgress('PDFを結合中...');
-    const mergedPdf = await PDFLib.PDFDocument.create();
-    for (let i = 0; i < files.length; i++) {
-      onProgress && onProgress('結合中 (' + (i + 1) + '/' + files.length + ')...');
-      const ab = await files[i].arrayBuffer();
-      const srcPdf = await PDFLib.PDFDocument.load(ab);
-      const pages = await mergedPdf.copyPages(srcPdf, srcPdf.getPageIndices());
-      pages.forEach(function(p) { mergedPdf.addPage(p); });
+  async function putCachedReceiptOcr(hash, result) {
+    const record = {
+      hash,
+      version: CACHE_VERSION,
+      pageNum: result.pageNum,
+      words: result.ocr.words,
+      imgWidth: result.ocr.imgWidth,
+      imgHeight: result.ocr.imgHeight,
+      orientation: result.ocr.orientation,
+      createdAt: (/* @__PURE__ */ new Date()).toISOString()
+    };
+    remember(record);
+    if (!useIndexedDB()) return;
+    try {
+      await idbRequest(openDataDatabase(), STORE4, "readwrite", (store) => store.put(record));
+    } catch (err) {
+      console.warn("[OCRキャッシュ] 保存できません:", err);
     }
-    const mergedBytes = await mergedPdf.save();
-    return new File(
-      [mergedBytes],
-      '結合_' + files[0].name,
-      { type: 'application/pdf' }
-    );
+  }
+  async function clearOcrCache() {
+    memoryCache.clear();
+    if (!runtime.indexedDB) return;
+    await idbRequest(openDataDatabase(), STORE4, "readwrite", (store) => store.clear());
   }
 
+  // src/vendor-assets.js
+  var VENDOR_ASSETS = [
+    { path: "vendor/pdfjs/pdf.min.js", from: "pdfjs-dist/build/pdf.min.js", global: "pdfjsLib", label: "pdf.js" },
+    { path: "vendor/pdfjs/pdf.worker.min.js", from: "pdfjs-dist/build/pdf.worker.min.js", label: "pdf.js ワーカー" },
+    {
+      path: "vendor/pdfjs/cmaps/",
+      from: "pdfjs-dist/cmaps/",
+      dir: true,
+      probe: "UniJIS-UCS2-H.bcmap",
+      label: "pdf.js 文字コード表（cMap）"
+    },
+    { path: "vendor/tesseract/tesseract.min.js", from: "tesseract.js/dist/tesseract.min.js", global: "Tesseract", label: "Tesseract.js" },
+    { path: "vendor/tesseract/worker.min.js", from: "tesseract.js/dist/worker.min.js", label: "Tesseract.js ワーカー" },
+    // LSTM のみ（createWorker の oem 1）で使うコア。SIMD の有無でどちらかを読み込む
+    {
+      path: "vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js",
+      from: "tesseract.js-core/tesseract-core-simd-lstm.wasm.js",
+      label: "Tesseract.js コア（SIMD）"
+    },
+    {
+      path: "vendor/tesseract/core/tesseract-core-lstm.wasm.js",
+      from: "tesseract.js-core/tesseract-core-lstm.wasm.js",
+      label: "Tesseract.js コア"
+    },
+    {
+      path: "vendor/tessdata/jpn.traineddata.gz",
+      from: "@tesseract.js-data/jpn/4.0.0_best_int/jpn.traineddata.gz",
+      label: "日本語言語データ（横書き）"
+    },
+    {
+      path: "vendor/tessdata/jpn_vert.traineddata.gz",
+      from: "@tesseract.js-data/jpn_vert/4.0.0_best_int/jpn_vert.traineddata.gz",
+      label: "日本語言語データ（縦書き）"
+    },
+    { path: "vendor/pdf-lib/pdf-lib.min.js", from: "pdf-lib/dist/pdf-lib.min.js", global: "PDFLib", label: "pdf-lib" },
+    { path: "vendor/fontkit/fontkit.umd.min.js", from: "@pdf-lib/fontkit/dist/fontkit.umd.min.js", global: "fontkit", label: "fontkit" },
+    { path: "vendor/jszip/jszip.min.js", from: "jszip/dist/jszip.min.js", global: "JSZip", label: "JSZip" }
+  ];
+  async function checkVendorAssets(globals = globalThis) {
+    const results = await Promise.all(VENDOR_ASSETS.map(async (asset) => {
+      if (asset.global) {
+        return globals[asset.global] ? null : { path: asset.path, label: asset.label, reason: "読み込まれていません" };
+      }
+      const url = asset.dir ? asset.path + asset.probe : asset.path;
+      try {
+        const res = await runtime.fetch(url);
+        if (res.body && res.body.cancel) res.body.cancel().catch(() => {
+        });
+        return res.ok ? null : { path: url, label: asset.label, reason: `HTTP ${res.status}` };
+      } catch (err) {
+        return { path: url, label: asset.label, reason: err.message };
+      }
+    }));
+    return results.filter(Boolean);
+  }
 
-  async function generateEvidenceSheetDocx(entries, options) {
-    const opts = options || {};
-    const party = opts.party || '甲';
-    const today = getTodayReiwa();
-    const dateStr = `令和${today.year}年${today.month}月${today.day}日`;
-    const titleLabel = `証拠説明書（${party}号証）`;
+  // src/sofusho.js
+  function safeReplaceInXml(xml, oldText, newText, { all = false } = {}) {
+    const paraRegex = /(<w:p[\s>][\s\S]*?<\/w:p>)/g;
+    return xml.replace(paraRegex, (paraXml) => {
+      let from = 0;
+      for (; ; ) {
+        const replaced = replaceInParagraph(paraXml, oldText, newText, from);
+        if (!replaced) return paraXml;
+        paraXml = replaced.xml;
+        if (!all) return paraXml;
+        from = replaced.end;
+      }
+    });
+  }
+  function replaceInParagraph(paraXml, oldText, newText, from) {
+    const wtRegex = /<w:t([^>]*)>([^<]*)<\/w:t>/g;
+    const segments = [];
+    let m;
+    while ((m = wtRegex.exec(paraXml)) !== null) {
+      segments.push({ fullMatch: m[0], attrs: m[1], text: m[2], index: m.index });
+    }
+    if (segments.length === 0) return null;
+    const joinedText = segments.map((s) => s.text).join("");
+    const matchStart = joinedText.indexOf(oldText, from);
+    if (matchStart < 0) return null;
+    const matchEnd = matchStart + oldText.length;
+    let cumulative = 0;
+    for (const seg of segments) {
+      seg.startPos = cumulative;
+      seg.endPos = cumulative + seg.text.length;
+      cumulative += seg.text.length;
+    }
+    const affectedSegs = segments.filter(
+      (seg) => seg.endPos > matchStart && seg.startPos < matchEnd
+    );
+    if (affectedSegs.length === 0) return null;
+    const end = matchStart + newText.replace(/<[^>]*>/g, "").length;
+    if (affectedSegs.length === 1) {
+      const seg = affectedSegs[0];
+      const localStart = matchStart - seg.startPos;
+      const localEnd = matchEnd - seg.startPos;
+      const newSegText = seg.text.substring(0, localStart) + newText + seg.text.substring(localEnd);
+      const hasPreserve = seg.attrs.includes('xml:space="preserve"');
+      const newAttrs = hasPreserve ? seg.attrs : ' xml:space="preserve"';
+      const newWt = `<w:t${newAttrs}>${newSegText}</w:t>`;
+      return {
+        xml: paraXml.substring(0, seg.index) + newWt + paraXml.substring(seg.index + seg.fullMatch.length),
+        end
+      };
+    }
+    let segIdx = 0;
+    const result = paraXml.replace(/<w:t([^>]*)>([^<]*)<\/w:t>/g, (match, attrs, text) => {
+      const seg = segments[segIdx];
+      segIdx++;
+      if (!affectedSegs.includes(seg)) return match;
+      const isFirst = seg === affectedSegs[0];
+      const isLast = seg === affectedSegs[affectedSegs.length - 1];
+      const hasPreserve = attrs.includes('xml:space="preserve"');
+      const newAttrs = hasPreserve ? attrs : ' xml:space="preserve"';
+      if (isFirst && isLast) {
+        const localStart = matchStart - seg.startPos;
+        const localEnd = matchEnd - seg.startPos;
+        return `<w:t${newAttrs}>${text.substring(0, localStart)}${newText}${text.substring(localEnd)}</w:t>`;
+      } else if (isFirst) {
+        const localStart = matchStart - seg.startPos;
+        return `<w:t${newAttrs}>${text.substring(0, localStart)}${newText}</w:t>`;
+      } else if (isLast) {
+        const localEnd = matchEnd - seg.startPos;
+        const remaining = text.substring(localEnd);
+        if (remaining.length > 0) {
+          return `<w:t${newAttrs}>${remaining}</w:t>`;
+        } else {
+          return `<w:t${attrs}></w:t>`;
+        }
+      } else {
+        return `<w:t${attrs}></w:t>`;
+      }
+    });
+    return { xml: result, end };
+  }
+  function buildEnclosureList(documents, coverPages = 1) {
+    const lines = documents.map((d) => d.pageCount ? `${d.title}（${toFullWidthNumber(String(d.pageCount))}枚）` : d.title);
+    const known = documents.length > 0 && documents.every((d) => d.pageCount > 0);
+    return {
+      lines,
+      totalPages: known ? documents.reduce((sum, d) => sum + d.pageCount, coverPages) : null
+    };
+  }
+  function formatTotalPages(totalPages) {
+    return `（送信枚数　本書を含め${toFullWidthNumber(String(totalPages))}枚）`;
+  }
+  function applyEnclosuresToTemplate(docXml, lines, totalPages) {
+    const SAMPLE_TITLE = "被告第９準備書面";
+    return docXml.replace(/<w:p[\s>][\s\S]*?<\/w:p>/g, (paraXml) => {
+      const text = (paraXml.match(/<w:t[^>]*>[^<]*<\/w:t>/g) || []).map((t) => t.replace(/<[^>]+>/g, "")).join("");
+      if (!text.includes(SAMPLE_TITLE)) return paraXml;
+      const indented = safeReplaceInXml(paraXml, "に関する", "　".repeat(4));
+      const paras = lines.map((line, i) => safeReplaceInXml(i === 0 ? paraXml : indented, SAMPLE_TITLE, line));
+      if (totalPages) paras.push(safeReplaceInXml(indented, SAMPLE_TITLE, formatTotalPages(totalPages)));
+      return paras.join("");
+    });
+  }
+  function resolveSendDate(info) {
+    let date = null;
+    try {
+      date = parseDate(info && info.sendDate);
+    } catch (e) {
+    }
+    if (date && date.day) return { year: date.year, month: date.month, day: date.day };
+    const now = /* @__PURE__ */ new Date();
+    return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+  }
+  function applyInfoToTemplate(docXml, info, documentTitle, documents) {
+    const date = resolveSendDate(info);
+    if (info.courtName) {
+      const ORIG_COURT = "神戸地方裁判所尼崎支部第２民事部";
+      const courtDiff = ORIG_COURT.length - info.courtName.length;
+      const courtPad = courtDiff > 0 ? "　".repeat(courtDiff) : "";
+      docXml = safeReplaceInXml(docXml, ORIG_COURT, info.courtName + courtPad);
+    }
+    if (info.courtFax) {
+      docXml = safeReplaceInXml(docXml, "06-6438-1710", info.courtFax);
+      const fullWidthFax = toFullWidthNumber(info.courtFax).replace(/-/g, "－");
+      docXml = safeReplaceInXml(docXml, "０６―６４３８－１７１０", fullWidthFax);
+    }
+    if (info.plaintiffLawyer) {
+      const ORIG_LAWYER = "四方久寛";
+      const lawyerDiff = ORIG_LAWYER.length - info.plaintiffLawyer.length;
+      const lawyerPad = lawyerDiff > 0 ? "　".repeat(lawyerDiff) : "";
+      docXml = safeReplaceInXml(docXml, ORIG_LAWYER, info.plaintiffLawyer + lawyerPad);
+    }
+    if (info.plaintiffLawyerFax) {
+      docXml = safeReplaceInXml(docXml, "06-4708-3638", info.plaintiffLawyerFax);
+    }
+    docXml = safeReplaceInXml(docXml, "令和6年11月7日", formatWareki(date));
+    docXml = safeReplaceInXml(docXml, "令和6年9月", formatWareki(date, { precision: "month" }));
+    if (info.caseNumber) {
+      const fullWidthCaseNumber = toFullWidthNumber(info.caseNumber);
+      docXml = safeReplaceInXml(docXml, "令和３年（ワ）第８００号", fullWidthCaseNumber);
+    }
+    if (info.caseName) {
+      docXml = safeReplaceInXml(docXml, "損害賠償請求事件", info.caseName);
+    }
+    if (info.plaintiffName) {
+      docXml = safeReplaceInXml(docXml, "木村治紀", info.plaintiffName);
+    }
+    if (info.defendantName) {
+      docXml = safeReplaceInXml(docXml, "独立行政法人国立病院機構", info.defendantName);
+    }
+    const enclosures = buildEnclosureList(documents || [{ title: documentTitle }]);
+    docXml = applyEnclosuresToTemplate(docXml, enclosures.lines, enclosures.totalPages);
+    return docXml;
+  }
+  function escXml(str) {
+    return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+  function toRunText(str) {
+    return escXml(str).replace(/\n/g, '</w:t><w:br/><w:t xml:space="preserve">');
+  }
+  function buildPlaceholderValues(info, documentTitle, documents, lawyer) {
+    const date = resolveSendDate(info);
+    const config = getConfig();
+    const signer = lawyer || getDefaultLawyer(config);
+    const enclosures = buildEnclosureList(documents || [{ title: documentTitle || "" }]);
+    return {
+      courtName: info.courtName || "",
+      courtFax: info.courtFax || "",
+      caseNumber: info.caseNumber || "",
+      caseName: info.caseName || "",
+      plaintiffName: info.plaintiffName || "",
+      defendantName: info.defendantName || "",
+      plaintiffLawyer: info.plaintiffLawyer || "",
+      plaintiffLawyerFax: info.plaintiffLawyerFax || "",
+      documentTitle: documentTitle || "",
+      date: formatWareki(date),
+      officeName: config.officeName || "",
+      signerName: signer ? signer.name : "",
+      signerTitle: signer && signer.title || DEFAULT_SIGNER_TITLE,
+      signerFax: signer && signer.fax || (config.faxNumbers || [])[0] || "",
+      documentList: enclosures.lines.join("\n"),
+      totalPages: enclosures.totalPages ? String(enclosures.totalPages) : ""
+    };
+  }
+  function applyPlaceholdersToXml(xml, values) {
+    for (const { token, name } of findPlaceholderTokens(xml)) {
+      if (!Object.hasOwn(values, name)) continue;
+      xml = safeReplaceInXml(xml, token, toRunText(values[name]), { all: true });
+    }
+    return xml;
+  }
+  function getDocumentTitleFromFilename(fileName) {
+    let baseName = fileName.replace(/\.(pdf|docx?)$/i, "");
+    baseName = baseName.replace(/^【[^】]+】\s*/, "");
+    baseName = baseName.replace(/^[\u4e00-\u9fff]+事案[\s\u3000]+/, "");
+    return baseName;
+  }
+  async function uploadAndExtractBrowser(file, onProgress, options = {}) {
+    const fileName = file.name.toLowerCase();
+    const isDocx = fileName.endsWith(".docx") || fileName.endsWith(".doc");
+    console.log("[つくる君] 解析開始:", file.name, file.size, "bytes", isDocx ? "(Word)" : "(PDF)");
+    const arrayBuffer = await file.arrayBuffer();
+    let extractedText;
+    let pageCount;
+    if (isDocx) {
+      onProgress && onProgress("Wordファイルを読み込み中...");
+      pageCount = await countDocxPages(arrayBuffer);
+      extractedText = await extractTextFromDocx(arrayBuffer, onProgress);
+    } else {
+      onProgress && onProgress("PDFを読み込み中...");
+      pageCount = await countPdfPages(arrayBuffer.slice(0)).catch(() => null);
+      extractedText = await extractTextBrowser(arrayBuffer, onProgress, options);
+    }
+    console.log("[つくる君] 抽出テキスト:", extractedText.length, "文字");
+    onProgress && onProgress("情報を抽出中...");
+    const info = extractInfoFromText(extractedText);
+    console.log("[つくる君] 抽出結果:", JSON.stringify(info, null, 2));
+    const courtFaxMeta = info.fieldMeta.courtFaxFromPdf;
+    if (info.courtName && courtFaxMeta && courtFaxMeta.pattern === "courtFax.explicit") {
+      recordCourtFaxObservation(info.courtName, info.courtFaxFromPdf, file.name);
+    }
+    const documentTitle = getDocumentTitleFromFilename(file.name);
+    return { info, documentTitle, originalName: file.name, pageCount };
+  }
+  async function countDocxPages(arrayBuffer) {
+    try {
+      const zip = await runtime.JSZip.loadAsync(arrayBuffer);
+      const appXml = zip.file("docProps/app.xml");
+      const m = appXml && (await appXml.async("string")).match(/<Pages>(\d+)<\/Pages>/);
+      return m && Number(m[1]) > 0 ? Number(m[1]) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  function toDocuments(allResults) {
+    return allResults.map((r) => ({ title: r.documentTitle, pageCount: r.pageCount || null, originalName: r.originalName }));
+  }
+  function mergeExtractedInfo(allResults) {
+    if (allResults.length === 1) {
+      return {
+        info: allResults[0].info,
+        documentTitle: allResults[0].documentTitle,
+        documents: toDocuments(allResults),
+        displayName: allResults[0].originalName
+      };
+    }
+    const mergedInfo = {};
+    const fieldMeta = {};
+    const infoFields = [
+      "courtName",
+      "courtFax",
+      "courtFaxFromPdf",
+      "caseNumber",
+      "caseName",
+      "plaintiffName",
+      "defendantName",
+      "plaintiffLawyer",
+      "plaintiffLawyerFax"
+    ];
+    for (const field of infoFields) {
+      for (const r of allResults) {
+        if (r.info[field]) {
+          mergedInfo[field] = r.info[field];
+          const meta = r.info.fieldMeta && r.info.fieldMeta[field];
+          if (meta) fieldMeta[field] = Object.assign({}, meta, { file: r.originalName });
+          break;
+        }
+      }
+    }
+    mergedInfo.fieldMeta = fieldMeta;
+    if (mergedInfo.courtFaxFromPdf && mergedInfo.courtName) {
+      const check = checkCourtFax(mergedInfo.courtName, mergedInfo.courtFax);
+      if (check.status === "mismatch") mergedInfo.courtFaxMismatch = check;
+    }
+    const candidates = {};
+    for (const field of infoFields) {
+      const all = [];
+      for (const r of allResults) {
+        const list = r.info.candidates && r.info.candidates[field] || [];
+        list.forEach((c) => all.push(Object.assign({}, c, { file: r.originalName })));
+      }
+      all.sort((a, b) => b.confidence - a.confidence);
+      const ranked = [];
+      if (mergedInfo[field]) {
+        ranked.push(Object.assign({ value: mergedInfo[field] }, fieldMeta[field]));
+      }
+      all.forEach((c) => {
+        if (!ranked.some((x) => x.value === c.value)) ranked.push(c);
+      });
+      if (ranked.length > 0) candidates[field] = ranked;
+    }
+    mergedInfo.candidates = candidates;
+    const hasConfident = allResults.some((r) => r.info.caseNumber && !r.info.caseNumberGuessed);
+    mergedInfo.caseNumberGuessed = mergedInfo.caseNumber ? !hasConfident : false;
+    return {
+      info: mergedInfo,
+      documentTitle: allResults[0].documentTitle,
+      documents: toDocuments(allResults),
+      displayName: allResults.map((r) => r.originalName).join(" + ")
+    };
+  }
+  function buildSofushoFileName(documentTitle, ext) {
+    const timestamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-").substring(0, 19);
+    return `文書送付書_${documentTitle}_${timestamp}.${ext}`;
+  }
+  async function generateDocumentBrowser(info, documentTitle, onProgress, options = {}) {
+    onProgress && onProgress("テンプレートを読み込み中...");
+    let template;
+    if (options.templateData) {
+      template = { id: null, name: "", data: options.templateData };
+    } else {
+      const id = options.templateId || getDefaultSofushoTemplateId();
+      template = await getSofushoTemplate(id);
+      if (!template && id !== BUILTIN_TEMPLATE_ID) throw new Error("送付書テンプレートが見つかりません: " + id);
+    }
+    let zip;
+    let report = { unknown: [], missing: [] };
+    if (template) {
+      report = await inspectSofushoTemplate(template.data);
+      onProgress && onProgress("テンプレートにデータを差し込み中...");
+      zip = await runtime.JSZip.loadAsync(template.data);
+      const values = buildPlaceholderValues(info, documentTitle, options.documents, options.lawyer);
+      for (const partName of Object.keys(zip.files).filter((n) => TEMPLATE_PART_PATTERN.test(n))) {
+        const xml = await zip.file(partName).async("string");
+        if (findPlaceholderTokens(xml).length > 0) zip.file(partName, applyPlaceholdersToXml(xml, values));
+      }
+    } else {
+      const templateData = await loadTemplate(
+        "template/文書送付書.doc.docx",
+        "https://cdn.jsdelivr.net/gh/Rachmaninovpiano/bunsho-sofusho-juryosho-auto@master/docs/template/%E6%96%87%E6%9B%B8%E9%80%81%E4%BB%98%E6%9B%B8.doc.docx",
+        "sofusho_template"
+      );
+      onProgress && onProgress("テンプレートにデータを差し込み中...");
+      zip = await runtime.JSZip.loadAsync(templateData);
+      let docXml = await zip.file("word/document.xml").async("string");
+      docXml = applyInfoToTemplate(docXml, info, documentTitle, options.documents);
+      zip.file("word/document.xml", docXml);
+    }
+    onProgress && onProgress("Wordファイルを生成中...");
+    const outputBlob = await zip.generateAsync({ type: "blob" });
+    return {
+      blob: outputBlob,
+      fileName: buildSofushoFileName(documentTitle, "docx"),
+      template: {
+        id: template ? template.id : BUILTIN_TEMPLATE_ID,
+        name: template ? template.name : "",
+        unknown: report.unknown,
+        missing: report.missing
+      }
+    };
+  }
 
-    // テーブルヘッダー行
+  // src/evidence.js
+  function buildEvidenceLabel(party, num, subNum, useDai) {
+    const fullNum = toFullWidthNumber(String(num));
+    let label = party;
+    if (useDai) label += "第";
+    label += fullNum + "号証";
+    if (subNum) {
+      label += "の" + toFullWidthNumber(String(subNum));
+    }
+    return label;
+  }
+  function buildMintsFileName(party, num, subNum, title, subRange) {
+    const numStr = String(num).padStart(3, "0");
+    let name = party + numStr;
+    if (subNum) {
+      name += "-" + subNum;
+    } else if (subRange) {
+      name += "-" + subRange;
+    }
+    if (title) name += " " + title;
+    return name + ".pdf";
+  }
+  function escXml2(str) {
+    return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+  function getStampColor(colorName) {
+    const { rgb } = runtime.PDFLib;
+    switch (colorName) {
+      case "red":
+        return rgb(0.86, 0.15, 0.15);
+      case "blue":
+        return rgb(0.1, 0.2, 0.7);
+      case "black":
+        return rgb(0, 0, 0);
+      default:
+        return rgb(0.86, 0.15, 0.15);
+    }
+  }
+  async function stampEvidence(pdfBytes, opts) {
+    const { PDFLib, fontkit } = runtime;
+    const {
+      evidenceLabel,
+      allPages,
+      onProgress,
+      stampSize = 20,
+      stampColor = "red",
+      stampBg = true,
+      stampBorder = false,
+      addPageNum = false,
+      customX = 0.85,
+      customY = 0.03
+    } = opts;
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
+    pdfDoc.registerFontkit(fontkit);
+    onProgress && onProgress("フォントを読み込み中...");
+    const fontBytes = await loadJapaneseFont();
+    const font = await pdfDoc.embedFont(fontBytes, { subset: false });
+    const labelFontSize = parseInt(stampSize, 10) || 20;
+    const color = getStampColor(stampColor);
+    const { rgb } = PDFLib;
+    const pageCount = pdfDoc.getPageCount();
+    const pagesToStamp = allPages ? Array.from({ length: pageCount }, (_, i) => i) : [0];
+    function drawBoldText(page, frame, text, x, y, size, font2, color2) {
+      var offsets = [
+        [0, 0],
+        [0.4, 0],
+        [-0.4, 0],
+        [0, 0.4],
+        [0, -0.4],
+        [0.2, 0.2],
+        [-0.2, 0.2],
+        [0.2, -0.2],
+        [-0.2, -0.2]
+      ];
+      for (var k = 0; k < offsets.length; k++) {
+        page.drawText(text, Object.assign({
+          size,
+          font: font2,
+          color: color2,
+          rotate: frame.rotate
+        }, frame.toPage(x + offsets[k][0], y + offsets[k][1])));
+      }
+    }
+    onProgress && onProgress("証拠番号を書き込み中...");
+    for (const pageIndex of pagesToStamp) {
+      const page = pdfDoc.getPage(pageIndex);
+      const frame = getPageFrame(page);
+      const { width: pgW, height: pgH } = frame;
+      const labelWidth = font.widthOfTextAtSize(evidenceLabel, labelFontSize);
+      const boxPadH = 8;
+      const boxPadV = 6;
+      const boxWidth = labelWidth + boxPadH * 2;
+      const boxHeight = labelFontSize + boxPadV * 2;
+      let boxX = customX * pgW - boxWidth / 2;
+      let boxY = pgH - customY * pgH - boxHeight;
+      boxX = Math.max(2, Math.min(pgW - boxWidth - 2, boxX));
+      boxY = Math.max(2, Math.min(pgH - boxHeight - 2, boxY));
+      const boxAt = Object.assign({ width: boxWidth, height: boxHeight, rotate: frame.rotate }, frame.toPage(boxX, boxY));
+      if (stampBg) {
+        page.drawRectangle(Object.assign({
+          color: rgb(1, 1, 1),
+          opacity: 0.92,
+          borderColor: stampBorder ? color : void 0,
+          borderWidth: stampBorder ? 1 : 0
+        }, boxAt));
+      } else if (stampBorder) {
+        page.drawRectangle(Object.assign({
+          borderColor: color,
+          borderWidth: 1
+        }, boxAt));
+      }
+      const labelX = boxX + (boxWidth - labelWidth) / 2;
+      const labelY = boxY + boxPadV;
+      drawBoldText(page, frame, evidenceLabel, labelX, labelY, labelFontSize, font, color);
+    }
+    if (addPageNum) {
+      const pageNumSize = 10;
+      for (let i = 0; i < pageCount; i++) {
+        const page = pdfDoc.getPage(i);
+        const frame = getPageFrame(page);
+        const pageNumText = "- " + (i + 1) + " -";
+        const numWidth = font.widthOfTextAtSize(pageNumText, pageNumSize);
+        page.drawText(pageNumText, Object.assign({
+          size: pageNumSize,
+          font,
+          color: rgb(0.3, 0.3, 0.3),
+          rotate: frame.rotate
+        }, frame.toPage((frame.width - numWidth) / 2, 24)));
+      }
+    }
+    const bytes = await pdfDoc.save();
+    return { bytes, pageCount };
+  }
+  async function generateEvidenceBrowser(file, opts) {
+    const { evidenceLabel, evidenceTitle, onProgress } = opts;
+    onProgress && onProgress("PDFを読み込み中...");
+    const pdfArrayBuffer = await file.arrayBuffer();
+    const { bytes, pageCount } = await stampEvidence(pdfArrayBuffer, opts);
+    const blob = new Blob([bytes], { type: "application/pdf" });
+    let fileName = evidenceLabel;
+    if (evidenceTitle && evidenceTitle.trim()) {
+      fileName += "（" + evidenceTitle.trim() + "）";
+    }
+    fileName += ".pdf";
+    return { blob, fileName, pageCount };
+  }
+  async function mergePdfs(files, onProgress) {
+    const { PDFLib } = runtime;
+    onProgress && onProgress("PDFを結合中...");
+    const mergedPdf = await PDFLib.PDFDocument.create();
+    for (let i = 0; i < files.length; i++) {
+      onProgress && onProgress("結合中 (" + (i + 1) + "/" + files.length + ")...");
+      const ab = await files[i].arrayBuffer();
+      const srcPdf = await PDFLib.PDFDocument.load(ab);
+      const pages = await mergedPdf.copyPages(srcPdf, srcPdf.getPageIndices());
+      pages.forEach(function(p) {
+        mergedPdf.addPage(p);
+      });
+    }
+    const mergedBytes = await mergedPdf.save();
+    return new File(
+      [mergedBytes],
+      "結合_" + files[0].name,
+      { type: "application/pdf" }
+    );
+  }
+  async function generateEvidenceSheetDocx(entries, options) {
+    const opts = options || {};
+    const party = opts.party || "甲";
+    const dateStr = formatWareki(/* @__PURE__ */ new Date());
+    const titleLabel = `証拠説明書（${party}号証）`;
     const headerRow = [
-      '<w:tr>',
+      "<w:tr>",
       '<w:tc><w:tcPr><w:tcW w:w="1100" w:type="dxa"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>号証</w:t></w:r></w:p></w:tc>',
+      "<w:t>号証</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="2800" w:type="dxa"/><w:gridSpan w:val="2"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
       '<w:t xml:space="preserve">標　　　目</w:t></w:r></w:p>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="20"/></w:rPr>',
-      '<w:t>（原本・写しの別）</w:t></w:r></w:p></w:tc>',
+      "<w:t>（原本・写しの別）</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>作　成</w:t></w:r></w:p>',
+      "<w:t>作　成</w:t></w:r></w:p>",
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>年月日</w:t></w:r></w:p></w:tc>',
+      "<w:t>年月日</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>作成者</w:t></w:r></w:p></w:tc>',
+      "<w:t>作成者</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="3200" w:type="dxa"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>立証趣旨</w:t></w:r></w:p></w:tc>',
-      '</w:tr>',
-    ].join('');
-
-    // データ行
-    const dataRows = entries.map(e => [
+      "<w:t>立証趣旨</w:t></w:r></w:p></w:tc>",
+      "</w:tr>"
+    ].join("");
+    const dataRows = entries.map((e) => [
       '<w:tr><w:trPr><w:trHeight w:val="500"/></w:trPr>',
       '<w:tc><w:tcPr><w:tcW w:w="1100" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>' + escXml(e.label) + '</w:t></w:r></w:p></w:tc>',
+      "<w:t>" + escXml2(e.label) + "</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="2000" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
       '<w:p><w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>' + escXml(e.title || '') + '</w:t></w:r></w:p></w:tc>',
+      "<w:t>" + escXml2(e.title || "") + "</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="800" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>' + escXml(e.originalOrCopy || '') + '</w:t></w:r></w:p></w:tc>',
+      "<w:t>" + escXml2(e.originalOrCopy || "") + "</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>' + escXml(e.createdDate || '') + '</w:t></w:r></w:p></w:tc>',
+      "<w:t>" + escXml2(normalizeWarekiDate(e.createdDate)) + "</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>' + escXml(e.author || '') + '</w:t></w:r></w:p></w:tc>',
+      "<w:t>" + escXml2(e.author || "") + "</w:t></w:r></w:p></w:tc>",
       '<w:tc><w:tcPr><w:tcW w:w="3200" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
       '<w:p><w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
-      '<w:t>' + escXml(e.purpose || '') + '</w:t></w:r></w:p></w:tc>',
-      '</w:tr>',
-    ].join('')).join('\n');
-
-    // document.xml
+      "<w:t>" + escXml2(e.purpose || "") + "</w:t></w:r></w:p></w:tc>",
+      "</w:tr>"
+    ].join("")).join("\n");
     const documentXml = [
       '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
       '<w:document xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
       ' xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
       ' xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">',
-      '<w:body>',
+      "<w:body>",
       // タイトル: 証拠説明書（甲号証）
       '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:hint="eastAsia"/><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr>',
-      '<w:t>' + escXml(titleLabel) + '</w:t></w:r></w:p>',
+      "<w:t>" + escXml2(titleLabel) + "</w:t></w:r></w:p>",
       // 空行
-      '<w:p/>',
+      "<w:p/>",
       // 日付（右寄せ）
       '<w:p><w:pPr><w:jc w:val="right"/></w:pPr>',
       '<w:r><w:rPr><w:rFonts w:hint="eastAsia"/><w:sz w:val="24"/></w:rPr>',
-      '<w:t>' + escXml(dateStr) + '</w:t></w:r></w:p>',
+      "<w:t>" + escXml2(dateStr) + "</w:t></w:r></w:p>",
       // 空行
-      '<w:p/>',
+      "<w:p/>",
       // テーブル
-      '<w:tbl>',
-      '<w:tblPr>',
+      "<w:tbl>",
+      "<w:tblPr>",
       '<w:tblW w:w="9500" w:type="dxa"/>',
-      '<w:tblBorders>',
+      "<w:tblBorders>",
       '<w:top w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
       '<w:left w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
       '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
       '<w:right w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
       '<w:insideH w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
       '<w:insideV w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
-      '</w:tblBorders>',
+      "</w:tblBorders>",
       '<w:tblLayout w:type="fixed"/>',
-      '</w:tblPr>',
-      '<w:tblGrid>',
+      "</w:tblPr>",
+      "<w:tblGrid>",
       '<w:gridCol w:w="1100"/><w:gridCol w:w="2000"/><w:gridCol w:w="800"/>',
       '<w:gridCol w:w="1200"/><w:gridCol w:w="1200"/><w:gridCol w:w="3200"/>',
-      '</w:tblGrid>',
+      "</w:tblGrid>",
       headerRow,
       dataRows,
-      '</w:tbl>',
-      '<w:p/>',
+      "</w:tbl>",
+      "<w:p/>",
       // ページ設定（A4縦）
-      '<w:sectPr>',
+      "<w:sectPr>",
       '<w:pgSz w:w="11906" w:h="16838"/>',
       '<w:pgMar w:top="1440" w:right="1080" w:bottom="1440" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/>',
-      '</w:sectPr>',
-      '</w:body>',
-      '</w:document>',
-    ].join('\n');
-
-    // [Content_Types].xml
+      "</w:sectPr>",
+      "</w:body>",
+      "</w:document>"
+    ].join("\n");
     const contentTypes = [
       '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
       '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
       '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
       '<Default Extension="xml" ContentType="application/xml"/>',
       '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
-      '</Types>',
-    ].join('\n');
-
-    // _rels/.rels
+      "</Types>"
+    ].join("\n");
     const relsXml = [
       '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
       '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
       '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>',
-      '</Relationships>',
-    ].join('\n');
-
-    // word/_rels/document.xml.rels
+      "</Relationships>"
+    ].join("\n");
     const docRels = [
       '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
       '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
-      '</Relationships>',
-    ].join('\n');
-
-    // JSZipでdocxパッケージ
-    const zip = new JSZip();
-    zip.file('[Content_Types].xml', contentTypes);
-    zip.file('_rels/.rels', relsXml);
-    zip.file('word/document.xml', documentXml);
-    zip.file('word/_rels/document.xml.rels', docRels);
-
+      "</Relationships>"
+    ].join("\n");
+    const zip = new runtime.JSZip();
+    zip.file("[Content_Types].xml", contentTypes);
+    zip.file("_rels/.rels", relsXml);
+    zip.file("word/document.xml", documentXml);
+    zip.file("word/_rels/document.xml.rels", docRels);
     const blob = await zip.generateAsync({
-      type: 'blob',
-      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      type: "blob",
+      mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
     });
-
     return blob;
   }
 
-  // =============================================
-  // Section 6: UIコントローラー
-  // =============================================
-
-  let currentState = 'upload';
-  let currentMode = 'sofusho';
-  let receiptUploadFiles = [];
-  let evidenceUploadFiles = [];
-
-  const $ = (sel) => document.querySelector(sel);
-  const $$ = (sel) => document.querySelectorAll(sel);
-
-  const states = {
-    upload: $('#state-upload'),
-    processing: $('#state-processing'),
-    confirm: $('#state-confirm'),
-    'receipt-confirm': $('#state-receipt-confirm'),
-    'evidence-confirm': $('#state-evidence-confirm'),
-    complete: $('#state-complete'),
-  };
-
-  const dropZone = $('#dropZone');
-  const fileInput = $('#fileInput');
-  const processingTitle = $('#processingTitle');
-  const processingMessage = $('#processingMessage');
-  const sourceFileName = $('#sourceFileName');
-  const caseNumberWarning = $('#caseNumberWarning');
-  const outputFileName = $('#outputFileName');
-  const btnBack = $('#btnBack');
-  const btnGenerate = $('#btnGenerate');
-  const btnDownload = $('#btnDownload');
-  const btnNewFile = $('#btnNewFile');
-  const errorToast = $('#errorToast');
-  const errorMessage = $('#errorMessage');
-  const errorClose = $('#errorClose');
-  const extractStatus = $('#extractStatus');
-  const confettiContainer = $('#confetti');
-  const dragOverlay = $('#dragOverlay');
-  const singleDownloadArea = $('#singleDownloadArea');
-  const multiDownloadArea = $('#multiDownloadArea');
-  const downloadList = $('#downloadList');
-  const receiptFileListWrap = $('#receiptFileListWrap');
-  const receiptFileList = $('#receiptFileList');
-  const receiptFileCountBadge = $('#receiptFileCountBadge');
-  const procStep1 = $('#procStep1');
-  const procStep2 = $('#procStep2');
-  const procStep3 = $('#procStep3');
-
-  const fields = {
-    courtName: $('#courtName'),
-    courtFax: $('#courtFax'),
-    caseNumber: $('#caseNumber'),
-    caseName: $('#caseName'),
-    plaintiffName: $('#plaintiffName'),
-    defendantName: $('#defendantName'),
-    plaintiffLawyer: $('#plaintiffLawyer'),
-    plaintiffLawyerFax: $('#plaintiffLawyerFax'),
-    documentTitle: $('#documentTitle'),
-  };
-
-  const modeSofushoBtn = $('#modeSofusho');
-  const modeReceiptBtn = $('#modeReceipt');
-  const modeEvidenceBtn = $('#modeEvidence');
-  const appTitle = $('#appTitle');
-  const logoIcon = $('#logoIcon');
-  const completeTitle = $('#completeTitle');
-  const downloadLabel = $('#downloadLabel');
-  const uploadHeading = $('.upload-heading');
-  const uploadDesc = $('.upload-desc');
-  const settingsBtn = $('#settingsBtn');
-  const settingsModal = $('#settingsModal');
-  const settingsClose = $('#settingsClose');
-  const settingsSave = $('#settingsSave');
-  const receiptSourceFileName = $('#receiptSourceFileName');
-  const receiptSignerTitle = $('#receiptSignerTitle');
-  const receiptSignerName = $('#receiptSignerName');
-  const receiptDateInput = $('#receiptDate');
-  const btnReceiptBack = $('#btnReceiptBack');
-  const btnReceiptGenerate = $('#btnReceiptGenerate');
-
-  // --- ステート切り替え ---
-  function setState(newState) {
-    states[currentState].classList.remove('active');
-    const stateOrder = ['upload', 'processing', 'confirm', 'complete'];
-    const mapState = (newState === 'receipt-confirm' || newState === 'evidence-confirm') ? 'confirm' : newState;
-    const newIndex = stateOrder.indexOf(mapState);
-    const stepElements = $$('.step');
-    const connectorFills = $$('.step-connector-fill');
-    stepElements.forEach((step, i) => {
-      step.classList.remove('active', 'completed');
-      if (i < newIndex) step.classList.add('completed');
-      if (i === newIndex) step.classList.add('active');
-    });
-    connectorFills.forEach((fill, i) => {
-      fill.style.width = i < newIndex ? '100%' : '0%';
-    });
-    currentState = newState;
-    states[currentState].classList.add('active');
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+  // src/sofusho-pdf.js
+  var PAGE_WIDTH = 595.28;
+  var PAGE_HEIGHT = 841.89;
+  var MARGIN = { top: 99, right: 85, bottom: 85, left: 85 };
+  var FONT_SIZE = 12;
+  var TITLE_SIZE = 16;
+  var LINE_HEIGHT = 1.7;
+  function buildSofushoLayout(info, documentTitle, config = getConfig(), options = {}) {
+    const date = resolveSendDate(info);
+    const lawyer = options.lawyer || getDefaultLawyer(config);
+    const ownFax = lawyer && lawyer.fax || (config.faxNumbers || [])[0] || "";
+    const signer = lawyer ? lawyer.name : "";
+    const title = lawyer && lawyer.title || DEFAULT_SIGNER_TITLE;
+    const line = (text, align = "left", size) => ({ text, align, size });
+    const faxNote = (fax) => fax ? `（FAX ${fax}番）` : "";
+    const fullWidthCaseNumber = toFullWidthNumber(info.caseNumber || "").replace(/\(/g, "（").replace(/\)/g, "）");
+    const enclosures = buildEnclosureList(options.documents || [{ title: documentTitle || "" }]);
+    const pageCount = options.pageCount || enclosures.totalPages;
+    return [
+      line(`${info.courtName || ""}　御中　${faxNote(info.courtFax)}`),
+      line(`原告訴訟代理人弁護士　${info.plaintiffLawyer || ""}　先生　${faxNote(info.plaintiffLawyerFax)}`),
+      line(""),
+      line("文　書　送　付　書", "center", TITLE_SIZE),
+      line(""),
+      line(formatWareki(date), "right"),
+      line(config.officeName || "", "right"),
+      line(`${title}弁護士　${signer}`, "right"),
+      line(ownFax ? `ＦＡＸ${toFullWidthNumber(ownFax).replace(/-/g, "－")}番` : "", "right"),
+      line(""),
+      line("下記の書類を，送付致しますので，御査収下さい。"),
+      line(""),
+      line("（送付書類）"),
+      line(`${fullWidthCaseNumber}　${info.caseName || ""}`),
+      line(`原告　${info.plaintiffName || ""}`),
+      line(`被告　${info.defendantName || ""}`),
+      // 2件目以降は「に関する　」の幅だけ下げて書類名を揃える
+      ...enclosures.lines.map((title2, i) => line((i === 0 ? "に関する　" : "　".repeat(5)) + title2)),
+      line(pageCount ? formatTotalPages(pageCount) : ""),
+      { text: "", align: "left", rule: true },
+      line("受領証明書", "center"),
+      line(""),
+      line(`${info.courtName || ""}　御中　${faxNote(info.courtFax)}`),
+      line(`${title.replace("訴訟", "")}弁護士　${signer}　殿　${faxNote(ownFax)}`),
+      line(formatWareki(date, { precision: "month" }) + "　　日", "right"),
+      line(""),
+      line("上記書類を，本日，受領しました。"),
+      line(""),
+      line("受領者　　　　　　　　　　　　　　　　印", "right")
+    ];
   }
-
-  // --- エラー表示 ---
-  let errorTimer = null;
-  function showError(msg) {
-    errorMessage.textContent = msg;
-    errorToast.hidden = false;
-    if (errorTimer) clearTimeout(errorTimer);
-    errorTimer = setTimeout(() => { errorToast.hidden = true; }, 15000);
-  }
-  errorClose.addEventListener('click', () => {
-    errorToast.hidden = true;
-    if (errorTimer) clearTimeout(errorTimer);
-  });
-
-  // --- 処理ステップアニメーション ---
-  let processingTimers = [];
-  function resetProcessingSteps() {
-    processingTimers.forEach(t => clearTimeout(t));
-    processingTimers = [];
-    [procStep1, procStep2, procStep3].forEach(step => {
-      if (step) step.classList.remove('active', 'done');
-    });
+  function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let current = "";
+    for (const ch of text) {
+      if (current && font.widthOfTextAtSize(current + ch, size) > maxWidth) {
+        lines.push(current);
+        current = ch.trim() ? ch : "";
+      } else {
+        current += ch;
+      }
+    }
+    lines.push(current);
+    return lines;
   }
-  function startProcessingSteps(mode) {
-    resetProcessingSteps();
-    if (mode === 'upload') {
-      if (procStep1) procStep1.classList.add('active');
-    } else if (mode === 'generate') {
-      [procStep1, procStep2, procStep3].forEach(step => {
-        if (step) step.classList.add('done');
-      });
+  async function generateSofushoPdfBrowser(info, documentTitle, onProgress, options = {}) {
+    const { PDFLib, fontkit } = runtime;
+    const { rgb } = PDFLib;
+    onProgress && onProgress("フォントを読み込み中...");
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    pdfDoc.registerFontkit(fontkit);
+    const fontBytes = await loadJapaneseFont();
+    const font = await pdfDoc.embedFont(fontBytes, { subset: false });
+    onProgress && onProgress("送付書を作成中...");
+    let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const maxWidth = PAGE_WIDTH - MARGIN.left - MARGIN.right;
+    let y = PAGE_HEIGHT - MARGIN.top;
+    for (const item of buildSofushoLayout(info, documentTitle, getConfig(), options)) {
+      const size = item.size || FONT_SIZE;
+      if (item.rule) {
+        page.drawLine({
+          start: { x: MARGIN.left, y: y + size / 2 },
+          end: { x: PAGE_WIDTH - MARGIN.right, y: y + size / 2 },
+          thickness: 0.8,
+          color: rgb(0, 0, 0)
+        });
+        y -= size * LINE_HEIGHT;
+        continue;
+      }
+      for (const text of wrapText(item.text, font, size, maxWidth)) {
+        if (y < MARGIN.bottom) {
+          page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+          y = PAGE_HEIGHT - MARGIN.top;
+        }
+        const width = font.widthOfTextAtSize(text, size);
+        const x = item.align === "center" ? (PAGE_WIDTH - width) / 2 : item.align === "right" ? PAGE_WIDTH - MARGIN.right - width : MARGIN.left;
+        if (text) page.drawText(text, { x, y, size, font, color: rgb(0, 0, 0) });
+        y -= size * LINE_HEIGHT;
+      }
+    }
+    onProgress && onProgress("PDFファイルを生成中...");
+    const pdfBytes = await pdfDoc.save();
+    return {
+      blob: new Blob([pdfBytes], { type: "application/pdf" }),
+      fileName: buildSofushoFileName(documentTitle, "pdf"),
+      pageCount: pdfDoc.getPageCount()
+    };
+  }
+  async function generateSofushoBundleBrowser(info, documentTitle, files, onProgress, options = {}) {
+    const { PDFLib } = runtime;
+    if (files.length === 0) throw new Error("送付書の後ろに付けるPDFがありません");
+    onProgress && onProgress("送付するPDFのページ数を数えています...");
+    const documents = [];
+    for (const file of files) {
+      const doc = await PDFLib.PDFDocument.load(await file.arrayBuffer());
+      const listed = (options.documents || []).find((d) => d.originalName === file.name);
+      documents.push({ title: listed ? listed.title : getDocumentTitleFromFilename(file.name), pageCount: doc.getPageCount() });
+    }
+    const attachedPages = documents.reduce((sum, d) => sum + d.pageCount, 0);
+    const lawyer = options.lawyer;
+    let cover = await generateSofushoPdfBrowser(
+      info,
+      documentTitle,
+      onProgress,
+      { documents, pageCount: attachedPages + 1, lawyer }
+    );
+    if (cover.pageCount > 1) {
+      cover = await generateSofushoPdfBrowser(
+        info,
+        documentTitle,
+        onProgress,
+        { documents, pageCount: attachedPages + cover.pageCount, lawyer }
+      );
     }
+    const coverFile = new File([cover.blob], cover.fileName, { type: "application/pdf" });
+    const merged = await mergePdfs([coverFile].concat(files), onProgress);
+    return {
+      blob: new Blob([await merged.arrayBuffer()], { type: "application/pdf" }),
+      fileName: buildSofushoFileName(documentTitle, "pdf").replace(/^文書送付書_/, "文書送付書付き_"),
+      pageCount: attachedPages + cover.pageCount
+    };
   }
 
-  // --- 進捗更新 ---
-  function updateProgress(msg) {
-    if (processingMessage) processingMessage.textContent = msg;
-    if (msg.includes('OCR') || msg.includes('文字認識')) {
-      if (procStep1) { procStep1.classList.remove('active'); procStep1.classList.add('done'); }
-      if (procStep2) procStep2.classList.add('active');
+  // src/receipt-profile.js
+  var STORE5 = "receiptProfiles";
+  var ANCHOR_PATTERN = /受領|送付|行|殿|宛|御中|令和|年|月|日|代理人|弁護士|FAX|ＦＡＸ|電話|TEL/;
+  var ANCHOR_LIMIT = 40;
+  var ANCHOR_TOLERANCE = 0.02;
+  var MATCH_WITH_FAX = 0.5;
+  var MATCH_WITHOUT_FAX = 0.8;
+  var MIN_ANCHORS_WITHOUT_FAX = 4;
+  var memoryProfiles = /* @__PURE__ */ new Map();
+  async function getAllRecords3() {
+    if (!runtime.indexedDB) return [...memoryProfiles.values()].map((r) => Object.assign({}, r));
+    return idbRequest(openDataDatabase(), STORE5, "readonly", (store) => store.getAll());
+  }
+  async function putRecord3(record) {
+    if (!runtime.indexedDB) {
+      memoryProfiles.set(record.id, Object.assign({}, record));
+      return;
     }
-    if (msg.includes('抽出') || msg.includes('検出')) {
-      if (procStep1) { procStep1.classList.remove('active'); procStep1.classList.add('done'); }
-      if (procStep2) { procStep2.classList.remove('active'); procStep2.classList.add('done'); }
-      if (procStep3) procStep3.classList.add('active');
+    await idbRequest(openDataDatabase(), STORE5, "readwrite", (store) => store.put(record));
+  }
+  async function deleteRecord4(id) {
+    if (!runtime.indexedDB) {
+      memoryProfiles.delete(id);
+      return;
+    }
+    await idbRequest(openDataDatabase(), STORE5, "readwrite", (store) => store.delete(id));
+  }
+  function faxDigits2(fax) {
+    return String(fax || "").replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 65248)).replace(/\D/g, "");
+  }
+  function joinLines(words) {
+    const sorted = words.slice().sort((a, b) => a.y1 - b.y1 || a.x1 - b.x1);
+    const lines = [];
+    for (const w of sorted) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(w.y1 - line.y1) < Math.max(8, (w.y2 - w.y1) / 2)) line.words.push(w);
+      else lines.push({ y1: w.y1, words: [w] });
+    }
+    return lines.map((l) => l.words.sort((a, b) => a.x1 - b.x1).map((w) => w.text).join("")).join("\n");
+  }
+  function findSenderFaxNumbers(words) {
+    const own = getOwnFaxNumbers().map(faxDigits2).filter(Boolean);
+    const text = joinLines(words);
+    const found = [];
+    const re = /(?:FAX|ＦＡＸ|[Ff]ax|ファクシミリ|ファックス)[：:\s]*([0-9０-９\-－ー・()（）]{10,})/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const digits = faxDigits2(m[1]);
+      if (digits.length < 10 || digits.length > 11) continue;
+      if (own.some((o) => o === digits)) continue;
+      if (!found.includes(digits)) found.push(digits);
+    }
+    return found;
+  }
+  function receiptFingerprint(words, imgW, imgH) {
+    return words.filter((w) => ANCHOR_PATTERN.test(w.text)).slice(0, ANCHOR_LIMIT).map((w) => ({ text: w.text, x: round(w.x1 / imgW), y: round(w.y1 / imgH) }));
+  }
+  function round(v) {
+    return Math.round(v * 1e4) / 1e4;
+  }
+  function fingerprintScore(stored, current) {
+    if (!stored.length) return 0;
+    const matched = stored.filter((a) => current.some((b) => b.text === a.text && Math.abs(b.x - a.x) <= ANCHOR_TOLERANCE && Math.abs(b.y - a.y) <= ANCHOR_TOLERANCE));
+    return matched.length / stored.length;
+  }
+  function sameOrientation(a, b) {
+    return !!(a && a.vertical) === !!(b && b.vertical) && (a && a.rotation || 0) === (b && b.rotation || 0);
+  }
+  async function matchReceiptProfile(ocr) {
+    const profiles = await getAllRecords3();
+    if (!profiles.length) return null;
+    const faxes = findSenderFaxNumbers(ocr.words);
+    const fingerprint = receiptFingerprint(ocr.words, ocr.imgWidth, ocr.imgHeight);
+    let best = null;
+    for (const profile of profiles) {
+      if (!sameOrientation(profile.orientation, ocr.orientation)) continue;
+      const byFax = profile.faxNumbers.some((f) => faxes.includes(f));
+      const score = fingerprintScore(profile.fingerprint, fingerprint);
+      const ok = byFax ? score >= MATCH_WITH_FAX : profile.fingerprint.length >= MIN_ANCHORS_WITHOUT_FAX && score >= MATCH_WITHOUT_FAX;
+      if (!ok) continue;
+      const rank = (byFax ? 1 : 0) + score;
+      if (!best || rank > best.rank) best = { profile, by: byFax ? "fax" : "fingerprint", score, rank };
+    }
+    return best && { profile: best.profile, by: best.by, score: best.score };
+  }
+  function profilePlacements(profile, pageSize) {
+    const sx = pageSize.width / profile.pageSize.width;
+    const sy = pageSize.height / profile.pageSize.height;
+    const s = Math.min(sx, sy);
+    const placements = {};
+    for (const [key, item] of Object.entries(profile.placements)) {
+      placements[key] = item && Object.assign(
+        { x: item.x * sx, y: item.y * sy },
+        item.size !== void 0 ? { size: item.size * s } : {},
+        item.width !== void 0 ? { width: item.width * s } : {}
+      );
+    }
+    return placements;
+  }
+  async function saveReceiptProfile(ocr, items, pageSize) {
+    const now = (/* @__PURE__ */ new Date()).toISOString();
+    const match = await matchReceiptProfile(ocr);
+    const faxNumbers = findSenderFaxNumbers(ocr.words);
+    const placements = {};
+    for (const key of ["strike", "sensei", "date", "name", "seal"]) {
+      const item = items[key];
+      placements[key] = item ? Object.assign(
+        { x: item.x, y: item.y },
+        item.size !== void 0 ? { size: item.size } : {},
+        item.width !== void 0 ? { width: item.width } : {}
+      ) : null;
+    }
+    const previous = match ? match.profile : null;
+    const record = {
+      id: previous ? previous.id : "rp_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      faxNumbers: [.../* @__PURE__ */ new Set([...previous ? previous.faxNumbers : [], ...faxNumbers])],
+      fingerprint: receiptFingerprint(ocr.words, ocr.imgWidth, ocr.imgHeight),
+      orientation: ocr.orientation || null,
+      pageSize: { width: pageSize.width, height: pageSize.height },
+      placements,
+      useCount: previous ? previous.useCount || 0 : 0,
+      lastUsedAt: previous ? previous.lastUsedAt : void 0,
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now
+    };
+    await putRecord3(record);
+    return record;
+  }
+  async function touchReceiptProfile(id) {
+    const record = (await getAllRecords3()).find((r) => r.id === id);
+    if (!record) return;
+    record.useCount = (record.useCount || 0) + 1;
+    record.lastUsedAt = (/* @__PURE__ */ new Date()).toISOString();
+    await putRecord3(record);
+  }
+  async function listReceiptProfiles() {
+    const records = await getAllRecords3();
+    return records.sort((a, b) => (b.lastUsedAt || b.updatedAt).localeCompare(a.lastUsedAt || a.updatedAt));
+  }
+  async function deleteReceiptProfile(id) {
+    await deleteRecord4(id);
+  }
+
+  // src/receipt.js
+  async function runOcrBrowser(pdfArrayBuffer, pageNum, onProgress) {
+    onProgress && onProgress(`ページ${pageNum}を描画中...`);
+    const pdfDoc = await openPdf(pdfArrayBuffer);
+    const page = await pdfDoc.getPage(pageNum);
+    const canvas = await renderPageToCanvas(page, 400 / 72);
+    onProgress && onProgress(`ページ${pageNum}をOCR中...`);
+    const { data, orientation, width, height } = await recognizeOriented(canvas, {
+      onProgress: (progress) => onProgress && onProgress(`OCR処理中... ${Math.round(progress * 100)}%`)
+    });
+    const rotation = orientation.vertical ? layoutRotation(orientation) : 0;
+    const { width: imgWidth, height: imgHeight } = layoutSize(width, height, rotation);
+    const words = [];
+    if (data && data.words) {
+      for (const w of data.words) {
+        const text = w.text.trim();
+        if (!text) continue;
+        const p1 = rotateImagePoint(w.bbox.x0, w.bbox.y0, rotation, width, height);
+        const p2 = rotateImagePoint(w.bbox.x1, w.bbox.y1, rotation, width, height);
+        words.push({
+          x1: Math.min(p1.x, p2.x),
+          y1: Math.min(p1.y, p2.y),
+          x2: Math.max(p1.x, p2.x),
+          y2: Math.max(p1.y, p2.y),
+          text
+        });
+      }
+    }
+    console.log(`  [OCR] ページ${pageNum}: ${words.length}語検出`);
+    return { words, imgWidth, imgHeight, orientation };
+  }
+  function px2pdf(px, py, imgW, imgH, pgW, pgH) {
+    return {
+      x: px * pgW / imgW,
+      y: pgH - py * pgH / imgH
+    };
+  }
+  function findReceiptLabel(words) {
+    const direct = words.find(
+      (w) => w.text.includes("受領書") || w.text.includes("受領")
+    );
+    if (direct) return { found: true, y: direct.y1 };
+    const juWords = words.filter((w) => w.text === "受");
+    for (const ju of juWords) {
+      const ryou = words.find(
+        (w) => w.text === "領" && Math.abs(w.y1 - ju.y1) < 50 && w.x1 > ju.x1 && w.x1 < ju.x1 + 300
+      );
+      if (ryou) return { found: true, y: ju.y1 };
+    }
+    return { found: false, y: null };
+  }
+  function scoreReceiptPage(words) {
+    const allText = words.map((w) => w.text).join("");
+    let score = 0;
+    const receiptLabel = findReceiptLabel(words);
+    if (receiptLabel.found) score += 50;
+    if (/令和/.test(allText)) score += 10;
+    if (/代理人/.test(allText)) score += 10;
+    if (words.length > 200) score -= 20;
+    if (words.length > 300) score -= 20;
+    return score;
+  }
+  async function findReceiptPage(pdfArrayBuffer, totalPages, onProgress) {
+    const hash = await hashData(pdfArrayBuffer);
+    const cached = hash && await getCachedReceiptOcr(hash);
+    if (cached) {
+      onProgress && onProgress(`受領書ページ（${cached.pageNum}ページ目）のOCR結果を再利用しました`);
+      return cached;
+    }
+    const result = await scanReceiptPages(pdfArrayBuffer, totalPages, onProgress);
+    if (hash) await putCachedReceiptOcr(hash, result);
+    return result;
+  }
+  async function scanReceiptPages(pdfArrayBuffer, totalPages, onProgress) {
+    if (totalPages === 1) {
+      const ocr = await runOcrBrowser(pdfArrayBuffer, 1, onProgress);
+      return { pageNum: 1, ocr };
+    }
+    const scanOrder = [1, totalPages];
+    for (let p = 2; p < totalPages; p++) scanOrder.push(p);
+    let bestPageNum = 1;
+    let bestOcr = null;
+    let bestScore = -Infinity;
+    for (const p of scanOrder) {
+      onProgress && onProgress(`ページ ${p}/${totalPages} スキャン中...`);
+      const ocr = await runOcrBrowser(pdfArrayBuffer, p, onProgress);
+      const score = scoreReceiptPage(ocr.words);
+      if (score > bestScore) {
+        bestScore = score;
+        bestPageNum = p;
+        bestOcr = ocr;
+      }
+      if (score >= 50) {
+        return { pageNum: p, ocr };
+      }
+    }
+    return { pageNum: bestPageNum, ocr: bestOcr };
+  }
+  function findReceiptSectionStart(words, imgH) {
+    const receiptLabel = findReceiptLabel(words);
+    if (receiptLabel.found && receiptLabel.y !== null) {
+      return Math.max(0, receiptLabel.y - 50);
+    }
+    return 0;
+  }
+  function detectPositions(words, imgW, imgH, pgW, pgH) {
+    const receiptStartY = findReceiptSectionStart(words, imgH);
+    const rw = words.filter((w) => w.y1 >= receiptStartY);
+    let gyouWord = null;
+    const allGyouWords = rw.filter((w) => w.text === "行");
+    if (allGyouWords.length > 0) {
+      const bengoWordInReceipt = rw.find(
+        (w) => w.text.includes("弁護") || w.text.includes("護士")
+      );
+      if (bengoWordInReceipt) {
+        const bengoY = bengoWordInReceipt.y1;
+        const gyouInBengoLine = allGyouWords.filter((w) => Math.abs(w.y1 - bengoY) < 60);
+        if (gyouInBengoLine.length > 0) {
+          gyouWord = gyouInBengoLine.reduce((a, b) => a.x1 > b.x1 ? a : b);
+        }
+      }
+      if (!gyouWord) {
+        gyouWord = allGyouWords.reduce((a, b) => a.y1 < b.y1 ? a : b);
+      }
+    }
+    let agentWord = null;
+    const agentCandidates = rw.filter(
+      (w) => w.text.includes("代理人") || w.text.includes("代理")
+    );
+    if (agentCandidates.length > 0) {
+      agentWord = agentCandidates.reduce((a, b) => a.y1 > b.y1 ? a : b);
+    } else {
+      const midY = receiptStartY + (imgH - receiptStartY) * 0.5;
+      const agentCandidates2 = rw.filter(
+        (w) => w.y1 > midY && (w.text.includes("被告") || w.text.includes("原告"))
+      );
+      if (agentCandidates2.length > 0) {
+        agentWord = agentCandidates2.reduce((a, b) => a.y1 > b.y1 ? a : b);
+      }
+    }
+    if (agentWord) {
+      const agentY = agentWord.y1;
+      const agentRowWords = rw.filter((w) => Math.abs(w.y1 - agentY) < 60).sort((a, b) => a.x1 - b.x1);
+      const ninWord = agentRowWords.find((w) => w.text === "人" || w.text.endsWith("人"));
+      if (ninWord) agentWord._titleEndX = ninWord.x2;
+      const leftMost = agentRowWords[0];
+      if (leftMost && leftMost.x1 < agentWord.x1) agentWord._lineStartX = leftMost.x1;
+    }
+    const searchTopY = gyouWord ? gyouWord.y1 + 20 : receiptStartY;
+    const searchBottomY = agentWord ? agentWord.y1 - 10 : imgH;
+    let dateWord = null;
+    const reiwaWords = rw.filter(
+      (w) => w.y1 > searchTopY && w.y1 < searchBottomY && (w.text === "令" || w.text === "令和" || w.text.startsWith("令"))
+    );
+    if (reiwaWords.length > 0) {
+      dateWord = reiwaWords.reduce((a, b) => a.y1 < b.y1 ? a : b);
+    } else {
+      const dateish = rw.filter(
+        (w) => w.y1 > searchTopY && w.y1 < searchBottomY && (w.text.includes("年") || w.text.includes("月"))
+      );
+      if (dateish.length > 0) {
+        dateWord = dateish.reduce((a, b) => a.y1 < b.y1 ? a : b);
+      }
+    }
+    if (!dateWord && agentWord) {
+      const estimatedY = Math.round(agentWord.y1 - imgH * 0.06);
+      const estimatedX = Math.round(imgW * 0.05);
+      dateWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 200, y2: estimatedY + 40, text: "令和（推定）", estimated: true };
+    } else if (!dateWord) {
+      const estimatedY = Math.round(receiptStartY + (imgH - receiptStartY) * 0.5);
+      const estimatedX = Math.round(imgW * 0.05);
+      dateWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 200, y2: estimatedY + 40, text: "令和（推定）", estimated: true };
+    }
+    if (!agentWord) {
+      const estimatedY = Math.round(receiptStartY + (imgH - receiptStartY) * 0.85);
+      const estimatedX = Math.round(imgW * 0.2);
+      agentWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 300, y2: estimatedY + 40, text: "代理人（推定）", estimated: true };
+    }
+    const gyouPdf = gyouWord ? {
+      left: px2pdf(gyouWord.x1, gyouWord.y2, imgW, imgH, pgW, pgH),
+      right: px2pdf(gyouWord.x2, gyouWord.y2, imgW, imgH, pgW, pgH),
+      top: px2pdf(gyouWord.x1, gyouWord.y1, imgW, imgH, pgW, pgH).y,
+      width: (gyouWord.x2 - gyouWord.x1) * pgW / imgW,
+      height: (gyouWord.y2 - gyouWord.y1) * pgH / imgH,
+      pxY1: gyouWord.y1
+    } : null;
+    const datePdfTop = px2pdf(dateWord.x1, dateWord.y1, imgW, imgH, pgW, pgH);
+    const datePdfBottom = px2pdf(dateWord.x1, dateWord.y2, imgW, imgH, pgW, pgH);
+    const agentPdfTop = px2pdf(agentWord.x1, agentWord.y1, imgW, imgH, pgW, pgH);
+    const agentPdfBottom = px2pdf(agentWord.x1, agentWord.y2, imgW, imgH, pgW, pgH);
+    const agentLinePdf = agentPdfBottom;
+    const agentTitleEndX = agentWord && agentWord._titleEndX ? agentWord._titleEndX * pgW / imgW : null;
+    return {
+      gyou: gyouPdf,
+      date: { x: datePdfBottom.x, yTop: datePdfTop.y, yBase: datePdfBottom.y },
+      agent: { x: agentLinePdf.x, yTop: agentPdfTop.y, yBase: agentPdfBottom.y },
+      agentTitleEndX,
+      agentRowY: agentPdfBottom.y,
+      imgW,
+      imgH
+    };
+  }
+  var RECEIPT_FONT_SIZE = 10.5;
+  var RECEIPT_SEAL_SIZE = SEAL_DEFAULTS.size;
+  function resolveReceiptPlacements(pos, texts, textWidth, pgW, placements, sealStyle) {
+    const moved = placements || {};
+    const fs_ = RECEIPT_FONT_SIZE;
+    const margin = 3;
+    const pick2 = (key, x, y) => {
+      const m = moved[key];
+      return m ? { x: m.x, y: m.y, size: m.size || fs_ } : { x, y, size: fs_ };
+    };
+    const coverHeight = (item, wordHeight) => wordHeight * item.size / fs_ + margin * 2;
+    const g = pos.gyou;
+    let strike = null;
+    if (moved.strike) {
+      strike = { x: moved.strike.x, y: moved.strike.y, width: moved.strike.width };
+    } else if (moved.strike !== null && g) {
+      strike = { x: g.left.x, y: g.left.y, width: Math.min(g.width, textWidth("行", fs_)) };
+    }
+    let sensei = null;
+    if (moved.sensei) sensei = pick2("sensei");
+    else if (moved.sensei !== null && g) sensei = pick2("sensei", g.right.x + 2, g.left.y);
+    const d = pos.date;
+    const date = pick2("date", d.x, d.yBase);
+    date.cover = {
+      x: date.x - 4,
+      y: date.y - margin,
+      width: Math.max(textWidth(texts.receiptDate, date.size) + 40, pgW * 0.5),
+      height: coverHeight(date, d.yTop - d.yBase)
+    };
+    const a = pos.agent;
+    const nameX = pos.agentTitleEndX ? pos.agentTitleEndX + 4 : a.x + textWidth(texts.signerTitle, fs_) + 4;
+    const name = pick2("name", nameX, a.yBase);
+    const nameW = textWidth(`　${texts.signerName}`, name.size);
+    name.cover = { x: name.x - 2, y: name.y - margin, width: nameW + 20, height: coverHeight(name, a.yTop - a.yBase) };
+    const style = Object.assign({ size: RECEIPT_SEAL_SIZE, offsetX: 0, offsetY: 0 }, sealStyle);
+    const seal = moved.seal ? { x: moved.seal.x, y: moved.seal.y, size: moved.seal.size || style.size } : {
+      x: name.x + nameW + 2 + style.offsetX,
+      y: name.y - style.size * 0.5 + name.size * 0.3 + style.offsetY,
+      size: style.size
+    };
+    return { strike, sensei, date, name, seal };
+  }
+  function createLayoutWriter(page, orientation, font) {
+    const { degrees } = runtime.PDFLib;
+    const frame = getPageFrame(page);
+    const rotation = layoutRotation(orientation);
+    const toVisual = (x, y) => layoutToPagePoint(x, y, rotation, frame.width, frame.height);
+    const toPage = (x, y) => {
+      const v = toVisual(x, y);
+      return frame.toPage(v.x, v.y);
+    };
+    const rotate = degrees((frame.rotation + rotation) % 360);
+    const vertical = orientation.vertical;
+    const { width, height } = layoutSize(frame.width, frame.height, rotation);
+    return {
+      width,
+      height,
+      textWidth: (text, size) => vertical ? Array.from(text).length * size : font.widthOfTextAtSize(text, size),
+      drawText(text, opts) {
+        if (!vertical) {
+          page.drawText(text, Object.assign({}, opts, toPage(opts.x, opts.y), { rotate }));
+          return;
+        }
+        Array.from(toFullWidthNumber(text)).forEach((ch, i) => {
+          const top = toVisual(opts.x + i * opts.size, opts.y);
+          const chW = font.widthOfTextAtSize(ch, opts.size);
+          const at = frame.toPage(top.x + (opts.size - chW) / 2, top.y - opts.size * 0.88);
+          page.drawText(ch, Object.assign({}, opts, at, { rotate: frame.rotate }));
+        });
+      },
+      drawLine(opts) {
+        page.drawLine(Object.assign({}, opts, { start: toPage(opts.start.x, opts.start.y), end: toPage(opts.end.x, opts.end.y) }));
+      },
+      drawRectangle(opts) {
+        page.drawRectangle(Object.assign({}, opts, toPage(opts.x, opts.y), { rotate }));
+      },
+      drawImage(image, opts) {
+        if (!vertical) {
+          page.drawImage(image, Object.assign({}, opts, toPage(opts.x, opts.y), { rotate }));
+          return;
+        }
+        const { x, y, width: width2, height: height2, ...style } = opts;
+        const a = toVisual(x, y);
+        const b = toVisual(x + width2, y + height2);
+        page.drawImage(image, Object.assign(style, {
+          width: Math.abs(b.x - a.x),
+          height: Math.abs(b.y - a.y),
+          rotate: frame.rotate
+        }, frame.toPage(Math.min(a.x, b.x), Math.min(a.y, b.y))));
+      }
+    };
+  }
+  function formatReceiptDate(text) {
+    return String(text || "").trim() ? normalizeWarekiDate(text) : formatWareki(/* @__PURE__ */ new Date());
+  }
+  async function generateReceiptBrowser(file, options, onProgress) {
+    const { PDFLib, fontkit } = runtime;
+    onProgress && onProgress("PDFを読み込み中...");
+    const config = getConfig();
+    const receiptDate = formatReceiptDate(options && options.receiptDate);
+    let signerTitle = options && options.signerTitle || DEFAULT_SIGNER_TITLE;
+    let signerName = options && options.signerName || config.signerName || "山田太郎";
+    const sealId = options && options.sealId;
+    if (sealId !== "none") assertSecureStoreUnlocked();
+    let sealRecord2 = sealId === "none" ? null : sealId ? getSealRecord(sealId) : getLawyerSeal(findLawyerByName(signerName)) || pickSeal(signerName);
+    const pdfArrayBuffer = await file.arrayBuffer();
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfArrayBuffer);
+    pdfDoc.registerFontkit(fontkit);
+    const totalPages = pdfDoc.getPageCount();
+    onProgress && onProgress("受領書ページを探しています...");
+    const { pageNum: receiptPageNum, ocr } = await findReceiptPage(pdfArrayBuffer, totalPages, onProgress);
+    const receiptPageIndex = receiptPageNum - 1;
+    const words = ocr.words;
+    const imgWidth = ocr.imgWidth;
+    const imgHeight = ocr.imgHeight;
+    const page = pdfDoc.getPage(receiptPageIndex);
+    const orientation = ocr.orientation || UPRIGHT;
+    if (options && options.lawyerByCase) {
+      const lawyer = await findCaseLawyer(words.map((w) => w.text).join(""));
+      if (lawyer) {
+        onProgress && onProgress("事件台帳の担当弁護士で署名します: " + lawyer.name);
+        signerTitle = lawyer.title || signerTitle;
+        signerName = lawyer.name;
+        sealRecord2 = sealId === "none" ? null : getLawyerSeal(lawyer);
+      }
+    }
+    onProgress && onProgress("フォントを読み込み中...");
+    const fontBytes = await loadJapaneseFont();
+    const font = await pdfDoc.embedFont(fontBytes, { subset: false });
+    const writer = createLayoutWriter(page, orientation, font);
+    const { width: pgW, height: pgH } = writer;
+    const allChars = `行先生${receiptDate}${signerTitle}　${signerName}㊞`;
+    try {
+      font.encodeText(allChars);
+    } catch (e) {
+    }
+    let placements = options && options.placements;
+    if (!placements) {
+      const match = await matchReceiptProfile(ocr);
+      if (match) {
+        onProgress && onProgress("保存した受領書の書式を使います");
+        placements = profilePlacements(match.profile, { width: pgW, height: pgH });
+        await touchReceiptProfile(match.profile.id);
+      }
+    }
+    onProgress && onProgress("書き込み位置を検出中...");
+    const pos = detectPositions(words, imgWidth, imgHeight, pgW, pgH);
+    const items = resolveReceiptPlacements(pos, { receiptDate, signerTitle, signerName }, writer.textWidth, pgW, placements, sealRecord2);
+    const fs_ = RECEIPT_FONT_SIZE;
+    const { rgb, BlendMode } = PDFLib;
+    if (items.strike) {
+      const t = items.strike;
+      const midY = t.y + fs_ * 0.4;
+      writer.drawLine({ start: { x: t.x, y: midY + 1.5 }, end: { x: t.x + t.width, y: midY + 1.5 }, thickness: 0.8, color: rgb(0, 0, 0) });
+      writer.drawLine({ start: { x: t.x, y: midY - 1.5 }, end: { x: t.x + t.width, y: midY - 1.5 }, thickness: 0.8, color: rgb(0, 0, 0) });
+    }
+    if (items.sensei) {
+      const t = items.sensei;
+      writer.drawText("先生", { x: t.x, y: t.y, size: t.size, font, color: rgb(0, 0, 0) });
+    }
+    {
+      const t = items.date;
+      writer.drawRectangle(Object.assign({ color: rgb(1, 1, 1) }, t.cover));
+      writer.drawText(receiptDate, { x: t.x, y: t.y, size: t.size, font, color: rgb(0, 0, 0) });
+    }
+    {
+      const t = items.name;
+      writer.drawRectangle(Object.assign({ color: rgb(1, 1, 1) }, t.cover));
+      writer.drawText(`　${signerName}`, { x: t.x, y: t.y, size: t.size, font, color: rgb(0, 0, 0) });
+      const seal = items.seal;
+      const sealMark = () => {
+        const size = fs_ * seal.size / RECEIPT_SEAL_SIZE;
+        writer.drawText("㊞", { x: seal.x + 2, y: seal.y + seal.size * 0.5 - size * 0.3, size, font, color: rgb(0, 0, 0) });
+      };
+      if (sealRecord2) {
+        try {
+          const sealBase64 = sealRecord2.dataUrl;
+          const sealData = Uint8Array.from(atob(sealBase64.replace(/^data:image\/\w+;base64,/, "")), (c) => c.charCodeAt(0));
+          let sealImage;
+          if (sealBase64.includes("image/png")) {
+            sealImage = await pdfDoc.embedPng(sealData);
+          } else {
+            sealImage = await pdfDoc.embedJpg(sealData);
+          }
+          const fit = seal.size / Math.max(sealImage.width, sealImage.height);
+          const w = sealImage.width * fit;
+          const h = sealImage.height * fit;
+          writer.drawImage(sealImage, {
+            x: seal.x + (seal.size - w) / 2,
+            y: seal.y + (seal.size - h) / 2,
+            width: w,
+            height: h,
+            opacity: sealRecord2.opacity,
+            blendMode: BlendMode.Multiply
+          });
+        } catch (e) {
+          console.warn("印鑑画像の読み込みに失敗:", e);
+          sealMark();
+        }
+      } else {
+        sealMark();
+      }
+    }
+    onProgress && onProgress("PDFを生成中...");
+    const outDoc = await PDFLib.PDFDocument.create();
+    outDoc.registerFontkit(fontkit);
+    const [copiedPage] = await outDoc.copyPages(pdfDoc, [receiptPageIndex]);
+    outDoc.addPage(copiedPage);
+    const savedBytes = await outDoc.save();
+    const ts = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    const baseName = file.name.replace(/\.pdf$/i, "");
+    const outFileName = `受領書_${baseName}_${ts}.pdf`;
+    const blob = new Blob([savedBytes], { type: "application/pdf" });
+    return { blob, fileName: outFileName };
+  }
+  async function generateReceiptsBrowser(files, options, onProgress) {
+    const results = new Array(files.length);
+    let next = 0;
+    let done = 0;
+    const report = (file, msg) => onProgress && onProgress(msg, { file, done, total: files.length });
+    async function lane() {
+      while (next < files.length) {
+        const index = next++;
+        const file = files[index];
+        try {
+          const fileOptions = options.placementsByFile && options.placementsByFile.has(file) ? Object.assign({}, options, { placements: options.placementsByFile.get(file) }) : options;
+          const result = await generateReceiptBrowser(file, fileOptions, (msg) => report(file, msg));
+          results[index] = { file, result, error: null };
+        } catch (err) {
+          results[index] = { file, result: null, error: err };
+        }
+        done++;
+        report(file, results[index].error ? "失敗しました" : "完了しました");
+      }
+    }
+    const lanes = Math.min(getOcrPoolSize(), files.length);
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return results;
+  }
+
+  // src/ui/court-directory.js
+  var MAX_LIST_ITEMS = 200;
+  var ORIGIN_LABELS = { office: "事務所", modified: "修正", user: "追加" };
+  function downloadText(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1e3);
+  }
+  function setupCourtDirectory({ showError, onChange = () => {
+  } }) {
+    const $ = (sel) => document.querySelector(sel);
+    const modal = $("#courtDirectoryModal");
+    if (!modal) return;
+    const search = $("#courtDirectorySearch");
+    const list = $("#courtDirectoryList");
+    const count = $("#courtDirectoryCount");
+    const form = {
+      name: $("#courtEditName"),
+      parent: $("#courtEditParent"),
+      fax: $("#courtEditFax"),
+      phone: $("#courtEditPhone"),
+      divisions: $("#courtEditDivisions")
+    };
+    const btnDelete = $("#courtEditDelete");
+    const btnRestore = $("#courtEditRestore");
+    const review = $("#courtFaxReview");
+    const reviewList = $("#courtFaxReviewList");
+    const reviewCount = $("#courtFaxReviewCount");
+    let editingName = "";
+    function renderReview() {
+      const queue2 = getCourtFaxReviewQueue();
+      if (reviewCount) {
+        reviewCount.textContent = `確認待ち ${queue2.length}`;
+        reviewCount.hidden = queue2.length === 0;
+      }
+      if (!review) return;
+      review.hidden = queue2.length === 0;
+      reviewList.innerHTML = "";
+      queue2.forEach((item) => {
+        const li = document.createElement("li");
+        const text = document.createElement("div");
+        text.className = "review-text";
+        const stored = item.check.stored;
+        text.textContent = `${item.court}${item.division ? " " + item.division : ""}　FAX ${item.fax}` + (item.check.status === "mismatch" ? `（名簿: ${stored.fax}）` : "（名簿に番号なし）");
+        const sources = document.createElement("div");
+        sources.className = "review-sources";
+        sources.textContent = `${item.count}回` + (item.sources.length ? `・${item.sources.join("、")}` : "");
+        text.appendChild(sources);
+        li.appendChild(text);
+        const addButton = (label, className, onClick) => {
+          const btn = document.createElement("button");
+          btn.className = "btn " + className;
+          btn.textContent = label;
+          btn.addEventListener("click", () => {
+            onClick();
+            renderReview();
+            renderList();
+            onChange();
+          });
+          li.appendChild(btn);
+        };
+        if (item.division) {
+          addButton(`${item.division}に登録`, "btn-primary", () => acceptCourtFaxObservation(item, { toDivision: true }));
+          addButton("庁の番号として登録", "btn-outline", () => acceptCourtFaxObservation(item, { toDivision: false }));
+        } else {
+          addButton("名簿に登録", "btn-primary", () => acceptCourtFaxObservation(item));
+        }
+        addButton("無視", "btn-ghost", () => dismissCourtFaxObservation(item));
+        reviewList.appendChild(li);
+      });
+    }
+    function renderList() {
+      const query = search.value.trim();
+      const courts = getCourtDirectory().filter((c) => !query || c.name.includes(query) || c.fax.includes(query) || (c.parent || "").includes(query));
+      list.innerHTML = "";
+      courts.slice(0, MAX_LIST_ITEMS).forEach((c) => {
+        const li = document.createElement("li");
+        li.className = c.name === editingName ? "selected" : "";
+        const name = document.createElement("span");
+        name.textContent = c.name;
+        if (ORIGIN_LABELS[c.origin]) {
+          const badge = document.createElement("span");
+          badge.className = "court-origin";
+          badge.textContent = ORIGIN_LABELS[c.origin];
+          name.appendChild(badge);
+        }
+        const fax = document.createElement("span");
+        fax.className = "court-fax";
+        fax.textContent = c.fax || (c.divisions.some((d) => d.fax) ? "部・係のみ" : "未登録");
+        li.append(name, fax);
+        li.addEventListener("click", () => edit(c.name));
+        list.appendChild(li);
+      });
+      count.textContent = courts.length > MAX_LIST_ITEMS ? `${courts.length}件中${MAX_LIST_ITEMS}件を表示（検索で絞り込めます）` : `${courts.length}件`;
+    }
+    function edit(name) {
+      const court = name ? findCourt(name) : null;
+      editingName = court ? court.name : "";
+      form.name.value = court ? court.name : "";
+      form.parent.value = court ? court.parent || "" : "";
+      form.fax.value = court ? court.fax : "";
+      form.phone.value = court ? court.phone : "";
+      form.divisions.value = court ? court.divisions.map((d) => [d.name, d.fax, d.phone].join(",")).join("\n") : "";
+      btnDelete.hidden = !court;
+      btnRestore.hidden = !court || court.origin !== "modified";
+      renderList();
+      renderReview();
+    }
+    function open(name) {
+      search.value = "";
+      edit(name || "");
+      modal.classList.add("visible");
+    }
+    $("#courtEditSave").addEventListener("click", () => {
+      const name = form.name.value.trim();
+      if (!name) {
+        showError("裁判所名を入力してください");
+        return;
+      }
+      const divisions = parseCsv(form.divisions.value).map(([division, fax, phone]) => ({ name: division, fax, phone }));
+      try {
+        saveCourt({
+          name,
+          parent: form.parent.value.trim() || null,
+          fax: form.fax.value,
+          phone: form.phone.value,
+          divisions
+        }, editingName);
+      } catch (err) {
+        showError(err.message);
+        return;
+      }
+      edit(name);
+      onChange();
+    });
+    $("#courtEditNew").addEventListener("click", () => edit(""));
+    btnDelete.addEventListener("click", () => {
+      if (!editingName || !confirm(`「${editingName}」を名簿から削除しますか？`)) return;
+      deleteCourt(editingName);
+      edit("");
+      onChange();
+    });
+    btnRestore.addEventListener("click", () => {
+      if (!editingName) return;
+      restoreCourt(editingName);
+      edit(editingName);
+      onChange();
+    });
+    search.addEventListener("input", renderList);
+    $("#courtDirectoryClose").addEventListener("click", () => modal.classList.remove("visible"));
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.classList.remove("visible");
+    });
+    const btnOpen = $("#courtDirectoryOpen");
+    if (btnOpen) btnOpen.addEventListener("click", () => open());
+    const settingsBtn = $("#settingsBtn");
+    if (settingsBtn) settingsBtn.addEventListener("click", renderReview);
+    const importInput = $("#courtDirectoryImport");
+    if (importInput) {
+      importInput.addEventListener("change", async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+          const format = /\.json$/i.test(file.name) ? "json" : /\.csv$/i.test(file.name) ? "csv" : void 0;
+          const result = importCourtDirectory(await file.text(), format);
+          let msg = `裁判所名簿に取り込みました（裁判所 ${result.courts}件・部/係 ${result.divisions}件` + (result.deleted ? `・削除 ${result.deleted}件` : "") + "）";
+          if (result.errors.length) {
+            msg += "\n\n取り込めなかった行:\n" + result.errors.slice(0, 10).map((e) => `  ${e.line}行目: ${e.message}`).join("\n");
+          }
+          alert(msg);
+          renderReview();
+          onChange();
+        } catch (err) {
+          showError("裁判所名簿の取り込みに失敗しました: " + err.message);
+        }
+        importInput.value = "";
+      });
+    }
+    const btnCsv = $("#courtDirectoryExportCsv");
+    if (btnCsv) {
+      btnCsv.addEventListener("click", () => {
+        downloadText(exportCourtDirectory("csv"), "裁判所名簿.csv", "text/csv");
+      });
+    }
+    const btnJson = $("#courtDirectoryExportJson");
+    if (btnJson) {
+      btnJson.addEventListener("click", () => {
+        downloadText(exportCourtDirectory("json"), "裁判所名簿.json", "application/json");
+      });
+    }
+    return { open };
+  }
+
+  // src/ui/case-registry.js
+  function inputId(field) {
+    return "#caseEdit" + field.charAt(0).toUpperCase() + field.slice(1);
+  }
+  function formatDate(iso) {
+    if (!iso) return "";
+    const d = new Date(iso);
+    return `${d.getFullYear()}/${d.getMonth() + 1}/${d.getDate()}`;
+  }
+  function setupCaseRegistry({ showError }) {
+    const $ = (sel) => document.querySelector(sel);
+    const modal = $("#caseRegistryModal");
+    if (!modal) return;
+    const search = $("#caseRegistrySearch");
+    const list = $("#caseRegistryList");
+    const count = $("#caseRegistryCount");
+    const btnMerge = $("#caseRegistryMerge");
+    const btnDelete = $("#caseEditDelete");
+    const info = $("#caseEditInfo");
+    const inputs = {};
+    CASE_FIELDS.forEach((field) => {
+      inputs[field] = $(inputId(field));
+    });
+    let cases = [];
+    let editingKey = "";
+    const checked = /* @__PURE__ */ new Set();
+    function mergeKeys() {
+      const keys = [...checked];
+      if (editingKey && !keys.includes(editingKey)) keys.push(editingKey);
+      return keys;
+    }
+    function updateMergeButton() {
+      btnMerge.disabled = mergeKeys().length < 2;
+    }
+    function renderList() {
+      const query = search.value.trim();
+      const shown = cases.filter((c) => !query || CASE_FIELDS.some((field) => String(c[field] || "").includes(query)));
+      list.innerHTML = "";
+      shown.forEach((c) => {
+        const li = document.createElement("li");
+        li.className = c.key === editingKey ? "selected" : "";
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = checked.has(c.key);
+        box.addEventListener("click", (e) => e.stopPropagation());
+        box.addEventListener("change", () => {
+          if (box.checked) checked.add(c.key);
+          else checked.delete(c.key);
+          updateMergeButton();
+        });
+        const summary = document.createElement("div");
+        summary.className = "case-summary";
+        summary.textContent = `${c.caseNumber}　${c.caseName || ""}`;
+        const sub = document.createElement("div");
+        sub.className = "case-sub";
+        sub.textContent = [
+          c.courtName,
+          [c.plaintiffName, c.defendantName].filter(Boolean).join(" 対 "),
+          formatDate(c.updatedAt)
+        ].filter(Boolean).join("・");
+        summary.appendChild(sub);
+        li.append(box, summary);
+        li.addEventListener("click", () => edit(c.key));
+        list.appendChild(li);
+      });
+      count.textContent = `${shown.length}件` + (shown.length !== cases.length ? `（全${cases.length}件）` : "");
+    }
+    function edit(key) {
+      const record = cases.find((c) => c.key === key);
+      editingKey = record ? record.key : "";
+      CASE_FIELDS.forEach((field) => {
+        inputs[field].value = record ? record[field] || "" : "";
+      });
+      const lawyerOptions = $("#caseEditOwnLawyerOptions");
+      if (lawyerOptions) {
+        lawyerOptions.innerHTML = "";
+        listLawyers().forEach((l) => lawyerOptions.appendChild(new Option(l.name, l.name)));
+      }
+      btnDelete.hidden = !record;
+      info.textContent = record ? `保存 ${record.useCount || 0}回・最終更新 ${formatDate(record.updatedAt)}` + ((record.aliases || []).length ? `・別名 ${record.aliases.join("、")}` : "") : "左の一覧から事件を選択してください";
+      renderList();
+      updateMergeButton();
+    }
+    async function reload(key) {
+      cases = await listCases();
+      for (const k of [...checked]) if (!cases.some((c) => c.key === k)) checked.delete(k);
+      edit(key && cases.some((c) => c.key === key) ? key : "");
+    }
+    async function open(key) {
+      search.value = "";
+      checked.clear();
+      modal.classList.add("visible");
+      try {
+        await reload(key);
+      } catch (err) {
+        showError("事件台帳を読み込めません: " + err.message);
+      }
+    }
+    $("#caseEditSave").addEventListener("click", async () => {
+      if (!editingKey) return;
+      const values = {};
+      CASE_FIELDS.forEach((field) => {
+        values[field] = inputs[field].value;
+      });
+      try {
+        const record = await updateCase(editingKey, values);
+        await reload(record.key);
+      } catch (err) {
+        showError(err.message);
+      }
+    });
+    btnDelete.addEventListener("click", async () => {
+      if (!editingKey || !confirm(`「${inputs.caseNumber.value}」を事件台帳から削除しますか？`)) return;
+      try {
+        await deleteCase(editingKey);
+        checked.delete(editingKey);
+        await reload("");
+      } catch (err) {
+        showError(err.message);
+      }
+    });
+    btnMerge.addEventListener("click", async () => {
+      const keys = mergeKeys();
+      if (keys.length < 2) return;
+      const target = editingKey || cases.find((c) => keys.includes(c.key)).key;
+      const targetCase = cases.find((c) => c.key === target);
+      if (!confirm(`${keys.length}件の事件を「${targetCase.caseNumber}」（${targetCase.courtName || "裁判所なし"}）に統合しますか？`)) return;
+      try {
+        const merged = await mergeCases(target, keys.filter((k) => k !== target));
+        checked.clear();
+        await reload(merged.key);
+      } catch (err) {
+        showError(err.message);
+      }
+    });
+    search.addEventListener("input", renderList);
+    $("#caseRegistryClose").addEventListener("click", () => modal.classList.remove("visible"));
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.classList.remove("visible");
+    });
+    const btnOpen = $("#caseRegistryOpen");
+    if (btnOpen) btnOpen.addEventListener("click", () => open());
+    return { open };
+  }
+
+  // src/ui/sofusho-template.js
+  function describeReport(template) {
+    const notes = [];
+    if (template.unknown.length) notes.push("知らない項目（置き換えません）: " + template.unknown.join(", "));
+    if (template.missing.length) {
+      notes.push("テンプレートに無い項目: " + template.missing.map((name) => TEMPLATE_PLACEHOLDERS[name]).join("、"));
+    }
+    return notes.join(" / ");
+  }
+  function setupSofushoTemplates({ showError }) {
+    const $ = (sel) => document.querySelector(sel);
+    const list = $("#sofushoTemplateList");
+    if (!list) return;
+    const upload = $("#sofushoTemplateUpload");
+    const row = $("#sofushoTemplateRow");
+    const select = $("#sofushoTemplateSelect");
+    const help = $("#sofushoTemplateHelp");
+    if (help) {
+      help.textContent += "。使える項目: " + Object.entries(TEMPLATE_PLACEHOLDERS).map(([name, label]) => `{{${name}}} ${label}`).join("、");
+    }
+    async function refresh() {
+      let templates;
+      try {
+        templates = await listSofushoTemplates();
+      } catch (err) {
+        showError("送付書テンプレートを読み込めません: " + err.message);
+        return;
+      }
+      const defaultId = templates.some((t) => t.id === getDefaultSofushoTemplateId()) ? getDefaultSofushoTemplateId() : templates[0].id;
+      list.innerHTML = "";
+      templates.forEach((t) => {
+        const li = document.createElement("li");
+        const text = document.createElement("div");
+        text.className = "template-text";
+        text.textContent = t.name + (t.id === defaultId ? "（使用中）" : "");
+        const report = document.createElement("div");
+        const note = describeReport(t);
+        report.className = "template-report" + (note ? " warning" : "");
+        report.textContent = t.builtin ? "同梱の様式" : note || `${t.fileName}・差し込み項目 ${t.placeholders.length}件`;
+        text.appendChild(report);
+        li.appendChild(text);
+        if (!t.builtin) {
+          const btn = document.createElement("button");
+          btn.className = "btn btn-ghost";
+          btn.textContent = "削除";
+          btn.addEventListener("click", async () => {
+            if (!confirm(`テンプレート「${t.name}」を削除しますか？`)) return;
+            try {
+              await deleteSofushoTemplate(t.id);
+            } catch (err) {
+              showError(err.message);
+            }
+            refresh();
+          });
+          li.appendChild(btn);
+        }
+        list.appendChild(li);
+      });
+      if (select) {
+        select.innerHTML = "";
+        templates.forEach((t) => {
+          const option = document.createElement("option");
+          option.value = t.id;
+          option.textContent = t.name;
+          select.appendChild(option);
+        });
+        select.value = defaultId;
+        row.hidden = templates.length < 2;
+      }
+    }
+    if (select) {
+      select.addEventListener("change", () => {
+        setDefaultSofushoTemplate(select.value);
+        refresh();
+      });
+    }
+    if (upload) {
+      upload.addEventListener("change", async () => {
+        const file = upload.files[0];
+        if (!file) return;
+        try {
+          const template = await addSofushoTemplate(await file.arrayBuffer(), file.name);
+          const note = describeReport(template);
+          if (confirm(`テンプレート「${template.name}」を追加しました（差し込み項目 ${template.placeholders.length}件）。` + (note ? `
+
+${note}` : "") + "\n\n送付書の作成にこのテンプレートを使いますか？")) {
+            setDefaultSofushoTemplate(template.id);
+          }
+        } catch (err) {
+          showError("テンプレートを追加できません: " + err.message);
+        }
+        upload.value = "";
+        refresh();
+      });
+    }
+    refresh();
+    return { refresh };
+  }
+
+  // src/ui/receipt-profiles.js
+  function formatFax(digits) {
+    return digits.length > 4 ? digits.slice(0, -4) + "-" + digits.slice(-4) : digits;
+  }
+  function describeProfile(profile) {
+    const notes = [];
+    if (profile.useCount) notes.push(`${profile.useCount}回使用`);
+    notes.push("更新 " + profile.updatedAt.slice(0, 10));
+    if (!profile.placements.strike) notes.push("「行」の打消しなし");
+    return notes.join("・");
+  }
+  function setupReceiptProfiles({ showError }) {
+    const list = document.querySelector("#receiptProfileList");
+    if (!list) return;
+    const empty = document.querySelector("#receiptProfileEmpty");
+    async function refresh() {
+      let profiles;
+      try {
+        profiles = await listReceiptProfiles();
+      } catch (err) {
+        showError("受領書の書式を読み込めません: " + err.message);
+        return;
+      }
+      list.innerHTML = "";
+      if (empty) empty.hidden = profiles.length > 0;
+      profiles.forEach((profile) => {
+        const li = document.createElement("li");
+        const text = document.createElement("div");
+        text.className = "template-text";
+        text.textContent = profile.faxNumbers.length ? "FAX " + profile.faxNumbers.map(formatFax).join("・") : "FAX番号なし（ページの配置で照合）";
+        const report = document.createElement("div");
+        report.className = "template-report";
+        report.textContent = describeProfile(profile);
+        text.appendChild(report);
+        li.appendChild(text);
+        const btn = document.createElement("button");
+        btn.className = "btn btn-ghost";
+        btn.textContent = "削除";
+        btn.addEventListener("click", async () => {
+          if (!confirm(`受領書の書式（${text.firstChild.textContent}）を削除しますか？`)) return;
+          try {
+            await deleteReceiptProfile(profile.id);
+          } catch (err) {
+            showError(err.message);
+          }
+          refresh();
+        });
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+    }
+    refresh();
+    return { refresh };
+  }
+
+  // src/ui/seals.js
+  function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error("画像を読み込めません"));
+      reader.readAsDataURL(file);
+    });
+  }
+  function sealField(label, value, unit, onChange) {
+    const wrap = document.createElement("label");
+    wrap.textContent = label + " ";
+    const input = document.createElement("input");
+    input.type = "number";
+    input.value = value;
+    input.addEventListener("change", () => onChange(input.value));
+    wrap.appendChild(input);
+    if (unit) wrap.appendChild(document.createTextNode(" " + unit));
+    return wrap;
+  }
+  function setupSeals({ showError, onChange }) {
+    const list = document.querySelector("#sealList");
+    if (!list) return;
+    const empty = document.querySelector("#sealEmpty");
+    const input = document.querySelector("#sealInput");
+    const ownerInput = document.querySelector("#sealOwner");
+    const kindSelect = document.querySelector("#sealKind");
+    const extractCheck = document.querySelector("#sealExtract");
+    function changed() {
+      if (onChange) onChange();
+    }
+    function save(id, changes) {
+      try {
+        updateSeal(id, changes);
+        changed();
+      } catch (err) {
+        showError(err.message);
+      }
+      refresh();
+    }
+    function refresh() {
+      const seals = listSeals();
+      list.innerHTML = "";
+      if (empty) empty.hidden = seals.length > 0;
+      seals.forEach((seal) => {
+        const li = document.createElement("li");
+        const img = document.createElement("img");
+        img.src = seal.dataUrl;
+        img.alt = "";
+        li.appendChild(img);
+        const text = document.createElement("div");
+        text.className = "template-text";
+        text.textContent = `${seal.owner || "全員共通"}・${seal.kind}`;
+        const fields = document.createElement("div");
+        fields.className = "seal-fields";
+        fields.appendChild(sealField("大きさ", seal.size, "pt", (v) => save(seal.id, { size: v })));
+        fields.appendChild(sealField("横", seal.offsetX, "pt", (v) => save(seal.id, { offsetX: v })));
+        fields.appendChild(sealField("縦", seal.offsetY, "pt", (v) => save(seal.id, { offsetY: v })));
+        fields.appendChild(sealField("濃さ", Math.round(seal.opacity * 100), "%", (v) => save(seal.id, { opacity: v / 100 })));
+        text.appendChild(fields);
+        li.appendChild(text);
+        const btn = document.createElement("button");
+        btn.className = "btn btn-ghost";
+        btn.textContent = "削除";
+        btn.addEventListener("click", () => {
+          if (!confirm(`印影（${text.firstChild.textContent}）を削除しますか？`)) return;
+          deleteSeal(seal.id);
+          changed();
+          refresh();
+        });
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+    }
+    if (input) {
+      input.addEventListener("change", async () => {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+          const image = await importSealImage(await readAsDataUrl(file), {
+            extract: !extractCheck || extractCheck.checked
+          });
+          addSeal(Object.assign(image, {
+            owner: ownerInput ? ownerInput.value : "",
+            kind: kindSelect ? kindSelect.value : void 0
+          }));
+          changed();
+        } catch (err) {
+          showError("印影を登録できません: " + err.message);
+        }
+        input.value = "";
+        refresh();
+      });
+    }
+    refresh();
+    return { refresh };
+  }
+
+  // src/ui/lawyers.js
+  function fillLawyerSelect(select, selectedId) {
+    const lawyers = listLawyers();
+    const def = getDefaultLawyer();
+    select.innerHTML = "";
+    lawyers.forEach((lawyer) => {
+      const label = lawyer.name + (def && lawyer.id === def.id ? "（既定）" : "");
+      select.appendChild(new Option(label, lawyer.id));
+    });
+    const selected = lawyers.find((l) => l.id === selectedId) || def;
+    if (selected) select.value = selected.id;
+    return selected || null;
+  }
+  function lawyerField(label, value, onChange, listId) {
+    const wrap = document.createElement("label");
+    wrap.textContent = label + " ";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = value;
+    if (listId) input.setAttribute("list", listId);
+    input.addEventListener("change", () => onChange(input.value));
+    wrap.appendChild(input);
+    return wrap;
+  }
+  function sealSelect(lawyer, onChange) {
+    const wrap = document.createElement("label");
+    wrap.textContent = "印影 ";
+    const select = document.createElement("select");
+    select.appendChild(new Option("自動（認印）", ""));
+    sealsForSigner(lawyer.name).forEach((seal) => {
+      select.appendChild(new Option((seal.owner || "全員共通") + "・" + seal.kind, seal.id));
+    });
+    select.value = [...select.options].some((o) => o.value === lawyer.sealId) ? lawyer.sealId : "";
+    select.addEventListener("change", () => onChange(select.value));
+    wrap.appendChild(select);
+    return wrap;
+  }
+  function setupLawyers({ showError, onChange }) {
+    const list = document.querySelector("#lawyerList");
+    if (!list) return;
+    const empty = document.querySelector("#lawyerEmpty");
+    const titleOptions = document.querySelector("#lawyerTitleOptions");
+    const nameInput = document.querySelector("#lawyerName");
+    const shortNameInput = document.querySelector("#lawyerShortName");
+    const titleInput = document.querySelector("#lawyerTitle");
+    const faxInput = document.querySelector("#lawyerFax");
+    const addButton = document.querySelector("#lawyerAdd");
+    if (titleOptions) {
+      titleOptions.innerHTML = "";
+      SIGNER_TITLES.forEach((title) => titleOptions.appendChild(new Option(title, title)));
+    }
+    function changed() {
+      if (onChange) onChange();
+    }
+    function save(lawyer, changes) {
+      try {
+        saveLawyer(Object.assign({}, lawyer, changes));
+        changed();
+      } catch (err) {
+        showError(err.message);
+      }
+      refresh();
+    }
+    function refresh() {
+      const lawyers = listLawyers();
+      const def = getDefaultLawyer();
+      list.innerHTML = "";
+      if (empty) empty.hidden = lawyers.length > 0;
+      lawyers.forEach((lawyer) => {
+        const isDefault = def && def.id === lawyer.id;
+        const li = document.createElement("li");
+        const text = document.createElement("div");
+        text.className = "template-text";
+        text.textContent = lawyer.name + (isDefault ? "（既定）" : "");
+        const fields = document.createElement("div");
+        fields.className = "lawyer-fields";
+        fields.appendChild(lawyerField("氏名", lawyer.name, (v) => save(lawyer, { name: v })));
+        fields.appendChild(lawyerField("略称", lawyer.shortName, (v) => save(lawyer, { shortName: v })));
+        fields.appendChild(lawyerField("肩書", lawyer.title, (v) => save(lawyer, { title: v }), "lawyerTitleOptions"));
+        fields.appendChild(lawyerField("直通FAX", lawyer.fax, (v) => save(lawyer, { fax: v })));
+        fields.appendChild(sealSelect(lawyer, (v) => save(lawyer, { sealId: v })));
+        text.appendChild(fields);
+        li.appendChild(text);
+        if (!isDefault) {
+          const defBtn = document.createElement("button");
+          defBtn.className = "btn btn-ghost";
+          defBtn.textContent = "既定にする";
+          defBtn.addEventListener("click", () => {
+            setDefaultLawyer(lawyer.id);
+            changed();
+            refresh();
+          });
+          li.appendChild(defBtn);
+        }
+        const btn = document.createElement("button");
+        btn.className = "btn btn-ghost";
+        btn.textContent = "削除";
+        btn.addEventListener("click", () => {
+          if (!confirm(`弁護士（${lawyer.name}）を削除しますか？（印影は残ります）`)) return;
+          deleteLawyer(lawyer.id);
+          changed();
+          refresh();
+        });
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+    }
+    if (addButton) {
+      addButton.addEventListener("click", () => {
+        try {
+          saveLawyer({
+            name: nameInput ? nameInput.value : "",
+            shortName: shortNameInput ? shortNameInput.value : "",
+            title: titleInput ? titleInput.value : "",
+            fax: faxInput ? faxInput.value : ""
+          });
+          [nameInput, shortNameInput, titleInput, faxInput].forEach((input) => {
+            if (input) input.value = "";
+          });
+          changed();
+        } catch (err) {
+          showError(err.message);
+        }
+        refresh();
+      });
+    }
+    refresh();
+    return { refresh };
+  }
+
+  // src/ui/secure-store.js
+  function setupSecureStore({ showError, onUnlock }) {
+    const $ = (sel) => document.querySelector(sel);
+    const status = $("#secureStoreStatus");
+    const current = $("#secureStoreCurrent");
+    const passphrase = $("#secureStorePassphrase");
+    const confirmInput = $("#secureStorePassphraseConfirm");
+    const btnApply = $("#secureStoreApply");
+    const manage = $("#secureStoreManage");
+    const autoLock = $("#secureStoreAutoLock");
+    const modal = $("#unlockModal");
+    const unlockInput = $("#unlockPassphrase");
+    const unlockMessage = $("#unlockMessage");
+    const btnUnlock = $("#unlockSubmit");
+    function unlocked2() {
+      if (onUnlock) onUnlock();
+      refresh();
+    }
+    function refresh() {
+      if (!status) return;
+      const enabled = isSecureStoreEnabled();
+      status.textContent = !enabled ? "暗号化していません（事務所設定と印影はこのブラウザに平文で保存されています）" : isSecureStoreUnlocked() ? "暗号化しています（解錠中）" : "暗号化しています（ロック中）";
+      if (current) current.hidden = !enabled;
+      if (btnApply) btnApply.textContent = enabled ? "合言葉を変更" : "暗号化する";
+      if (manage) manage.hidden = !enabled;
+      if (autoLock) autoLock.value = getAutoLockMinutes();
+      [current, passphrase, confirmInput].forEach((input) => {
+        if (input) input.value = "";
+      });
+    }
+    function readNewPassphrase() {
+      if (passphrase.value !== confirmInput.value) throw new Error("確認の合言葉が一致しません");
+      return passphrase.value;
+    }
+    function showUnlock(message) {
+      if (!modal || !isSecureStoreEnabled() || isSecureStoreUnlocked()) return;
+      if (unlockMessage) unlockMessage.textContent = message || "事務所設定と印影は暗号化されています。合言葉を入力してください";
+      unlockInput.value = "";
+      modal.classList.add("visible");
+      unlockInput.focus();
+    }
+    async function submitUnlock() {
+      btnUnlock.disabled = true;
+      try {
+        await unlockSecureStore(unlockInput.value);
+        modal.classList.remove("visible");
+        unlocked2();
+      } catch (err) {
+        if (unlockMessage) unlockMessage.textContent = err.message;
+      } finally {
+        btnUnlock.disabled = false;
+        unlockInput.value = "";
+      }
+    }
+    if (modal) {
+      btnUnlock.addEventListener("click", submitUnlock);
+      unlockInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") submitUnlock();
+      });
+      $("#unlockSkip").addEventListener("click", () => modal.classList.remove("visible"));
+    }
+    if (btnApply) {
+      btnApply.addEventListener("click", async () => {
+        btnApply.disabled = true;
+        try {
+          if (isSecureStoreEnabled()) {
+            await changeSecureStorePassphrase(current.value, readNewPassphrase());
+          } else {
+            const minutes = autoLock && autoLock.value !== "" ? Math.max(0, Number(autoLock.value) || 0) : void 0;
+            await enableSecureStore(readNewPassphrase(), { autoLockMinutes: minutes });
+          }
+          unlocked2();
+        } catch (err) {
+          showError(err.message);
+        } finally {
+          btnApply.disabled = false;
+        }
+      });
+    }
+    if (autoLock) {
+      autoLock.addEventListener("change", () => {
+        if (isSecureStoreEnabled()) setAutoLockMinutes(autoLock.value);
+      });
+    }
+    if (manage) {
+      $("#secureStoreLock").addEventListener("click", () => {
+        lockSecureStore();
+        refresh();
+      });
+      $("#secureStoreDisable").addEventListener("click", async () => {
+        if (!confirm("暗号化をやめて、事務所設定と印影をこのブラウザに平文で保存しますか？")) return;
+        try {
+          await disableSecureStore(current.value);
+          unlocked2();
+        } catch (err) {
+          showError(err.message);
+        }
+      });
+      $("#secureStoreReset").addEventListener("click", async () => {
+        if (!confirm("暗号化した事務所設定と印影を削除します。元に戻せません。よろしいですか？")) return;
+        try {
+          await resetSecureStore();
+          unlocked2();
+        } catch (err) {
+          showError(err.message);
+        }
+      });
+    }
+    refresh();
+    return { refresh, showUnlock };
+  }
+
+  // src/ui/settings-bundle.js
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1e3);
+  }
+  function today() {
+    const d = /* @__PURE__ */ new Date();
+    return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map((n) => String(n).padStart(2, "0")).join("");
+  }
+  function setupSettingsBundle({ showError, onChange = () => {
+  } }) {
+    const $ = (sel) => document.querySelector(sel);
+    const passphrase = $("#settingsBundlePassphrase");
+    const btnExport = $("#settingsBundleExport");
+    const importInput = $("#settingsBundleImport");
+    const officeGroup = $("#officeConfigGroup");
+    const officePath = $("#officeConfigPath");
+    const btnChoose = $("#officeConfigChoose");
+    const btnClear = $("#officeConfigClear");
+    const electronAPI = window.electronAPI && window.electronAPI.readOfficeConfig ? window.electronAPI : null;
+    if (btnExport) {
+      btnExport.addEventListener("click", async () => {
+        btnExport.disabled = true;
+        try {
+          downloadBlob(await exportSettingsBundle(passphrase.value), `つくる君設定_${today()}.zip`);
+        } catch (err) {
+          showError("設定を書き出せませんでした: " + err.message);
+        } finally {
+          btnExport.disabled = false;
+        }
+      });
+    }
+    if (importInput) {
+      importInput.addEventListener("change", async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+          const result = await importSettingsBundle(await file.arrayBuffer(), passphrase.value);
+          alert(`設定を読み込みました（弁護士 ${result.lawyers}人・裁判所 ${result.courts}件・印影 ${result.seals}件・テンプレート ${result.templates}件）`);
+          onChange();
+        } catch (err) {
+          showError("設定を読み込めませんでした: " + err.message);
+        }
+        importInput.value = "";
+      });
+    }
+    function showOffice(result) {
+      if (!officePath) return;
+      officePath.textContent = !result ? "使っていません" : result.error ? `${result.path}（読み込めません: ${result.error}）` : result.path + (result.fromEnv ? "（環境変数 TSUKURUKUN_OFFICE_CONFIG で指定）" : "");
+      if (btnClear) btnClear.hidden = !result || !!result.fromEnv;
+      if (btnChoose) btnChoose.hidden = !!(result && result.fromEnv);
+    }
+    function applyOffice(result) {
+      try {
+        applyOfficeConfig(result && result.text ? result.text : null);
+      } catch (err) {
+        showError(err.message);
+      }
+      showOffice(result);
+      onChange();
+    }
+    async function refresh() {
+      if (!electronAPI) return;
+      try {
+        showOffice(await electronAPI.readOfficeConfig());
+      } catch (err) {
+        showError(err.message);
+      }
+    }
+    if (officeGroup) officeGroup.hidden = !electronAPI;
+    if (electronAPI) {
+      if (btnChoose) btnChoose.addEventListener("click", async () => applyOffice(await electronAPI.chooseOfficeConfig()));
+      if (btnClear) btnClear.addEventListener("click", async () => applyOffice(await electronAPI.clearOfficeConfig()));
+    }
+    refresh();
+    return { refresh };
+  }
+
+  // src/ui/date-picker.js
+  function pad(n) {
+    return String(n).padStart(2, "0");
+  }
+  function attachDatePicker(input, { emptyHint = "" } = {}) {
+    const wrap = document.createElement("div");
+    wrap.className = "date-picker";
+    input.parentNode.insertBefore(wrap, input);
+    wrap.appendChild(input);
+    const calendar = document.createElement("input");
+    calendar.type = "date";
+    calendar.title = "カレンダーから選ぶ";
+    calendar.setAttribute("aria-label", (input.labels && input.labels[0] ? input.labels[0].textContent : "日付") + "（カレンダー）");
+    wrap.appendChild(calendar);
+    const hint = document.createElement("div");
+    hint.className = "field-hint";
+    wrap.insertAdjacentElement("afterend", hint);
+    function refresh() {
+      let date = null;
+      let error = "";
+      try {
+        date = parseDate(input.value);
+      } catch (err) {
+        error = err.message;
+      }
+      hint.classList.toggle("warning", !!error || !date && !!input.value.trim());
+      if (date) {
+        hint.textContent = `${formatWareki(date)}（${formatSeireki(date)}）`;
+        calendar.value = date.day ? `${date.year}-${pad(date.month)}-${pad(date.day)}` : "";
+      } else {
+        hint.textContent = error || (input.value.trim() ? "日付として読めないため、入力のまま書きます" : emptyHint);
+        calendar.value = "";
+      }
+    }
+    calendar.addEventListener("change", () => {
+      const m = calendar.value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      if (!m) return;
+      try {
+        input.value = formatWareki({ year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) });
+      } catch (err) {
+        hint.textContent = err.message;
+        return;
+      }
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+    });
+    input.addEventListener("input", refresh);
+    refresh();
+    return { refresh };
+  }
+
+  // src/ui/controller.js
+  function startApp() {
+    let currentState = "upload";
+    let currentMode = "sofusho";
+    let receiptUploadFiles = [];
+    let evidenceUploadFiles = [];
+    let sofushoAttachments = [];
+    const $ = (sel) => document.querySelector(sel);
+    const $$ = (sel) => document.querySelectorAll(sel);
+    const states = {
+      upload: $("#state-upload"),
+      processing: $("#state-processing"),
+      confirm: $("#state-confirm"),
+      "receipt-confirm": $("#state-receipt-confirm"),
+      "evidence-confirm": $("#state-evidence-confirm"),
+      complete: $("#state-complete")
+    };
+    const dropZone = $("#dropZone");
+    const fileInput = $("#fileInput");
+    const processingTitle = $("#processingTitle");
+    const processingMessage = $("#processingMessage");
+    const btnCancelProcessing = $("#btnCancelProcessing");
+    const sourceFileName = $("#sourceFileName");
+    const caseNumberWarning = $("#caseNumberWarning");
+    const courtFaxMatch = $("#courtFaxMatch");
+    const outputFileName = $("#outputFileName");
+    const btnBack = $("#btnBack");
+    const btnGenerate = $("#btnGenerate");
+    const btnDownload = $("#btnDownload");
+    const btnNewFile = $("#btnNewFile");
+    const errorToast = $("#errorToast");
+    const errorMessage = $("#errorMessage");
+    const errorClose = $("#errorClose");
+    const extractStatus = $("#extractStatus");
+    const caseRecordBadge = $("#caseRecordBadge");
+    const saveToCaseRegistry = $("#saveToCaseRegistry");
+    const sofushoOutputFormat = $("#sofushoOutputFormat");
+    const sofushoOutputBundle = $("#sofushoOutputBundle");
+    const enclosureGroup = $("#enclosureGroup");
+    const enclosureList = $("#enclosureList");
+    const enclosureTotal = $("#enclosureTotal");
+    const confettiContainer = $("#confetti");
+    const dragOverlay = $("#dragOverlay");
+    const singleDownloadArea = $("#singleDownloadArea");
+    const multiDownloadArea = $("#multiDownloadArea");
+    const downloadList = $("#downloadList");
+    const receiptFileListWrap = $("#receiptFileListWrap");
+    const receiptFileList = $("#receiptFileList");
+    const receiptFileCountBadge = $("#receiptFileCountBadge");
+    const procStep1 = $("#procStep1");
+    const procStep2 = $("#procStep2");
+    const procStep3 = $("#procStep3");
+    const fields = {
+      courtName: $("#courtName"),
+      courtFax: $("#courtFax"),
+      caseNumber: $("#caseNumber"),
+      caseName: $("#caseName"),
+      plaintiffName: $("#plaintiffName"),
+      defendantName: $("#defendantName"),
+      plaintiffLawyer: $("#plaintiffLawyer"),
+      plaintiffLawyerFax: $("#plaintiffLawyerFax"),
+      documentTitle: $("#documentTitle")
+    };
+    let currentFieldMeta = {};
+    let currentCandidates = {};
+    const MAX_CANDIDATE_CHIPS = 5;
+    function escapeHtml(str) {
+      return String(str).replace(/[&<>"']/g, (c) => ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;"
+      })[c]);
+    }
+    function showFieldSource(key) {
+      const input = fields[key];
+      let box = input.parentNode.querySelector(".field-source");
+      const meta = currentFieldMeta[key];
+      if (!meta || input.value !== meta.value) {
+        if (box) box.hidden = true;
+        return;
+      }
+      if (!box) {
+        box = document.createElement("div");
+        box.className = "field-source";
+        input.parentNode.appendChild(box);
+      }
+      const confidence = Math.round(meta.confidence * 100) + "%";
+      let html = '<div class="field-source-head">確信度 ' + confidence + '<span class="field-source-pattern">' + escapeHtml(meta.pattern) + "</span>" + (meta.file ? '<span class="field-source-file">' + escapeHtml(meta.file) + "</span>" : "") + "</div>";
+      if (meta.snippet) {
+        html += '<div class="field-source-snippet">…' + escapeHtml(meta.snippet.before) + "<mark>" + escapeHtml(meta.snippet.text) + "</mark>" + escapeHtml(meta.snippet.after) + "…</div>";
+      } else if (meta.pattern === "caseRegistry") {
+        html += '<div class="field-source-snippet">本文からではなく、事件台帳に保存された値です（' + escapeHtml(meta.caseRecord) + "）</div>";
+      } else if (meta.directory) {
+        html += '<div class="field-source-snippet">本文からではなく、' + escapeHtml(describeCourtMatch(meta.directory)) + "</div>";
+      } else {
+        html += '<div class="field-source-snippet">本文からではなく、裁判所名から辞書引きした値です</div>';
+      }
+      box.innerHTML = html;
+      box.hidden = false;
+    }
+    function renderCandidates(key) {
+      const input = fields[key];
+      let box = input.parentNode.querySelector(".field-candidates");
+      const list = currentCandidates[key] || [];
+      if (!list.some((c) => c.value !== input.value)) {
+        if (box) box.hidden = true;
+        return;
+      }
+      if (!box) {
+        box = document.createElement("div");
+        box.className = "field-candidates";
+        input.insertAdjacentElement("afterend", box);
+      }
+      box.innerHTML = "";
+      list.slice(0, MAX_CANDIDATE_CHIPS).forEach((c) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "candidate-chip" + (c.value === input.value ? " active" : "") + (c.confidence < LOW_CONFIDENCE ? " low" : "");
+        chip.textContent = c.value;
+        chip.title = `確信度 ${Math.round(c.confidence * 100)}%` + (c.file ? `（${c.file}）` : "");
+        chip.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          input.value = c.value;
+          currentFieldMeta[key] = c;
+          input.classList.remove("field-empty");
+          input.classList.toggle("field-low-confidence", c.confidence < LOW_CONFIDENCE);
+          renderCandidates(key);
+          showFieldSource(key);
+          updateSofushoPreview();
+          updateCourtFaxMatch();
+        });
+        box.appendChild(chip);
+      });
+      box.hidden = false;
+    }
+    let directoryFax = "";
+    function updateCourtFaxMatch() {
+      if (!courtFaxMatch) return;
+      const name = fields.courtName.value.trim();
+      const fax = fields.courtFax.value.trim();
+      const check = name ? checkCourtFax(name, fax) : null;
+      if (!check || fax && check.status === "unregistered") {
+        courtFaxMatch.hidden = true;
+        return;
+      }
+      const stored = check.stored;
+      if (fax && check.status === "mismatch") {
+        const source = stored.court + (stored.division ? " " + stored.division : "");
+        courtFaxMatch.textContent = `裁判所名簿「${source}」の番号（${stored.fax}）と異なります。送信先を確認してください`;
+        courtFaxMatch.classList.add("warning");
+      } else {
+        courtFaxMatch.textContent = describeCourtMatch(stored);
+        courtFaxMatch.classList.toggle("warning", !stored || !stored.fax || stored.matchedBy === "parent");
+      }
+      courtFaxMatch.hidden = false;
+    }
+    function refreshCourtFaxFromDirectory() {
+      const name = fields.courtName.value.trim();
+      const match = name ? lookupCourt(name) : null;
+      const input = fields.courtFax;
+      if (match && match.fax && (!input.value || input.value === directoryFax)) {
+        input.value = match.fax;
+        directoryFax = match.fax;
+        input.classList.remove("field-empty", "field-low-confidence");
+        renderCandidates("courtFax");
+        updateSofushoPreview();
+      }
+      updateCourtFaxMatch();
+    }
+    fields.courtName.addEventListener("change", refreshCourtFaxFromDirectory);
+    fields.courtFax.addEventListener("input", updateCourtFaxMatch);
+    Object.keys(fields).forEach((key) => {
+      const input = fields[key];
+      if (!input) return;
+      input.addEventListener("focus", () => showFieldSource(key));
+      input.addEventListener("input", () => renderCandidates(key));
+      input.addEventListener("blur", () => {
+        const box = input.parentNode.querySelector(".field-source");
+        if (box) box.hidden = true;
+      });
+      input.addEventListener("input", () => input.classList.remove("field-low-confidence"));
+    });
+    const modeSofushoBtn = $("#modeSofusho");
+    const modeReceiptBtn = $("#modeReceipt");
+    const modeEvidenceBtn = $("#modeEvidence");
+    const appTitle = $("#appTitle");
+    const logoIcon = $("#logoIcon");
+    const completeTitle = $("#completeTitle");
+    const downloadLabel = $("#downloadLabel");
+    const uploadHeading = $(".upload-heading");
+    const uploadDesc = $(".upload-desc");
+    const settingsBtn = $("#settingsBtn");
+    const settingsModal = $("#settingsModal");
+    const settingsClose = $("#settingsClose");
+    const settingsSave = $("#settingsSave");
+    const receiptSourceFileName = $("#receiptSourceFileName");
+    const receiptSignerTitle = $("#receiptSignerTitle");
+    const receiptSignerName = $("#receiptSignerName");
+    const receiptSealSelect = $("#receiptSeal");
+    const receiptLawyerRow = $("#receiptLawyerRow");
+    const receiptLawyerSelect = $("#receiptLawyer");
+    const receiptLawyerByCase = $("#receiptLawyerByCase");
+    const sofushoLawyerRow = $("#sofushoLawyerRow");
+    const sofushoLawyerSelect = $("#sofushoLawyer");
+    const sofushoSendDate = $("#sofushoSendDate");
+    const receiptDateInput = $("#receiptDate");
+    const btnReceiptBack = $("#btnReceiptBack");
+    const btnReceiptGenerate = $("#btnReceiptGenerate");
+    function setState(newState) {
+      states[currentState].classList.remove("active");
+      const stateOrder = ["upload", "processing", "confirm", "complete"];
+      const mapState = newState === "receipt-confirm" || newState === "evidence-confirm" ? "confirm" : newState;
+      const newIndex = stateOrder.indexOf(mapState);
+      const stepElements = $$(".step");
+      const connectorFills = $$(".step-connector-fill");
+      stepElements.forEach((step, i) => {
+        step.classList.remove("active", "completed");
+        if (i < newIndex) step.classList.add("completed");
+        if (i === newIndex) step.classList.add("active");
+      });
+      connectorFills.forEach((fill, i) => {
+        fill.style.width = i < newIndex ? "100%" : "0%";
+      });
+      currentState = newState;
+      states[currentState].classList.add("active");
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    }
+    let errorTimer = null;
+    function showError(msg) {
+      errorMessage.textContent = msg;
+      errorToast.hidden = false;
+      if (errorTimer) clearTimeout(errorTimer);
+      errorTimer = setTimeout(() => {
+        errorToast.hidden = true;
+      }, 15e3);
+    }
+    errorClose.addEventListener("click", () => {
+      errorToast.hidden = true;
+      if (errorTimer) clearTimeout(errorTimer);
+    });
+    let processingTimers = [];
+    function resetProcessingSteps() {
+      processingTimers.forEach((t) => clearTimeout(t));
+      processingTimers = [];
+      [procStep1, procStep2, procStep3].forEach((step) => {
+        if (step) step.classList.remove("active", "done");
+      });
+    }
+    function startProcessingSteps(mode) {
+      resetProcessingSteps();
+      if (mode === "upload") {
+        if (procStep1) procStep1.classList.add("active");
+      } else if (mode === "generate") {
+        [procStep1, procStep2, procStep3].forEach((step) => {
+          if (step) step.classList.add("done");
+        });
+      }
+    }
+    function updateProgress(msg) {
+      if (processingMessage) processingMessage.textContent = msg;
+      if (msg.includes("OCR") || msg.includes("文字認識")) {
+        if (procStep1) {
+          procStep1.classList.remove("active");
+          procStep1.classList.add("done");
+        }
+        if (procStep2) procStep2.classList.add("active");
+      }
+      if (msg.includes("抽出") || msg.includes("検出")) {
+        if (procStep1) {
+          procStep1.classList.remove("active");
+          procStep1.classList.add("done");
+        }
+        if (procStep2) {
+          procStep2.classList.remove("active");
+          procStep2.classList.add("done");
+        }
+        if (procStep3) procStep3.classList.add("active");
+      }
     }
-  }
-
-  // --- 紙吹雪 ---
-  function launchConfetti() {
-    if (!confettiContainer) return;
-    confettiContainer.innerHTML = '';
-    const colors = ['#4f46e5', '#06b6d4', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
-    for (let i = 0; i < 50; i++) {
-      const piece = document.createElement('div');
-      piece.style.cssText = `
+    function launchConfetti() {
+      if (!confettiContainer) return;
+      confettiContainer.innerHTML = "";
+      const colors = ["#4f46e5", "#06b6d4", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#ec4899"];
+      for (let i = 0; i < 50; i++) {
+        const piece = document.createElement("div");
+        piece.style.cssText = `
         position: absolute;
         width: ${Math.random() * 8 + 4}px;
         height: ${Math.random() * 8 + 4}px;
         background: ${colors[Math.floor(Math.random() * colors.length)]};
-        border-radius: ${Math.random() > 0.5 ? '50%' : '2px'};
+        border-radius: ${Math.random() > 0.5 ? "50%" : "2px"};
         left: ${Math.random() * 100}%;
         top: -10px;
         opacity: 1;
         transform: rotate(${Math.random() * 360}deg);
       `;
-      const duration = Math.random() * 1500 + 1000;
-      const delay = Math.random() * 500;
-      piece.animate([
-        { transform: 'translateY(0) rotate(0deg) scale(1)', opacity: 1 },
-        {
-          transform: `translateY(${Math.random() * 200 + 100}px) translateX(${(Math.random() - 0.5) * 150}px) rotate(${Math.random() * 720}deg) scale(0)`,
-          opacity: 0,
-        }
-      ], { duration, delay, easing: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)', fill: 'forwards' });
-      confettiContainer.appendChild(piece);
+        const duration = Math.random() * 1500 + 1e3;
+        const delay = Math.random() * 500;
+        piece.animate([
+          { transform: "translateY(0) rotate(0deg) scale(1)", opacity: 1 },
+          {
+            transform: `translateY(${Math.random() * 200 + 100}px) translateX(${(Math.random() - 0.5) * 150}px) rotate(${Math.random() * 720}deg) scale(0)`,
+            opacity: 0
+          }
+        ], { duration, delay, easing: "cubic-bezier(0.25, 0.46, 0.45, 0.94)", fill: "forwards" });
+        confettiContainer.appendChild(piece);
+      }
+      setTimeout(() => {
+        if (confettiContainer) confettiContainer.innerHTML = "";
+      }, 3e3);
     }
-    setTimeout(() => { if (confettiContainer) confettiContainer.innerHTML = ''; }, 3000);
-  }
-
-  // --- ファイルアップロード ---
-  function handleFiles(fileList) {
-    if (!fileList || fileList.length === 0) return;
-    const validExts = ['.pdf', '.docx', '.doc'];
-    const allFiles = Array.from(fileList).filter(f => {
-      const name = f.name.toLowerCase();
-      return validExts.some(ext => name.endsWith(ext));
-    });
-    // 受領書・証拠モードはPDFのみ
-    if (currentMode === 'receipt' || currentMode === 'evidence') {
-      const pdfs = allFiles.filter(f => f.name.toLowerCase().endsWith('.pdf'));
-      if (pdfs.length === 0) {
-        showError('PDFファイルを選択してください。');
+    function handleFiles(fileList) {
+      if (!fileList || fileList.length === 0) return;
+      const validExts = [".pdf", ".docx", ".doc"];
+      const allFiles = Array.from(fileList).filter((f) => {
+        const name = f.name.toLowerCase();
+        return validExts.some((ext) => name.endsWith(ext));
+      });
+      if (currentMode === "receipt" || currentMode === "evidence") {
+        const pdfs = allFiles.filter((f) => f.name.toLowerCase().endsWith(".pdf"));
+        if (pdfs.length === 0) {
+          showError("PDFファイルを選択してください。");
+          return;
+        }
+        if (currentMode === "receipt") {
+          prepareReceiptFiles(pdfs);
+        } else {
+          prepareEvidenceFiles(pdfs);
+        }
         return;
       }
-      if (currentMode === 'receipt') {
-        prepareReceiptFiles(pdfs);
-      } else {
-        prepareEvidenceFiles(pdfs);
+      if (allFiles.length === 0) {
+        showError("PDF または Word (.docx) ファイルを選択してください。");
+        return;
       }
-      return;
-    }
-    // 文書送付書モード: PDF + Word
-    if (allFiles.length === 0) {
-      showError('PDF または Word (.docx) ファイルを選択してください。');
-      return;
-    }
-    const oversized = allFiles.filter(f => f.size > 50 * 1024 * 1024);
-    if (oversized.length > 0) {
-      showError(`ファイルサイズが大きすぎます（上限: 50MB）: ${oversized.map(f=>f.name).join(', ')}`);
-      return;
+      const oversized = allFiles.filter((f) => f.size > 50 * 1024 * 1024);
+      if (oversized.length > 0) {
+        showError(`ファイルサイズが大きすぎます（上限: 50MB）: ${oversized.map((f) => f.name).join(", ")}`);
+        return;
+      }
+      uploadFiles(allFiles);
     }
-    uploadFiles(allFiles);
-  }
-
-  // --- ドラッグ＆ドロップ ---
-  document.addEventListener('dragover', (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-  }, true);
-
-  let dragCounter = 0;
-  document.addEventListener('dragenter', (e) => {
-    e.preventDefault();
-    dragCounter++;
-    if (currentState === 'upload' && dragCounter === 1) {
-      dropZone.classList.add('dragover');
-      if (dragOverlay) dragOverlay.classList.add('visible');
-    }
-  }, true);
-
-  document.addEventListener('dragleave', (e) => {
-    e.preventDefault();
-    dragCounter--;
-    if (dragCounter <= 0) {
+    document.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    }, true);
+    let dragCounter = 0;
+    document.addEventListener("dragenter", (e) => {
+      e.preventDefault();
+      dragCounter++;
+      if (currentState === "upload" && dragCounter === 1) {
+        dropZone.classList.add("dragover");
+        if (dragOverlay) dragOverlay.classList.add("visible");
+      }
+    }, true);
+    document.addEventListener("dragleave", (e) => {
+      e.preventDefault();
+      dragCounter--;
+      if (dragCounter <= 0) {
+        dragCounter = 0;
+        dropZone.classList.remove("dragover");
+        if (dragOverlay) dragOverlay.classList.remove("visible");
+      }
+    }, true);
+    document.addEventListener("drop", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
       dragCounter = 0;
-      dropZone.classList.remove('dragover');
-      if (dragOverlay) dragOverlay.classList.remove('visible');
+      dropZone.classList.remove("dragover");
+      if (dragOverlay) dragOverlay.classList.remove("visible");
+      if (currentState === "upload" && e.dataTransfer && e.dataTransfer.files.length > 0) {
+        handleFiles(e.dataTransfer.files);
+      }
+    }, true);
+    dropZone.addEventListener("click", (e) => {
+      if (e.target.closest(".upload-btn-label")) return;
+      if (e.target.closest("label")) return;
+      fileInput.click();
+    });
+    fileInput.addEventListener("change", () => {
+      handleFiles(fileInput.files);
+      fileInput.value = "";
+    });
+    let uploadAbort = null;
+    if (btnCancelProcessing) {
+      btnCancelProcessing.addEventListener("click", () => {
+        if (uploadAbort) uploadAbort.abort();
+      });
     }
-  }, true);
-
-  document.addEventListener('drop', (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    dragCounter = 0;
-    dropZone.classList.remove('dragover');
-    if (dragOverlay) dragOverlay.classList.remove('visible');
-    if (currentState === 'upload' && e.dataTransfer && e.dataTransfer.files.length > 0) {
-      handleFiles(e.dataTransfer.files);
-    }
-  }, true);
-
-  dropZone.addEventListener('click', (e) => {
-    if (e.target.closest('.upload-btn-label')) return;
-    if (e.target.closest('label')) return;
-    fileInput.click();
-  });
-  fileInput.addEventListener('change', () => {
-    handleFiles(fileInput.files);
-    fileInput.value = '';
-  });
-
-  // --- 文書送付書モード: 複数PDFアップロード → 情報統合 ---
-  async function uploadFiles(pdfs) {
-    setState('processing');
-    processingTitle.textContent = 'ファイルを解析中...';
-    processingMessage.textContent = 'ファイルを読み込んでいます...';
-    startProcessingSteps('upload');
-
-    try {
-      const total = pdfs.length;
-      const allResults = [];
-
-      for (let i = 0; i < total; i++) {
-        if (total > 1) {
-          processingTitle.textContent = `ファイルを解析中... (${i + 1}/${total})`;
+    async function uploadFiles(pdfs) {
+      setState("processing");
+      processingTitle.textContent = "ファイルを解析中...";
+      processingMessage.textContent = "ファイルを読み込んでいます...";
+      startProcessingSteps("upload");
+      uploadAbort = new AbortController();
+      const signal = uploadAbort.signal;
+      if (btnCancelProcessing) btnCancelProcessing.hidden = false;
+      try {
+        const total = pdfs.length;
+        const allResults = [];
+        sofushoAttachments = pdfs.filter((f) => f.name.toLowerCase().endsWith(".pdf"));
+        updateBundleOption();
+        for (let i = 0; i < total; i++) {
+          if (total > 1) {
+            processingTitle.textContent = `ファイルを解析中... (${i + 1}/${total})`;
+          }
+          if (signal.aborted) throw createAbortError();
+          const result = await uploadAndExtractBrowser(pdfs[i], updateProgress, { signal });
+          allResults.push(result);
         }
-        const result = await uploadAndExtractBrowser(pdfs[i], updateProgress);
-        allResults.push(result);
-      }
-
-      // 情報をマージ（最初に見つかった非空値を採用）
-      let mergedInfo, documentTitle, displayName;
-
-      if (allResults.length === 1) {
-        mergedInfo = allResults[0].info;
-        documentTitle = allResults[0].documentTitle;
-        displayName = allResults[0].originalName;
-      } else {
-        mergedInfo = {};
-        const infoFields = ['courtName', 'courtFax', 'courtFaxFromPdf', 'caseNumber',
-                            'caseName', 'plaintiffName', 'defendantName',
-                            'plaintiffLawyer', 'plaintiffLawyerFax'];
-        for (const field of infoFields) {
-          for (const r of allResults) {
-            if (r.info[field]) {
-              mergedInfo[field] = r.info[field];
-              break;
-            }
+        const merged = mergeExtractedInfo(allResults);
+        let mergedInfo = merged.info;
+        try {
+          mergedInfo = await applyCaseRegistry(mergedInfo);
+        } catch (err) {
+          console.warn("[つくる君] 事件台帳を参照できません:", err);
+        }
+        const documentTitle = merged.documentTitle;
+        const displayName = merged.displayName;
+        resetProcessingSteps();
+        [procStep1, procStep2, procStep3].forEach((step) => {
+          if (step) step.classList.add("done");
+        });
+        const badge = $("#sofushoFileCountBadge");
+        if (badge) {
+          if (total > 1) {
+            badge.textContent = `${total}件統合`;
+            badge.style.display = "";
+          } else {
+            badge.style.display = "none";
           }
         }
-        // caseNumberGuessed: 確信のある事件番号があればfalse
-        const hasConfident = allResults.some(r => r.info.caseNumber && !r.info.caseNumberGuessed);
-        mergedInfo.caseNumberGuessed = mergedInfo.caseNumber ? !hasConfident : false;
-        documentTitle = allResults[0].documentTitle;
-        displayName = allResults.map(r => r.originalName).join(' + ');
+        populateForm(mergedInfo, documentTitle, displayName);
+        renderEnclosures(merged.documents);
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        setState("confirm");
+      } catch (err) {
+        resetProcessingSteps();
+        if (err.name === "AbortError") {
+          console.log("[つくる君] 読み取りを中止しました");
+        } else {
+          console.error("[つくる君] PDF解析エラー:", err);
+          showError(err.message || "PDF解析中にエラーが発生しました。");
+        }
+        setState("upload");
+      } finally {
+        uploadAbort = null;
+        if (btnCancelProcessing) btnCancelProcessing.hidden = true;
       }
-
-      // ステップ完了
-      resetProcessingSteps();
-      [procStep1, procStep2, procStep3].forEach(step => {
-        if (step) step.classList.add('done');
+    }
+    function populateForm(info, docTitle, originalName) {
+      fields.courtName.value = info.courtName || "";
+      fields.courtFax.value = info.courtFax || "";
+      fields.caseNumber.value = info.caseNumber || "";
+      fields.caseName.value = info.caseName || "";
+      fields.plaintiffName.value = info.plaintiffName || "";
+      fields.defendantName.value = info.defendantName || "";
+      fields.plaintiffLawyer.value = info.plaintiffLawyer || "";
+      fields.plaintiffLawyerFax.value = info.plaintiffLawyerFax || "";
+      fields.documentTitle.value = docTitle || "";
+      if (sofushoLawyerSelect) {
+        const ownLawyer = findLawyerByName(info.ownLawyer);
+        const selected = fillLawyerSelect(sofushoLawyerSelect, ownLawyer ? ownLawyer.id : "");
+        if (sofushoLawyerRow) sofushoLawyerRow.hidden = !selected;
+      }
+      sourceFileName.textContent = originalName;
+      caseNumberWarning.hidden = !info.caseNumberGuessed;
+      directoryFax = info.fieldMeta && info.fieldMeta.courtFax && info.fieldMeta.courtFax.directory ? info.courtFax : "";
+      updateCourtFaxMatch();
+      if (caseRecordBadge) {
+        const record = info.caseRecord;
+        caseRecordBadge.hidden = !record;
+        if (record) {
+          caseRecordBadge.textContent = record.applied.length ? `事件台帳から${record.applied.length}項目を反映` : "事件台帳に登録済み";
+          caseRecordBadge.title = record.key;
+        }
+      }
+      const fieldMeta = info.fieldMeta || {};
+      currentFieldMeta = {};
+      Object.keys(fieldMeta).forEach((key) => {
+        if (fields[key]) currentFieldMeta[key] = Object.assign({ value: fields[key].value }, fieldMeta[key]);
       });
-
-      // ファイル数バッジ
-      const badge = $('#sofushoFileCountBadge');
-      if (badge) {
-        if (total > 1) {
-          badge.textContent = `${total}件統合`;
-          badge.style.display = '';
+      const isLow = (key) => currentFieldMeta[key] && currentFieldMeta[key].confidence < LOW_CONFIDENCE;
+      currentCandidates = info.candidates || {};
+      if (extractStatus) {
+        const emptyCount = Object.entries(fields).filter(([key, input]) => !input.value).length;
+        const lowCount = Object.keys(fields).filter(isLow).length;
+        if (emptyCount === 0 && lowCount === 0) {
+          extractStatus.textContent = "全項目抽出完了";
+          extractStatus.className = "status-badge status-success";
         } else {
-          badge.style.display = 'none';
+          const notes = [];
+          if (emptyCount > 0) notes.push(`${emptyCount}件の未検出項目`);
+          if (lowCount > 0) notes.push(`${lowCount}件の要確認項目`);
+          extractStatus.textContent = notes.join("・") + "あり";
+          extractStatus.className = emptyCount <= 2 ? "status-badge status-warning" : "status-badge status-error-badge";
         }
       }
-
-      populateForm(mergedInfo, documentTitle, displayName);
-      await new Promise(resolve => setTimeout(resolve, 500));
-      setState('confirm');
-
-    } catch (err) {
-      console.error('[つくる君] PDF解析エラー:', err);
-      resetProcessingSteps();
-      showError(err.message || 'PDF解析中にエラーが発生しました。');
-      setState('upload');
+      Object.entries(fields).forEach(([key, input]) => {
+        if (!input.value) {
+          input.classList.add("field-empty");
+        } else {
+          input.classList.remove("field-empty");
+        }
+        input.classList.toggle("field-low-confidence", !!input.value && isLow(key));
+        input.title = currentFieldMeta[key] ? `確信度 ${Math.round(currentFieldMeta[key].confidence * 100)}%（クリックで抽出元を表示）` : "";
+        renderCandidates(key);
+      });
+      Object.values(fields).forEach((input) => {
+        input.addEventListener("focus", () => {
+          input.classList.remove("field-empty");
+        });
+      });
+      updateSofushoPreview();
     }
-  }
-
-  // --- フォームにデータ流し込み ---
-  function populateForm(info, docTitle, originalName) {
-    fields.courtName.value = info.courtName || '';
-    fields.courtFax.value = info.courtFax || '';
-    fields.caseNumber.value = info.caseNumber || '';
-    fields.caseName.value = info.caseName || '';
-    fields.plaintiffName.value = info.plaintiffName || '';
-    fields.defendantName.value = info.defendantName || '';
-    fields.plaintiffLawyer.value = info.plaintiffLawyer || '';
-    fields.plaintiffLawyerFax.value = info.plaintiffLawyerFax || '';
-    fields.documentTitle.value = docTitle || '';
-    sourceFileName.textContent = originalName;
-    caseNumberWarning.hidden = !info.caseNumberGuessed;
-
-    if (extractStatus) {
-      const emptyCount = Object.entries(fields).filter(([key, input]) => !input.value).length;
-      if (emptyCount === 0) {
-        extractStatus.textContent = '全項目抽出完了';
-        extractStatus.className = 'status-badge status-success';
-      } else if (emptyCount <= 2) {
-        extractStatus.textContent = `${emptyCount}件の未検出項目あり`;
-        extractStatus.className = 'status-badge status-warning';
-      } else {
-        extractStatus.textContent = `${emptyCount}件の未検出項目あり`;
-        extractStatus.className = 'status-badge status-error-badge';
-      }
+    let currentDocuments = [];
+    function renderEnclosures(documents) {
+      currentDocuments = documents || [];
+      if (!enclosureList) return;
+      enclosureList.innerHTML = "";
+      currentDocuments.forEach((doc, i) => {
+        const li = document.createElement("li");
+        const title = document.createElement("input");
+        title.type = "text";
+        title.className = "enclosure-title";
+        title.value = doc.title;
+        title.title = doc.originalName || "";
+        const pages = document.createElement("input");
+        pages.type = "number";
+        pages.min = "1";
+        pages.className = "enclosure-pages";
+        pages.value = doc.pageCount || "";
+        pages.placeholder = "不明";
+        if (i === 0) {
+          title.addEventListener("input", () => {
+            fields.documentTitle.value = title.value;
+          });
+        }
+        [title, pages].forEach((input) => input.addEventListener("input", updateSofushoPreview));
+        li.append(title, pages, "枚");
+        enclosureList.appendChild(li);
+      });
+      enclosureGroup.hidden = currentDocuments.length === 0;
+      updateSofushoPreview();
     }
-
-    Object.entries(fields).forEach(([key, input]) => {
-      if (!input.value) {
-        input.classList.add('field-empty');
-      } else {
-        input.classList.remove('field-empty');
+    function readEnclosures() {
+      const rows = enclosureList ? [...enclosureList.children] : [];
+      if (rows.length === 0) return [{ title: fields.documentTitle.value.trim() }];
+      return rows.map((li, i) => ({
+        title: li.querySelector(".enclosure-title").value.trim(),
+        pageCount: parseInt(li.querySelector(".enclosure-pages").value, 10) || null,
+        originalName: currentDocuments[i] && currentDocuments[i].originalName
+      }));
+    }
+    fields.documentTitle.addEventListener("input", () => {
+      const first = enclosureList && enclosureList.querySelector(".enclosure-title");
+      if (first) first.value = fields.documentTitle.value;
+    });
+    function updateSofushoPreview() {
+      var dateStr = formatWareki(resolveSendDate({ sendDate: sofushoSendDate ? sofushoSendDate.value : "" }));
+      var el = function(id) {
+        return document.getElementById(id);
+      };
+      var pDate = el("sofushoPreviewDate");
+      if (pDate) pDate.textContent = dateStr;
+      var pCourt = el("sofushoPreviewCourt");
+      if (pCourt) pCourt.textContent = fields.courtName.value.trim();
+      var pCourtFax = el("sofushoPreviewCourtFax");
+      if (pCourtFax) pCourtFax.textContent = fields.courtFax.value.trim();
+      var pCaseNum = el("sofushoPreviewCaseNumber");
+      if (pCaseNum) pCaseNum.textContent = fields.caseNumber.value.trim();
+      var pCaseName = el("sofushoPreviewCaseName");
+      if (pCaseName) pCaseName.textContent = fields.caseName.value.trim();
+      var pPlaintiff = el("sofushoPreviewPlaintiff");
+      if (pPlaintiff) pPlaintiff.textContent = fields.plaintiffName.value.trim();
+      var pDefendant = el("sofushoPreviewDefendant");
+      if (pDefendant) pDefendant.textContent = fields.defendantName.value.trim();
+      var enclosures = buildEnclosureList(readEnclosures());
+      var pDocTitle = el("sofushoPreviewDocTitle");
+      if (pDocTitle) {
+        pDocTitle.textContent = enclosures.lines.join("\n") + (enclosures.totalPages ? "\n（送信枚数 本書を含め" + enclosures.totalPages + "枚）" : "");
       }
+      if (enclosureTotal) {
+        enclosureTotal.textContent = enclosures.totalPages ? "送信枚数 合計" + enclosures.totalPages + "枚（送付書1枚を含む）" : "ページ数が空欄の書類があるため、送信枚数は入れません";
+      }
+      var pSender = el("sofushoPreviewSender");
+      var sender = selectedSofushoLawyer();
+      if (pSender) {
+        pSender.textContent = sender ? (sender.title || DEFAULT_SIGNER_TITLE) + "弁護士　" + sender.name + (sender.fax ? "（FAX " + sender.fax + "）" : "") : "";
+      }
+      var pLawyer = el("sofushoPreviewLawyer");
+      if (pLawyer) pLawyer.textContent = fields.plaintiffLawyer.value.trim() ? "原告訴訟代理人弁護士　" + fields.plaintiffLawyer.value.trim() : "";
+      var pLawyerFax = el("sofushoPreviewLawyerFax");
+      if (pLawyerFax) pLawyerFax.textContent = fields.plaintiffLawyerFax.value.trim() ? "FAX: " + fields.plaintiffLawyerFax.value.trim() : "";
+    }
+    Object.values(fields).forEach(function(input) {
+      input.addEventListener("input", updateSofushoPreview);
     });
-    Object.values(fields).forEach(input => {
-      input.addEventListener('focus', () => {
-        input.classList.remove('field-empty');
-      });
+    function selectedSofushoLawyer() {
+      return sofushoLawyerSelect && sofushoLawyerSelect.value ? getLawyer(sofushoLawyerSelect.value) : getDefaultLawyer();
+    }
+    if (sofushoLawyerSelect) sofushoLawyerSelect.addEventListener("change", updateSofushoPreview);
+    if (sofushoSendDate) {
+      attachDatePicker(sofushoSendDate);
+      sofushoSendDate.addEventListener("input", updateSofushoPreview);
+    }
+    btnBack.addEventListener("click", () => {
+      setState("upload");
     });
-    // プレビュー初期更新
-    updateSofushoPreview();
-  }
-
-  // --- 文書送付書プレビュー更新 ---
-  function updateSofushoPreview() {
-    var today = getTodayReiwa();
-    var dateStr = '令和' + today.year + '年' + today.month + '月' + today.day + '日';
-    var el = function(id) { return document.getElementById(id); };
-    var pDate = el('sofushoPreviewDate');
-    if (pDate) pDate.textContent = dateStr;
-    var pCourt = el('sofushoPreviewCourt');
-    if (pCourt) pCourt.textContent = fields.courtName.value.trim();
-    var pCourtFax = el('sofushoPreviewCourtFax');
-    if (pCourtFax) pCourtFax.textContent = fields.courtFax.value.trim();
-    var pCaseNum = el('sofushoPreviewCaseNumber');
-    if (pCaseNum) pCaseNum.textContent = fields.caseNumber.value.trim();
-    var pCaseName = el('sofushoPreviewCaseName');
-    if (pCaseName) pCaseName.textContent = fields.caseName.value.trim();
-    var pPlaintiff = el('sofushoPreviewPlaintiff');
-    if (pPlaintiff) pPlaintiff.textContent = fields.plaintiffName.value.trim();
-    var pDefendant = el('sofushoPreviewDefendant');
-    if (pDefendant) pDefendant.textContent = fields.defendantName.value.trim();
-    var pDocTitle = el('sofushoPreviewDocTitle');
-    if (pDocTitle) pDocTitle.textContent = fields.documentTitle.value.trim();
-    var pLawyer = el('sofushoPreviewLawyer');
-    if (pLawyer) pLawyer.textContent = fields.plaintiffLawyer.value.trim() ? '原告訴訟代理人弁護士　' + fields.plaintiffLawyer.value.trim() : '';
-    var pLawyerFax = el('sofushoPreviewLawyerFax');
-    if (pLawyerFax) pLawyerFax.textContent = fields.plaintiffLawyerFax.value.trim() ? 'FAX: ' + fields.plaintiffLawyerFax.value.trim() : '';
-  }
-
-  // 文書送付書の全入力フィールドにリアルタイムプレビュー更新をバインド
-  Object.values(fields).forEach(function(input) {
-    input.addEventListener('input', updateSofushoPreview);
-  });
-
-  // --- 戻るボタン ---
-  btnBack.addEventListener('click', () => { setState('upload'); });
+    btnGenerate.addEventListener("click", async () => {
+      const requiredFields = [
+        "courtName",
+        "courtFax",
+        "caseNumber",
+        "caseName",
+        "plaintiffName",
+        "defendantName",
+        "plaintiffLawyer",
+        "plaintiffLawyerFax",
+        "documentTitle"
+      ];
+      const emptyFields = requiredFields.filter((key) => !fields[key].value.trim());
+      if (emptyFields.length > 0) {
+        const fieldNames = {
+          courtName: "裁判所名",
+          courtFax: "裁判所FAX",
+          caseNumber: "事件番号",
+          caseName: "事件名",
+          plaintiffName: "原告",
+          defendantName: "被告",
+          plaintiffLawyer: "原告代理人弁護士",
+          plaintiffLawyerFax: "原告代理人FAX",
+          documentTitle: "送付書類名"
+        };
+        const names = emptyFields.map((k) => fieldNames[k]).join("、");
+        if (!confirm(`以下の項目が未入力です:
+${names}
 
-  // --- 生成ボタン（文書送付書）---
-  btnGenerate.addEventListener('click', async () => {
-    const requiredFields = ['courtName', 'courtFax', 'caseNumber', 'caseName',
-                           'plaintiffName', 'defendantName', 'plaintiffLawyer',
-                           'plaintiffLawyerFax', 'documentTitle'];
-    const emptyFields = requiredFields.filter(key => !fields[key].value.trim());
-    if (emptyFields.length > 0) {
-      const fieldNames = {
-        courtName: '裁判所名', courtFax: '裁判所FAX', caseNumber: '事件番号',
-        caseName: '事件名', plaintiffName: '原告', defendantName: '被告',
-        plaintiffLawyer: '原告代理人弁護士', plaintiffLawyerFax: '原告代理人FAX',
-        documentTitle: '送付書類名',
+空欄のまま生成しますか？`)) {
+          return;
+        }
+      }
+      setState("processing");
+      processingTitle.textContent = "文書送付書を生成中...";
+      processingMessage.textContent = "テンプレートにデータを差し込んでいます。";
+      startProcessingSteps("generate");
+      const info = {
+        courtName: fields.courtName.value.trim(),
+        courtFax: fields.courtFax.value.trim(),
+        caseNumber: fields.caseNumber.value.trim(),
+        caseName: fields.caseName.value.trim(),
+        plaintiffName: fields.plaintiffName.value.trim(),
+        defendantName: fields.defendantName.value.trim(),
+        plaintiffLawyer: fields.plaintiffLawyer.value.trim(),
+        plaintiffLawyerFax: fields.plaintiffLawyerFax.value.trim()
       };
-      const names = emptyFields.map(k => fieldNames[k]).join('、');
-      if (!confirm(`以下の項目が未入力です:\n${names}\n\n空欄のまま生成しますか？`)) {
-        return;
+      const lawyer = selectedSofushoLawyer();
+      if (lawyer) info.ownLawyer = lawyer.name;
+      if (sofushoSendDate && sofushoSendDate.value.trim()) info.sendDate = sofushoSendDate.value.trim();
+      const documentTitle = fields.documentTitle.value.trim();
+      const documents = readEnclosures();
+      const format = sofushoOutputFormat ? sofushoOutputFormat.value : "docx";
+      try {
+        const results = [];
+        if (format === "bundle") {
+          results.push(await generateSofushoBundleBrowser(
+            info,
+            documentTitle,
+            sofushoAttachments,
+            updateProgress,
+            { documents, lawyer }
+          ));
+        } else {
+          if (format !== "pdf") {
+            results.push(await generateDocumentBrowser(info, documentTitle, updateProgress, { documents, lawyer }));
+          }
+          if (format !== "docx") {
+            results.push(await generateSofushoPdfBrowser(info, documentTitle, updateProgress, { documents, lawyer }));
+          }
+        }
+        if (saveToCaseRegistry && saveToCaseRegistry.checked && info.caseNumber) {
+          try {
+            await saveCase(info);
+          } catch (err) {
+            console.warn("[つくる君] 事件台帳に保存できません:", err);
+          }
+        }
+        completeTitle.textContent = "文書送付書の生成が完了しました";
+        if (results.length === 1) {
+          const result = results[0];
+          downloadLabel.textContent = format === "docx" ? "Wordファイルをダウンロード" : "PDFファイルをダウンロード";
+          outputFileName.textContent = result.fileName + (format === "bundle" ? `（送信枚数 ${result.pageCount}枚・送付書を含む）` : "");
+          btnDownload.href = URL.createObjectURL(result.blob);
+          btnDownload.download = result.fileName;
+          singleDownloadArea.style.display = "";
+          multiDownloadArea.style.display = "none";
+        } else {
+          outputFileName.textContent = "";
+          singleDownloadArea.style.display = "none";
+          multiDownloadArea.style.display = "";
+          downloadList.innerHTML = results.map((r) => {
+            const url = URL.createObjectURL(r.blob);
+            return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#f0fdf4;border-radius:8px;">
+            <span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">${escapeHtml(r.fileName)}</span>
+            <a href="${url}" download="${escapeHtml(r.fileName)}" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">
+              ダウンロード
+            </a>
+          </li>`;
+          }).join("");
+        }
+        setState("complete");
+        setTimeout(launchConfetti, 300);
+      } catch (err) {
+        resetProcessingSteps();
+        showError(err.message || "生成中にエラーが発生しました。");
+        setState("confirm");
       }
+    });
+    function updateBundleOption() {
+      if (!sofushoOutputBundle) return;
+      sofushoOutputBundle.disabled = sofushoAttachments.length === 0;
+      if (sofushoOutputBundle.disabled && sofushoOutputFormat.value === "bundle") sofushoOutputFormat.value = "pdf";
     }
-    setState('processing');
-    processingTitle.textContent = '文書送付書を生成中...';
-    processingMessage.textContent = 'テンプレートにデータを差し込んでいます。';
-    startProcessingSteps('generate');
-
-    const info = {
-      courtName: fields.courtName.value.trim(),
-      courtFax: fields.courtFax.value.trim(),
-      caseNumber: fields.caseNumber.value.trim(),
-      caseName: fields.caseName.value.trim(),
-      plaintiffName: fields.plaintiffName.value.trim(),
-      defendantName: fields.defendantName.value.trim(),
-      plaintiffLawyer: fields.plaintiffLawyer.value.trim(),
-      plaintiffLawyerFax: fields.plaintiffLawyerFax.value.trim(),
-    };
-    const documentTitle = fields.documentTitle.value.trim();
-
-    try {
-      const result = await generateDocumentBrowser(info, documentTitle, updateProgress);
-      const blobUrl = URL.createObjectURL(result.blob);
-      completeTitle.textContent = '文書送付書の生成が完了しました';
-      downloadLabel.textContent = 'Wordファイルをダウンロード';
-      outputFileName.textContent = result.fileName;
-      btnDownload.href = blobUrl;
-      btnDownload.download = result.fileName;
-      singleDownloadArea.style.display = '';
-      multiDownloadArea.style.display = 'none';
-      setState('complete');
-      setTimeout(launchConfetti, 300);
-    } catch (err) {
-      resetProcessingSteps();
-      showError(err.message || '生成中にエラーが発生しました。');
-      setState('confirm');
-    }
-  });
-
-  // --- 新規ファイルボタン ---
-  btnNewFile.addEventListener('click', () => {
-    receiptUploadFiles = [];
-    evidenceUploadFiles = [];
-    completeTitle.textContent = '文書送付書の生成が完了しました';
-    downloadLabel.textContent = 'Wordファイルをダウンロード';
-    setState('upload');
-  });
-
-  // --- モード切替 ---
-  function switchMode(mode) {
-    currentMode = mode;
-    modeSofushoBtn.classList.toggle('active', mode === 'sofusho');
-    modeReceiptBtn.classList.toggle('active', mode === 'receipt');
-    if (modeEvidenceBtn) modeEvidenceBtn.classList.toggle('active', mode === 'evidence');
-    logoIcon.classList.remove('receipt-mode', 'evidence-mode');
-    if (mode === 'receipt') {
-      appTitle.textContent = '受領書自動でつくる君';
-      logoIcon.classList.add('receipt-mode');
-      uploadHeading.textContent = '相手方の文書送付書PDFをドロップ';
-      uploadDesc.textContent = '受領日・署名・押印を自動で書き込みます';
-    } else if (mode === 'evidence') {
-      appTitle.textContent = '証拠番号つくる君';
-      logoIcon.classList.add('evidence-mode');
-      uploadHeading.textContent = '証拠PDFをドロップ';
-      uploadDesc.textContent = '証拠番号と標目を右上に赤字でスタンプします';
-    } else {
-      appTitle.textContent = '文書送付書自動でつくる君';
-      uploadHeading.textContent = 'PDF・Wordファイルをドロップ';
-      uploadDesc.textContent = 'ファイルをここにドラッグ＆ドロップしてください';
+    if (sofushoOutputFormat) {
+      sofushoOutputFormat.addEventListener("change", () => {
+        saveConfig(Object.assign(getConfig(), { sofushoOutputFormat: sofushoOutputFormat.value }));
+      });
     }
-    receiptUploadFiles = [];
-    evidenceUploadFiles = [];
-    setState('upload');
-  }
-  modeSofushoBtn.addEventListener('click', () => switchMode('sofusho'));
-  modeReceiptBtn.addEventListener('click', () => switchMode('receipt'));
-  if (modeEvidenceBtn) modeEvidenceBtn.addEventListener('click', () => switchMode('evidence'));
-
-  // --- 受領書モード: 複数ファイルを確認画面に表示 ---
-  // --- 受領書プレビュー用変数 ---
-  var receiptPreviewCanvas = $('#receiptPreviewCanvas');
-  var receiptPreviewBox = $('#receiptPreviewBox');
-  var receiptPreviewPlaceholder = $('#receiptPreviewPlaceholder');
-  var receiptOverlaySensei = $('#receiptOverlaySensei');
-  var receiptOverlayDate = $('#receiptOverlayDate');
-  var receiptOverlaySign = $('#receiptOverlaySign');
-  var receiptOverlaySeal = $('#receiptOverlaySeal');
-  var receiptPreviewOcrData = null; // { words, imgWidth, imgHeight, pageNum, pgW, pgH }
-
-  async function renderReceiptPreview(file) {
-    if (!receiptPreviewCanvas || !receiptPreviewBox) return;
-    try {
-      // PDFを読み込み受領書ページを検索
-      if (receiptPreviewPlaceholder) {
-        receiptPreviewPlaceholder.style.display = '';
-        receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#9ca3af;font-size:0.85em;">受領書ページを検出中...</div>';
+    btnNewFile.addEventListener("click", () => {
+      receiptUploadFiles = [];
+      evidenceUploadFiles = [];
+      completeTitle.textContent = "文書送付書の生成が完了しました";
+      downloadLabel.textContent = "Wordファイルをダウンロード";
+      setState("upload");
+    });
+    function switchMode(mode) {
+      currentMode = mode;
+      modeSofushoBtn.classList.toggle("active", mode === "sofusho");
+      modeReceiptBtn.classList.toggle("active", mode === "receipt");
+      if (modeEvidenceBtn) modeEvidenceBtn.classList.toggle("active", mode === "evidence");
+      logoIcon.classList.remove("receipt-mode", "evidence-mode");
+      if (mode === "receipt") {
+        appTitle.textContent = "受領書自動でつくる君";
+        logoIcon.classList.add("receipt-mode");
+        uploadHeading.textContent = "相手方の文書送付書PDFをドロップ";
+        uploadDesc.textContent = "受領日・署名・押印を自動で書き込みます";
+      } else if (mode === "evidence") {
+        appTitle.textContent = "証拠番号つくる君";
+        logoIcon.classList.add("evidence-mode");
+        uploadHeading.textContent = "証拠PDFをドロップ";
+        uploadDesc.textContent = "証拠番号と標目を右上に赤字でスタンプします";
+      } else {
+        appTitle.textContent = "文書送付書自動でつくる君";
+        uploadHeading.textContent = "PDF・Wordファイルをドロップ";
+        uploadDesc.textContent = "ファイルをここにドラッグ＆ドロップしてください";
       }
-      receiptPreviewCanvas.style.display = 'none';
-      hideReceiptOverlays();
-
-      var ab = await file.arrayBuffer();
-      var pdfDocProxy = await pdfjsLib.getDocument({
-        data: ab, cMapUrl: CMAP_URL, cMapPacked: true
-      }).promise;
-
-      var totalPages = pdfDocProxy.numPages;
-
-      // 受領書ページ検出（OCR）
-      var pdfDoc = await PDFLib.PDFDocument.load(ab);
-      var result = await findReceiptPage(ab, totalPages, function(msg) {
+      receiptUploadFiles = [];
+      evidenceUploadFiles = [];
+      setState("upload");
+    }
+    modeSofushoBtn.addEventListener("click", () => switchMode("sofusho"));
+    modeReceiptBtn.addEventListener("click", () => switchMode("receipt"));
+    if (modeEvidenceBtn) modeEvidenceBtn.addEventListener("click", () => switchMode("evidence"));
+    var receiptPreviewCanvas = $("#receiptPreviewCanvas");
+    var receiptPreviewBox = $("#receiptPreviewBox");
+    var receiptPreviewPlaceholder = $("#receiptPreviewPlaceholder");
+    var receiptOverlaySensei = $("#receiptOverlaySensei");
+    var receiptOverlayDate = $("#receiptOverlayDate");
+    var receiptOverlaySign = $("#receiptOverlaySign");
+    var receiptOverlaySeal = $("#receiptOverlaySeal");
+    var receiptCoverDate = $("#receiptCoverDate");
+    var receiptCoverSign = $("#receiptCoverSign");
+    var receiptPlacementReset = $("#receiptPlacementReset");
+    var receiptOverlays = { sensei: receiptOverlaySensei, date: receiptOverlayDate, name: receiptOverlaySign, seal: receiptOverlaySeal };
+    var receiptPreviewOcrData = null;
+    var receiptPreviewFile = null;
+    var receiptProfileNote = $("#receiptProfileNote");
+    var receiptSaveProfile = $("#receiptSaveProfile");
+    var receiptPlacementEdits = {};
+    var receiptBasePlacements = {};
+    var receiptProfileMatch = null;
+    var receiptPreviewItems = null;
+    async function renderReceiptPreview(file) {
+      if (!receiptPreviewCanvas || !receiptPreviewBox) return;
+      try {
+        if (receiptPreviewPlaceholder) {
+          receiptPreviewPlaceholder.style.display = "";
+          receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#9ca3af;font-size:0.85em;">受領書ページを検出中...</div>';
+        }
+        receiptPreviewCanvas.style.display = "none";
+        hideReceiptOverlays();
+        receiptPreviewOcrData = null;
+        receiptPreviewItems = null;
+        receiptPlacementEdits = {};
+        receiptBasePlacements = {};
+        receiptProfileMatch = null;
+        receiptPreviewFile = file;
+        showReceiptProfileNote();
+        var ab = await file.arrayBuffer();
+        var pdfDocProxy = await openPdf(ab);
+        var totalPages = pdfDocProxy.numPages;
+        var result = await findReceiptPage(ab, totalPages, function(msg) {
+          if (receiptPreviewPlaceholder) {
+            receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#9ca3af;font-size:0.85em;">' + msg + "</div>";
+          }
+        });
+        var pageNum = result.pageNum;
+        var ocr = result.ocr;
+        var pgSize = await getPdfPageSize(ab, pageNum - 1);
+        var orientation = ocr.orientation || UPRIGHT;
+        var layoutPage = layoutSize(pgSize.width, pgSize.height, layoutRotation(orientation));
+        receiptPreviewOcrData = {
+          words: ocr.words,
+          imgWidth: ocr.imgWidth,
+          imgHeight: ocr.imgHeight,
+          orientation,
+          pageNum,
+          pgW: layoutPage.width,
+          pgH: layoutPage.height
+        };
+        try {
+          receiptProfileMatch = await matchReceiptProfile(ocr);
+        } catch (err) {
+          console.warn("[受領書の書式] 照合できません:", err);
+        }
+        receiptBasePlacements = receiptProfileMatch ? profilePlacements(receiptProfileMatch.profile, layoutPage) : {};
+        receiptPlacementEdits = Object.assign({}, receiptBasePlacements);
+        showReceiptProfileNote();
+        var page = await pdfDocProxy.getPage(pageNum);
+        var vp = page.getViewport({ scale: 1 });
+        var boxW = receiptPreviewBox.clientWidth || 360;
+        var scale = boxW / vp.width;
+        var scaledVp = page.getViewport({ scale });
+        receiptPreviewCanvas.width = scaledVp.width;
+        receiptPreviewCanvas.height = scaledVp.height;
+        receiptPreviewCanvas.style.display = "block";
+        receiptPreviewCanvas.style.width = "100%";
+        if (receiptPreviewPlaceholder) receiptPreviewPlaceholder.style.display = "none";
+        receiptPreviewBox.style.height = scaledVp.height + "px";
+        var ctx = receiptPreviewCanvas.getContext("2d");
+        await page.render({ canvasContext: ctx, viewport: scaledVp }).promise;
+        if (receiptLawyerByCase && receiptLawyerByCase.checked) {
+          try {
+            var caseLawyer = await findCaseLawyer(ocr.words.map(function(w) {
+              return w.text;
+            }).join(""));
+            if (caseLawyer) applyReceiptLawyer(caseLawyer);
+          } catch (err) {
+            console.warn("[受領書Preview] 事件台帳を参照できません:", err);
+          }
+        }
+        updateReceiptPreviewOverlays();
+      } catch (e) {
+        console.warn("[受領書Preview]", e);
         if (receiptPreviewPlaceholder) {
-          receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#9ca3af;font-size:0.85em;">' + msg + '</div>';
+          receiptPreviewPlaceholder.style.display = "";
+          receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#f59e0b;font-size:0.85em;">プレビューを表示できませんでした<br><span style="font-size:0.85em;color:#9ca3af;">（生成は可能です）</span></div>';
         }
+        receiptPreviewCanvas.style.display = "none";
+      }
+    }
+    function hideReceiptOverlays() {
+      [receiptOverlaySensei, receiptOverlayDate, receiptOverlaySign, receiptOverlaySeal, receiptCoverDate, receiptCoverSign].forEach(function(el) {
+        if (el) el.style.display = "none";
       });
-      var pageNum = result.pageNum;
-      var ocr = result.ocr;
-      var pgPage = pdfDoc.getPage(pageNum - 1);
-      var pgSize = pgPage.getSize();
-
-      receiptPreviewOcrData = {
-        words: ocr.words,
-        imgWidth: ocr.imgWidth,
-        imgHeight: ocr.imgHeight,
-        pageNum: pageNum,
-        pgW: pgSize.width,
-        pgH: pgSize.height,
-      };
-
-      // 該当ページをcanvasに描画
-      var page = await pdfDocProxy.getPage(pageNum);
-      var vp = page.getViewport({ scale: 1 });
+    }
+    function showReceiptProfileNote() {
+      if (!receiptProfileNote) return;
+      var match = receiptProfileMatch;
+      receiptProfileNote.hidden = !match;
+      if (!match) return;
+      var faxes = match.profile.faxNumbers;
+      receiptProfileNote.textContent = "保存した書式の位置で書き込みます（" + (match.by === "fax" ? "FAX " + faxes.join("・") + " と" : "") + "ページの配置が一致）";
+    }
+    function receiptPreviewGeometry() {
+      var d = receiptPreviewOcrData;
       var boxW = receiptPreviewBox.clientWidth || 360;
-      var scale = boxW / vp.width;
-      var scaledVp = page.getViewport({ scale: scale });
-
-      receiptPreviewCanvas.width = scaledVp.width;
-      receiptPreviewCanvas.height = scaledVp.height;
-      receiptPreviewCanvas.style.display = 'block';
-      receiptPreviewCanvas.style.width = '100%';
-      if (receiptPreviewPlaceholder) receiptPreviewPlaceholder.style.display = 'none';
-      receiptPreviewBox.style.height = scaledVp.height + 'px';
-
-      var ctx = receiptPreviewCanvas.getContext('2d');
-      await page.render({ canvasContext: ctx, viewport: scaledVp }).promise;
-
-      // 書き込み位置をオーバーレイ表示
-      updateReceiptPreviewOverlays();
-
-    } catch (e) {
-      console.warn('[受領書Preview]', e);
-      if (receiptPreviewPlaceholder) {
-        receiptPreviewPlaceholder.style.display = '';
-        receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#f59e0b;font-size:0.85em;">プレビューを表示できませんでした<br><span style="font-size:0.85em;color:#9ca3af;">（生成は可能です）</span></div>';
-      }
-      receiptPreviewCanvas.style.display = 'none';
+      var boxH = receiptPreviewBox.clientHeight || receiptPreviewCanvas.height;
+      var rotation = layoutRotation(d.orientation);
+      var pageImg = layoutSize(d.imgWidth, d.imgHeight, rotation);
+      var scaleX = boxW / pageImg.width;
+      var scaleY = boxH / pageImg.height;
+      var pxPerPt = d.imgWidth / d.pgW;
+      return {
+        rotation,
+        ptToBox: pxPerPt * Math.min(scaleX, scaleY),
+        toBox: function(x, y) {
+          var p = unrotateImagePoint(x * pxPerPt, (d.pgH - y) * d.imgHeight / d.pgH, rotation, d.imgWidth, d.imgHeight);
+          return { x: p.x * scaleX, y: p.y * scaleY };
+        },
+        toLayout: function(bx, by) {
+          var p = rotateImagePoint(bx / scaleX, by / scaleY, rotation, pageImg.width, pageImg.height);
+          return { x: p.x / pxPerPt, y: d.pgH - p.y * d.pgH / d.imgHeight };
+        }
+      };
     }
-  }
-
-  function hideReceiptOverlays() {
-    [receiptOverlaySensei, receiptOverlayDate, receiptOverlaySign, receiptOverlaySeal].forEach(function(el) {
-      if (el) el.style.display = 'none';
-    });
-  }
-
-  function updateReceiptPreviewOverlays() {
-    if (!receiptPreviewOcrData || !receiptPreviewBox) return;
-    var d = receiptPreviewOcrData;
-    var canvasH = receiptPreviewCanvas.height;
-    var canvasW = receiptPreviewCanvas.width;
-    var boxW = receiptPreviewBox.clientWidth || 360;
-    var boxH = receiptPreviewBox.clientHeight || canvasH;
-    var scaleX = boxW / d.imgWidth;
-    var scaleY = boxH / d.imgHeight;
-
-    var pos = detectPositions(d.words, d.imgWidth, d.imgHeight, d.pgW, d.pgH);
-
-    // 先生位置（行の右隣）
-    if (pos.gyou && receiptOverlaySensei) {
-      var gyouWord = d.words.find(function(w) { return w.text === '行' || w.text.includes('行'); });
-      if (gyouWord) {
-        receiptOverlaySensei.style.display = '';
-        receiptOverlaySensei.style.left = ((gyouWord.x2 + 2) * scaleX) + 'px';
-        receiptOverlaySensei.style.top = (gyouWord.y1 * scaleY) + 'px';
-        receiptOverlaySensei.style.fontSize = Math.max(7, Math.round((gyouWord.y2 - gyouWord.y1) * scaleY * 0.7)) + 'px';
+    function estimateReceiptTextWidth(vertical) {
+      return function(text, size) {
+        return Array.from(text).reduce(function(w, ch) {
+          return w + (vertical || ch.charCodeAt(0) > 255 ? size : size * 0.5);
+        }, 0);
+      };
+    }
+    function refreshReceiptSealOptions() {
+      if (!receiptSealSelect) return;
+      var name = receiptPreviewTexts().signerName;
+      var seals = sealsForSigner(name);
+      var current = receiptSealSelect.value;
+      var lawyer = findLawyerByName(name);
+      var picked = lawyer ? getLawyerSeal(lawyer) : pickSeal(name);
+      receiptSealSelect.innerHTML = "";
+      seals.forEach(function(seal) {
+        receiptSealSelect.appendChild(new Option((seal.owner || "全員共通") + "・" + seal.kind, seal.id));
+      });
+      receiptSealSelect.appendChild(new Option("㊞（印影を押さない）", "none"));
+      var keep = receiptSealSelect.dataset.chosen && (current === "none" || seals.some(function(seal) {
+        return seal.id === current;
+      }));
+      receiptSealSelect.value = keep ? current : picked ? picked.id : "none";
+    }
+    function setReceiptSignerTitle(title) {
+      if (!Array.from(receiptSignerTitle.options).some(function(o) {
+        return o.value === title;
+      })) {
+        receiptSignerTitle.appendChild(new Option(title, title));
       }
+      receiptSignerTitle.value = title;
     }
-
-    // 日付位置
-    var dateWord = d.words.find(function(w) {
-      return w.text.includes('年') && w.text.includes('月');
+    SIGNER_TITLES.forEach(function(title) {
+      setReceiptSignerTitle(title);
     });
-    if (!dateWord) {
-      dateWord = d.words.find(function(w) { return w.text.includes('日付') || w.text.includes('年月日'); });
-    }
-    if (dateWord && receiptOverlayDate) {
-      var today = new Date();
-      var reiwaYear = today.getFullYear() - 2018;
-      var dateText = receiptDateInput.value.trim() || ('令和' + reiwaYear + '年' + (today.getMonth()+1) + '月' + today.getDate() + '日');
-      receiptOverlayDate.textContent = dateText;
-      receiptOverlayDate.style.display = '';
-      receiptOverlayDate.style.left = (dateWord.x1 * scaleX) + 'px';
-      receiptOverlayDate.style.top = (dateWord.y1 * scaleY) + 'px';
-      receiptOverlayDate.style.fontSize = Math.max(7, Math.round((dateWord.y2 - dateWord.y1) * scaleY * 0.7)) + 'px';
-      receiptOverlayDate.style.background = 'rgba(255,255,255,0.9)';
-      receiptOverlayDate.style.padding = '0 2px';
+    receiptSignerTitle.value = DEFAULT_SIGNER_TITLE;
+    function applyReceiptLawyer(lawyer) {
+      if (!lawyer) return;
+      if (receiptLawyerSelect) receiptLawyerSelect.value = lawyer.id;
+      receiptSignerName.value = lawyer.name;
+      if (lawyer.title) setReceiptSignerTitle(lawyer.title);
+      if (receiptSealSelect) delete receiptSealSelect.dataset.chosen;
+      refreshReceiptSealOptions();
+      updateReceiptPreviewOverlays();
     }
-
-    // 署名位置（代理人行）
-    var agentWord = d.words.find(function(w) {
-      return w.text.includes('代理人') || w.text.includes('弁護士');
-    });
-    if (agentWord && receiptOverlaySign) {
-      var signerName = receiptSignerName.value.trim() || '';
-      var signerTitle = receiptSignerTitle.value || '被告訴訟代理人';
-      receiptOverlaySign.textContent = '　' + signerName;
-      receiptOverlaySign.style.display = '';
-      receiptOverlaySign.style.left = ((agentWord.x2 + 4) * scaleX) + 'px';
-      receiptOverlaySign.style.top = (agentWord.y1 * scaleY) + 'px';
-      receiptOverlaySign.style.fontSize = Math.max(7, Math.round((agentWord.y2 - agentWord.y1) * scaleY * 0.7)) + 'px';
-      receiptOverlaySign.style.background = 'rgba(255,255,255,0.9)';
-      receiptOverlaySign.style.padding = '0 2px';
-
-      // 印鑑
-      if (receiptOverlaySeal) {
-        receiptOverlaySeal.style.display = '';
-        var nameW = (signerName.length + 1) * Math.max(7, Math.round((agentWord.y2 - agentWord.y1) * scaleY * 0.7)) * 0.6;
-        receiptOverlaySeal.style.left = ((agentWord.x2 + 4) * scaleX + nameW + 4) + 'px';
-        receiptOverlaySeal.style.top = (agentWord.y1 * scaleY) + 'px';
-        receiptOverlaySeal.style.fontSize = Math.max(7, Math.round((agentWord.y2 - agentWord.y1) * scaleY * 0.7)) + 'px';
+    function refreshLawyerOptions() {
+      if (receiptLawyerSelect) {
+        var receiptLawyer = fillLawyerSelect(receiptLawyerSelect, receiptLawyerSelect.value);
+        if (receiptLawyerRow) receiptLawyerRow.hidden = !receiptLawyer;
+      }
+      if (sofushoLawyerSelect) {
+        var sofushoLawyer = fillLawyerSelect(sofushoLawyerSelect, sofushoLawyerSelect.value);
+        if (sofushoLawyerRow) sofushoLawyerRow.hidden = !sofushoLawyer;
       }
     }
-  }
-
-  // 受領書フォーム変更時にプレビューオーバーレイ更新
-  [receiptSignerTitle, receiptSignerName, receiptDateInput].forEach(function(el) {
-    if (el) {
-      el.addEventListener('input', updateReceiptPreviewOverlays);
-      el.addEventListener('change', updateReceiptPreviewOverlays);
+    function selectedReceiptSeal() {
+      if (!receiptSealSelect) return pickSeal(receiptPreviewTexts().signerName);
+      return receiptSealSelect.value === "none" ? null : getSealRecord(receiptSealSelect.value);
     }
-  });
-
-  function prepareReceiptFiles(pdfs) {
-    receiptUploadFiles = pdfs;
-    if (pdfs.length === 1) {
-      receiptSourceFileName.textContent = pdfs[0].name;
-      receiptFileCountBadge.textContent = '受領書モード';
-      receiptFileListWrap.style.display = 'none';
-    } else {
-      receiptSourceFileName.textContent = `${pdfs.length}件のPDFを処理します`;
-      receiptFileCountBadge.textContent = `${pdfs.length}件`;
-      receiptFileList.innerHTML = pdfs.map(f => `<li>${f.name}</li>`).join('');
-      receiptFileListWrap.style.display = 'block';
+    function receiptPreviewTexts() {
+      return {
+        receiptDate: formatReceiptDate(receiptDateInput.value),
+        signerTitle: receiptSignerTitle.value || DEFAULT_SIGNER_TITLE,
+        signerName: receiptSignerName.value.trim() || getConfig().signerName || "山田太郎"
+      };
     }
-    setState('receipt-confirm');
-    // 最初のPDFをプレビュー
-    renderReceiptPreview(pdfs[0]);
-  }
-
-  // --- 受領書：戻るボタン ---
-  btnReceiptBack.addEventListener('click', () => {
-    receiptUploadFiles = [];
-    setState('upload');
-  });
-
-  // --- 受領書：生成ボタン（複数ファイル対応）---
-  btnReceiptGenerate.addEventListener('click', async () => {
-    if (!receiptUploadFiles || receiptUploadFiles.length === 0) {
-      showError('ファイルが選択されていません。');
-      setState('upload');
-      return;
+    function updateReceiptPreviewOverlays() {
+      if (!receiptPreviewOcrData || !receiptPreviewBox) return;
+      var d = receiptPreviewOcrData;
+      var g = receiptPreviewGeometry();
+      var vertical = d.orientation.vertical;
+      var texts = receiptPreviewTexts();
+      var pos = detectPositions(d.words, d.imgWidth, d.imgHeight, d.pgW, d.pgH);
+      var sealRecord2 = selectedReceiptSeal();
+      var items = resolveReceiptPlacements(pos, texts, estimateReceiptTextWidth(vertical), d.pgW, receiptPlacementEdits, sealRecord2);
+      receiptPreviewItems = items;
+      function placeRect(el, r) {
+        var a = g.toBox(r.x, r.y);
+        var b = g.toBox(r.x + r.width, r.y + r.height);
+        el.style.display = "";
+        el.style.left = Math.min(a.x, b.x) + "px";
+        el.style.top = Math.min(a.y, b.y) + "px";
+        el.style.width = Math.abs(b.x - a.x) + "px";
+        el.style.height = Math.abs(b.y - a.y) + "px";
+      }
+      function placeText(el, item, text) {
+        var p = g.toBox(item.x, item.y + item.size);
+        el.querySelector(".receipt-overlay-text").textContent = text;
+        el.style.display = "";
+        el.style.fontSize = item.size * g.ptToBox + "px";
+        el.style.left = p.x + "px";
+        el.style.top = p.y + "px";
+        el.style.writingMode = vertical ? "vertical-rl" : "";
+        el.style.transformOrigin = "0 0";
+        el.style.transform = vertical ? "translateX(-100%)" : g.rotation ? "rotate(" + -g.rotation + "deg)" : "";
+        el.classList.toggle("is-vertical", !!vertical);
+      }
+      if (items.sensei && receiptOverlaySensei) {
+        placeText(receiptOverlaySensei, items.sensei, "先生");
+      } else if (receiptOverlaySensei) {
+        receiptOverlaySensei.style.display = "none";
+      }
+      if (receiptCoverDate) placeRect(receiptCoverDate, items.date.cover);
+      if (receiptOverlayDate) placeText(receiptOverlayDate, items.date, texts.receiptDate);
+      if (receiptCoverSign) placeRect(receiptCoverSign, items.name.cover);
+      if (receiptOverlaySign) placeText(receiptOverlaySign, items.name, "　" + texts.signerName);
+      if (receiptOverlaySeal) {
+        var seal = items.seal;
+        placeRect(receiptOverlaySeal, { x: seal.x, y: seal.y, width: seal.size, height: seal.size });
+        var sealImg = receiptOverlaySeal.querySelector("img");
+        var sealBase64 = sealRecord2 && sealRecord2.dataUrl;
+        sealImg.style.display = sealBase64 ? "" : "none";
+        sealImg.style.opacity = sealRecord2 ? sealRecord2.opacity : "";
+        if (sealBase64 && sealImg.getAttribute("src") !== sealBase64) sealImg.setAttribute("src", sealBase64);
+        var mark = receiptOverlaySeal.querySelector(".receipt-overlay-text");
+        mark.style.display = sealBase64 ? "none" : "";
+        mark.style.fontSize = seal.size * g.ptToBox * RECEIPT_FONT_SIZE / RECEIPT_SEAL_SIZE + "px";
+        receiptOverlaySeal.style.transformOrigin = "50% 50%";
+        receiptOverlaySeal.style.transform = !vertical && g.rotation ? "rotate(" + -g.rotation + "deg)" : "";
+        receiptOverlaySeal.classList.toggle("is-vertical", !!vertical);
+      }
     }
-    const files = receiptUploadFiles;
-    const total = files.length;
-    const signerTitleVal = receiptSignerTitle.value;
-    const signerNameVal = receiptSignerName.value;
-    const receiptDateVal = receiptDateInput.value.trim();
-    setState('processing');
-    startProcessingSteps('upload');
-    const results = [];
-
-    for (let i = 0; i < total; i++) {
-      const file = files[i];
-      processingTitle.textContent = total > 1
-        ? `受領書を生成中... (${i + 1}/${total})`
-        : '受領書を生成中...';
-      processingMessage.textContent = `${file.name} - OCRで位置検出＆書き込み中`;
-      try {
-        const result = await generateReceiptBrowser(file, {
-          signerTitle: signerTitleVal,
-          signerName: signerNameVal,
-          receiptDate: receiptDateVal || undefined,
-        }, updateProgress);
-        const blobUrl = URL.createObjectURL(result.blob);
-        results.push({ fileName: result.fileName, downloadUrl: blobUrl, error: null });
-      } catch (err) {
-        results.push({ fileName: file.name, downloadUrl: null, error: err.message || '生成失敗' });
+    (function setupReceiptOverlayDrag() {
+      if (!receiptPreviewBox) return;
+      var drag = null;
+      function pointerToLayout(ex, ey) {
+        var rect = receiptPreviewBox.getBoundingClientRect();
+        return receiptPreviewGeometry().toLayout(ex - rect.left, ey - rect.top);
+      }
+      function onStart(key, resize, ex, ey) {
+        var item = receiptPreviewItems && receiptPreviewItems[key];
+        if (!item) return false;
+        var text = receiptOverlays[key].querySelector(".receipt-overlay-text").textContent;
+        drag = {
+          key,
+          resize,
+          start: pointerToLayout(ex, ey),
+          item: { x: item.x, y: item.y, size: item.size },
+          width: estimateReceiptTextWidth(receiptPreviewOcrData.orientation.vertical)(text, item.size)
+        };
+        receiptOverlays[key].classList.add("dragging");
+        return true;
+      }
+      function onMove(ex, ey) {
+        if (!drag) return;
+        var d = receiptPreviewOcrData;
+        var p = pointerToLayout(ex, ey);
+        var dx = p.x - drag.start.x;
+        var dy = p.y - drag.start.y;
+        var item = drag.item;
+        var next;
+        if (!drag.resize) {
+          next = {
+            x: Math.max(0, Math.min(d.pgW - 4, item.x + dx)),
+            y: Math.max(0, Math.min(d.pgH - 4, item.y + dy)),
+            size: item.size
+          };
+        } else if (drag.key === "seal") {
+          next = { x: item.x, y: item.y, size: Math.max(12, Math.min(120, item.size + dx)) };
+        } else {
+          next = { x: item.x, y: item.y, size: Math.max(5, Math.min(40, item.size * (drag.width + dx) / drag.width)) };
+        }
+        receiptPlacementEdits[drag.key] = next;
+        updateReceiptPreviewOverlays();
+      }
+      function onEnd() {
+        if (!drag) return;
+        receiptOverlays[drag.key].classList.remove("dragging");
+        drag = null;
+      }
+      Object.keys(receiptOverlays).forEach(function(key) {
+        var el = receiptOverlays[key];
+        if (!el) return;
+        el.addEventListener("mousedown", function(e) {
+          if (onStart(key, e.target.classList.contains("receipt-overlay-handle"), e.clientX, e.clientY)) e.preventDefault();
+        });
+        el.addEventListener("touchstart", function(e) {
+          var t = e.touches[0];
+          if (onStart(key, e.target.classList.contains("receipt-overlay-handle"), t.clientX, t.clientY)) e.preventDefault();
+        }, { passive: false });
+      });
+      document.addEventListener("mousemove", function(e) {
+        if (drag) {
+          e.preventDefault();
+          onMove(e.clientX, e.clientY);
+        }
+      });
+      document.addEventListener("mouseup", onEnd);
+      document.addEventListener("touchmove", function(e) {
+        if (drag) {
+          var t = e.touches[0];
+          onMove(t.clientX, t.clientY);
+        }
+      }, { passive: false });
+      document.addEventListener("touchend", onEnd);
+      if (receiptPlacementReset) {
+        receiptPlacementReset.addEventListener("click", function() {
+          receiptPlacementEdits = Object.assign({}, receiptBasePlacements);
+          updateReceiptPreviewOverlays();
+        });
       }
+    })();
+    if (receiptSignerName) receiptSignerName.addEventListener("input", refreshReceiptSealOptions);
+    if (receiptLawyerSelect) {
+      receiptLawyerSelect.addEventListener("change", function() {
+        if (receiptLawyerByCase) receiptLawyerByCase.checked = false;
+        applyReceiptLawyer(getLawyer(receiptLawyerSelect.value));
+      });
     }
-
-    resetProcessingSteps();
-    [procStep1, procStep2, procStep3].forEach(step => { if (step) step.classList.add('done'); });
-    const succeeded = results.filter(r => !r.error);
-    const failed = results.filter(r => r.error);
-    completeTitle.textContent = total === 1
-      ? '受領書の生成が完了しました'
-      : `受領書の生成が完了しました（${succeeded.length}/${total}件）`;
-    outputFileName.textContent = '';
-
-    if (total === 1 && succeeded.length === 1) {
-      singleDownloadArea.style.display = '';
-      multiDownloadArea.style.display = 'none';
-      downloadLabel.textContent = 'PDFファイルをダウンロード';
-      btnDownload.href = succeeded[0].downloadUrl;
-      btnDownload.download = succeeded[0].fileName;
-    } else {
-      singleDownloadArea.style.display = 'none';
-      multiDownloadArea.style.display = '';
-      downloadList.innerHTML = results.map(r => {
-        if (r.error) {
-          return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#fef2f2;border-radius:8px;color:#dc2626;">
+    [receiptSignerTitle, receiptSignerName].forEach(function(el) {
+      el.addEventListener("input", function() {
+        if (receiptLawyerByCase) receiptLawyerByCase.checked = false;
+      });
+    });
+    if (receiptSealSelect) receiptSealSelect.addEventListener("change", function() {
+      receiptSealSelect.dataset.chosen = "1";
+    });
+    if (receiptDateInput) attachDatePicker(receiptDateInput);
+    [receiptSignerTitle, receiptSignerName, receiptDateInput, receiptSealSelect].forEach(function(el) {
+      if (el) {
+        el.addEventListener("input", updateReceiptPreviewOverlays);
+        el.addEventListener("change", updateReceiptPreviewOverlays);
+      }
+    });
+    function prepareReceiptFiles(pdfs) {
+      receiptUploadFiles = pdfs;
+      if (pdfs.length === 1) {
+        receiptSourceFileName.textContent = pdfs[0].name;
+        receiptFileCountBadge.textContent = "受領書モード";
+        receiptFileListWrap.style.display = "none";
+      } else {
+        receiptSourceFileName.textContent = `${pdfs.length}件のPDFを処理します`;
+        receiptFileCountBadge.textContent = `${pdfs.length}件`;
+        receiptFileList.innerHTML = pdfs.map((f) => `<li>${f.name}</li>`).join("");
+        receiptFileListWrap.style.display = "block";
+      }
+      setState("receipt-confirm");
+      renderReceiptPreview(pdfs[0]);
+    }
+    btnReceiptBack.addEventListener("click", () => {
+      receiptUploadFiles = [];
+      setState("upload");
+    });
+    btnReceiptGenerate.addEventListener("click", async () => {
+      if (!receiptUploadFiles || receiptUploadFiles.length === 0) {
+        showError("ファイルが選択されていません。");
+        setState("upload");
+        return;
+      }
+      if ((!receiptSealSelect || receiptSealSelect.value !== "none") && isSecureStoreEnabled() && !isSecureStoreUnlocked()) {
+        secureStore.showUnlock("印影を押すには、合言葉で解錠してください");
+        return;
+      }
+      const files = receiptUploadFiles;
+      const total = files.length;
+      const signerTitleVal = receiptSignerTitle.value;
+      const signerNameVal = receiptSignerName.value;
+      const receiptDateVal = receiptDateInput.value.trim();
+      setState("processing");
+      startProcessingSteps("upload");
+      processingTitle.textContent = "受領書を生成中...";
+      processingMessage.textContent = "OCRで位置検出＆書き込み中";
+      const placementsByFile = receiptPreviewItems && receiptPreviewFile ? /* @__PURE__ */ new Map([[receiptPreviewFile, receiptPreviewItems]]) : null;
+      const generated = await generateReceiptsBrowser(files, {
+        signerTitle: signerTitleVal,
+        signerName: signerNameVal,
+        receiptDate: receiptDateVal || void 0,
+        sealId: receiptSealSelect ? receiptSealSelect.value : void 0,
+        lawyerByCase: !!(receiptLawyerByCase && receiptLawyerByCase.checked),
+        placementsByFile
+      }, (msg, { file, done }) => {
+        if (total > 1) processingTitle.textContent = `受領書を生成中... (${done}/${total}件完了)`;
+        updateProgress(total > 1 ? `${file.name} - ${msg}` : msg);
+      });
+      const previewed = generated.find((g) => g.file === receiptPreviewFile);
+      if (previewed && !previewed.error && receiptPreviewItems) {
+        try {
+          if (receiptSaveProfile && receiptSaveProfile.checked) {
+            const d = receiptPreviewOcrData;
+            await saveReceiptProfile(d, receiptPreviewItems, { width: d.pgW, height: d.pgH });
+            if (receiptProfiles) receiptProfiles.refresh();
+          } else if (receiptProfileMatch) {
+            await touchReceiptProfile(receiptProfileMatch.profile.id);
+          }
+        } catch (err) {
+          console.warn("[受領書の書式] 保存できません:", err);
+        }
+      }
+      const results = generated.map(({ file, result, error }) => error ? { fileName: file.name, downloadUrl: null, error: error.message || "生成失敗" } : { fileName: result.fileName, downloadUrl: URL.createObjectURL(result.blob), error: null });
+      resetProcessingSteps();
+      [procStep1, procStep2, procStep3].forEach((step) => {
+        if (step) step.classList.add("done");
+      });
+      const succeeded = results.filter((r) => !r.error);
+      const failed = results.filter((r) => r.error);
+      completeTitle.textContent = total === 1 ? "受領書の生成が完了しました" : `受領書の生成が完了しました（${succeeded.length}/${total}件）`;
+      outputFileName.textContent = "";
+      if (total === 1 && succeeded.length === 1) {
+        singleDownloadArea.style.display = "";
+        multiDownloadArea.style.display = "none";
+        downloadLabel.textContent = "PDFファイルをダウンロード";
+        btnDownload.href = succeeded[0].downloadUrl;
+        btnDownload.download = succeeded[0].fileName;
+      } else {
+        singleDownloadArea.style.display = "none";
+        multiDownloadArea.style.display = "";
+        downloadList.innerHTML = results.map((r) => {
+          if (r.error) {
+            return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#fef2f2;border-radius:8px;color:#dc2626;">
             <span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${r.fileName}</span>
             <span style="font-size:0.8em;color:#dc2626;">失敗: ${r.error}</span>
           </li>`;
-        }
-        return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#f0fdf4;border-radius:8px;">
+          }
+          return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#f0fdf4;border-radius:8px;">
           <span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">${r.fileName}</span>
           <a href="${r.downloadUrl}" download="${r.fileName}" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">
             ダウンロード
           </a>
         </li>`;
-      }).join('');
-    }
-
-    if (failed.length > 0) {
-      showError(`${failed.length}件の生成に失敗しました: ${failed.map(r=>r.fileName).join(', ')}`);
+        }).join("");
+      }
+      if (failed.length > 0) {
+        showError(`${failed.length}件の生成に失敗しました: ${failed.map((r) => r.fileName).join(", ")}`);
+      }
+      setState("complete");
+      if (succeeded.length > 0) setTimeout(launchConfetti, 300);
+    });
+    const evidencePartySelect = $("#evidenceParty");
+    const evidenceCustomParty = $("#evidenceCustomParty");
+    const evidenceNumberInput = $("#evidenceNumber");
+    const evidenceSubNumInput = $("#evidenceSubNum");
+    const evidenceUseDai = $("#evidenceUseDai");
+    const evidenceTitleInput = $("#evidenceTitle");
+    const evidenceOriginalCopy = $("#evidenceOriginalCopy");
+    const evidenceCreatedDate = $("#evidenceCreatedDate");
+    const evidenceAuthor = $("#evidenceAuthor");
+    const evidencePurpose = $("#evidencePurpose");
+    const evidenceAllPages = $("#evidenceAllPages");
+    const evidenceAddPageNum = $("#evidenceAddPageNum");
+    const evidenceMintsName = $("#evidenceMintsName");
+    const evidenceOutputSheet = $("#evidenceOutputSheet");
+    const evidenceStampSize = $("#evidenceStampSize");
+    const evidenceStampColor = $("#evidenceStampColor");
+    const evidenceStampBg = $("#evidenceStampBg");
+    const evidenceStampBorder = $("#evidenceStampBorder");
+    const evidenceStampPreview = $("#evidenceStampPreview");
+    const evidencePageNumPreview = $("#evidencePageNumPreview");
+    const evidencePreviewBox = $("#evidencePreviewBox");
+    const evidencePreviewCanvas = $("#evidencePreviewCanvas");
+    const evidencePreviewPlaceholder = $("#evidencePreviewPlaceholder");
+    const evidenceSourceFileName = $("#evidenceSourceFileName");
+    const btnEvidenceBack = $("#btnEvidenceBack");
+    const btnEvidenceGenerate = $("#btnEvidenceGenerate");
+    const btnEvidenceMerge = $("#btnEvidenceMerge");
+    const btnEvidenceAddFiles = $("#btnEvidenceAddFiles");
+    const evidenceFileCountBadge = $("#evidenceFileCountBadge");
+    const evidenceFileListWrap = $("#evidenceFileListWrap");
+    const evidenceFileList = $("#evidenceFileList");
+    if (evidenceCreatedDate) attachDatePicker(evidenceCreatedDate);
+    let evidenceMergeMode = false;
+    let stampPosRatioX = 0.85;
+    let stampPosRatioY = 0.03;
+    let previewPdfW = 595;
+    let previewPdfH = 842;
+    function getEvidenceParty() {
+      if (evidenceCustomParty && evidenceCustomParty.value.trim()) {
+        return evidenceCustomParty.value.trim();
+      }
+      return evidencePartySelect ? evidencePartySelect.value : "甲";
     }
-    setState('complete');
-    if (succeeded.length > 0) setTimeout(launchConfetti, 300);
-  });
-
-  // --- 証拠番号モード: DOM参照 ---
-  const evidencePartySelect = $('#evidenceParty');
-  const evidenceCustomParty = $('#evidenceCustomParty');
-  const evidenceNumberInput = $('#evidenceNumber');
-  const evidenceSubNumInput = $('#evidenceSubNum');
-  const evidenceUseDai = $('#evidenceUseDai');
-  const evidenceTitleInput = $('#evidenceTitle');
-  const evidenceOriginalCopy = $('#evidenceOriginalCopy');
-  const evidenceCreatedDate = $('#evidenceCreatedDate');
-  const evidenceAuthor = $('#evidenceAuthor');
-  const evidencePurpose = $('#evidencePurpose');
-  const evidenceAllPages = $('#evidenceAllPages');
-  const evidenceAddPageNum = $('#evidenceAddPageNum');
-  const evidenceMintsName = $('#evidenceMintsName');
-  const evidenceOutputSheet = $('#evidenceOutputSheet');
-  const evidenceStampSize = $('#evidenceStampSize');
-  const evidenceStampColor = $('#evidenceStampColor');
-  const evidenceStampBg = $('#evidenceStampBg');
-  const evidenceStampBorder = $('#evidenceStampBorder');
-  const evidenceStampPreview = $('#evidenceStampPreview');
-  const evidencePageNumPreview = $('#evidencePageNumPreview');
-  const evidencePreviewBox = $('#evidencePreviewBox');
-  const evidencePreviewCanvas = $('#evidencePreviewCanvas');
-  const evidencePreviewPlaceholder = $('#evidencePreviewPlaceholder');
-  const evidenceSourceFileName = $('#evidenceSourceFileName');
-  const btnEvidenceBack = $('#btnEvidenceBack');
-  const btnEvidenceGenerate = $('#btnEvidenceGenerate');
-  const btnEvidenceMerge = $('#btnEvidenceMerge');
-  const btnEvidenceAddFiles = $('#btnEvidenceAddFiles');
-  const evidenceFileCountBadge = $('#evidenceFileCountBadge');
-  const evidenceFileListWrap = $('#evidenceFileListWrap');
-  const evidenceFileList = $('#evidenceFileList');
-
-  let evidenceMergeMode = false;
-  // スタンプ位置: PDF座標系での比率 (0~1), 左上原点
-  // デフォルト: 右上 (x=0.85 y=0.03)
-  let stampPosRatioX = 0.85;
-  let stampPosRatioY = 0.03;
-  // PDFページサイズ(pt)
-  let previewPdfW = 595;
-  let previewPdfH = 842;
-
-  function getEvidenceParty() {
-    if (evidenceCustomParty && evidenceCustomParty.value.trim()) {
-      return evidenceCustomParty.value.trim();
+    function getEvidencePreviewLabel() {
+      const party = getEvidenceParty();
+      const num = evidenceNumberInput ? evidenceNumberInput.value.trim() : "";
+      const subNum = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : "";
+      const useDai = evidenceUseDai ? evidenceUseDai.checked : false;
+      if (!num) return party + (useDai ? "第" : "") + "○号証";
+      return buildEvidenceLabel(party, parseInt(num, 10), subNum ? parseInt(subNum, 10) : null, useDai);
     }
-    return evidencePartySelect ? evidencePartySelect.value : '\u7532';
-  }
-
-  function getEvidencePreviewLabel() {
-    const party = getEvidenceParty();
-    const num = evidenceNumberInput ? evidenceNumberInput.value.trim() : '';
-    const subNum = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : '';
-    const useDai = evidenceUseDai ? evidenceUseDai.checked : false;
-    if (!num) return party + (useDai ? '\u7b2c' : '') + '\u25cb\u53f7\u8a3c';
-    return buildEvidenceLabel(party, parseInt(num, 10), subNum ? parseInt(subNum, 10) : null, useDai);
-  }
-
-  // --- PDFプレビューレンダリング ---
-  async function renderEvidencePreviewPdf(file) {
-    if (!evidencePreviewCanvas || !evidencePreviewBox) return;
-    try {
-      var ab = await file.arrayBuffer();
-      var pdf = await pdfjsLib.getDocument({
-        data: ab, cMapUrl: CMAP_URL, cMapPacked: true
-      }).promise;
-      var page = await pdf.getPage(1);
-      var vp = page.getViewport({ scale: 1 });
-      previewPdfW = vp.width;
-      previewPdfH = vp.height;
-
-      // プレビューボックスの幅に合わせてスケール
-      var boxW = evidencePreviewBox.clientWidth || 360;
-      var scale = boxW / vp.width;
-      var scaledVp = page.getViewport({ scale: scale });
-
-      evidencePreviewCanvas.width = scaledVp.width;
-      evidencePreviewCanvas.height = scaledVp.height;
-      evidencePreviewCanvas.style.display = 'block';
-      evidencePreviewCanvas.style.width = '100%';
-      if (evidencePreviewPlaceholder) evidencePreviewPlaceholder.style.display = 'none';
-
-      // ボックス高さをcanvas比率に合わせる
-      evidencePreviewBox.style.height = scaledVp.height + 'px';
-
-      var ctx = evidencePreviewCanvas.getContext('2d');
-      await page.render({ canvasContext: ctx, viewport: scaledVp }).promise;
-
-      // スタンプオーバーレイを表示
-      if (evidenceStampPreview) {
-        evidenceStampPreview.style.display = '';
-        positionStampFromRatio();
+    async function renderEvidencePreviewPdf(file) {
+      if (!evidencePreviewCanvas || !evidencePreviewBox) return;
+      try {
+        var ab = await file.arrayBuffer();
+        var pdf = await openPdf(ab);
+        var page = await pdf.getPage(1);
+        var vp = page.getViewport({ scale: 1 });
+        previewPdfW = vp.width;
+        previewPdfH = vp.height;
+        var boxW = evidencePreviewBox.clientWidth || 360;
+        var scale = boxW / vp.width;
+        var scaledVp = page.getViewport({ scale });
+        evidencePreviewCanvas.width = scaledVp.width;
+        evidencePreviewCanvas.height = scaledVp.height;
+        evidencePreviewCanvas.style.display = "block";
+        evidencePreviewCanvas.style.width = "100%";
+        if (evidencePreviewPlaceholder) evidencePreviewPlaceholder.style.display = "none";
+        evidencePreviewBox.style.height = scaledVp.height + "px";
+        var ctx = evidencePreviewCanvas.getContext("2d");
+        await page.render({ canvasContext: ctx, viewport: scaledVp }).promise;
+        if (evidenceStampPreview) {
+          evidenceStampPreview.style.display = "";
+          positionStampFromRatio();
+        }
+      } catch (e) {
+        console.warn("[Preview] PDFレンダリング失敗:", e);
+        showPreviewPlaceholder();
       }
-    } catch (e) {
-      console.warn('[Preview] PDF\u30ec\u30f3\u30c0\u30ea\u30f3\u30b0\u5931\u6557:', e);
-      // フォールバック: プレースホルダーのまま
-      showPreviewPlaceholder();
     }
-  }
-
-  function showPreviewPlaceholder() {
-    if (evidencePreviewCanvas) evidencePreviewCanvas.style.display = 'none';
-    if (evidencePreviewPlaceholder) evidencePreviewPlaceholder.style.display = '';
-    if (evidenceStampPreview) evidenceStampPreview.style.display = '';
-    evidencePreviewBox.style.height = '320px';
-    positionStampFromRatio();
-  }
-
-  function positionStampFromRatio() {
-    if (!evidenceStampPreview || !evidencePreviewBox) return;
-    var boxW = evidencePreviewBox.clientWidth || 360;
-    var boxH = evidencePreviewBox.clientHeight || 320;
-    var stampW = evidenceStampPreview.offsetWidth;
-    var stampH = evidenceStampPreview.offsetHeight;
-    var left = stampPosRatioX * boxW - stampW / 2;
-    var top = stampPosRatioY * boxH;
-    // Clamp
-    left = Math.max(0, Math.min(boxW - stampW, left));
-    top = Math.max(0, Math.min(boxH - stampH, top));
-    evidenceStampPreview.style.left = left + 'px';
-    evidenceStampPreview.style.top = top + 'px';
-    evidenceStampPreview.style.right = '';
-  }
-
-  // --- スタンプドラッグ ---
-  (function setupStampDrag() {
-    if (!evidenceStampPreview || !evidencePreviewBox) return;
-    var dragging = false;
-    var offsetX = 0, offsetY = 0;
-
-    function onStart(ex, ey) {
-      dragging = true;
-      var rect = evidenceStampPreview.getBoundingClientRect();
-      offsetX = ex - rect.left;
-      offsetY = ey - rect.top;
-      evidenceStampPreview.style.cursor = 'grabbing';
-      evidenceStampPreview.style.transition = 'none';
-    }
-    function onMove(ex, ey) {
-      if (!dragging) return;
-      var boxRect = evidencePreviewBox.getBoundingClientRect();
-      var boxW = evidencePreviewBox.clientWidth;
-      var boxH = evidencePreviewBox.clientHeight;
+    function showPreviewPlaceholder() {
+      if (evidencePreviewCanvas) evidencePreviewCanvas.style.display = "none";
+      if (evidencePreviewPlaceholder) evidencePreviewPlaceholder.style.display = "";
+      if (evidenceStampPreview) evidenceStampPreview.style.display = "";
+      evidencePreviewBox.style.height = "320px";
+      positionStampFromRatio();
+    }
+    function positionStampFromRatio() {
+      if (!evidenceStampPreview || !evidencePreviewBox) return;
+      var boxW = evidencePreviewBox.clientWidth || 360;
+      var boxH = evidencePreviewBox.clientHeight || 320;
       var stampW = evidenceStampPreview.offsetWidth;
       var stampH = evidenceStampPreview.offsetHeight;
-
-      var newLeft = ex - boxRect.left - offsetX;
-      var newTop = ey - boxRect.top - offsetY;
-      newLeft = Math.max(0, Math.min(boxW - stampW, newLeft));
-      newTop = Math.max(0, Math.min(boxH - stampH, newTop));
-
-      evidenceStampPreview.style.left = newLeft + 'px';
-      evidenceStampPreview.style.top = newTop + 'px';
-      evidenceStampPreview.style.right = '';
-
-      // 比率を更新 (中心基準)
-      stampPosRatioX = (newLeft + stampW / 2) / boxW;
-      stampPosRatioY = newTop / boxH;
-    }
-    function onEnd() {
-      if (!dragging) return;
-      dragging = false;
-      evidenceStampPreview.style.cursor = 'grab';
-      evidenceStampPreview.style.transition = '';
+      var left = stampPosRatioX * boxW - stampW / 2;
+      var top = stampPosRatioY * boxH;
+      left = Math.max(0, Math.min(boxW - stampW, left));
+      top = Math.max(0, Math.min(boxH - stampH, top));
+      evidenceStampPreview.style.left = left + "px";
+      evidenceStampPreview.style.top = top + "px";
+      evidenceStampPreview.style.right = "";
     }
-
-    // マウス
-    evidenceStampPreview.addEventListener('mousedown', function(e) {
-      e.preventDefault();
-      onStart(e.clientX, e.clientY);
-    });
-    document.addEventListener('mousemove', function(e) {
-      if (dragging) { e.preventDefault(); onMove(e.clientX, e.clientY); }
-    });
-    document.addEventListener('mouseup', onEnd);
-
-    // タッチ
-    evidenceStampPreview.addEventListener('touchstart', function(e) {
-      e.preventDefault();
-      var t = e.touches[0];
-      onStart(t.clientX, t.clientY);
-    }, { passive: false });
-    document.addEventListener('touchmove', function(e) {
-      if (dragging) { var t = e.touches[0]; onMove(t.clientX, t.clientY); }
-    }, { passive: false });
-    document.addEventListener('touchend', onEnd);
-  })();
-
-  function updateEvidencePreview() {
-    var label = getEvidencePreviewLabel();
-    var title = evidenceTitleInput ? evidenceTitleInput.value.trim() : '';
-
-    // スタンプテキスト更新（証拠番号のみ、書誌情報はPDFに打ち込まない）
-    if (evidenceStampPreview) {
-      var text = label;
-      evidenceStampPreview.textContent = text;
-
-      // 色
-      var colorMap = { red: '#dc2626', black: '#111', blue: '#1d4ed8' };
-      var colorVal = evidenceStampColor ? evidenceStampColor.value : 'red';
-      evidenceStampPreview.style.color = colorMap[colorVal] || '#dc2626';
-
-      // サイズ
-      var sizeVal = evidenceStampSize ? parseInt(evidenceStampSize.value) : 20;
-      evidenceStampPreview.style.fontSize = Math.round(sizeVal * 0.55) + 'px';
-
-      // 背景・枠線
-      var hasBg = evidenceStampBg ? evidenceStampBg.checked : true;
-      var hasBorder = evidenceStampBorder ? evidenceStampBorder.checked : false;
-      evidenceStampPreview.style.background = hasBg ? 'rgba(255,255,255,0.95)' : 'transparent';
-      if (hasBorder) {
-        evidenceStampPreview.style.border = '1px solid ' + (colorMap[colorVal] || '#dc2626');
-      } else {
-        evidenceStampPreview.style.border = '1px solid transparent';
+    (function setupStampDrag() {
+      if (!evidenceStampPreview || !evidencePreviewBox) return;
+      var dragging = false;
+      var offsetX = 0, offsetY = 0;
+      function onStart(ex, ey) {
+        dragging = true;
+        var rect = evidenceStampPreview.getBoundingClientRect();
+        offsetX = ex - rect.left;
+        offsetY = ey - rect.top;
+        evidenceStampPreview.style.cursor = "grabbing";
+        evidenceStampPreview.style.transition = "none";
       }
-
-      // 位置を再適用（サイズ変更で幅が変わるため）
-      setTimeout(positionStampFromRatio, 10);
-    }
-
-    // ページ番号プレビュー
-    if (evidencePageNumPreview) {
-      evidencePageNumPreview.style.display = (evidenceAddPageNum && evidenceAddPageNum.checked) ? '' : 'none';
-    }
-
-    updateEvidenceFileListLabels();
-  }
-
-  function updateEvidenceFileListLabels() {
-    if (!evidenceFileList || !evidenceUploadFiles || evidenceUploadFiles.length === 0) return;
-    var party = getEvidenceParty();
-    var startNum = parseInt(evidenceNumberInput ? evidenceNumberInput.value : '1', 10) || 1;
-    var useDai = evidenceUseDai ? evidenceUseDai.checked : false;
-    var subNum = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : '';
-
-    var items = evidenceFileList.querySelectorAll('li');
-    items.forEach(function(li, i) {
-      var labelEl = li.querySelector('.file-label');
-      if (!labelEl) return;
-      if (evidenceMergeMode) {
-        labelEl.textContent = buildEvidenceLabel(party, startNum, i + 1, useDai);
-      } else {
-        var currentSub = (evidenceUploadFiles.length === 1 && subNum) ? parseInt(subNum, 10) : null;
-        labelEl.textContent = buildEvidenceLabel(party, startNum + i, currentSub, useDai);
+      function onMove(ex, ey) {
+        if (!dragging) return;
+        var boxRect = evidencePreviewBox.getBoundingClientRect();
+        var boxW = evidencePreviewBox.clientWidth;
+        var boxH = evidencePreviewBox.clientHeight;
+        var stampW = evidenceStampPreview.offsetWidth;
+        var stampH = evidenceStampPreview.offsetHeight;
+        var newLeft = ex - boxRect.left - offsetX;
+        var newTop = ey - boxRect.top - offsetY;
+        newLeft = Math.max(0, Math.min(boxW - stampW, newLeft));
+        newTop = Math.max(0, Math.min(boxH - stampH, newTop));
+        evidenceStampPreview.style.left = newLeft + "px";
+        evidenceStampPreview.style.top = newTop + "px";
+        evidenceStampPreview.style.right = "";
+        stampPosRatioX = (newLeft + stampW / 2) / boxW;
+        stampPosRatioY = newTop / boxH;
       }
-    });
-  }
-
-  // プレビュー更新対象コントロール
-  var evidencePreviewControls = [
-    evidencePartySelect, evidenceCustomParty, evidenceNumberInput,
-    evidenceSubNumInput, evidenceTitleInput,
-    evidenceStampSize, evidenceStampColor
-  ];
-  evidencePreviewControls.forEach(function(el) {
-    if (el) {
-      el.addEventListener('input', updateEvidencePreview);
-      el.addEventListener('change', updateEvidencePreview);
-    }
-  });
-  [evidenceUseDai, evidenceStampBg, evidenceStampBorder, evidenceAddPageNum].forEach(function(el) {
-    if (el) el.addEventListener('change', updateEvidencePreview);
-  });
-
-  function renderEvidenceFileList() {
-    if (!evidenceFileList || !evidenceUploadFiles) return;
-    var dragIcon = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M8 6h.01M8 12h.01M8 18h.01M12 6h.01M12 12h.01M12 18h.01"/></svg>';
-    var removeIcon = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
-
-    evidenceFileList.innerHTML = evidenceUploadFiles.map(function(f, i) {
-      return '<li draggable="true" data-index="' + i + '">' +
-        '<span class="drag-handle">' + dragIcon + '</span>' +
-        '<span class="file-name">' + f.name + '</span>' +
-        '<span class="file-label"></span>' +
-        '<button class="file-remove" data-index="' + i + '" title="\u524a\u9664">' + removeIcon + '</button>' +
-        '</li>';
-    }).join('');
-
-    updateEvidenceFileListLabels();
-
-    // ドラッグ並べ替え
-    var dragSrcIndex = null;
-    evidenceFileList.querySelectorAll('li').forEach(function(li) {
-      li.addEventListener('dragstart', function(e) {
-        dragSrcIndex = parseInt(li.dataset.index);
-        li.classList.add('dragging');
-        e.dataTransfer.effectAllowed = 'move';
-      });
-      li.addEventListener('dragover', function(e) {
+      function onEnd() {
+        if (!dragging) return;
+        dragging = false;
+        evidenceStampPreview.style.cursor = "grab";
+        evidenceStampPreview.style.transition = "";
+      }
+      evidenceStampPreview.addEventListener("mousedown", function(e) {
         e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
+        onStart(e.clientX, e.clientY);
       });
-      li.addEventListener('drop', function(e) {
-        e.preventDefault();
-        var targetIndex = parseInt(li.dataset.index);
-        if (dragSrcIndex !== null && dragSrcIndex !== targetIndex) {
-          var moved = evidenceUploadFiles.splice(dragSrcIndex, 1)[0];
-          evidenceUploadFiles.splice(targetIndex, 0, moved);
-          renderEvidenceFileList();
+      document.addEventListener("mousemove", function(e) {
+        if (dragging) {
+          e.preventDefault();
+          onMove(e.clientX, e.clientY);
         }
       });
-      li.addEventListener('dragend', function() {
-        li.classList.remove('dragging');
-        dragSrcIndex = null;
-      });
-    });
-
-    // 削除ボタン
-    evidenceFileList.querySelectorAll('.file-remove').forEach(function(btn) {
-      btn.addEventListener('click', function() {
-        var idx = parseInt(btn.dataset.index);
-        evidenceUploadFiles.splice(idx, 1);
-        if (evidenceUploadFiles.length === 0) {
-          setState('upload');
-          return;
+      document.addEventListener("mouseup", onEnd);
+      evidenceStampPreview.addEventListener("touchstart", function(e) {
+        e.preventDefault();
+        var t = e.touches[0];
+        onStart(t.clientX, t.clientY);
+      }, { passive: false });
+      document.addEventListener("touchmove", function(e) {
+        if (dragging) {
+          var t = e.touches[0];
+          onMove(t.clientX, t.clientY);
         }
-        renderEvidenceFileList();
-        updateEvidenceSourceInfo();
-        // 先頭ファイルのプレビュー更新
-        renderEvidencePreviewPdf(evidenceUploadFiles[0]);
-      });
-    });
-  }
-
-  function updateEvidenceSourceInfo() {
-    if (evidenceSourceFileName) {
-      evidenceSourceFileName.textContent = evidenceUploadFiles.length === 1
-        ? evidenceUploadFiles[0].name
-        : evidenceUploadFiles.length + '\u4ef6\u306ePDF\u3092\u51e6\u7406\u3057\u307e\u3059';
-    }
-    if (evidenceFileCountBadge) {
-      evidenceFileCountBadge.textContent = evidenceUploadFiles.length > 1
-        ? evidenceUploadFiles.length + '\u4ef6'
-        : '\u8a3c\u62e0\u756a\u53f7\u30e2\u30fc\u30c9';
+      }, { passive: false });
+      document.addEventListener("touchend", onEnd);
+    })();
+    function updateEvidencePreview() {
+      var label = getEvidencePreviewLabel();
+      var title = evidenceTitleInput ? evidenceTitleInput.value.trim() : "";
+      if (evidenceStampPreview) {
+        var text = label;
+        evidenceStampPreview.textContent = text;
+        var colorMap = { red: "#dc2626", black: "#111", blue: "#1d4ed8" };
+        var colorVal = evidenceStampColor ? evidenceStampColor.value : "red";
+        evidenceStampPreview.style.color = colorMap[colorVal] || "#dc2626";
+        var sizeVal = evidenceStampSize ? parseInt(evidenceStampSize.value) : 20;
+        evidenceStampPreview.style.fontSize = Math.round(sizeVal * 0.55) + "px";
+        var hasBg = evidenceStampBg ? evidenceStampBg.checked : true;
+        var hasBorder = evidenceStampBorder ? evidenceStampBorder.checked : false;
+        evidenceStampPreview.style.background = hasBg ? "rgba(255,255,255,0.95)" : "transparent";
+        if (hasBorder) {
+          evidenceStampPreview.style.border = "1px solid " + (colorMap[colorVal] || "#dc2626");
+        } else {
+          evidenceStampPreview.style.border = "1px solid transparent";
+        }
+        setTimeout(positionStampFromRatio, 10);
+      }
+      if (evidencePageNumPreview) {
+        evidencePageNumPreview.style.display = evidenceAddPageNum && evidenceAddPageNum.checked ? "" : "none";
+      }
+      updateEvidenceFileListLabels();
     }
-    if (evidenceFileListWrap) {
-      evidenceFileListWrap.style.display = evidenceUploadFiles.length > 1 ? 'block' : 'none';
+    function updateEvidenceFileListLabels() {
+      if (!evidenceFileList || !evidenceUploadFiles || evidenceUploadFiles.length === 0) return;
+      var party = getEvidenceParty();
+      var startNum = parseInt(evidenceNumberInput ? evidenceNumberInput.value : "1", 10) || 1;
+      var useDai = evidenceUseDai ? evidenceUseDai.checked : false;
+      var subNum = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : "";
+      var items = evidenceFileList.querySelectorAll("li");
+      items.forEach(function(li, i) {
+        var labelEl = li.querySelector(".file-label");
+        if (!labelEl) return;
+        if (evidenceMergeMode) {
+          labelEl.textContent = buildEvidenceLabel(party, startNum, i + 1, useDai);
+        } else {
+          var currentSub = evidenceUploadFiles.length === 1 && subNum ? parseInt(subNum, 10) : null;
+          labelEl.textContent = buildEvidenceLabel(party, startNum + i, currentSub, useDai);
+        }
+      });
     }
-  }
-
-  function prepareEvidenceFiles(pdfs) {
-    evidenceUploadFiles = Array.from(pdfs);
-    evidenceMergeMode = false;
-    // デフォルト位置リセット
-    stampPosRatioX = 0.85;
-    stampPosRatioY = 0.03;
-    updateEvidenceSourceInfo();
-    renderEvidenceFileList();
-    updateEvidencePreview();
-    // 1ページ目をプレビュー
-    renderEvidencePreviewPdf(evidenceUploadFiles[0]);
-    setState('evidence-confirm');
-  }
-
-  // 結合ボタン
-  if (btnEvidenceMerge) {
-    btnEvidenceMerge.addEventListener('click', function() {
-      evidenceMergeMode = !evidenceMergeMode;
-      btnEvidenceMerge.classList.toggle('active', evidenceMergeMode);
-      btnEvidenceMerge.style.background = evidenceMergeMode ? '#fef2f2' : '';
-      btnEvidenceMerge.style.color = evidenceMergeMode ? '#dc2626' : '';
-      updateEvidenceFileListLabels();
+    var evidencePreviewControls = [
+      evidencePartySelect,
+      evidenceCustomParty,
+      evidenceNumberInput,
+      evidenceSubNumInput,
+      evidenceTitleInput,
+      evidenceStampSize,
+      evidenceStampColor
+    ];
+    evidencePreviewControls.forEach(function(el) {
+      if (el) {
+        el.addEventListener("input", updateEvidencePreview);
+        el.addEventListener("change", updateEvidencePreview);
+      }
     });
-  }
-
-  // ファイル追加ボタン
-  if (btnEvidenceAddFiles) {
-    btnEvidenceAddFiles.addEventListener('click', function() {
-      var input = document.createElement('input');
-      input.type = 'file';
-      input.accept = '.pdf';
-      input.multiple = true;
-      input.addEventListener('change', function() {
-        if (input.files && input.files.length > 0) {
-          for (var i = 0; i < input.files.length; i++) {
-            evidenceUploadFiles.push(input.files[i]);
+    [evidenceUseDai, evidenceStampBg, evidenceStampBorder, evidenceAddPageNum].forEach(function(el) {
+      if (el) el.addEventListener("change", updateEvidencePreview);
+    });
+    function renderEvidenceFileList() {
+      if (!evidenceFileList || !evidenceUploadFiles) return;
+      var dragIcon = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M8 6h.01M8 12h.01M8 18h.01M12 6h.01M12 12h.01M12 18h.01"/></svg>';
+      var removeIcon = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
+      evidenceFileList.innerHTML = evidenceUploadFiles.map(function(f, i) {
+        return '<li draggable="true" data-index="' + i + '"><span class="drag-handle">' + dragIcon + '</span><span class="file-name">' + f.name + '</span><span class="file-label"></span><button class="file-remove" data-index="' + i + '" title="削除">' + removeIcon + "</button></li>";
+      }).join("");
+      updateEvidenceFileListLabels();
+      var dragSrcIndex = null;
+      evidenceFileList.querySelectorAll("li").forEach(function(li) {
+        li.addEventListener("dragstart", function(e) {
+          dragSrcIndex = parseInt(li.dataset.index);
+          li.classList.add("dragging");
+          e.dataTransfer.effectAllowed = "move";
+        });
+        li.addEventListener("dragover", function(e) {
+          e.preventDefault();
+          e.dataTransfer.dropEffect = "move";
+        });
+        li.addEventListener("drop", function(e) {
+          e.preventDefault();
+          var targetIndex = parseInt(li.dataset.index);
+          if (dragSrcIndex !== null && dragSrcIndex !== targetIndex) {
+            var moved = evidenceUploadFiles.splice(dragSrcIndex, 1)[0];
+            evidenceUploadFiles.splice(targetIndex, 0, moved);
+            renderEvidenceFileList();
+          }
+        });
+        li.addEventListener("dragend", function() {
+          li.classList.remove("dragging");
+          dragSrcIndex = null;
+        });
+      });
+      evidenceFileList.querySelectorAll(".file-remove").forEach(function(btn) {
+        btn.addEventListener("click", function() {
+          var idx = parseInt(btn.dataset.index);
+          evidenceUploadFiles.splice(idx, 1);
+          if (evidenceUploadFiles.length === 0) {
+            setState("upload");
+            return;
           }
-          updateEvidenceSourceInfo();
           renderEvidenceFileList();
-        }
+          updateEvidenceSourceInfo();
+          renderEvidencePreviewPdf(evidenceUploadFiles[0]);
+        });
       });
-      input.click();
-    });
-  }
-
-  if (btnEvidenceBack) {
-    btnEvidenceBack.addEventListener('click', function() {
-      evidenceUploadFiles = [];
-      evidenceMergeMode = false;
-      showPreviewPlaceholder();
-      setState('upload');
-    });
-  }
-
-  if (btnEvidenceGenerate) {
-    btnEvidenceGenerate.addEventListener('click', async function() {
-      if (!evidenceUploadFiles || evidenceUploadFiles.length === 0) {
-        showError('\u30d5\u30a1\u30a4\u30eb\u304c\u9078\u629e\u3055\u308c\u3066\u3044\u307e\u305b\u3093\u3002');
-        setState('upload');
-        return;
+    }
+    function updateEvidenceSourceInfo() {
+      if (evidenceSourceFileName) {
+        evidenceSourceFileName.textContent = evidenceUploadFiles.length === 1 ? evidenceUploadFiles[0].name : evidenceUploadFiles.length + "件のPDFを処理します";
       }
-      var party = getEvidenceParty();
-      var numStr = evidenceNumberInput ? evidenceNumberInput.value.trim() : '';
-      if (!numStr) {
-        showError('\u8a3c\u62e0\u756a\u53f7\u3092\u5165\u529b\u3057\u3066\u304f\u3060\u3055\u3044\u3002');
-        return;
+      if (evidenceFileCountBadge) {
+        evidenceFileCountBadge.textContent = evidenceUploadFiles.length > 1 ? evidenceUploadFiles.length + "件" : "証拠番号モード";
       }
-      var startNum = parseInt(numStr, 10);
-      if (isNaN(startNum) || startNum < 1) {
-        showError('\u8a3c\u62e0\u756a\u53f7\u306f1\u4ee5\u4e0a\u306e\u6570\u5b57\u3092\u5165\u529b\u3057\u3066\u304f\u3060\u3055\u3044\u3002');
-        return;
+      if (evidenceFileListWrap) {
+        evidenceFileListWrap.style.display = evidenceUploadFiles.length > 1 ? "block" : "none";
       }
-      var subNumStr = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : '';
-      var subNum = subNumStr ? parseInt(subNumStr, 10) : null;
-      var useDai = evidenceUseDai ? evidenceUseDai.checked : false;
-      var titleStr = evidenceTitleInput ? evidenceTitleInput.value.trim() : '';
-      var allPages = evidenceAllPages ? evidenceAllPages.checked : false;
-      var addPageNum = evidenceAddPageNum ? evidenceAddPageNum.checked : false;
-      var useMintsName = evidenceMintsName ? evidenceMintsName.checked : false;
-      var outputSheet = evidenceOutputSheet ? evidenceOutputSheet.checked : false;
-      var originalCopy = evidenceOriginalCopy ? evidenceOriginalCopy.value : '';
-      var createdDate = evidenceCreatedDate ? evidenceCreatedDate.value.trim() : '';
-      var author = evidenceAuthor ? evidenceAuthor.value.trim() : '';
-      var purpose = evidencePurpose ? evidencePurpose.value.trim() : '';
-
-      // スタンプ位置: ドラッグ結果のratioからPDF座標(pt)に変換
-      var stampOpts = {
-        stampSize: evidenceStampSize ? evidenceStampSize.value : '20',
-        stampColor: evidenceStampColor ? evidenceStampColor.value : 'red',
-        stampBg: evidenceStampBg ? evidenceStampBg.checked : true,
-        stampBorder: evidenceStampBorder ? evidenceStampBorder.checked : false,
-        addPageNum: addPageNum,
-        // カスタム位置 (PDF座標系)
-        customX: stampPosRatioX,
-        customY: stampPosRatioY,
-      };
-
-      var files = evidenceUploadFiles;
-      var total = files.length;
-
-      setState('processing');
-      startProcessingSteps('generate');
-      var results = [];
-      var sheetEntries = [];
-
-      // 結合モード
-      if (evidenceMergeMode && total > 1) {
-        try {
-          processingTitle.textContent = 'PDF\u3092\u7d50\u5408\u4e2d...';
-          var mergedFile = await mergePdfs(files, updateProgress);
-          var subRange = '1~' + total;
-          var evidenceLabel = buildEvidenceLabel(party, startNum, null, useDai);
-          processingTitle.textContent = '\u8a3c\u62e0\u756a\u53f7\u3092\u66f8\u304d\u8fbc\u307f\u4e2d...';
-          processingMessage.textContent = evidenceLabel;
-
-          var result = await generateEvidenceBrowser(mergedFile, Object.assign({
-            evidenceLabel: evidenceLabel, evidenceTitle: titleStr, allPages: allPages, onProgress: updateProgress,
-          }, stampOpts));
-
-          var outName = useMintsName
-            ? buildMintsFileName(party, startNum, null, titleStr, subRange)
-            : result.fileName;
-          var blobUrl = URL.createObjectURL(result.blob);
-          results.push({ fileName: outName, downloadUrl: blobUrl, error: null });
-          sheetEntries.push({
-            label: evidenceLabel + '\u306e\uff11\uff5e' + toFullWidthNumber(String(total)),
-            title: titleStr, originalOrCopy: originalCopy,
-            createdDate: createdDate, author: author, purpose: purpose,
-          });
-        } catch (err) {
-          results.push({ fileName: '\u7d50\u5408\u30d5\u30a1\u30a4\u30eb', downloadUrl: null, error: err.message || '\u7d50\u5408\u5931\u6557' });
+    }
+    function prepareEvidenceFiles(pdfs) {
+      evidenceUploadFiles = Array.from(pdfs);
+      evidenceMergeMode = false;
+      stampPosRatioX = 0.85;
+      stampPosRatioY = 0.03;
+      updateEvidenceSourceInfo();
+      renderEvidenceFileList();
+      updateEvidencePreview();
+      renderEvidencePreviewPdf(evidenceUploadFiles[0]);
+      setState("evidence-confirm");
+    }
+    if (btnEvidenceMerge) {
+      btnEvidenceMerge.addEventListener("click", function() {
+        evidenceMergeMode = !evidenceMergeMode;
+        btnEvidenceMerge.classList.toggle("active", evidenceMergeMode);
+        btnEvidenceMerge.style.background = evidenceMergeMode ? "#fef2f2" : "";
+        btnEvidenceMerge.style.color = evidenceMergeMode ? "#dc2626" : "";
+        updateEvidenceFileListLabels();
+      });
+    }
+    if (btnEvidenceAddFiles) {
+      btnEvidenceAddFiles.addEventListener("click", function() {
+        var input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".pdf";
+        input.multiple = true;
+        input.addEventListener("change", function() {
+          if (input.files && input.files.length > 0) {
+            for (var i = 0; i < input.files.length; i++) {
+              evidenceUploadFiles.push(input.files[i]);
+            }
+            updateEvidenceSourceInfo();
+            renderEvidenceFileList();
+          }
+        });
+        input.click();
+      });
+    }
+    if (btnEvidenceBack) {
+      btnEvidenceBack.addEventListener("click", function() {
+        evidenceUploadFiles = [];
+        evidenceMergeMode = false;
+        showPreviewPlaceholder();
+        setState("upload");
+      });
+    }
+    if (btnEvidenceGenerate) {
+      btnEvidenceGenerate.addEventListener("click", async function() {
+        if (!evidenceUploadFiles || evidenceUploadFiles.length === 0) {
+          showError("ファイルが選択されていません。");
+          setState("upload");
+          return;
         }
-      } else {
-        for (var i = 0; i < total; i++) {
-          var currentNum = startNum + i;
-          var currentSub = (total === 1 && subNum) ? subNum : null;
-          var evidenceLabel = buildEvidenceLabel(party, currentNum, currentSub, useDai);
-          processingTitle.textContent = total > 1
-            ? '\u8a3c\u62e0\u756a\u53f7\u3092\u66f8\u304d\u8fbc\u307f\u4e2d... (' + (i + 1) + '/' + total + ')'
-            : '\u8a3c\u62e0\u756a\u53f7\u3092\u66f8\u304d\u8fbc\u307f\u4e2d...';
-          processingMessage.textContent = files[i].name + ' \u2192 ' + evidenceLabel;
-
+        var party = getEvidenceParty();
+        var numStr = evidenceNumberInput ? evidenceNumberInput.value.trim() : "";
+        if (!numStr) {
+          showError("証拠番号を入力してください。");
+          return;
+        }
+        var startNum = parseInt(numStr, 10);
+        if (isNaN(startNum) || startNum < 1) {
+          showError("証拠番号は1以上の数字を入力してください。");
+          return;
+        }
+        var subNumStr = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : "";
+        var subNum = subNumStr ? parseInt(subNumStr, 10) : null;
+        var useDai = evidenceUseDai ? evidenceUseDai.checked : false;
+        var titleStr = evidenceTitleInput ? evidenceTitleInput.value.trim() : "";
+        var allPages = evidenceAllPages ? evidenceAllPages.checked : false;
+        var addPageNum = evidenceAddPageNum ? evidenceAddPageNum.checked : false;
+        var useMintsName = evidenceMintsName ? evidenceMintsName.checked : false;
+        var outputSheet = evidenceOutputSheet ? evidenceOutputSheet.checked : false;
+        var originalCopy = evidenceOriginalCopy ? evidenceOriginalCopy.value : "";
+        var createdDate = evidenceCreatedDate ? evidenceCreatedDate.value.trim() : "";
+        var author = evidenceAuthor ? evidenceAuthor.value.trim() : "";
+        var purpose = evidencePurpose ? evidencePurpose.value.trim() : "";
+        var stampOpts = {
+          stampSize: evidenceStampSize ? evidenceStampSize.value : "20",
+          stampColor: evidenceStampColor ? evidenceStampColor.value : "red",
+          stampBg: evidenceStampBg ? evidenceStampBg.checked : true,
+          stampBorder: evidenceStampBorder ? evidenceStampBorder.checked : false,
+          addPageNum,
+          // カスタム位置 (PDF座標系)
+          customX: stampPosRatioX,
+          customY: stampPosRatioY
+        };
+        var files = evidenceUploadFiles;
+        var total = files.length;
+        setState("processing");
+        startProcessingSteps("generate");
+        var results = [];
+        var sheetEntries = [];
+        if (evidenceMergeMode && total > 1) {
           try {
-            var result = await generateEvidenceBrowser(files[i], Object.assign({
-              evidenceLabel: evidenceLabel, evidenceTitle: titleStr, allPages: allPages, onProgress: updateProgress,
+            processingTitle.textContent = "PDFを結合中...";
+            var mergedFile = await mergePdfs(files, updateProgress);
+            var subRange = "1~" + total;
+            var evidenceLabel = buildEvidenceLabel(party, startNum, null, useDai);
+            processingTitle.textContent = "証拠番号を書き込み中...";
+            processingMessage.textContent = evidenceLabel;
+            var result = await generateEvidenceBrowser(mergedFile, Object.assign({
+              evidenceLabel,
+              evidenceTitle: titleStr,
+              allPages,
+              onProgress: updateProgress
             }, stampOpts));
-
-            var outName = useMintsName
-              ? buildMintsFileName(party, currentNum, currentSub, titleStr, null)
-              : result.fileName;
+            var outName = useMintsName ? buildMintsFileName(party, startNum, null, titleStr, subRange) : result.fileName;
             var blobUrl = URL.createObjectURL(result.blob);
             results.push({ fileName: outName, downloadUrl: blobUrl, error: null });
             sheetEntries.push({
-              label: evidenceLabel, title: titleStr, originalOrCopy: originalCopy,
-              createdDate: createdDate, author: author, purpose: purpose,
+              label: evidenceLabel + "の１～" + toFullWidthNumber(String(total)),
+              title: titleStr,
+              originalOrCopy: originalCopy,
+              createdDate,
+              author,
+              purpose
             });
           } catch (err) {
-            results.push({ fileName: files[i].name, downloadUrl: null, error: err.message || '\u751f\u6210\u5931\u6557' });
+            results.push({ fileName: "結合ファイル", downloadUrl: null, error: err.message || "結合失敗" });
+          }
+        } else {
+          for (var i = 0; i < total; i++) {
+            var currentNum = startNum + i;
+            var currentSub = total === 1 && subNum ? subNum : null;
+            var evidenceLabel = buildEvidenceLabel(party, currentNum, currentSub, useDai);
+            processingTitle.textContent = total > 1 ? "証拠番号を書き込み中... (" + (i + 1) + "/" + total + ")" : "証拠番号を書き込み中...";
+            processingMessage.textContent = files[i].name + " → " + evidenceLabel;
+            try {
+              var result = await generateEvidenceBrowser(files[i], Object.assign({
+                evidenceLabel,
+                evidenceTitle: titleStr,
+                allPages,
+                onProgress: updateProgress
+              }, stampOpts));
+              var outName = useMintsName ? buildMintsFileName(party, currentNum, currentSub, titleStr, null) : result.fileName;
+              var blobUrl = URL.createObjectURL(result.blob);
+              results.push({ fileName: outName, downloadUrl: blobUrl, error: null });
+              sheetEntries.push({
+                label: evidenceLabel,
+                title: titleStr,
+                originalOrCopy: originalCopy,
+                createdDate,
+                author,
+                purpose
+              });
+            } catch (err) {
+              results.push({ fileName: files[i].name, downloadUrl: null, error: err.message || "生成失敗" });
+            }
+          }
+        }
+        if (outputSheet && sheetEntries.length > 0) {
+          try {
+            var sheetBlob = await generateEvidenceSheetDocx(sheetEntries, { party });
+            var sheetUrl = URL.createObjectURL(sheetBlob);
+            results.push({
+              fileName: "証拠説明書_" + party + "号証.docx",
+              downloadUrl: sheetUrl,
+              error: null,
+              isSheet: true
+            });
+          } catch (sheetErr) {
+            console.error("証拠説明書の生成に失敗:", sheetErr);
           }
         }
+        resetProcessingSteps();
+        [procStep1, procStep2, procStep3].forEach(function(step) {
+          if (step) step.classList.add("done");
+        });
+        var succeeded = results.filter(function(r) {
+          return !r.error;
+        });
+        var failed = results.filter(function(r) {
+          return r.error;
+        });
+        var pdfCount = succeeded.filter(function(r) {
+          return !r.isSheet;
+        }).length;
+        completeTitle.textContent = total === 1 ? "証拠番号の書き込みが完了しました" : "証拠番号の書き込みが完了しました（" + pdfCount + "/" + total + "件）";
+        outputFileName.textContent = "";
+        if (succeeded.length === 1 && !outputSheet) {
+          singleDownloadArea.style.display = "";
+          multiDownloadArea.style.display = "none";
+          downloadLabel.textContent = "PDFファイルをダウンロード";
+          btnDownload.href = succeeded[0].downloadUrl;
+          btnDownload.download = succeeded[0].fileName;
+        } else {
+          singleDownloadArea.style.display = "none";
+          multiDownloadArea.style.display = "";
+          downloadList.innerHTML = results.map(function(r) {
+            if (r.error) {
+              return '<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#fef2f2;border-radius:8px;color:#dc2626;"><span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">' + r.fileName + '</span><span style="font-size:0.8em;color:#dc2626;">失敗: ' + r.error + "</span></li>";
+            }
+            var bgColor = r.isSheet ? "#eff6ff" : "#f0fdf4";
+            return '<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:' + bgColor + ';border-radius:8px;"><span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">' + r.fileName + '</span><a href="' + r.downloadUrl + '" download="' + r.fileName + '" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">ダウンロード</a></li>';
+          }).join("");
+        }
+        if (failed.length > 0) {
+          showError(failed.length + "件の生成に失敗しました: " + failed.map(function(r) {
+            return r.fileName;
+          }).join(", "));
+        }
+        setState("complete");
+        if (pdfCount > 0) setTimeout(launchConfetti, 300);
+      });
+    }
+    function fillSettingsForm() {
+      const config = getConfig();
+      const settingsOfficeName = $("#settingsOfficeName");
+      const settingsLawyerNames = $("#settingsLawyerNames");
+      const settingsFaxNumbers = $("#settingsFaxNumbers");
+      if (settingsOfficeName) settingsOfficeName.value = config.officeName || "";
+      if (settingsLawyerNames) settingsLawyerNames.value = (config.lawyerNames || []).join(", ");
+      if (settingsFaxNumbers) settingsFaxNumbers.value = (config.faxNumbers || []).join(", ");
+      const settingsCaseRegistryMode = $("#settingsCaseRegistryMode");
+      if (settingsCaseRegistryMode) settingsCaseRegistryMode.value = config.caseRegistryMode || "override";
+      const settingsOcrCacheMode = $("#settingsOcrCacheMode");
+      if (settingsOcrCacheMode) settingsOcrCacheMode.value = config.ocrCacheMode || "memory";
+      const ocrCacheClear = $("#ocrCacheClear");
+      if (ocrCacheClear) ocrCacheClear.textContent = "OCR結果を削除";
+      if (sealSettings) sealSettings.refresh();
+      if (lawyerSettings) lawyerSettings.refresh();
+    }
+    if (settingsBtn && settingsModal) {
+      settingsBtn.addEventListener("click", () => {
+        fillSettingsForm();
+        secureStore.refresh();
+        settingsBundle.refresh();
+        settingsModal.classList.add("visible");
+      });
+      settingsClose.addEventListener("click", () => {
+        settingsModal.classList.remove("visible");
+      });
+      const ocrCacheClear = $("#ocrCacheClear");
+      if (ocrCacheClear) {
+        ocrCacheClear.addEventListener("click", async () => {
+          try {
+            await clearOcrCache();
+            ocrCacheClear.textContent = "削除しました";
+          } catch (err) {
+            showError("OCR結果を削除できませんでした: " + err.message);
+          }
+        });
       }
-
-      // 証拠説明書
-      if (outputSheet && sheetEntries.length > 0) {
+      settingsSave.addEventListener("click", () => {
+        const settingsOfficeName = $("#settingsOfficeName");
+        const settingsLawyerNames = $("#settingsLawyerNames");
+        const settingsFaxNumbers = $("#settingsFaxNumbers");
+        const settingsCaseRegistryMode = $("#settingsCaseRegistryMode");
+        const settingsOcrCacheMode = $("#settingsOcrCacheMode");
+        const config = Object.assign(getConfig(), {
+          officeName: settingsOfficeName ? settingsOfficeName.value.trim() : "",
+          lawyerNames: settingsLawyerNames ? settingsLawyerNames.value.split(/[,、]/).map((s) => s.trim()).filter(Boolean) : [],
+          faxNumbers: settingsFaxNumbers ? settingsFaxNumbers.value.split(/[,、]/).map((s) => s.trim()).filter(Boolean) : [],
+          caseRegistryMode: settingsCaseRegistryMode ? settingsCaseRegistryMode.value : "override",
+          ocrCacheMode: settingsOcrCacheMode ? settingsOcrCacheMode.value : "memory"
+        });
         try {
-          var sheetBlob = await generateEvidenceSheetDocx(sheetEntries, { party: party });
-          var sheetUrl = URL.createObjectURL(sheetBlob);
-          results.push({
-            fileName: '\u8a3c\u62e0\u8aac\u660e\u66f8_' + party + '\u53f7\u8a3c.docx',
-            downloadUrl: sheetUrl, error: null, isSheet: true,
-          });
-        } catch (sheetErr) {
-          console.error('\u8a3c\u62e0\u8aac\u660e\u66f8\u306e\u751f\u6210\u306b\u5931\u6557:', sheetErr);
+          saveConfig(config);
+        } catch (err) {
+          showError(err.message);
+          return;
+        }
+        const subtitle = $("#officeSubtitle");
+        if (subtitle) subtitle.textContent = config.officeName;
+        refreshReceiptSealOptions();
+        updateSofushoPreview();
+        settingsModal.classList.remove("visible");
+      });
+      settingsModal.addEventListener("click", (e) => {
+        if (e.target === settingsModal) {
+          settingsModal.classList.remove("visible");
         }
+      });
+    }
+    setupCourtDirectory({
+      showError,
+      onChange: () => {
+        if (currentState === "confirm") refreshCourtFaxFromDirectory();
       }
-
-      resetProcessingSteps();
-      [procStep1, procStep2, procStep3].forEach(function(step) { if (step) step.classList.add('done'); });
-      var succeeded = results.filter(function(r) { return !r.error; });
-      var failed = results.filter(function(r) { return r.error; });
-      var pdfCount = succeeded.filter(function(r) { return !r.isSheet; }).length;
-      completeTitle.textContent = total === 1
-        ? '\u8a3c\u62e0\u756a\u53f7\u306e\u66f8\u304d\u8fbc\u307f\u304c\u5b8c\u4e86\u3057\u307e\u3057\u305f'
-        : '\u8a3c\u62e0\u756a\u53f7\u306e\u66f8\u304d\u8fbc\u307f\u304c\u5b8c\u4e86\u3057\u307e\u3057\u305f\uff08' + pdfCount + '/' + total + '\u4ef6\uff09';
-      outputFileName.textContent = '';
-
-      if (succeeded.length === 1 && !outputSheet) {
-        singleDownloadArea.style.display = '';
-        multiDownloadArea.style.display = 'none';
-        downloadLabel.textContent = 'PDF\u30d5\u30a1\u30a4\u30eb\u3092\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9';
-        btnDownload.href = succeeded[0].downloadUrl;
-        btnDownload.download = succeeded[0].fileName;
-      } else {
-        singleDownloadArea.style.display = 'none';
-        multiDownloadArea.style.display = '';
-        downloadList.innerHTML = results.map(function(r) {
-          if (r.error) {
-            return '<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#fef2f2;border-radius:8px;color:#dc2626;">' +
-              '<span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">' + r.fileName + '</span>' +
-              '<span style="font-size:0.8em;color:#dc2626;">\u5931\u6557: ' + r.error + '</span></li>';
-          }
-          var bgColor = r.isSheet ? '#eff6ff' : '#f0fdf4';
-          return '<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:' + bgColor + ';border-radius:8px;">' +
-            '<span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">' + r.fileName + '</span>' +
-            '<a href="' + r.downloadUrl + '" download="' + r.fileName + '" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9</a></li>';
-        }).join('');
+    });
+    setupCaseRegistry({ showError });
+    var sofushoTemplates = setupSofushoTemplates({ showError });
+    var receiptProfiles = setupReceiptProfiles({ showError });
+    var sealSettings = setupSeals({
+      showError,
+      onChange: () => {
+        if (lawyerSettings) lawyerSettings.refresh();
+        refreshReceiptSealOptions();
+        updateReceiptPreviewOverlays();
       }
-
-      if (failed.length > 0) {
-        showError(failed.length + '\u4ef6\u306e\u751f\u6210\u306b\u5931\u6557\u3057\u307e\u3057\u305f: ' + failed.map(function(r) { return r.fileName; }).join(', '));
+    });
+    var lawyerSettings = setupLawyers({
+      showError,
+      onChange: () => {
+        refreshLawyerOptions();
+        applyReceiptLawyer(receiptLawyerSelect && getLawyer(receiptLawyerSelect.value) || getDefaultLawyer());
+        updateSofushoPreview();
       }
-      setState('complete');
-      if (pdfCount > 0) setTimeout(launchConfetti, 300);
     });
-  }
-
-
-  // --- 設定モーダル ---
-  if (settingsBtn && settingsModal) {
-    settingsBtn.addEventListener('click', () => {
-      const config = JSON.parse(localStorage.getItem('tsukurukun_config') || '{}');
-      const settingsOfficeName = $('#settingsOfficeName');
-      const settingsSignerName = $('#settingsSignerName');
-      const settingsLawyerNames = $('#settingsLawyerNames');
-      const settingsFaxNumbers = $('#settingsFaxNumbers');
-      const sealPreview = $('#sealPreview');
-      if (settingsOfficeName) settingsOfficeName.value = config.officeName || '';
-      if (settingsSignerName) settingsSignerName.value = config.signerName || '';
-      if (settingsLawyerNames) settingsLawyerNames.value = (config.lawyerNames || []).join(', ');
-      if (settingsFaxNumbers) settingsFaxNumbers.value = (config.faxNumbers || []).join(', ');
-      const sealBase64 = localStorage.getItem('tsukurukun_seal');
-      if (sealPreview) {
-        if (sealBase64) {
-          sealPreview.innerHTML = `<img src="${sealBase64}" style="max-width:60px;max-height:60px;">`;
-        } else {
-          sealPreview.innerHTML = '<span style="color:var(--text-secondary);font-size:0.85em;">未設定（㊞で代替）</span>';
-        }
+    function loadConfig() {
+      try {
+        const config = getConfig();
+        const subtitle = $("#officeSubtitle");
+        if (subtitle) subtitle.textContent = config.officeName || "";
+        refreshLawyerOptions();
+        if (receiptSignerName && !receiptSignerName.value) applyReceiptLawyer(getDefaultLawyer());
+        refreshReceiptSealOptions();
+        if (sofushoOutputFormat && config.sofushoOutputFormat) sofushoOutputFormat.value = config.sofushoOutputFormat;
+      } catch (e) {
+      }
+    }
+    loadConfig();
+    var secureStore = setupSecureStore({
+      showError,
+      onUnlock: () => {
+        loadConfig();
+        if (sealSettings) sealSettings.refresh();
+        if (lawyerSettings) lawyerSettings.refresh();
+        updateReceiptPreviewOverlays();
+        updateSofushoPreview();
       }
-      settingsModal.classList.add('visible');
     });
-
-    settingsClose.addEventListener('click', () => {
-      settingsModal.classList.remove('visible');
+    onSecureStoreLock(() => {
+      refreshLawyerOptions();
+      refreshReceiptSealOptions();
+      updateReceiptPreviewOverlays();
+      secureStore.refresh();
+      secureStore.showUnlock("ロックしました。続けるには合言葉を入力してください");
     });
-
-    const sealInput = $('#sealInput');
-    if (sealInput) {
-      sealInput.addEventListener('change', () => {
-        const file = sealInput.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          localStorage.setItem('tsukurukun_seal', e.target.result);
-          const sealPreview = $('#sealPreview');
-          if (sealPreview) {
-            sealPreview.innerHTML = `<img src="${e.target.result}" style="max-width:60px;max-height:60px;">`;
-          }
-        };
-        reader.readAsDataURL(file);
-      });
-    }
-
-    const sealRemove = $('#sealRemove');
-    if (sealRemove) {
-      sealRemove.addEventListener('click', () => {
-        localStorage.removeItem('tsukurukun_seal');
-        const sealPreview = $('#sealPreview');
-        if (sealPreview) {
-          sealPreview.innerHTML = '<span style="color:var(--text-secondary);font-size:0.85em;">未設定（㊞で代替）</span>';
-        }
-        if (sealInput) sealInput.value = '';
-      });
-    }
-
-    settingsSave.addEventListener('click', () => {
-      const settingsOfficeName = $('#settingsOfficeName');
-      const settingsSignerName = $('#settingsSignerName');
-      const settingsLawyerNames = $('#settingsLawyerNames');
-      const settingsFaxNumbers = $('#settingsFaxNumbers');
-      const config = {
-        officeName: settingsOfficeName ? settingsOfficeName.value.trim() : '',
-        signerName: settingsSignerName ? settingsSignerName.value.trim() : '',
-        lawyerNames: settingsLawyerNames
-          ? settingsLawyerNames.value.split(/[,、]/).map(s => s.trim()).filter(Boolean)
-          : [],
-        faxNumbers: settingsFaxNumbers
-          ? settingsFaxNumbers.value.split(/[,、]/).map(s => s.trim()).filter(Boolean)
-          : [],
-      };
-      localStorage.setItem('tsukurukun_config', JSON.stringify(config));
-      const subtitle = $('#officeSubtitle');
-      if (subtitle) subtitle.textContent = config.officeName;
-      if (receiptSignerName && config.signerName) {
-        receiptSignerName.value = config.signerName;
+    secureStore.showUnlock();
+    var settingsBundle = setupSettingsBundle({
+      showError,
+      onChange: () => {
+        loadConfig();
+        fillSettingsForm();
+        if (sofushoTemplates) sofushoTemplates.refresh();
+        if (receiptProfiles) receiptProfiles.refresh();
+        if (currentState === "confirm") refreshCourtFaxFromDirectory();
+        updateReceiptPreviewOverlays();
+        updateSofushoPreview();
       }
-      settingsModal.classList.remove('visible');
     });
-
-    settingsModal.addEventListener('click', (e) => {
-      if (e.target === settingsModal) {
-        settingsModal.classList.remove('visible');
+    onDatabaseConflict(({ reason, message }) => {
+      console.warn("[IndexedDB]", reason, message);
+      showError(message);
+    });
+    checkVendorAssets(window).then((missing) => {
+      const warning = $("#vendorAssetWarning");
+      const list = $("#vendorAssetList");
+      if (missing.length === 0 || !warning || !list) return;
+      missing.forEach((m) => console.warn("[同梱ファイル] 見つかりません:", m.path, m.reason));
+      list.innerHTML = "";
+      missing.forEach((m) => {
+        const li = document.createElement("li");
+        li.textContent = `${m.label}（${m.path}）`;
+        list.appendChild(li);
+      });
+      warning.hidden = false;
+    });
+    window.addEventListener("beforeunload", (e) => {
+      if (currentState === "confirm" || currentState === "receipt-confirm" || currentState === "evidence-confirm") {
+        e.preventDefault();
+        e.returnValue = "";
       }
     });
   }
 
-  // --- 起動時に設定を読み込み ---
-  (function loadConfig() {
+  // src/browser.js
+  function pickFontFile() {
+    return new Promise((resolve, reject) => {
+      alert("フォントの自動読み込みに失敗しました。\n\nfonts/NotoSerifJP.ttf を手動で選択してください。\n（一度選択すると次回以降はキャッシュされます）");
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = ".ttf,.otf";
+      input.onchange = async () => {
+        if (!input.files[0]) {
+          reject(new Error("フォントが選択されませんでした"));
+          return;
+        }
+        resolve(await input.files[0].arrayBuffer());
+      };
+      input.click();
+    });
+  }
+  var vendorUrl = (relPath) => new URL(relPath, document.baseURI).href;
+  configureRuntime({
+    pdfjsLib: window.pdfjsLib,
+    PDFLib: window.PDFLib,
+    fontkit: window.fontkit,
+    JSZip: window.JSZip,
+    Tesseract: window.Tesseract,
+    cmapUrl: vendorUrl("vendor/pdfjs/cmaps/"),
+    tesseractOptions: {
+      workerPath: vendorUrl("vendor/tesseract/worker.min.js"),
+      corePath: vendorUrl("vendor/tesseract/core/"),
+      langPath: vendorUrl("vendor/tessdata/")
+    },
+    storage: window.localStorage,
+    indexedDB: window.indexedDB || null,
+    crypto: window.crypto || null,
+    ocrConcurrency: window.navigator.hardwareConcurrency || 1,
+    createCanvas(width, height) {
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    },
+    loadImage(src) {
+      return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error("画像を読み込めません"));
+        image.src = src;
+      });
+    },
+    pickFontFile
+  });
+  async function loadOfficeConfig() {
     try {
-      const config = JSON.parse(localStorage.getItem('tsukurukun_config') || '{}');
-      const subtitle = $('#officeSubtitle');
-      if (subtitle && config.officeName) subtitle.textContent = config.officeName;
-      if (config.signerName && receiptSignerName && !receiptSignerName.value) {
-        receiptSignerName.value = config.signerName;
-      }
-    } catch (e) { /* ignore */ }
-  })();
-
-  // --- ページ離脱前の確認 ---
-  window.addEventListener('beforeunload', (e) => {
-    if (currentState === 'confirm' || currentState === 'receipt-confirm' || currentState === 'evidence-confirm') {
-      e.preventDefault();
-      e.returnValue = '';
+      const result = await window.electronAPI.readOfficeConfig();
+      if (result && result.text) applyOfficeConfig(result.text);
+      else if (result && result.error) console.warn("[事務所共通の設定] 読み込めません:", result.path, result.error);
+    } catch (e) {
+      console.warn("[事務所共通の設定] 読み込めません:", e);
     }
-  });
-
+  }
+  if (window.electronAPI && window.electronAPI.readOfficeConfig) {
+    loadOfficeConfig().then(startApp);
+  } else {
+    startApp();
+  }
 })();
@@ -0,0 +1,148 @@
+/**
+ * Node.js 用の実行環境 - 自動でつくる君 CLI
+ *
+ * ブラウザ版ではCDNから読み込むライブラリを npm パッケージで用意し、
+ * configureRuntime() で共通モジュール（src/）に渡す。
+ */
+
+import fs from 'node:fs';
+import * as buffer from 'node:buffer';
+import os from 'node:os';
+import { webcrypto } from 'node:crypto';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import canvasLib from '@napi-rs/canvas';
+import { configureRuntime } from '../src/index.js';
+
+const require = createRequire(import.meta.url);
+
+// pdf.js は DOMMatrix / Path2D を要求する（node-canvas の代わりに @napi-rs/canvas を使用）
+globalThis.DOMMatrix = globalThis.DOMMatrix || canvasLib.DOMMatrix;
+globalThis.Path2D = globalThis.Path2D || canvasLib.Path2D;
+globalThis.ImageData = globalThis.ImageData || canvasLib.ImageData;
+// File は Node.js 20 からグローバル。18 は node:buffer にある（18.13 以降）。CLI の入力と src/ の生成結果で使う
+globalThis.File = globalThis.File || buffer.File;
+
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const PDFLib = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const JSZip = require('jszip');
+const Tesseract = require('tesseract.js');
+
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const CMAP_DIR = path.join(PDFJS_DIR, 'cmaps') + path.sep;
+const STANDARD_FONT_DIR = path.join(PDFJS_DIR, 'standard_fonts') + path.sep;
+
+/**
+ * 日本語言語データ（jpn.traineddata.gz）のフォルダ。npm の @tesseract.js-data/jpn、
+ * 無ければ assetDir の vendor/tessdata/（npm run vendor でコピーしたもの）。どちらも無ければ null（CDN から取得）
+ */
+function findLangDir(assetDir) {
+  try {
+    return path.dirname(require.resolve('@tesseract.js-data/jpn/4.0.0_best_int/jpn.traineddata.gz'));
+  } catch (e) { /* 未インストール */ }
+  const vendorDir = path.join(assetDir, 'vendor', 'tessdata');
+  return fs.existsSync(path.join(vendorDir, 'jpn.traineddata.gz')) ? vendorDir : null;
+}
+
+// pdf.js 内部で使う一時canvasも @napi-rs/canvas で作る
+class NodeCanvasFactory {
+  create(width, height) {
+    const canvas = canvasLib.createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * localStorage 互換のメモリストア（設定・印鑑はCLI引数から流し込む）
+ */
+function createMemoryStorage(initial) {
+  const store = new Map(Object.entries(initial || {}));
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => { store.set(key, String(value)); },
+    removeItem: key => { store.delete(key); },
+    clear: () => { store.clear(); },
+  };
+}
+
+/**
+ * 印鑑画像ファイル → data URL（受領書生成は data URL の印鑑を読む）
+ */
+function sealFileToDataUrl(sealPath) {
+  const ext = path.extname(sealPath).toLowerCase();
+  const mime = ext === '.png' ? 'image/png' : 'image/jpeg';
+  return `data:${mime};base64,${fs.readFileSync(sealPath).toString('base64')}`;
+}
+
+/**
+ * 相対URL（fonts/, template/）を assetDir 基準のローカルファイルとして返す fetch
+ */
+function createLocalFetch(assetDir, fontPath) {
+  return async (url, init) => {
+    const str = String(url);
+    if (/^[a-z][a-z0-9+.-]*:/i.test(str)) return globalThis.fetch(url, init);
+    const relPath = decodeURIComponent(str);
+    const filePath = relPath === 'fonts/NotoSerifJP.ttf' && fontPath
+      ? fontPath
+      : path.join(assetDir, relPath);
+    try {
+      const data = await fs.promises.readFile(filePath);
+      return new Response(data, { status: 200 });
+    } catch (e) {
+      return new Response(null, { status: 404 });
+    }
+  };
+}
+
+/**
+ * CLI用の実行環境を設定する。
+ *
+ * @param {Object} opts
+ * @param {string} opts.assetDir  相対URL（fonts/, template/）の解決先（通常は docs/）
+ * @param {Object} [opts.config]  事務所設定
+ * @param {string} [opts.sealPath] 印鑑画像（PNG/JPEG）
+ * @param {string} [opts.fontPath] 日本語フォント（fonts/NotoSerifJP.ttf の代わり）
+ */
+export function setupNodeRuntime(opts) {
+  const initialStorage = {};
+  const langDir = findLangDir(opts.assetDir);
+  if (opts.config) initialStorage.tsukurukun_config = JSON.stringify(opts.config);
+  if (opts.sealPath) initialStorage.tsukurukun_seal = sealFileToDataUrl(opts.sealPath);
+
+  configureRuntime({
+    pdfjsLib: pdfjs,
+    PDFLib,
+    fontkit,
+    JSZip,
+    Tesseract,
+    cmapUrl: CMAP_DIR,
+    tesseractOptions: langDir ? { langPath: langDir } : {},
+    pdfjsOptions: {
+      standardFontDataUrl: STANDARD_FONT_DIR,
+      disableFontFace: true,
+      canvasFactory: new NodeCanvasFactory(),
+    },
+    storage: createMemoryStorage(initialStorage),
+    indexedDB: null,
+    crypto: webcrypto,
+    fetch: createLocalFetch(opts.assetDir, opts.fontPath),
+    createCanvas: (width, height) => canvasLib.createCanvas(width, height),
+    loadImage: src => canvasLib.loadImage(src),
+    // Tesseract.js (Node) はcanvasを直接受け取れないためPNGバッファに変換して渡す
+    toOcrImage: canvas => canvas.toBuffer('image/png'),
+    ocrConcurrency: os.availableParallelism ? os.availableParallelism() : os.cpus().length,
+    // 対話UIは使えない → loadJapaneseFont はエラーになる（--font で指定する）
+    pickFontFile: null,
+  });
+}
@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+/**
+ * 自動でつくる君 - コマンドライン版
+ *
+ * ブラウザ版と同じ共通モジュール（src/）の生成ロジックをNode.jsから実行し、
+ * フォルダ内のFAX/PDFをまとめて処理して出力ディレクトリに書き出す。
+ *
+ * 例:
+ *   tsukurukun sofusho  受信FAX/ -o output/ --date R7.3.6
+ *   tsukurukun receipt  受信FAX/*.pdf --signer 山田太郎 --date 令和7年3月6日
+ *   tsukurukun evidence 証拠/ --party 乙 --start 5 --mints --sheet
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import * as core from '../src/index.js';
+import { setupNodeRuntime } from './node-runtime.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ASSET_DIR = path.join(ROOT_DIR, 'docs');
+
+const USAGE = `使い方: tsukurukun <コマンド> <ファイル/フォルダ...> [オプション]
+
+コマンド:
+  sofusho    PDF/Wordから情報を抽出して文書送付書(.docx)を生成
+  receipt    相手方の送付書PDFに受領日・署名・押印を書き込んだ受領書PDFを生成
+  evidence   証拠PDFに証拠番号をスタンプ（証拠説明書も出力可）
+
+共通オプション:
+  -o, --out <dir>        出力先フォルダ（既定: output）
+      --config <file>    事務所設定 config.json（既定: ./config.json があれば使用）
+      --seal <file>      印鑑画像 PNG/JPEG（既定: ./seal/stamp.png があれば使用）
+      --font <file>      日本語フォント（既定: docs/fonts/NotoSerifJP.ttf → CDN）
+      --courts <file>    裁判所名簿 CSV/JSON を同梱の名簿に重ねて使う（既定: ./courts.csv があれば使用）
+      --lawyer <氏名>    署名する弁護士（config.json の lawyers の氏名か略称。既定: 既定の弁護士）
+      --verbose          抽出ログを表示
+  -h, --help             このヘルプを表示
+
+sofusho:
+      --merge            複数ファイルを1通の送付書に統合（既定: ファイルごとに生成）
+      --title <名前>     送付書類名（既定: ファイル名から）
+      --template <file>  {{courtName}} などの差し込み項目を入れた .docx テンプレート（既定: 同梱テンプレート）
+      --format <形式>    docx / pdf / both / bundle（既定: docx。PDFは同梱テンプレートと同じ並びで作成。
+                         bundle は送付書PDFを入力PDFの前に付けて1つにまとめ、送信枚数を入れる）
+      --json             生成せず抽出結果をJSONで出力
+      --date <日付>      送付日（既定: 今日。令和7年3月6日・R7.3.6・2025/3/6 など）
+
+receipt:
+      --signer <名前>        署名者名（既定: --lawyer の弁護士、無ければ config.json の signerName）
+      --signer-title <肩書>  肩書（既定: --lawyer の弁護士の肩書、無ければ被告訴訟代理人）
+      --date <日付>          受領日（既定: 今日。R7.3.6・2025/3/6 なども和暦にそろえる）
+
+evidence:
+      --party <符号>     当事者表示（既定: 甲）
+      --start <番号>     開始号証番号（既定: 1）
+      --sub <枝番>       枝番（単一ファイル時のみ）
+      --dai              「第」を入れる（甲第1号証）
+      --merge            複数PDFを結合して枝番付きの1号証にする
+      --title <標目>     標目（証拠のタイトル）
+      --original <別>    原本/写し（既定: 写し）
+      --created <日付>   作成年月日（R7.3.6・2025/3/6 なども和暦にそろえる）
+      --author <作成者>  作成者
+      --purpose <趣旨>   立証趣旨
+      --all-pages        全ページにスタンプ
+      --page-num         ページ番号を付与
+      --size <pt>        文字サイズ（既定: 20）
+      --color <色>       red / blue / black（既定: red）
+      --no-bg            白背景を付けない
+      --border           枠線を付ける
+      --x <比率>         スタンプ中心のX位置 0〜1（既定: 0.85）
+      --y <比率>         スタンプ上端のY位置 0〜1（既定: 0.03）
+      --mints            mints形式でファイル名を出力（甲001 売買契約書.pdf）
+      --sheet            証拠説明書（Word）も出力
+`;
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o', default: 'output' },
+  config: { type: 'string' },
+  seal: { type: 'string' },
+  font: { type: 'string' },
+  courts: { type: 'string' },
+  lawyer: { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  // sofusho
+  merge: { type: 'boolean', default: false },
+  title: { type: 'string' },
+  template: { type: 'string' },
+  format: { type: 'string', default: 'docx' },
+  json: { type: 'boolean', default: false },
+  // receipt
+  signer: { type: 'string' },
+  'signer-title': { type: 'string' },
+  date: { type: 'string' },
+  // evidence
+  party: { type: 'string', default: '甲' },
+  start: { type: 'string', default: '1' },
+  sub: { type: 'string' },
+  dai: { type: 'boolean', default: false },
+  original: { type: 'string', default: '写し' },
+  created: { type: 'string', default: '' },
+  author: { type: 'string', default: '' },
+  purpose: { type: 'string', default: '' },
+  'all-pages': { type: 'boolean', default: false },
+  'page-num': { type: 'boolean', default: false },
+  size: { type: 'string', default: '20' },
+  color: { type: 'string', default: 'red' },
+  'no-bg': { type: 'boolean', default: false },
+  border: { type: 'boolean', default: false },
+  x: { type: 'string', default: '0.85' },
+  y: { type: 'string', default: '0.03' },
+  mints: { type: 'boolean', default: false },
+  sheet: { type: 'boolean', default: false },
+};
+
+class CliError extends Error {}
+
+// --- 入力ファイル収集（フォルダは直下の対象ファイルを名前順に展開）---
+function collectInputs(args, exts) {
+  const files = [];
+  for (const arg of args) {
+    if (!fs.existsSync(arg)) throw new CliError(`ファイルが見つかりません: ${arg}`);
+    if (fs.statSync(arg).isDirectory()) {
+      fs.readdirSync(arg)
+        .filter(name => exts.some(ext => name.toLowerCase().endsWith(ext)))
+        .sort((a, b) => a.localeCompare(b, 'ja', { numeric: true }))
+        .forEach(name => files.push(path.join(arg, name)));
+    } else if (exts.some(ext => arg.toLowerCase().endsWith(ext))) {
+      files.push(arg);
+    } else {
+      throw new CliError(`対応していない形式です（${exts.join(', ')}）: ${arg}`);
+    }
+  }
+  if (files.length === 0) throw new CliError('処理対象のファイルがありません。');
+  return files;
+}
+
+// --lawyer の弁護士（指定が無ければ undefined＝既定の弁護士）
+function resolveLawyer(core, opts) {
+  if (!opts.lawyer) return undefined;
+  const lawyer = core.findLawyerByName(opts.lawyer);
+  if (!lawyer) throw new CliError(`config.json に弁護士が見つかりません: ${opts.lawyer}`);
+  return lawyer;
+}
+
+function toFile(filePath) {
+  return new File([fs.readFileSync(filePath)], path.basename(filePath));
+}
+
+async function writeOutput(outDir, fileName, blob) {
+  const outPath = path.join(outDir, fileName);
+  await fs.promises.writeFile(outPath, Buffer.from(await blob.arrayBuffer()));
+  console.error(`  → ${outPath}`);
+  return outPath;
+}
+
+function loadConfig(configPath) {
+  const p = configPath || (fs.existsSync('config.json') ? 'config.json' : null);
+  if (!p) return {};
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (e) {
+    throw new CliError(`設定ファイルを読み込めません: ${p} (${e.message})`);
+  }
+}
+
+function loadCourts(core, courtsPath) {
+  const p = courtsPath || (fs.existsSync('courts.csv') ? 'courts.csv' : null);
+  if (!p) return;
+  let result;
+  try {
+    result = core.importCourtDirectory(fs.readFileSync(p, 'utf8'), p.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+  } catch (e) {
+    throw new CliError(`裁判所名簿を読み込めません: ${p} (${e.message})`);
+  }
+  result.errors.forEach(e => console.error(`  ${p}:${e.line}: ${e.message}`));
+}
+
+// 日付のオプションが日付の形なのにありえない日付（令和8年2月30日など）なら、処理を始める前に止める
+function checkDate(core, text, option) {
+  try {
+    core.parseDate(text);
+  } catch (e) {
+    throw new CliError(`${option} の日付が正しくありません: ${e.message}`);
+  }
+}
+
+function progress(msg) {
+  console.error(`  ${msg}`);
+}
+
+// =============================================
+// sofusho: 文書送付書
+// =============================================
+async function runSofusho(core, inputs, opts) {
+  const paths = collectInputs(inputs, ['.pdf', '.docx', '.doc']);
+  const groups = opts.merge ? [paths] : paths.map(p => [p]);
+  if (!['docx', 'pdf', 'both', 'bundle'].includes(opts.format)) {
+    throw new CliError('--format は docx / pdf / both / bundle のいずれかを指定してください。');
+  }
+  checkDate(core, opts.date, '--date');
+  const templateData = opts.template ? await loadSofushoTemplate(core, opts.template) : undefined;
+  const lawyer = resolveLawyer(core, opts);
+  let failures = 0;
+
+  for (const group of groups) {
+    console.error(`[送付書] ${group.map(p => path.basename(p)).join(' + ')}`);
+    try {
+      const results = [];
+      for (const p of group) {
+        results.push(await core.uploadAndExtractBrowser(toFile(p), progress));
+      }
+      const merged = core.mergeExtractedInfo(results);
+      if (opts.date) merged.info.sendDate = opts.date;
+      if (opts.json) {
+        const out = {
+          source: merged.displayName, documentTitle: merged.documentTitle, documents: merged.documents, info: merged.info,
+        };
+        process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+        continue;
+      }
+      const courtFaxMeta = merged.info.fieldMeta.courtFax;
+      if (courtFaxMeta && courtFaxMeta.directory) progress(core.describeCourtMatch(courtFaxMeta.directory));
+      const mismatch = merged.info.courtFaxMismatch;
+      if (mismatch) {
+        progress(`警告: 裁判所FAX ${mismatch.fax} が裁判所名簿「${mismatch.stored.court}」の番号（${mismatch.stored.fax}）と異なります`);
+      }
+      const documentTitle = opts.title || merged.documentTitle;
+      // --title は1件目の送付書類名も置き換える
+      const documents = merged.documents.map((d, i) => (i === 0 ? Object.assign({}, d, { title: documentTitle }) : d));
+      const enclosures = core.buildEnclosureList(documents);
+      enclosures.lines.forEach(line => progress(`送付書類: ${line}`));
+      if (opts.format === 'bundle') {
+        const attachments = group.filter(p => p.toLowerCase().endsWith('.pdf')).map(toFile);
+        const result = await core.generateSofushoBundleBrowser(merged.info, documentTitle, attachments, progress,
+          { documents, lawyer });
+        progress(`送信枚数 ${result.pageCount}枚（送付書を含む）`);
+        await writeOutput(opts.out, result.fileName, result.blob);
+        continue;
+      }
+      if (enclosures.totalPages) progress(`送信枚数 ${enclosures.totalPages}枚（送付書1枚を含む）`);
+      if (opts.format !== 'pdf') {
+        const result = await core.generateDocumentBrowser(merged.info, documentTitle, progress, { templateData, documents, lawyer });
+        await writeOutput(opts.out, result.fileName, result.blob);
+      }
+      if (opts.format !== 'docx') {
+        const result = await core.generateSofushoPdfBrowser(merged.info, documentTitle, progress, { documents, lawyer });
+        await writeOutput(opts.out, result.fileName, result.blob);
+      }
+    } catch (err) {
+      failures++;
+      console.error(`  失敗: ${err.message}`);
+    }
+  }
+  reportCourtFaxReview(core);
+  return failures;
+}
+
+// --template の .docx を読み、差し込み項目の誤り・不足を表示する
+async function loadSofushoTemplate(core, templatePath) {
+  if (!fs.existsSync(templatePath)) throw new CliError(`テンプレートが見つかりません: ${templatePath}`);
+  const data = fs.readFileSync(templatePath);
+  let report;
+  try {
+    report = await core.inspectSofushoTemplate(data);
+  } catch (e) {
+    throw new CliError(`テンプレートを読み込めません: ${templatePath} (${e.message})`);
+  }
+  if (report.placeholders.length === 0) {
+    throw new CliError(`テンプレートに差し込み項目（{{courtName}} など）がありません: ${templatePath}`);
+  }
+  if (report.unknown.length) console.error(`[テンプレート] 知らない差し込み項目（置き換えません）: ${report.unknown.join(', ')}`);
+  if (report.missing.length) console.error(`[テンプレート] テンプレートに無い項目: ${report.missing.join(', ')}`);
+  return data;
+}
+
+// 文書に書かれていた裁判所FAXのうち名簿と異なる・未登録のもの（--courts のCSVにそのまま追加できる形で表示）
+function reportCourtFaxReview(core) {
+  const queue = core.getCourtFaxReviewQueue();
+  if (queue.length === 0) return;
+  console.error('[裁判所名簿] 文書に名簿と異なる・未登録の裁判所FAXがありました（確認のうえ --courts のCSVに追加できます）:');
+  console.error('  裁判所,部・係,FAX,電話,上位裁判所');
+  queue.forEach(item => {
+    const note = item.check.status === 'mismatch' ? `名簿: ${item.check.stored.fax}` : '名簿に番号なし';
+    console.error(`  ${item.court},${item.division},${item.fax},,`);
+    console.error(`    ↑ ${note}（${item.sources.join('、')}）`);
+  });
+}
+
+// =============================================
+// receipt: 受領書
+// =============================================
+async function runReceipt(core, inputs, opts) {
+  const paths = collectInputs(inputs, ['.pdf']);
+  checkDate(core, opts.date, '--date');
+  const lawyer = resolveLawyer(core, opts);
+  console.error(`[受領書] ${paths.length}件（${core.getOcrPoolSize()}件ずつ並行して処理）`);
+  const results = await core.generateReceiptsBrowser(paths.map(toFile), {
+    signerTitle: opts['signer-title'] || (lawyer && lawyer.title) || undefined,
+    signerName: opts.signer || (lawyer && lawyer.name),
+    receiptDate: opts.date,
+  }, (msg, { file }) => progress(`${file.name}: ${msg}`));
+  let failures = 0;
+  for (const { file, result, error } of results) {
+    if (error) {
+      failures++;
+      console.error(`[受領書] ${file.name} 失敗: ${error.message}`);
+    } else {
+      console.error(`[受領書] ${file.name}`);
+      await writeOutput(opts.out, result.fileName, result.blob);
+    }
+  }
+  return failures;
+}
+
+// =============================================
+// evidence: 証拠番号
+// =============================================
+async function runEvidence(core, inputs, opts) {
+  const paths = collectInputs(inputs, ['.pdf']);
+  const party = opts.party;
+  const startNum = parseInt(opts.start, 10);
+  if (isNaN(startNum) || startNum < 1) throw new CliError('--start は1以上の数字を指定してください。');
+  checkDate(core, opts.created, '--created');
+  const subNum = opts.sub ? parseInt(opts.sub, 10) : null;
+  const title = opts.title || '';
+  const stampOpts = {
+    evidenceTitle: title,
+    allPages: opts['all-pages'],
+    onProgress: progress,
+    stampSize: opts.size,
+    stampColor: opts.color,
+    stampBg: !opts['no-bg'],
+    stampBorder: opts.border,
+    addPageNum: opts['page-num'],
+    customX: parseFloat(opts.x),
+    customY: parseFloat(opts.y),
+  };
+  const sheetBase = {
+    title, originalOrCopy: opts.original,
+    createdDate: opts.created, author: opts.author, purpose: opts.purpose,
+  };
+  const sheetEntries = [];
+  let failures = 0;
+
+  if (opts.merge && paths.length > 1) {
+    const evidenceLabel = core.buildEvidenceLabel(party, startNum, null, opts.dai);
+    console.error(`[証拠] ${evidenceLabel} ← ${paths.length}件を結合`);
+    try {
+      const mergedFile = await core.mergePdfs(paths.map(toFile), progress);
+      const result = await core.generateEvidenceBrowser(mergedFile, Object.assign({ evidenceLabel }, stampOpts));
+      const outName = opts.mints
+        ? core.buildMintsFileName(party, startNum, null, title, '1~' + paths.length)
+        : result.fileName;
+      await writeOutput(opts.out, outName, result.blob);
+      sheetEntries.push(Object.assign({
+        label: evidenceLabel + 'の１～' + core.toFullWidthNumber(String(paths.length)),
+      }, sheetBase));
+    } catch (err) {
+      failures++;
+      console.error(`  失敗: ${err.message}`);
+    }
+  } else {
+    for (let i = 0; i < paths.length; i++) {
+      const currentNum = startNum + i;
+      const currentSub = (paths.length === 1 && subNum) ? subNum : null;
+      const evidenceLabel = core.buildEvidenceLabel(party, currentNum, currentSub, opts.dai);
+      console.error(`[証拠] ${path.basename(paths[i])} → ${evidenceLabel}`);
+      try {
+        const result = await core.generateEvidenceBrowser(toFile(paths[i]), Object.assign({ evidenceLabel }, stampOpts));
+        const outName = opts.mints
+          ? core.buildMintsFileName(party, currentNum, currentSub, title, null)
+          : result.fileName;
+        await writeOutput(opts.out, outName, result.blob);
+        sheetEntries.push(Object.assign({ label: evidenceLabel }, sheetBase));
+      } catch (err) {
+        failures++;
+        console.error(`  失敗: ${err.message}`);
+      }
+    }
+  }
+
+  if (opts.sheet && sheetEntries.length > 0) {
+    const sheetBlob = await core.generateEvidenceSheetDocx(sheetEntries, { party });
+    await writeOutput(opts.out, `証拠説明書_${party}号証.docx`, sheetBlob);
+  }
+  return failures;
+}
+
+const COMMANDS = { sofusho: runSofusho, receipt: runReceipt, evidence: runEvidence };
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new CliError(e.message);
+  }
+  const { values: opts, positionals } = parsed;
+  const [command, ...inputs] = positionals;
+  if (opts.help || !command) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new CliError(`不明なコマンドです: ${command}`);
+  if (inputs.length === 0) throw new CliError('ファイルまたはフォルダを指定してください。');
+
+  const sealPath = opts.seal || (fs.existsSync('seal/stamp.png') ? 'seal/stamp.png' : null);
+  setupNodeRuntime({
+    assetDir: ASSET_DIR,
+    config: loadConfig(opts.config),
+    sealPath,
+    fontPath: opts.font,
+  });
+  loadCourts(core, opts.courts);
+  if (!opts.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  if (!opts.json) fs.mkdirSync(opts.out, { recursive: true });
+  try {
+    const failures = await run(core, inputs, opts);
+    return failures > 0 ? 1 : 0;
+  } finally {
+    // OCRワーカー（worker_threads）が残っているとプロセスが終わらない
+    await core.terminateOcrPool();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(err => {
+  if (err instanceof CliError) {
+    console.error(`エラー: ${err.message}`);
+    console.error('tsukurukun --help で使い方を表示します。');
+    process.exitCode = 2;
+  } else {
+    console.error(err);
+    process.exitCode = 1;
+  }
+});
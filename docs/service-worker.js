@@ -2,12 +2,12 @@
  * Service Worker - 自動でつくる君 PWA
  *
  * キャッシュ戦略:
- * - install時: コアファイル（HTML/CSS/JS/フォント/テンプレート）をプリキャッシュ
- * - fetch時: Cache First → Network Fallback（CDNライブラリも含む）
+ * - install時: コアファイル（HTML/CSS/JS/フォント/テンプレート）と同梱ライブラリ（vendor/files.json の一覧）をプリキャッシュ
+ * - fetch時: Cache First → Network Fallback
  * - update時: 新バージョンをバックグラウンドインストール → 次回起動で反映
  */
 
-const CACHE_VERSION = 'tsukurukun-v1';
+const CACHE_VERSION = 'tsukurukun-v2';
 
 // プリキャッシュ対象（アプリの核となるファイル）
 const PRECACHE_URLS = [
@@ -21,15 +21,8 @@ const PRECACHE_URLS = [
   './template/文書送付書.doc.docx',
 ];
 
-// CDNライブラリ（ランタイムキャッシュ）
-const CDN_URLS = [
-  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
-  'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js',
-  'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/dist/pdf-lib.min.js',
-  'https://cdn.jsdelivr.net/npm/@pdf-lib/fontkit@1.1.1/dist/fontkit.umd.min.js',
-  'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
-];
+// 同梱ライブラリ（pdf.js・Tesseract.js・言語データ等）の一覧。npm run vendor が書き出す
+const VENDOR_FILE_LIST = './vendor/files.json';
 
 // ===== Install: プリキャッシュ =====
 self.addEventListener('install', event => {
@@ -37,12 +30,12 @@ self.addEventListener('install', event => {
     caches.open(CACHE_VERSION).then(cache => {
       console.log('[SW] Pre-caching core assets');
       // コアファイルを先にキャッシュ（失敗してもインストールは続行）
-      return cache.addAll(PRECACHE_URLS).then(() => {
-        // CDNライブラリも可能な限りキャッシュ
-        return Promise.allSettled(
-          CDN_URLS.map(url => cache.add(url).catch(e => console.warn('[SW] CDN cache skip:', url, e)))
-        );
-      });
+      return cache.addAll(PRECACHE_URLS).then(() =>
+        fetch(VENDOR_FILE_LIST)
+          .then(res => res.json())
+          .then(files => cache.addAll([VENDOR_FILE_LIST].concat(files.map(f => './' + f))))
+          .catch(e => console.warn('[SW] vendor cache skip:', e))
+      );
     }).then(() => self.skipWaiting())
   );
 });
@@ -68,14 +61,6 @@ self.addEventListener('fetch', event => {
   // POST等はスキップ
   if (request.method !== 'GET') return;
 
-  // Tesseract workerやOCRデータはネットワーク優先（大きいので初回のみ）
-  const url = new URL(request.url);
-  if (url.pathname.includes('tesseract') && url.pathname.includes('worker')) {
-    event.respondWith(networkFirstStrategy(request));
-    return;
-  }
-
-  // それ以外は Cache First
   event.respondWith(cacheFirstStrategy(request));
 });
 
@@ -98,17 +83,3 @@ async function cacheFirstStrategy(request) {
     });
   }
 }
-
-async function networkFirstStrategy(request) {
-  try {
-    const response = await fetch(request);
-    if (response.ok) {
-      const cache = await caches.open(CACHE_VERSION);
-      cache.put(request, response.clone());
-    }
-    return response;
-  } catch (e) {
-    const cached = await caches.match(request);
-    return cached || new Response('', { status: 503 });
-  }
-}
@@ -0,0 +1,97 @@
+/**
+ * ブラウザ版のビルド
+ *
+ * src/ の共通ソースから、3つの配布フォルダ（docs/・HTML版/・アプリ版/app/）の
+ * app.js・index.html・style.css（PWA版は manifest.json・service-worker.js も）を生成する。
+ *
+ *   npm run build          生成して書き込む
+ *   npm run build:check    生成結果と配布フォルダの内容が一致するか確認のみ（不一致なら終了コード1）
+ */
+
+import { build } from 'esbuild';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WEB = path.join(ROOT, 'src/web');
+
+const TARGETS = [
+  { dir: 'docs', bootstrap: 'pwa.html', pwa: true },
+  { dir: 'HTML版', bootstrap: 'pwa.html', pwa: true },
+  { dir: 'アプリ版/app', bootstrap: 'electron.html', pwa: false },
+];
+
+const BANNER = `/**
+ * 文書送付書・受領書 自動でつくる君 - 統合ブラウザ版
+ *
+ * pdf.js + Tesseract.js + JSZip + pdf-lib で全てブラウザ内で処理。
+ * サーバー不要・インストール不要。
+ *
+ * このファイルは src/ から scripts/build.mjs で生成されます。直接編集しないでください。
+ */`;
+
+async function bundleApp() {
+  const result = await build({
+    entryPoints: [path.join(ROOT, 'src/browser.js')],
+    bundle: true,
+    format: 'iife',
+    target: 'es2020',
+    charset: 'utf8',
+    legalComments: 'none',
+    banner: { js: BANNER },
+    write: false,
+  });
+  return result.outputFiles[0].text;
+}
+
+async function renderIndexHtml(bootstrapName) {
+  const html = await readFile(path.join(WEB, 'index.html'), 'utf8');
+  const bootstrap = await readFile(path.join(WEB, 'bootstrap', bootstrapName), 'utf8');
+  return html.replace('  <!-- @bootstrap -->\n', bootstrap);
+}
+
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+  const appJs = await bundleApp();
+  const styleCss = await readFile(path.join(WEB, 'style.css'), 'utf8');
+  const manifest = await readFile(path.join(WEB, 'manifest.json'), 'utf8');
+  const serviceWorker = await readFile(path.join(WEB, 'service-worker.js'), 'utf8');
+
+  const outputs = [];
+  for (const target of TARGETS) {
+    const dir = path.join(ROOT, target.dir);
+    outputs.push([path.join(dir, 'app.js'), appJs]);
+    outputs.push([path.join(dir, 'style.css'), styleCss]);
+    outputs.push([path.join(dir, 'index.html'), await renderIndexHtml(target.bootstrap)]);
+    if (target.pwa) {
+      outputs.push([path.join(dir, 'manifest.json'), manifest]);
+      outputs.push([path.join(dir, 'service-worker.js'), serviceWorker]);
+    }
+  }
+
+  const stale = [];
+  for (const [file, content] of outputs) {
+    let current = null;
+    try { current = await readFile(file, 'utf8'); } catch (e) { /* 未生成 */ }
+    if (current === content) continue;
+    stale.push(path.relative(ROOT, file));
+    if (!checkOnly) await writeFile(file, content);
+  }
+
+  if (checkOnly) {
+    if (stale.length) {
+      console.error('src/ と一致しない生成ファイルがあります（npm run build を実行してください）:');
+      stale.forEach(f => console.error('  ' + f));
+      process.exit(1);
+    }
+    console.log('生成ファイルは最新です');
+  } else {
+    console.log(stale.length ? '更新: ' + stale.join(', ') : '変更なし');
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
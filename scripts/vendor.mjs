@@ -0,0 +1,105 @@
+/**
+ * 同梱ライブラリのコピー
+ *
+ * src/vendor-assets.js の一覧にあるファイル（pdf.js・cMap・Tesseract.js とコア・日本語言語データ・pdf-lib・
+ * fontkit・JSZip）を node_modules から3つの配布フォルダ（docs/・HTML版/・アプリ版/app/）の vendor/ にコピーし、
+ * Service Worker がプリキャッシュする一覧（vendor/files.json）を書き出す。
+ *
+ *   npm run vendor          コピーする
+ *   npm run vendor:check    配布フォルダの vendor/ が node_modules と一致するか確認のみ（不一致なら終了コード1）
+ */
+
+import { readFile, writeFile, mkdir, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { VENDOR_ASSETS } from '../src/vendor-assets.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const NODE_MODULES = path.join(ROOT, 'node_modules');
+const TARGET_DIRS = ['docs', 'HTML版', 'アプリ版/app'];
+const FILE_LIST = 'vendor/files.json';
+
+// 一覧の各項目を [配布フォルダからの場所, コピー元] に展開する（フォルダは中のファイルごと）
+async function expandAssets() {
+  const files = [];
+  const missing = [];
+  for (const asset of VENDOR_ASSETS) {
+    const source = path.join(NODE_MODULES, asset.from);
+    if (!asset.dir) {
+      files.push([asset.path, source]);
+      continue;
+    }
+    let names;
+    try {
+      names = (await readdir(source)).sort();
+    } catch (e) {
+      missing.push(asset.from);
+      continue;
+    }
+    names.forEach(name => files.push([asset.path + name, path.join(source, name)]));
+  }
+  return { files, missing };
+}
+
+async function readOrNull(file) {
+  try { return await readFile(file); } catch (e) { return null; }
+}
+
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+  const { files, missing } = await expandAssets();
+  const copied = [];
+  const stale = [];
+  for (const [rel, source] of files) {
+    const data = await readOrNull(source);
+    if (!data) {
+      missing.push(path.relative(NODE_MODULES, source));
+      continue;
+    }
+    copied.push(rel);
+    for (const dir of TARGET_DIRS) {
+      const dest = path.join(ROOT, dir, rel);
+      const current = await readOrNull(dest);
+      if (current && current.equals(data)) continue;
+      stale.push(path.join(dir, rel));
+      if (!checkOnly) {
+        await mkdir(path.dirname(dest), { recursive: true });
+        await writeFile(dest, data);
+      }
+    }
+  }
+  // 無かったファイルは一覧に入れない（Service Worker のプリキャッシュが丸ごと失敗するため）
+  const fileList = Buffer.from(JSON.stringify(copied, null, 2) + '\n');
+  for (const dir of TARGET_DIRS) {
+    const dest = path.join(ROOT, dir, FILE_LIST);
+    const current = await readOrNull(dest);
+    if (current && current.equals(fileList)) continue;
+    stale.push(path.join(dir, FILE_LIST));
+    if (!checkOnly) {
+      await mkdir(path.dirname(dest), { recursive: true });
+      await writeFile(dest, fileList);
+    }
+  }
+
+  if (missing.length) {
+    console.error('node_modules にありません（npm install を実行してください）:');
+    missing.forEach(f => console.error('  ' + f));
+  }
+  if (checkOnly) {
+    if (stale.length) {
+      console.error('node_modules と一致しない同梱ファイルがあります（npm run vendor を実行してください）:');
+      stale.forEach(f => console.error('  ' + f));
+    } else if (!missing.length) {
+      console.log('同梱ファイルは最新です');
+    }
+    if (stale.length || missing.length) process.exit(1);
+    return;
+  }
+  console.log(stale.length ? `更新: ${stale.length}ファイル` : '変更なし');
+  if (missing.length) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
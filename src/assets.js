@@ -0,0 +1,115 @@
+/**
+ * フォント・テンプレートの読み込み（IndexedDBキャッシュ + ローカル + CDN）
+ */
+
+import { runtime } from './runtime.js';
+
+// --- IndexedDBキャッシュ（フォント・テンプレート用）---
+async function _idbGet(storeName, key) {
+  if (!runtime.indexedDB) return null;
+  return new Promise(resolve => {
+    try {
+      const req = runtime.indexedDB.open('tsukurukun_cache', 1);
+      req.onupgradeneeded = e => {
+        const db = e.target.result;
+        ['fonts', 'templates'].forEach(s => {
+          if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
+        });
+      };
+      req.onsuccess = () => {
+        try {
+          const g = req.result.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+          g.onsuccess = () => resolve(g.result || null);
+          g.onerror = () => resolve(null);
+        } catch (e) { resolve(null); }
+      };
+      req.onerror = () => resolve(null);
+    } catch (e) { resolve(null); }
+  });
+}
+
+async function _idbPut(storeName, key, value) {
+  if (!runtime.indexedDB) return;
+  try {
+    const req = runtime.indexedDB.open('tsukurukun_cache', 1);
+    req.onupgradeneeded = e => {
+      const db = e.target.result;
+      ['fonts', 'templates'].forEach(s => {
+        if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
+      });
+    };
+    req.onsuccess = () => {
+      try { req.result.transaction(storeName, 'readwrite').objectStore(storeName).put(value, key); }
+      catch (e) { /* ignore */ }
+    };
+  } catch (e) { /* ignore */ }
+}
+
+// --- 日本語フォント読み込み（IndexedDBキャッシュ + CDN + ファイル選択フォールバック）---
+let _cachedFontBytes = null;
+export async function loadJapaneseFont() {
+  if (_cachedFontBytes) return _cachedFontBytes;
+
+  // 1. IndexedDBキャッシュ
+  const cached = await _idbGet('fonts', 'NotoSerifJP');
+  if (cached) {
+    console.log('[フォント] IndexedDBキャッシュから読み込み');
+    _cachedFontBytes = cached;
+    return _cachedFontBytes;
+  }
+
+  // 2. fetch（ローカル → CDN）
+  const urls = [
+    'fonts/NotoSerifJP.ttf',
+    'https://cdn.jsdelivr.net/gh/Rachmaninovpiano/bunsho-sofusho-juryosho-auto@master/docs/fonts/NotoSerifJP.ttf',
+  ];
+  for (const url of urls) {
+    try {
+      console.log('[フォント] 読み込み試行:', url);
+      const resp = await runtime.fetch(url);
+      if (resp.ok) {
+        _cachedFontBytes = await resp.arrayBuffer();
+        console.log('[フォント] 読み込み成功:', url, _cachedFontBytes.byteLength, 'bytes');
+        await _idbPut('fonts', 'NotoSerifJP', _cachedFontBytes);
+        return _cachedFontBytes;
+      }
+    } catch (e) {
+      console.warn('[フォント] 読み込み失敗:', url, e.message);
+      continue;
+    }
+  }
+
+  // 3. ファイル選択ダイアログ（file://プロトコル用）
+  if (!runtime.pickFontFile) {
+    throw new Error('日本語フォント（fonts/NotoSerifJP.ttf）の読み込みに失敗しました');
+  }
+  _cachedFontBytes = await runtime.pickFontFile();
+  await _idbPut('fonts', 'NotoSerifJP', _cachedFontBytes);
+  console.log('[フォント] ファイル選択で読み込み成功、キャッシュ保存');
+  return _cachedFontBytes;
+}
+
+// --- テンプレート読み込み（CDNフォールバック + キャッシュ）---
+export async function loadTemplate(localPath, cdnPath, cacheKey) {
+  // 1. IndexedDBキャッシュ
+  const cached = await _idbGet('templates', cacheKey);
+  if (cached) {
+    console.log('[テンプレート] キャッシュから読み込み:', cacheKey);
+    return cached;
+  }
+  // 2. fetch（ローカル → CDN）
+  const urls = [localPath];
+  if (cdnPath) urls.push(cdnPath);
+  for (const url of urls) {
+    try {
+      const resp = await runtime.fetch(url);
+      if (resp.ok) {
+        const data = await resp.arrayBuffer();
+        await _idbPut('templates', cacheKey, data);
+        console.log('[テンプレート] 読み込み成功:', url);
+        return data;
+      }
+    } catch (e) { continue; }
+  }
+  throw new Error('テンプレートの読み込みに失敗しました: ' + cacheKey);
+}
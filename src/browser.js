@@ -0,0 +1,78 @@
+/**
+ * ブラウザ版エントリーポイント
+ *
+ * index.html で読み込んだ同梱ライブラリ（vendor/ のグローバル変数）を runtime に設定し、UIを起動する。
+ * アプリ版は事務所共通の設定ファイルを読み込んでから起動する。
+ * scripts/build.mjs がこのファイルを起点に app.js（IIFE）を生成する。
+ */
+
+import { configureRuntime, applyOfficeConfig } from './index.js';
+import { startApp } from './ui/controller.js';
+
+// フォントの自動読み込みに失敗した場合（file:// 等）はユーザーに選択してもらう
+function pickFontFile() {
+  return new Promise((resolve, reject) => {
+    alert('フォントの自動読み込みに失敗しました。\n\nfonts/NotoSerifJP.ttf を手動で選択してください。\n（一度選択すると次回以降はキャッシュされます）');
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.ttf,.otf';
+    input.onchange = async () => {
+      if (!input.files[0]) { reject(new Error('フォントが選択されませんでした')); return; }
+      resolve(await input.files[0].arrayBuffer());
+    };
+    input.click();
+  });
+}
+
+// Tesseract.js のワーカーは Blob URL から importScripts するので、同梱ファイルは絶対URLで渡す
+const vendorUrl = relPath => new URL(relPath, document.baseURI).href;
+
+configureRuntime({
+  pdfjsLib: window.pdfjsLib,
+  PDFLib: window.PDFLib,
+  fontkit: window.fontkit,
+  JSZip: window.JSZip,
+  Tesseract: window.Tesseract,
+  cmapUrl: vendorUrl('vendor/pdfjs/cmaps/'),
+  tesseractOptions: {
+    workerPath: vendorUrl('vendor/tesseract/worker.min.js'),
+    corePath: vendorUrl('vendor/tesseract/core/'),
+    langPath: vendorUrl('vendor/tessdata/'),
+  },
+  storage: window.localStorage,
+  indexedDB: window.indexedDB || null,
+  crypto: window.crypto || null,
+  ocrConcurrency: window.navigator.hardwareConcurrency || 1,
+  createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('画像を読み込めません'));
+      image.src = src;
+    });
+  },
+  pickFontFile,
+});
+
+// アプリ版: 共有フォルダの事務所共通の設定を下に敷く（読めなくても端末の設定だけで起動する）
+async function loadOfficeConfig() {
+  try {
+    const result = await window.electronAPI.readOfficeConfig();
+    if (result && result.text) applyOfficeConfig(result.text);
+    else if (result && result.error) console.warn('[事務所共通の設定] 読み込めません:', result.path, result.error);
+  } catch (e) {
+    console.warn('[事務所共通の設定] 読み込めません:', e);
+  }
+}
+
+if (window.electronAPI && window.electronAPI.readOfficeConfig) {
+  loadOfficeConfig().then(startApp);
+} else {
+  startApp();
+}
@@ -0,0 +1,306 @@
+/**
+ * 事件台帳 - 事件番号＋裁判所ごとに、確認済みの当事者・代理人・FAX番号を保存する
+ *
+ * 送付書の確認画面で確定した値を保存し、同じ事件番号が再び抽出されたときに
+ * 保存した値で補う（または上書きする）。
+ * IndexedDB（tsukurukun_data / cases）に保存する。IndexedDB が無い環境（CLI）ではメモリ上だけに持つ。
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig } from './config.js';
+import { openDataDatabase, idbRequest } from './idb.js';
+import { splitCourtName } from './court-directory.js';
+import { PATTERN_CONFIDENCE, extractInfoFromText } from './extract-info.js';
+import { findLawyerByName } from './lawyers.js';
+import { ERA_PATTERN, toHalfWidthDigits, parseJapaneseNumber } from './wareki.js';
+
+const STORE = 'cases';
+
+/** 事件台帳に保存する項目（ownLawyer は自事務所の担当弁護士の氏名） */
+export const CASE_FIELDS = [
+  'courtName', 'courtFax', 'caseNumber', 'caseName',
+  'plaintiffName', 'defendantName', 'plaintiffLawyer', 'plaintiffLawyerFax', 'ownLawyer',
+];
+
+// --- 保存先（IndexedDB / メモリ）---
+
+const memoryCases = new Map();
+
+async function getAllRecords() {
+  if (!runtime.indexedDB) return [...memoryCases.values()].map(r => Object.assign({}, r));
+  return idbRequest(openDataDatabase(), STORE, 'readonly', store => store.getAll());
+}
+
+async function putRecord(record) {
+  if (!runtime.indexedDB) { memoryCases.set(record.key, Object.assign({}, record)); return; }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.put(record));
+}
+
+async function deleteRecord(key) {
+  if (!runtime.indexedDB) { memoryCases.delete(key); return; }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.delete(key));
+}
+
+// --- キー ---
+
+const CASE_NUMBER_PATTERN = new RegExp(`(${ERA_PATTERN})(元|[0-9〇一二三四五六七八九十百]+)年\\(([^)]+)\\)第?([0-9〇一二三四五六七八九十百千]+)号`);
+
+/**
+ * 事件番号の表記をそろえる（全角→半角・漢数字・空白除去・括弧・「元年」）。
+ * 例: 「令和元年（ワ）第 ０１２号」→「令和1年(ワ)第12号」、「平成三十年(ネ)第五号」→「平成30年(ネ)第5号」
+ *
+ * @param {string} caseNumber
+ * @returns {string} 事件番号として読めない場合は空白を除いた文字列
+ */
+export function normalizeCaseNumber(caseNumber) {
+  const s = toHalfWidthDigits(String(caseNumber || ''))
+    .replace(/\s+/g, '')
+    .replace(/（/g, '(')
+    .replace(/）/g, ')');
+  const m = s.match(CASE_NUMBER_PATTERN);
+  if (!m) return s;
+  return `${m[1]}${parseJapaneseNumber(m[2])}年(${m[3]})第${parseJapaneseNumber(m[4])}号`;
+}
+
+/**
+ * 事件台帳のキー（正規化した事件番号＋庁。部・係は含めない）。
+ * @param {string} caseNumber
+ * @param {string} [courtName]
+ * @returns {string} 事件番号が空なら空文字
+ */
+export function caseKey(caseNumber, courtName) {
+  const number = normalizeCaseNumber(caseNumber);
+  if (!number) return '';
+  return number + '|' + (courtName ? splitCourtName(courtName).court : '');
+}
+
+function numberPart(key) {
+  return key.split('|')[0];
+}
+
+function courtPart(key) {
+  return key.split('|')[1] || '';
+}
+
+function matchesKey(record, key) {
+  return record.key === key || (record.aliases || []).includes(key);
+}
+
+// --- 検索・保存 ---
+
+/**
+ * 事件台帳の全件（更新日の新しい順）。
+ * @returns {Promise<Object[]>}
+ */
+export async function listCases() {
+  const records = await getAllRecords();
+  return records.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * 事件番号（＋裁判所）で事件台帳を引く。
+ * 裁判所が分からない・台帳側に裁判所が無い場合は、同じ事件番号の事件が1件だけなら返す。
+ *
+ * @param {string} caseNumber
+ * @param {string} [courtName]
+ * @returns {Promise<Object|null>}
+ */
+export async function findCase(caseNumber, courtName) {
+  const key = caseKey(caseNumber, courtName);
+  if (!key) return null;
+  const records = await getAllRecords();
+  const exact = records.find(r => matchesKey(r, key));
+  if (exact) return exact;
+  const court = courtPart(key);
+  const sameNumber = records.filter(r => numberPart(r.key) === numberPart(key) &&
+    (!court || !courtPart(r.key)));
+  return sameNumber.length === 1 ? sameNumber[0] : null;
+}
+
+/**
+ * 文書の文字（受領書の OCR 結果など）から事件番号・裁判所を抽出し、事件台帳の担当弁護士を返す。
+ * 事件が台帳に無い・担当弁護士が未設定・その弁護士が登録されていない場合は null。
+ *
+ * @param {string} text
+ * @returns {Promise<Object|null>} lawyers.js の弁護士
+ */
+export async function findCaseLawyer(text) {
+  const info = extractInfoFromText(text);
+  if (!info.caseNumber) return null;
+  const record = await findCase(info.caseNumber, info.courtName);
+  return record && record.ownLawyer ? findLawyerByName(record.ownLawyer) : null;
+}
+
+function pickFields(values) {
+  const out = {};
+  for (const field of CASE_FIELDS) out[field] = String(values[field] || '').trim();
+  return out;
+}
+
+/**
+ * 確認画面で確定した値を保存する。既存の事件は空でない項目だけを更新する。
+ *
+ * @param {Object} values CASE_FIELDS の値（caseNumber 必須）
+ * @returns {Promise<Object>} 保存した記録
+ */
+export async function saveCase(values) {
+  const fields = pickFields(values);
+  const key = caseKey(fields.caseNumber, fields.courtName);
+  if (!key) throw new Error('事件番号が空のため事件台帳に保存できません');
+  const now = new Date().toISOString();
+  const existing = await findCase(fields.caseNumber, fields.courtName);
+  const record = existing
+    ? Object.assign({}, existing)
+    : { key, createdAt: now, useCount: 0, aliases: [] };
+  for (const field of CASE_FIELDS) {
+    if (fields[field]) record[field] = fields[field];
+    else if (record[field] === undefined) record[field] = '';
+  }
+  // 裁判所なしで保存していた事件に裁判所が分かったらキーを付け替える（元のキーは別名として残す）
+  if (existing && existing.key !== key && !courtPart(existing.key) && courtPart(key)) {
+    await deleteRecord(existing.key);
+    record.key = key;
+    record.aliases = (existing.aliases || []).concat(existing.key);
+  }
+  record.useCount = (record.useCount || 0) + 1;
+  record.updatedAt = now;
+  await putRecord(record);
+  return record;
+}
+
+/**
+ * 事件台帳の画面で編集した内容で置き換える（空欄にした項目は空になる）。
+ * 事件番号・裁判所を変えた場合はキーを付け替え、元のキーは別名として残す。
+ *
+ * @param {string} key
+ * @param {Object} values
+ * @returns {Promise<Object>}
+ */
+export async function updateCase(key, values) {
+  const records = await getAllRecords();
+  const current = records.find(r => r.key === key);
+  if (!current) throw new Error('事件台帳に見つかりません: ' + key);
+  const fields = pickFields(values);
+  const newKey = caseKey(fields.caseNumber, fields.courtName);
+  if (!newKey) throw new Error('事件番号を入力してください');
+  const record = Object.assign({}, current, fields, { updatedAt: new Date().toISOString() });
+  if (newKey !== key) {
+    if (records.some(r => r.key !== key && matchesKey(r, newKey))) {
+      throw new Error('同じ事件番号・裁判所の事件が既にあります。統合してください');
+    }
+    await deleteRecord(key);
+    record.key = newKey;
+    record.aliases = (current.aliases || []).filter(a => a !== newKey).concat(key);
+  }
+  await putRecord(record);
+  return record;
+}
+
+/**
+ * 事件を削除する。
+ * @param {string} key
+ */
+export async function deleteCase(key) {
+  await deleteRecord(key);
+}
+
+/** 事件台帳を空にする。 */
+export async function clearCases() {
+  for (const record of await getAllRecords()) await deleteRecord(record.key);
+}
+
+/**
+ * 複数の事件を1件に統合する（表記ゆれで別々に保存された同じ事件など）。
+ * target の空欄を他の事件の値（更新日の新しい順）で補い、他の事件のキーは別名として引き継ぐ。
+ *
+ * @param {string} targetKey 残す事件
+ * @param {string[]} sourceKeys 統合して削除する事件
+ * @returns {Promise<Object>} 統合後の記録
+ */
+export async function mergeCases(targetKey, sourceKeys) {
+  const records = await getAllRecords();
+  const target = records.find(r => r.key === targetKey);
+  if (!target) throw new Error('事件台帳に見つかりません: ' + targetKey);
+  const sources = records
+    .filter(r => r.key !== targetKey && sourceKeys.includes(r.key))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  const merged = Object.assign({}, target);
+  const aliases = new Set(target.aliases || []);
+  for (const source of sources) {
+    for (const field of CASE_FIELDS) {
+      if (!merged[field] && source[field]) merged[field] = source[field];
+    }
+    aliases.add(source.key);
+    (source.aliases || []).forEach(a => aliases.add(a));
+    merged.useCount = (merged.useCount || 0) + (source.useCount || 0);
+    await deleteRecord(source.key);
+  }
+  aliases.delete(merged.key);
+  merged.aliases = [...aliases];
+  merged.updatedAt = new Date().toISOString();
+  await putRecord(merged);
+  return merged;
+}
+
+// --- 抽出結果への反映 ---
+
+/**
+ * 事件台帳の値を抽出結果に反映した新しい info を返す（元の info は変更しない）。
+ *
+ * mode 'override' は台帳の値を採用し、'prefill' は抽出できなかった項目だけを補う。
+ * どちらの場合も、採用しなかった値は候補（candidates）に残す。
+ * 反映した項目の fieldMeta は pattern 'caseRegistry'（caseRecord に台帳のキー）になり、
+ * info.caseRecord に { key, applied: [項目], mode, updatedAt } を入れる。
+ *
+ * @param {Object} info 抽出結果
+ * @param {Object} record 事件台帳の記録
+ * @param {'override'|'prefill'} [mode]
+ * @returns {Object}
+ */
+export function applyCaseRecord(info, record, mode = 'override') {
+  const out = Object.assign({}, info, {
+    fieldMeta: Object.assign({}, info.fieldMeta),
+    candidates: Object.assign({}, info.candidates),
+  });
+  const meta = {
+    confidence: PATTERN_CONFIDENCE.caseRegistry,
+    pattern: 'caseRegistry',
+    span: null,
+    snippet: null,
+    caseRecord: record.key,
+  };
+  const applied = [];
+  for (const field of CASE_FIELDS) {
+    const stored = record[field];
+    if (field === 'caseNumber' || !stored || info[field] === stored) continue;
+    const others = (out.candidates[field] || []).filter(c => c.value !== stored);
+    const candidate = Object.assign({ value: stored }, meta);
+    if (!info[field] || mode === 'override') {
+      out[field] = stored;
+      out.fieldMeta[field] = meta;
+      out.candidates[field] = [candidate].concat(others);
+      applied.push(field);
+    } else {
+      out.candidates[field] = others.slice(0, 1).concat(candidate, others.slice(1));
+    }
+  }
+  if (applied.includes('courtFax')) delete out.courtFaxMismatch;
+  out.caseRecord = { key: record.key, applied, mode, updatedAt: record.updatedAt };
+  return out;
+}
+
+/**
+ * 抽出結果の事件番号で事件台帳を引き、見つかれば applyCaseRecord で反映する。
+ *
+ * @param {Object} info 抽出結果
+ * @param {Object} [options]
+ * @param {'override'|'prefill'} [options.mode] 省略時は事務所設定の caseRegistryMode（既定 'override'）
+ * @returns {Promise<Object>} 反映後の info（台帳に無ければ元の info）
+ */
+export async function applyCaseRegistry(info, options = {}) {
+  if (!info.caseNumber) return info;
+  const record = await findCase(info.caseNumber, info.courtName);
+  if (!record) return info;
+  const mode = options.mode || getConfig().caseRegistryMode || 'override';
+  return applyCaseRecord(info, record, mode);
+}
@@ -0,0 +1,94 @@
+/**
+ * 共通設定 - 事務所設定・印鑑・日付
+ *
+ * 裁判所のFAX番号は裁判所名簿（court-directory.js）で管理する。
+ * 事務所設定と印鑑は secure-store.js の保存先に置く（暗号化していればロック中は読めない）。
+ * アプリ版で事務所共通の設定ファイルを読んだときは、それを下に敷き、この端末の設定を上に重ねる
+ * （保存するのは事務所共通の設定と違う項目だけ）。
+ */
+
+import { secureStorage } from './secure-store.js';
+import { toWareki } from './wareki.js';
+
+const CONFIG_KEY = 'tsukurukun_config';
+const SEAL_KEY = 'tsukurukun_seal';
+
+// 事務所共通の設定（settings-bundle.js の applyOfficeConfig が設定する）
+let officeConfig = {};
+
+/**
+ * 事務所設定（officeName, signerName, lawyerNames, faxNumbers, lawyers, defaultLawyerId, caseRegistryMode,
+ * sofushoTemplateId, sofushoOutputFormat, ocrCacheMode）を返す。弁護士ごとの設定（lawyers）は lawyers.js で扱う。
+ * @returns {Object}
+ */
+export function getConfig() {
+  return Object.assign({}, officeConfig, getLocalConfig());
+}
+
+/**
+ * この端末の事務所設定（事務所共通の設定を重ねる前）。
+ * @returns {Object}
+ */
+export function getLocalConfig() {
+  try {
+    return JSON.parse(secureStorage.getItem(CONFIG_KEY) || '{}');
+  } catch (e) { return {}; }
+}
+
+/**
+ * 事務所設定を保存する（暗号化していてロック中ならエラー）。事務所共通の設定と同じ項目は保存しない。
+ * @param {Object} config
+ */
+export function saveConfig(config) {
+  const local = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (JSON.stringify(value) !== JSON.stringify(officeConfig[key])) local[key] = value;
+  }
+  secureStorage.setItem(CONFIG_KEY, JSON.stringify(local));
+}
+
+/**
+ * 事務所共通の設定（アプリ版で共有フォルダから読んだもの。無ければ空）。
+ * @returns {Object}
+ */
+export function getOfficeConfig() {
+  return Object.assign({}, officeConfig);
+}
+
+/**
+ * 事務所共通の設定を下に敷く（null で外す）。
+ * @param {Object|null} config
+ */
+export function setOfficeConfig(config) {
+  officeConfig = Object.assign({}, config || {});
+}
+
+/**
+ * 以前の1つだけの印鑑画像（data URL）を返す。未設定なら null。
+ * 今は印影を seal.js で弁護士・種類ごとに登録し、これは最初に読むときに seal.js へ移す（CLI の --seal もここに入れる）。
+ * @returns {string|null}
+ */
+export function getSeal() {
+  return secureStorage.getItem(SEAL_KEY);
+}
+
+/** @param {string} dataUrl 印鑑画像の data URL（PNG/JPEG） */
+export function saveSeal(dataUrl) {
+  secureStorage.setItem(SEAL_KEY, dataUrl);
+}
+
+export function removeSeal() {
+  secureStorage.removeItem(SEAL_KEY);
+}
+
+export function toFullWidthNumber(str) {
+  return str.replace(/[0-9]/g, c => String.fromCharCode(c.charCodeAt(0) + 0xFEE0));
+}
+
+/**
+ * 今日の日付を和暦で返す（元号の境目は wareki.js で判定する）。
+ * @returns {{era: string, year: number, month: number, day: number}}
+ */
+export function getTodayReiwa() {
+  return toWareki(new Date());
+}
@@ -0,0 +1,123 @@
+/**
+ * 裁判所名簿の同梱データ（高等・地方・家庭裁判所と支部）
+ *
+ * FAX・電話番号は確認済みのものだけを入れている（旧 COURT_FAX_MAP の19件）。
+ * それ以外は空欄なので、事務所で使う裁判所は設定の「裁判所名簿」から追加・修正するか、
+ * CSV/JSON でまとめて取り込む。簡易裁判所は同梱していない（必要な庁を追加する）。
+ */
+
+// 高等裁判所と支部: [名称, 上位裁判所]
+const HIGH_COURTS = [
+  ['東京高等裁判所', null],
+  ['知的財産高等裁判所', '東京高等裁判所'],
+  ['大阪高等裁判所', null],
+  ['名古屋高等裁判所', null],
+  ['名古屋高等裁判所金沢支部', '名古屋高等裁判所'],
+  ['広島高等裁判所', null],
+  ['広島高等裁判所岡山支部', '広島高等裁判所'],
+  ['広島高等裁判所松江支部', '広島高等裁判所'],
+  ['福岡高等裁判所', null],
+  ['福岡高等裁判所宮崎支部', '福岡高等裁判所'],
+  ['福岡高等裁判所那覇支部', '福岡高等裁判所'],
+  ['仙台高等裁判所', null],
+  ['仙台高等裁判所秋田支部', '仙台高等裁判所'],
+  ['札幌高等裁判所', null],
+  ['高松高等裁判所', null],
+];
+
+// 地方裁判所・家庭裁判所の本庁所在地と支部（地裁・家裁で共通）
+const DISTRICTS = [
+  ['東京', ['立川']],
+  ['横浜', ['川崎', '相模原', '横須賀', '小田原']],
+  ['さいたま', ['越谷', '川越', '熊谷', '秩父']],
+  ['千葉', ['佐倉', '一宮', '松戸', '木更津', '館山', '八日市場', '佐原']],
+  ['水戸', ['日立', '土浦', '龍ケ崎', '麻生', '下妻']],
+  ['宇都宮', ['真岡', '大田原', '栃木', '足利']],
+  ['前橋', ['高崎', '桐生', '太田', '沼田']],
+  ['静岡', ['沼津', '富士', '下田', '浜松', '掛川']],
+  ['甲府', ['都留']],
+  ['長野', ['上田', '佐久', '松本', '諏訪', '飯田', '伊那']],
+  ['新潟', ['三条', '新発田', '長岡', '高田', '佐渡']],
+  ['大阪', ['堺', '岸和田']],
+  ['京都', ['園部', '宮津', '舞鶴', '福知山']],
+  ['神戸', ['尼崎', '明石', '柏原', '姫路', '社', '龍野', '豊岡', '洲本', '伊丹']],
+  ['奈良', ['葛城', '五條']],
+  ['大津', ['彦根', '長浜']],
+  ['和歌山', ['田辺', '御坊', '新宮']],
+  ['名古屋', ['一宮', '半田', '岡崎', '豊橋']],
+  ['津', ['松阪', '伊賀', '四日市', '伊勢', '熊野']],
+  ['岐阜', ['大垣', '多治見', '御嵩', '高山']],
+  ['福井', ['武生', '敦賀']],
+  ['金沢', ['小松', '七尾', '輪島']],
+  ['富山', ['魚津', '高岡']],
+  ['広島', ['呉', '尾道', '福山', '三次']],
+  ['山口', ['岩国', '周南', '萩', '下関', '宇部', '船木']],
+  ['岡山', ['倉敷', '新見', '津山']],
+  ['鳥取', ['倉吉', '米子']],
+  ['松江', ['出雲', '浜田', '益田', '西郷']],
+  ['福岡', ['飯塚', '直方', '久留米', '柳川', '大牟田', '八女', '小倉', '行橋', '田川']],
+  ['佐賀', ['武雄', '唐津']],
+  ['長崎', ['大村', '島原', '佐世保', '平戸', '壱岐', '五島', '厳原']],
+  ['大分', ['杵築', '佐伯', '竹田', '中津', '日田']],
+  ['熊本', ['玉名', '山鹿', '阿蘇', '八代', '人吉', '天草']],
+  ['鹿児島', ['名瀬', '加治木', '知覧', '川内', '鹿屋']],
+  ['宮崎', ['日南', '都城', '延岡']],
+  ['那覇', ['名護', '平良', '石垣', '沖縄']],
+  ['仙台', ['大河原', '古川', '石巻', '登米', '気仙沼']],
+  ['福島', ['相馬', '郡山', '白河', '会津若松', 'いわき']],
+  ['山形', ['新庄', '米沢', '鶴岡', '酒田']],
+  ['盛岡', ['花巻', '二戸', '遠野', '宮古', '一関', '水沢']],
+  ['秋田', ['能代', '本荘', '大館', '横手', '大曲']],
+  ['青森', ['五所川原', '弘前', '八戸', '十和田']],
+  ['札幌', ['岩見沢', '滝川', '室蘭', '苫小牧', '浦河', '小樽', '岩内']],
+  ['函館', ['江差']],
+  ['旭川', ['名寄', '紋別', '留萌', '稚内']],
+  ['釧路', ['帯広', '網走', '北見', '根室']],
+  ['高松', ['丸亀', '観音寺']],
+  ['徳島', ['阿南', '美馬']],
+  ['高知', ['須崎', '安芸', '中村']],
+  ['松山', ['大洲', '西条', '今治', '宇和島']],
+];
+
+// 確認済みの番号（旧 COURT_FAX_MAP）
+const KNOWN_FAX = {
+  '神戸地方裁判所尼崎支部': '06-6438-1710',
+  '大阪地方裁判所': '06-6316-2804',
+  '大阪高等裁判所': '06-6316-2804',
+  '東京地方裁判所': '03-3580-5611',
+  '東京高等裁判所': '03-3580-5611',
+  '広島地方裁判所': '082-228-0197',
+  '広島高等裁判所': '082-228-0197',
+  '広島地方裁判所福山支部': '084-923-2897',
+  '岡山地方裁判所': '086-222-6961',
+  '福岡地方裁判所': '092-781-3141',
+  '名古屋地方裁判所': '052-204-7780',
+  '京都地方裁判所': '075-211-4226',
+  '神戸地方裁判所': '078-367-1478',
+  '横浜地方裁判所': '045-212-0947',
+  'さいたま地方裁判所': '048-863-8761',
+  '千葉地方裁判所': '043-227-5601',
+  '仙台地方裁判所': '022-266-0091',
+  '札幌地方裁判所': '011-271-1456',
+  '山口地方裁判所': '083-922-1440',
+};
+
+function entry(name, parent) {
+  return { name, parent, fax: KNOWN_FAX[name] || '', phone: '', divisions: [] };
+}
+
+/**
+ * 同梱の裁判所一覧を作る。
+ * @returns {Array<{name: string, parent: string|null, fax: string, phone: string, divisions: Array}>}
+ */
+export function buildBundledCourts() {
+  const courts = HIGH_COURTS.map(([name, parent]) => entry(name, parent));
+  for (const kind of ['地方裁判所', '家庭裁判所']) {
+    for (const [city, branches] of DISTRICTS) {
+      const main = city + kind;
+      courts.push(entry(main, null));
+      branches.forEach(b => courts.push(entry(main + b + '支部', main)));
+    }
+  }
+  return courts;
+}
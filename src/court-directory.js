@@ -0,0 +1,565 @@
+/**
+ * 裁判所名簿 - 同梱データ（court-data.js）＋ユーザーの追加・修正、支部→本庁のフォールバック検索
+ *
+ * ユーザーの追加・修正は runtime.storage に裁判所名をキーとして保存する
+ * （同梱の裁判所を削除した場合は { deleted: true } を保存）。
+ * アプリ版で事務所共通の設定ファイルに名簿（courtDirectory）があれば、同梱データにそれを重ねたものを元の名簿とし、
+ * ユーザーの追加・修正はさらにその上に重ねる。
+ * 文書に書かれていた裁判所FAX番号のうち名簿と異なるもの・未登録のものは確認待ちに記録し、
+ * ユーザーが承認したときだけ名簿に反映する。
+ */
+
+import { runtime } from './runtime.js';
+import { buildBundledCourts } from './court-data.js';
+
+const COURTS_KEY = 'tsukurukun_courts';
+const OBSERVED_KEY = 'tsukurukun_court_fax_observed';
+
+// 元の名簿（同梱データ＋事務所共通の名簿）。origin は 'bundled' か 'office'
+let BUNDLED_COURTS = buildBundledCourts();
+let BUNDLED_BY_NAME = new Map(BUNDLED_COURTS.map(c => [c.name, c]));
+
+// CSVの列（1行目の見出し）
+const CSV_COLUMNS = ['裁判所', '部・係', 'FAX', '電話', '上位裁判所'];
+
+// 確認待ちの1件に残す文書名の数
+const MAX_OBSERVED_SOURCES = 5;
+
+// 上位裁判所をたどる上限（循環した登録への備え）
+const MAX_PARENT_DEPTH = 5;
+
+function toHalfWidthDigits(str) {
+  return str.replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+}
+
+/**
+ * 裁判所名を名簿の表記にそろえる（空白除去・全角数字→半角・「地裁」等の略称→正式名）。
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeCourtName(name) {
+  return toHalfWidthDigits(String(name || ''))
+    .replace(/\s+/g, '')
+    .replace(/地裁/g, '地方裁判所')
+    .replace(/高裁/g, '高等裁判所')
+    .replace(/家裁/g, '家庭裁判所')
+    .replace(/簡裁/g, '簡易裁判所');
+}
+
+/**
+ * 部・係の名前をそろえる（「第24民事部」→「民事第24部」）。
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeDivisionName(name) {
+  return toHalfWidthDigits(String(name || ''))
+    .replace(/\s+/g, '')
+    .replace(/^第(\d+)([民刑])事部/, '$2事第$1部');
+}
+
+/**
+ * 裁判所名を庁（本庁・支部）と部・係に分ける。
+ * 例: 「神戸地方裁判所尼崎支部民事第2部」→ { court: '神戸地方裁判所尼崎支部', division: '民事第2部' }
+ *
+ * @param {string} name
+ * @returns {{court: string, division: string}}
+ */
+export function splitCourtName(name) {
+  const normalized = normalizeCourtName(name);
+  const m = normalized.match(/^(.+?裁判所(?:.+?支部)?)(.*)$/);
+  if (!m) return { court: normalized, division: '' };
+  return { court: m[1], division: normalizeDivisionName(m[2]) };
+}
+
+// --- 保存データ ---
+
+function loadOverrides() {
+  try {
+    return JSON.parse((runtime.storage && runtime.storage.getItem(COURTS_KEY)) || '{}');
+  } catch (e) { return {}; }
+}
+
+function saveOverrides(overrides) {
+  runtime.storage.setItem(COURTS_KEY, JSON.stringify(overrides));
+}
+
+function cleanEntry(entry) {
+  return {
+    name: normalizeCourtName(entry.name),
+    parent: entry.parent ? normalizeCourtName(entry.parent) : null,
+    fax: (entry.fax || '').trim(),
+    phone: (entry.phone || '').trim(),
+    divisions: (entry.divisions || [])
+      .filter(d => d && d.name)
+      .map(d => ({ name: normalizeDivisionName(d.name), fax: (d.fax || '').trim(), phone: (d.phone || '').trim() })),
+  };
+}
+
+function sameEntry(a, b) {
+  return JSON.stringify(cleanEntry(a)) === JSON.stringify(cleanEntry(b));
+}
+
+/**
+ * 事務所共通の名簿を元の名簿に重ねる（アプリ版が共有フォルダの設定ファイルから読む）。null なら同梱データだけに戻す。
+ *
+ * @param {{courts?: Object[], deleted?: string[]}|null} directory exportCourtDirectory('json') と同じ形
+ */
+export function setOfficeCourtDirectory(directory) {
+  const byName = new Map(buildBundledCourts().map(c => [c.name, c]));
+  for (const item of (directory && directory.courts) || []) {
+    if (!item || !item.name) continue;
+    const entry = cleanEntry(item);
+    byName.set(entry.name, Object.assign(entry, { origin: 'office' }));
+  }
+  for (const name of (directory && directory.deleted) || []) byName.delete(normalizeCourtName(name));
+  BUNDLED_COURTS = [...byName.values()];
+  BUNDLED_BY_NAME = byName;
+}
+
+/**
+ * 名簿の全件（同梱＋ユーザー登録）を返す。
+ * origin は 'bundled'（同梱のまま）| 'office'（事務所共通の名簿のまま）| 'modified'（同梱を修正）| 'user'（ユーザーが追加）。
+ *
+ * @returns {Array<{name: string, parent: string|null, fax: string, phone: string, divisions: Array, origin: string}>}
+ */
+export function getCourtDirectory() {
+  const overrides = loadOverrides();
+  const list = [];
+  for (const bundled of BUNDLED_COURTS) {
+    const o = overrides[bundled.name];
+    if (o && o.deleted) continue;
+    list.push(Object.assign(cleanEntry(o || bundled), { origin: o ? 'modified' : (bundled.origin || 'bundled') }));
+  }
+  for (const [name, o] of Object.entries(overrides)) {
+    if (BUNDLED_BY_NAME.has(name) || o.deleted) continue;
+    list.push(Object.assign(cleanEntry(o), { origin: 'user' }));
+  }
+  return list;
+}
+
+/**
+ * 名簿から裁判所を1件探す（表記ゆれは normalizeCourtName でそろえる）。
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findCourt(name) {
+  const key = normalizeCourtName(name);
+  return getCourtDirectory().find(c => c.name === key) || null;
+}
+
+/**
+ * 裁判所を追加・修正する。同梱の内容と同じになった場合はユーザー登録を消す。
+ *
+ * @param {Object} entry { name, parent, fax, phone, divisions: [{ name, fax, phone }] }
+ * @param {string} [previousName] 名称を変更した場合の元の名称
+ */
+export function saveCourt(entry, previousName) {
+  const cleaned = cleanEntry(entry);
+  if (!cleaned.name) throw new Error('裁判所名が空です');
+  const overrides = loadOverrides();
+  const prev = previousName ? normalizeCourtName(previousName) : '';
+  if (prev && prev !== cleaned.name) {
+    if (BUNDLED_BY_NAME.has(prev)) overrides[prev] = { deleted: true };
+    else delete overrides[prev];
+  }
+  const bundled = BUNDLED_BY_NAME.get(cleaned.name);
+  if (bundled && sameEntry(bundled, cleaned)) delete overrides[cleaned.name];
+  else overrides[cleaned.name] = cleaned;
+  saveOverrides(overrides);
+}
+
+/**
+ * 裁判所を名簿から削除する（同梱の裁判所は非表示にする）。
+ * @param {string} name
+ */
+export function deleteCourt(name) {
+  const key = normalizeCourtName(name);
+  const overrides = loadOverrides();
+  if (BUNDLED_BY_NAME.has(key)) overrides[key] = { deleted: true };
+  else delete overrides[key];
+  saveOverrides(overrides);
+}
+
+/**
+ * 同梱の裁判所への修正・削除を取り消す。
+ * @param {string} name
+ */
+export function restoreCourt(name) {
+  const overrides = loadOverrides();
+  delete overrides[normalizeCourtName(name)];
+  saveOverrides(overrides);
+}
+
+/** ユーザーの追加・修正・削除をすべて取り消して同梱データに戻す。 */
+export function resetCourtDirectory() {
+  runtime.storage.removeItem(COURTS_KEY);
+}
+
+// --- 検索 ---
+
+function findDivision(court, division) {
+  if (!division) return null;
+  let best = null;
+  for (const d of court.divisions) {
+    // 「民事第2部」の登録は「民事第2部B係」にも当てる（長い方を優先）
+    if (division === d.name || division.startsWith(d.name)) {
+      if (!best || d.name.length > best.name.length) best = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * 裁判所名（部・係付きでもよい）から名簿を引き、FAX・電話番号と、どの登録に当たったかを返す。
+ *
+ * 部・係の登録にFAXがあればそれを、なければ庁のFAXを使う。
+ * 支部が名簿に無いか、支部にFAXが登録されていない場合は上位裁判所（本庁）をたどる。
+ *
+ * @param {string} courtName
+ * @returns {{
+ *   fax: string, phone: string,
+ *   court: string,        番号を採った名簿の裁判所
+ *   division: string,     番号を採った部・係（庁の番号なら空）
+ *   requested: string,    問い合わせた裁判所（部・係を除く）
+ *   matchedBy: 'division'|'court'|'parent'
+ * }|null} 名簿に該当する裁判所が無ければ null（FAX未登録の場合は fax が空）
+ */
+export function lookupCourt(courtName) {
+  const { court, division } = splitCourtName(courtName);
+  if (!court) return null;
+  const directory = getCourtDirectory();
+  const byName = name => directory.find(c => c.name === name) || null;
+
+  let entry = byName(court);
+  let matchedBy = 'court';
+  if (!entry) {
+    const m = court.match(/^(.+?裁判所).+支部$/);
+    entry = m ? byName(m[1]) : null;
+    matchedBy = 'parent';
+    if (!entry) return null;
+  }
+
+  const result = (source, div, by) => ({
+    fax: div ? div.fax : source.fax,
+    phone: (div && div.phone) || source.phone,
+    court: source.name,
+    division: div ? div.name : '',
+    requested: court,
+    matchedBy: by,
+  });
+
+  // 部・係は問い合わせた庁そのものの登録だけを見る（本庁の部は支部と別）
+  if (matchedBy === 'court') {
+    const div = findDivision(entry, division);
+    if (div && div.fax) return result(entry, div, 'division');
+  }
+  let current = entry;
+  for (let depth = 0; current && depth <= MAX_PARENT_DEPTH; depth++) {
+    if (current.fax) return result(current, null, current === entry ? matchedBy : 'parent');
+    current = current.parent ? byName(current.parent) : null;
+  }
+  return result(entry, null, matchedBy);
+}
+
+/**
+ * lookupCourt の結果を、どの登録に当たったかが分かる文にする（確認画面・CLI用）。
+ * @param {Object|null} match lookupCourt の戻り値
+ * @returns {string}
+ */
+export function describeCourtMatch(match) {
+  if (!match) return '裁判所名簿に該当する裁判所がありません';
+  const source = match.court + (match.division ? ' ' + match.division : '');
+  if (!match.fax) return `裁判所名簿の「${source}」にFAX番号が登録されていません`;
+  if (match.matchedBy === 'parent') {
+    return `「${match.requested}」に番号の登録が無いため、上位の「${source}」の番号です。支部と番号が違うことがあるので、送信先を確認してください`;
+  }
+  return `裁判所名簿「${source}」の番号です`;
+}
+
+// 番号の比較用（区切りの違い「06-1234-5678」「06(1234)5678」を無視する）
+function faxDigits(fax) {
+  return toHalfWidthDigits(String(fax || '')).replace(/\D/g, '');
+}
+
+/**
+ * 文書に書かれた裁判所FAX番号を名簿と照合する。
+ *
+ * @param {string} courtName 裁判所名（部・係付きでもよい）
+ * @param {string} fax
+ * @returns {{status: 'match'|'mismatch'|'unregistered', fax: string, stored: Object|null}}
+ *   stored は lookupCourt の結果。名簿に番号が無ければ 'unregistered'
+ */
+export function checkCourtFax(courtName, fax) {
+  const stored = lookupCourt(courtName);
+  let status = 'unregistered';
+  if (stored && stored.fax) status = faxDigits(stored.fax) === faxDigits(fax) ? 'match' : 'mismatch';
+  return { status, fax, stored };
+}
+
+// --- 文書から見つかったFAX番号（確認待ち）---
+
+function loadObserved() {
+  try {
+    return JSON.parse((runtime.storage && runtime.storage.getItem(OBSERVED_KEY)) || '[]');
+  } catch (e) { return []; }
+}
+
+function saveObserved(list) {
+  runtime.storage.setItem(OBSERVED_KEY, JSON.stringify(list));
+}
+
+function sameObservation(a, b) {
+  return a.court === b.court && a.division === b.division && faxDigits(a.fax) === faxDigits(b.fax);
+}
+
+/**
+ * 文書に書かれていた（裁判所名 → FAX番号）を記録する。
+ * 名簿の番号と一致する場合は何もしない。異なる・未登録の場合は確認待ちに追加する
+ * （同じ組み合わせは件数を数える。無視したものは再び表示しない）。
+ *
+ * @param {string} courtName 裁判所名（部・係付きでもよい）
+ * @param {string} fax
+ * @param {string} [source] 文書名
+ * @returns {Object|null} 確認待ちの記録（名簿と一致した場合は null）
+ */
+export function recordCourtFaxObservation(courtName, fax, source) {
+  if (!courtName || !faxDigits(fax) || !runtime.storage) return null;
+  if (checkCourtFax(courtName, fax).status === 'match') return null;
+  const { court, division } = splitCourtName(courtName);
+  const list = loadObserved();
+  const now = new Date().toISOString();
+  let item = list.find(o => sameObservation(o, { court, division, fax }));
+  if (!item) {
+    item = { court, division, fax: fax.trim(), count: 0, sources: [], firstSeen: now, dismissed: false };
+    list.push(item);
+  }
+  item.count++;
+  item.lastSeen = now;
+  if (source && !item.sources.includes(source)) {
+    item.sources = item.sources.concat(source).slice(-MAX_OBSERVED_SOURCES);
+  }
+  saveObserved(list);
+  return item;
+}
+
+/**
+ * 確認待ちの一覧（無視したものを除く）。各件に現在の名簿との照合結果 check を付ける。
+ * 名簿を直して一致するようになったものは一覧から外す。
+ *
+ * @returns {Array<{court: string, division: string, fax: string, count: number, sources: string[], check: Object}>}
+ */
+export function getCourtFaxReviewQueue() {
+  return loadObserved()
+    .filter(o => !o.dismissed)
+    .map(o => Object.assign({}, o, { check: checkCourtFax(o.court + o.division, o.fax) }))
+    .filter(o => o.check.status !== 'match');
+}
+
+/**
+ * 確認待ちの番号を名簿に登録する。
+ *
+ * @param {Object} item getCourtFaxReviewQueue の1件
+ * @param {Object} [options]
+ * @param {boolean} [options.toDivision] 部・係のFAX番号として登録する（既定: 部・係があれば true）
+ */
+export function acceptCourtFaxObservation(item, options = {}) {
+  const toDivision = options.toDivision !== undefined ? options.toDivision : !!item.division;
+  const court = findCourt(item.court) || { name: item.court, parent: null, fax: '', phone: '', divisions: [] };
+  // 名簿に無い支部は本庁を上位裁判所として追加する
+  const parentMatch = !findCourt(item.court) && item.court.match(/^(.+?裁判所).+支部$/);
+  const entry = Object.assign({}, court, {
+    parent: court.parent || (parentMatch && findCourt(parentMatch[1]) ? parentMatch[1] : null),
+  });
+  if (toDivision && item.division) {
+    const divisions = court.divisions.filter(d => d.name !== item.division);
+    const current = court.divisions.find(d => d.name === item.division);
+    divisions.push({ name: item.division, fax: item.fax, phone: current ? current.phone : '' });
+    entry.divisions = divisions;
+  } else {
+    entry.fax = item.fax;
+  }
+  saveCourt(entry);
+  saveObserved(loadObserved().filter(o => !sameObservation(o, item)));
+}
+
+/**
+ * 確認待ちの番号を無視する（同じ組み合わせが再び見つかっても表示しない）。
+ * @param {Object} item getCourtFaxReviewQueue の1件
+ */
+export function dismissCourtFaxObservation(item) {
+  const list = loadObserved();
+  list.filter(o => sameObservation(o, item)).forEach(o => { o.dismissed = true; });
+  saveObserved(list);
+}
+
+// --- CSV / JSON ---
+
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/**
+ * CSVを行（セルの配列）に分ける。ダブルクォートで囲んだセル内の改行・カンマに対応。
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const s = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * 名簿を書き出す。
+ *
+ * CSV は「裁判所,部・係,FAX,電話,上位裁判所」の列で、庁の行に続けて部・係の行を出す（Excel向けにBOM付き）。
+ * JSON は { version: 1, courts: [...], deleted: [...] }。
+ *
+ * @param {'csv'|'json'} [format]
+ * @param {Object} [options]
+ * @param {boolean} [options.changedOnly] 同梱データから変わったもの（ユーザーの追加・修正・削除と事務所共通の名簿）だけを書き出す
+ * @returns {string}
+ */
+export function exportCourtDirectory(format = 'json', options = {}) {
+  const courts = getCourtDirectory()
+    .filter(c => !options.changedOnly || c.origin !== 'bundled')
+    .map(c => ({ name: c.name, parent: c.parent, fax: c.fax, phone: c.phone, divisions: c.divisions }));
+  const deleted = Object.entries(loadOverrides()).filter(([, o]) => o.deleted).map(([name]) => name);
+
+  if (format === 'csv') {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const c of courts) {
+      lines.push([c.name, '', c.fax, c.phone, c.parent || ''].map(csvField).join(','));
+      for (const d of c.divisions) {
+        lines.push([c.name, d.name, d.fax, d.phone, ''].map(csvField).join(','));
+      }
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+  return JSON.stringify({ version: 1, courts, deleted }, null, 2);
+}
+
+// CSVの行を裁判所ごとの登録にまとめる（空欄は「指定なし」= undefined）
+function courtsFromCsv(text, errors) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  const col = name => header.indexOf(name);
+  if (col('裁判所') < 0) {
+    errors.push({ line: 1, message: `1行目に見出し（${CSV_COLUMNS.join(',')}）がありません` });
+    return [];
+  }
+  const get = (row, name) => {
+    const i = col(name);
+    const v = i >= 0 && row[i] !== undefined ? row[i].trim() : '';
+    return v === '' ? undefined : v;
+  };
+  const byName = new Map();
+  rows.slice(1).forEach((row, i) => {
+    const name = get(row, '裁判所');
+    if (!name) {
+      errors.push({ line: i + 2, message: '裁判所名が空です' });
+      return;
+    }
+    const key = normalizeCourtName(name);
+    const court = byName.get(key) || { name: key, divisions: [] };
+    byName.set(key, court);
+    const division = get(row, '部・係');
+    if (division) {
+      court.divisions.push({ name: division, fax: get(row, 'FAX'), phone: get(row, '電話') });
+    } else {
+      court.fax = get(row, 'FAX');
+      court.phone = get(row, '電話');
+      court.parent = get(row, '上位裁判所');
+    }
+  });
+  return [...byName.values()];
+}
+
+function pick(value, fallback) {
+  return value === undefined ? fallback : value;
+}
+
+/**
+ * CSV / JSON を名簿に取り込む。同じ名前の裁判所は、書かれている項目だけを上書きする
+ * （部・係は名前ごとに追加・上書き）。
+ *
+ * @param {string} text
+ * @param {'csv'|'json'} [format] 省略時は内容から判定
+ * @returns {{courts: number, divisions: number, deleted: number, errors: Array<{line: number, message: string}>}}
+ */
+export function importCourtDirectory(text, format) {
+  const fmt = format || (/^\s*[[{]/.test(text.replace(/^\uFEFF/, '')) ? 'json' : 'csv');
+  const errors = [];
+  let incoming = [];
+  let deleted = [];
+  if (fmt === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (e) {
+      throw new Error('JSONを読み込めません: ' + e.message);
+    }
+    incoming = Array.isArray(data) ? data : (data.courts || []);
+    deleted = Array.isArray(data) ? [] : (data.deleted || []);
+  } else {
+    incoming = courtsFromCsv(text, errors);
+  }
+
+  const result = { courts: 0, divisions: 0, deleted: 0, errors };
+  incoming.forEach((item, i) => {
+    if (!item || !item.name) {
+      errors.push({ line: i + 1, message: '裁判所名が空です' });
+      return;
+    }
+    const existing = findCourt(item.name) || { name: item.name, parent: null, fax: '', phone: '', divisions: [] };
+    const divisions = existing.divisions.map(d => Object.assign({}, d));
+    for (const d of item.divisions || []) {
+      if (!d || !d.name) continue;
+      const key = normalizeDivisionName(d.name);
+      const current = divisions.find(x => x.name === key);
+      if (current) {
+        current.fax = pick(d.fax, current.fax);
+        current.phone = pick(d.phone, current.phone);
+      } else {
+        divisions.push({ name: key, fax: d.fax || '', phone: d.phone || '' });
+      }
+      result.divisions++;
+    }
+    saveCourt({
+      name: existing.name,
+      parent: pick(item.parent, existing.parent),
+      fax: pick(item.fax, existing.fax),
+      phone: pick(item.phone, existing.phone),
+      divisions,
+    });
+    result.courts++;
+  });
+  for (const name of deleted) {
+    deleteCourt(name);
+    result.deleted++;
+  }
+  return result;
+}
@@ -0,0 +1,365 @@
+/**
+ * 証拠番号つくる君 - 証拠番号スタンプ・枝番結合・証拠説明書（Word）
+ */
+
+import { runtime } from './runtime.js';
+import { toFullWidthNumber } from './config.js';
+import { formatWareki, normalizeWarekiDate } from './wareki.js';
+import { loadJapaneseFont } from './assets.js';
+import { getPageFrame } from './page-frame.js';
+
+/**
+ * 証拠番号ラベル構築
+ */
+export function buildEvidenceLabel(party, num, subNum, useDai) {
+  const fullNum = toFullWidthNumber(String(num));
+  let label = party;
+  if (useDai) label += '第';
+  label += fullNum + '号証';
+  if (subNum) {
+    label += 'の' + toFullWidthNumber(String(subNum));
+  }
+  return label;
+}
+
+/**
+ * mints形式ファイル名生成
+ * 例: 甲001 売買契約書.pdf, 甲001-1~5 陳述書.pdf
+ */
+export function buildMintsFileName(party, num, subNum, title, subRange) {
+  const numStr = String(num).padStart(3, '0');
+  let name = party + numStr;
+  if (subNum) {
+    name += '-' + subNum;
+  } else if (subRange) {
+    name += '-' + subRange;
+  }
+  if (title) name += ' ' + title;
+  return name + '.pdf';
+}
+
+/** XML特殊文字エスケープ */
+function escXml(str) {
+  return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * スタンプ色取得
+ */
+function getStampColor(colorName) {
+  const { rgb } = runtime.PDFLib;
+  switch (colorName) {
+    case 'red': return rgb(0.86, 0.15, 0.15);
+    case 'blue': return rgb(0.1, 0.2, 0.7);
+    case 'black': return rgb(0, 0, 0);
+    default: return rgb(0.86, 0.15, 0.15);
+  }
+}
+
+/**
+ * PDFの指定ページに証拠番号をスタンプ（太字）。
+ * 書誌情報（標目）はPDFには打ち込まない（証拠説明書のみ）。
+ *
+ * @param {ArrayBuffer|Uint8Array} pdfBytes
+ * @param {Object} opts evidenceLabel, allPages, stampSize, stampColor, stampBg,
+ *   stampBorder, addPageNum, customX/customY（見たままの向きのページ左上原点の比率）, onProgress
+ * @returns {Promise<{bytes: Uint8Array, pageCount: number}>}
+ */
+export async function stampEvidence(pdfBytes, opts) {
+  const { PDFLib, fontkit } = runtime;
+  const {
+    evidenceLabel, allPages, onProgress,
+    stampSize = 20, stampColor = 'red',
+    stampBg = true, stampBorder = false,
+    addPageNum = false,
+    customX = 0.85, customY = 0.03
+  } = opts;
+
+  const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
+  pdfDoc.registerFontkit(fontkit);
+
+  onProgress && onProgress('フォントを読み込み中...');
+  const fontBytes = await loadJapaneseFont();
+  const font = await pdfDoc.embedFont(fontBytes, { subset: false });
+
+  const labelFontSize = parseInt(stampSize, 10) || 20;
+  const color = getStampColor(stampColor);
+  const { rgb } = PDFLib;
+
+  const pageCount = pdfDoc.getPageCount();
+  const pagesToStamp = allPages
+    ? Array.from({ length: pageCount }, (_, i) => i)
+    : [0];
+
+  // 太字化: テキストを微小オフセットで複数回描画（x・y は見たままの向きの座標）
+  function drawBoldText(page, frame, text, x, y, size, font, color) {
+    var offsets = [
+      [0, 0], [0.4, 0], [-0.4, 0], [0, 0.4], [0, -0.4],
+      [0.2, 0.2], [-0.2, 0.2], [0.2, -0.2], [-0.2, -0.2]
+    ];
+    for (var k = 0; k < offsets.length; k++) {
+      page.drawText(text, Object.assign({
+        size: size, font: font, color: color, rotate: frame.rotate,
+      }, frame.toPage(x + offsets[k][0], y + offsets[k][1])));
+    }
+  }
+
+  onProgress && onProgress('証拠番号を書き込み中...');
+  for (const pageIndex of pagesToStamp) {
+    const page = pdfDoc.getPage(pageIndex);
+    // 回転（/Rotate）・CropBox のあるページも、見たままの向きの右上に正立させる
+    const frame = getPageFrame(page);
+    const { width: pgW, height: pgH } = frame;
+
+    // ラベルテキストのサイズ計算（証拠番号のみ、書誌情報は入れない）
+    const labelWidth = font.widthOfTextAtSize(evidenceLabel, labelFontSize);
+    const boxPadH = 8;
+    const boxPadV = 6;
+    const boxWidth = labelWidth + boxPadH * 2;
+    const boxHeight = labelFontSize + boxPadV * 2;
+
+    // 位置計算
+    let boxX = customX * pgW - boxWidth / 2;
+    let boxY = pgH - (customY * pgH) - boxHeight;
+    boxX = Math.max(2, Math.min(pgW - boxWidth - 2, boxX));
+    boxY = Math.max(2, Math.min(pgH - boxHeight - 2, boxY));
+    const boxAt = Object.assign({ width: boxWidth, height: boxHeight, rotate: frame.rotate }, frame.toPage(boxX, boxY));
+
+    // 背景描画
+    if (stampBg) {
+      page.drawRectangle(Object.assign({
+        color: rgb(1, 1, 1),
+        opacity: 0.92,
+        borderColor: stampBorder ? color : undefined,
+        borderWidth: stampBorder ? 1 : 0,
+      }, boxAt));
+    } else if (stampBorder) {
+      page.drawRectangle(Object.assign({
+        borderColor: color,
+        borderWidth: 1,
+      }, boxAt));
+    }
+
+    // 証拠番号ラベル（太字描画）
+    const labelX = boxX + (boxWidth - labelWidth) / 2;
+    const labelY = boxY + boxPadV;
+    drawBoldText(page, frame, evidenceLabel, labelX, labelY, labelFontSize, font, color);
+  }
+
+  // ページ番号付与（見たままの向きの下中央）
+  if (addPageNum) {
+    const pageNumSize = 10;
+    for (let i = 0; i < pageCount; i++) {
+      const page = pdfDoc.getPage(i);
+      const frame = getPageFrame(page);
+      const pageNumText = '- ' + (i + 1) + ' -';
+      const numWidth = font.widthOfTextAtSize(pageNumText, pageNumSize);
+      page.drawText(pageNumText, Object.assign({
+        size: pageNumSize, font,
+        color: rgb(0.3, 0.3, 0.3),
+        rotate: frame.rotate,
+      }, frame.toPage((frame.width - numWidth) / 2, 24)));
+    }
+  }
+
+  const bytes = await pdfDoc.save();
+  return { bytes, pageCount };
+}
+
+/**
+ * 証拠PDF（File）に証拠番号をスタンプし、ダウンロード用のBlobとファイル名を返す。
+ */
+export async function generateEvidenceBrowser(file, opts) {
+  const { evidenceLabel, evidenceTitle, onProgress } = opts;
+  onProgress && onProgress('PDFを読み込み中...');
+  const pdfArrayBuffer = await file.arrayBuffer();
+  const { bytes, pageCount } = await stampEvidence(pdfArrayBuffer, opts);
+  const blob = new Blob([bytes], { type: 'application/pdf' });
+  // ファイル名: 甲○号証.pdf or 甲○号証（△△）.pdf
+  let fileName = evidenceLabel;
+  if (evidenceTitle && evidenceTitle.trim()) {
+    fileName += '\uff08' + evidenceTitle.trim() + '\uff09';
+  }
+  fileName += '.pdf';
+  return { blob, fileName, pageCount };
+}
+
+/**
+ * 複数PDFを結合（枝番結合用）
+ */
+export async function mergePdfs(files, onProgress) {
+  const { PDFLib } = runtime;
+  onProgress && onProgress('PDFを結合中...');
+  const mergedPdf = await PDFLib.PDFDocument.create();
+  for (let i = 0; i < files.length; i++) {
+    onProgress && onProgress('結合中 (' + (i + 1) + '/' + files.length + ')...');
+    const ab = await files[i].arrayBuffer();
+    const srcPdf = await PDFLib.PDFDocument.load(ab);
+    const pages = await mergedPdf.copyPages(srcPdf, srcPdf.getPageIndices());
+    pages.forEach(function(p) { mergedPdf.addPage(p); });
+  }
+  const mergedBytes = await mergedPdf.save();
+  return new File(
+    [mergedBytes],
+    '結合_' + files[0].name,
+    { type: 'application/pdf' }
+  );
+}
+
+
+export async function generateEvidenceSheetDocx(entries, options) {
+  const opts = options || {};
+  const party = opts.party || '甲';
+  const dateStr = formatWareki(new Date());
+  const titleLabel = `証拠説明書（${party}号証）`;
+
+  // テーブルヘッダー行
+  const headerRow = [
+    '<w:tr>',
+    '<w:tc><w:tcPr><w:tcW w:w="1100" w:type="dxa"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>号証</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="2800" w:type="dxa"/><w:gridSpan w:val="2"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
+    '<w:t xml:space="preserve">標　　　目</w:t></w:r></w:p>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="20"/></w:rPr>',
+    '<w:t>（原本・写しの別）</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>作　成</w:t></w:r></w:p>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>年月日</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>作成者</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="3200" w:type="dxa"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:b/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>立証趣旨</w:t></w:r></w:p></w:tc>',
+    '</w:tr>',
+  ].join('');
+
+  // データ行
+  const dataRows = entries.map(e => [
+    '<w:tr><w:trPr><w:trHeight w:val="500"/></w:trPr>',
+    '<w:tc><w:tcPr><w:tcW w:w="1100" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>' + escXml(e.label) + '</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="2000" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
+    '<w:p><w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>' + escXml(e.title || '') + '</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="800" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>' + escXml(e.originalOrCopy || '') + '</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>' + escXml(normalizeWarekiDate(e.createdDate)) + '</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="1200" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>' + escXml(e.author || '') + '</w:t></w:r></w:p></w:tc>',
+    '<w:tc><w:tcPr><w:tcW w:w="3200" w:type="dxa"/><w:vAlign w:val="center"/></w:tcPr>',
+    '<w:p><w:r><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:hint="eastAsia"/><w:sz w:val="22"/></w:rPr>',
+    '<w:t>' + escXml(e.purpose || '') + '</w:t></w:r></w:p></w:tc>',
+    '</w:tr>',
+  ].join('')).join('\n');
+
+  // document.xml
+  const documentXml = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<w:document xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    ' xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    ' xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">',
+    '<w:body>',
+    // タイトル: 証拠説明書（甲号証）
+    '<w:p><w:pPr><w:jc w:val="center"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:hint="eastAsia"/><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr>',
+    '<w:t>' + escXml(titleLabel) + '</w:t></w:r></w:p>',
+    // 空行
+    '<w:p/>',
+    // 日付（右寄せ）
+    '<w:p><w:pPr><w:jc w:val="right"/></w:pPr>',
+    '<w:r><w:rPr><w:rFonts w:hint="eastAsia"/><w:sz w:val="24"/></w:rPr>',
+    '<w:t>' + escXml(dateStr) + '</w:t></w:r></w:p>',
+    // 空行
+    '<w:p/>',
+    // テーブル
+    '<w:tbl>',
+    '<w:tblPr>',
+    '<w:tblW w:w="9500" w:type="dxa"/>',
+    '<w:tblBorders>',
+    '<w:top w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
+    '<w:left w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
+    '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
+    '<w:right w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
+    '<w:insideH w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
+    '<w:insideV w:val="single" w:sz="4" w:space="0" w:color="000000"/>',
+    '</w:tblBorders>',
+    '<w:tblLayout w:type="fixed"/>',
+    '</w:tblPr>',
+    '<w:tblGrid>',
+    '<w:gridCol w:w="1100"/><w:gridCol w:w="2000"/><w:gridCol w:w="800"/>',
+    '<w:gridCol w:w="1200"/><w:gridCol w:w="1200"/><w:gridCol w:w="3200"/>',
+    '</w:tblGrid>',
+    headerRow,
+    dataRows,
+    '</w:tbl>',
+    '<w:p/>',
+    // ページ設定（A4縦）
+    '<w:sectPr>',
+    '<w:pgSz w:w="11906" w:h="16838"/>',
+    '<w:pgMar w:top="1440" w:right="1080" w:bottom="1440" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/>',
+    '</w:sectPr>',
+    '</w:body>',
+    '</w:document>',
+  ].join('\n');
+
+  // [Content_Types].xml
+  const contentTypes = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
+    '</Types>',
+  ].join('\n');
+
+  // _rels/.rels
+  const relsXml = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>',
+    '</Relationships>',
+  ].join('\n');
+
+  // word/_rels/document.xml.rels
+  const docRels = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '</Relationships>',
+  ].join('\n');
+
+  // JSZipでdocxパッケージ
+  const zip = new runtime.JSZip();
+  zip.file('[Content_Types].xml', contentTypes);
+  zip.file('_rels/.rels', relsXml);
+  zip.file('word/document.xml', documentXml);
+  zip.file('word/_rels/document.xml.rels', docRels);
+
+  const blob = await zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  });
+
+  return blob;
+}
@@ -0,0 +1,619 @@
+/**
+ * 文書送付書 情報抽出 - 裁判所・事件番号・事件名・当事者・代理人・FAX番号
+ */
+
+import { getConfig } from './config.js';
+import { getOwnLawyerNames, getOwnFaxNumbers } from './lawyers.js';
+import { getCourtDirectory, lookupCourt, checkCourtFax } from './court-directory.js';
+import { ERAS, ERA_PATTERN, warekiYearToSeireki } from './wareki.js';
+
+// --- テキスト正規化（OCR誤読修正）---
+
+const NORMALIZE_RULES = [
+  // 改行コード統一
+  [/\r\n?/g, '\n'],
+  // 全角数字→半角
+  [/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0)],
+  // 全角英字→半角
+  [/[Ａ-Ｚａ-ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0)],
+  // 特殊スペース→通常スペース
+  [/[  -​　﻿]/g, ' '],
+  // OCR誤読: よくある文字化けパターン修正
+  [/裁判\s*所/g, '裁判所'],
+  [/地方\s*裁判/g, '地方裁判'],
+  [/高等\s*裁判/g, '高等裁判'],
+  [/家庭\s*裁判/g, '家庭裁判'],
+  [/簡易\s*裁判/g, '簡易裁判'],
+  [/弁護\s*士/g, '弁護士'],
+  [/原\s*告/g, '原告'],
+  [/被\s*告/g, '被告'],
+  [/事\s*件/g, '事件'],
+  [/損\s*害\s*賠\s*償/g, '損害賠償'],
+  [/請\s*求/g, '請求'],
+  [/訴\s*訟\s*代\s*理\s*人/g, '訴訟代理人'],
+  [/令\s*和/g, '令和'],
+  [/平\s*成/g, '平成'],
+  [/昭\s*和/g, '昭和'],
+  // 連続スペースを1つに
+  [/ {2,}/g, ' '],
+];
+
+export function normalizeExtractedText(text) {
+  return NORMALIZE_RULES.reduce((t, [pattern, replacement]) => t.replace(pattern, replacement), text);
+}
+
+/**
+ * normalizeExtractedText と同じ正規化を行い、正規化後の各文字が元テキストの何文字目に
+ * 由来するか（offsets）も返す。抽出結果の位置（span）を元テキスト上に戻すために使う。
+ *
+ * @param {string} text
+ * @returns {{text: string, offsets: number[]}} offsets.length === text.length + 1（末尾は元テキスト長）
+ */
+export function normalizeWithOffsets(text) {
+  let t = text;
+  let offsets = Array.from({ length: text.length + 1 }, (_, i) => i);
+  for (const [pattern, replacement] of NORMALIZE_RULES) {
+    let out = '';
+    const outOffsets = [];
+    let last = 0;
+    let m;
+    pattern.lastIndex = 0;
+    while ((m = pattern.exec(t)) !== null) {
+      const repl = typeof replacement === 'function' ? replacement(m[0]) : replacement;
+      out += t.slice(last, m.index) + repl;
+      for (let i = last; i < m.index; i++) outOffsets.push(offsets[i]);
+      // 置換後の文字は置換前の対応する文字へ（長さが変わる場合は末尾を置換前の末尾へ寄せる）
+      for (let k = 0; k < repl.length; k++) {
+        const src = repl.length === m[0].length || k < repl.length - 1
+          ? m.index + Math.min(k, m[0].length - 1)
+          : m.index + m[0].length - 1;
+        outOffsets.push(offsets[src]);
+      }
+      last = m.index + m[0].length;
+    }
+    out += t.slice(last);
+    for (let i = last; i <= t.length; i++) outOffsets.push(offsets[i]);
+    t = out;
+    offsets = outOffsets;
+  }
+  return { text: t, offsets };
+}
+
+// --- 文書送付書 情報抽出 ---
+
+/**
+ * 抽出パターンごとの確信度（0〜1）。fieldMeta[項目].pattern はこのキー。
+ */
+export const PATTERN_CONFIDENCE = {
+  'court': 0.9,
+  'caseNumber.strict': 0.95,
+  'caseNumber.spaced': 0.85,
+  'caseNumber.display': 0.8,
+  'caseNumber.display.yearGuessed': 0.6,
+  'caseNumber.display.symbolGuessed': 0.4,
+  'caseNumber.display.numberOnly': 0.3,
+  'caseName.damages': 0.8,
+  'caseName.afterNumber': 0.9,
+  'caseName.known': 0.85,
+  'caseName.generic': 0.6,
+  'party.section': 0.85,
+  'party.bracket': 0.8,
+  'party.label': 0.6,
+  'lawyer.formal': 0.9,
+  'lawyer.sender': 0.75,
+  'lawyer.addressee': 0.6,
+  'lawyer.general': 0.4,
+  'courtFax.directoryDivision': 0.95,
+  'courtFax.directory': 0.9,
+  'courtFax.directoryParent': 0.65,
+  'courtFax.explicit': 0.95,
+  'courtFax.known': 0.9,
+  'lawyerFax.labeled': 0.85,
+  'lawyerFax.nearLawyer': 0.8,
+  'lawyerFax.fallback': 0.5,
+  'lawyerFax.nearDefendant': 0.2,
+  // 事件台帳（case-registry.js）に保存した確認済みの値
+  'caseRegistry': 0.98,
+};
+
+/** これ未満の確信度の項目は確認画面で要確認として強調する */
+export const LOW_CONFIDENCE = 0.7;
+
+// 本文の裁判所FAX番号が裁判所名簿と異なる場合に下げる確信度（要確認として強調させる）
+const COURT_FAX_MISMATCH_PENALTY = 0.3;
+
+// 抽出元の前後に付ける文脈の文字数
+const SNIPPET_CONTEXT = 30;
+
+/**
+ * テキストから送付書の項目を抽出する。
+ *
+ * 各項目の値は文字列で info に入る。あわせて info.fieldMeta[項目] に
+ * { confidence, pattern, span: [開始, 終了] | null, snippet: {before, text, after} | null }
+ * を入れる（span は引数 text 上の位置。裁判所名簿から引いた値など本文に無いものは null）。
+ * 裁判所名簿から引いた courtFax の fieldMeta / 候補には directory（lookupCourt の結果）も入れる。
+ * 本文の裁判所FAX番号が名簿と異なる場合は info.courtFaxMismatch（checkCourtFax の結果）を入れ、
+ * courtFax の確信度を下げる。
+ * info.candidates[項目] には採用しなかった候補も含めて { value, ...fieldMeta と同じ形 } を
+ * 順位順に入れる（先頭は採用した値）。
+ *
+ * @param {string} text
+ * @param {Object} [config] 事務所設定（lawyerNames, faxNumbers, lawyers。自事務所の弁護士名・FAX番号は lawyers.js）
+ * @returns {Object}
+ */
+export function extractInfoFromText(text, config = getConfig()) {
+  const info = {};
+  const fieldMeta = {};
+  const candidates = {};
+  const { text: cleanText, offsets } = normalizeWithOffsets(text);
+
+  // 抽出元（正規化後テキスト上の start〜end）から確信度・位置・前後の文脈を作る
+  function buildMeta(pattern, start, end, penalty = 0) {
+    let span = null;
+    let snippet = null;
+    if (start != null) {
+      const s = offsets[start];
+      const e = offsets[end - 1] + 1;
+      span = [s, e];
+      snippet = {
+        before: text.slice(Math.max(0, s - SNIPPET_CONTEXT), s),
+        text: text.slice(s, e),
+        after: text.slice(e, e + SNIPPET_CONTEXT),
+      };
+    }
+    const confidence = Math.max(0, Math.round((PATTERN_CONFIDENCE[pattern] - penalty) * 100) / 100);
+    return { confidence, pattern, span, snippet };
+  }
+
+  // 項目の値を採用する
+  function setField(field, value, pattern, start, end, penalty = 0) {
+    info[field] = value;
+    fieldMeta[field] = buildMeta(pattern, start, end, penalty);
+  }
+
+  // 採用しなかった候補を追加する（同じ値は最初のものだけ）。追加した（または既存の）候補を返す
+  function addCandidate(field, value, pattern, start, end, penalty = 0) {
+    const list = candidates[field] || (candidates[field] = []);
+    const existing = list.find(c => c.value === value);
+    if (existing) return existing;
+    const candidate = Object.assign({ value }, buildMeta(pattern, start, end, penalty));
+    list.push(candidate);
+    return candidate;
+  }
+
+  // 正規表現のキャプチャグループの位置
+  function groupStart(match, group, base = 0) {
+    return base + match.index + match[0].indexOf(match[group]);
+  }
+
+  // 都市名リスト
+  const cityNames = '東京|大阪|名古屋|広島|福岡|仙台|札幌|高松|京都|神戸|横浜|さいたま|千葉|山口|岡山|福山|松山|高知|那覇|長崎|熊本|鹿児島|大分|宮崎|佐賀|秋田|青森|盛岡|山形|福島|水戸|宇都宮|前橋|甲府|長野|新潟|富山|金沢|福井|津|大津|奈良|和歌山|鳥取|松江|徳島|旭川|釧路|函館';
+
+  // --- 裁判所名 ---
+  const courtPattern = new RegExp(
+    `((?:${cityNames})\\s*(?:地方|高等|家庭|簡易)\\s*裁判\\s*所(?:\\s*[\\u4e00-\\u9fff]+\\s*支部)?(?:\\s*民事\\s*第\\s*[０-９\\d]+\\s*部)?)`,
+    'g'
+  );
+  let courtMatch;
+  const courtCandidates = [];
+  while ((courtMatch = courtPattern.exec(cleanText)) !== null) {
+    const cleaned = courtMatch[1].replace(/\s+/g, '');
+    courtCandidates.push({ name: cleaned, start: courtMatch.index, end: courtMatch.index + courtMatch[0].length });
+  }
+  if (courtCandidates.length > 0) {
+    const best = courtCandidates.reduce((a, b) => a.name.length >= b.name.length ? a : b);
+    // 別の裁判所名が混在する場合は確信度を下げる
+    const conflicting = courtCandidates.some(c => !best.name.startsWith(c.name));
+    setField('courtName', best.name, 'court', best.start, best.end, conflicting ? 0.2 : 0);
+    courtCandidates.slice().sort((a, b) => b.name.length - a.name.length).forEach(c => {
+      addCandidate('courtName', c.name, 'court', c.start, c.end, best.name.startsWith(c.name) ? 0.1 : 0.2);
+    });
+  }
+
+  // --- 事件番号 ---
+  const caseSymbols = 'ワヲネレモハノニナラ行わをねれもはのになら';
+  // 元号（OCR で字の間に空白が入ったものも）と年（「元」も）
+  const era = `(?:${ERAS.map(e => [...e.name].join('\\s*')).join('|')})`;
+  const caseNumberPatterns = [
+    new RegExp(`((?:${ERA_PATTERN})(?:\\d+|元)年[（(][${caseSymbols}][）)]\\s*第?\\s*\\d+号)`),
+    new RegExp(`(${era}\\s*(?:\\d+|元)\\s*年\\s*[（(]\\s*[${caseSymbols}]\\s*[）)]\\s*第?\\s*\\d+\\s*号)`),
+    new RegExp(`(${era}\\s*(?:\\d+|元)\\s*年\\s*\\(\\s*[${caseSymbols}]\\s*\\)\\s*第?\\s*\\d+\\s*号)`),
+    new RegExp(`(${era}\\s*(\\d+|元)\\s*年\\s*[（(]\\s*([${caseSymbols}])\\s*[）)]\\s*第\\s*(\\d+)\\s*号)`),
+  ];
+  for (let i = 0; i < caseNumberPatterns.length; i++) {
+    const match = cleanText.match(caseNumberPatterns[i]);
+    if (match) {
+      let cn = match[1].replace(/\s+/g, '');
+      cn = cn.replace(/（/g, '(').replace(/）/g, ')');
+      setField('caseNumber', cn, i === 0 ? 'caseNumber.strict' : 'caseNumber.spaced',
+        match.index, match.index + match[0].length);
+      break;
+    }
+  }
+  if (info.caseNumber) {
+    // 本文中の他の事件番号（併合事件・原審の事件番号など）も候補に
+    const allCaseNumbers = new RegExp(caseNumberPatterns[1].source, 'g');
+    let cm;
+    while ((cm = allCaseNumbers.exec(cleanText)) !== null) {
+      const cn = cm[1].replace(/\s+/g, '').replace(/（/g, '(').replace(/）/g, ')');
+      addCandidate('caseNumber', cn, caseNumberPatterns[0].test(cm[1]) ? 'caseNumber.strict' : 'caseNumber.spaced',
+        cm.index, cm.index + cm[0].length);
+    }
+  }
+
+  // パターン2: 「事件の表示」セクションから
+  if (!info.caseNumber) {
+    const displaySectionMatch = cleanText.match(
+      /事\s*件\s*の\s*表\s*示[】\]\s]*([^\n]{1,80})/
+    );
+    if (displaySectionMatch) {
+      const sectionText = displaySectionMatch[1];
+      const sectionStart = groupStart(displaySectionMatch, 1);
+      // 元号が読めなければ（「令」「和」だけ・欠落）令和とみなす
+      const fullMatch = sectionText.match(
+        new RegExp(`(${ERA_PATTERN}|令|和)?\\s*(\\d+|元)\\s*年?\\s*[（(]\\s*([${caseSymbols}])\\s*[）)]\\s*第\\s*(\\d+)\\s*号`)
+      );
+      if (fullMatch) {
+        const eraName = fullMatch[1] && fullMatch[1].length === 2 ? fullMatch[1] : '令和';
+        setField('caseNumber', `${eraName}${fullMatch[2]}年(${fullMatch[3]})第${fullMatch[4]}号`, 'caseNumber.display',
+          sectionStart + fullMatch.index, sectionStart + fullMatch.index + fullMatch[0].length);
+      } else {
+        const numMatch = sectionText.match(/第\s*(\d+)\s*号/);
+        if (numMatch) {
+          const caseNum = numMatch[1];
+          const numStart = sectionStart + numMatch.index;
+          const numEnd = numStart + numMatch[0].length;
+          const symbolMatch = sectionText.match(new RegExp(`[（(]\\s*([${caseSymbols}])\\s*[）)]`));
+          const symbol = symbolMatch ? symbolMatch[1] : 'ワ';
+          const guessed = !symbolMatch;
+          // 本文中の和暦の年のうち最も古いもの（元号をまたいでも西暦で比べる）
+          const yearMatches = [];
+          const yearRegex = new RegExp(`(${ERA_PATTERN})\\s*(\\d+|元)\\s*年`, 'g');
+          let ym;
+          while ((ym = yearRegex.exec(cleanText)) !== null) {
+            try {
+              yearMatches.push({ era: ym[1], year: ym[2], seireki: warekiYearToSeireki(ym[1], ym[2]) });
+            } catch (e) { /* その元号に無い年は使わない */ }
+          }
+          if (yearMatches.length > 0) {
+            const oldest = yearMatches.reduce((a, b) => (b.seireki < a.seireki ? b : a));
+            setField('caseNumber', `${oldest.era}${oldest.year}年(${symbol})第${caseNum}号`,
+              guessed ? 'caseNumber.display.symbolGuessed' : 'caseNumber.display.yearGuessed', numStart, numEnd);
+            info.caseNumberGuessed = guessed;
+          } else {
+            setField('caseNumber', `(${symbol})第${caseNum}号`, 'caseNumber.display.numberOnly', numStart, numEnd);
+            info.caseNumberGuessed = true;
+          }
+        }
+      }
+    }
+  }
+
+  // --- 事件名 ---
+  const caseNamePatterns = [
+    /損\s*害\s*賠\s*償[\s\S]{0,80}?請\s*求\s*事\s*件/,
+    /(?:号\s*)([\u4e00-\u9fff][\u4e00-\u9fff\s]*(?:請\s*求|確\s*認|等?)\s*事\s*件)/,
+    /(損\s*害\s*賠\s*償\s*請\s*求\s*事\s*件|貸\s*金\s*返\s*還\s*請\s*求\s*事\s*件|建\s*物\s*明\s*渡\s*請\s*求\s*事\s*件|不\s*当\s*利\s*得\s*返\s*還\s*請\s*求\s*事\s*件)/,
+    /([\u4e00-\u9fff][\u4e00-\u9fff\s]*(?:請\s*求|確\s*認)\s*事\s*件)/,
+  ];
+  const caseNamePatternIds = ['caseName.damages', 'caseName.afterNumber', 'caseName.known', 'caseName.generic'];
+  for (let i = 0; i < caseNamePatterns.length; i++) {
+    const match = cleanText.match(caseNamePatterns[i]);
+    if (match) {
+      const useGroup = match[1] && !match[0].startsWith('損害');
+      const start = useGroup ? groupStart(match, 1) : match.index;
+      const end = useGroup ? start + match[1].length : match.index + match[0].length;
+      let caseName = useGroup ? match[1] : match[0];
+      caseName = caseName.replace(/^号\s*/, '');
+      caseName = caseName.replace(/[\s\n\r]+/g, '');
+      const cleaned = caseName.match(/([\u4e00-\u9fff]+請求事件|[\u4e00-\u9fff]+確認事件)/);
+      if (cleaned) {
+        setField('caseName', cleaned[1], caseNamePatternIds[i], start, end);
+      } else if (caseName.includes('事件')) {
+        setField('caseName', caseName, caseNamePatternIds[i], start, end, 0.2);
+      }
+      break;
+    }
+  }
+
+  // --- 原告名・被告名 ---
+  const partySection = cleanText.match(/当\s*事\s*者[\s\S]{0,200}/);
+  if (partySection) {
+    const partySectionText = partySection[0];
+    const plaintiffInParty = partySectionText.match(
+      /原\s*[告&]\s*[_\s]*([^\n原被]{1,40})/
+    );
+    if (plaintiffInParty) {
+      let name = plaintiffInParty[1].trim();
+      const start = groupStart(plaintiffInParty, 1, partySection.index);
+      const end = start + plaintiffInParty[1].trimEnd().length;
+      name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+      const parts = name.split(/ (外\d+名)$/);
+      const value = parts.length > 1
+        ? parts[0].replace(/\s+/g, '') + ' ' + parts[1]
+        : name.replace(/\s+/g, '');
+      setField('plaintiffName', value, 'party.section', start, end);
+    }
+    const defendantInParty = partySectionText.match(
+      /被\s*告\s*[_\s]*([^\n原被]{1,40})/
+    );
+    if (defendantInParty) {
+      let name = defendantInParty[1].trim();
+      const start = groupStart(defendantInParty, 1, partySection.index);
+      const end = start + defendantInParty[1].trimEnd().length;
+      name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+      const parts = name.split(/ (外\d+名)$/);
+      const value = parts.length > 1
+        ? parts[0].replace(/\s+/g, '') + ' ' + parts[1]
+        : name.replace(/\s+/g, '');
+      setField('defendantName', value, 'party.section', start, end);
+    }
+  }
+
+  // フォールバック: 当事者セクションで見つからなかった場合
+  if (!info.plaintiffName) {
+    const plaintiffPatterns = [
+      /[【\[［]\s*原\s*告\s*[】\]］]\s*\n?\s*([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n【\[［]{1,30})/,
+      /原\s*告\s+(?!.*(?:訴\s*訟|代\s*理))([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n（(被代訴】\]］]{1,20})/,
+    ];
+    for (let p = 0; p < plaintiffPatterns.length; p++) {
+      const allMatches = [];
+      const globalPattern = new RegExp(plaintiffPatterns[p].source, 'g');
+      let match;
+      while ((match = globalPattern.exec(cleanText)) !== null) {
+        allMatches.push(match);
+      }
+      for (const match of allMatches) {
+        let name = match[1].trim();
+        const cleanedName = name.replace(/\s+/g, '');
+        if (cleanedName.length <= 1) continue;
+        name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+        const parts = name.split(/ (外\d+名)$/);
+        const value = parts.length > 1
+          ? parts[0].replace(/\s+/g, '') + ' ' + parts[1]
+          : cleanedName;
+        const start = groupStart(match, 1);
+        setField('plaintiffName', value, p === 0 ? 'party.bracket' : 'party.label',
+          start, start + match[1].trimEnd().length);
+        break;
+      }
+      if (info.plaintiffName) break;
+    }
+  }
+
+  if (!info.defendantName) {
+    const defendantPatterns = [
+      /[【\[［]\s*(?:被|a)\s*告\s*[】\]］]\s*\n?\s*([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n【\[［]{1,30})/,
+      /被\s*告\s+(?!.*(?:訴\s*訟|代\s*理))([\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff][^\n（(原代訴】\]］]{1,30})/,
+    ];
+    for (let p = 0; p < defendantPatterns.length; p++) {
+      const allMatches = [];
+      const globalPattern = new RegExp(defendantPatterns[p].source, 'g');
+      let match;
+      while ((match = globalPattern.exec(cleanText)) !== null) {
+        allMatches.push(match);
+      }
+      for (const match of allMatches) {
+        let name = match[1].trim();
+        const cleanedName = name.replace(/\s+/g, '');
+        if (cleanedName.length <= 1) continue;
+        name = name.replace(/\s*(外\s*\d+\s*名)\s*$/, (_, suffix) => ' ' + suffix.replace(/\s+/g, ''));
+        const parts = name.split(/ (外\d+名)$/);
+        const value = parts.length > 1
+          ? parts[0].replace(/\s+/g, '') + ' ' + parts[1]
+          : cleanedName;
+        const start = groupStart(match, 1);
+        setField('defendantName', value, p === 0 ? 'party.bracket' : 'party.label',
+          start, start + match[1].trimEnd().length);
+        break;
+      }
+      if (info.defendantName) break;
+    }
+  }
+
+  // --- 原告代理人弁護士名 ---
+  const lawyerCandidates = [];
+
+  function cleanLawyerName(rawName) {
+    let name = rawName.trim();
+    const cjkChars = name.match(/[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]+/g);
+    if (cjkChars) {
+      name = cjkChars.join('');
+    } else {
+      return null;
+    }
+    name = name.replace(/宛て$/, '');
+    name = name.replace(/[宛殿様御中方和]+$/, '');
+    if (name.length < 2 || name.length > 6) return null;
+    if (/^[法会事件番号裁判]/.test(name)) return null;
+    return name;
+  }
+
+  const ownLawyerNames = getOwnLawyerNames(config);
+  const LAWYER_PATTERNS = ['lawyer.formal', 'lawyer.sender', 'lawyer.addressee', 'lawyer.general'];
+
+  function lawyerCandidate(name, priority, match) {
+    const start = groupStart(match, 1);
+    return { name, priority, start, end: start + match[1].trimEnd().length };
+  }
+
+  const formalPattern = /原告\s*(?:ら)?\s*(?:訴\s*訟)?\s*代理\s*人\s*弁護\s*士\s*([^\n]{2,20})/g;
+  let lm;
+  while ((lm = formalPattern.exec(cleanText)) !== null) {
+    const name = cleanLawyerName(lm[1]);
+    if (name) lawyerCandidates.push(lawyerCandidate(name, 1, lm));
+  }
+
+  const senderPattern = /人\s*弁護\s*士\s*([^\n]{2,20})/g;
+  while ((lm = senderPattern.exec(cleanText)) !== null) {
+    const contextBefore = cleanText.substring(Math.max(0, lm.index - 30), lm.index);
+    if (contextBefore.includes('被告')) continue;
+    const name = cleanLawyerName(lm[1]);
+    if (name) lawyerCandidates.push(lawyerCandidate(name, 2, lm));
+  }
+
+  const atePattern = /弁護\s*士\s*([^\n]{2,15})\s*宛/g;
+  while ((lm = atePattern.exec(cleanText)) !== null) {
+    const name = cleanLawyerName(lm[1]);
+    if (name) lawyerCandidates.push(lawyerCandidate(name, 3, lm));
+  }
+
+  const generalPattern = /弁護\s*士\s*([^\n]{2,15})/g;
+  while ((lm = generalPattern.exec(cleanText)) !== null) {
+    const contextBefore = cleanText.substring(Math.max(0, lm.index - 50), lm.index);
+    if (contextBefore.includes('被告')) continue;
+    const name = cleanLawyerName(lm[1]);
+    if (name && !ownLawyerNames.some(own => name.includes(own))) {
+      lawyerCandidates.push(lawyerCandidate(name, 4, lm));
+    }
+  }
+
+  if (lawyerCandidates.length > 0) {
+    const uniqueNames = [...new Set(lawyerCandidates.map(c => c.name))];
+    const uniqueCandidates = uniqueNames.map(name => {
+      const best = lawyerCandidates.filter(c => c.name === name)
+        .sort((a, b) => a.priority - b.priority)[0];
+      return best;
+    });
+    uniqueCandidates.sort((a, b) => {
+      if (a.priority !== b.priority) return a.priority - b.priority;
+      const aIdeal = (a.name.length >= 3 && a.name.length <= 4) ? 0 : 1;
+      const bIdeal = (b.name.length >= 3 && b.name.length <= 4) ? 0 : 1;
+      if (aIdeal !== bIdeal) return aIdeal - bIdeal;
+      return b.name.length - a.name.length;
+    });
+    const best = uniqueCandidates[0];
+    let bestName = best.name;
+    let penalty = 0;
+    if (bestName.length === 5) {
+      const shorter = uniqueCandidates.find(c => c.name.length <= 3 && bestName.startsWith(c.name));
+      if (shorter) {
+        bestName = bestName.substring(0, 4);
+        penalty += 0.1;
+      }
+    }
+    // 同じ優先度で別人の候補がある場合は確信度を下げる
+    const hasRival = cand => uniqueCandidates.some(c => c !== cand && c.priority === cand.priority &&
+      !cand.name.startsWith(c.name) && !c.name.startsWith(cand.name));
+    if (hasRival(best)) penalty += 0.15;
+    setField('plaintiffLawyer', bestName, LAWYER_PATTERNS[best.priority - 1], best.start, best.end, penalty);
+    uniqueCandidates.forEach(c => {
+      addCandidate('plaintiffLawyer', c.name, LAWYER_PATTERNS[c.priority - 1], c.start, c.end,
+        hasRival(c) ? 0.15 : 0);
+    });
+  }
+
+  // --- 裁判所FAX番号（裁判所名簿）---
+  if (info.courtName) {
+    const match = lookupCourt(info.courtName);
+    info.courtFax = (match && match.fax) || '';
+    if (info.courtFax) {
+      const pattern = match.matchedBy === 'division' ? 'courtFax.directoryDivision'
+        : match.matchedBy === 'parent' ? 'courtFax.directoryParent' : 'courtFax.directory';
+      setField('courtFax', info.courtFax, pattern);
+      fieldMeta.courtFax.directory = match;
+      addCandidate('courtFax', info.courtFax, pattern).directory = match;
+    }
+  }
+
+  // --- FAX番号の抽出 ---
+  const ownFaxPatterns = getOwnFaxNumbers(config);
+  const courtFaxValues = [];
+  for (const court of getCourtDirectory()) {
+    [court.fax, ...court.divisions.map(d => d.fax)].forEach(fax => { if (fax) courtFaxValues.push(fax); });
+  }
+
+  function normalizeFax(raw) {
+    return raw
+      .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+      .replace(/[－ー・]/g, '-');
+  }
+
+  const explicitCourtFaxMatch = cleanText.match(
+    /裁\s*判\s*所[\s\S]{0,60}?[（(]\s*(?:FAX|ＦＡＸ|[Ff]ax)\s*([0-9０-９\-－ー・]+)\s*[）)]/
+  );
+  if (explicitCourtFaxMatch) {
+    const start = explicitCourtFaxMatch.index + explicitCourtFaxMatch[0].lastIndexOf(explicitCourtFaxMatch[1]);
+    setField('courtFaxFromPdf', normalizeFax(explicitCourtFaxMatch[1]), 'courtFax.explicit',
+      start, start + explicitCourtFaxMatch[1].length);
+  }
+
+  const allExplicitFaxes = [];
+  const explicitFaxRegex = /([\u4e00-\u9fff]{1,10})\s*[（(]\s*(?:FAX|ＦＡＸ|[Ff]ax)\s*([0-9０-９\-－ー・]+)\s*[）)]/g;
+  let efm;
+  while ((efm = explicitFaxRegex.exec(cleanText)) !== null) {
+    const start = efm.index + efm[0].lastIndexOf(efm[2]);
+    allExplicitFaxes.push({ label: efm[1], fax: normalizeFax(efm[2]), start, end: start + efm[2].length });
+  }
+  for (const ef of allExplicitFaxes) {
+    if (ef.label.includes('裁判') || ef.label.includes('裁判所')) continue;
+    if (info.courtFaxFromPdf && ef.fax === info.courtFaxFromPdf) continue;
+    const isOwn = ownFaxPatterns.some(p => ef.fax.includes(p));
+    if (isOwn) continue;
+    if (!info.plaintiffLawyerFax) {
+      setField('plaintiffLawyerFax', ef.fax, 'lawyerFax.labeled', ef.start, ef.end);
+    }
+    addCandidate('plaintiffLawyerFax', ef.fax, 'lawyerFax.labeled', ef.start, ef.end);
+  }
+
+  const faxRegex = /(?:FAX|ＦＡＸ|[Ff]ax)[：:\s]*([0-9０-９\-－ー・]+)/g;
+  const allFaxEntries = [];
+  let faxMatch;
+  while ((faxMatch = faxRegex.exec(cleanText)) !== null) {
+    const faxNum = normalizeFax(faxMatch[1]);
+    const start = groupStart(faxMatch, 1);
+    allFaxEntries.push({ fax: faxNum, index: faxMatch.index, start, end: start + faxMatch[1].length });
+  }
+
+  for (const entry of allFaxEntries) {
+    const isOwnFax = ownFaxPatterns.some(p => entry.fax.includes(p));
+    if (isOwnFax) continue;
+    if (info.courtFaxFromPdf && entry.fax.includes(info.courtFaxFromPdf)) continue;
+    const isKnownCourtFax = courtFaxValues.some(cf => entry.fax.includes(cf));
+    const textBefore = cleanText.substring(
+      Math.max(0, entry.index - 200), entry.index
+    );
+    const isNearPlaintiffLawyer = /原告\s*(?:ら)?\s*訴\s*訟\s*代\s*理\s*人/.test(textBefore) ||
+      (/弁護\s*士/.test(textBefore) && !textBefore.includes('被告'));
+    const isNearDefendantLawyer = /被告\s*(?:ら)?\s*訴\s*訟\s*代\s*理\s*人/.test(textBefore);
+    if (isNearDefendantLawyer) {
+      // 採用はしないが、宛先欄の「被告訴訟代理人」に引きずられている場合に備えて候補には残す
+      if (!isKnownCourtFax) addCandidate('plaintiffLawyerFax', entry.fax, 'lawyerFax.nearDefendant', entry.start, entry.end);
+      continue;
+    }
+    if (isKnownCourtFax) {
+      if (!info.courtFaxFromPdf) {
+        setField('courtFaxFromPdf', entry.fax, 'courtFax.known', entry.start, entry.end);
+      }
+      addCandidate('courtFax', entry.fax, 'courtFax.known', entry.start, entry.end);
+    } else {
+      const pattern = isNearPlaintiffLawyer ? 'lawyerFax.nearLawyer' : 'lawyerFax.fallback';
+      if (!info.plaintiffLawyerFax) {
+        setField('plaintiffLawyerFax', entry.fax, pattern, entry.start, entry.end);
+      }
+      addCandidate('plaintiffLawyerFax', entry.fax, pattern, entry.start, entry.end);
+    }
+  }
+
+  if (info.courtFaxFromPdf) {
+    info.courtFax = info.courtFaxFromPdf;
+    fieldMeta.courtFax = fieldMeta.courtFaxFromPdf;
+    const check = info.courtName ? checkCourtFax(info.courtName, info.courtFax) : null;
+    if (check && check.status === 'mismatch') {
+      info.courtFaxMismatch = check;
+      fieldMeta.courtFax = Object.assign({}, fieldMeta.courtFax, {
+        confidence: Math.max(0, Math.round((fieldMeta.courtFax.confidence - COURT_FAX_MISMATCH_PENALTY) * 100) / 100),
+      });
+    }
+  }
+
+  // 候補の先頭を採用した値にそろえる
+  for (const field of Object.keys(fieldMeta)) {
+    const others = (candidates[field] || []).filter(c => c.value !== info[field]);
+    candidates[field] = [Object.assign({ value: info[field] }, fieldMeta[field])].concat(others);
+  }
+
+  info.fieldMeta = fieldMeta;
+  info.candidates = candidates;
+  return info;
+}
@@ -0,0 +1,128 @@
+/**
+ * IndexedDB の薄いラッパー（Promise化）
+ *
+ * runtime.indexedDB を使う。呼び出し側で runtime.indexedDB の有無を確認すること。
+ */
+
+import { runtime } from './runtime.js';
+
+const openCache = new Map();
+const conflictListeners = new Set();
+
+// 利用者データ（事件台帳・送付書テンプレート・OCR結果・受領書の書式・暗号化した設定）のデータベース。ストアを追加したら版を上げる
+const DATA_DB_NAME = 'tsukurukun_data';
+const DATA_DB_VERSION = 5;
+const DATA_STORES = {
+  cases: { keyPath: 'key' },
+  templates: { keyPath: 'id' },
+  ocr: { keyPath: 'hash' },
+  receiptProfiles: { keyPath: 'id' },
+  secure: { keyPath: 'id' },
+};
+
+/**
+ * 別のタブ・ウィンドウと版が合わずにデータベースを使えないときに呼ぶ関数を登録する。
+ * - blocked: 古い版を開いたままのタブがあり、版を上げられない（開こうとした操作は失敗する）
+ * - versionchange: 別のタブが新しい版で開いたので、このタブの接続を閉じた（再読み込みが必要）
+ *
+ * @param {function({name: string, reason: 'blocked'|'versionchange', message: string}): void} listener
+ * @returns {function(): void} 登録を外す関数
+ */
+export function onDatabaseConflict(listener) {
+  conflictListeners.add(listener);
+  return () => conflictListeners.delete(listener);
+}
+
+function notifyConflict(name, reason, message) {
+  conflictListeners.forEach(listener => {
+    try {
+      listener({ name, reason, message });
+    } catch (err) {
+      console.warn('[IndexedDB]', err);
+    }
+  });
+}
+
+/**
+ * データベースを開く（同じ名前・同じ IndexedDB 実装なら接続を使い回す）。
+ *
+ * 古い版を開いたままのタブがあって版を上げられなければ、待ち続けずに失敗する（次の操作で開き直す）。
+ * 別のタブが新しい版で開いたら、このタブの接続は閉じて使い回しをやめる。
+ *
+ * @param {string} name
+ * @param {number} version
+ * @param {Object<string, IDBObjectStoreParameters>} stores 無ければ作るオブジェクトストア
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, stores) {
+  const cached = openCache.get(name);
+  if (cached && cached.factory === runtime.indexedDB) return cached.promise;
+  const entry = { factory: runtime.indexedDB, promise: null };
+  const forget = () => {
+    if (openCache.get(name) === entry) openCache.delete(name);
+  };
+  entry.promise = new Promise((resolve, reject) => {
+    let blocked = false;
+    const req = runtime.indexedDB.open(name, version);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [storeName, params] of Object.entries(stores)) {
+        if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName, params);
+      }
+    };
+    req.onblocked = () => {
+      blocked = true;
+      const message = '別のタブ・ウィンドウで古い版のつくる君が開いているため、保存したデータを読み書きできません。' +
+        'ほかのタブ・ウィンドウを閉じてから、もう一度操作してください。';
+      notifyConflict(name, 'blocked', message);
+      reject(new Error(message));
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // 失敗を返した後で開けた接続は使わない（残すと次に版を上げるときの妨げになる）
+      if (blocked) {
+        db.close();
+        return;
+      }
+      db.onversionchange = () => {
+        db.close();
+        forget();
+        notifyConflict(name, 'versionchange',
+          '別のタブ・ウィンドウで新しい版のつくる君が開かれました。このページを再読み込みしてください。');
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  openCache.set(name, entry);
+  entry.promise.catch(forget);
+  return entry.promise;
+}
+
+/**
+ * オブジェクトストアに対する1回の操作をトランザクション完了まで待って結果を返す。
+ *
+ * @param {Promise<IDBDatabase>} dbPromise
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<*>}
+ */
+export async function idbRequest(dbPromise, storeName, mode, operation) {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * 利用者データのデータベース（tsukurukun_data）を開く。
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDataDatabase() {
+  return openDatabase(DATA_DB_NAME, DATA_DB_VERSION, DATA_STORES);
+}
@@ -0,0 +1,126 @@
+/**
+ * 文書送付書・受領書 自動でつくる君 - 公開API
+ *
+ * ブラウザ版UI（src/ui/controller.js）と CLI（cli/tsukurukun.js）は
+ * このモジュールが公開する関数だけを使う。
+ * 使用前に configureRuntime() で pdf.js・pdf-lib 等の実装を設定すること。
+ */
+
+import { extractInfoFromText } from './extract-info.js';
+
+// --- 実行環境 ---
+export { runtime, configureRuntime } from './runtime.js';
+export { onDatabaseConflict } from './idb.js';
+
+// --- 設定・印鑑・日付 ---
+export {
+  getConfig, saveConfig, getLocalConfig, getOfficeConfig, setOfficeConfig, getSeal, saveSeal, removeSeal,
+  toFullWidthNumber, getTodayReiwa,
+} from './config.js';
+export {
+  ERAS, ERA_PATTERN, toHalfWidthDigits, parseJapaneseNumber, formatJapaneseNumber, toWareki, fromWareki,
+  parseDate, formatWareki, formatSeireki, normalizeWarekiDate, warekiYearToSeireki,
+} from './wareki.js';
+export { loadJapaneseFont, loadTemplate } from './assets.js';
+
+// --- 設定・印影の暗号化 ---
+export {
+  SECURE_KEYS, DEFAULT_AUTO_LOCK_MINUTES, isSecureStoreEnabled, isSecureStoreUnlocked, assertSecureStoreUnlocked,
+  getAutoLockMinutes, setAutoLockMinutes, onSecureStoreLock, enableSecureStore, unlockSecureStore, lockSecureStore,
+  changeSecureStorePassphrase, disableSecureStore, resetSecureStore, flushSecureStore,
+} from './secure-store.js';
+
+// --- 設定の書き出し・読み込み、事務所共通の設定 ---
+export {
+  exportSettingsBundle, readSettingsBundle, importSettingsBundle, applyOfficeConfig,
+} from './settings-bundle.js';
+
+// --- 弁護士 ---
+export {
+  SIGNER_TITLES, DEFAULT_SIGNER_TITLE, listLawyers, getLawyer, getDefaultLawyer, findLawyerByName,
+  saveLawyer, deleteLawyer, setDefaultLawyer, getLawyerSeal, getOwnLawyerNames, getOwnFaxNumbers,
+} from './lawyers.js';
+
+// --- 裁判所名簿 ---
+export {
+  normalizeCourtName, normalizeDivisionName, splitCourtName,
+  getCourtDirectory, findCourt, saveCourt, deleteCourt, restoreCourt, resetCourtDirectory, setOfficeCourtDirectory,
+  lookupCourt, describeCourtMatch, parseCsv, exportCourtDirectory, importCourtDirectory,
+  checkCourtFax, recordCourtFaxObservation, getCourtFaxReviewQueue,
+  acceptCourtFaxObservation, dismissCourtFaxObservation,
+} from './court-directory.js';
+
+// --- 事件台帳 ---
+export {
+  CASE_FIELDS, normalizeCaseNumber, caseKey, listCases, findCase, saveCase, updateCase,
+  deleteCase, clearCases, mergeCases, applyCaseRecord, applyCaseRegistry, findCaseLawyer,
+} from './case-registry.js';
+
+// --- PDF共通 ---
+export { openPdf, countPdfPages, renderPageToCanvas, getPdfPageSize } from './pdf.js';
+
+// --- テキスト抽出・情報抽出 ---
+export {
+  extractTextFromPDFBrowser, extractTextWithOCRBrowser, extractTextBrowser, extractTextFromDocx,
+} from './text-extract.js';
+
+// --- OCRワーカープール ---
+export { createAbortError, getOcrPoolSize, recognizeImage, terminateOcrPool } from './ocr-pool.js';
+export { hashData, getCachedReceiptOcr, putCachedReceiptOcr, clearOcrCache } from './ocr-cache.js';
+export {
+  ORIENTATION_CANDIDATES, UPRIGHT, layoutRotation, rotateCanvas, scoreOrientation, recognizeOriented,
+} from './ocr-orientation.js';
+export {
+  rotateImagePoint, unrotateImagePoint, layoutToPagePoint, layoutSize, getPageFrame,
+} from './page-frame.js';
+export { VENDOR_ASSETS, checkVendorAssets } from './vendor-assets.js';
+export {
+  normalizeExtractedText, normalizeWithOffsets, extractInfoFromText,
+  PATTERN_CONFIDENCE, LOW_CONFIDENCE,
+} from './extract-info.js';
+
+/**
+ * テキストから送付書の項目（裁判所・事件番号・事件名・当事者・FAX等）を抽出する。
+ *
+ * @param {string} text    PDF / OCR / Word から取り出したテキスト
+ * @param {Object} [config] 事務所設定（省略時は保存済みの設定）
+ * @returns {Object} 抽出結果
+ */
+export function extractInfo(text, config) {
+  return extractInfoFromText(text, config);
+}
+
+// --- 文書送付書 ---
+export {
+  safeReplaceInXml, applyInfoToTemplate, buildPlaceholderValues, applyPlaceholdersToXml, buildEnclosureList,
+  getDocumentTitleFromFilename, uploadAndExtractBrowser, mergeExtractedInfo, generateDocumentBrowser, resolveSendDate,
+} from './sofusho.js';
+export { buildSofushoLayout, generateSofushoPdfBrowser, generateSofushoBundleBrowser } from './sofusho-pdf.js';
+
+// --- 送付書テンプレート ---
+export {
+  BUILTIN_TEMPLATE_ID, TEMPLATE_PLACEHOLDERS, REQUIRED_PLACEHOLDERS,
+  findPlaceholders, inspectSofushoTemplate, listSofushoTemplates, addSofushoTemplate,
+  getSofushoTemplate, restoreSofushoTemplate, deleteSofushoTemplate, getDefaultSofushoTemplateId, setDefaultSofushoTemplate,
+} from './sofusho-template.js';
+
+// --- 受領書 ---
+export {
+  runOcrBrowser, px2pdf, findReceiptLabel, scoreReceiptPage, findReceiptPage,
+  detectPositions, RECEIPT_FONT_SIZE, RECEIPT_SEAL_SIZE, resolveReceiptPlacements,
+  formatReceiptDate, generateReceiptBrowser, generateReceiptsBrowser,
+} from './receipt.js';
+export {
+  findSenderFaxNumbers, receiptFingerprint, matchReceiptProfile, profilePlacements, saveReceiptProfile,
+  touchReceiptProfile, listReceiptProfiles, deleteReceiptProfile,
+} from './receipt-profile.js';
+export {
+  SEAL_KINDS, SEAL_DEFAULTS, listSeals, getSealRecord, pickSeal, sealsForSigner, addSeal, updateSeal, deleteSeal,
+  importSeals, extractSealInk, importSealImage,
+} from './seal.js';
+
+// --- 証拠番号 ---
+export {
+  buildEvidenceLabel, buildMintsFileName, stampEvidence, generateEvidenceBrowser,
+  mergePdfs, generateEvidenceSheetDocx,
+} from './evidence.js';
@@ -0,0 +1,169 @@
+/**
+ * 弁護士 - 事務所の弁護士ごとの氏名・略称・肩書き・印影・直通FAX
+ *
+ * 事務所設定（tsukurukun_config）の lawyers に持ち、既定の弁護士を defaultLawyerId で選ぶ。
+ * 受領書・送付書の署名者はこの中から選び、事件台帳には担当の弁護士（氏名）を覚える。
+ * 以前の1人だけの設定（signerName・faxNumbers）は、弁護士が未登録のあいだその1人として扱い、
+ * signerName は既定の弁護士の氏名にそろえておく（CLI・受領書の署名者の既定に使う）。
+ */
+
+import { getConfig, saveConfig } from './config.js';
+import { listSeals, updateSeal, getSealRecord, pickSeal } from './seal.js';
+
+/** 署名者の肩書き（選択肢。ほかの肩書きも入力できる） */
+export const SIGNER_TITLES = [
+  '被告訴訟代理人', '原告訴訟代理人', '相手方代理人', '申立人代理人',
+  '債権者代理人', '債務者代理人', '控訴人訴訟代理人', '被控訴人訴訟代理人',
+];
+
+/** 肩書きが未設定のとき */
+export const DEFAULT_SIGNER_TITLE = SIGNER_TITLES[0];
+
+const LEGACY_ID = 'lawyer_default';
+
+function normalizeName(name) {
+  return String(name || '').replace(/[\s　]/g, '');
+}
+
+/**
+ * 登録した弁護士（登録順）。未登録で以前の署名者名があれば、その1人を返す。
+ *
+ * @param {Object} [config] 事務所設定（省略時は保存済みの設定）
+ * @returns {{id: string, name: string, shortName: string, title: string, fax: string, sealId: string}[]}
+ *   shortName は文書中の表記（抽出で自事務所の弁護士として除く）、sealId は使う印影（空なら seal.js の pickSeal で選ぶ）
+ */
+export function listLawyers(config = getConfig()) {
+  if (Array.isArray(config.lawyers) && config.lawyers.length) return config.lawyers;
+  if (!config.signerName) return [];
+  return [{
+    id: LEGACY_ID, name: config.signerName, shortName: '', title: '',
+    fax: (config.faxNumbers || [])[0] || '', sealId: '',
+  }];
+}
+
+/**
+ * @param {string} id
+ * @param {Object} [config]
+ * @returns {Object|null}
+ */
+export function getLawyer(id, config = getConfig()) {
+  return listLawyers(config).find(l => l.id === id) || null;
+}
+
+/**
+ * 既定の弁護士（未設定なら最初の弁護士）。弁護士が居なければ null。
+ * @param {Object} [config]
+ * @returns {Object|null}
+ */
+export function getDefaultLawyer(config = getConfig()) {
+  const lawyers = listLawyers(config);
+  return lawyers.find(l => l.id === config.defaultLawyerId) || lawyers[0] || null;
+}
+
+/**
+ * 氏名または略称で弁護士を探す（空白の有無は問わない）。事件台帳の担当弁護士から選ぶときに使う。
+ * @param {string} name
+ * @param {Object} [config]
+ * @returns {Object|null}
+ */
+export function findLawyerByName(name, config = getConfig()) {
+  const key = normalizeName(name);
+  if (!key) return null;
+  const lawyers = listLawyers(config);
+  return lawyers.find(l => normalizeName(l.name) === key) ||
+    lawyers.find(l => l.shortName && normalizeName(l.shortName) === key) || null;
+}
+
+function storeLawyers(config, lawyers, defaultLawyerId) {
+  const next = Object.assign({}, config, { lawyers });
+  next.defaultLawyerId = lawyers.some(l => l.id === defaultLawyerId) ? defaultLawyerId : (lawyers[0] ? lawyers[0].id : '');
+  const def = lawyers.find(l => l.id === next.defaultLawyerId);
+  next.signerName = def ? def.name : '';
+  saveConfig(next);
+  return next;
+}
+
+/**
+ * 弁護士を登録・更新する（id があれば更新）。氏名を変えたら、その弁護士の印影の持ち主も付け替える。
+ *
+ * @param {{id?: string, name: string, shortName?: string, title?: string, fax?: string, sealId?: string}} lawyer
+ * @returns {Object} 保存した弁護士
+ */
+export function saveLawyer(lawyer) {
+  const name = String(lawyer.name || '').trim();
+  if (!name) throw new Error('弁護士の氏名を入力してください');
+  const config = getConfig();
+  const lawyers = listLawyers(config).slice();
+  const index = lawyer.id ? lawyers.findIndex(l => l.id === lawyer.id) : -1;
+  const previous = index >= 0 ? lawyers[index] : null;
+  if (lawyers.some(l => l !== previous && normalizeName(l.name) === normalizeName(name))) {
+    throw new Error('同じ氏名の弁護士が既にいます: ' + name);
+  }
+  const record = {
+    id: previous ? previous.id : 'lawyer_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name,
+    shortName: String(lawyer.shortName || '').trim(),
+    title: String(lawyer.title || '').trim(),
+    fax: String(lawyer.fax || '').trim(),
+    sealId: String(lawyer.sealId || ''),
+  };
+  if (previous) lawyers[index] = record;
+  else lawyers.push(record);
+  if (previous && normalizeName(previous.name) !== normalizeName(name)) {
+    listSeals().filter(s => normalizeName(s.owner) === normalizeName(previous.name))
+      .forEach(s => updateSeal(s.id, { owner: name }));
+  }
+  storeLawyers(config, lawyers, config.defaultLawyerId || record.id);
+  return record;
+}
+
+/**
+ * 弁護士を削除する（印影は残す）。
+ * @param {string} id
+ */
+export function deleteLawyer(id) {
+  const config = getConfig();
+  storeLawyers(config, listLawyers(config).filter(l => l.id !== id), config.defaultLawyerId);
+}
+
+/**
+ * 既定の弁護士にする。
+ * @param {string} id
+ */
+export function setDefaultLawyer(id) {
+  const config = getConfig();
+  storeLawyers(config, listLawyers(config).slice(), id);
+}
+
+/**
+ * 弁護士の印影（選んだ印影、無ければその弁護士の認印など。pickSeal）。無ければ null（㊞）。
+ * @param {Object} lawyer
+ * @returns {Object|null}
+ */
+export function getLawyerSeal(lawyer) {
+  if (!lawyer) return null;
+  return (lawyer.sealId && getSealRecord(lawyer.sealId)) || pickSeal(lawyer.name);
+}
+
+/**
+ * 自事務所の弁護士名（抽出で相手方の代理人と取り違えないよう除く名前）。
+ * 事務所設定の lawyerNames に、登録した弁護士の氏名・略称を加えたもの。
+ * @param {Object} [config]
+ * @returns {string[]}
+ */
+export function getOwnLawyerNames(config = getConfig()) {
+  const names = (config.lawyerNames || []).slice();
+  for (const l of listLawyers(config)) names.push(l.name, l.shortName);
+  return [...new Set(names.map(n => String(n || '').trim()).filter(Boolean))];
+}
+
+/**
+ * 自事務所のFAX番号（事務所設定の faxNumbers と、弁護士の直通FAX）。
+ * @param {Object} [config]
+ * @returns {string[]}
+ */
+export function getOwnFaxNumbers(config = getConfig()) {
+  const numbers = (config.faxNumbers || []).slice();
+  for (const l of listLawyers(config)) numbers.push(l.fax);
+  return [...new Set(numbers.map(n => String(n || '').trim()).filter(Boolean))];
+}
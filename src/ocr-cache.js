@@ -0,0 +1,103 @@
+/**
+ * OCR結果のキャッシュ - PDFの内容のハッシュ（SHA-256）ごとに、受領書ページの検出結果を覚えておく
+ *
+ * 受領書モードではプレビューと生成で同じPDFをOCRするので、2回目以降（生成・署名者を変えての再生成・
+ * 同じファイルの読み込み直し）はOCRを省く。
+ * 常にメモリに持ち、事務所設定の ocrCacheMode が 'indexeddb' なら IndexedDB（tsukurukun_data / ocr）にも保存する。
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig } from './config.js';
+import { openDataDatabase, idbRequest } from './idb.js';
+
+const STORE = 'ocr';
+
+// OCRの条件（描画倍率・検出方法）を変えたら上げる。版の違う記録は使わない
+const CACHE_VERSION = 2;
+const MEMORY_LIMIT = 50;
+
+const memoryCache = new Map();
+
+function useIndexedDB() {
+  return !!runtime.indexedDB && getConfig().ocrCacheMode === 'indexeddb';
+}
+
+function remember(record) {
+  memoryCache.delete(record.hash);
+  memoryCache.set(record.hash, record);
+  // 古いものから捨てる（Map は挿入順）
+  while (memoryCache.size > MEMORY_LIMIT) memoryCache.delete(memoryCache.keys().next().value);
+}
+
+/**
+ * データの SHA-256（16進）。Web Crypto が無い環境では null（キャッシュしない）。
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string|null>}
+ */
+export async function hashData(data) {
+  const subtle = runtime.crypto && runtime.crypto.subtle;
+  if (!subtle) return null;
+  const digest = await subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * キャッシュした受領書ページの検出結果。
+ *
+ * @param {string} hash hashData() の値
+ * @returns {Promise<{pageNum: number, ocr: {words: Object[], imgWidth: number, imgHeight: number, orientation: Object}}|null>}
+ */
+export async function getCachedReceiptOcr(hash) {
+  let record = memoryCache.get(hash);
+  if (!record && useIndexedDB()) {
+    try {
+      record = await idbRequest(openDataDatabase(), STORE, 'readonly', store => store.get(hash));
+    } catch (err) {
+      console.warn('[OCRキャッシュ] 読み込めません:', err);
+    }
+    if (record) remember(record);
+  }
+  if (!record || record.version !== CACHE_VERSION) return null;
+  return {
+    pageNum: record.pageNum,
+    ocr: { words: record.words, imgWidth: record.imgWidth, imgHeight: record.imgHeight, orientation: record.orientation },
+  };
+}
+
+/**
+ * 受領書ページの検出結果をキャッシュする（IndexedDB に保存できなくてもメモリには残る）。
+ *
+ * @param {string} hash hashData() の値
+ * @param {{pageNum: number, ocr: {words: Object[], imgWidth: number, imgHeight: number, orientation: Object}}} result
+ *   findReceiptPage の結果
+ */
+export async function putCachedReceiptOcr(hash, result) {
+  const record = {
+    hash,
+    version: CACHE_VERSION,
+    pageNum: result.pageNum,
+    words: result.ocr.words,
+    imgWidth: result.ocr.imgWidth,
+    imgHeight: result.ocr.imgHeight,
+    orientation: result.ocr.orientation,
+    createdAt: new Date().toISOString(),
+  };
+  remember(record);
+  if (!useIndexedDB()) return;
+  try {
+    await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.put(record));
+  } catch (err) {
+    console.warn('[OCRキャッシュ] 保存できません:', err);
+  }
+}
+
+/**
+ * キャッシュしたOCR結果をすべて削除する（メモリと IndexedDB）。
+ * @returns {Promise<void>}
+ */
+export async function clearOcrCache() {
+  memoryCache.clear();
+  if (!runtime.indexedDB) return;
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.clear());
+}
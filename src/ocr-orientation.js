@@ -0,0 +1,135 @@
+/**
+ * OCRの向き判定 - 横書き・縦書き（jpn_vert）・90/180/270度回転したスキャンを読み分ける
+ *
+ * まず横書き（jpn）のまま読み、確信度が十分ならそれを使う（ほとんどのページは1回で終わる）。
+ * 確信度が低くても、読み直すのは向きが違う手がかりがあるときだけにする。
+ * - 行の過半数が縦長: 縦書きか横向きのスキャンなので、縦書きモデル・90度・270度の順に読み直す
+ * - 読めた文字がほとんど無い（横長の行で確信度がごく低い）: 逆さまのスキャンとみて180度だけ読み直す
+ * かすれたFAXなど、横長の行がそこそこ読めているページは読み直さない（1ページを何度もOCRすると遅く、
+ * 縦書きモデルへの切り替えはワーカーの作り直し＝言語データの読み込みにもなるため）。
+ *
+ * 読み取った語の座標は「レイアウト座標」（文字が左から右・上から下に並ぶ向き）にそろえて返す。
+ * - 回転: 画像を時計回りに rotation 度回して読んだので、その画像の座標がそのままレイアウト座標
+ * - 縦書き: 右の列から左へ・上から下へ読むので、ページを反時計回りに90度倒した座標（rotation 270 と同じ）
+ * 受領書の位置検出（detectPositions）はレイアウト座標で行い、書き込むときにページの座標へ戻す。
+ */
+
+import { runtime } from './runtime.js';
+import { recognizeImage } from './ocr-pool.js';
+
+// これ以上の確信度（0〜100）なら他の向きは試さない
+const ORIENTATION_MIN_CONFIDENCE = 55;
+// 横書きモデルで読んだ行の過半数が縦長なら縦書きと見て、確信度から差し引く
+const VERTICAL_LINE_PENALTY = 30;
+// 横長の行でもこれ未満の確信度なら、ほとんど読めていない（逆さまのスキャン）とみる
+const UNREADABLE_CONFIDENCE = 30;
+
+/** 判定しうる向き（横書き・縦書き・180度・90度・270度） */
+export const ORIENTATION_CANDIDATES = [
+  { rotation: 0, vertical: false },
+  { rotation: 0, vertical: true },
+  { rotation: 180, vertical: false },
+  { rotation: 90, vertical: false },
+  { rotation: 270, vertical: false },
+];
+
+const [HORIZONTAL, VERTICAL, UPSIDE_DOWN, ROTATED_90, ROTATED_270] = ORIENTATION_CANDIDATES;
+
+/** 向きの補正なし */
+export const UPRIGHT = { rotation: 0, vertical: false };
+
+/**
+ * レイアウト座標の回転（時計回りの度数）。縦書きはページを反時計回りに倒して読むので 270。
+ * @param {{rotation: number, vertical: boolean}} orientation
+ * @returns {number}
+ */
+export function layoutRotation(orientation) {
+  return orientation && orientation.vertical ? 270 : ((orientation && orientation.rotation) || 0);
+}
+
+/**
+ * canvas を時計回りに rotation 度（90の倍数）回した canvas を作る。
+ * @param {*} canvas
+ * @param {number} rotation
+ * @returns {*}
+ */
+export function rotateCanvas(canvas, rotation) {
+  const quarter = rotation === 90 || rotation === 270;
+  const rotated = runtime.createCanvas(quarter ? canvas.height : canvas.width, quarter ? canvas.width : canvas.height);
+  const ctx = rotated.getContext('2d');
+  ctx.translate(rotated.width / 2, rotated.height / 2);
+  ctx.rotate(rotation * Math.PI / 180);
+  ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  return rotated;
+}
+
+function meanConfidence(data) {
+  if (typeof data.confidence === 'number') return data.confidence;
+  const words = data.words || [];
+  if (words.length === 0) return 0;
+  return words.reduce((sum, w) => sum + (w.confidence || 0), 0) / words.length;
+}
+
+function mostlyTallLines(data) {
+  const lines = (data.lines || []).filter(l => l.bbox && l.text && l.text.trim().length > 1);
+  if (lines.length === 0) return false;
+  const tall = lines.filter(l => (l.bbox.y1 - l.bbox.y0) > (l.bbox.x1 - l.bbox.x0) * 1.5);
+  return tall.length * 2 > lines.length;
+}
+
+/**
+ * その向きで読んだ結果の点数（確信度。横書きモデルで縦長の行ばかりなら減点）。
+ * @param {Object} data Tesseract の認識結果
+ * @param {{rotation: number, vertical: boolean}} orientation
+ * @returns {number}
+ */
+export function scoreOrientation(data, orientation) {
+  if (!data) return 0;
+  const confidence = meanConfidence(data);
+  return !orientation.vertical && mostlyTallLines(data) ? confidence - VERTICAL_LINE_PENALTY : confidence;
+}
+
+/**
+ * 横書きのまま読んだ結果から、読み直す向き（試す順）を決める。手がかりが無ければ空。
+ * @param {Object} data 横書き（jpn）で読んだ Tesseract の認識結果
+ * @returns {{rotation: number, vertical: boolean}[]}
+ */
+function retryOrientations(data) {
+  if (mostlyTallLines(data)) return [VERTICAL, ROTATED_90, ROTATED_270];
+  if (meanConfidence(data) < UNREADABLE_CONFIDENCE) return [UPSIDE_DOWN];
+  return [];
+}
+
+/**
+ * ページ画像を向きを判定しながらOCRする。
+ *
+ * @param {*} canvas ページを描画した canvas
+ * @param {Object} [options]
+ * @param {function(number): void} [options.onProgress] 認識の進み具合（0〜1。向きを変えて読み直すたびに0から）
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{data: Object, orientation: {rotation: number, vertical: boolean}, width: number, height: number}>}
+ *   data の座標は読んだ画像（回転後の画像、縦書きはページ画像）のもの。width・height はその画像の大きさ
+ */
+export async function recognizeOriented(canvas, options = {}) {
+  const recognize = async (orientation) => {
+    const image = orientation.rotation ? rotateCanvas(canvas, orientation.rotation) : canvas;
+    const data = await recognizeImage(runtime.toOcrImage(image), {
+      lang: orientation.vertical ? 'jpn_vert' : 'jpn',
+      onProgress: options.onProgress,
+      signal: options.signal,
+    });
+    return { data, orientation, width: image.width, height: image.height, score: scoreOrientation(data, orientation) };
+  };
+  let best = await recognize(HORIZONTAL);
+  if (best.score < ORIENTATION_MIN_CONFIDENCE) {
+    for (const orientation of retryOrientations(best.data)) {
+      const result = await recognize(orientation);
+      if (result.score > best.score) best = result;
+      if (result.score >= ORIENTATION_MIN_CONFIDENCE) break;
+    }
+  }
+  if (best.orientation !== HORIZONTAL) {
+    console.log(`  [OCR] 向き: ${best.orientation.vertical ? '縦書き' : `${best.orientation.rotation}度回転`}（確信度 ${Math.round(best.score)}）`);
+  }
+  return { data: best.data, orientation: best.orientation, width: best.width, height: best.height };
+}
@@ -0,0 +1,153 @@
+/**
+ * OCRワーカープール - Tesseract.js のワーカー（jpn・縦書きの jpn_vert）をページ・ファイルをまたいで使い回す
+ *
+ * ワーカーを作るたびに日本語言語データの読み込み・初期化が走るので、1度作ったワーカーは残しておく。
+ * 最初のOCRで作り始め、待ちがあれば runtime.ocrConcurrency（CPUコア数。MAX_WORKERS まで）まで増やす。
+ * ワーカーは言語ごと。上限に達していて空いているのが別の言語のワーカーだけなら、それを終了して作り直す。
+ * 最後のOCRから IDLE_TIMEOUT_MS 使われなければすべて終了する（次のOCRでまた作る）。
+ */
+
+import { runtime } from './runtime.js';
+
+// 1ワーカーで数百MB使うので、コア数が多くてもこれ以上は作らない
+const MAX_WORKERS = 4;
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+const workers = [];   // { lang, ready: Promise<worker>, job: 実行中の job | null }
+const queue = [];     // 空きワーカー待ちの job
+let idleTimer = null;
+
+/**
+ * 中止（AbortSignal）で投げるエラー。name は 'AbortError'。
+ * @returns {Error}
+ */
+export function createAbortError() {
+  const err = new Error('読み取りを中止しました');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * プールのワーカー数の上限（並行してOCRするページ・ファイルの数）。
+ * @returns {number}
+ */
+export function getOcrPoolSize() {
+  return Math.max(1, Math.min(MAX_WORKERS, runtime.ocrConcurrency || 1));
+}
+
+function createPoolWorker(lang) {
+  const entry = { lang, ready: null, job: null };
+  entry.ready = runtime.Tesseract.createWorker(lang, 1, Object.assign({}, runtime.tesseractOptions, {
+    logger: m => {
+      if (m.status === 'recognizing text' && entry.job && entry.job.onProgress) entry.job.onProgress(m.progress || 0);
+    },
+  }));
+  workers.push(entry);
+  return entry;
+}
+
+// 失敗・中止したワーカーは状態が分からないので捨てる
+function discardWorker(entry) {
+  const i = workers.indexOf(entry);
+  if (i >= 0) workers.splice(i, 1);
+  entry.ready.then(worker => worker.terminate()).catch(() => {});
+}
+
+function scheduleIdleShutdown() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    if (queue.length === 0 && workers.every(e => !e.job)) terminateOcrPool();
+  }, IDLE_TIMEOUT_MS);
+  // Node では待ち時間だけのためにプロセスを残さない
+  if (idleTimer && idleTimer.unref) idleTimer.unref();
+}
+
+function dispatch() {
+  clearTimeout(idleTimer);
+  while (queue.length > 0) {
+    const { lang } = queue[0];
+    let entry = workers.find(e => !e.job && e.lang === lang);
+    if (!entry && workers.length >= getOcrPoolSize()) {
+      const other = workers.find(e => !e.job);
+      if (other) discardWorker(other);
+    }
+    if (!entry && workers.length < getOcrPoolSize()) entry = createPoolWorker(lang);
+    if (!entry) break;
+    run(entry, queue.shift());
+  }
+  if (queue.length === 0 && workers.every(e => !e.job)) scheduleIdleShutdown();
+}
+
+async function run(entry, job) {
+  entry.job = job;
+  job.entry = entry;
+  try {
+    const worker = await entry.ready;
+    if (job.settled) return;
+    const { data } = await worker.recognize(job.image);
+    job.resolve(data);
+  } catch (err) {
+    if (job.settled) return;
+    discardWorker(entry);
+    job.reject(err);
+  } finally {
+    if (entry.job === job) {
+      entry.job = null;
+      dispatch();
+    }
+  }
+}
+
+/**
+ * 画像をOCRする（空いたワーカーで受け付け順に処理する）。
+ *
+ * @param {*} image runtime.toOcrImage() で変換した画像
+ * @param {Object} [options]
+ * @param {string} [options.lang] 言語データ（既定は 'jpn'。縦書きは 'jpn_vert'）
+ * @param {function(number): void} [options.onProgress] 認識の進み具合（0〜1）
+ * @param {AbortSignal} [options.signal] 中止すると AbortError を投げる（認識中ならそのワーカーを終了する）
+ * @returns {Promise<Object>} Tesseract の認識結果（data）
+ */
+export function recognizeImage(image, options = {}) {
+  const { signal } = options;
+  if (signal && signal.aborted) return Promise.reject(createAbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = queue.indexOf(job);
+      if (i >= 0) queue.splice(i, 1);
+      // terminate() しても実行中の recognize は終わらないことがあるので、結果を待たずに中止する
+      if (job.entry && job.entry.job === job) {
+        discardWorker(job.entry);
+        job.entry.job = null;
+        dispatch();
+      }
+      job.reject(createAbortError());
+    };
+    const settle = fn => value => {
+      if (job.settled) return;
+      job.settled = true;
+      signal && signal.removeEventListener('abort', onAbort);
+      fn(value);
+    };
+    const job = {
+      image, lang: options.lang || 'jpn', onProgress: options.onProgress, entry: null, settled: false,
+      resolve: settle(resolve), reject: settle(reject),
+    };
+    signal && signal.addEventListener('abort', onAbort);
+    queue.push(job);
+    dispatch();
+  });
+}
+
+/**
+ * プールのワーカーをすべて終了する（CLI の終了時など。処理中・待ちの OCR は失敗させる）。
+ * @returns {Promise<void>}
+ */
+export async function terminateOcrPool() {
+  clearTimeout(idleTimer);
+  const entries = workers.splice(0);
+  const pending = queue.splice(0).concat(entries.map(entry => entry.job).filter(Boolean));
+  entries.forEach(entry => { entry.job = null; });
+  pending.forEach(job => job.reject(new Error('OCRワーカーを終了しました')));
+  await Promise.all(entries.map(entry => entry.ready.then(worker => worker.terminate()).catch(() => {})));
+}
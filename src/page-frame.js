@@ -0,0 +1,98 @@
+/**
+ * ページの座標系 - 回転（/Rotate）・CropBox・MediaBox の原点を考えて、見たままの向きの座標とページの PDF 座標を行き来する
+ *
+ * 「見たままの座標」は pdf.js で描画した画像と同じ向き・範囲（CropBox を /Rotate だけ時計回りに回したもの）で、
+ * 左下原点・上向き（PDF と同じ）。OCRの位置（px2pdf）や証拠番号スタンプの位置はこの座標で計算し、
+ * 書き込むときに getPageFrame().toPage でページの座標へ戻す。
+ * OCRのレイアウト座標（ocr-orientation.js）との変換もここの関数を使う。
+ */
+
+import { runtime } from './runtime.js';
+
+/**
+ * ページ画像（左上原点・下向き）の点を、時計回りに rotation 度回した画像の点に移す。
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} rotation
+ * @param {number} width 回す前の画像の幅
+ * @param {number} height 回す前の画像の高さ
+ * @returns {{x: number, y: number}}
+ */
+export function rotateImagePoint(x, y, rotation, width, height) {
+  switch (rotation) {
+    case 90: return { x: height - y, y: x };
+    case 180: return { x: width - x, y: height - y };
+    case 270: return { x: y, y: width - x };
+    default: return { x, y };
+  }
+}
+
+/**
+ * レイアウト座標の画像の点を、ページ画像の点に戻す（rotateImagePoint の逆）。
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} rotation
+ * @param {number} width レイアウト座標の画像の幅
+ * @param {number} height レイアウト座標の画像の高さ
+ * @returns {{x: number, y: number}}
+ */
+export function unrotateImagePoint(x, y, rotation, width, height) {
+  return rotateImagePoint(x, y, (360 - rotation) % 360, width, height);
+}
+
+/**
+ * レイアウト座標の PDF の点（左下原点・上向き）を、ページの PDF 座標に戻す。
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} rotation
+ * @param {number} pageWidth ページの幅（回す前）
+ * @param {number} pageHeight ページの高さ（回す前）
+ * @returns {{x: number, y: number}}
+ */
+export function layoutToPagePoint(x, y, rotation, pageWidth, pageHeight) {
+  switch (rotation) {
+    case 90: return { x: pageWidth - y, y: x };
+    case 180: return { x: pageWidth - x, y: pageHeight - y };
+    case 270: return { x: y, y: pageHeight - x };
+    default: return { x, y };
+  }
+}
+
+/**
+ * ページの大きさをレイアウト座標での大きさにする（90/270度なら幅と高さが入れ替わる）。
+ * @param {number} width
+ * @param {number} height
+ * @param {number} rotation
+ * @returns {{width: number, height: number}}
+ */
+export function layoutSize(width, height, rotation) {
+  return rotation === 90 || rotation === 270 ? { width: height, height: width } : { width, height };
+}
+
+
+/**
+ * ページの見たままの向きの座標系。
+ *
+ * @param {*} page pdf-lib の PDFPage
+ * @returns {{width: number, height: number, rotation: number, toPage: function(number, number): {x: number, y: number}, rotate: Object}}
+ *   width・height は見たままの大きさ（pt）、rotation はページの /Rotate（0/90/180/270）、
+ *   toPage は見たままの点をページの PDF 座標に、rotate は drawText などに渡すと見たままで正立する回転
+ */
+export function getPageFrame(page) {
+  const rotation = (((page.getRotation().angle || 0) % 360) + 360) % 360;
+  const crop = page.getCropBox();
+  const size = layoutSize(crop.width, crop.height, rotation);
+  return {
+    width: size.width,
+    height: size.height,
+    rotation,
+    toPage(x, y) {
+      const p = layoutToPagePoint(x, y, rotation, crop.width, crop.height);
+      return { x: crop.x + p.x, y: crop.y + p.y };
+    },
+    rotate: runtime.PDFLib.degrees(rotation),
+  };
+}
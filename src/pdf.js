@@ -0,0 +1,62 @@
+/**
+ * PDF読み込み・描画の共通処理（pdf.js / pdf-lib）
+ */
+
+import { runtime } from './runtime.js';
+import { getPageFrame } from './page-frame.js';
+
+/**
+ * pdf.js でPDFを開く（cMap等の設定は runtime から）。
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<Object>} pdf.js の PDFDocumentProxy
+ */
+export function openPdf(data) {
+  return runtime.pdfjsLib.getDocument(Object.assign({
+    data,
+    cMapUrl: runtime.cmapUrl,
+    cMapPacked: true,
+  }, runtime.pdfjsOptions)).promise;
+}
+
+/**
+ * pdf.js でPDFのページ数を数える。
+ *
+ * @param {ArrayBuffer|Uint8Array} data pdf.js のワーカーに移されることがあるので、後で使うなら複製を渡す
+ * @returns {Promise<number>}
+ */
+export async function countPdfPages(data) {
+  const pdfDoc = await openPdf(data);
+  const count = pdfDoc.numPages;
+  pdfDoc.destroy();
+  return count;
+}
+
+/**
+ * pdf.js のページをcanvasに描画する。
+ *
+ * @param {Object} page   pdf.js の PDFPageProxy
+ * @param {number} scale  72dpi に対する倍率（OCR用は 400 / 72）
+ * @returns {Promise<Object>} 描画済みcanvas
+ */
+export async function renderPageToCanvas(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = runtime.createCanvas(viewport.width, viewport.height);
+  const ctx = canvas.getContext('2d');
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  return canvas;
+}
+
+/**
+ * pdf-lib でページサイズ（pt）を取得する。
+ * pdf.js で描画した画像と同じく、見たままの大きさ（CropBox を /Rotate だけ回したもの）。
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {number} pageIndex 0始まり
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function getPdfPageSize(data, pageIndex) {
+  const pdfDoc = await runtime.PDFLib.PDFDocument.load(data);
+  const { width, height } = getPageFrame(pdfDoc.getPage(pageIndex));
+  return { width, height };
+}
@@ -0,0 +1,232 @@
+/**
+ * 受領書の書式 - 差出人（FAX番号）・ページの配置ごとに、確かめた書き込み位置を覚えておく
+ *
+ * 同じ事務所・裁判所から届く受領書は書式が同じなので、一度プレビューで確かめた位置（行の打消し・「先生」・
+ * 受領日・記名・印影）を保存し、次に同じ書式が届いたら検出・推定をせずにその位置で書き込む。
+ * 照合はOCRした受領書ページで行う。ページに書かれたFAX番号（事務所設定の自分の番号を除く）が同じで、
+ * 見出しなどの語（指紋）の位置も合えば同じ書式とみなす。FAX番号が読めない書式は指紋だけで照合する（基準を厳しくする）。
+ * IndexedDB（tsukurukun_data / receiptProfiles）に保存する。IndexedDB が無い環境（CLI）ではメモリ上だけに持つ。
+ */
+
+import { runtime } from './runtime.js';
+import { getOwnFaxNumbers } from './lawyers.js';
+import { openDataDatabase, idbRequest } from './idb.js';
+
+const STORE = 'receiptProfiles';
+
+// 指紋に使う語（書式に印刷されている見出し・定型の語）
+const ANCHOR_PATTERN = /受領|送付|行|殿|宛|御中|令和|年|月|日|代理人|弁護士|FAX|ＦＡＸ|電話|TEL/;
+const ANCHOR_LIMIT = 40;
+// 同じ語とみなす位置のずれ（ページの幅・高さに対する割合）
+const ANCHOR_TOLERANCE = 0.02;
+// 同じ書式とみなす指紋の一致率（FAX番号が同じとき / 指紋だけのとき）
+const MATCH_WITH_FAX = 0.5;
+const MATCH_WITHOUT_FAX = 0.8;
+const MIN_ANCHORS_WITHOUT_FAX = 4;
+
+// --- 保存先（IndexedDB / メモリ）---
+
+const memoryProfiles = new Map();
+
+async function getAllRecords() {
+  if (!runtime.indexedDB) return [...memoryProfiles.values()].map(r => Object.assign({}, r));
+  return idbRequest(openDataDatabase(), STORE, 'readonly', store => store.getAll());
+}
+
+async function putRecord(record) {
+  if (!runtime.indexedDB) { memoryProfiles.set(record.id, Object.assign({}, record)); return; }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.put(record));
+}
+
+async function deleteRecord(id) {
+  if (!runtime.indexedDB) { memoryProfiles.delete(id); return; }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.delete(id));
+}
+
+// --- ページから読む手がかり ---
+
+function faxDigits(fax) {
+  return String(fax || '')
+    .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/\D/g, '');
+}
+
+// OCRの語を行ごとに左から並べてつなぐ（語の間の空白は入れない）
+function joinLines(words) {
+  const sorted = words.slice().sort((a, b) => a.y1 - b.y1 || a.x1 - b.x1);
+  const lines = [];
+  for (const w of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(w.y1 - line.y1) < Math.max(8, (w.y2 - w.y1) / 2)) line.words.push(w);
+    else lines.push({ y1: w.y1, words: [w] });
+  }
+  return lines.map(l => l.words.sort((a, b) => a.x1 - b.x1).map(w => w.text).join('')).join('\n');
+}
+
+/**
+ * 受領書ページに書かれた差出人のFAX番号（数字だけ。事務所・弁護士の自分のFAX番号は除く）。
+ *
+ * @param {{text: string, x1: number, y1: number, x2: number, y2: number}[]} words OCRの語
+ * @returns {string[]}
+ */
+export function findSenderFaxNumbers(words) {
+  const own = getOwnFaxNumbers().map(faxDigits).filter(Boolean);
+  const text = joinLines(words);
+  const found = [];
+  const re = /(?:FAX|ＦＡＸ|[Ff]ax|ファクシミリ|ファックス)[：:\s]*([0-9０-９\-－ー・()（）]{10,})/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const digits = faxDigits(m[1]);
+    if (digits.length < 10 || digits.length > 11) continue;
+    if (own.some(o => o === digits)) continue;
+    if (!found.includes(digits)) found.push(digits);
+  }
+  return found;
+}
+
+/**
+ * ページの指紋（書式に印刷された語とその位置。位置はページの幅・高さに対する割合）。
+ *
+ * @param {Object[]} words OCRの語（レイアウト座標）
+ * @param {number} imgW
+ * @param {number} imgH
+ * @returns {{text: string, x: number, y: number}[]}
+ */
+export function receiptFingerprint(words, imgW, imgH) {
+  return words
+    .filter(w => ANCHOR_PATTERN.test(w.text))
+    .slice(0, ANCHOR_LIMIT)
+    .map(w => ({ text: w.text, x: round(w.x1 / imgW), y: round(w.y1 / imgH) }));
+}
+
+function round(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+// 保存した指紋の語のうち、同じ語が近くにあるものの割合
+function fingerprintScore(stored, current) {
+  if (!stored.length) return 0;
+  const matched = stored.filter(a => current.some(b =>
+    b.text === a.text && Math.abs(b.x - a.x) <= ANCHOR_TOLERANCE && Math.abs(b.y - a.y) <= ANCHOR_TOLERANCE));
+  return matched.length / stored.length;
+}
+
+function sameOrientation(a, b) {
+  return !!(a && a.vertical) === !!(b && b.vertical) && ((a && a.rotation) || 0) === ((b && b.rotation) || 0);
+}
+
+// --- 照合・保存 ---
+
+/**
+ * OCRした受領書ページに合う保存済みの書式を探す。
+ *
+ * @param {{words: Object[], imgWidth: number, imgHeight: number, orientation: Object}} ocr findReceiptPage の ocr
+ * @returns {Promise<{profile: Object, by: 'fax'|'fingerprint', score: number}|null>}
+ */
+export async function matchReceiptProfile(ocr) {
+  const profiles = await getAllRecords();
+  if (!profiles.length) return null;
+  const faxes = findSenderFaxNumbers(ocr.words);
+  const fingerprint = receiptFingerprint(ocr.words, ocr.imgWidth, ocr.imgHeight);
+  let best = null;
+  for (const profile of profiles) {
+    if (!sameOrientation(profile.orientation, ocr.orientation)) continue;
+    const byFax = profile.faxNumbers.some(f => faxes.includes(f));
+    const score = fingerprintScore(profile.fingerprint, fingerprint);
+    const ok = byFax
+      ? score >= MATCH_WITH_FAX
+      : profile.fingerprint.length >= MIN_ANCHORS_WITHOUT_FAX && score >= MATCH_WITHOUT_FAX;
+    if (!ok) continue;
+    // FAX番号の一致を優先し、その中で指紋の一致率の高いもの
+    const rank = (byFax ? 1 : 0) + score;
+    if (!best || rank > best.rank) best = { profile, by: byFax ? 'fax' : 'fingerprint', score, rank };
+  }
+  return best && { profile: best.profile, by: best.by, score: best.score };
+}
+
+/**
+ * 書式の書き込み位置を、このページの大きさに合わせて返す（resolveReceiptPlacements の placements）。
+ *
+ * @param {Object} profile
+ * @param {{width: number, height: number}} pageSize ページの大きさ（レイアウト座標）
+ * @returns {Object}
+ */
+export function profilePlacements(profile, pageSize) {
+  const sx = pageSize.width / profile.pageSize.width;
+  const sy = pageSize.height / profile.pageSize.height;
+  const s = Math.min(sx, sy);
+  const placements = {};
+  for (const [key, item] of Object.entries(profile.placements)) {
+    placements[key] = item && Object.assign(
+      { x: item.x * sx, y: item.y * sy },
+      item.size !== undefined ? { size: item.size * s } : {},
+      item.width !== undefined ? { width: item.width * s } : {},
+    );
+  }
+  return placements;
+}
+
+/**
+ * 確かめた書き込み位置を書式として保存する。同じ書式（matchReceiptProfile で合うもの）があれば更新する。
+ *
+ * @param {{words: Object[], imgWidth: number, imgHeight: number, orientation: Object}} ocr
+ * @param {Object} items resolveReceiptPlacements の結果
+ * @param {{width: number, height: number}} pageSize ページの大きさ（レイアウト座標）
+ * @returns {Promise<Object>} 保存した書式
+ */
+export async function saveReceiptProfile(ocr, items, pageSize) {
+  const now = new Date().toISOString();
+  const match = await matchReceiptProfile(ocr);
+  const faxNumbers = findSenderFaxNumbers(ocr.words);
+  const placements = {};
+  for (const key of ['strike', 'sensei', 'date', 'name', 'seal']) {
+    const item = items[key];
+    placements[key] = item ? Object.assign({ x: item.x, y: item.y },
+      item.size !== undefined ? { size: item.size } : {},
+      item.width !== undefined ? { width: item.width } : {}) : null;
+  }
+  const previous = match ? match.profile : null;
+  const record = {
+    id: previous ? previous.id : 'rp_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    faxNumbers: [...new Set([...(previous ? previous.faxNumbers : []), ...faxNumbers])],
+    fingerprint: receiptFingerprint(ocr.words, ocr.imgWidth, ocr.imgHeight),
+    orientation: ocr.orientation || null,
+    pageSize: { width: pageSize.width, height: pageSize.height },
+    placements,
+    useCount: previous ? previous.useCount || 0 : 0,
+    lastUsedAt: previous ? previous.lastUsedAt : undefined,
+    createdAt: previous ? previous.createdAt : now,
+    updatedAt: now,
+  };
+  await putRecord(record);
+  return record;
+}
+
+/**
+ * 書式を使ったことを記録する（一覧の並び順・表示用）。
+ * @param {string} id
+ */
+export async function touchReceiptProfile(id) {
+  const record = (await getAllRecords()).find(r => r.id === id);
+  if (!record) return;
+  record.useCount = (record.useCount || 0) + 1;
+  record.lastUsedAt = new Date().toISOString();
+  await putRecord(record);
+}
+
+/**
+ * 保存した書式の一覧（最近使ったもの・更新したものから）。
+ * @returns {Promise<Object[]>}
+ */
+export async function listReceiptProfiles() {
+  const records = await getAllRecords();
+  return records.sort((a, b) => (b.lastUsedAt || b.updatedAt).localeCompare(a.lastUsedAt || a.updatedAt));
+}
+
+/**
+ * 書式を削除する。
+ * @param {string} id
+ */
+export async function deleteReceiptProfile(id) {
+  await deleteRecord(id);
+}
@@ -0,0 +1,575 @@
+/**
+ * 受領書 OCR・PDF生成 - 受領書ページ検出・書き込み位置検出・受領日/署名/押印
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig, toFullWidthNumber } from './config.js';
+import { loadJapaneseFont } from './assets.js';
+import { openPdf, renderPageToCanvas } from './pdf.js';
+import { getOcrPoolSize } from './ocr-pool.js';
+import { UPRIGHT, recognizeOriented, layoutRotation } from './ocr-orientation.js';
+import { getPageFrame, layoutSize, rotateImagePoint, layoutToPagePoint } from './page-frame.js';
+import { hashData, getCachedReceiptOcr, putCachedReceiptOcr } from './ocr-cache.js';
+import { matchReceiptProfile, profilePlacements, touchReceiptProfile } from './receipt-profile.js';
+import { SEAL_DEFAULTS, getSealRecord, pickSeal } from './seal.js';
+import { DEFAULT_SIGNER_TITLE, findLawyerByName, getLawyerSeal } from './lawyers.js';
+import { findCaseLawyer } from './case-registry.js';
+import { assertSecureStoreUnlocked } from './secure-store.js';
+import { formatWareki, normalizeWarekiDate } from './wareki.js';
+
+/**
+ * ページをOCRする（向きを判定し、縦書き・回転したページも読む。ocr-orientation.js）。
+ *
+ * @returns {Promise<{words: Object[], imgWidth: number, imgHeight: number, orientation: {rotation: number, vertical: boolean}}>}
+ *   words・imgWidth・imgHeight はレイアウト座標（文字が横に並ぶ向き）の画像のもの
+ */
+export async function runOcrBrowser(pdfArrayBuffer, pageNum, onProgress) {
+  onProgress && onProgress(`ページ${pageNum}を描画中...`);
+  const pdfDoc = await openPdf(pdfArrayBuffer);
+  const page = await pdfDoc.getPage(pageNum);
+  const canvas = await renderPageToCanvas(page, 400 / 72);
+  onProgress && onProgress(`ページ${pageNum}をOCR中...`);
+  const { data, orientation, width, height } = await recognizeOriented(canvas, {
+    onProgress: progress => onProgress && onProgress(`OCR処理中... ${Math.round(progress * 100)}%`),
+  });
+  // 回転は回した画像の座標がそのままレイアウト座標。縦書きはページ画像の座標を倒す
+  const rotation = orientation.vertical ? layoutRotation(orientation) : 0;
+  const { width: imgWidth, height: imgHeight } = layoutSize(width, height, rotation);
+  const words = [];
+  if (data && data.words) {
+    for (const w of data.words) {
+      const text = w.text.trim();
+      if (!text) continue;
+      const p1 = rotateImagePoint(w.bbox.x0, w.bbox.y0, rotation, width, height);
+      const p2 = rotateImagePoint(w.bbox.x1, w.bbox.y1, rotation, width, height);
+      words.push({
+        x1: Math.min(p1.x, p2.x), y1: Math.min(p1.y, p2.y), x2: Math.max(p1.x, p2.x), y2: Math.max(p1.y, p2.y), text,
+      });
+    }
+  }
+  console.log(`  [OCR] ページ${pageNum}: ${words.length}語検出`);
+  return { words, imgWidth, imgHeight, orientation };
+}
+
+/**
+ * OCR画像の点（左上原点・下向き）を PDF の点（左下原点・上向き）にする。
+ * ページを描画した画像と同じ向きの座標（見たままの向き・レイアウト座標）のまま変換するので、
+ * ページの座標に戻すのは書き込むとき（createLayoutWriter・page-frame.js）。
+ */
+export function px2pdf(px, py, imgW, imgH, pgW, pgH) {
+  return {
+    x: px * pgW / imgW,
+    y: pgH - (py * pgH / imgH),
+  };
+}
+
+export function findReceiptLabel(words) {
+  const direct = words.find(w =>
+    w.text.includes('受領書') || w.text.includes('受領')
+  );
+  if (direct) return { found: true, y: direct.y1 };
+  const juWords = words.filter(w => w.text === '受');
+  for (const ju of juWords) {
+    const ryou = words.find(w =>
+      w.text === '領' &&
+      Math.abs(w.y1 - ju.y1) < 50 &&
+      w.x1 > ju.x1 && w.x1 < ju.x1 + 300
+    );
+    if (ryou) return { found: true, y: ju.y1 };
+  }
+  return { found: false, y: null };
+}
+
+export function scoreReceiptPage(words) {
+  const allText = words.map(w => w.text).join('');
+  let score = 0;
+  const receiptLabel = findReceiptLabel(words);
+  if (receiptLabel.found) score += 50;
+  if (/令和/.test(allText))  score += 10;
+  if (/代理人/.test(allText)) score += 10;
+  if (words.length > 200) score -= 20;
+  if (words.length > 300) score -= 20;
+  return score;
+}
+
+/**
+ * 受領書ページを探してOCRする。同じ内容の PDF を前に調べていれば、OCR せずにその結果を返す（ocr-cache.js）。
+ *
+ * @param {ArrayBuffer} pdfArrayBuffer
+ * @param {number} totalPages
+ * @param {function(string): void} [onProgress]
+ * @returns {Promise<{pageNum: number, ocr: Object}>} ocr は runOcrBrowser の結果
+ */
+export async function findReceiptPage(pdfArrayBuffer, totalPages, onProgress) {
+  const hash = await hashData(pdfArrayBuffer);
+  const cached = hash && await getCachedReceiptOcr(hash);
+  if (cached) {
+    onProgress && onProgress(`受領書ページ（${cached.pageNum}ページ目）のOCR結果を再利用しました`);
+    return cached;
+  }
+  const result = await scanReceiptPages(pdfArrayBuffer, totalPages, onProgress);
+  if (hash) await putCachedReceiptOcr(hash, result);
+  return result;
+}
+
+async function scanReceiptPages(pdfArrayBuffer, totalPages, onProgress) {
+  if (totalPages === 1) {
+    const ocr = await runOcrBrowser(pdfArrayBuffer, 1, onProgress);
+    return { pageNum: 1, ocr };
+  }
+  const scanOrder = [1, totalPages];
+  for (let p = 2; p < totalPages; p++) scanOrder.push(p);
+  let bestPageNum = 1;
+  let bestOcr = null;
+  let bestScore = -Infinity;
+  for (const p of scanOrder) {
+    onProgress && onProgress(`ページ ${p}/${totalPages} スキャン中...`);
+    const ocr = await runOcrBrowser(pdfArrayBuffer, p, onProgress);
+    const score = scoreReceiptPage(ocr.words);
+    if (score > bestScore) {
+      bestScore = score;
+      bestPageNum = p;
+      bestOcr = ocr;
+    }
+    if (score >= 50) {
+      return { pageNum: p, ocr };
+    }
+  }
+  return { pageNum: bestPageNum, ocr: bestOcr };
+}
+
+function findReceiptSectionStart(words, imgH) {
+  const receiptLabel = findReceiptLabel(words);
+  if (receiptLabel.found && receiptLabel.y !== null) {
+    return Math.max(0, receiptLabel.y - 50);
+  }
+  return 0;
+}
+
+export function detectPositions(words, imgW, imgH, pgW, pgH) {
+  const receiptStartY = findReceiptSectionStart(words, imgH);
+  const rw = words.filter(w => w.y1 >= receiptStartY);
+
+  let gyouWord = null;
+  const allGyouWords = rw.filter(w => w.text === '行');
+  if (allGyouWords.length > 0) {
+    const bengoWordInReceipt = rw.find(w =>
+      w.text.includes('弁護') || w.text.includes('護士')
+    );
+    if (bengoWordInReceipt) {
+      const bengoY = bengoWordInReceipt.y1;
+      const gyouInBengoLine = allGyouWords.filter(w => Math.abs(w.y1 - bengoY) < 60);
+      if (gyouInBengoLine.length > 0) {
+        gyouWord = gyouInBengoLine.reduce((a, b) => a.x1 > b.x1 ? a : b);
+      }
+    }
+    if (!gyouWord) {
+      gyouWord = allGyouWords.reduce((a, b) => a.y1 < b.y1 ? a : b);
+    }
+  }
+
+  let agentWord = null;
+  const agentCandidates = rw.filter(w =>
+    w.text.includes('代理人') || w.text.includes('代理')
+  );
+  if (agentCandidates.length > 0) {
+    agentWord = agentCandidates.reduce((a, b) => a.y1 > b.y1 ? a : b);
+  } else {
+    const midY = receiptStartY + (imgH - receiptStartY) * 0.5;
+    const agentCandidates2 = rw.filter(w =>
+      w.y1 > midY && (w.text.includes('被告') || w.text.includes('原告'))
+    );
+    if (agentCandidates2.length > 0) {
+      agentWord = agentCandidates2.reduce((a, b) => a.y1 > b.y1 ? a : b);
+    }
+  }
+
+  if (agentWord) {
+    const agentY = agentWord.y1;
+    const agentRowWords = rw.filter(w => Math.abs(w.y1 - agentY) < 60).sort((a, b) => a.x1 - b.x1);
+    const ninWord = agentRowWords.find(w => w.text === '人' || w.text.endsWith('人'));
+    if (ninWord) agentWord._titleEndX = ninWord.x2;
+    const leftMost = agentRowWords[0];
+    if (leftMost && leftMost.x1 < agentWord.x1) agentWord._lineStartX = leftMost.x1;
+  }
+
+  const searchTopY = gyouWord ? gyouWord.y1 + 20 : receiptStartY;
+  const searchBottomY = agentWord ? agentWord.y1 - 10 : imgH;
+
+  let dateWord = null;
+  const reiwaWords = rw.filter(w =>
+    w.y1 > searchTopY && w.y1 < searchBottomY &&
+    (w.text === '令' || w.text === '令和' || w.text.startsWith('令'))
+  );
+  if (reiwaWords.length > 0) {
+    dateWord = reiwaWords.reduce((a, b) => a.y1 < b.y1 ? a : b);
+  } else {
+    const dateish = rw.filter(w =>
+      w.y1 > searchTopY && w.y1 < searchBottomY &&
+      (w.text.includes('年') || w.text.includes('月'))
+    );
+    if (dateish.length > 0) {
+      dateWord = dateish.reduce((a, b) => a.y1 < b.y1 ? a : b);
+    }
+  }
+
+  if (!dateWord && agentWord) {
+    const estimatedY = Math.round(agentWord.y1 - (imgH * 0.06));
+    const estimatedX = Math.round(imgW * 0.05);
+    dateWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 200, y2: estimatedY + 40, text: '令和（推定）', estimated: true };
+  } else if (!dateWord) {
+    const estimatedY = Math.round(receiptStartY + (imgH - receiptStartY) * 0.5);
+    const estimatedX = Math.round(imgW * 0.05);
+    dateWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 200, y2: estimatedY + 40, text: '令和（推定）', estimated: true };
+  }
+  if (!agentWord) {
+    const estimatedY = Math.round(receiptStartY + (imgH - receiptStartY) * 0.85);
+    const estimatedX = Math.round(imgW * 0.20);
+    agentWord = { x1: estimatedX, y1: estimatedY, x2: estimatedX + 300, y2: estimatedY + 40, text: '代理人（推定）', estimated: true };
+  }
+
+  const gyouPdf = gyouWord ? {
+    left:   px2pdf(gyouWord.x1, gyouWord.y2, imgW, imgH, pgW, pgH),
+    right:  px2pdf(gyouWord.x2, gyouWord.y2, imgW, imgH, pgW, pgH),
+    top:    px2pdf(gyouWord.x1, gyouWord.y1, imgW, imgH, pgW, pgH).y,
+    width:  (gyouWord.x2 - gyouWord.x1) * pgW / imgW,
+    height: (gyouWord.y2 - gyouWord.y1) * pgH / imgH,
+    pxY1:   gyouWord.y1,
+  } : null;
+
+  const datePdfTop    = px2pdf(dateWord.x1, dateWord.y1, imgW, imgH, pgW, pgH);
+  const datePdfBottom = px2pdf(dateWord.x1, dateWord.y2, imgW, imgH, pgW, pgH);
+  const agentPdfTop    = px2pdf(agentWord.x1, agentWord.y1, imgW, imgH, pgW, pgH);
+  const agentPdfBottom = px2pdf(agentWord.x1, agentWord.y2, imgW, imgH, pgW, pgH);
+  const agentLinePdf = agentPdfBottom;
+  const agentTitleEndX = agentWord && agentWord._titleEndX
+    ? agentWord._titleEndX * pgW / imgW : null;
+
+  return {
+    gyou: gyouPdf,
+    date: { x: datePdfBottom.x, yTop: datePdfTop.y, yBase: datePdfBottom.y },
+    agent: { x: agentLinePdf.x, yTop: agentPdfTop.y, yBase: agentPdfBottom.y },
+    agentTitleEndX,
+    agentRowY: agentPdfBottom.y,
+    imgW, imgH,
+  };
+}
+
+/** 受領書に書き込む文字の大きさ（pt） */
+export const RECEIPT_FONT_SIZE = 10.5;
+/** 印影の一辺（pt。印影ごとの大きさが無いとき） */
+export const RECEIPT_SEAL_SIZE = SEAL_DEFAULTS.size;
+
+/**
+ * 受領書に書き込む「行」の打消し・「先生」・受領日・記名・印影の位置（レイアウト座標の PDF の点）。
+ * プレビューの重ね表示と生成で同じものを使い、プレビューで動かした項目・保存した書式（receipt-profile.js）の位置は
+ * placements で受け取る。
+ *
+ * @param {Object} pos detectPositions の結果
+ * @param {{receiptDate: string, signerTitle: string, signerName: string}} texts
+ * @param {function(string, number): number} textWidth 文字列の幅（pt）
+ * @param {number} pgW ページの幅（レイアウト座標）
+ * @param {Object} [placements] 置き換える項目 {strike, sensei, date, name, seal}（各 {x, y, size}、strike は {x, y, width}）。
+ *   無い項目は検出位置から決め、null の項目（strike・sensei）は書き込まない
+ * @param {{size: number, offsetX: number, offsetY: number}} [sealStyle] 押す印影の大きさと、記名の後ろからのずれ（seal.js）
+ * @returns {{strike: ?Object, sensei: ?Object, date: Object, name: Object, seal: Object}}
+ *   strike は打消し線を引く「行」の左端のベースラインと幅、
+ *   文字は {x, y, size, cover}（x・y は左端のベースライン、cover は下地を白く塗る範囲 {x, y, width, height}）、
+ *   印影は {x, y, size}（左下と一辺）。印影を動かしていなければ記名の後ろ（sealStyle のずれを足した位置）に付いていく
+ */
+export function resolveReceiptPlacements(pos, texts, textWidth, pgW, placements, sealStyle) {
+  const moved = placements || {};
+  const fs_ = RECEIPT_FONT_SIZE;
+  const margin = 3;
+  const pick = (key, x, y) => {
+    const m = moved[key];
+    return m ? { x: m.x, y: m.y, size: m.size || fs_ } : { x, y, size: fs_ };
+  };
+  // 下地は検出した語の高さに合わせ、文字を大きくしたらその分広げる
+  const coverHeight = (item, wordHeight) => wordHeight * item.size / fs_ + margin * 2;
+  const g = pos.gyou;
+
+  let strike = null;
+  if (moved.strike) {
+    strike = { x: moved.strike.x, y: moved.strike.y, width: moved.strike.width };
+  } else if (moved.strike !== null && g) {
+    strike = { x: g.left.x, y: g.left.y, width: Math.min(g.width, textWidth('行', fs_)) };
+  }
+  let sensei = null;
+  if (moved.sensei) sensei = pick('sensei');
+  else if (moved.sensei !== null && g) sensei = pick('sensei', g.right.x + 2, g.left.y);
+
+  const d = pos.date;
+  const date = pick('date', d.x, d.yBase);
+  date.cover = {
+    x: date.x - 4, y: date.y - margin,
+    width: Math.max(textWidth(texts.receiptDate, date.size) + 40, pgW * 0.50),
+    height: coverHeight(date, d.yTop - d.yBase),
+  };
+
+  const a = pos.agent;
+  const nameX = pos.agentTitleEndX ? pos.agentTitleEndX + 4 : a.x + textWidth(texts.signerTitle, fs_) + 4;
+  const name = pick('name', nameX, a.yBase);
+  const nameW = textWidth(`　${texts.signerName}`, name.size);
+  name.cover = { x: name.x - 2, y: name.y - margin, width: nameW + 20, height: coverHeight(name, a.yTop - a.yBase) };
+
+  const style = Object.assign({ size: RECEIPT_SEAL_SIZE, offsetX: 0, offsetY: 0 }, sealStyle);
+  const seal = moved.seal
+    ? { x: moved.seal.x, y: moved.seal.y, size: moved.seal.size || style.size }
+    : {
+      x: name.x + nameW + 2 + style.offsetX,
+      y: name.y - style.size * 0.5 + name.size * 0.3 + style.offsetY,
+      size: style.size,
+    };
+
+  return { strike, sensei, date, name, seal };
+}
+
+// レイアウト座標で受け取った書き込みを、ページの座標に戻して描く。
+// レイアウト座標は見たままの向きのページ（page-frame.js。/Rotate・CropBox を反映）をさらにOCRの向きだけ回したもの。
+// 回転したページは文字ごと回し、縦書きのページは文字を見たままの向きに立てたまま上から下へ並べる
+function createLayoutWriter(page, orientation, font) {
+  const { degrees } = runtime.PDFLib;
+  const frame = getPageFrame(page);
+  const rotation = layoutRotation(orientation);
+  const toVisual = (x, y) => layoutToPagePoint(x, y, rotation, frame.width, frame.height);
+  const toPage = (x, y) => {
+    const v = toVisual(x, y);
+    return frame.toPage(v.x, v.y);
+  };
+  const rotate = degrees((frame.rotation + rotation) % 360);
+  const vertical = orientation.vertical;
+  const { width, height } = layoutSize(frame.width, frame.height, rotation);
+  return {
+    width,
+    height,
+    textWidth: (text, size) => (vertical ? Array.from(text).length * size : font.widthOfTextAtSize(text, size)),
+    drawText(text, opts) {
+      if (!vertical) {
+        page.drawText(text, Object.assign({}, opts, toPage(opts.x, opts.y), { rotate }));
+        return;
+      }
+      // 縦書きの数字は全角にして1字ずつ立てる
+      Array.from(toFullWidthNumber(text)).forEach((ch, i) => {
+        const top = toVisual(opts.x + i * opts.size, opts.y);
+        const chW = font.widthOfTextAtSize(ch, opts.size);
+        const at = frame.toPage(top.x + (opts.size - chW) / 2, top.y - opts.size * 0.88);
+        page.drawText(ch, Object.assign({}, opts, at, { rotate: frame.rotate }));
+      });
+    },
+    drawLine(opts) {
+      page.drawLine(Object.assign({}, opts, { start: toPage(opts.start.x, opts.start.y), end: toPage(opts.end.x, opts.end.y) }));
+    },
+    drawRectangle(opts) {
+      page.drawRectangle(Object.assign({}, opts, toPage(opts.x, opts.y), { rotate }));
+    },
+    drawImage(image, opts) {
+      if (!vertical) {
+        page.drawImage(image, Object.assign({}, opts, toPage(opts.x, opts.y), { rotate }));
+        return;
+      }
+      // 印影は見たままの向きに立てて、同じ範囲に置く
+      const { x, y, width, height, ...style } = opts;
+      const a = toVisual(x, y);
+      const b = toVisual(x + width, y + height);
+      page.drawImage(image, Object.assign(style, {
+        width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y), rotate: frame.rotate,
+      }, frame.toPage(Math.min(a.x, b.x), Math.min(a.y, b.y))));
+    },
+  };
+}
+
+/**
+ * 受領書に書く受領日。空なら今日、読める日付（R7.3.6・2025/3/6 など）は和暦の書式にそろえ、読めなければそのまま。
+ * @param {string} [text]
+ * @returns {string}
+ */
+export function formatReceiptDate(text) {
+  return String(text || '').trim() ? normalizeWarekiDate(text) : formatWareki(new Date());
+}
+
+/**
+ * 受領書ページに受領日・記名・押印を書き込み、そのページだけの PDF を作る。
+ *
+ * @param {File} file
+ * @param {Object} [options] receiptDate, signerTitle, signerName,
+ *   placements（プレビューで確かめた位置。resolveReceiptPlacements の placements。無ければ保存した書式を探す）、
+ *   sealId（押す印影。'none' なら㊞。無ければ署名者の弁護士の印影、登録外の署名者は pickSeal で選ぶ。
+ *   暗号化した印影がロック中なら 'none' 以外はエラー）、
+ *   lawyerByCase（true なら、受領書の事件番号で事件台帳の担当弁護士を探し、その弁護士の肩書き・氏名・印影で署名する）
+ * @param {function(string): void} [onProgress]
+ * @returns {Promise<{blob: Blob, fileName: string}>}
+ */
+export async function generateReceiptBrowser(file, options, onProgress) {
+  const { PDFLib, fontkit } = runtime;
+  onProgress && onProgress('PDFを読み込み中...');
+  const config = getConfig();
+  const receiptDate = formatReceiptDate(options && options.receiptDate);
+  let signerTitle = (options && options.signerTitle) || DEFAULT_SIGNER_TITLE;
+  let signerName  = (options && options.signerName)  || config.signerName || '山田太郎';
+  const sealId = options && options.sealId;
+  // 印影（と署名者の設定）を暗号化していれば、ロック中は押さずに解錠を求める
+  if (sealId !== 'none') assertSecureStoreUnlocked();
+  let sealRecord = sealId === 'none' ? null
+    : (sealId ? getSealRecord(sealId) : getLawyerSeal(findLawyerByName(signerName)) || pickSeal(signerName));
+
+  const pdfArrayBuffer = await file.arrayBuffer();
+  const pdfDoc = await PDFLib.PDFDocument.load(pdfArrayBuffer);
+  pdfDoc.registerFontkit(fontkit);
+  const totalPages = pdfDoc.getPageCount();
+
+  onProgress && onProgress('受領書ページを探しています...');
+  const { pageNum: receiptPageNum, ocr } = await findReceiptPage(pdfArrayBuffer, totalPages, onProgress);
+  const receiptPageIndex = receiptPageNum - 1;
+  const words = ocr.words;
+  const imgWidth = ocr.imgWidth;
+  const imgHeight = ocr.imgHeight;
+  const page = pdfDoc.getPage(receiptPageIndex);
+  const orientation = ocr.orientation || UPRIGHT;
+
+  if (options && options.lawyerByCase) {
+    const lawyer = await findCaseLawyer(words.map(w => w.text).join(''));
+    if (lawyer) {
+      onProgress && onProgress('事件台帳の担当弁護士で署名します: ' + lawyer.name);
+      signerTitle = lawyer.title || signerTitle;
+      signerName = lawyer.name;
+      sealRecord = sealId === 'none' ? null : getLawyerSeal(lawyer);
+    }
+  }
+
+  onProgress && onProgress('フォントを読み込み中...');
+  const fontBytes = await loadJapaneseFont();
+  const font = await pdfDoc.embedFont(fontBytes, { subset: false });
+  const writer = createLayoutWriter(page, orientation, font);
+  // 位置の検出・書き込みはレイアウト座標（文字が横に並ぶ向き）で行う
+  const { width: pgW, height: pgH } = writer;
+
+  const allChars = `行先生${receiptDate}${signerTitle}　${signerName}㊞`;
+  try { font.encodeText(allChars); } catch (e) { /* ignore */ }
+
+  // プレビューで確かめた位置が無ければ、保存した書式（同じ差出人・同じ配置）の位置を使う
+  let placements = options && options.placements;
+  if (!placements) {
+    const match = await matchReceiptProfile(ocr);
+    if (match) {
+      onProgress && onProgress('保存した受領書の書式を使います');
+      placements = profilePlacements(match.profile, { width: pgW, height: pgH });
+      await touchReceiptProfile(match.profile.id);
+    }
+  }
+  onProgress && onProgress('書き込み位置を検出中...');
+  const pos = detectPositions(words, imgWidth, imgHeight, pgW, pgH);
+  const items = resolveReceiptPlacements(pos, { receiptDate, signerTitle, signerName }, writer.textWidth, pgW, placements, sealRecord);
+  const fs_ = RECEIPT_FONT_SIZE;
+  const { rgb, BlendMode } = PDFLib;
+
+  // 「行」→ 二重打消し線 + 「先生」
+  if (items.strike) {
+    const t = items.strike;
+    const midY = t.y + fs_ * 0.40;
+    writer.drawLine({ start: { x: t.x, y: midY + 1.5 }, end: { x: t.x + t.width, y: midY + 1.5 }, thickness: 0.8, color: rgb(0,0,0) });
+    writer.drawLine({ start: { x: t.x, y: midY - 1.5 }, end: { x: t.x + t.width, y: midY - 1.5 }, thickness: 0.8, color: rgb(0,0,0) });
+  }
+  if (items.sensei) {
+    const t = items.sensei;
+    writer.drawText('先生', { x: t.x, y: t.y, size: t.size, font, color: rgb(0, 0, 0) });
+  }
+
+  // 受領日記入
+  {
+    const t = items.date;
+    writer.drawRectangle(Object.assign({ color: rgb(1, 1, 1) }, t.cover));
+    writer.drawText(receiptDate, { x: t.x, y: t.y, size: t.size, font, color: rgb(0, 0, 0) });
+  }
+
+  // 署名記入
+  {
+    const t = items.name;
+    writer.drawRectangle(Object.assign({ color: rgb(1, 1, 1) }, t.cover));
+    writer.drawText(`　${signerName}`, { x: t.x, y: t.y, size: t.size, font, color: rgb(0, 0, 0) });
+
+    // 印影。一辺 size の枠に縦横比を保って収め、透かして乗算で重ねる（記名の上から押したように見える）
+    const seal = items.seal;
+    const sealMark = () => {
+      const size = fs_ * seal.size / RECEIPT_SEAL_SIZE;
+      writer.drawText('㊞', { x: seal.x + 2, y: seal.y + seal.size * 0.5 - size * 0.3, size, font, color: rgb(0, 0, 0) });
+    };
+    if (sealRecord) {
+      try {
+        const sealBase64 = sealRecord.dataUrl;
+        const sealData = Uint8Array.from(atob(sealBase64.replace(/^data:image\/\w+;base64,/, '')), c => c.charCodeAt(0));
+        let sealImage;
+        if (sealBase64.includes('image/png')) {
+          sealImage = await pdfDoc.embedPng(sealData);
+        } else {
+          sealImage = await pdfDoc.embedJpg(sealData);
+        }
+        const fit = seal.size / Math.max(sealImage.width, sealImage.height);
+        const w = sealImage.width * fit;
+        const h = sealImage.height * fit;
+        writer.drawImage(sealImage, {
+          x: seal.x + (seal.size - w) / 2, y: seal.y + (seal.size - h) / 2, width: w, height: h,
+          opacity: sealRecord.opacity, blendMode: BlendMode.Multiply,
+        });
+      } catch (e) {
+        console.warn('印鑑画像の読み込みに失敗:', e);
+        sealMark();
+      }
+    } else {
+      sealMark();
+    }
+  }
+
+  // 出力（受領書ページのみ抽出）
+  onProgress && onProgress('PDFを生成中...');
+  const outDoc = await PDFLib.PDFDocument.create();
+  outDoc.registerFontkit(fontkit);
+  const [copiedPage] = await outDoc.copyPages(pdfDoc, [receiptPageIndex]);
+  outDoc.addPage(copiedPage);
+  const savedBytes = await outDoc.save();
+  const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const baseName = file.name.replace(/\.pdf$/i, '');
+  const outFileName = `受領書_${baseName}_${ts}.pdf`;
+  const blob = new Blob([savedBytes], { type: 'application/pdf' });
+  return { blob, fileName: outFileName };
+}
+
+/**
+ * 複数ファイルの受領書を生成する。OCRワーカーの数だけ並行して処理し、結果は files の順で返す。
+ * 失敗したファイルがあっても残りは続ける。
+ *
+ * @param {File[]} files
+ * @param {Object} options generateReceiptBrowser の options（全ファイル共通）。
+ *   placementsByFile（Map: File → placements）があれば、そのファイルだけプレビューで動かした位置を使う
+ * @param {function(string, {file: File, done: number, total: number}): void} [onProgress]
+ *   ファイルごとの進捗。done は完了したファイル数
+ * @returns {Promise<{file: File, result: ?{blob: Blob, fileName: string}, error: ?Error}[]>}
+ */
+export async function generateReceiptsBrowser(files, options, onProgress) {
+  const results = new Array(files.length);
+  let next = 0;
+  let done = 0;
+  const report = (file, msg) => onProgress && onProgress(msg, { file, done, total: files.length });
+
+  async function lane() {
+    while (next < files.length) {
+      const index = next++;
+      const file = files[index];
+      try {
+        const fileOptions = options.placementsByFile && options.placementsByFile.has(file)
+          ? Object.assign({}, options, { placements: options.placementsByFile.get(file) })
+          : options;
+        const result = await generateReceiptBrowser(file, fileOptions, msg => report(file, msg));
+        results[index] = { file, result, error: null };
+      } catch (err) {
+        results[index] = { file, result: null, error: err };
+      }
+      done++;
+      report(file, results[index].error ? '失敗しました' : '完了しました');
+    }
+  }
+
+  const lanes = Math.min(getOcrPoolSize(), files.length);
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
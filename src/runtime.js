@@ -0,0 +1,61 @@
+/**
+ * 実行環境（ブラウザ / Node.js）への依存をまとめたもの
+ *
+ * 各モジュールは pdf.js・pdf-lib・Tesseract.js 等をグローバル変数ではなく
+ * この runtime 経由で参照する。ブラウザ版は src/browser.js が window 上の
+ * CDNライブラリを、CLI は cli/node-runtime.js が npm パッケージを設定する。
+ */
+
+export const runtime = {
+  /** pdf.js（pdfjsLib） */
+  pdfjsLib: null,
+  /** pdf-lib（PDFLib） */
+  PDFLib: null,
+  /** @pdf-lib/fontkit */
+  fontkit: null,
+  /** JSZip */
+  JSZip: null,
+  /** Tesseract.js */
+  Tesseract: null,
+
+  /** pdf.js の cMap の場所 */
+  cmapUrl: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/cmaps/',
+  /** Tesseract.createWorker() に追加で渡すオプション（workerPath・corePath・langPath。省略時は CDN） */
+  tesseractOptions: {},
+  /** pdf.js getDocument() に追加で渡すオプション */
+  pdfjsOptions: {},
+
+  /** localStorage 互換ストア（事務所設定・印鑑。暗号化したときは secure-store.js を通す） */
+  storage: null,
+  /** IndexedDB（フォント・テンプレートのキャッシュ。無ければキャッシュしない） */
+  indexedDB: null,
+  /** Web Crypto（OCR結果のキャッシュのキーにする SHA-256、設定・印影の暗号化。無ければキャッシュ・暗号化しない） */
+  crypto: null,
+  /** fetch（相対URLはアプリのディレクトリ基準） */
+  fetch: (...args) => globalThis.fetch(...args),
+  /** setTimeout・clearTimeout（自動ロックのタイマー） */
+  setTimeout: (...args) => globalThis.setTimeout(...args),
+  clearTimeout: (...args) => globalThis.clearTimeout(...args),
+
+  /** (width, height) => canvas */
+  createCanvas: null,
+  /** 画像（data URL）を canvas に描ける画像にする（src => Promise<image>。印影の取り込み） */
+  loadImage: null,
+  /** 並行してOCRするワーカーの数（CPUコア数。上限は ocr-pool.js） */
+  ocrConcurrency: 1,
+  /** Tesseract に渡す画像へ変換（ブラウザは canvas のまま） */
+  toOcrImage: canvas => canvas,
+  /** フォント自動読み込み失敗時にユーザーにファイルを選ばせる（() => Promise<ArrayBuffer>） */
+  pickFontFile: null,
+};
+
+/**
+ * 実行環境を設定する（指定したキーのみ上書き）。
+ *
+ * @param {Partial<typeof runtime>} options
+ * @returns {typeof runtime}
+ */
+export function configureRuntime(options) {
+  Object.assign(runtime, options);
+  return runtime;
+}
@@ -0,0 +1,306 @@
+/**
+ * 印影 - 弁護士ごとの印影（認印・職印など）の登録と、受領書に押すときの大きさ・位置・濃さ
+ *
+ * 取り込むときに、スキャンした印影の背景（紙の白・地色）を透明にし、朱肉の部分（黒い印影なら濃い部分）だけを
+ * 朱色で抜き出す。受領書には少し透かし、乗算で重ねて、記名の上から押したように見せる。
+ * localStorage（tsukurukun_seals）に保存する（暗号化していれば secure-store.js の暗号化した保存先。ロック中は印影なし）。
+ * 以前の1つだけの印鑑画像（tsukurukun_seal）は、読み込むときに全員共通の認印として移す（CLI の --seal もこの形で渡る）。
+ */
+
+import { runtime } from './runtime.js';
+import { secureStorage } from './secure-store.js';
+import { getSeal, removeSeal } from './config.js';
+
+const SEALS_KEY = 'tsukurukun_seals';
+
+/** 印影の種類（選択肢。ほかの名前も付けられる） */
+export const SEAL_KINDS = ['認印', '職印'];
+
+/**
+ * 新しく登録する印影の既定。size は一辺（pt）、offsetX・offsetY は記名の後ろの既定の位置からのずれ（pt、右・上が正）、
+ * opacity は重ねる濃さ（0〜1）。左へずらして記名の最後の字に少しかける
+ */
+export const SEAL_DEFAULTS = { size: 36, offsetX: -6, offsetY: 0, opacity: 0.85 };
+
+// 抜き出した印影の色（朱肉）
+const SEAL_INK = [205, 32, 40];
+// 取り込む画像の長辺の上限（px）。localStorage に入る大きさにする
+const SEAL_MAX_PIXELS = 512;
+// これより薄い（アルファ 0〜255）ところは印影の外とみなして切り落とす
+const SEAL_CROP_ALPHA = 24;
+
+// --- 保存先 ---
+
+function readSeals() {
+  try {
+    return JSON.parse(secureStorage.getItem(SEALS_KEY) || 'null');
+  } catch (e) { return null; }
+}
+
+function writeSeals(seals) {
+  secureStorage.setItem(SEALS_KEY, JSON.stringify(seals));
+}
+
+/**
+ * 登録した印影の一覧。以前の1つだけの印鑑画像があれば、全員共通の認印として移してから返す。
+ * 以前の画像は背景を抜いていないので、ずらさず透かさずに押す（乗算で重ねるので白い背景は記名を隠さない）。
+ *
+ * @returns {{id: string, owner: string, kind: string, dataUrl: string, width: number, height: number,
+ *   size: number, offsetX: number, offsetY: number, opacity: number, createdAt: string}[]}
+ *   owner は弁護士名（空文字は全員共通）、width・height は画像の大きさ（px）
+ */
+export function listSeals() {
+  const seals = readSeals();
+  if (seals) return seals;
+  const legacy = getSeal();
+  if (!legacy) return [];
+  const migrated = [{
+    id: 'seal_legacy', owner: '', kind: SEAL_KINDS[0], dataUrl: legacy, width: 0, height: 0,
+    size: SEAL_DEFAULTS.size, offsetX: 0, offsetY: 0, opacity: 1, createdAt: new Date().toISOString(),
+  }];
+  writeSeals(migrated);
+  removeSeal();
+  return migrated;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getSealRecord(id) {
+  return listSeals().find(s => s.id === id) || null;
+}
+
+/**
+ * 署名者に使う印影を選ぶ。その弁護士の印影（kind を指定したらその種類、無ければ認印を優先）、
+ * 無ければ全員共通の印影。どれも無ければ null（㊞で代替）。
+ *
+ * @param {string} signerName
+ * @param {string} [kind]
+ * @returns {Object|null}
+ */
+export function pickSeal(signerName, kind) {
+  const name = normalizeOwner(signerName);
+  const seals = listSeals();
+  for (const owner of [name, '']) {
+    const own = seals.filter(s => normalizeOwner(s.owner) === owner);
+    const found = (kind && own.find(s => s.kind === kind)) || own.find(s => s.kind === SEAL_KINDS[0]) || own[0];
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * 署名者が使える印影（その弁護士の印影と全員共通の印影）。
+ * @param {string} signerName
+ * @returns {Object[]}
+ */
+export function sealsForSigner(signerName) {
+  const name = normalizeOwner(signerName);
+  return listSeals().filter(s => !normalizeOwner(s.owner) || normalizeOwner(s.owner) === name);
+}
+
+function normalizeOwner(name) {
+  return String(name || '').replace(/[\s　]/g, '');
+}
+
+/**
+ * 印影を登録する。
+ *
+ * @param {{owner?: string, kind?: string, dataUrl: string, width: number, height: number,
+ *   size?: number, offsetX?: number, offsetY?: number, opacity?: number}} seal
+ * @returns {Object} 登録した印影
+ */
+export function addSeal(seal) {
+  if (!seal || !/^data:image\/(png|jpeg);base64,/.test(seal.dataUrl || '')) {
+    throw new Error('印影は PNG か JPEG の画像にしてください');
+  }
+  const record = Object.assign({}, SEAL_DEFAULTS, {
+    id: 'seal_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    owner: String(seal.owner || '').trim(),
+    kind: String(seal.kind || SEAL_KINDS[0]).trim() || SEAL_KINDS[0],
+    createdAt: new Date().toISOString(),
+  }, pickSealFields(seal), { dataUrl: seal.dataUrl, width: seal.width || 0, height: seal.height || 0 });
+  writeSeals([...listSeals(), record]);
+  return record;
+}
+
+/**
+ * 印影の持ち主・種類・大きさ・位置・濃さを変える。
+ *
+ * @param {string} id
+ * @param {{owner?: string, kind?: string, size?: number, offsetX?: number, offsetY?: number, opacity?: number}} changes
+ * @returns {Object} 変えた印影
+ */
+export function updateSeal(id, changes) {
+  const seals = listSeals();
+  const index = seals.findIndex(s => s.id === id);
+  if (index < 0) throw new Error('印影が見つかりません');
+  const record = Object.assign({}, seals[index], pickSealFields(changes));
+  if (changes.owner !== undefined) record.owner = String(changes.owner).trim();
+  if (changes.kind !== undefined) record.kind = String(changes.kind).trim() || seals[index].kind;
+  seals[index] = record;
+  writeSeals(seals);
+  return record;
+}
+
+// 数値の項目を範囲に収めて取り出す
+function pickSealFields(source) {
+  const fields = {};
+  const num = (key, min, max) => {
+    const v = Number(source[key]);
+    if (source[key] !== undefined && source[key] !== '' && Number.isFinite(v)) fields[key] = Math.min(max, Math.max(min, v));
+  };
+  num('size', 8, 144);
+  num('offsetX', -144, 144);
+  num('offsetY', -144, 144);
+  num('opacity', 0.1, 1);
+  return fields;
+}
+
+/** @param {string} id */
+export function deleteSeal(id) {
+  writeSeals(listSeals().filter(s => s.id !== id));
+}
+
+/**
+ * 書き出した印影を取り込む（設定の読み込み）。同じ id の印影は置き換え、無ければ追加する。
+ *
+ * @param {Object[]} seals listSeals() と同じ形
+ * @returns {number} 取り込んだ数
+ */
+export function importSeals(seals) {
+  const current = listSeals();
+  let count = 0;
+  for (const seal of seals || []) {
+    if (!seal || !seal.id || !/^data:image\/(png|jpeg);base64,/.test(seal.dataUrl || '')) continue;
+    const record = Object.assign({}, SEAL_DEFAULTS, {
+      id: String(seal.id),
+      owner: String(seal.owner || '').trim(),
+      kind: String(seal.kind || SEAL_KINDS[0]).trim() || SEAL_KINDS[0],
+      createdAt: seal.createdAt || new Date().toISOString(),
+    }, pickSealFields(seal), { dataUrl: seal.dataUrl, width: seal.width || 0, height: seal.height || 0 });
+    const index = current.findIndex(s => s.id === record.id);
+    if (index >= 0) current[index] = record;
+    else current.push(record);
+    count++;
+  }
+  writeSeals(current);
+  return count;
+}
+
+// --- 取り込み（背景を除いて朱色を抜き出す）---
+
+function smoothstep(v, lo, hi) {
+  if (v <= lo) return 0;
+  if (v >= hi) return 1;
+  const t = (v - lo) / (hi - lo);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * 印影の画像から背景を除き、印影の部分だけを朱色で抜き出して、印影の範囲で切り取る。
+ * 背景の色は画像の縁の平均とみなす（透明な部分は白い紙とみなす）。
+ * - red: 赤みの強いところ（朱肉）だけを残す。黒い記名・罫線が一緒に写っていても消える
+ * - dark: 背景より濃いところを残す（黒・青のスタンプ）
+ * - auto: 印影らしい部分の過半が赤ければ red、そうでなければ dark
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image RGBA の画素
+ * @param {Object} [options]
+ * @param {'auto'|'red'|'dark'} [options.mode='auto']
+ * @param {number[]} [options.color] 抜き出した印影の色 [r, g, b]（既定は朱色）
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, mode: 'red'|'dark'}}
+ */
+export function extractSealInk(image, options = {}) {
+  const { data, width, height } = image;
+  const count = width * height;
+  const rgb = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const a = data[i * 4 + 3] / 255;
+    for (let c = 0; c < 3; c++) rgb[i * 3 + c] = 255 - a * (255 - data[i * 4 + c]);
+  }
+  const lum = i => 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+  const redness = i => rgb[i * 3] - Math.max(rgb[i * 3 + 1], rgb[i * 3 + 2]);
+
+  let bgSum = 0;
+  let bgCount = 0;
+  for (let x = 0; x < width; x++) { bgSum += lum(x) + lum((height - 1) * width + x); bgCount += 2; }
+  for (let y = 0; y < height; y++) { bgSum += lum(y * width) + lum(y * width + width - 1); bgCount += 2; }
+  const bgLum = bgSum / bgCount;
+
+  let mode = options.mode || 'auto';
+  if (mode === 'auto') {
+    let inked = 0;
+    let red = 0;
+    for (let i = 0; i < count; i++) {
+      if (bgLum - lum(i) > 40 || redness(i) > 60) {
+        inked++;
+        if (redness(i) > 60) red++;
+      }
+    }
+    mode = red * 2 > inked ? 'red' : 'dark';
+  }
+  const inkOf = mode === 'red'
+    ? i => smoothstep(redness(i), 25, 90)
+    : i => smoothstep(bgLum - lum(i), 30, 110);
+
+  const alpha = new Uint8ClampedArray(count);
+  let left = width, top = height, right = -1, bottom = -1;
+  for (let i = 0; i < count; i++) {
+    alpha[i] = Math.round(inkOf(i) * 255);
+    if (alpha[i] < SEAL_CROP_ALPHA) continue;
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x < left) left = x;
+    if (x > right) right = x;
+    if (y < top) top = y;
+    if (y > bottom) bottom = y;
+  }
+  if (right < 0) throw new Error('印影が見つかりません（背景と区別できる朱色・濃い部分がありません）');
+
+  const pad = 2;
+  left = Math.max(0, left - pad); top = Math.max(0, top - pad);
+  right = Math.min(width - 1, right + pad); bottom = Math.min(height - 1, bottom + pad);
+  const outW = right - left + 1;
+  const outH = bottom - top + 1;
+  const out = new Uint8ClampedArray(outW * outH * 4);
+  const color = options.color || SEAL_INK;
+  for (let y = 0; y < outH; y++) {
+    for (let x = 0; x < outW; x++) {
+      const o = (y * outW + x) * 4;
+      out[o] = color[0]; out[o + 1] = color[1]; out[o + 2] = color[2];
+      out[o + 3] = alpha[(top + y) * width + left + x];
+    }
+  }
+  return { data: out, width: outW, height: outH, mode };
+}
+
+/**
+ * 印影の画像ファイル（data URL）を取り込む。extract が true なら背景を除いて朱色を抜き出した PNG にする。
+ * 大きな画像は長辺 512px に縮める。
+ *
+ * @param {string} dataUrl PNG/JPEG の data URL
+ * @param {Object} [options]
+ * @param {boolean} [options.extract=true]
+ * @param {'auto'|'red'|'dark'} [options.mode='auto']
+ * @returns {Promise<{dataUrl: string, width: number, height: number}>}
+ */
+export async function importSealImage(dataUrl, options = {}) {
+  if (!runtime.loadImage || !runtime.createCanvas) throw new Error('この環境では印影の画像を読み込めません');
+  const image = await runtime.loadImage(dataUrl);
+  const scale = Math.min(1, SEAL_MAX_PIXELS / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const canvas = runtime.createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  if (options.extract === false) return { dataUrl: canvas.toDataURL('image/png'), width, height };
+
+  const ink = extractSealInk(ctx.getImageData(0, 0, width, height), { mode: options.mode });
+  const out = runtime.createCanvas(ink.width, ink.height);
+  const outCtx = out.getContext('2d');
+  const imageData = outCtx.createImageData(ink.width, ink.height);
+  imageData.data.set(ink.data);
+  outCtx.putImageData(imageData, 0, 0);
+  return { dataUrl: out.toDataURL('image/png'), width: ink.width, height: ink.height };
+}
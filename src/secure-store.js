@@ -0,0 +1,310 @@
+/**
+ * 暗号化した保存先 - 事務所設定と印影を、合言葉から作った鍵で暗号化して保存する
+ *
+ * 暗号化を有効にすると、事務所設定（tsukurukun_config）と印影（tsukurukun_seals・以前の tsukurukun_seal）を
+ * localStorage から消し、AES-GCM で暗号化して IndexedDB（tsukurukun_data / secure）に保存する。
+ * 鍵は合言葉から PBKDF2（SHA-256）で作り、どこにも保存しない。解錠しているあいだだけ復号した値をメモリに持ち、
+ * ロックするか、使わないまま自動ロックの時間が過ぎたら捨てる。
+ * ロック中は設定・印影が無いものとして読めるが、保存と印影を押すこと（assertSecureStoreUnlocked）はできない。
+ * 暗号化していなければ、これまでどおり runtime.storage（localStorage）に平文で保存する。
+ * IndexedDB が無い環境（CLI）では暗号化した記録をメモリ上だけに持つ。
+ */
+
+import { runtime } from './runtime.js';
+import { openDataDatabase, idbRequest } from './idb.js';
+
+const STORE = 'secure';
+const RECORD_ID = 'vault';
+// 暗号化を有効にしたことと自動ロックの時間（秘密ではないので平文。ロック中にも読む）
+const MARKER_KEY = 'tsukurukun_secure';
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/** 暗号化する保存キー（事務所設定・印影） */
+export const SECURE_KEYS = ['tsukurukun_config', 'tsukurukun_seals', 'tsukurukun_seal'];
+
+/** 自動ロックの既定（分。0 なら自動ロックしない） */
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// 解錠中の鍵と復号した値
+const state = { key: null, salt: null, iterations: 0, values: null, timer: null, pending: Promise.resolve() };
+const lockListeners = new Set();
+let memoryRecord = null;
+
+function readMarker() {
+  try {
+    return JSON.parse((runtime.storage && runtime.storage.getItem(MARKER_KEY)) || 'null');
+  } catch (e) { return null; }
+}
+
+function subtle() {
+  const s = runtime.crypto && runtime.crypto.subtle;
+  if (!s) throw new Error('この環境では暗号化できません（Web Crypto がありません）');
+  return s;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const base = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base,
+    { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptValues(key, values) {
+  const iv = runtime.crypto.getRandomValues(new Uint8Array(12));
+  const data = new TextEncoder().encode(JSON.stringify(Object.fromEntries(values)));
+  return { iv, ciphertext: new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, key, data)) };
+}
+
+async function decryptValues(key, record) {
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.ciphertext);
+  } catch (e) {
+    // AES-GCM は鍵が違うと認証に失敗する
+    throw new Error('合言葉が違います');
+  }
+  return new Map(Object.entries(JSON.parse(new TextDecoder().decode(plain))));
+}
+
+function checkPassphrase(passphrase) {
+  if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`合言葉は${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+  }
+}
+
+// --- 暗号化した記録（IndexedDB / メモリ）---
+
+async function readRecord() {
+  if (!runtime.indexedDB) return memoryRecord;
+  return (await idbRequest(openDataDatabase(), STORE, 'readonly', store => store.get(RECORD_ID))) || null;
+}
+
+async function writeRecord(record) {
+  if (!runtime.indexedDB) {
+    memoryRecord = record;
+    return;
+  }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.put(record));
+}
+
+async function deleteRecord() {
+  if (!runtime.indexedDB) {
+    memoryRecord = null;
+    return;
+  }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.delete(RECORD_ID));
+}
+
+async function sealRecord(key, salt, iterations, values) {
+  return Object.assign({ id: RECORD_ID, salt, iterations }, await encryptValues(key, values));
+}
+
+// 変更した値を暗号化して保存する（順に保存し、失敗しても解錠中の値は残す）
+function persist() {
+  const { key, salt, iterations } = state;
+  const values = new Map(state.values);
+  state.pending = state.pending
+    .then(async () => writeRecord(await sealRecord(key, salt, iterations, values)))
+    .catch(err => console.warn('[暗号化] 設定を保存できません:', err));
+}
+
+// 使うたびに自動ロックまでの時間を数え直す
+function touch() {
+  runtime.clearTimeout(state.timer);
+  state.timer = null;
+  const minutes = getAutoLockMinutes();
+  if (!state.key || !(minutes > 0)) return;
+  state.timer = runtime.setTimeout(lockSecureStore, minutes * 60000);
+  if (state.timer && state.timer.unref) state.timer.unref();
+}
+
+function unlocked(key, salt, iterations, values) {
+  Object.assign(state, { key, salt, iterations, values });
+  touch();
+}
+
+// --- 状態 ---
+
+/**
+ * 事務所設定と印影を暗号化しているか。
+ * @returns {boolean}
+ */
+export function isSecureStoreEnabled() {
+  return !!readMarker();
+}
+
+/**
+ * 解錠しているか（暗号化していなければ false）。
+ * @returns {boolean}
+ */
+export function isSecureStoreUnlocked() {
+  return isSecureStoreEnabled() && !!state.key;
+}
+
+/**
+ * 印影を押す・設定を保存する前に呼ぶ。暗号化していてロック中ならエラー。
+ */
+export function assertSecureStoreUnlocked() {
+  if (isSecureStoreEnabled() && !state.key) {
+    throw new Error('事務所設定と印影はロックされています。合言葉で解錠してください');
+  }
+}
+
+/**
+ * 自動ロックまでの時間（分）。
+ * @returns {number}
+ */
+export function getAutoLockMinutes() {
+  const marker = readMarker();
+  return marker && marker.autoLockMinutes !== undefined ? marker.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * 自動ロックまでの時間を変える（暗号化しているときだけ）。
+ * @param {number} minutes 0 なら自動ロックしない
+ */
+export function setAutoLockMinutes(minutes) {
+  if (!isSecureStoreEnabled()) throw new Error('暗号化していません');
+  const value = Math.max(0, Math.round(Number(minutes) || 0));
+  runtime.storage.setItem(MARKER_KEY, JSON.stringify(Object.assign(readMarker(), { autoLockMinutes: value })));
+  touch();
+}
+
+/**
+ * ロックしたとき（自動ロックを含む）に呼ぶ関数を登録する。
+ * @param {function(): void} listener
+ * @returns {function(): void} 登録を外す関数
+ */
+export function onSecureStoreLock(listener) {
+  lockListeners.add(listener);
+  return () => lockListeners.delete(listener);
+}
+
+// --- 暗号化の開始・解錠・ロック ---
+
+/**
+ * 暗号化を始める。今の事務所設定・印影を暗号化して保存し、localStorage の平文は消す（解錠した状態になる）。
+ *
+ * @param {string} passphrase 合言葉（8文字以上）
+ * @param {{autoLockMinutes?: number}} [options]
+ */
+export async function enableSecureStore(passphrase, options = {}) {
+  if (isSecureStoreEnabled()) throw new Error('既に暗号化しています');
+  checkPassphrase(passphrase);
+  const salt = runtime.crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const values = new Map();
+  for (const name of SECURE_KEYS) {
+    const value = runtime.storage.getItem(name);
+    if (value !== null) values.set(name, value);
+  }
+  await writeRecord(await sealRecord(key, salt, PBKDF2_ITERATIONS, values));
+  const autoLockMinutes = options.autoLockMinutes !== undefined ? options.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+  runtime.storage.setItem(MARKER_KEY, JSON.stringify({ autoLockMinutes }));
+  SECURE_KEYS.forEach(name => runtime.storage.removeItem(name));
+  unlocked(key, salt, PBKDF2_ITERATIONS, values);
+}
+
+/**
+ * 合言葉で解錠する。
+ * @param {string} passphrase
+ */
+export async function unlockSecureStore(passphrase) {
+  if (!isSecureStoreEnabled()) return;
+  // 解錠中に変えた値の保存が済んでから読む
+  await state.pending;
+  const record = await readRecord();
+  if (!record) throw new Error('暗号化した設定が見つかりません（ブラウザのデータが消えた可能性があります）');
+  const key = await deriveKey(String(passphrase || ''), record.salt, record.iterations);
+  unlocked(key, record.salt, record.iterations, await decryptValues(key, record));
+}
+
+/**
+ * ロックする（復号した値と鍵を捨てる）。
+ */
+export function lockSecureStore() {
+  runtime.clearTimeout(state.timer);
+  Object.assign(state, { key: null, salt: null, iterations: 0, values: null, timer: null });
+  lockListeners.forEach(listener => listener());
+}
+
+/**
+ * 合言葉を変える（鍵を作り直して暗号化し直す）。
+ * @param {string} current 今の合言葉
+ * @param {string} next 新しい合言葉（8文字以上）
+ */
+export async function changeSecureStorePassphrase(current, next) {
+  checkPassphrase(next);
+  await unlockSecureStore(current);
+  const salt = runtime.crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(next, salt, PBKDF2_ITERATIONS);
+  await writeRecord(await sealRecord(key, salt, PBKDF2_ITERATIONS, state.values));
+  unlocked(key, salt, PBKDF2_ITERATIONS, state.values);
+}
+
+/**
+ * 暗号化をやめる。復号した事務所設定・印影を localStorage に戻し、暗号化した記録を消す。
+ * @param {string} passphrase
+ */
+export async function disableSecureStore(passphrase) {
+  await unlockSecureStore(passphrase);
+  for (const [name, value] of state.values) runtime.storage.setItem(name, value);
+  await deleteRecord();
+  runtime.storage.removeItem(MARKER_KEY);
+  runtime.clearTimeout(state.timer);
+  Object.assign(state, { key: null, salt: null, iterations: 0, values: null, timer: null });
+}
+
+/**
+ * 合言葉を忘れたとき。暗号化した事務所設定・印影を消して、暗号化する前（設定なし）に戻す。
+ */
+export async function resetSecureStore() {
+  await deleteRecord();
+  runtime.storage.removeItem(MARKER_KEY);
+  lockSecureStore();
+}
+
+/**
+ * 保存が終わるまで待つ（暗号化は非同期なので、保存直後に記録を読むとき・テスト用）。
+ * @returns {Promise<void>}
+ */
+export function flushSecureStore() {
+  return state.pending;
+}
+
+// --- config.js・seal.js が使う保存先 ---
+
+/**
+ * localStorage 互換の保存先。SECURE_KEYS は暗号化していれば解錠中の値を読み書きし、それ以外は runtime.storage。
+ * ロック中は null を返し、保存はエラーにする。
+ */
+export const secureStorage = {
+  getItem(name) {
+    if (!SECURE_KEYS.includes(name) || !isSecureStoreEnabled()) {
+      return runtime.storage ? runtime.storage.getItem(name) : null;
+    }
+    if (!state.key) return null;
+    touch();
+    return state.values.has(name) ? state.values.get(name) : null;
+  },
+  setItem(name, value) {
+    if (!SECURE_KEYS.includes(name) || !isSecureStoreEnabled()) {
+      runtime.storage.setItem(name, value);
+      return;
+    }
+    assertSecureStoreUnlocked();
+    state.values.set(name, String(value));
+    touch();
+    persist();
+  },
+  removeItem(name) {
+    if (!SECURE_KEYS.includes(name) || !isSecureStoreEnabled()) {
+      runtime.storage.removeItem(name);
+      return;
+    }
+    assertSecureStoreUnlocked();
+    state.values.delete(name);
+    touch();
+    persist();
+  },
+};
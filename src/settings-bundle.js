@@ -0,0 +1,243 @@
+/**
+ * 設定の書き出し・読み込みと事務所共通の設定
+ *
+ * 事務所設定（弁護士を含む）・裁判所名簿の追加・修正・送付書テンプレート・印影を、署名付きの1つの ZIP に書き出し、
+ * ほかの端末で読み込む。ZIP には settings.json・templates/（.docx）・signature.json を入れる。
+ * signature.json は各ファイルの SHA-256 と、それらへの HMAC-SHA256 の署名（鍵は事務所で決めた署名の合言葉から
+ * PBKDF2 で作る）。読み込むときに署名を確かめ、合言葉が違うか中身が書き換えられていたら取り込まない。
+ * 設定・印影を暗号化している端末（secure-store.js）から書き出すときは、事務所設定・名簿・印影を settings.enc に
+ * AES-GCM で暗号化して入れる（鍵は署名と同じ合言葉から作る）。settings.json には暗号化の情報だけを書く。
+ *
+ * アプリ版は共有フォルダの事務所共通の設定ファイル（config.json と同じ形。名簿は courtDirectory）を起動時に読み、
+ * applyOfficeConfig で事務所設定と裁判所名簿の下に敷く。端末ごとの設定はその上に重なる。
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig, saveConfig, setOfficeConfig } from './config.js';
+import { listSeals, importSeals } from './seal.js';
+import { exportCourtDirectory, importCourtDirectory, setOfficeCourtDirectory } from './court-directory.js';
+import { listSofushoTemplates, getSofushoTemplate, restoreSofushoTemplate } from './sofusho-template.js';
+import { assertSecureStoreUnlocked, isSecureStoreEnabled } from './secure-store.js';
+
+const FORMAT = 'tsukurukun-settings';
+const VERSION = 1;
+// 暗号化した書き出し（settings.json は暗号化の情報だけで、中身は settings.enc）
+const ENCRYPTED_VERSION = 2;
+const SETTINGS_FILE = 'settings.json';
+const ENCRYPTED_FILE = 'settings.enc';
+const SIGNATURE_FILE = 'signature.json';
+const TEMPLATE_DIR = 'templates/';
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function subtle() {
+  const s = runtime.crypto && runtime.crypto.subtle;
+  if (!s) throw new Error('この環境では署名できません（Web Crypto がありません）');
+  return s;
+}
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return new Uint8Array(String(hex).match(/../g).map(h => parseInt(h, 16)));
+}
+
+// 合言葉から署名の鍵（HMAC）と暗号化の鍵（AES-GCM）を作る。PBKDF2 の出力の前半が署名、後半が暗号化の鍵
+// （前半は 256 ビットだけ作ったときと同じなので、暗号化していない以前の書き出しもそのまま確かめられる）
+async function bundleKeys(passphrase, salt, iterations) {
+  if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`署名の合言葉は${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+  }
+  const base = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await subtle().deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, 512));
+  return {
+    sign: await subtle().importKey('raw', bits.slice(0, 32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']),
+    encrypt: await subtle().importKey('raw', bits.slice(32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+  };
+}
+
+// 署名する内容（ファイル名の順にそろえた SHA-256 の一覧）
+function signedBytes(files) {
+  const sorted = Object.keys(files).sort().map(name => [name, files[name]]);
+  return new TextEncoder().encode(JSON.stringify(sorted));
+}
+
+async function digestFiles(zip) {
+  const files = {};
+  for (const name of Object.keys(zip.files).sort()) {
+    if (name === SIGNATURE_FILE || zip.files[name].dir) continue;
+    files[name] = toHex(await subtle().digest('SHA-256', await zip.file(name).async('uint8array')));
+  }
+  return files;
+}
+
+/**
+ * 設定を署名付きの ZIP に書き出す（暗号化していてロック中ならエラー）。
+ * 設定・印影を暗号化しているときは、事務所設定・名簿・印影も署名の合言葉で暗号化する。
+ *
+ * @param {string} passphrase 署名の合言葉（8文字以上。読み込む端末でも同じものを使う）
+ * @returns {Promise<Blob>}
+ */
+export async function exportSettingsBundle(passphrase) {
+  assertSecureStoreUnlocked();
+  const zip = new runtime.JSZip();
+  const templates = [];
+  for (const summary of (await listSofushoTemplates()).filter(t => !t.builtin)) {
+    const template = await getSofushoTemplate(summary.id);
+    const path = TEMPLATE_DIR + summary.id + '.docx';
+    zip.file(path, template.data);
+    templates.push({ id: summary.id, name: summary.name, fileName: summary.fileName, createdAt: summary.createdAt, path });
+  }
+  const settings = {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    config: getConfig(),
+    courtDirectory: JSON.parse(exportCourtDirectory('json', { changedOnly: true })),
+    seals: listSeals(),
+    templates,
+  };
+
+  const salt = runtime.crypto.getRandomValues(new Uint8Array(16));
+  const keys = await bundleKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  if (isSecureStoreEnabled()) {
+    const iv = runtime.crypto.getRandomValues(new Uint8Array(12));
+    const data = new TextEncoder().encode(JSON.stringify(settings));
+    zip.file(ENCRYPTED_FILE, new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, keys.encrypt, data)));
+    zip.file(SETTINGS_FILE, JSON.stringify({
+      format: FORMAT,
+      version: ENCRYPTED_VERSION,
+      exportedAt: settings.exportedAt,
+      encryption: { algorithm: 'AES-GCM', iv: toHex(iv), file: ENCRYPTED_FILE },
+    }, null, 2));
+  } else {
+    zip.file(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+  }
+
+  const files = await digestFiles(zip);
+  const signature = await subtle().sign('HMAC', keys.sign, signedBytes(files));
+  zip.file(SIGNATURE_FILE, JSON.stringify({
+    algorithm: 'HMAC-SHA256',
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toHex(salt) },
+    files,
+    signature: toHex(signature),
+  }, null, 2));
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+}
+
+async function decryptSettings(zip, encryption, key) {
+  const file = encryption.file === ENCRYPTED_FILE ? zip.file(ENCRYPTED_FILE) : null;
+  if (encryption.algorithm !== 'AES-GCM' || !/^[0-9a-f]{24}$/.test(encryption.iv) || !file) {
+    throw new Error('暗号化した設定を読み込めません');
+  }
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: 'AES-GCM', iv: fromHex(encryption.iv) }, key, await file.async('uint8array'));
+  } catch (e) {
+    throw new Error('暗号化した設定を復号できません');
+  }
+  const settings = JSON.parse(new TextDecoder().decode(plain));
+  if (settings.format !== FORMAT || settings.version > VERSION) throw new Error('書き出した設定のファイルではありません');
+  return settings;
+}
+
+const HEX_DIGEST = /^[0-9a-f]{64}$/;
+
+// signature.json が書き出したときの形か（反復回数は書き出すときの回数だけ）
+function validSignature(sig) {
+  const { kdf } = sig;
+  return sig.algorithm === 'HMAC-SHA256' && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256'
+    && kdf.iterations === PBKDF2_ITERATIONS && /^[0-9a-f]{32}$/.test(kdf.salt)
+    && HEX_DIGEST.test(sig.signature) && typeof sig.files === 'object'
+    && Object.values(sig.files).every(digest => HEX_DIGEST.test(digest));
+}
+
+/**
+ * 書き出した ZIP の署名を確かめて中身を返す（まだ取り込まない）。
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob} data
+ * @param {string} passphrase 署名の合言葉
+ * @returns {Promise<{settings: Object, zip: Object}>}
+ */
+export async function readSettingsBundle(data, passphrase) {
+  let zip;
+  try {
+    zip = await runtime.JSZip.loadAsync(data);
+  } catch (e) {
+    throw new Error('設定のファイル（ZIP）を読み込めません: ' + e.message);
+  }
+  const signatureFile = zip.file(SIGNATURE_FILE);
+  const settingsFile = zip.file(SETTINGS_FILE);
+  if (!signatureFile || !settingsFile) throw new Error('書き出した設定のファイルではありません');
+  let sig;
+  try {
+    sig = JSON.parse(await signatureFile.async('string'));
+  } catch (e) { sig = null; }
+  if (!sig || !sig.kdf || !sig.signature || !sig.files) throw new Error('設定のファイルに署名がありません');
+  // 鍵を作る前に、ファイルに書かれた値を確かめる（反復回数が大きすぎると PBKDF2 が終わらない）
+  if (!validSignature(sig)) throw new Error('書き出した設定のファイルではありません（署名の形式が違います）');
+  const files = await digestFiles(zip);
+  const listed = Object.keys(sig.files).sort();
+  const keys = await bundleKeys(passphrase, fromHex(sig.kdf.salt), sig.kdf.iterations);
+  const valid = await subtle().verify('HMAC', keys.sign, fromHex(sig.signature), signedBytes(sig.files));
+  const unchanged = listed.length === Object.keys(files).length && listed.every(name => files[name] === sig.files[name]);
+  if (!valid || !unchanged) {
+    throw new Error('署名が一致しません（署名の合言葉が違うか、ファイルが書き換えられています）');
+  }
+  let settings = JSON.parse(await settingsFile.async('string'));
+  if (settings.format !== FORMAT) throw new Error('書き出した設定のファイルではありません');
+  if (settings.version > ENCRYPTED_VERSION) throw new Error('新しい版で書き出した設定です。アプリを更新してください');
+  if (settings.encryption) settings = await decryptSettings(zip, settings.encryption, keys.encrypt);
+  return { settings, zip };
+}
+
+/**
+ * 書き出した ZIP の署名を確かめて取り込む（暗号化していてロック中ならエラー）。
+ * 事務所設定は置き換え、裁判所名簿・印影・テンプレートは同じものを上書きして追加する。
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob} data
+ * @param {string} passphrase 署名の合言葉
+ * @returns {Promise<{lawyers: number, courts: number, seals: number, templates: number}>}
+ */
+export async function importSettingsBundle(data, passphrase) {
+  assertSecureStoreUnlocked();
+  const { settings, zip } = await readSettingsBundle(data, passphrase);
+  let templates = 0;
+  for (const meta of settings.templates || []) {
+    const file = zip.file(meta.path);
+    if (!file) continue;
+    await restoreSofushoTemplate(meta, await file.async('arraybuffer'));
+    templates++;
+  }
+  const courts = settings.courtDirectory
+    ? importCourtDirectory(JSON.stringify(settings.courtDirectory), 'json').courts
+    : 0;
+  const seals = importSeals(settings.seals);
+  const config = settings.config || {};
+  saveConfig(config);
+  return { lawyers: (config.lawyers || []).length, courts, seals, templates };
+}
+
+/**
+ * 事務所共通の設定を下に敷く（アプリ版が共有フォルダの設定ファイルを読んだとき）。
+ * config.json と同じ形で、裁判所名簿は courtDirectory（exportCourtDirectory('json') と同じ形）に書く。
+ *
+ * @param {string|Object|null} source 設定ファイルの中身（null で外す）
+ * @returns {Object} 事務所共通の設定（courtDirectory を除く）
+ */
+export function applyOfficeConfig(source) {
+  let data = source || {};
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data.replace(/^\uFEFF/, ''));
+    } catch (e) {
+      throw new Error('事務所共通の設定ファイルを読み込めません: ' + e.message);
+    }
+  }
+  const { courtDirectory, ...config } = data;
+  setOfficeConfig(config);
+  setOfficeCourtDirectory(courtDirectory || null);
+  return config;
+}
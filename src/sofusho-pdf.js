@@ -0,0 +1,197 @@
+/**
+ * 文書送付書 PDF生成 - 同梱テンプレート（文書送付書.doc.docx）と同じ項目・並びを pdf-lib で直接描く
+ *
+ * Word を開いて PDF に書き出さなくても、そのまま FAX・mints に使える送付書を作る。
+ * 差出人（事務所名・弁護士名・肩書き・FAX番号）は事務所設定と署名する弁護士（lawyers.js）から入れる。
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig, toFullWidthNumber } from './config.js';
+import { formatWareki } from './wareki.js';
+import { loadJapaneseFont } from './assets.js';
+import {
+  buildSofushoFileName, buildEnclosureList, formatTotalPages, getDocumentTitleFromFilename, resolveSendDate,
+} from './sofusho.js';
+import { mergePdfs } from './evidence.js';
+import { getDefaultLawyer, DEFAULT_SIGNER_TITLE } from './lawyers.js';
+
+// A4（pt）と余白（同梱テンプレートのページ設定: 上 1985・左右下 1701 twip）
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = { top: 99, right: 85, bottom: 85, left: 85 };
+const FONT_SIZE = 12;
+const TITLE_SIZE = 16;
+const LINE_HEIGHT = 1.7;
+
+/**
+ * 送付書の行（上から順）を組み立てる。描画しないので Node でもそのまま確かめられる。
+ *
+ * @param {Object} info 確認済みの送付書項目
+ * @param {string} documentTitle 送付書類名
+ * @param {Object} [config] 事務所設定（省略時は保存済みの設定）
+ * @param {Object} [options]
+ * @param {{title: string, pageCount?: ?number}[]} [options.documents] 送付書類の一覧（1書類1行。省略時は documentTitle の1件）
+ * @param {number} [options.pageCount] 送信枚数（送付書を含む）。省略時は documents の全ページ数が分かれば送付書1枚を足して数える
+ * @param {Object} [options.lawyer] 署名する弁護士（lawyers.js。省略時は既定の弁護士）
+ * @returns {{text: string, align: 'left'|'center'|'right', size?: number, rule?: boolean}[]}
+ *   text が空の行は空行、rule は区切り線
+ */
+export function buildSofushoLayout(info, documentTitle, config = getConfig(), options = {}) {
+  const date = resolveSendDate(info);
+  const lawyer = options.lawyer || getDefaultLawyer(config);
+  const ownFax = (lawyer && lawyer.fax) || (config.faxNumbers || [])[0] || '';
+  const signer = lawyer ? lawyer.name : '';
+  const title = (lawyer && lawyer.title) || DEFAULT_SIGNER_TITLE;
+  const line = (text, align = 'left', size) => ({ text, align, size });
+  const faxNote = fax => (fax ? `（FAX ${fax}番）` : '');
+  // 事件番号は同梱テンプレートと同じく全角（令和７年（ワ）第８００号）
+  const fullWidthCaseNumber = toFullWidthNumber(info.caseNumber || '').replace(/\(/g, '（').replace(/\)/g, '）');
+  const enclosures = buildEnclosureList(options.documents || [{ title: documentTitle || '' }]);
+  const pageCount = options.pageCount || enclosures.totalPages;
+
+  return [
+    line(`${info.courtName || ''}　御中　${faxNote(info.courtFax)}`),
+    line(`原告訴訟代理人弁護士　${info.plaintiffLawyer || ''}　先生　${faxNote(info.plaintiffLawyerFax)}`),
+    line(''),
+    line('文　書　送　付　書', 'center', TITLE_SIZE),
+    line(''),
+    line(formatWareki(date), 'right'),
+    line(config.officeName || '', 'right'),
+    line(`${title}弁護士　${signer}`, 'right'),
+    line(ownFax ? `ＦＡＸ${toFullWidthNumber(ownFax).replace(/-/g, '－')}番` : '', 'right'),
+    line(''),
+    line('下記の書類を，送付致しますので，御査収下さい。'),
+    line(''),
+    line('（送付書類）'),
+    line(`${fullWidthCaseNumber}　${info.caseName || ''}`),
+    line(`原告　${info.plaintiffName || ''}`),
+    line(`被告　${info.defendantName || ''}`),
+    // 2件目以降は「に関する　」の幅だけ下げて書類名を揃える
+    ...enclosures.lines.map((title, i) => line((i === 0 ? 'に関する　' : '\u3000'.repeat(5)) + title)),
+    line(pageCount ? formatTotalPages(pageCount) : ''),
+    { text: '', align: 'left', rule: true },
+    line('受領証明書', 'center'),
+    line(''),
+    line(`${info.courtName || ''}　御中　${faxNote(info.courtFax)}`),
+    line(`${title.replace('訴訟', '')}弁護士　${signer}　殿　${faxNote(ownFax)}`),
+    line(formatWareki(date, { precision: 'month' }) + '　　日', 'right'),
+    line(''),
+    line('上記書類を，本日，受領しました。'),
+    line(''),
+    line('受領者　　　　　　　　　　　　　　　　印', 'right'),
+  ];
+}
+
+// 幅に収まらない行を文字単位で折り返す
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let current = '';
+  for (const ch of text) {
+    if (current && font.widthOfTextAtSize(current + ch, size) > maxWidth) {
+      lines.push(current);
+      current = ch.trim() ? ch : '';
+    } else {
+      current += ch;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+/**
+ * 文書送付書を PDF で生成する。
+ *
+ * @param {Object} info 確認済みの送付書項目
+ * @param {string} documentTitle 送付書類名
+ * @param {function(string): void} [onProgress]
+ * @param {Object} [options] buildSofushoLayout の options（documents・pageCount・lawyer）
+ * @returns {Promise<{blob: Blob, fileName: string, pageCount: number}>} pageCount は送付書のページ数
+ */
+export async function generateSofushoPdfBrowser(info, documentTitle, onProgress, options = {}) {
+  const { PDFLib, fontkit } = runtime;
+  const { rgb } = PDFLib;
+  onProgress && onProgress('フォントを読み込み中...');
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+  const fontBytes = await loadJapaneseFont();
+  const font = await pdfDoc.embedFont(fontBytes, { subset: false });
+
+  onProgress && onProgress('送付書を作成中...');
+  let page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const maxWidth = PAGE_WIDTH - MARGIN.left - MARGIN.right;
+  let y = PAGE_HEIGHT - MARGIN.top;
+  for (const item of buildSofushoLayout(info, documentTitle, getConfig(), options)) {
+    const size = item.size || FONT_SIZE;
+    if (item.rule) {
+      page.drawLine({
+        start: { x: MARGIN.left, y: y + size / 2 }, end: { x: PAGE_WIDTH - MARGIN.right, y: y + size / 2 },
+        thickness: 0.8, color: rgb(0, 0, 0),
+      });
+      y -= size * LINE_HEIGHT;
+      continue;
+    }
+    for (const text of wrapText(item.text, font, size, maxWidth)) {
+      if (y < MARGIN.bottom) {
+        page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        y = PAGE_HEIGHT - MARGIN.top;
+      }
+      const width = font.widthOfTextAtSize(text, size);
+      const x = item.align === 'center' ? (PAGE_WIDTH - width) / 2
+        : item.align === 'right' ? PAGE_WIDTH - MARGIN.right - width
+          : MARGIN.left;
+      if (text) page.drawText(text, { x, y, size, font, color: rgb(0, 0, 0) });
+      y -= size * LINE_HEIGHT;
+    }
+  }
+
+  onProgress && onProgress('PDFファイルを生成中...');
+  const pdfBytes = await pdfDoc.save();
+  return {
+    blob: new Blob([pdfBytes], { type: 'application/pdf' }),
+    fileName: buildSofushoFileName(documentTitle, 'pdf'),
+    pageCount: pdfDoc.getPageCount(),
+  };
+}
+
+/**
+ * 送付書を表紙にして、送付する PDF の前に付けた1つの PDF（FAX送信用）を生成する。
+ * 送付書類の各行のページ数と送信枚数（表紙を含む）は、添付 PDF を実際に数えた値を入れる。
+ *
+ * @param {Object} info 確認済みの送付書項目
+ * @param {string} documentTitle 送付書類名
+ * @param {File[]} files 送付する PDF（この順で表紙の後ろに付ける）
+ * @param {function(string): void} [onProgress]
+ * @param {Object} [options]
+ * @param {{title: string, originalName?: string}[]} [options.documents] 送付書類の一覧。
+ *   originalName がファイル名と一致する行の書類名を使う（無いファイルはファイル名から）
+ * @param {Object} [options.lawyer] 署名する弁護士（lawyers.js。省略時は既定の弁護士）
+ * @returns {Promise<{blob: Blob, fileName: string, pageCount: number}>} pageCount は表紙を含む総ページ数
+ */
+export async function generateSofushoBundleBrowser(info, documentTitle, files, onProgress, options = {}) {
+  const { PDFLib } = runtime;
+  if (files.length === 0) throw new Error('送付書の後ろに付けるPDFがありません');
+  onProgress && onProgress('送付するPDFのページ数を数えています...');
+  const documents = [];
+  for (const file of files) {
+    const doc = await PDFLib.PDFDocument.load(await file.arrayBuffer());
+    const listed = (options.documents || []).find(d => d.originalName === file.name);
+    documents.push({ title: listed ? listed.title : getDocumentTitleFromFilename(file.name), pageCount: doc.getPageCount() });
+  }
+  const attachedPages = documents.reduce((sum, d) => sum + d.pageCount, 0);
+
+  // 表紙は通常1ページ。長い当事者名などで2ページ以上になったら数え直して作り直す
+  const lawyer = options.lawyer;
+  let cover = await generateSofushoPdfBrowser(info, documentTitle, onProgress,
+    { documents, pageCount: attachedPages + 1, lawyer });
+  if (cover.pageCount > 1) {
+    cover = await generateSofushoPdfBrowser(info, documentTitle, onProgress,
+      { documents, pageCount: attachedPages + cover.pageCount, lawyer });
+  }
+  const coverFile = new File([cover.blob], cover.fileName, { type: 'application/pdf' });
+  const merged = await mergePdfs([coverFile].concat(files), onProgress);
+  return {
+    blob: new Blob([await merged.arrayBuffer()], { type: 'application/pdf' }),
+    fileName: buildSofushoFileName(documentTitle, 'pdf').replace(/^文書送付書_/, '文書送付書付き_'),
+    pageCount: attachedPages + cover.pageCount,
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * 送付書テンプレート - 利用者の .docx テンプレート（{{courtName}} などの差し込み項目）の登録・検査
+ *
+ * 同梱テンプレート（BUILTIN_TEMPLATE_ID）はサンプル文字列を置き換える方式のまま、
+ * 利用者のテンプレートは {{項目名}} の差し込み項目を置き換える（sofusho.js）。
+ * IndexedDB（tsukurukun_data / templates）に保存する。IndexedDB が無い環境（CLI）ではメモリ上だけに持つ。
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig, saveConfig } from './config.js';
+import { openDataDatabase, idbRequest } from './idb.js';
+
+const STORE = 'templates';
+
+/** 同梱の文書送付書テンプレート */
+export const BUILTIN_TEMPLATE_ID = 'builtin';
+const BUILTIN_TEMPLATE_NAME = '同梱テンプレート（文書送付書）';
+
+/** 差し込み項目（{{項目名}}）と表示名 */
+export const TEMPLATE_PLACEHOLDERS = {
+  courtName: '裁判所名',
+  courtFax: '裁判所FAX',
+  caseNumber: '事件番号',
+  caseName: '事件名',
+  plaintiffName: '原告',
+  defendantName: '被告',
+  plaintiffLawyer: '原告代理人弁護士',
+  plaintiffLawyerFax: '原告代理人FAX',
+  documentTitle: '送付書類名',
+  documentList: '送付書類の一覧（1書類1行・枚数付き）',
+  totalPages: '送信枚数（送付書を含む）',
+  date: '作成日（令和○年○月○日）',
+  officeName: '事務所名',
+  signerName: '署名者名',
+  signerTitle: '署名者の肩書き（被告訴訟代理人など）',
+  signerFax: '署名者のFAX番号',
+};
+
+/** テンプレートに無いと警告する差し込み項目 */
+export const REQUIRED_PLACEHOLDERS = [
+  'courtName', 'courtFax', 'caseNumber', 'caseName', 'plaintiffName', 'defendantName', 'documentTitle', 'date',
+];
+
+/** 差し込み項目の書式（{{ courtName }} のように内側の空白は許す） */
+export const PLACEHOLDER_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+
+/** 差し込み項目を探す .docx 内の部品（本文・ヘッダー・フッター） */
+export const TEMPLATE_PART_PATTERN = /^word\/(document|header\d*|footer\d*)\.xml$/;
+
+// --- 保存先（IndexedDB / メモリ）---
+
+const memoryTemplates = new Map();
+
+async function getAllRecords() {
+  if (!runtime.indexedDB) return [...memoryTemplates.values()];
+  return idbRequest(openDataDatabase(), STORE, 'readonly', store => store.getAll());
+}
+
+async function getRecord(id) {
+  if (!runtime.indexedDB) return memoryTemplates.get(id) || null;
+  return (await idbRequest(openDataDatabase(), STORE, 'readonly', store => store.get(id))) || null;
+}
+
+async function putRecord(record) {
+  if (!runtime.indexedDB) { memoryTemplates.set(record.id, record); return; }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.put(record));
+}
+
+async function deleteRecord(id) {
+  if (!runtime.indexedDB) { memoryTemplates.delete(id); return; }
+  await idbRequest(openDataDatabase(), STORE, 'readwrite', store => store.delete(id));
+}
+
+// --- 検査 ---
+
+// 段落ごとの文字列（Word は1語を複数の w:t に分けて保存することがあるので、段落内でつなげる）
+function paragraphTexts(xml) {
+  const texts = [];
+  const paraRegex = /<w:p[\s>][\s\S]*?<\/w:p>/g;
+  let p;
+  while ((p = paraRegex.exec(xml)) !== null) {
+    const wtRegex = /<w:t[^>]*>([^<]*)<\/w:t>/g;
+    let text = '';
+    let m;
+    while ((m = wtRegex.exec(p[0])) !== null) text += m[1];
+    texts.push(text);
+  }
+  return texts;
+}
+
+/**
+ * XML（document.xml 等）に含まれる差し込み項目を返す（重複なし・出現順）。
+ * @param {string} xml
+ * @returns {{token: string, name: string}[]} token は書かれたままの文字列（例: "{{ courtName }}"）
+ */
+export function findPlaceholderTokens(xml) {
+  const found = [];
+  for (const text of paragraphTexts(xml)) {
+    for (const m of text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!found.some(f => f.token === m[0])) found.push({ token: m[0], name: m[1] });
+    }
+  }
+  return found;
+}
+
+/**
+ * XML に含まれる差し込み項目の名前（重複なし・出現順）。
+ * @param {string} xml
+ * @returns {string[]}
+ */
+export function findPlaceholders(xml) {
+  return [...new Set(findPlaceholderTokens(xml).map(f => f.name))];
+}
+
+/**
+ * .docx テンプレートの差し込み項目を調べる。
+ *
+ * @param {ArrayBuffer|Uint8Array} data .docx
+ * @returns {Promise<{placeholders: string[], unknown: string[], missing: string[]}>}
+ *   unknown は項目名の誤り（置き換えられない）、missing は REQUIRED_PLACEHOLDERS のうちテンプレートに無いもの
+ */
+export async function inspectSofushoTemplate(data) {
+  let zip;
+  try {
+    zip = await runtime.JSZip.loadAsync(data);
+  } catch (e) {
+    throw new Error('Wordファイル（.docx）として読み込めません');
+  }
+  if (!zip.file('word/document.xml')) throw new Error('Wordファイル（.docx）として読み込めません');
+  const names = [];
+  for (const partName of Object.keys(zip.files).filter(n => TEMPLATE_PART_PATTERN.test(n))) {
+    findPlaceholders(await zip.file(partName).async('string'))
+      .forEach(name => { if (!names.includes(name)) names.push(name); });
+  }
+  return {
+    placeholders: names.filter(name => Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)),
+    unknown: names.filter(name => !Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)),
+    missing: REQUIRED_PLACEHOLDERS.filter(name => !names.includes(name)),
+  };
+}
+
+// --- 登録・一覧 ---
+
+function summarize(record) {
+  const { data, ...summary } = record;
+  return summary;
+}
+
+/**
+ * 送付書テンプレートの一覧（先頭は同梱テンプレート。以降は登録の新しい順、data は含まない）。
+ * @returns {Promise<Object[]>} { id, name, fileName, builtin, placeholders, unknown, missing, createdAt }
+ */
+export async function listSofushoTemplates() {
+  const records = await getAllRecords();
+  records.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const builtin = {
+    id: BUILTIN_TEMPLATE_ID, name: BUILTIN_TEMPLATE_NAME, fileName: '文書送付書.doc.docx', builtin: true,
+    placeholders: [], unknown: [], missing: [],
+  };
+  return [builtin].concat(records.map(summarize));
+}
+
+/**
+ * 利用者のテンプレートを登録する。差し込み項目が1つも無いテンプレートは登録しない。
+ *
+ * @param {ArrayBuffer|Uint8Array} data .docx
+ * @param {string} fileName
+ * @param {string} [name] 表示名（省略時はファイル名から）
+ * @returns {Promise<Object>} 登録したテンプレート（data は含まない）
+ */
+export async function addSofushoTemplate(data, fileName, name) {
+  const report = await inspectSofushoTemplate(data);
+  if (report.placeholders.length === 0) {
+    throw new Error('差し込み項目（{{courtName}} など）がありません。' +
+      (report.unknown.length ? `項目名を確認してください: ${report.unknown.join(', ')}` : 'テンプレートに差し込み項目を入れてください'));
+  }
+  const record = Object.assign({
+    id: 'tpl_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: (name || fileName.replace(/\.docx$/i, '')).trim(),
+    fileName,
+    builtin: false,
+    createdAt: new Date().toISOString(),
+    data: ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data,
+  }, report);
+  await putRecord(record);
+  return summarize(record);
+}
+
+/**
+ * 書き出したテンプレートを同じ id で登録し直す（設定の読み込み。同じ id のテンプレートは置き換える）。
+ *
+ * @param {{id: string, name: string, fileName: string, createdAt?: string}} meta
+ * @param {ArrayBuffer|Uint8Array} data .docx
+ * @returns {Promise<Object>} 登録したテンプレート（data は含まない）
+ */
+export async function restoreSofushoTemplate(meta, data) {
+  if (!meta || !meta.id || meta.id === BUILTIN_TEMPLATE_ID) throw new Error('テンプレートの id がありません');
+  const report = await inspectSofushoTemplate(data);
+  const record = Object.assign({
+    id: meta.id,
+    name: meta.name || meta.fileName,
+    fileName: meta.fileName,
+    builtin: false,
+    createdAt: meta.createdAt || new Date().toISOString(),
+    data: ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data,
+  }, report);
+  await putRecord(record);
+  return summarize(record);
+}
+
+/**
+ * 利用者のテンプレートを data 付きで返す（同梱テンプレート・未登録は null）。
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSofushoTemplate(id) {
+  if (!id || id === BUILTIN_TEMPLATE_ID) return null;
+  return getRecord(id);
+}
+
+/**
+ * 利用者のテンプレートを削除する（既定のテンプレートだった場合は同梱テンプレートに戻す）。
+ * @param {string} id
+ */
+export async function deleteSofushoTemplate(id) {
+  if (id === BUILTIN_TEMPLATE_ID) throw new Error('同梱テンプレートは削除できません');
+  await deleteRecord(id);
+  if (getConfig().sofushoTemplateId === id) setDefaultSofushoTemplate(BUILTIN_TEMPLATE_ID);
+}
+
+/**
+ * 既定で使うテンプレート（事務所設定の sofushoTemplateId）。
+ * @returns {string}
+ */
+export function getDefaultSofushoTemplateId() {
+  return getConfig().sofushoTemplateId || BUILTIN_TEMPLATE_ID;
+}
+
+/** @param {string} id 既定で使うテンプレート */
+export function setDefaultSofushoTemplate(id) {
+  saveConfig(Object.assign({}, getConfig(), { sofushoTemplateId: id }));
+}
@@ -0,0 +1,486 @@
+/**
+ * 文書送付書 Word生成 - テンプレート差し込み・複数ファイル統合
+ */
+
+import { runtime } from './runtime.js';
+import { getConfig, toFullWidthNumber } from './config.js';
+import { parseDate, formatWareki } from './wareki.js';
+import { loadTemplate } from './assets.js';
+import { countPdfPages } from './pdf.js';
+import { extractTextBrowser, extractTextFromDocx } from './text-extract.js';
+import { extractInfoFromText } from './extract-info.js';
+import { getDefaultLawyer, DEFAULT_SIGNER_TITLE } from './lawyers.js';
+import { checkCourtFax, recordCourtFaxObservation } from './court-directory.js';
+import {
+  BUILTIN_TEMPLATE_ID, TEMPLATE_PART_PATTERN,
+  findPlaceholderTokens, inspectSofushoTemplate, getSofushoTemplate, getDefaultSofushoTemplateId,
+} from './sofusho-template.js';
+
+/**
+ * XML の各段落で oldText を newText に置き換える（段落内で複数の w:t に分かれていても置き換える）。
+ *
+ * @param {string} xml
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] 段落内のすべてを置き換える（既定は段落ごとに最初の1つだけ）。
+ *   置き換えた後の文字列は探し直さないので、newText が oldText を含んでいても終わる
+ * @returns {string}
+ */
+export function safeReplaceInXml(xml, oldText, newText, { all = false } = {}) {
+  const paraRegex = /(<w:p[\s>][\s\S]*?<\/w:p>)/g;
+  return xml.replace(paraRegex, (paraXml) => {
+    let from = 0;
+    for (;;) {
+      const replaced = replaceInParagraph(paraXml, oldText, newText, from);
+      if (!replaced) return paraXml;
+      paraXml = replaced.xml;
+      if (!all) return paraXml;
+      from = replaced.end;
+    }
+  });
+}
+
+/**
+ * 段落の本文（w:t をつないだ文字列）の from 以降で最初の oldText を置き換える。
+ *
+ * @returns {?{xml: string, end: number}} end は置き換えた newText の直後の位置。見つからなければ null
+ */
+function replaceInParagraph(paraXml, oldText, newText, from) {
+  const wtRegex = /<w:t([^>]*)>([^<]*)<\/w:t>/g;
+  const segments = [];
+  let m;
+  while ((m = wtRegex.exec(paraXml)) !== null) {
+    segments.push({ fullMatch: m[0], attrs: m[1], text: m[2], index: m.index });
+  }
+  if (segments.length === 0) return null;
+  const joinedText = segments.map(s => s.text).join('');
+  const matchStart = joinedText.indexOf(oldText, from);
+  if (matchStart < 0) return null;
+  const matchEnd = matchStart + oldText.length;
+  let cumulative = 0;
+  for (const seg of segments) {
+    seg.startPos = cumulative;
+    seg.endPos = cumulative + seg.text.length;
+    cumulative += seg.text.length;
+  }
+  const affectedSegs = segments.filter(
+    seg => seg.endPos > matchStart && seg.startPos < matchEnd
+  );
+  if (affectedSegs.length === 0) return null;
+  // newText の改行（</w:t><w:br/><w:t>）は本文に数えない
+  const end = matchStart + newText.replace(/<[^>]*>/g, '').length;
+
+  if (affectedSegs.length === 1) {
+    const seg = affectedSegs[0];
+    const localStart = matchStart - seg.startPos;
+    const localEnd = matchEnd - seg.startPos;
+    const newSegText = seg.text.substring(0, localStart) + newText + seg.text.substring(localEnd);
+    const hasPreserve = seg.attrs.includes('xml:space="preserve"');
+    const newAttrs = hasPreserve ? seg.attrs : ' xml:space="preserve"';
+    const newWt = `<w:t${newAttrs}>${newSegText}</w:t>`;
+    return {
+      xml: paraXml.substring(0, seg.index) + newWt + paraXml.substring(seg.index + seg.fullMatch.length),
+      end,
+    };
+  }
+
+  let segIdx = 0;
+  const result = paraXml.replace(/<w:t([^>]*)>([^<]*)<\/w:t>/g, (match, attrs, text) => {
+    const seg = segments[segIdx];
+    segIdx++;
+    if (!affectedSegs.includes(seg)) return match;
+    const isFirst = seg === affectedSegs[0];
+    const isLast = seg === affectedSegs[affectedSegs.length - 1];
+    const hasPreserve = attrs.includes('xml:space="preserve"');
+    const newAttrs = hasPreserve ? attrs : ' xml:space="preserve"';
+    if (isFirst && isLast) {
+      const localStart = matchStart - seg.startPos;
+      const localEnd = matchEnd - seg.startPos;
+      return `<w:t${newAttrs}>${text.substring(0, localStart)}${newText}${text.substring(localEnd)}</w:t>`;
+    } else if (isFirst) {
+      const localStart = matchStart - seg.startPos;
+      return `<w:t${newAttrs}>${text.substring(0, localStart)}${newText}</w:t>`;
+    } else if (isLast) {
+      const localEnd = matchEnd - seg.startPos;
+      const remaining = text.substring(localEnd);
+      if (remaining.length > 0) {
+        return `<w:t${newAttrs}>${remaining}</w:t>`;
+      } else {
+        return `<w:t${attrs}></w:t>`;
+      }
+    } else {
+      return `<w:t${attrs}></w:t>`;
+    }
+  });
+  return { xml: result, end };
+}
+
+/**
+ * 送付書類の一覧（1書類1行、ページ数が分かる書類は「（５枚）」付き）と送信枚数。
+ *
+ * @param {{title: string, pageCount?: ?number}[]} documents 送付する書類（この順で並べる）
+ * @param {number} [coverPages=1] 送付書自体のページ数
+ * @returns {{lines: string[], totalPages: ?number}} totalPages は送付書を含む合計。ページ数の分からない書類があれば null
+ */
+export function buildEnclosureList(documents, coverPages = 1) {
+  const lines = documents.map(d => (d.pageCount ? `${d.title}（${toFullWidthNumber(String(d.pageCount))}枚）` : d.title));
+  const known = documents.length > 0 && documents.every(d => d.pageCount > 0);
+  return {
+    lines,
+    totalPages: known ? documents.reduce((sum, d) => sum + d.pageCount, coverPages) : null,
+  };
+}
+
+// 送信枚数の行（送付書類の下に入れる）
+export function formatTotalPages(totalPages) {
+  return `（送信枚数　本書を含め${toFullWidthNumber(String(totalPages))}枚）`;
+}
+
+// 同梱テンプレートの「に関する　被告第９準備書面」の段落を、送付書類1件ごとの段落と送信枚数の段落に置き換える。
+// 2件目以降は「に関する」を全角空白にして書類名の位置を揃える
+function applyEnclosuresToTemplate(docXml, lines, totalPages) {
+  const SAMPLE_TITLE = '被告第９準備書面';
+  return docXml.replace(/<w:p[\s>][\s\S]*?<\/w:p>/g, (paraXml) => {
+    const text = (paraXml.match(/<w:t[^>]*>[^<]*<\/w:t>/g) || []).map(t => t.replace(/<[^>]+>/g, '')).join('');
+    if (!text.includes(SAMPLE_TITLE)) return paraXml;
+    const indented = safeReplaceInXml(paraXml, 'に関する', '\u3000'.repeat(4));
+    const paras = lines.map((line, i) => safeReplaceInXml(i === 0 ? paraXml : indented, SAMPLE_TITLE, line));
+    if (totalPages) paras.push(safeReplaceInXml(indented, SAMPLE_TITLE, formatTotalPages(totalPages)));
+    return paras.join('');
+  });
+}
+
+/**
+ * 送付書の日付。info.sendDate（和暦・西暦の文字列）が読める日付ならその日、空か読めなければ今日。
+ *
+ * @param {Object} info 確認済みの送付書項目
+ * @returns {{year: number, month: number, day: number}} 西暦
+ */
+export function resolveSendDate(info) {
+  let date = null;
+  try {
+    date = parseDate(info && info.sendDate);
+  } catch (e) { /* 読めない日付は今日にする */ }
+  if (date && date.day) return { year: date.year, month: date.month, day: date.day };
+  const now = new Date();
+  return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+}
+
+/**
+ * 同梱テンプレートのサンプル文字列を送付書の内容に置き換える。
+ *
+ * @param {string} docXml word/document.xml
+ * @param {Object} info 確認済みの送付書項目
+ * @param {string} documentTitle 送付書類名
+ * @param {{title: string, pageCount?: ?number}[]} [documents] 送付書類の一覧（省略時は documentTitle の1件）
+ * @returns {string}
+ */
+export function applyInfoToTemplate(docXml, info, documentTitle, documents) {
+  const date = resolveSendDate(info);
+  if (info.courtName) {
+    const ORIG_COURT = '神戸地方裁判所尼崎支部第２民事部';
+    const courtDiff = ORIG_COURT.length - info.courtName.length;
+    const courtPad = courtDiff > 0 ? '\u3000'.repeat(courtDiff) : '';
+    docXml = safeReplaceInXml(docXml, ORIG_COURT, info.courtName + courtPad);
+  }
+  if (info.courtFax) {
+    docXml = safeReplaceInXml(docXml, '06-6438-1710', info.courtFax);
+    const fullWidthFax = toFullWidthNumber(info.courtFax).replace(/-/g, '\uFF0D');
+    docXml = safeReplaceInXml(docXml, '\uFF10\uFF16\u2015\uFF16\uFF14\uFF13\uFF18\uFF0D\uFF11\uFF17\uFF11\uFF10', fullWidthFax);
+  }
+  if (info.plaintiffLawyer) {
+    const ORIG_LAWYER = '四方久寛';
+    const lawyerDiff = ORIG_LAWYER.length - info.plaintiffLawyer.length;
+    const lawyerPad = lawyerDiff > 0 ? '\u3000'.repeat(lawyerDiff) : '';
+    docXml = safeReplaceInXml(docXml, ORIG_LAWYER, info.plaintiffLawyer + lawyerPad);
+  }
+  if (info.plaintiffLawyerFax) {
+    docXml = safeReplaceInXml(docXml, '06-4708-3638', info.plaintiffLawyerFax);
+  }
+  docXml = safeReplaceInXml(docXml, '令和6年11月7日', formatWareki(date));
+  docXml = safeReplaceInXml(docXml, '令和6年9月', formatWareki(date, { precision: 'month' }));
+  if (info.caseNumber) {
+    const fullWidthCaseNumber = toFullWidthNumber(info.caseNumber);
+    docXml = safeReplaceInXml(docXml, '令和３年（ワ）第８００号', fullWidthCaseNumber);
+  }
+  if (info.caseName) {
+    docXml = safeReplaceInXml(docXml, '損害賠償請求事件', info.caseName);
+  }
+  if (info.plaintiffName) {
+    docXml = safeReplaceInXml(docXml, '木村治紀', info.plaintiffName);
+  }
+  if (info.defendantName) {
+    docXml = safeReplaceInXml(docXml, '独立行政法人国立病院機構', info.defendantName);
+  }
+  const enclosures = buildEnclosureList(documents || [{ title: documentTitle }]);
+  docXml = applyEnclosuresToTemplate(docXml, enclosures.lines, enclosures.totalPages);
+  return docXml;
+}
+
+function escXml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 値の改行は同じ段落内の改行（w:br）にする
+function toRunText(str) {
+  return escXml(str).replace(/\n/g, '</w:t><w:br/><w:t xml:space="preserve">');
+}
+
+/**
+ * 差し込み項目に入れる値（TEMPLATE_PLACEHOLDERS の各項目）。
+ *
+ * @param {Object} info 確認済みの送付書項目
+ * @param {string} documentTitle 送付書類名
+ * @param {{title: string, pageCount?: ?number}[]} [documents] 送付書類の一覧（省略時は documentTitle の1件）
+ * @param {Object} [lawyer] 署名する弁護士（lawyers.js。省略時は既定の弁護士）
+ * @returns {Object<string, string>}
+ */
+export function buildPlaceholderValues(info, documentTitle, documents, lawyer) {
+  const date = resolveSendDate(info);
+  const config = getConfig();
+  const signer = lawyer || getDefaultLawyer(config);
+  const enclosures = buildEnclosureList(documents || [{ title: documentTitle || '' }]);
+  return {
+    courtName: info.courtName || '',
+    courtFax: info.courtFax || '',
+    caseNumber: info.caseNumber || '',
+    caseName: info.caseName || '',
+    plaintiffName: info.plaintiffName || '',
+    defendantName: info.defendantName || '',
+    plaintiffLawyer: info.plaintiffLawyer || '',
+    plaintiffLawyerFax: info.plaintiffLawyerFax || '',
+    documentTitle: documentTitle || '',
+    date: formatWareki(date),
+    officeName: config.officeName || '',
+    signerName: signer ? signer.name : '',
+    signerTitle: (signer && signer.title) || DEFAULT_SIGNER_TITLE,
+    signerFax: (signer && signer.fax) || (config.faxNumbers || [])[0] || '',
+    documentList: enclosures.lines.join('\n'),
+    totalPages: enclosures.totalPages ? String(enclosures.totalPages) : '',
+  };
+}
+
+/**
+ * XML 中の {{項目名}} を値に置き換える（段落内で複数の w:t に分かれていても置き換える）。
+ * values に無い項目名はそのまま残す。値の改行は段落内の改行になる。
+ *
+ * @param {string} xml
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function applyPlaceholdersToXml(xml, values) {
+  for (const { token, name } of findPlaceholderTokens(xml)) {
+    if (!Object.hasOwn(values, name)) continue;
+    // 値の中の {{…}} はそのまま書く（置き換えた後の文字列は探し直さない）
+    xml = safeReplaceInXml(xml, token, toRunText(values[name]), { all: true });
+  }
+  return xml;
+}
+
+export function getDocumentTitleFromFilename(fileName) {
+  let baseName = fileName.replace(/\.(pdf|docx?)$/i, '');
+  baseName = baseName.replace(/^【[^】]+】\s*/, '');
+  baseName = baseName.replace(/^[\u4e00-\u9fff]+事案[\s\u3000]+/, '');
+  return baseName;
+}
+
+/**
+ * 送付書の元になるファイル（PDF・Word）を読み、送付書項目を抽出する。
+ *
+ * @param {File} file
+ * @param {function(string): void} [onProgress]
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] 画像PDFのOCRを中止する（AbortError を投げる）
+ * @returns {Promise<{info: Object, documentTitle: string, originalName: string, pageCount: ?number}>}
+ */
+export async function uploadAndExtractBrowser(file, onProgress, options = {}) {
+  const fileName = file.name.toLowerCase();
+  const isDocx = fileName.endsWith('.docx') || fileName.endsWith('.doc');
+  console.log('[つくる君] 解析開始:', file.name, file.size, 'bytes', isDocx ? '(Word)' : '(PDF)');
+
+  const arrayBuffer = await file.arrayBuffer();
+  let extractedText;
+  let pageCount;
+
+  if (isDocx) {
+    onProgress && onProgress('Wordファイルを読み込み中...');
+    pageCount = await countDocxPages(arrayBuffer);
+    extractedText = await extractTextFromDocx(arrayBuffer, onProgress);
+  } else {
+    onProgress && onProgress('PDFを読み込み中...');
+    pageCount = await countPdfPages(arrayBuffer.slice(0)).catch(() => null);
+    extractedText = await extractTextBrowser(arrayBuffer, onProgress, options);
+  }
+
+  console.log('[つくる君] 抽出テキスト:', extractedText.length, '文字');
+  onProgress && onProgress('情報を抽出中...');
+  const info = extractInfoFromText(extractedText);
+  console.log('[つくる君] 抽出結果:', JSON.stringify(info, null, 2));
+  // 本文に「裁判所（FAX …）」と明記された番号は、名簿と異なる・未登録なら確認待ちに記録する
+  const courtFaxMeta = info.fieldMeta.courtFaxFromPdf;
+  if (info.courtName && courtFaxMeta && courtFaxMeta.pattern === 'courtFax.explicit') {
+    recordCourtFaxObservation(info.courtName, info.courtFaxFromPdf, file.name);
+  }
+  const documentTitle = getDocumentTitleFromFilename(file.name);
+  return { info, documentTitle, originalName: file.name, pageCount };
+}
+
+// Word が保存時に記録したページ数（docProps/app.xml の Pages）。無ければ null
+async function countDocxPages(arrayBuffer) {
+  try {
+    const zip = await runtime.JSZip.loadAsync(arrayBuffer);
+    const appXml = zip.file('docProps/app.xml');
+    const m = appXml && (await appXml.async('string')).match(/<Pages>(\d+)<\/Pages>/);
+    return m && Number(m[1]) > 0 ? Number(m[1]) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// 読み込んだファイルごとの送付書類（確認画面で1行ずつ編集する）
+function toDocuments(allResults) {
+  return allResults.map(r => ({ title: r.documentTitle, pageCount: r.pageCount || null, originalName: r.originalName }));
+}
+
+// 複数ファイルの抽出結果をマージ（最初に見つかった非空値を採用。
+// 候補は全ファイル分を集め、採用値の後ろに確信度順で並べる）
+export function mergeExtractedInfo(allResults) {
+  if (allResults.length === 1) {
+    return {
+      info: allResults[0].info,
+      documentTitle: allResults[0].documentTitle,
+      documents: toDocuments(allResults),
+      displayName: allResults[0].originalName,
+    };
+  }
+  const mergedInfo = {};
+  const fieldMeta = {};
+  const infoFields = ['courtName', 'courtFax', 'courtFaxFromPdf', 'caseNumber',
+                      'caseName', 'plaintiffName', 'defendantName',
+                      'plaintiffLawyer', 'plaintiffLawyerFax'];
+  for (const field of infoFields) {
+    for (const r of allResults) {
+      if (r.info[field]) {
+        mergedInfo[field] = r.info[field];
+        // 抽出元の確認用に、どのファイルから採用したかを残す
+        const meta = r.info.fieldMeta && r.info.fieldMeta[field];
+        if (meta) fieldMeta[field] = Object.assign({}, meta, { file: r.originalName });
+        break;
+      }
+    }
+  }
+  mergedInfo.fieldMeta = fieldMeta;
+
+  // 裁判所名とFAX番号が別のファイルから来ることがあるので、名簿との照合はやり直す
+  if (mergedInfo.courtFaxFromPdf && mergedInfo.courtName) {
+    const check = checkCourtFax(mergedInfo.courtName, mergedInfo.courtFax);
+    if (check.status === 'mismatch') mergedInfo.courtFaxMismatch = check;
+  }
+
+  const candidates = {};
+  for (const field of infoFields) {
+    const all = [];
+    for (const r of allResults) {
+      const list = (r.info.candidates && r.info.candidates[field]) || [];
+      list.forEach(c => all.push(Object.assign({}, c, { file: r.originalName })));
+    }
+    all.sort((a, b) => b.confidence - a.confidence);
+    const ranked = [];
+    if (mergedInfo[field]) {
+      ranked.push(Object.assign({ value: mergedInfo[field] }, fieldMeta[field]));
+    }
+    all.forEach(c => {
+      if (!ranked.some(x => x.value === c.value)) ranked.push(c);
+    });
+    if (ranked.length > 0) candidates[field] = ranked;
+  }
+  mergedInfo.candidates = candidates;
+
+  // caseNumberGuessed: 確信のある事件番号があればfalse
+  const hasConfident = allResults.some(r => r.info.caseNumber && !r.info.caseNumberGuessed);
+  mergedInfo.caseNumberGuessed = mergedInfo.caseNumber ? !hasConfident : false;
+  return {
+    info: mergedInfo,
+    documentTitle: allResults[0].documentTitle,
+    documents: toDocuments(allResults),
+    displayName: allResults.map(r => r.originalName).join(' + '),
+  };
+}
+
+/**
+ * 文書送付書の出力ファイル名（Word・PDF 共通）。
+ * @param {string} documentTitle
+ * @param {'docx'|'pdf'} ext
+ * @returns {string}
+ */
+export function buildSofushoFileName(documentTitle, ext) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+  return `文書送付書_${documentTitle}_${timestamp}.${ext}`;
+}
+
+/**
+ * 文書送付書（.docx）を生成する。
+ *
+ * 同梱テンプレートはサンプル文字列の置き換え（applyInfoToTemplate）、
+ * 利用者のテンプレートは差し込み項目の置き換え（applyPlaceholdersToXml）で作る。
+ *
+ * @param {Object} info 確認済みの送付書項目
+ * @param {string} documentTitle 送付書類名
+ * @param {function(string): void} [onProgress]
+ * @param {Object} [options]
+ * @param {string} [options.templateId] 登録済みテンプレート（省略時は事務所設定の既定）
+ * @param {ArrayBuffer|Uint8Array} [options.templateData] 登録せずに使うテンプレート（CLI の --template）
+ * @param {{title: string, pageCount?: ?number}[]} [options.documents] 送付書類の一覧（1書類1行）。
+ *   全書類のページ数が分かれば送信枚数（送付書1枚を含む）も入れる。省略時は documentTitle の1件
+ * @param {Object} [options.lawyer] 署名する弁護士（lawyers.js。省略時は既定の弁護士）
+ * @returns {Promise<{blob: Blob, fileName: string, template: Object}>}
+ *   template は使ったテンプレートの { id, name, unknown, missing }（同梱テンプレートは unknown・missing が空）
+ */
+export async function generateDocumentBrowser(info, documentTitle, onProgress, options = {}) {
+  onProgress && onProgress('テンプレートを読み込み中...');
+  let template;
+  if (options.templateData) {
+    template = { id: null, name: '', data: options.templateData };
+  } else {
+    const id = options.templateId || getDefaultSofushoTemplateId();
+    template = await getSofushoTemplate(id);
+    if (!template && id !== BUILTIN_TEMPLATE_ID) throw new Error('送付書テンプレートが見つかりません: ' + id);
+  }
+
+  let zip;
+  let report = { unknown: [], missing: [] };
+  if (template) {
+    report = await inspectSofushoTemplate(template.data);
+    onProgress && onProgress('テンプレートにデータを差し込み中...');
+    zip = await runtime.JSZip.loadAsync(template.data);
+    const values = buildPlaceholderValues(info, documentTitle, options.documents, options.lawyer);
+    for (const partName of Object.keys(zip.files).filter(n => TEMPLATE_PART_PATTERN.test(n))) {
+      const xml = await zip.file(partName).async('string');
+      if (findPlaceholderTokens(xml).length > 0) zip.file(partName, applyPlaceholdersToXml(xml, values));
+    }
+  } else {
+    const templateData = await loadTemplate(
+      'template/文書送付書.doc.docx',
+      'https://cdn.jsdelivr.net/gh/Rachmaninovpiano/bunsho-sofusho-juryosho-auto@master/docs/template/%E6%96%87%E6%9B%B8%E9%80%81%E4%BB%98%E6%9B%B8.doc.docx',
+      'sofusho_template'
+    );
+    onProgress && onProgress('テンプレートにデータを差し込み中...');
+    zip = await runtime.JSZip.loadAsync(templateData);
+    let docXml = await zip.file('word/document.xml').async('string');
+    docXml = applyInfoToTemplate(docXml, info, documentTitle, options.documents);
+    zip.file('word/document.xml', docXml);
+  }
+  onProgress && onProgress('Wordファイルを生成中...');
+  const outputBlob = await zip.generateAsync({ type: 'blob' });
+  return {
+    blob: outputBlob,
+    fileName: buildSofushoFileName(documentTitle, 'docx'),
+    template: {
+      id: template ? template.id : BUILTIN_TEMPLATE_ID,
+      name: template ? template.name : '',
+      unknown: report.unknown,
+      missing: report.missing,
+    },
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * テキスト抽出 - PDFテキストレイヤー（2パス最適化）・OCR・Word (.docx)
+ */
+
+import { runtime } from './runtime.js';
+import { openPdf, renderPageToCanvas } from './pdf.js';
+import { extractInfoFromText } from './extract-info.js';
+import { createAbortError } from './ocr-pool.js';
+import { recognizeOriented } from './ocr-orientation.js';
+
+// 指定ページ群からテキスト抽出（座標ベース改行）
+async function extractPagesText(pdfDoc, pageNums) {
+  let text = '';
+  for (const i of pageNums) {
+    const page = await pdfDoc.getPage(i);
+    const content = await page.getTextContent();
+    let lastY = null;
+    let lastEndX = null;
+    for (const item of content.items) {
+      if (!item.str && item.str !== '') continue;
+      const tx = item.transform;
+      if (tx) {
+        const y = Math.round(tx[5]);
+        const x = tx[4];
+        const itemWidth = item.width || 0;
+        if (lastY !== null && Math.abs(y - lastY) > 3) {
+          text += '\n';
+          lastEndX = null;
+        } else if (lastEndX !== null && x > lastEndX + 5) {
+          text += ' ';
+        }
+        text += item.str;
+        lastY = y;
+        lastEndX = x + itemWidth;
+      } else {
+        text += item.str;
+      }
+      if (item.hasEOL) {
+        text += '\n';
+        lastY = null;
+        lastEndX = null;
+      }
+    }
+    text += '\n\n';
+  }
+  return text;
+}
+
+// 2パス方式: まず[1,2,末尾]→プローブ→不足時のみ残りページ
+export async function extractTextFromPDFBrowser(pdfArrayBuffer, onProgress) {
+  onProgress && onProgress('PDFからテキストを抽出中...');
+  const pdfDoc = await openPdf(pdfArrayBuffer);
+  const totalPages = pdfDoc.numPages;
+
+  // Pass 1: ページ [1, 2, 末尾]（重複除去）
+  const pass1Set = new Set([1, Math.min(2, totalPages), totalPages]);
+  const pass1Pages = [...pass1Set].sort((a, b) => a - b);
+  console.log('[抽出] Pass1: ページ', pass1Pages.join(','), '/', totalPages);
+  const pass1Text = await extractPagesText(pdfDoc, pass1Pages);
+
+  // プローブ: courtName + caseNumber があれば十分
+  const probe = extractInfoFromText(pass1Text);
+  if (probe.courtName && probe.caseNumber) {
+    console.log('[抽出] Pass1完了:', pass1Text.length, '文字');
+    return pass1Text;
+  }
+
+  // Pass 2: 残りページ
+  const remaining = [];
+  for (let i = 1; i <= totalPages; i++) {
+    if (!pass1Set.has(i)) remaining.push(i);
+  }
+  if (remaining.length === 0) {
+    console.log('[抽出] 全ページ読み取り済み:', pass1Text.length, '文字');
+    return pass1Text;
+  }
+
+  console.log('[抽出] Pass2: ページ', remaining.join(','));
+  onProgress && onProgress('追加ページを読み取り中...');
+  const pass2Text = await extractPagesText(pdfDoc, remaining);
+  const fullText = pass1Text + pass2Text;
+  console.log('[抽出] Pass1+2完了:', fullText.length, '文字');
+  return fullText;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw createAbortError();
+}
+
+// 1ページをOCRする（ワーカーはプールのものを使う）
+async function ocrPage(pdfDoc, pageNum, label, onProgress, signal) {
+  throwIfAborted(signal);
+  const page = await pdfDoc.getPage(pageNum);
+  const canvas = await renderPageToCanvas(page, 400 / 72);
+  // 縦書き・回転したスキャンも向きを判定して読む
+  const { data } = await recognizeOriented(canvas, {
+    signal,
+    onProgress: progress => onProgress && onProgress(`${label} OCR処理中... ${Math.round(progress * 100)}%`),
+  });
+  return (data && data.text) || '';
+}
+
+/**
+ * 画像PDFをOCRする。テキストレイヤーと同じ2パス方式で、
+ * まず[1, 末尾]を読み、裁判所と事件番号がそろわなければ残りのページを順に、そろうまで読む。
+ *
+ * @param {ArrayBuffer|Uint8Array} pdfArrayBuffer
+ * @param {function(string): void} [onProgress] ページごとの進捗（「ページ 2/5 をOCR中...（2ページ目）」など）
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] 中止すると読み取り中のページで止め、AbortError を投げる
+ * @returns {Promise<string>}
+ */
+export async function extractTextWithOCRBrowser(pdfArrayBuffer, onProgress, options = {}) {
+  const { signal } = options;
+  onProgress && onProgress('画像PDFを検出。OCRで文字認識中...');
+  const pdfDoc = await openPdf(pdfArrayBuffer);
+  const totalPages = pdfDoc.numPages;
+  let count = 0;
+  let allText = '';
+
+  const readPage = async (pageNum) => {
+    count++;
+    const label = `ページ ${pageNum}/${totalPages}`;
+    onProgress && onProgress(`${label} をOCR中...（${count}ページ目）`);
+    allText += await ocrPage(pdfDoc, pageNum, label, onProgress, signal) + '\n';
+  };
+  const enough = () => {
+    const probe = extractInfoFromText(allText);
+    return probe.courtName && probe.caseNumber;
+  };
+
+  // Pass 1: ページ [1, 末尾]
+  const pass1Pages = totalPages === 1 ? [1] : [1, totalPages];
+  console.log('[OCR] Pass1: ページ', pass1Pages.join(','), '/', totalPages);
+  for (const pageNum of pass1Pages) await readPage(pageNum);
+  if (enough()) {
+    console.log('[OCR] Pass1完了:', allText.length, '文字');
+    return allText;
+  }
+
+  // Pass 2: 残りページを先頭から、裁判所と事件番号がそろうまで
+  for (let pageNum = 2; pageNum < totalPages; pageNum++) {
+    console.log('[OCR] Pass2: ページ', pageNum);
+    await readPage(pageNum);
+    if (enough()) break;
+  }
+  console.log('[OCR] 完了:', count, 'ページ /', allText.length, '文字');
+  return allText;
+}
+
+// テキスト抽出 → OCRフォールバック（options.signal は OCR の中止用）
+export async function extractTextBrowser(pdfArrayBuffer, onProgress, options = {}) {
+  try {
+    const text = await extractTextFromPDFBrowser(pdfArrayBuffer, onProgress);
+    const trimmed = text.replace(/[\s\n\r]/g, '');
+    console.log('[抽出] テキスト結果:', trimmed.length, '文字 (空白除去後)');
+    if (trimmed.length < 10) {
+      console.log('[抽出] テキスト埋め込みなし → OCRに切り替え');
+      return await extractTextWithOCRBrowser(pdfArrayBuffer, onProgress, options);
+    }
+    return text;
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    console.error('[抽出] エラー:', err);
+    console.log('[抽出] テキスト抽出失敗 → OCRに切り替え');
+    onProgress && onProgress('テキスト抽出に失敗。OCRで文字認識中...');
+    return await extractTextWithOCRBrowser(pdfArrayBuffer, onProgress, options);
+  }
+}
+
+// --- Word (.docx) テキスト抽出 ---
+
+export async function extractTextFromDocx(arrayBuffer, onProgress) {
+  onProgress && onProgress('Wordファイルからテキストを抽出中...');
+  const zip = await runtime.JSZip.loadAsync(arrayBuffer);
+  const docXmlFile = zip.file('word/document.xml');
+  if (!docXmlFile) {
+    throw new Error('Word文書の解析に失敗しました（document.xmlが見つかりません）');
+  }
+  const xmlStr = await docXmlFile.async('string');
+  let text = '';
+  var endParaTag = new RegExp('<\/w:p>', 'g');
+  var wtTagGlobal = new RegExp('<w:t[^>]*>([^<]*)<\/w:t>', 'g');
+  var wtTagSingle = new RegExp('<w:t[^>]*>([^<]*)<\/w:t>');
+  var paragraphs = xmlStr.split(endParaTag);
+  for (var pi = 0; pi < paragraphs.length; pi++) {
+    var para = paragraphs[pi];
+    var textMatches = para.match(wtTagGlobal);
+    if (textMatches) {
+      var line = '';
+      for (var ti = 0; ti < textMatches.length; ti++) {
+        var inner = textMatches[ti].match(wtTagSingle);
+        if (inner) line += inner[1];
+      }
+      text += line + '\n';
+    }
+  }
+  console.log('[抽出] Word文書テキスト:', text.length, '文字');
+  return text;
+}
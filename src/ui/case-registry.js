@@ -0,0 +1,171 @@
+/**
+ * 事件台帳の画面（一覧・検索・編集・統合・削除）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import { CASE_FIELDS, listCases, updateCase, deleteCase, mergeCases, listLawyers } from '../index.js';
+
+// 編集フォームの入力欄 ID（caseEdit + 項目名の先頭を大文字に）
+function inputId(field) {
+  return '#caseEdit' + field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return `${d.getFullYear()}/${d.getMonth() + 1}/${d.getDate()}`;
+}
+
+/**
+ * 事件台帳の画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @returns {{open: function(string=): Promise<void>}|undefined} 画面が無い場合は undefined
+ */
+export function setupCaseRegistry({ showError }) {
+  const $ = (sel) => document.querySelector(sel);
+  const modal = $('#caseRegistryModal');
+  if (!modal) return;
+
+  const search = $('#caseRegistrySearch');
+  const list = $('#caseRegistryList');
+  const count = $('#caseRegistryCount');
+  const btnMerge = $('#caseRegistryMerge');
+  const btnDelete = $('#caseEditDelete');
+  const info = $('#caseEditInfo');
+  const inputs = {};
+  CASE_FIELDS.forEach(field => { inputs[field] = $(inputId(field)); });
+
+  let cases = [];
+  let editingKey = '';
+  const checked = new Set();
+
+  // チェックした事件と開いている事件（統合先）
+  function mergeKeys() {
+    const keys = [...checked];
+    if (editingKey && !keys.includes(editingKey)) keys.push(editingKey);
+    return keys;
+  }
+
+  function updateMergeButton() {
+    btnMerge.disabled = mergeKeys().length < 2;
+  }
+
+  function renderList() {
+    const query = search.value.trim();
+    const shown = cases.filter(c => !query ||
+      CASE_FIELDS.some(field => String(c[field] || '').includes(query)));
+    list.innerHTML = '';
+    shown.forEach(c => {
+      const li = document.createElement('li');
+      li.className = c.key === editingKey ? 'selected' : '';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked.has(c.key);
+      box.addEventListener('click', e => e.stopPropagation());
+      box.addEventListener('change', () => {
+        if (box.checked) checked.add(c.key); else checked.delete(c.key);
+        updateMergeButton();
+      });
+      const summary = document.createElement('div');
+      summary.className = 'case-summary';
+      summary.textContent = `${c.caseNumber}　${c.caseName || ''}`;
+      const sub = document.createElement('div');
+      sub.className = 'case-sub';
+      sub.textContent = [c.courtName, [c.plaintiffName, c.defendantName].filter(Boolean).join(' 対 '),
+        formatDate(c.updatedAt)].filter(Boolean).join('・');
+      summary.appendChild(sub);
+      li.append(box, summary);
+      li.addEventListener('click', () => edit(c.key));
+      list.appendChild(li);
+    });
+    count.textContent = `${shown.length}件` + (shown.length !== cases.length ? `（全${cases.length}件）` : '');
+  }
+
+  function edit(key) {
+    const record = cases.find(c => c.key === key);
+    editingKey = record ? record.key : '';
+    CASE_FIELDS.forEach(field => { inputs[field].value = record ? record[field] || '' : ''; });
+    // 担当弁護士は登録した弁護士から選べるようにする
+    const lawyerOptions = $('#caseEditOwnLawyerOptions');
+    if (lawyerOptions) {
+      lawyerOptions.innerHTML = '';
+      listLawyers().forEach(l => lawyerOptions.appendChild(new Option(l.name, l.name)));
+    }
+    btnDelete.hidden = !record;
+    info.textContent = record
+      ? `保存 ${record.useCount || 0}回・最終更新 ${formatDate(record.updatedAt)}` +
+        ((record.aliases || []).length ? `・別名 ${record.aliases.join('、')}` : '')
+      : '左の一覧から事件を選択してください';
+    renderList();
+    updateMergeButton();
+  }
+
+  async function reload(key) {
+    cases = await listCases();
+    for (const k of [...checked]) if (!cases.some(c => c.key === k)) checked.delete(k);
+    edit(key && cases.some(c => c.key === key) ? key : '');
+  }
+
+  async function open(key) {
+    search.value = '';
+    checked.clear();
+    modal.classList.add('visible');
+    try {
+      await reload(key);
+    } catch (err) {
+      showError('事件台帳を読み込めません: ' + err.message);
+    }
+  }
+
+  $('#caseEditSave').addEventListener('click', async () => {
+    if (!editingKey) return;
+    const values = {};
+    CASE_FIELDS.forEach(field => { values[field] = inputs[field].value; });
+    try {
+      const record = await updateCase(editingKey, values);
+      await reload(record.key);
+    } catch (err) {
+      showError(err.message);
+    }
+  });
+
+  btnDelete.addEventListener('click', async () => {
+    if (!editingKey || !confirm(`「${inputs.caseNumber.value}」を事件台帳から削除しますか？`)) return;
+    try {
+      await deleteCase(editingKey);
+      checked.delete(editingKey);
+      await reload('');
+    } catch (err) {
+      showError(err.message);
+    }
+  });
+
+  btnMerge.addEventListener('click', async () => {
+    const keys = mergeKeys();
+    if (keys.length < 2) return;
+    // 開いている事件に統合。無ければ一覧で最新（先頭）の事件
+    const target = editingKey || cases.find(c => keys.includes(c.key)).key;
+    const targetCase = cases.find(c => c.key === target);
+    if (!confirm(`${keys.length}件の事件を「${targetCase.caseNumber}」（${targetCase.courtName || '裁判所なし'}）に統合しますか？`)) return;
+    try {
+      const merged = await mergeCases(target, keys.filter(k => k !== target));
+      checked.clear();
+      await reload(merged.key);
+    } catch (err) {
+      showError(err.message);
+    }
+  });
+
+  search.addEventListener('input', renderList);
+  $('#caseRegistryClose').addEventListener('click', () => modal.classList.remove('visible'));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.remove('visible');
+  });
+  const btnOpen = $('#caseRegistryOpen');
+  if (btnOpen) btnOpen.addEventListener('click', () => open());
+
+  return { open };
+}
@@ -0,0 +1,2142 @@
+/**
+ * UIコントローラー（送付書・受領書・証拠番号の各画面）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import {
+  getConfig, saveConfig, getSealRecord, pickSeal, sealsForSigner,
+  SIGNER_TITLES, DEFAULT_SIGNER_TITLE, getLawyer, getDefaultLawyer, findLawyerByName, getLawyerSeal,
+  lookupCourt, describeCourtMatch, checkCourtFax,
+  toFullWidthNumber, formatWareki, LOW_CONFIDENCE,
+  openPdf, getPdfPageSize,
+  createAbortError, uploadAndExtractBrowser, mergeExtractedInfo, buildEnclosureList, resolveSendDate,
+  generateDocumentBrowser, generateSofushoPdfBrowser, generateSofushoBundleBrowser,
+  findReceiptPage, detectPositions, resolveReceiptPlacements, formatReceiptDate, generateReceiptsBrowser,
+  RECEIPT_FONT_SIZE, RECEIPT_SEAL_SIZE, matchReceiptProfile, profilePlacements, saveReceiptProfile, touchReceiptProfile,
+  UPRIGHT, layoutRotation, layoutSize, rotateImagePoint, unrotateImagePoint,
+  buildEvidenceLabel, buildMintsFileName, generateEvidenceBrowser,
+  mergePdfs, generateEvidenceSheetDocx,
+  applyCaseRegistry, saveCase, findCaseLawyer, clearOcrCache, checkVendorAssets,
+  isSecureStoreEnabled, isSecureStoreUnlocked, onSecureStoreLock, onDatabaseConflict,
+} from '../index.js';
+import { setupCourtDirectory } from './court-directory.js';
+import { setupCaseRegistry } from './case-registry.js';
+import { setupSofushoTemplates } from './sofusho-template.js';
+import { setupReceiptProfiles } from './receipt-profiles.js';
+import { setupSeals } from './seals.js';
+import { setupLawyers, fillLawyerSelect } from './lawyers.js';
+import { setupSecureStore } from './secure-store.js';
+import { setupSettingsBundle } from './settings-bundle.js';
+import { attachDatePicker } from './date-picker.js';
+
+/**
+ * DOMにイベントを結び付けてアプリを起動する（DOMContentLoaded 後に呼ぶこと）。
+ */
+export function startApp() {
+  let currentState = 'upload';
+  let currentMode = 'sofusho';
+  let receiptUploadFiles = [];
+  let evidenceUploadFiles = [];
+  // 送付書の後ろに付けるPDF（読み込んだファイルのうちPDFのもの）
+  let sofushoAttachments = [];
+
+  const $ = (sel) => document.querySelector(sel);
+  const $$ = (sel) => document.querySelectorAll(sel);
+
+  const states = {
+    upload: $('#state-upload'),
+    processing: $('#state-processing'),
+    confirm: $('#state-confirm'),
+    'receipt-confirm': $('#state-receipt-confirm'),
+    'evidence-confirm': $('#state-evidence-confirm'),
+    complete: $('#state-complete'),
+  };
+
+  const dropZone = $('#dropZone');
+  const fileInput = $('#fileInput');
+  const processingTitle = $('#processingTitle');
+  const processingMessage = $('#processingMessage');
+  const btnCancelProcessing = $('#btnCancelProcessing');
+  const sourceFileName = $('#sourceFileName');
+  const caseNumberWarning = $('#caseNumberWarning');
+  const courtFaxMatch = $('#courtFaxMatch');
+  const outputFileName = $('#outputFileName');
+  const btnBack = $('#btnBack');
+  const btnGenerate = $('#btnGenerate');
+  const btnDownload = $('#btnDownload');
+  const btnNewFile = $('#btnNewFile');
+  const errorToast = $('#errorToast');
+  const errorMessage = $('#errorMessage');
+  const errorClose = $('#errorClose');
+  const extractStatus = $('#extractStatus');
+  const caseRecordBadge = $('#caseRecordBadge');
+  const saveToCaseRegistry = $('#saveToCaseRegistry');
+  const sofushoOutputFormat = $('#sofushoOutputFormat');
+  const sofushoOutputBundle = $('#sofushoOutputBundle');
+  const enclosureGroup = $('#enclosureGroup');
+  const enclosureList = $('#enclosureList');
+  const enclosureTotal = $('#enclosureTotal');
+  const confettiContainer = $('#confetti');
+  const dragOverlay = $('#dragOverlay');
+  const singleDownloadArea = $('#singleDownloadArea');
+  const multiDownloadArea = $('#multiDownloadArea');
+  const downloadList = $('#downloadList');
+  const receiptFileListWrap = $('#receiptFileListWrap');
+  const receiptFileList = $('#receiptFileList');
+  const receiptFileCountBadge = $('#receiptFileCountBadge');
+  const procStep1 = $('#procStep1');
+  const procStep2 = $('#procStep2');
+  const procStep3 = $('#procStep3');
+
+  const fields = {
+    courtName: $('#courtName'),
+    courtFax: $('#courtFax'),
+    caseNumber: $('#caseNumber'),
+    caseName: $('#caseName'),
+    plaintiffName: $('#plaintiffName'),
+    defendantName: $('#defendantName'),
+    plaintiffLawyer: $('#plaintiffLawyer'),
+    plaintiffLawyerFax: $('#plaintiffLawyerFax'),
+    documentTitle: $('#documentTitle'),
+  };
+
+  // 抽出元（確信度・元テキストの該当箇所）と候補。populateForm で更新
+  let currentFieldMeta = {};
+  let currentCandidates = {};
+  const MAX_CANDIDATE_CHIPS = 5;
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[c]);
+  }
+
+  // --- 抽出元の表示（フィールドをクリックすると元テキストの該当箇所を表示）---
+  function showFieldSource(key) {
+    const input = fields[key];
+    let box = input.parentNode.querySelector('.field-source');
+    const meta = currentFieldMeta[key];
+    if (!meta || input.value !== meta.value) {
+      if (box) box.hidden = true;
+      return;
+    }
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'field-source';
+      input.parentNode.appendChild(box);
+    }
+    const confidence = Math.round(meta.confidence * 100) + '%';
+    let html = '<div class="field-source-head">確信度 ' + confidence +
+      '<span class="field-source-pattern">' + escapeHtml(meta.pattern) + '</span>' +
+      (meta.file ? '<span class="field-source-file">' + escapeHtml(meta.file) + '</span>' : '') + '</div>';
+    if (meta.snippet) {
+      html += '<div class="field-source-snippet">…' + escapeHtml(meta.snippet.before) +
+        '<mark>' + escapeHtml(meta.snippet.text) + '</mark>' + escapeHtml(meta.snippet.after) + '…</div>';
+    } else if (meta.pattern === 'caseRegistry') {
+      html += '<div class="field-source-snippet">本文からではなく、事件台帳に保存された値です（' +
+        escapeHtml(meta.caseRecord) + '）</div>';
+    } else if (meta.directory) {
+      html += '<div class="field-source-snippet">本文からではなく、' + escapeHtml(describeCourtMatch(meta.directory)) + '</div>';
+    } else {
+      html += '<div class="field-source-snippet">本文からではなく、裁判所名から辞書引きした値です</div>';
+    }
+    box.innerHTML = html;
+    box.hidden = false;
+  }
+
+  // --- 候補チップ（別の候補をワンクリックで入力）---
+  function renderCandidates(key) {
+    const input = fields[key];
+    let box = input.parentNode.querySelector('.field-candidates');
+    const list = currentCandidates[key] || [];
+    if (!list.some(c => c.value !== input.value)) {
+      if (box) box.hidden = true;
+      return;
+    }
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'field-candidates';
+      input.insertAdjacentElement('afterend', box);
+    }
+    box.innerHTML = '';
+    list.slice(0, MAX_CANDIDATE_CHIPS).forEach(c => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'candidate-chip' + (c.value === input.value ? ' active' : '') +
+        (c.confidence < LOW_CONFIDENCE ? ' low' : '');
+      chip.textContent = c.value;
+      chip.title = `確信度 ${Math.round(c.confidence * 100)}%` + (c.file ? `（${c.file}）` : '');
+      // mousedown で確定（input の blur より先に処理し、抽出元表示を切り替える）
+      chip.addEventListener('mousedown', e => {
+        e.preventDefault();
+        input.value = c.value;
+        currentFieldMeta[key] = c;
+        input.classList.remove('field-empty');
+        input.classList.toggle('field-low-confidence', c.confidence < LOW_CONFIDENCE);
+        renderCandidates(key);
+        showFieldSource(key);
+        updateSofushoPreview();
+        updateCourtFaxMatch();
+      });
+      box.appendChild(chip);
+    });
+    box.hidden = false;
+  }
+
+  // --- 裁判所名簿の照合結果（FAX番号がどの登録のものか）---
+  // 名簿から入れたFAX番号。裁判所名を直したとき、この値のままなら引き直した番号に置き換える
+  let directoryFax = '';
+
+  function updateCourtFaxMatch() {
+    if (!courtFaxMatch) return;
+    const name = fields.courtName.value.trim();
+    const fax = fields.courtFax.value.trim();
+    const check = name ? checkCourtFax(name, fax) : null;
+    // 名簿に番号が無い裁判所で、文書記載・手入力の番号があるときは表示しない
+    if (!check || (fax && check.status === 'unregistered')) {
+      courtFaxMatch.hidden = true;
+      return;
+    }
+    const stored = check.stored;
+    if (fax && check.status === 'mismatch') {
+      // 誤った送信先に送付書を送らないよう、名簿と食い違う番号は必ず知らせる
+      const source = stored.court + (stored.division ? ' ' + stored.division : '');
+      courtFaxMatch.textContent = `裁判所名簿「${source}」の番号（${stored.fax}）と異なります。送信先を確認してください`;
+      courtFaxMatch.classList.add('warning');
+    } else {
+      courtFaxMatch.textContent = describeCourtMatch(stored);
+      courtFaxMatch.classList.toggle('warning', !stored || !stored.fax || stored.matchedBy === 'parent');
+    }
+    courtFaxMatch.hidden = false;
+  }
+
+  function refreshCourtFaxFromDirectory() {
+    const name = fields.courtName.value.trim();
+    const match = name ? lookupCourt(name) : null;
+    const input = fields.courtFax;
+    if (match && match.fax && (!input.value || input.value === directoryFax)) {
+      input.value = match.fax;
+      directoryFax = match.fax;
+      input.classList.remove('field-empty', 'field-low-confidence');
+      renderCandidates('courtFax');
+      updateSofushoPreview();
+    }
+    updateCourtFaxMatch();
+  }
+
+  fields.courtName.addEventListener('change', refreshCourtFaxFromDirectory);
+  fields.courtFax.addEventListener('input', updateCourtFaxMatch);
+
+  Object.keys(fields).forEach(key => {
+    const input = fields[key];
+    if (!input) return;
+    input.addEventListener('focus', () => showFieldSource(key));
+    input.addEventListener('input', () => renderCandidates(key));
+    input.addEventListener('blur', () => {
+      const box = input.parentNode.querySelector('.field-source');
+      if (box) box.hidden = true;
+    });
+    // 手で修正したら要確認の強調を外す
+    input.addEventListener('input', () => input.classList.remove('field-low-confidence'));
+  });
+
+  const modeSofushoBtn = $('#modeSofusho');
+  const modeReceiptBtn = $('#modeReceipt');
+  const modeEvidenceBtn = $('#modeEvidence');
+  const appTitle = $('#appTitle');
+  const logoIcon = $('#logoIcon');
+  const completeTitle = $('#completeTitle');
+  const downloadLabel = $('#downloadLabel');
+  const uploadHeading = $('.upload-heading');
+  const uploadDesc = $('.upload-desc');
+  const settingsBtn = $('#settingsBtn');
+  const settingsModal = $('#settingsModal');
+  const settingsClose = $('#settingsClose');
+  const settingsSave = $('#settingsSave');
+  const receiptSourceFileName = $('#receiptSourceFileName');
+  const receiptSignerTitle = $('#receiptSignerTitle');
+  const receiptSignerName = $('#receiptSignerName');
+  const receiptSealSelect = $('#receiptSeal');
+  const receiptLawyerRow = $('#receiptLawyerRow');
+  const receiptLawyerSelect = $('#receiptLawyer');
+  const receiptLawyerByCase = $('#receiptLawyerByCase');
+  const sofushoLawyerRow = $('#sofushoLawyerRow');
+  const sofushoLawyerSelect = $('#sofushoLawyer');
+  const sofushoSendDate = $('#sofushoSendDate');
+  const receiptDateInput = $('#receiptDate');
+  const btnReceiptBack = $('#btnReceiptBack');
+  const btnReceiptGenerate = $('#btnReceiptGenerate');
+
+  // --- ステート切り替え ---
+  function setState(newState) {
+    states[currentState].classList.remove('active');
+    const stateOrder = ['upload', 'processing', 'confirm', 'complete'];
+    const mapState = (newState === 'receipt-confirm' || newState === 'evidence-confirm') ? 'confirm' : newState;
+    const newIndex = stateOrder.indexOf(mapState);
+    const stepElements = $$('.step');
+    const connectorFills = $$('.step-connector-fill');
+    stepElements.forEach((step, i) => {
+      step.classList.remove('active', 'completed');
+      if (i < newIndex) step.classList.add('completed');
+      if (i === newIndex) step.classList.add('active');
+    });
+    connectorFills.forEach((fill, i) => {
+      fill.style.width = i < newIndex ? '100%' : '0%';
+    });
+    currentState = newState;
+    states[currentState].classList.add('active');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
+
+  // --- エラー表示 ---
+  let errorTimer = null;
+  function showError(msg) {
+    errorMessage.textContent = msg;
+    errorToast.hidden = false;
+    if (errorTimer) clearTimeout(errorTimer);
+    errorTimer = setTimeout(() => { errorToast.hidden = true; }, 15000);
+  }
+  errorClose.addEventListener('click', () => {
+    errorToast.hidden = true;
+    if (errorTimer) clearTimeout(errorTimer);
+  });
+
+  // --- 処理ステップアニメーション ---
+  let processingTimers = [];
+  function resetProcessingSteps() {
+    processingTimers.forEach(t => clearTimeout(t));
+    processingTimers = [];
+    [procStep1, procStep2, procStep3].forEach(step => {
+      if (step) step.classList.remove('active', 'done');
+    });
+  }
+  function startProcessingSteps(mode) {
+    resetProcessingSteps();
+    if (mode === 'upload') {
+      if (procStep1) procStep1.classList.add('active');
+    } else if (mode === 'generate') {
+      [procStep1, procStep2, procStep3].forEach(step => {
+        if (step) step.classList.add('done');
+      });
+    }
+  }
+
+  // --- 進捗更新 ---
+  function updateProgress(msg) {
+    if (processingMessage) processingMessage.textContent = msg;
+    if (msg.includes('OCR') || msg.includes('文字認識')) {
+      if (procStep1) { procStep1.classList.remove('active'); procStep1.classList.add('done'); }
+      if (procStep2) procStep2.classList.add('active');
+    }
+    if (msg.includes('抽出') || msg.includes('検出')) {
+      if (procStep1) { procStep1.classList.remove('active'); procStep1.classList.add('done'); }
+      if (procStep2) { procStep2.classList.remove('active'); procStep2.classList.add('done'); }
+      if (procStep3) procStep3.classList.add('active');
+    }
+  }
+
+  // --- 紙吹雪 ---
+  function launchConfetti() {
+    if (!confettiContainer) return;
+    confettiContainer.innerHTML = '';
+    const colors = ['#4f46e5', '#06b6d4', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
+    for (let i = 0; i < 50; i++) {
+      const piece = document.createElement('div');
+      piece.style.cssText = `
+        position: absolute;
+        width: ${Math.random() * 8 + 4}px;
+        height: ${Math.random() * 8 + 4}px;
+        background: ${colors[Math.floor(Math.random() * colors.length)]};
+        border-radius: ${Math.random() > 0.5 ? '50%' : '2px'};
+        left: ${Math.random() * 100}%;
+        top: -10px;
+        opacity: 1;
+        transform: rotate(${Math.random() * 360}deg);
+      `;
+      const duration = Math.random() * 1500 + 1000;
+      const delay = Math.random() * 500;
+      piece.animate([
+        { transform: 'translateY(0) rotate(0deg) scale(1)', opacity: 1 },
+        {
+          transform: `translateY(${Math.random() * 200 + 100}px) translateX(${(Math.random() - 0.5) * 150}px) rotate(${Math.random() * 720}deg) scale(0)`,
+          opacity: 0,
+        }
+      ], { duration, delay, easing: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)', fill: 'forwards' });
+      confettiContainer.appendChild(piece);
+    }
+    setTimeout(() => { if (confettiContainer) confettiContainer.innerHTML = ''; }, 3000);
+  }
+
+  // --- ファイルアップロード ---
+  function handleFiles(fileList) {
+    if (!fileList || fileList.length === 0) return;
+    const validExts = ['.pdf', '.docx', '.doc'];
+    const allFiles = Array.from(fileList).filter(f => {
+      const name = f.name.toLowerCase();
+      return validExts.some(ext => name.endsWith(ext));
+    });
+    // 受領書・証拠モードはPDFのみ
+    if (currentMode === 'receipt' || currentMode === 'evidence') {
+      const pdfs = allFiles.filter(f => f.name.toLowerCase().endsWith('.pdf'));
+      if (pdfs.length === 0) {
+        showError('PDFファイルを選択してください。');
+        return;
+      }
+      if (currentMode === 'receipt') {
+        prepareReceiptFiles(pdfs);
+      } else {
+        prepareEvidenceFiles(pdfs);
+      }
+      return;
+    }
+    // 文書送付書モード: PDF + Word
+    if (allFiles.length === 0) {
+      showError('PDF または Word (.docx) ファイルを選択してください。');
+      return;
+    }
+    const oversized = allFiles.filter(f => f.size > 50 * 1024 * 1024);
+    if (oversized.length > 0) {
+      showError(`ファイルサイズが大きすぎます（上限: 50MB）: ${oversized.map(f=>f.name).join(', ')}`);
+      return;
+    }
+    uploadFiles(allFiles);
+  }
+
+  // --- ドラッグ＆ドロップ ---
+  document.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+
+  let dragCounter = 0;
+  document.addEventListener('dragenter', (e) => {
+    e.preventDefault();
+    dragCounter++;
+    if (currentState === 'upload' && dragCounter === 1) {
+      dropZone.classList.add('dragover');
+      if (dragOverlay) dragOverlay.classList.add('visible');
+    }
+  }, true);
+
+  document.addEventListener('dragleave', (e) => {
+    e.preventDefault();
+    dragCounter--;
+    if (dragCounter <= 0) {
+      dragCounter = 0;
+      dropZone.classList.remove('dragover');
+      if (dragOverlay) dragOverlay.classList.remove('visible');
+    }
+  }, true);
+
+  document.addEventListener('drop', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounter = 0;
+    dropZone.classList.remove('dragover');
+    if (dragOverlay) dragOverlay.classList.remove('visible');
+    if (currentState === 'upload' && e.dataTransfer && e.dataTransfer.files.length > 0) {
+      handleFiles(e.dataTransfer.files);
+    }
+  }, true);
+
+  dropZone.addEventListener('click', (e) => {
+    if (e.target.closest('.upload-btn-label')) return;
+    if (e.target.closest('label')) return;
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', () => {
+    handleFiles(fileInput.files);
+    fileInput.value = '';
+  });
+
+  // 読み取り中のファイル（中止ボタンで止める）
+  let uploadAbort = null;
+  if (btnCancelProcessing) {
+    btnCancelProcessing.addEventListener('click', () => {
+      if (uploadAbort) uploadAbort.abort();
+    });
+  }
+
+  // --- 文書送付書モード: 複数PDFアップロード → 情報統合 ---
+  async function uploadFiles(pdfs) {
+    setState('processing');
+    processingTitle.textContent = 'ファイルを解析中...';
+    processingMessage.textContent = 'ファイルを読み込んでいます...';
+    startProcessingSteps('upload');
+    uploadAbort = new AbortController();
+    const signal = uploadAbort.signal;
+    if (btnCancelProcessing) btnCancelProcessing.hidden = false;
+
+    try {
+      const total = pdfs.length;
+      const allResults = [];
+      sofushoAttachments = pdfs.filter(f => f.name.toLowerCase().endsWith('.pdf'));
+      updateBundleOption();
+
+      for (let i = 0; i < total; i++) {
+        if (total > 1) {
+          processingTitle.textContent = `ファイルを解析中... (${i + 1}/${total})`;
+        }
+        if (signal.aborted) throw createAbortError();
+        const result = await uploadAndExtractBrowser(pdfs[i], updateProgress, { signal });
+        allResults.push(result);
+      }
+
+      // 情報をマージ（最初に見つかった非空値を採用）
+      const merged = mergeExtractedInfo(allResults);
+      // 事件台帳に同じ事件があれば、保存した値で補う
+      let mergedInfo = merged.info;
+      try {
+        mergedInfo = await applyCaseRegistry(mergedInfo);
+      } catch (err) {
+        console.warn('[つくる君] 事件台帳を参照できません:', err);
+      }
+      const documentTitle = merged.documentTitle;
+      const displayName = merged.displayName;
+
+      // ステップ完了
+      resetProcessingSteps();
+      [procStep1, procStep2, procStep3].forEach(step => {
+        if (step) step.classList.add('done');
+      });
+
+      // ファイル数バッジ
+      const badge = $('#sofushoFileCountBadge');
+      if (badge) {
+        if (total > 1) {
+          badge.textContent = `${total}件統合`;
+          badge.style.display = '';
+        } else {
+          badge.style.display = 'none';
+        }
+      }
+
+      populateForm(mergedInfo, documentTitle, displayName);
+      renderEnclosures(merged.documents);
+      await new Promise(resolve => setTimeout(resolve, 500));
+      setState('confirm');
+
+    } catch (err) {
+      resetProcessingSteps();
+      if (err.name === 'AbortError') {
+        console.log('[つくる君] 読み取りを中止しました');
+      } else {
+        console.error('[つくる君] PDF解析エラー:', err);
+        showError(err.message || 'PDF解析中にエラーが発生しました。');
+      }
+      setState('upload');
+    } finally {
+      uploadAbort = null;
+      if (btnCancelProcessing) btnCancelProcessing.hidden = true;
+    }
+  }
+
+  // --- フォームにデータ流し込み ---
+  function populateForm(info, docTitle, originalName) {
+    fields.courtName.value = info.courtName || '';
+    fields.courtFax.value = info.courtFax || '';
+    fields.caseNumber.value = info.caseNumber || '';
+    fields.caseName.value = info.caseName || '';
+    fields.plaintiffName.value = info.plaintiffName || '';
+    fields.defendantName.value = info.defendantName || '';
+    fields.plaintiffLawyer.value = info.plaintiffLawyer || '';
+    fields.plaintiffLawyerFax.value = info.plaintiffLawyerFax || '';
+    fields.documentTitle.value = docTitle || '';
+    // 事件台帳に担当弁護士があればその弁護士、無ければ既定の弁護士を差出人にする
+    if (sofushoLawyerSelect) {
+      const ownLawyer = findLawyerByName(info.ownLawyer);
+      const selected = fillLawyerSelect(sofushoLawyerSelect, ownLawyer ? ownLawyer.id : '');
+      if (sofushoLawyerRow) sofushoLawyerRow.hidden = !selected;
+    }
+    sourceFileName.textContent = originalName;
+    caseNumberWarning.hidden = !info.caseNumberGuessed;
+    directoryFax = info.fieldMeta && info.fieldMeta.courtFax && info.fieldMeta.courtFax.directory
+      ? info.courtFax : '';
+    updateCourtFaxMatch();
+    if (caseRecordBadge) {
+      const record = info.caseRecord;
+      caseRecordBadge.hidden = !record;
+      if (record) {
+        caseRecordBadge.textContent = record.applied.length
+          ? `事件台帳から${record.applied.length}項目を反映`
+          : '事件台帳に登録済み';
+        caseRecordBadge.title = record.key;
+      }
+    }
+
+    // 抽出元は値と組で保持（値を書き換えた項目では表示しない）
+    const fieldMeta = info.fieldMeta || {};
+    currentFieldMeta = {};
+    Object.keys(fieldMeta).forEach(key => {
+      if (fields[key]) currentFieldMeta[key] = Object.assign({ value: fields[key].value }, fieldMeta[key]);
+    });
+    const isLow = key => currentFieldMeta[key] && currentFieldMeta[key].confidence < LOW_CONFIDENCE;
+    currentCandidates = info.candidates || {};
+
+    if (extractStatus) {
+      const emptyCount = Object.entries(fields).filter(([key, input]) => !input.value).length;
+      const lowCount = Object.keys(fields).filter(isLow).length;
+      if (emptyCount === 0 && lowCount === 0) {
+        extractStatus.textContent = '全項目抽出完了';
+        extractStatus.className = 'status-badge status-success';
+      } else {
+        const notes = [];
+        if (emptyCount > 0) notes.push(`${emptyCount}件の未検出項目`);
+        if (lowCount > 0) notes.push(`${lowCount}件の要確認項目`);
+        extractStatus.textContent = notes.join('・') + 'あり';
+        extractStatus.className = emptyCount <= 2
+          ? 'status-badge status-warning'
+          : 'status-badge status-error-badge';
+      }
+    }
+
+    Object.entries(fields).forEach(([key, input]) => {
+      if (!input.value) {
+        input.classList.add('field-empty');
+      } else {
+        input.classList.remove('field-empty');
+      }
+      input.classList.toggle('field-low-confidence', !!input.value && isLow(key));
+      input.title = currentFieldMeta[key]
+        ? `確信度 ${Math.round(currentFieldMeta[key].confidence * 100)}%（クリックで抽出元を表示）`
+        : '';
+      renderCandidates(key);
+    });
+    Object.values(fields).forEach(input => {
+      input.addEventListener('focus', () => {
+        input.classList.remove('field-empty');
+      });
+    });
+    // プレビュー初期更新
+    updateSofushoPreview();
+  }
+
+  // --- 送付書類の一覧（1書類1行。書類名とページ数を確認画面で直せる）---
+  let currentDocuments = [];
+
+  function renderEnclosures(documents) {
+    currentDocuments = documents || [];
+    if (!enclosureList) return;
+    enclosureList.innerHTML = '';
+    currentDocuments.forEach((doc, i) => {
+      const li = document.createElement('li');
+      const title = document.createElement('input');
+      title.type = 'text';
+      title.className = 'enclosure-title';
+      title.value = doc.title;
+      title.title = doc.originalName || '';
+      const pages = document.createElement('input');
+      pages.type = 'number';
+      pages.min = '1';
+      pages.className = 'enclosure-pages';
+      pages.value = doc.pageCount || '';
+      pages.placeholder = '不明';
+      // 1件目は「送付書類名」（出力ファイル名にも使う）と同じ値にしておく
+      if (i === 0) {
+        title.addEventListener('input', () => { fields.documentTitle.value = title.value; });
+      }
+      [title, pages].forEach(input => input.addEventListener('input', updateSofushoPreview));
+      li.append(title, pages, '枚');
+      enclosureList.appendChild(li);
+    });
+    enclosureGroup.hidden = currentDocuments.length === 0;
+    updateSofushoPreview();
+  }
+
+  // 確認画面の一覧から送付書類を読む（一覧が無い場合は送付書類名の1件）
+  function readEnclosures() {
+    const rows = enclosureList ? [...enclosureList.children] : [];
+    if (rows.length === 0) return [{ title: fields.documentTitle.value.trim() }];
+    return rows.map((li, i) => ({
+      title: li.querySelector('.enclosure-title').value.trim(),
+      pageCount: parseInt(li.querySelector('.enclosure-pages').value, 10) || null,
+      originalName: currentDocuments[i] && currentDocuments[i].originalName,
+    }));
+  }
+
+  fields.documentTitle.addEventListener('input', () => {
+    const first = enclosureList && enclosureList.querySelector('.enclosure-title');
+    if (first) first.value = fields.documentTitle.value;
+  });
+
+  // --- 文書送付書プレビュー更新 ---
+  function updateSofushoPreview() {
+    var dateStr = formatWareki(resolveSendDate({ sendDate: sofushoSendDate ? sofushoSendDate.value : '' }));
+    var el = function(id) { return document.getElementById(id); };
+    var pDate = el('sofushoPreviewDate');
+    if (pDate) pDate.textContent = dateStr;
+    var pCourt = el('sofushoPreviewCourt');
+    if (pCourt) pCourt.textContent = fields.courtName.value.trim();
+    var pCourtFax = el('sofushoPreviewCourtFax');
+    if (pCourtFax) pCourtFax.textContent = fields.courtFax.value.trim();
+    var pCaseNum = el('sofushoPreviewCaseNumber');
+    if (pCaseNum) pCaseNum.textContent = fields.caseNumber.value.trim();
+    var pCaseName = el('sofushoPreviewCaseName');
+    if (pCaseName) pCaseName.textContent = fields.caseName.value.trim();
+    var pPlaintiff = el('sofushoPreviewPlaintiff');
+    if (pPlaintiff) pPlaintiff.textContent = fields.plaintiffName.value.trim();
+    var pDefendant = el('sofushoPreviewDefendant');
+    if (pDefendant) pDefendant.textContent = fields.defendantName.value.trim();
+    var enclosures = buildEnclosureList(readEnclosures());
+    var pDocTitle = el('sofushoPreviewDocTitle');
+    if (pDocTitle) {
+      pDocTitle.textContent = enclosures.lines.join('\n') +
+        (enclosures.totalPages ? '\n（送信枚数 本書を含め' + enclosures.totalPages + '枚）' : '');
+    }
+    if (enclosureTotal) {
+      enclosureTotal.textContent = enclosures.totalPages
+        ? '送信枚数 合計' + enclosures.totalPages + '枚（送付書1枚を含む）'
+        : 'ページ数が空欄の書類があるため、送信枚数は入れません';
+    }
+    var pSender = el('sofushoPreviewSender');
+    var sender = selectedSofushoLawyer();
+    if (pSender) {
+      pSender.textContent = sender
+        ? (sender.title || DEFAULT_SIGNER_TITLE) + '弁護士　' + sender.name + (sender.fax ? '（FAX ' + sender.fax + '）' : '')
+        : '';
+    }
+    var pLawyer = el('sofushoPreviewLawyer');
+    if (pLawyer) pLawyer.textContent = fields.plaintiffLawyer.value.trim() ? '原告訴訟代理人弁護士　' + fields.plaintiffLawyer.value.trim() : '';
+    var pLawyerFax = el('sofushoPreviewLawyerFax');
+    if (pLawyerFax) pLawyerFax.textContent = fields.plaintiffLawyerFax.value.trim() ? 'FAX: ' + fields.plaintiffLawyerFax.value.trim() : '';
+  }
+
+  // 文書送付書の全入力フィールドにリアルタイムプレビュー更新をバインド
+  Object.values(fields).forEach(function(input) {
+    input.addEventListener('input', updateSofushoPreview);
+  });
+
+  // 差出人の弁護士（弁護士が未登録なら選ばない）
+  function selectedSofushoLawyer() {
+    return sofushoLawyerSelect && sofushoLawyerSelect.value ? getLawyer(sofushoLawyerSelect.value) : getDefaultLawyer();
+  }
+  if (sofushoLawyerSelect) sofushoLawyerSelect.addEventListener('change', updateSofushoPreview);
+  if (sofushoSendDate) {
+    attachDatePicker(sofushoSendDate);
+    sofushoSendDate.addEventListener('input', updateSofushoPreview);
+  }
+
+  // --- 戻るボタン ---
+  btnBack.addEventListener('click', () => { setState('upload'); });
+
+  // --- 生成ボタン（文書送付書）---
+  btnGenerate.addEventListener('click', async () => {
+    const requiredFields = ['courtName', 'courtFax', 'caseNumber', 'caseName',
+                           'plaintiffName', 'defendantName', 'plaintiffLawyer',
+                           'plaintiffLawyerFax', 'documentTitle'];
+    const emptyFields = requiredFields.filter(key => !fields[key].value.trim());
+    if (emptyFields.length > 0) {
+      const fieldNames = {
+        courtName: '裁判所名', courtFax: '裁判所FAX', caseNumber: '事件番号',
+        caseName: '事件名', plaintiffName: '原告', defendantName: '被告',
+        plaintiffLawyer: '原告代理人弁護士', plaintiffLawyerFax: '原告代理人FAX',
+        documentTitle: '送付書類名',
+      };
+      const names = emptyFields.map(k => fieldNames[k]).join('、');
+      if (!confirm(`以下の項目が未入力です:\n${names}\n\n空欄のまま生成しますか？`)) {
+        return;
+      }
+    }
+    setState('processing');
+    processingTitle.textContent = '文書送付書を生成中...';
+    processingMessage.textContent = 'テンプレートにデータを差し込んでいます。';
+    startProcessingSteps('generate');
+
+    const info = {
+      courtName: fields.courtName.value.trim(),
+      courtFax: fields.courtFax.value.trim(),
+      caseNumber: fields.caseNumber.value.trim(),
+      caseName: fields.caseName.value.trim(),
+      plaintiffName: fields.plaintiffName.value.trim(),
+      defendantName: fields.defendantName.value.trim(),
+      plaintiffLawyer: fields.plaintiffLawyer.value.trim(),
+      plaintiffLawyerFax: fields.plaintiffLawyerFax.value.trim(),
+    };
+    const lawyer = selectedSofushoLawyer();
+    if (lawyer) info.ownLawyer = lawyer.name;
+    if (sofushoSendDate && sofushoSendDate.value.trim()) info.sendDate = sofushoSendDate.value.trim();
+    const documentTitle = fields.documentTitle.value.trim();
+    const documents = readEnclosures();
+
+    const format = sofushoOutputFormat ? sofushoOutputFormat.value : 'docx';
+
+    try {
+      const results = [];
+      if (format === 'bundle') {
+        results.push(await generateSofushoBundleBrowser(info, documentTitle, sofushoAttachments, updateProgress,
+          { documents, lawyer }));
+      } else {
+        if (format !== 'pdf') {
+          results.push(await generateDocumentBrowser(info, documentTitle, updateProgress, { documents, lawyer }));
+        }
+        if (format !== 'docx') {
+          results.push(await generateSofushoPdfBrowser(info, documentTitle, updateProgress, { documents, lawyer }));
+        }
+      }
+      if (saveToCaseRegistry && saveToCaseRegistry.checked && info.caseNumber) {
+        try {
+          await saveCase(info);
+        } catch (err) {
+          console.warn('[つくる君] 事件台帳に保存できません:', err);
+        }
+      }
+      completeTitle.textContent = '文書送付書の生成が完了しました';
+      if (results.length === 1) {
+        const result = results[0];
+        downloadLabel.textContent = format === 'docx' ? 'Wordファイルをダウンロード' : 'PDFファイルをダウンロード';
+        outputFileName.textContent = result.fileName +
+          (format === 'bundle' ? `（送信枚数 ${result.pageCount}枚・送付書を含む）` : '');
+        btnDownload.href = URL.createObjectURL(result.blob);
+        btnDownload.download = result.fileName;
+        singleDownloadArea.style.display = '';
+        multiDownloadArea.style.display = 'none';
+      } else {
+        outputFileName.textContent = '';
+        singleDownloadArea.style.display = 'none';
+        multiDownloadArea.style.display = '';
+        downloadList.innerHTML = results.map(r => {
+          const url = URL.createObjectURL(r.blob);
+          return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#f0fdf4;border-radius:8px;">
+            <span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">${escapeHtml(r.fileName)}</span>
+            <a href="${url}" download="${escapeHtml(r.fileName)}" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">
+              ダウンロード
+            </a>
+          </li>`;
+        }).join('');
+      }
+      setState('complete');
+      setTimeout(launchConfetti, 300);
+    } catch (err) {
+      resetProcessingSteps();
+      showError(err.message || '生成中にエラーが発生しました。');
+      setState('confirm');
+    }
+  });
+
+  // 表紙にしてまとめる出力は、読み込んだファイルにPDFがあるときだけ選べる
+  function updateBundleOption() {
+    if (!sofushoOutputBundle) return;
+    sofushoOutputBundle.disabled = sofushoAttachments.length === 0;
+    if (sofushoOutputBundle.disabled && sofushoOutputFormat.value === 'bundle') sofushoOutputFormat.value = 'pdf';
+  }
+
+  // 出力形式は次回も同じものを使う
+  if (sofushoOutputFormat) {
+    sofushoOutputFormat.addEventListener('change', () => {
+      saveConfig(Object.assign(getConfig(), { sofushoOutputFormat: sofushoOutputFormat.value }));
+    });
+  }
+
+  // --- 新規ファイルボタン ---
+  btnNewFile.addEventListener('click', () => {
+    receiptUploadFiles = [];
+    evidenceUploadFiles = [];
+    completeTitle.textContent = '文書送付書の生成が完了しました';
+    downloadLabel.textContent = 'Wordファイルをダウンロード';
+    setState('upload');
+  });
+
+  // --- モード切替 ---
+  function switchMode(mode) {
+    currentMode = mode;
+    modeSofushoBtn.classList.toggle('active', mode === 'sofusho');
+    modeReceiptBtn.classList.toggle('active', mode === 'receipt');
+    if (modeEvidenceBtn) modeEvidenceBtn.classList.toggle('active', mode === 'evidence');
+    logoIcon.classList.remove('receipt-mode', 'evidence-mode');
+    if (mode === 'receipt') {
+      appTitle.textContent = '受領書自動でつくる君';
+      logoIcon.classList.add('receipt-mode');
+      uploadHeading.textContent = '相手方の文書送付書PDFをドロップ';
+      uploadDesc.textContent = '受領日・署名・押印を自動で書き込みます';
+    } else if (mode === 'evidence') {
+      appTitle.textContent = '証拠番号つくる君';
+      logoIcon.classList.add('evidence-mode');
+      uploadHeading.textContent = '証拠PDFをドロップ';
+      uploadDesc.textContent = '証拠番号と標目を右上に赤字でスタンプします';
+    } else {
+      appTitle.textContent = '文書送付書自動でつくる君';
+      uploadHeading.textContent = 'PDF・Wordファイルをドロップ';
+      uploadDesc.textContent = 'ファイルをここにドラッグ＆ドロップしてください';
+    }
+    receiptUploadFiles = [];
+    evidenceUploadFiles = [];
+    setState('upload');
+  }
+  modeSofushoBtn.addEventListener('click', () => switchMode('sofusho'));
+  modeReceiptBtn.addEventListener('click', () => switchMode('receipt'));
+  if (modeEvidenceBtn) modeEvidenceBtn.addEventListener('click', () => switchMode('evidence'));
+
+  // --- 受領書モード: 複数ファイルを確認画面に表示 ---
+  // --- 受領書プレビュー用変数 ---
+  var receiptPreviewCanvas = $('#receiptPreviewCanvas');
+  var receiptPreviewBox = $('#receiptPreviewBox');
+  var receiptPreviewPlaceholder = $('#receiptPreviewPlaceholder');
+  var receiptOverlaySensei = $('#receiptOverlaySensei');
+  var receiptOverlayDate = $('#receiptOverlayDate');
+  var receiptOverlaySign = $('#receiptOverlaySign');
+  var receiptOverlaySeal = $('#receiptOverlaySeal');
+  var receiptCoverDate = $('#receiptCoverDate');
+  var receiptCoverSign = $('#receiptCoverSign');
+  var receiptPlacementReset = $('#receiptPlacementReset');
+  var receiptOverlays = { sensei: receiptOverlaySensei, date: receiptOverlayDate, name: receiptOverlaySign, seal: receiptOverlaySeal };
+  var receiptPreviewOcrData = null; // { words, imgWidth, imgHeight, orientation, pageNum, pgW, pgH }（レイアウト座標）
+  var receiptPreviewFile = null;
+  var receiptProfileNote = $('#receiptProfileNote');
+  var receiptSaveProfile = $('#receiptSaveProfile');
+  var receiptPlacementEdits = {}; // プレビューで動かした項目（resolveReceiptPlacements の placements）
+  var receiptBasePlacements = {}; // 保存した書式の位置（「位置を元に戻す」の戻り先）
+  var receiptProfileMatch = null;
+  var receiptPreviewItems = null; // 表示中の書き込み位置。生成にそのまま渡す
+
+  async function renderReceiptPreview(file) {
+    if (!receiptPreviewCanvas || !receiptPreviewBox) return;
+    try {
+      // PDFを読み込み受領書ページを検索
+      if (receiptPreviewPlaceholder) {
+        receiptPreviewPlaceholder.style.display = '';
+        receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#9ca3af;font-size:0.85em;">受領書ページを検出中...</div>';
+      }
+      receiptPreviewCanvas.style.display = 'none';
+      hideReceiptOverlays();
+      receiptPreviewOcrData = null;
+      receiptPreviewItems = null;
+      receiptPlacementEdits = {};
+      receiptBasePlacements = {};
+      receiptProfileMatch = null;
+      receiptPreviewFile = file;
+      showReceiptProfileNote();
+
+      var ab = await file.arrayBuffer();
+      var pdfDocProxy = await openPdf(ab);
+
+      var totalPages = pdfDocProxy.numPages;
+
+      // 受領書ページ検出（OCR）
+      var result = await findReceiptPage(ab, totalPages, function(msg) {
+        if (receiptPreviewPlaceholder) {
+          receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#9ca3af;font-size:0.85em;">' + msg + '</div>';
+        }
+      });
+      var pageNum = result.pageNum;
+      var ocr = result.ocr;
+      var pgSize = await getPdfPageSize(ab, pageNum - 1);
+      var orientation = ocr.orientation || UPRIGHT;
+      var layoutPage = layoutSize(pgSize.width, pgSize.height, layoutRotation(orientation));
+
+      receiptPreviewOcrData = {
+        words: ocr.words,
+        imgWidth: ocr.imgWidth,
+        imgHeight: ocr.imgHeight,
+        orientation: orientation,
+        pageNum: pageNum,
+        pgW: layoutPage.width,
+        pgH: layoutPage.height,
+      };
+
+      // 保存した書式（同じ差出人・同じ配置）があれば、その位置から始める
+      try {
+        receiptProfileMatch = await matchReceiptProfile(ocr);
+      } catch (err) {
+        console.warn('[受領書の書式] 照合できません:', err);
+      }
+      receiptBasePlacements = receiptProfileMatch ? profilePlacements(receiptProfileMatch.profile, layoutPage) : {};
+      receiptPlacementEdits = Object.assign({}, receiptBasePlacements);
+      showReceiptProfileNote();
+
+      // 該当ページをcanvasに描画
+      var page = await pdfDocProxy.getPage(pageNum);
+      var vp = page.getViewport({ scale: 1 });
+      var boxW = receiptPreviewBox.clientWidth || 360;
+      var scale = boxW / vp.width;
+      var scaledVp = page.getViewport({ scale: scale });
+
+      receiptPreviewCanvas.width = scaledVp.width;
+      receiptPreviewCanvas.height = scaledVp.height;
+      receiptPreviewCanvas.style.display = 'block';
+      receiptPreviewCanvas.style.width = '100%';
+      if (receiptPreviewPlaceholder) receiptPreviewPlaceholder.style.display = 'none';
+      receiptPreviewBox.style.height = scaledVp.height + 'px';
+
+      var ctx = receiptPreviewCanvas.getContext('2d');
+      await page.render({ canvasContext: ctx, viewport: scaledVp }).promise;
+
+      // 事件台帳に担当弁護士があれば、その弁護士の署名にする（生成でもファイルごとに同じように選ぶ）
+      if (receiptLawyerByCase && receiptLawyerByCase.checked) {
+        try {
+          var caseLawyer = await findCaseLawyer(ocr.words.map(function(w) { return w.text; }).join(''));
+          if (caseLawyer) applyReceiptLawyer(caseLawyer);
+        } catch (err) {
+          console.warn('[受領書Preview] 事件台帳を参照できません:', err);
+        }
+      }
+
+      // 書き込み位置をオーバーレイ表示
+      updateReceiptPreviewOverlays();
+
+    } catch (e) {
+      console.warn('[受領書Preview]', e);
+      if (receiptPreviewPlaceholder) {
+        receiptPreviewPlaceholder.style.display = '';
+        receiptPreviewPlaceholder.innerHTML = '<div style="padding:20px;color:#f59e0b;font-size:0.85em;">プレビューを表示できませんでした<br><span style="font-size:0.85em;color:#9ca3af;">（生成は可能です）</span></div>';
+      }
+      receiptPreviewCanvas.style.display = 'none';
+    }
+  }
+
+  function hideReceiptOverlays() {
+    [receiptOverlaySensei, receiptOverlayDate, receiptOverlaySign, receiptOverlaySeal, receiptCoverDate, receiptCoverSign].forEach(function(el) {
+      if (el) el.style.display = 'none';
+    });
+  }
+
+  function showReceiptProfileNote() {
+    if (!receiptProfileNote) return;
+    var match = receiptProfileMatch;
+    receiptProfileNote.hidden = !match;
+    if (!match) return;
+    var faxes = match.profile.faxNumbers;
+    receiptProfileNote.textContent = '保存した書式の位置で書き込みます（' +
+      (match.by === 'fax' ? 'FAX ' + faxes.join('・') + ' と' : '') + 'ページの配置が一致）';
+  }
+
+  // プレビュー枠とレイアウト座標（縦書き・回転したページは文字が横に並ぶ向きに倒した座標）の PDF の点の変換
+  function receiptPreviewGeometry() {
+    var d = receiptPreviewOcrData;
+    var boxW = receiptPreviewBox.clientWidth || 360;
+    var boxH = receiptPreviewBox.clientHeight || receiptPreviewCanvas.height;
+    var rotation = layoutRotation(d.orientation);
+    var pageImg = layoutSize(d.imgWidth, d.imgHeight, rotation);
+    var scaleX = boxW / pageImg.width;
+    var scaleY = boxH / pageImg.height;
+    var pxPerPt = d.imgWidth / d.pgW;
+    return {
+      rotation: rotation,
+      ptToBox: pxPerPt * Math.min(scaleX, scaleY),
+      toBox: function(x, y) {
+        var p = unrotateImagePoint(x * pxPerPt, (d.pgH - y) * d.imgHeight / d.pgH, rotation, d.imgWidth, d.imgHeight);
+        return { x: p.x * scaleX, y: p.y * scaleY };
+      },
+      toLayout: function(bx, by) {
+        var p = rotateImagePoint(bx / scaleX, by / scaleY, rotation, pageImg.width, pageImg.height);
+        return { x: p.x / pxPerPt, y: d.pgH - p.y * d.pgH / d.imgHeight };
+      },
+    };
+  }
+
+  // 生成に使う日本語フォントでの幅の目安（全角は1字分、半角は半分。縦書きは1字ずつ立てて並べる）
+  function estimateReceiptTextWidth(vertical) {
+    return function(text, size) {
+      return Array.from(text).reduce(function(w, ch) {
+        return w + (vertical || ch.charCodeAt(0) > 0xff ? size : size * 0.5);
+      }, 0);
+    };
+  }
+
+  // 署名者が使える印影を選択肢にする（選んだものが残っていればそのまま、無ければその弁護士の認印）
+  function refreshReceiptSealOptions() {
+    if (!receiptSealSelect) return;
+    var name = receiptPreviewTexts().signerName;
+    var seals = sealsForSigner(name);
+    var current = receiptSealSelect.value;
+    var lawyer = findLawyerByName(name);
+    var picked = lawyer ? getLawyerSeal(lawyer) : pickSeal(name);
+    receiptSealSelect.innerHTML = '';
+    seals.forEach(function(seal) {
+      receiptSealSelect.appendChild(new Option((seal.owner || '全員共通') + '・' + seal.kind, seal.id));
+    });
+    receiptSealSelect.appendChild(new Option('㊞（印影を押さない）', 'none'));
+    var keep = receiptSealSelect.dataset.chosen && (current === 'none' || seals.some(function(seal) { return seal.id === current; }));
+    receiptSealSelect.value = keep ? current : (picked ? picked.id : 'none');
+  }
+
+  // 受領書の肩書の選択肢（弁護士に登録した肩書が選択肢に無ければ足す）
+  function setReceiptSignerTitle(title) {
+    if (!Array.from(receiptSignerTitle.options).some(function(o) { return o.value === title; })) {
+      receiptSignerTitle.appendChild(new Option(title, title));
+    }
+    receiptSignerTitle.value = title;
+  }
+  SIGNER_TITLES.forEach(function(title) { setReceiptSignerTitle(title); });
+  receiptSignerTitle.value = DEFAULT_SIGNER_TITLE;
+
+  // 受領書の署名（弁護士・肩書・弁護士名・印影）をその弁護士にする
+  function applyReceiptLawyer(lawyer) {
+    if (!lawyer) return;
+    if (receiptLawyerSelect) receiptLawyerSelect.value = lawyer.id;
+    receiptSignerName.value = lawyer.name;
+    if (lawyer.title) setReceiptSignerTitle(lawyer.title);
+    if (receiptSealSelect) delete receiptSealSelect.dataset.chosen;
+    refreshReceiptSealOptions();
+    updateReceiptPreviewOverlays();
+  }
+
+  // 受領書・送付書の弁護士の選択肢を作り直す（弁護士が未登録なら隠す）
+  function refreshLawyerOptions() {
+    if (receiptLawyerSelect) {
+      var receiptLawyer = fillLawyerSelect(receiptLawyerSelect, receiptLawyerSelect.value);
+      if (receiptLawyerRow) receiptLawyerRow.hidden = !receiptLawyer;
+    }
+    if (sofushoLawyerSelect) {
+      var sofushoLawyer = fillLawyerSelect(sofushoLawyerSelect, sofushoLawyerSelect.value);
+      if (sofushoLawyerRow) sofushoLawyerRow.hidden = !sofushoLawyer;
+    }
+  }
+
+  function selectedReceiptSeal() {
+    if (!receiptSealSelect) return pickSeal(receiptPreviewTexts().signerName);
+    return receiptSealSelect.value === 'none' ? null : getSealRecord(receiptSealSelect.value);
+  }
+
+  function receiptPreviewTexts() {
+    return {
+      receiptDate: formatReceiptDate(receiptDateInput.value),
+      signerTitle: receiptSignerTitle.value || DEFAULT_SIGNER_TITLE,
+      signerName: receiptSignerName.value.trim() || getConfig().signerName || '山田太郎',
+    };
+  }
+
+  function updateReceiptPreviewOverlays() {
+    if (!receiptPreviewOcrData || !receiptPreviewBox) return;
+    var d = receiptPreviewOcrData;
+    var g = receiptPreviewGeometry();
+    var vertical = d.orientation.vertical;
+    var texts = receiptPreviewTexts();
+    // 生成と同じ検出結果・同じ計算で位置を決める（動かした項目は receiptPlacementEdits）
+    var pos = detectPositions(d.words, d.imgWidth, d.imgHeight, d.pgW, d.pgH);
+    var sealRecord = selectedReceiptSeal();
+    var items = resolveReceiptPlacements(pos, texts, estimateReceiptTextWidth(vertical), d.pgW, receiptPlacementEdits, sealRecord);
+    receiptPreviewItems = items;
+
+    // レイアウト座標の範囲を枠の上の四角に
+    function placeRect(el, r) {
+      var a = g.toBox(r.x, r.y);
+      var b = g.toBox(r.x + r.width, r.y + r.height);
+      el.style.display = '';
+      el.style.left = Math.min(a.x, b.x) + 'px';
+      el.style.top = Math.min(a.y, b.y) + 'px';
+      el.style.width = Math.abs(b.x - a.x) + 'px';
+      el.style.height = Math.abs(b.y - a.y) + 'px';
+    }
+    // 文字は左上（ベースラインから1字分上）に合わせる。縦書きは列が左へ、回転したページは文字ごと回して重ねる
+    function placeText(el, item, text) {
+      var p = g.toBox(item.x, item.y + item.size);
+      el.querySelector('.receipt-overlay-text').textContent = text;
+      el.style.display = '';
+      el.style.fontSize = (item.size * g.ptToBox) + 'px';
+      el.style.left = p.x + 'px';
+      el.style.top = p.y + 'px';
+      el.style.writingMode = vertical ? 'vertical-rl' : '';
+      el.style.transformOrigin = '0 0';
+      el.style.transform = vertical ? 'translateX(-100%)' : (g.rotation ? 'rotate(' + (-g.rotation) + 'deg)' : '');
+      el.classList.toggle('is-vertical', !!vertical);
+    }
+
+    if (items.sensei && receiptOverlaySensei) {
+      placeText(receiptOverlaySensei, items.sensei, '先生');
+    } else if (receiptOverlaySensei) {
+      receiptOverlaySensei.style.display = 'none';
+    }
+    if (receiptCoverDate) placeRect(receiptCoverDate, items.date.cover);
+    if (receiptOverlayDate) placeText(receiptOverlayDate, items.date, texts.receiptDate);
+    if (receiptCoverSign) placeRect(receiptCoverSign, items.name.cover);
+    if (receiptOverlaySign) placeText(receiptOverlaySign, items.name, '　' + texts.signerName);
+
+    // 印影（登録があれば画像、無ければ㊞）。縦書きは立てたまま、回転したページは回して重ねる
+    if (receiptOverlaySeal) {
+      var seal = items.seal;
+      placeRect(receiptOverlaySeal, { x: seal.x, y: seal.y, width: seal.size, height: seal.size });
+      var sealImg = receiptOverlaySeal.querySelector('img');
+      var sealBase64 = sealRecord && sealRecord.dataUrl;
+      sealImg.style.display = sealBase64 ? '' : 'none';
+      sealImg.style.opacity = sealRecord ? sealRecord.opacity : '';
+      if (sealBase64 && sealImg.getAttribute('src') !== sealBase64) sealImg.setAttribute('src', sealBase64);
+      var mark = receiptOverlaySeal.querySelector('.receipt-overlay-text');
+      mark.style.display = sealBase64 ? 'none' : '';
+      mark.style.fontSize = (seal.size * g.ptToBox * RECEIPT_FONT_SIZE / RECEIPT_SEAL_SIZE) + 'px';
+      receiptOverlaySeal.style.transformOrigin = '50% 50%';
+      receiptOverlaySeal.style.transform = !vertical && g.rotation ? 'rotate(' + (-g.rotation) + 'deg)' : '';
+      receiptOverlaySeal.classList.toggle('is-vertical', !!vertical);
+    }
+  }
+
+  // --- 受領書の書き込み位置のドラッグ（移動、右下のつまみで大きさ）---
+  (function setupReceiptOverlayDrag() {
+    if (!receiptPreviewBox) return;
+    var drag = null;
+
+    function pointerToLayout(ex, ey) {
+      var rect = receiptPreviewBox.getBoundingClientRect();
+      return receiptPreviewGeometry().toLayout(ex - rect.left, ey - rect.top);
+    }
+    function onStart(key, resize, ex, ey) {
+      var item = receiptPreviewItems && receiptPreviewItems[key];
+      if (!item) return false;
+      var text = receiptOverlays[key].querySelector('.receipt-overlay-text').textContent;
+      drag = {
+        key: key,
+        resize: resize,
+        start: pointerToLayout(ex, ey),
+        item: { x: item.x, y: item.y, size: item.size },
+        width: estimateReceiptTextWidth(receiptPreviewOcrData.orientation.vertical)(text, item.size),
+      };
+      receiptOverlays[key].classList.add('dragging');
+      return true;
+    }
+    function onMove(ex, ey) {
+      if (!drag) return;
+      var d = receiptPreviewOcrData;
+      var p = pointerToLayout(ex, ey);
+      var dx = p.x - drag.start.x;
+      var dy = p.y - drag.start.y;
+      var item = drag.item;
+      var next;
+      if (!drag.resize) {
+        next = {
+          x: Math.max(0, Math.min(d.pgW - 4, item.x + dx)),
+          y: Math.max(0, Math.min(d.pgH - 4, item.y + dy)),
+          size: item.size,
+        };
+      } else if (drag.key === 'seal') {
+        next = { x: item.x, y: item.y, size: Math.max(12, Math.min(120, item.size + dx)) };
+      } else {
+        // 文字は幅の伸びた割合だけ大きくする
+        next = { x: item.x, y: item.y, size: Math.max(5, Math.min(40, item.size * (drag.width + dx) / drag.width)) };
+      }
+      receiptPlacementEdits[drag.key] = next;
+      updateReceiptPreviewOverlays();
+    }
+    function onEnd() {
+      if (!drag) return;
+      receiptOverlays[drag.key].classList.remove('dragging');
+      drag = null;
+    }
+
+    Object.keys(receiptOverlays).forEach(function(key) {
+      var el = receiptOverlays[key];
+      if (!el) return;
+      // マウス
+      el.addEventListener('mousedown', function(e) {
+        if (onStart(key, e.target.classList.contains('receipt-overlay-handle'), e.clientX, e.clientY)) e.preventDefault();
+      });
+      // タッチ
+      el.addEventListener('touchstart', function(e) {
+        var t = e.touches[0];
+        if (onStart(key, e.target.classList.contains('receipt-overlay-handle'), t.clientX, t.clientY)) e.preventDefault();
+      }, { passive: false });
+    });
+    document.addEventListener('mousemove', function(e) {
+      if (drag) { e.preventDefault(); onMove(e.clientX, e.clientY); }
+    });
+    document.addEventListener('mouseup', onEnd);
+    document.addEventListener('touchmove', function(e) {
+      if (drag) { var t = e.touches[0]; onMove(t.clientX, t.clientY); }
+    }, { passive: false });
+    document.addEventListener('touchend', onEnd);
+
+    if (receiptPlacementReset) {
+      receiptPlacementReset.addEventListener('click', function() {
+        receiptPlacementEdits = Object.assign({}, receiptBasePlacements);
+        updateReceiptPreviewOverlays();
+      });
+    }
+  })();
+
+  // 受領書フォーム変更時にプレビューオーバーレイ更新（弁護士名を変えたら印影の選択肢も）
+  if (receiptSignerName) receiptSignerName.addEventListener('input', refreshReceiptSealOptions);
+  // 弁護士を選び直した・署名を書き換えたら、事件台帳の担当弁護士には切り替えない
+  if (receiptLawyerSelect) {
+    receiptLawyerSelect.addEventListener('change', function() {
+      if (receiptLawyerByCase) receiptLawyerByCase.checked = false;
+      applyReceiptLawyer(getLawyer(receiptLawyerSelect.value));
+    });
+  }
+  [receiptSignerTitle, receiptSignerName].forEach(function(el) {
+    el.addEventListener('input', function() {
+      if (receiptLawyerByCase) receiptLawyerByCase.checked = false;
+    });
+  });
+  if (receiptSealSelect) receiptSealSelect.addEventListener('change', function() { receiptSealSelect.dataset.chosen = '1'; });
+  if (receiptDateInput) attachDatePicker(receiptDateInput);
+  [receiptSignerTitle, receiptSignerName, receiptDateInput, receiptSealSelect].forEach(function(el) {
+    if (el) {
+      el.addEventListener('input', updateReceiptPreviewOverlays);
+      el.addEventListener('change', updateReceiptPreviewOverlays);
+    }
+  });
+
+  function prepareReceiptFiles(pdfs) {
+    receiptUploadFiles = pdfs;
+    if (pdfs.length === 1) {
+      receiptSourceFileName.textContent = pdfs[0].name;
+      receiptFileCountBadge.textContent = '受領書モード';
+      receiptFileListWrap.style.display = 'none';
+    } else {
+      receiptSourceFileName.textContent = `${pdfs.length}件のPDFを処理します`;
+      receiptFileCountBadge.textContent = `${pdfs.length}件`;
+      receiptFileList.innerHTML = pdfs.map(f => `<li>${f.name}</li>`).join('');
+      receiptFileListWrap.style.display = 'block';
+    }
+    setState('receipt-confirm');
+    // 最初のPDFをプレビュー
+    renderReceiptPreview(pdfs[0]);
+  }
+
+  // --- 受領書：戻るボタン ---
+  btnReceiptBack.addEventListener('click', () => {
+    receiptUploadFiles = [];
+    setState('upload');
+  });
+
+  // --- 受領書：生成ボタン（複数ファイル対応）---
+  btnReceiptGenerate.addEventListener('click', async () => {
+    if (!receiptUploadFiles || receiptUploadFiles.length === 0) {
+      showError('ファイルが選択されていません。');
+      setState('upload');
+      return;
+    }
+    // 印影は解錠してからでないと押せない
+    if ((!receiptSealSelect || receiptSealSelect.value !== 'none') && isSecureStoreEnabled() && !isSecureStoreUnlocked()) {
+      secureStore.showUnlock('印影を押すには、合言葉で解錠してください');
+      return;
+    }
+    const files = receiptUploadFiles;
+    const total = files.length;
+    const signerTitleVal = receiptSignerTitle.value;
+    const signerNameVal = receiptSignerName.value;
+    const receiptDateVal = receiptDateInput.value.trim();
+    setState('processing');
+    startProcessingSteps('upload');
+    processingTitle.textContent = '受領書を生成中...';
+    processingMessage.textContent = 'OCRで位置検出＆書き込み中';
+
+    // OCRワーカーの数だけ並行して処理する
+    // プレビューしたファイルは、プレビューに表示した位置（動かした位置を含む）で書き込む
+    const placementsByFile = receiptPreviewItems && receiptPreviewFile
+      ? new Map([[receiptPreviewFile, receiptPreviewItems]])
+      : null;
+    const generated = await generateReceiptsBrowser(files, {
+      signerTitle: signerTitleVal,
+      signerName: signerNameVal,
+      receiptDate: receiptDateVal || undefined,
+      sealId: receiptSealSelect ? receiptSealSelect.value : undefined,
+      lawyerByCase: !!(receiptLawyerByCase && receiptLawyerByCase.checked),
+      placementsByFile,
+    }, (msg, { file, done }) => {
+      if (total > 1) processingTitle.textContent = `受領書を生成中... (${done}/${total}件完了)`;
+      updateProgress(total > 1 ? `${file.name} - ${msg}` : msg);
+    });
+    // プレビューで確かめた位置を差出人の書式として覚える（次回はプレビュー・一括生成ともこの位置で書き込む）
+    const previewed = generated.find(g => g.file === receiptPreviewFile);
+    if (previewed && !previewed.error && receiptPreviewItems) {
+      try {
+        if (receiptSaveProfile && receiptSaveProfile.checked) {
+          const d = receiptPreviewOcrData;
+          await saveReceiptProfile(d, receiptPreviewItems, { width: d.pgW, height: d.pgH });
+          if (receiptProfiles) receiptProfiles.refresh();
+        } else if (receiptProfileMatch) {
+          await touchReceiptProfile(receiptProfileMatch.profile.id);
+        }
+      } catch (err) {
+        console.warn('[受領書の書式] 保存できません:', err);
+      }
+    }
+    const results = generated.map(({ file, result, error }) => (error
+      ? { fileName: file.name, downloadUrl: null, error: error.message || '生成失敗' }
+      : { fileName: result.fileName, downloadUrl: URL.createObjectURL(result.blob), error: null }));
+
+    resetProcessingSteps();
+    [procStep1, procStep2, procStep3].forEach(step => { if (step) step.classList.add('done'); });
+    const succeeded = results.filter(r => !r.error);
+    const failed = results.filter(r => r.error);
+    completeTitle.textContent = total === 1
+      ? '受領書の生成が完了しました'
+      : `受領書の生成が完了しました（${succeeded.length}/${total}件）`;
+    outputFileName.textContent = '';
+
+    if (total === 1 && succeeded.length === 1) {
+      singleDownloadArea.style.display = '';
+      multiDownloadArea.style.display = 'none';
+      downloadLabel.textContent = 'PDFファイルをダウンロード';
+      btnDownload.href = succeeded[0].downloadUrl;
+      btnDownload.download = succeeded[0].fileName;
+    } else {
+      singleDownloadArea.style.display = 'none';
+      multiDownloadArea.style.display = '';
+      downloadList.innerHTML = results.map(r => {
+        if (r.error) {
+          return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#fef2f2;border-radius:8px;color:#dc2626;">
+            <span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${r.fileName}</span>
+            <span style="font-size:0.8em;color:#dc2626;">失敗: ${r.error}</span>
+          </li>`;
+        }
+        return `<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#f0fdf4;border-radius:8px;">
+          <span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">${r.fileName}</span>
+          <a href="${r.downloadUrl}" download="${r.fileName}" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">
+            ダウンロード
+          </a>
+        </li>`;
+      }).join('');
+    }
+
+    if (failed.length > 0) {
+      showError(`${failed.length}件の生成に失敗しました: ${failed.map(r=>r.fileName).join(', ')}`);
+    }
+    setState('complete');
+    if (succeeded.length > 0) setTimeout(launchConfetti, 300);
+  });
+
+  // --- 証拠番号モード: DOM参照 ---
+  const evidencePartySelect = $('#evidenceParty');
+  const evidenceCustomParty = $('#evidenceCustomParty');
+  const evidenceNumberInput = $('#evidenceNumber');
+  const evidenceSubNumInput = $('#evidenceSubNum');
+  const evidenceUseDai = $('#evidenceUseDai');
+  const evidenceTitleInput = $('#evidenceTitle');
+  const evidenceOriginalCopy = $('#evidenceOriginalCopy');
+  const evidenceCreatedDate = $('#evidenceCreatedDate');
+  const evidenceAuthor = $('#evidenceAuthor');
+  const evidencePurpose = $('#evidencePurpose');
+  const evidenceAllPages = $('#evidenceAllPages');
+  const evidenceAddPageNum = $('#evidenceAddPageNum');
+  const evidenceMintsName = $('#evidenceMintsName');
+  const evidenceOutputSheet = $('#evidenceOutputSheet');
+  const evidenceStampSize = $('#evidenceStampSize');
+  const evidenceStampColor = $('#evidenceStampColor');
+  const evidenceStampBg = $('#evidenceStampBg');
+  const evidenceStampBorder = $('#evidenceStampBorder');
+  const evidenceStampPreview = $('#evidenceStampPreview');
+  const evidencePageNumPreview = $('#evidencePageNumPreview');
+  const evidencePreviewBox = $('#evidencePreviewBox');
+  const evidencePreviewCanvas = $('#evidencePreviewCanvas');
+  const evidencePreviewPlaceholder = $('#evidencePreviewPlaceholder');
+  const evidenceSourceFileName = $('#evidenceSourceFileName');
+  const btnEvidenceBack = $('#btnEvidenceBack');
+  const btnEvidenceGenerate = $('#btnEvidenceGenerate');
+  const btnEvidenceMerge = $('#btnEvidenceMerge');
+  const btnEvidenceAddFiles = $('#btnEvidenceAddFiles');
+  const evidenceFileCountBadge = $('#evidenceFileCountBadge');
+  const evidenceFileListWrap = $('#evidenceFileListWrap');
+  const evidenceFileList = $('#evidenceFileList');
+  if (evidenceCreatedDate) attachDatePicker(evidenceCreatedDate);
+
+  let evidenceMergeMode = false;
+  // スタンプ位置: PDF座標系での比率 (0~1), 左上原点
+  // デフォルト: 右上 (x=0.85 y=0.03)
+  let stampPosRatioX = 0.85;
+  let stampPosRatioY = 0.03;
+  // PDFページサイズ(pt)
+  let previewPdfW = 595;
+  let previewPdfH = 842;
+
+  function getEvidenceParty() {
+    if (evidenceCustomParty && evidenceCustomParty.value.trim()) {
+      return evidenceCustomParty.value.trim();
+    }
+    return evidencePartySelect ? evidencePartySelect.value : '\u7532';
+  }
+
+  function getEvidencePreviewLabel() {
+    const party = getEvidenceParty();
+    const num = evidenceNumberInput ? evidenceNumberInput.value.trim() : '';
+    const subNum = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : '';
+    const useDai = evidenceUseDai ? evidenceUseDai.checked : false;
+    if (!num) return party + (useDai ? '\u7b2c' : '') + '\u25cb\u53f7\u8a3c';
+    return buildEvidenceLabel(party, parseInt(num, 10), subNum ? parseInt(subNum, 10) : null, useDai);
+  }
+
+  // --- PDFプレビューレンダリング ---
+  async function renderEvidencePreviewPdf(file) {
+    if (!evidencePreviewCanvas || !evidencePreviewBox) return;
+    try {
+      var ab = await file.arrayBuffer();
+      var pdf = await openPdf(ab);
+      var page = await pdf.getPage(1);
+      var vp = page.getViewport({ scale: 1 });
+      previewPdfW = vp.width;
+      previewPdfH = vp.height;
+
+      // プレビューボックスの幅に合わせてスケール
+      var boxW = evidencePreviewBox.clientWidth || 360;
+      var scale = boxW / vp.width;
+      var scaledVp = page.getViewport({ scale: scale });
+
+      evidencePreviewCanvas.width = scaledVp.width;
+      evidencePreviewCanvas.height = scaledVp.height;
+      evidencePreviewCanvas.style.display = 'block';
+      evidencePreviewCanvas.style.width = '100%';
+      if (evidencePreviewPlaceholder) evidencePreviewPlaceholder.style.display = 'none';
+
+      // ボックス高さをcanvas比率に合わせる
+      evidencePreviewBox.style.height = scaledVp.height + 'px';
+
+      var ctx = evidencePreviewCanvas.getContext('2d');
+      await page.render({ canvasContext: ctx, viewport: scaledVp }).promise;
+
+      // スタンプオーバーレイを表示
+      if (evidenceStampPreview) {
+        evidenceStampPreview.style.display = '';
+        positionStampFromRatio();
+      }
+    } catch (e) {
+      console.warn('[Preview] PDF\u30ec\u30f3\u30c0\u30ea\u30f3\u30b0\u5931\u6557:', e);
+      // フォールバック: プレースホルダーのまま
+      showPreviewPlaceholder();
+    }
+  }
+
+  function showPreviewPlaceholder() {
+    if (evidencePreviewCanvas) evidencePreviewCanvas.style.display = 'none';
+    if (evidencePreviewPlaceholder) evidencePreviewPlaceholder.style.display = '';
+    if (evidenceStampPreview) evidenceStampPreview.style.display = '';
+    evidencePreviewBox.style.height = '320px';
+    positionStampFromRatio();
+  }
+
+  function positionStampFromRatio() {
+    if (!evidenceStampPreview || !evidencePreviewBox) return;
+    var boxW = evidencePreviewBox.clientWidth || 360;
+    var boxH = evidencePreviewBox.clientHeight || 320;
+    var stampW = evidenceStampPreview.offsetWidth;
+    var stampH = evidenceStampPreview.offsetHeight;
+    var left = stampPosRatioX * boxW - stampW / 2;
+    var top = stampPosRatioY * boxH;
+    // Clamp
+    left = Math.max(0, Math.min(boxW - stampW, left));
+    top = Math.max(0, Math.min(boxH - stampH, top));
+    evidenceStampPreview.style.left = left + 'px';
+    evidenceStampPreview.style.top = top + 'px';
+    evidenceStampPreview.style.right = '';
+  }
+
+  // --- スタンプドラッグ ---
+  (function setupStampDrag() {
+    if (!evidenceStampPreview || !evidencePreviewBox) return;
+    var dragging = false;
+    var offsetX = 0, offsetY = 0;
+
+    function onStart(ex, ey) {
+      dragging = true;
+      var rect = evidenceStampPreview.getBoundingClientRect();
+      offsetX = ex - rect.left;
+      offsetY = ey - rect.top;
+      evidenceStampPreview.style.cursor = 'grabbing';
+      evidenceStampPreview.style.transition = 'none';
+    }
+    function onMove(ex, ey) {
+      if (!dragging) return;
+      var boxRect = evidencePreviewBox.getBoundingClientRect();
+      var boxW = evidencePreviewBox.clientWidth;
+      var boxH = evidencePreviewBox.clientHeight;
+      var stampW = evidenceStampPreview.offsetWidth;
+      var stampH = evidenceStampPreview.offsetHeight;
+
+      var newLeft = ex - boxRect.left - offsetX;
+      var newTop = ey - boxRect.top - offsetY;
+      newLeft = Math.max(0, Math.min(boxW - stampW, newLeft));
+      newTop = Math.max(0, Math.min(boxH - stampH, newTop));
+
+      evidenceStampPreview.style.left = newLeft + 'px';
+      evidenceStampPreview.style.top = newTop + 'px';
+      evidenceStampPreview.style.right = '';
+
+      // 比率を更新 (中心基準)
+      stampPosRatioX = (newLeft + stampW / 2) / boxW;
+      stampPosRatioY = newTop / boxH;
+    }
+    function onEnd() {
+      if (!dragging) return;
+      dragging = false;
+      evidenceStampPreview.style.cursor = 'grab';
+      evidenceStampPreview.style.transition = '';
+    }
+
+    // マウス
+    evidenceStampPreview.addEventListener('mousedown', function(e) {
+      e.preventDefault();
+      onStart(e.clientX, e.clientY);
+    });
+    document.addEventListener('mousemove', function(e) {
+      if (dragging) { e.preventDefault(); onMove(e.clientX, e.clientY); }
+    });
+    document.addEventListener('mouseup', onEnd);
+
+    // タッチ
+    evidenceStampPreview.addEventListener('touchstart', function(e) {
+      e.preventDefault();
+      var t = e.touches[0];
+      onStart(t.clientX, t.clientY);
+    }, { passive: false });
+    document.addEventListener('touchmove', function(e) {
+      if (dragging) { var t = e.touches[0]; onMove(t.clientX, t.clientY); }
+    }, { passive: false });
+    document.addEventListener('touchend', onEnd);
+  })();
+
+  function updateEvidencePreview() {
+    var label = getEvidencePreviewLabel();
+    var title = evidenceTitleInput ? evidenceTitleInput.value.trim() : '';
+
+    // スタンプテキスト更新（証拠番号のみ、書誌情報はPDFに打ち込まない）
+    if (evidenceStampPreview) {
+      var text = label;
+      evidenceStampPreview.textContent = text;
+
+      // 色
+      var colorMap = { red: '#dc2626', black: '#111', blue: '#1d4ed8' };
+      var colorVal = evidenceStampColor ? evidenceStampColor.value : 'red';
+      evidenceStampPreview.style.color = colorMap[colorVal] || '#dc2626';
+
+      // サイズ
+      var sizeVal = evidenceStampSize ? parseInt(evidenceStampSize.value) : 20;
+      evidenceStampPreview.style.fontSize = Math.round(sizeVal * 0.55) + 'px';
+
+      // 背景・枠線
+      var hasBg = evidenceStampBg ? evidenceStampBg.checked : true;
+      var hasBorder = evidenceStampBorder ? evidenceStampBorder.checked : false;
+      evidenceStampPreview.style.background = hasBg ? 'rgba(255,255,255,0.95)' : 'transparent';
+      if (hasBorder) {
+        evidenceStampPreview.style.border = '1px solid ' + (colorMap[colorVal] || '#dc2626');
+      } else {
+        evidenceStampPreview.style.border = '1px solid transparent';
+      }
+
+      // 位置を再適用（サイズ変更で幅が変わるため）
+      setTimeout(positionStampFromRatio, 10);
+    }
+
+    // ページ番号プレビュー
+    if (evidencePageNumPreview) {
+      evidencePageNumPreview.style.display = (evidenceAddPageNum && evidenceAddPageNum.checked) ? '' : 'none';
+    }
+
+    updateEvidenceFileListLabels();
+  }
+
+  function updateEvidenceFileListLabels() {
+    if (!evidenceFileList || !evidenceUploadFiles || evidenceUploadFiles.length === 0) return;
+    var party = getEvidenceParty();
+    var startNum = parseInt(evidenceNumberInput ? evidenceNumberInput.value : '1', 10) || 1;
+    var useDai = evidenceUseDai ? evidenceUseDai.checked : false;
+    var subNum = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : '';
+
+    var items = evidenceFileList.querySelectorAll('li');
+    items.forEach(function(li, i) {
+      var labelEl = li.querySelector('.file-label');
+      if (!labelEl) return;
+      if (evidenceMergeMode) {
+        labelEl.textContent = buildEvidenceLabel(party, startNum, i + 1, useDai);
+      } else {
+        var currentSub = (evidenceUploadFiles.length === 1 && subNum) ? parseInt(subNum, 10) : null;
+        labelEl.textContent = buildEvidenceLabel(party, startNum + i, currentSub, useDai);
+      }
+    });
+  }
+
+  // プレビュー更新対象コントロール
+  var evidencePreviewControls = [
+    evidencePartySelect, evidenceCustomParty, evidenceNumberInput,
+    evidenceSubNumInput, evidenceTitleInput,
+    evidenceStampSize, evidenceStampColor
+  ];
+  evidencePreviewControls.forEach(function(el) {
+    if (el) {
+      el.addEventListener('input', updateEvidencePreview);
+      el.addEventListener('change', updateEvidencePreview);
+    }
+  });
+  [evidenceUseDai, evidenceStampBg, evidenceStampBorder, evidenceAddPageNum].forEach(function(el) {
+    if (el) el.addEventListener('change', updateEvidencePreview);
+  });
+
+  function renderEvidenceFileList() {
+    if (!evidenceFileList || !evidenceUploadFiles) return;
+    var dragIcon = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M8 6h.01M8 12h.01M8 18h.01M12 6h.01M12 12h.01M12 18h.01"/></svg>';
+    var removeIcon = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
+
+    evidenceFileList.innerHTML = evidenceUploadFiles.map(function(f, i) {
+      return '<li draggable="true" data-index="' + i + '">' +
+        '<span class="drag-handle">' + dragIcon + '</span>' +
+        '<span class="file-name">' + f.name + '</span>' +
+        '<span class="file-label"></span>' +
+        '<button class="file-remove" data-index="' + i + '" title="\u524a\u9664">' + removeIcon + '</button>' +
+        '</li>';
+    }).join('');
+
+    updateEvidenceFileListLabels();
+
+    // ドラッグ並べ替え
+    var dragSrcIndex = null;
+    evidenceFileList.querySelectorAll('li').forEach(function(li) {
+      li.addEventListener('dragstart', function(e) {
+        dragSrcIndex = parseInt(li.dataset.index);
+        li.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+      });
+      li.addEventListener('dragover', function(e) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      });
+      li.addEventListener('drop', function(e) {
+        e.preventDefault();
+        var targetIndex = parseInt(li.dataset.index);
+        if (dragSrcIndex !== null && dragSrcIndex !== targetIndex) {
+          var moved = evidenceUploadFiles.splice(dragSrcIndex, 1)[0];
+          evidenceUploadFiles.splice(targetIndex, 0, moved);
+          renderEvidenceFileList();
+        }
+      });
+      li.addEventListener('dragend', function() {
+        li.classList.remove('dragging');
+        dragSrcIndex = null;
+      });
+    });
+
+    // 削除ボタン
+    evidenceFileList.querySelectorAll('.file-remove').forEach(function(btn) {
+      btn.addEventListener('click', function() {
+        var idx = parseInt(btn.dataset.index);
+        evidenceUploadFiles.splice(idx, 1);
+        if (evidenceUploadFiles.length === 0) {
+          setState('upload');
+          return;
+        }
+        renderEvidenceFileList();
+        updateEvidenceSourceInfo();
+        // 先頭ファイルのプレビュー更新
+        renderEvidencePreviewPdf(evidenceUploadFiles[0]);
+      });
+    });
+  }
+
+  function updateEvidenceSourceInfo() {
+    if (evidenceSourceFileName) {
+      evidenceSourceFileName.textContent = evidenceUploadFiles.length === 1
+        ? evidenceUploadFiles[0].name
+        : evidenceUploadFiles.length + '\u4ef6\u306ePDF\u3092\u51e6\u7406\u3057\u307e\u3059';
+    }
+    if (evidenceFileCountBadge) {
+      evidenceFileCountBadge.textContent = evidenceUploadFiles.length > 1
+        ? evidenceUploadFiles.length + '\u4ef6'
+        : '\u8a3c\u62e0\u756a\u53f7\u30e2\u30fc\u30c9';
+    }
+    if (evidenceFileListWrap) {
+      evidenceFileListWrap.style.display = evidenceUploadFiles.length > 1 ? 'block' : 'none';
+    }
+  }
+
+  function prepareEvidenceFiles(pdfs) {
+    evidenceUploadFiles = Array.from(pdfs);
+    evidenceMergeMode = false;
+    // デフォルト位置リセット
+    stampPosRatioX = 0.85;
+    stampPosRatioY = 0.03;
+    updateEvidenceSourceInfo();
+    renderEvidenceFileList();
+    updateEvidencePreview();
+    // 1ページ目をプレビュー
+    renderEvidencePreviewPdf(evidenceUploadFiles[0]);
+    setState('evidence-confirm');
+  }
+
+  // 結合ボタン
+  if (btnEvidenceMerge) {
+    btnEvidenceMerge.addEventListener('click', function() {
+      evidenceMergeMode = !evidenceMergeMode;
+      btnEvidenceMerge.classList.toggle('active', evidenceMergeMode);
+      btnEvidenceMerge.style.background = evidenceMergeMode ? '#fef2f2' : '';
+      btnEvidenceMerge.style.color = evidenceMergeMode ? '#dc2626' : '';
+      updateEvidenceFileListLabels();
+    });
+  }
+
+  // ファイル追加ボタン
+  if (btnEvidenceAddFiles) {
+    btnEvidenceAddFiles.addEventListener('click', function() {
+      var input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.pdf';
+      input.multiple = true;
+      input.addEventListener('change', function() {
+        if (input.files && input.files.length > 0) {
+          for (var i = 0; i < input.files.length; i++) {
+            evidenceUploadFiles.push(input.files[i]);
+          }
+          updateEvidenceSourceInfo();
+          renderEvidenceFileList();
+        }
+      });
+      input.click();
+    });
+  }
+
+  if (btnEvidenceBack) {
+    btnEvidenceBack.addEventListener('click', function() {
+      evidenceUploadFiles = [];
+      evidenceMergeMode = false;
+      showPreviewPlaceholder();
+      setState('upload');
+    });
+  }
+
+  if (btnEvidenceGenerate) {
+    btnEvidenceGenerate.addEventListener('click', async function() {
+      if (!evidenceUploadFiles || evidenceUploadFiles.length === 0) {
+        showError('\u30d5\u30a1\u30a4\u30eb\u304c\u9078\u629e\u3055\u308c\u3066\u3044\u307e\u305b\u3093\u3002');
+        setState('upload');
+        return;
+      }
+      var party = getEvidenceParty();
+      var numStr = evidenceNumberInput ? evidenceNumberInput.value.trim() : '';
+      if (!numStr) {
+        showError('\u8a3c\u62e0\u756a\u53f7\u3092\u5165\u529b\u3057\u3066\u304f\u3060\u3055\u3044\u3002');
+        return;
+      }
+      var startNum = parseInt(numStr, 10);
+      if (isNaN(startNum) || startNum < 1) {
+        showError('\u8a3c\u62e0\u756a\u53f7\u306f1\u4ee5\u4e0a\u306e\u6570\u5b57\u3092\u5165\u529b\u3057\u3066\u304f\u3060\u3055\u3044\u3002');
+        return;
+      }
+      var subNumStr = evidenceSubNumInput ? evidenceSubNumInput.value.trim() : '';
+      var subNum = subNumStr ? parseInt(subNumStr, 10) : null;
+      var useDai = evidenceUseDai ? evidenceUseDai.checked : false;
+      var titleStr = evidenceTitleInput ? evidenceTitleInput.value.trim() : '';
+      var allPages = evidenceAllPages ? evidenceAllPages.checked : false;
+      var addPageNum = evidenceAddPageNum ? evidenceAddPageNum.checked : false;
+      var useMintsName = evidenceMintsName ? evidenceMintsName.checked : false;
+      var outputSheet = evidenceOutputSheet ? evidenceOutputSheet.checked : false;
+      var originalCopy = evidenceOriginalCopy ? evidenceOriginalCopy.value : '';
+      var createdDate = evidenceCreatedDate ? evidenceCreatedDate.value.trim() : '';
+      var author = evidenceAuthor ? evidenceAuthor.value.trim() : '';
+      var purpose = evidencePurpose ? evidencePurpose.value.trim() : '';
+
+      // スタンプ位置: ドラッグ結果のratioからPDF座標(pt)に変換
+      var stampOpts = {
+        stampSize: evidenceStampSize ? evidenceStampSize.value : '20',
+        stampColor: evidenceStampColor ? evidenceStampColor.value : 'red',
+        stampBg: evidenceStampBg ? evidenceStampBg.checked : true,
+        stampBorder: evidenceStampBorder ? evidenceStampBorder.checked : false,
+        addPageNum: addPageNum,
+        // カスタム位置 (PDF座標系)
+        customX: stampPosRatioX,
+        customY: stampPosRatioY,
+      };
+
+      var files = evidenceUploadFiles;
+      var total = files.length;
+
+      setState('processing');
+      startProcessingSteps('generate');
+      var results = [];
+      var sheetEntries = [];
+
+      // 結合モード
+      if (evidenceMergeMode && total > 1) {
+        try {
+          processingTitle.textContent = 'PDF\u3092\u7d50\u5408\u4e2d...';
+          var mergedFile = await mergePdfs(files, updateProgress);
+          var subRange = '1~' + total;
+          var evidenceLabel = buildEvidenceLabel(party, startNum, null, useDai);
+          processingTitle.textContent = '\u8a3c\u62e0\u756a\u53f7\u3092\u66f8\u304d\u8fbc\u307f\u4e2d...';
+          processingMessage.textContent = evidenceLabel;
+
+          var result = await generateEvidenceBrowser(mergedFile, Object.assign({
+            evidenceLabel: evidenceLabel, evidenceTitle: titleStr, allPages: allPages, onProgress: updateProgress,
+          }, stampOpts));
+
+          var outName = useMintsName
+            ? buildMintsFileName(party, startNum, null, titleStr, subRange)
+            : result.fileName;
+          var blobUrl = URL.createObjectURL(result.blob);
+          results.push({ fileName: outName, downloadUrl: blobUrl, error: null });
+          sheetEntries.push({
+            label: evidenceLabel + '\u306e\uff11\uff5e' + toFullWidthNumber(String(total)),
+            title: titleStr, originalOrCopy: originalCopy,
+            createdDate: createdDate, author: author, purpose: purpose,
+          });
+        } catch (err) {
+          results.push({ fileName: '\u7d50\u5408\u30d5\u30a1\u30a4\u30eb', downloadUrl: null, error: err.message || '\u7d50\u5408\u5931\u6557' });
+        }
+      } else {
+        for (var i = 0; i < total; i++) {
+          var currentNum = startNum + i;
+          var currentSub = (total === 1 && subNum) ? subNum : null;
+          var evidenceLabel = buildEvidenceLabel(party, currentNum, currentSub, useDai);
+          processingTitle.textContent = total > 1
+            ? '\u8a3c\u62e0\u756a\u53f7\u3092\u66f8\u304d\u8fbc\u307f\u4e2d... (' + (i + 1) + '/' + total + ')'
+            : '\u8a3c\u62e0\u756a\u53f7\u3092\u66f8\u304d\u8fbc\u307f\u4e2d...';
+          processingMessage.textContent = files[i].name + ' \u2192 ' + evidenceLabel;
+
+          try {
+            var result = await generateEvidenceBrowser(files[i], Object.assign({
+              evidenceLabel: evidenceLabel, evidenceTitle: titleStr, allPages: allPages, onProgress: updateProgress,
+            }, stampOpts));
+
+            var outName = useMintsName
+              ? buildMintsFileName(party, currentNum, currentSub, titleStr, null)
+              : result.fileName;
+            var blobUrl = URL.createObjectURL(result.blob);
+            results.push({ fileName: outName, downloadUrl: blobUrl, error: null });
+            sheetEntries.push({
+              label: evidenceLabel, title: titleStr, originalOrCopy: originalCopy,
+              createdDate: createdDate, author: author, purpose: purpose,
+            });
+          } catch (err) {
+            results.push({ fileName: files[i].name, downloadUrl: null, error: err.message || '\u751f\u6210\u5931\u6557' });
+          }
+        }
+      }
+
+      // 証拠説明書
+      if (outputSheet && sheetEntries.length > 0) {
+        try {
+          var sheetBlob = await generateEvidenceSheetDocx(sheetEntries, { party: party });
+          var sheetUrl = URL.createObjectURL(sheetBlob);
+          results.push({
+            fileName: '\u8a3c\u62e0\u8aac\u660e\u66f8_' + party + '\u53f7\u8a3c.docx',
+            downloadUrl: sheetUrl, error: null, isSheet: true,
+          });
+        } catch (sheetErr) {
+          console.error('\u8a3c\u62e0\u8aac\u660e\u66f8\u306e\u751f\u6210\u306b\u5931\u6557:', sheetErr);
+        }
+      }
+
+      resetProcessingSteps();
+      [procStep1, procStep2, procStep3].forEach(function(step) { if (step) step.classList.add('done'); });
+      var succeeded = results.filter(function(r) { return !r.error; });
+      var failed = results.filter(function(r) { return r.error; });
+      var pdfCount = succeeded.filter(function(r) { return !r.isSheet; }).length;
+      completeTitle.textContent = total === 1
+        ? '\u8a3c\u62e0\u756a\u53f7\u306e\u66f8\u304d\u8fbc\u307f\u304c\u5b8c\u4e86\u3057\u307e\u3057\u305f'
+        : '\u8a3c\u62e0\u756a\u53f7\u306e\u66f8\u304d\u8fbc\u307f\u304c\u5b8c\u4e86\u3057\u307e\u3057\u305f\uff08' + pdfCount + '/' + total + '\u4ef6\uff09';
+      outputFileName.textContent = '';
+
+      if (succeeded.length === 1 && !outputSheet) {
+        singleDownloadArea.style.display = '';
+        multiDownloadArea.style.display = 'none';
+        downloadLabel.textContent = 'PDF\u30d5\u30a1\u30a4\u30eb\u3092\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9';
+        btnDownload.href = succeeded[0].downloadUrl;
+        btnDownload.download = succeeded[0].fileName;
+      } else {
+        singleDownloadArea.style.display = 'none';
+        multiDownloadArea.style.display = '';
+        downloadList.innerHTML = results.map(function(r) {
+          if (r.error) {
+            return '<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:#fef2f2;border-radius:8px;color:#dc2626;">' +
+              '<span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">' + r.fileName + '</span>' +
+              '<span style="font-size:0.8em;color:#dc2626;">\u5931\u6557: ' + r.error + '</span></li>';
+          }
+          var bgColor = r.isSheet ? '#eff6ff' : '#f0fdf4';
+          return '<li style="display:flex;align-items:center;gap:8px;padding:8px 12px;background:' + bgColor + ';border-radius:8px;">' +
+            '<span style="flex:1;font-size:0.85em;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:var(--text-primary);">' + r.fileName + '</span>' +
+            '<a href="' + r.downloadUrl + '" download="' + r.fileName + '" class="btn btn-primary" style="padding:6px 14px;font-size:0.82em;white-space:nowrap;">\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9</a></li>';
+        }).join('');
+      }
+
+      if (failed.length > 0) {
+        showError(failed.length + '\u4ef6\u306e\u751f\u6210\u306b\u5931\u6557\u3057\u307e\u3057\u305f: ' + failed.map(function(r) { return r.fileName; }).join(', '));
+      }
+      setState('complete');
+      if (pdfCount > 0) setTimeout(launchConfetti, 300);
+    });
+  }
+
+
+  // --- 設定モーダル ---
+  // 設定モーダルの入力欄に今の設定を入れる（開いたとき・設定を読み込んだとき）
+  function fillSettingsForm() {
+    const config = getConfig();
+    const settingsOfficeName = $('#settingsOfficeName');
+    const settingsLawyerNames = $('#settingsLawyerNames');
+    const settingsFaxNumbers = $('#settingsFaxNumbers');
+    if (settingsOfficeName) settingsOfficeName.value = config.officeName || '';
+    if (settingsLawyerNames) settingsLawyerNames.value = (config.lawyerNames || []).join(', ');
+    if (settingsFaxNumbers) settingsFaxNumbers.value = (config.faxNumbers || []).join(', ');
+    const settingsCaseRegistryMode = $('#settingsCaseRegistryMode');
+    if (settingsCaseRegistryMode) settingsCaseRegistryMode.value = config.caseRegistryMode || 'override';
+    const settingsOcrCacheMode = $('#settingsOcrCacheMode');
+    if (settingsOcrCacheMode) settingsOcrCacheMode.value = config.ocrCacheMode || 'memory';
+    const ocrCacheClear = $('#ocrCacheClear');
+    if (ocrCacheClear) ocrCacheClear.textContent = 'OCR結果を削除';
+    if (sealSettings) sealSettings.refresh();
+    if (lawyerSettings) lawyerSettings.refresh();
+  }
+
+  if (settingsBtn && settingsModal) {
+    settingsBtn.addEventListener('click', () => {
+      fillSettingsForm();
+      secureStore.refresh();
+      settingsBundle.refresh();
+      settingsModal.classList.add('visible');
+    });
+
+    settingsClose.addEventListener('click', () => {
+      settingsModal.classList.remove('visible');
+    });
+
+    const ocrCacheClear = $('#ocrCacheClear');
+    if (ocrCacheClear) {
+      ocrCacheClear.addEventListener('click', async () => {
+        try {
+          await clearOcrCache();
+          ocrCacheClear.textContent = '削除しました';
+        } catch (err) {
+          showError('OCR結果を削除できませんでした: ' + err.message);
+        }
+      });
+    }
+
+    settingsSave.addEventListener('click', () => {
+      const settingsOfficeName = $('#settingsOfficeName');
+      const settingsLawyerNames = $('#settingsLawyerNames');
+      const settingsFaxNumbers = $('#settingsFaxNumbers');
+      const settingsCaseRegistryMode = $('#settingsCaseRegistryMode');
+      const settingsOcrCacheMode = $('#settingsOcrCacheMode');
+      // この画面で編集しない設定（送付書テンプレートの選択など）と、その場で保存する弁護士は残す
+      const config = Object.assign(getConfig(), {
+        officeName: settingsOfficeName ? settingsOfficeName.value.trim() : '',
+        lawyerNames: settingsLawyerNames
+          ? settingsLawyerNames.value.split(/[,、]/).map(s => s.trim()).filter(Boolean)
+          : [],
+        faxNumbers: settingsFaxNumbers
+          ? settingsFaxNumbers.value.split(/[,、]/).map(s => s.trim()).filter(Boolean)
+          : [],
+        caseRegistryMode: settingsCaseRegistryMode ? settingsCaseRegistryMode.value : 'override',
+        ocrCacheMode: settingsOcrCacheMode ? settingsOcrCacheMode.value : 'memory',
+      });
+      try {
+        saveConfig(config);
+      } catch (err) {
+        showError(err.message);
+        return;
+      }
+      const subtitle = $('#officeSubtitle');
+      if (subtitle) subtitle.textContent = config.officeName;
+      refreshReceiptSealOptions();
+      updateSofushoPreview();
+      settingsModal.classList.remove('visible');
+    });
+
+    settingsModal.addEventListener('click', (e) => {
+      if (e.target === settingsModal) {
+        settingsModal.classList.remove('visible');
+      }
+    });
+  }
+
+  // --- 裁判所名簿 ---
+  setupCourtDirectory({
+    showError,
+    onChange: () => {
+      if (currentState === 'confirm') refreshCourtFaxFromDirectory();
+    },
+  });
+
+  // --- 事件台帳 ---
+  setupCaseRegistry({ showError });
+
+  // --- 送付書テンプレート ---
+  var sofushoTemplates = setupSofushoTemplates({ showError });
+
+  // --- 受領書の書式 ---
+  var receiptProfiles = setupReceiptProfiles({ showError });
+
+  // --- 印影 ---
+  var sealSettings = setupSeals({
+    showError,
+    onChange: () => {
+      if (lawyerSettings) lawyerSettings.refresh();
+      refreshReceiptSealOptions();
+      updateReceiptPreviewOverlays();
+    },
+  });
+
+  // --- 弁護士 ---
+  var lawyerSettings = setupLawyers({
+    showError,
+    onChange: () => {
+      refreshLawyerOptions();
+      // 選んでいる弁護士の氏名・肩書・印影を変えたかもしれないので署名を合わせ直す
+      applyReceiptLawyer((receiptLawyerSelect && getLawyer(receiptLawyerSelect.value)) || getDefaultLawyer());
+      updateSofushoPreview();
+    },
+  });
+
+  // --- 起動時・解錠したときに設定を読み込み ---
+  function loadConfig() {
+    try {
+      const config = getConfig();
+      const subtitle = $('#officeSubtitle');
+      if (subtitle) subtitle.textContent = config.officeName || '';
+      refreshLawyerOptions();
+      if (receiptSignerName && !receiptSignerName.value) applyReceiptLawyer(getDefaultLawyer());
+      refreshReceiptSealOptions();
+      if (sofushoOutputFormat && config.sofushoOutputFormat) sofushoOutputFormat.value = config.sofushoOutputFormat;
+    } catch (e) { /* ignore */ }
+  }
+  loadConfig();
+
+  // --- 設定・印影の暗号化 ---
+  var secureStore = setupSecureStore({
+    showError,
+    onUnlock: () => {
+      loadConfig();
+      if (sealSettings) sealSettings.refresh();
+      if (lawyerSettings) lawyerSettings.refresh();
+      updateReceiptPreviewOverlays();
+      updateSofushoPreview();
+    },
+  });
+  // ロックしたら印影・弁護士の選択肢を空にして、解錠の画面を出す
+  onSecureStoreLock(() => {
+    refreshLawyerOptions();
+    refreshReceiptSealOptions();
+    updateReceiptPreviewOverlays();
+    secureStore.refresh();
+    secureStore.showUnlock('ロックしました。続けるには合言葉を入力してください');
+  });
+  secureStore.showUnlock();
+
+  // --- 設定の書き出し・読み込み、事務所共通の設定 ---
+  var settingsBundle = setupSettingsBundle({
+    showError,
+    onChange: () => {
+      loadConfig();
+      fillSettingsForm();
+      if (sofushoTemplates) sofushoTemplates.refresh();
+      if (receiptProfiles) receiptProfiles.refresh();
+      if (currentState === 'confirm') refreshCourtFaxFromDirectory();
+      updateReceiptPreviewOverlays();
+      updateSofushoPreview();
+    },
+  });
+
+  // --- 別のタブとデータベースの版が合わない（古い版のタブが残っている・新しい版が開かれた）---
+  onDatabaseConflict(({ reason, message }) => {
+    console.warn('[IndexedDB]', reason, message);
+    showError(message);
+  });
+
+  // --- 同梱ライブラリの確認 ---
+  checkVendorAssets(window).then(missing => {
+    const warning = $('#vendorAssetWarning');
+    const list = $('#vendorAssetList');
+    if (missing.length === 0 || !warning || !list) return;
+    missing.forEach(m => console.warn('[同梱ファイル] 見つかりません:', m.path, m.reason));
+    list.innerHTML = '';
+    missing.forEach(m => {
+      const li = document.createElement('li');
+      li.textContent = `${m.label}（${m.path}）`;
+      list.appendChild(li);
+    });
+    warning.hidden = false;
+  });
+
+  // --- ページ離脱前の確認 ---
+  window.addEventListener('beforeunload', (e) => {
+    if (currentState === 'confirm' || currentState === 'receipt-confirm' || currentState === 'evidence-confirm') {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+}
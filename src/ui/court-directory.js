@@ -0,0 +1,244 @@
+/**
+ * 裁判所名簿の画面（設定モーダルの「裁判所名簿」から開く編集モーダルと、取り込み・書き出し、
+ * 文書から見つかったFAX番号の確認待ち）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import {
+  getCourtDirectory, findCourt, saveCourt, deleteCourt, restoreCourt,
+  parseCsv, exportCourtDirectory, importCourtDirectory,
+  getCourtFaxReviewQueue, acceptCourtFaxObservation, dismissCourtFaxObservation,
+} from '../index.js';
+
+// 一覧に一度に表示する件数（検索で絞り込む）
+const MAX_LIST_ITEMS = 200;
+
+const ORIGIN_LABELS = { office: '事務所', modified: '修正', user: '追加' };
+
+function downloadText(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 裁判所名簿の画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @param {function(): void} [options.onChange] 名簿を変更したとき（確認画面のFAX番号の再検索など）
+ * @returns {{open: function(string=): void}|undefined} 画面が無い場合は undefined
+ */
+export function setupCourtDirectory({ showError, onChange = () => {} }) {
+  const $ = (sel) => document.querySelector(sel);
+  const modal = $('#courtDirectoryModal');
+  if (!modal) return;
+
+  const search = $('#courtDirectorySearch');
+  const list = $('#courtDirectoryList');
+  const count = $('#courtDirectoryCount');
+  const form = {
+    name: $('#courtEditName'),
+    parent: $('#courtEditParent'),
+    fax: $('#courtEditFax'),
+    phone: $('#courtEditPhone'),
+    divisions: $('#courtEditDivisions'),
+  };
+  const btnDelete = $('#courtEditDelete');
+  const btnRestore = $('#courtEditRestore');
+  const review = $('#courtFaxReview');
+  const reviewList = $('#courtFaxReviewList');
+  const reviewCount = $('#courtFaxReviewCount');
+  let editingName = '';
+
+  // --- 確認待ち（文書から見つかったFAX番号）---
+  function renderReview() {
+    const queue = getCourtFaxReviewQueue();
+    if (reviewCount) {
+      reviewCount.textContent = `確認待ち ${queue.length}`;
+      reviewCount.hidden = queue.length === 0;
+    }
+    if (!review) return;
+    review.hidden = queue.length === 0;
+    reviewList.innerHTML = '';
+    queue.forEach(item => {
+      const li = document.createElement('li');
+      const text = document.createElement('div');
+      text.className = 'review-text';
+      const stored = item.check.stored;
+      text.textContent = `${item.court}${item.division ? ' ' + item.division : ''}　FAX ${item.fax}` +
+        (item.check.status === 'mismatch' ? `（名簿: ${stored.fax}）` : '（名簿に番号なし）');
+      const sources = document.createElement('div');
+      sources.className = 'review-sources';
+      sources.textContent = `${item.count}回` + (item.sources.length ? `・${item.sources.join('、')}` : '');
+      text.appendChild(sources);
+      li.appendChild(text);
+
+      const addButton = (label, className, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn ' + className;
+        btn.textContent = label;
+        btn.addEventListener('click', () => {
+          onClick();
+          renderReview();
+          renderList();
+          onChange();
+        });
+        li.appendChild(btn);
+      };
+      if (item.division) {
+        addButton(`${item.division}に登録`, 'btn-primary', () => acceptCourtFaxObservation(item, { toDivision: true }));
+        addButton('庁の番号として登録', 'btn-outline', () => acceptCourtFaxObservation(item, { toDivision: false }));
+      } else {
+        addButton('名簿に登録', 'btn-primary', () => acceptCourtFaxObservation(item));
+      }
+      addButton('無視', 'btn-ghost', () => dismissCourtFaxObservation(item));
+      reviewList.appendChild(li);
+    });
+  }
+
+  function renderList() {
+    const query = search.value.trim();
+    const courts = getCourtDirectory().filter(c => !query ||
+      c.name.includes(query) || c.fax.includes(query) || (c.parent || '').includes(query));
+    list.innerHTML = '';
+    courts.slice(0, MAX_LIST_ITEMS).forEach(c => {
+      const li = document.createElement('li');
+      li.className = c.name === editingName ? 'selected' : '';
+      const name = document.createElement('span');
+      name.textContent = c.name;
+      if (ORIGIN_LABELS[c.origin]) {
+        const badge = document.createElement('span');
+        badge.className = 'court-origin';
+        badge.textContent = ORIGIN_LABELS[c.origin];
+        name.appendChild(badge);
+      }
+      const fax = document.createElement('span');
+      fax.className = 'court-fax';
+      fax.textContent = c.fax || (c.divisions.some(d => d.fax) ? '部・係のみ' : '未登録');
+      li.append(name, fax);
+      li.addEventListener('click', () => edit(c.name));
+      list.appendChild(li);
+    });
+    count.textContent = courts.length > MAX_LIST_ITEMS
+      ? `${courts.length}件中${MAX_LIST_ITEMS}件を表示（検索で絞り込めます）`
+      : `${courts.length}件`;
+  }
+
+  function edit(name) {
+    const court = name ? findCourt(name) : null;
+    editingName = court ? court.name : '';
+    form.name.value = court ? court.name : '';
+    form.parent.value = court ? court.parent || '' : '';
+    form.fax.value = court ? court.fax : '';
+    form.phone.value = court ? court.phone : '';
+    form.divisions.value = court
+      ? court.divisions.map(d => [d.name, d.fax, d.phone].join(',')).join('\n')
+      : '';
+    btnDelete.hidden = !court;
+    btnRestore.hidden = !court || court.origin !== 'modified';
+    renderList();
+    renderReview();
+  }
+
+  function open(name) {
+    search.value = '';
+    edit(name || '');
+    modal.classList.add('visible');
+  }
+
+  $('#courtEditSave').addEventListener('click', () => {
+    const name = form.name.value.trim();
+    if (!name) { showError('裁判所名を入力してください'); return; }
+    const divisions = parseCsv(form.divisions.value)
+      .map(([division, fax, phone]) => ({ name: division, fax, phone }));
+    try {
+      saveCourt({
+        name,
+        parent: form.parent.value.trim() || null,
+        fax: form.fax.value,
+        phone: form.phone.value,
+        divisions,
+      }, editingName);
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+    edit(name);
+    onChange();
+  });
+
+  $('#courtEditNew').addEventListener('click', () => edit(''));
+
+  btnDelete.addEventListener('click', () => {
+    if (!editingName || !confirm(`「${editingName}」を名簿から削除しますか？`)) return;
+    deleteCourt(editingName);
+    edit('');
+    onChange();
+  });
+
+  btnRestore.addEventListener('click', () => {
+    if (!editingName) return;
+    restoreCourt(editingName);
+    edit(editingName);
+    onChange();
+  });
+
+  search.addEventListener('input', renderList);
+  $('#courtDirectoryClose').addEventListener('click', () => modal.classList.remove('visible'));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.remove('visible');
+  });
+
+  const btnOpen = $('#courtDirectoryOpen');
+  if (btnOpen) btnOpen.addEventListener('click', () => open());
+  // 設定を開いたときに確認待ちの件数を更新する
+  const settingsBtn = $('#settingsBtn');
+  if (settingsBtn) settingsBtn.addEventListener('click', renderReview);
+
+  // --- 取り込み・書き出し ---
+  const importInput = $('#courtDirectoryImport');
+  if (importInput) {
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      if (!file) return;
+      try {
+        const format = /\.json$/i.test(file.name) ? 'json' : /\.csv$/i.test(file.name) ? 'csv' : undefined;
+        const result = importCourtDirectory(await file.text(), format);
+        let msg = `裁判所名簿に取り込みました（裁判所 ${result.courts}件・部/係 ${result.divisions}件` +
+          (result.deleted ? `・削除 ${result.deleted}件` : '') + '）';
+        if (result.errors.length) {
+          msg += '\n\n取り込めなかった行:\n' +
+            result.errors.slice(0, 10).map(e => `  ${e.line}行目: ${e.message}`).join('\n');
+        }
+        alert(msg);
+        renderReview();
+        onChange();
+      } catch (err) {
+        showError('裁判所名簿の取り込みに失敗しました: ' + err.message);
+      }
+      importInput.value = '';
+    });
+  }
+
+  const btnCsv = $('#courtDirectoryExportCsv');
+  if (btnCsv) {
+    btnCsv.addEventListener('click', () => {
+      downloadText(exportCourtDirectory('csv'), '裁判所名簿.csv', 'text/csv');
+    });
+  }
+  const btnJson = $('#courtDirectoryExportJson');
+  if (btnJson) {
+    btnJson.addEventListener('click', () => {
+      downloadText(exportCourtDirectory('json'), '裁判所名簿.json', 'application/json');
+    });
+  }
+
+  return { open };
+}
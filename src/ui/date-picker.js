@@ -0,0 +1,69 @@
+/**
+ * 日付の入力欄（和暦の文字入力とカレンダー、和暦・西暦の両方の表示）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import { parseDate, formatWareki, formatSeireki } from '../index.js';
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 日付の文字入力欄にカレンダーを付け、読んだ日付を和暦と西暦で下に表示する。
+ * カレンダーで選ぶと「令和7年3月6日」の形で入力欄に書き、input イベントを起こす。
+ *
+ * @param {HTMLInputElement} input 日付の文字入力欄（R7.3.6・令和７年３月６日・2025/3/6 なども可）
+ * @param {Object} [options]
+ * @param {string} [options.emptyHint] 空欄のときの表示
+ * @returns {{refresh: function(): void}} refresh はプログラムで値を変えたときに呼ぶ
+ */
+export function attachDatePicker(input, { emptyHint = '' } = {}) {
+  const wrap = document.createElement('div');
+  wrap.className = 'date-picker';
+  input.parentNode.insertBefore(wrap, input);
+  wrap.appendChild(input);
+  const calendar = document.createElement('input');
+  calendar.type = 'date';
+  calendar.title = 'カレンダーから選ぶ';
+  calendar.setAttribute('aria-label', (input.labels && input.labels[0] ? input.labels[0].textContent : '日付') + '（カレンダー）');
+  wrap.appendChild(calendar);
+  const hint = document.createElement('div');
+  hint.className = 'field-hint';
+  wrap.insertAdjacentElement('afterend', hint);
+
+  function refresh() {
+    let date = null;
+    let error = '';
+    try {
+      date = parseDate(input.value);
+    } catch (err) {
+      error = err.message;
+    }
+    hint.classList.toggle('warning', !!error || (!date && !!input.value.trim()));
+    if (date) {
+      hint.textContent = `${formatWareki(date)}（${formatSeireki(date)}）`;
+      calendar.value = date.day ? `${date.year}-${pad(date.month)}-${pad(date.day)}` : '';
+    } else {
+      hint.textContent = error || (input.value.trim() ? '日付として読めないため、入力のまま書きます' : emptyHint);
+      calendar.value = '';
+    }
+  }
+
+  calendar.addEventListener('change', () => {
+    const m = calendar.value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return;
+    try {
+      input.value = formatWareki({ year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) });
+    } catch (err) {
+      hint.textContent = err.message;
+      return;
+    }
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+  input.addEventListener('input', refresh);
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,164 @@
+/**
+ * 弁護士の画面（事務所設定の弁護士の登録・編集・既定・削除）と、署名する弁護士の選択肢
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import {
+  SIGNER_TITLES, listLawyers, getDefaultLawyer, saveLawyer, deleteLawyer, setDefaultLawyer, sealsForSigner,
+} from '../index.js';
+
+/**
+ * 署名する弁護士の選択肢を作り直す（既定の弁護士に「既定」と付ける）。
+ * 弁護士が居なければ選択肢は空。
+ *
+ * @param {HTMLSelectElement} select
+ * @param {string} [selectedId] 選ぶ弁護士（無い・見つからなければ既定の弁護士）
+ * @returns {Object|null} 選んだ弁護士
+ */
+export function fillLawyerSelect(select, selectedId) {
+  const lawyers = listLawyers();
+  const def = getDefaultLawyer();
+  select.innerHTML = '';
+  lawyers.forEach(lawyer => {
+    const label = lawyer.name + (def && lawyer.id === def.id ? '（既定）' : '');
+    select.appendChild(new Option(label, lawyer.id));
+  });
+  const selected = lawyers.find(l => l.id === selectedId) || def;
+  if (selected) select.value = selected.id;
+  return selected || null;
+}
+
+// 弁護士の欄（氏名・略称・肩書き・直通FAX）。変えたらすぐ保存する
+function lawyerField(label, value, onChange, listId) {
+  const wrap = document.createElement('label');
+  wrap.textContent = label + ' ';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  if (listId) input.setAttribute('list', listId);
+  input.addEventListener('change', () => onChange(input.value));
+  wrap.appendChild(input);
+  return wrap;
+}
+
+function sealSelect(lawyer, onChange) {
+  const wrap = document.createElement('label');
+  wrap.textContent = '印影 ';
+  const select = document.createElement('select');
+  select.appendChild(new Option('自動（認印）', ''));
+  sealsForSigner(lawyer.name).forEach(seal => {
+    select.appendChild(new Option((seal.owner || '全員共通') + '・' + seal.kind, seal.id));
+  });
+  // 選んでいた印影を削除していれば自動に戻す
+  select.value = [...select.options].some(o => o.value === lawyer.sealId) ? lawyer.sealId : '';
+  select.addEventListener('change', () => onChange(select.value));
+  wrap.appendChild(select);
+  return wrap;
+}
+
+/**
+ * 弁護士の画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @param {function(): void} [options.onChange] 登録・変更・削除したとき（受領書・送付書の弁護士の選択肢を更新する）
+ * @returns {{refresh: function(): void}|undefined} 画面が無い場合は undefined
+ */
+export function setupLawyers({ showError, onChange }) {
+  const list = document.querySelector('#lawyerList');
+  if (!list) return;
+  const empty = document.querySelector('#lawyerEmpty');
+  const titleOptions = document.querySelector('#lawyerTitleOptions');
+  const nameInput = document.querySelector('#lawyerName');
+  const shortNameInput = document.querySelector('#lawyerShortName');
+  const titleInput = document.querySelector('#lawyerTitle');
+  const faxInput = document.querySelector('#lawyerFax');
+  const addButton = document.querySelector('#lawyerAdd');
+
+  if (titleOptions) {
+    titleOptions.innerHTML = '';
+    SIGNER_TITLES.forEach(title => titleOptions.appendChild(new Option(title, title)));
+  }
+
+  function changed() {
+    if (onChange) onChange();
+  }
+
+  function save(lawyer, changes) {
+    try {
+      saveLawyer(Object.assign({}, lawyer, changes));
+      changed();
+    } catch (err) {
+      showError(err.message);
+    }
+    refresh();
+  }
+
+  function refresh() {
+    const lawyers = listLawyers();
+    const def = getDefaultLawyer();
+    list.innerHTML = '';
+    if (empty) empty.hidden = lawyers.length > 0;
+    lawyers.forEach(lawyer => {
+      const isDefault = def && def.id === lawyer.id;
+      const li = document.createElement('li');
+      const text = document.createElement('div');
+      text.className = 'template-text';
+      text.textContent = lawyer.name + (isDefault ? '（既定）' : '');
+      const fields = document.createElement('div');
+      fields.className = 'lawyer-fields';
+      fields.appendChild(lawyerField('氏名', lawyer.name, v => save(lawyer, { name: v })));
+      fields.appendChild(lawyerField('略称', lawyer.shortName, v => save(lawyer, { shortName: v })));
+      fields.appendChild(lawyerField('肩書', lawyer.title, v => save(lawyer, { title: v }), 'lawyerTitleOptions'));
+      fields.appendChild(lawyerField('直通FAX', lawyer.fax, v => save(lawyer, { fax: v })));
+      fields.appendChild(sealSelect(lawyer, v => save(lawyer, { sealId: v })));
+      text.appendChild(fields);
+      li.appendChild(text);
+
+      if (!isDefault) {
+        const defBtn = document.createElement('button');
+        defBtn.className = 'btn btn-ghost';
+        defBtn.textContent = '既定にする';
+        defBtn.addEventListener('click', () => {
+          setDefaultLawyer(lawyer.id);
+          changed();
+          refresh();
+        });
+        li.appendChild(defBtn);
+      }
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-ghost';
+      btn.textContent = '削除';
+      btn.addEventListener('click', () => {
+        if (!confirm(`弁護士（${lawyer.name}）を削除しますか？（印影は残ります）`)) return;
+        deleteLawyer(lawyer.id);
+        changed();
+        refresh();
+      });
+      li.appendChild(btn);
+      list.appendChild(li);
+    });
+  }
+
+  if (addButton) {
+    addButton.addEventListener('click', () => {
+      try {
+        saveLawyer({
+          name: nameInput ? nameInput.value : '',
+          shortName: shortNameInput ? shortNameInput.value : '',
+          title: titleInput ? titleInput.value : '',
+          fax: faxInput ? faxInput.value : '',
+        });
+        [nameInput, shortNameInput, titleInput, faxInput].forEach(input => { if (input) input.value = ''; });
+        changed();
+      } catch (err) {
+        showError(err.message);
+      }
+      refresh();
+    });
+  }
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,75 @@
+/**
+ * 受領書の書式の画面（事務所設定の保存した書式の一覧・削除）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import { listReceiptProfiles, deleteReceiptProfile } from '../index.js';
+
+function formatFax(digits) {
+  // 市外局番の桁は分からないので、下4桁だけ区切る
+  return digits.length > 4 ? digits.slice(0, -4) + '-' + digits.slice(-4) : digits;
+}
+
+function describeProfile(profile) {
+  const notes = [];
+  if (profile.useCount) notes.push(`${profile.useCount}回使用`);
+  notes.push('更新 ' + profile.updatedAt.slice(0, 10));
+  if (!profile.placements.strike) notes.push('「行」の打消しなし');
+  return notes.join('・');
+}
+
+/**
+ * 受領書の書式の画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @returns {{refresh: function(): Promise<void>}|undefined} 画面が無い場合は undefined
+ */
+export function setupReceiptProfiles({ showError }) {
+  const list = document.querySelector('#receiptProfileList');
+  if (!list) return;
+  const empty = document.querySelector('#receiptProfileEmpty');
+
+  async function refresh() {
+    let profiles;
+    try {
+      profiles = await listReceiptProfiles();
+    } catch (err) {
+      showError('受領書の書式を読み込めません: ' + err.message);
+      return;
+    }
+    list.innerHTML = '';
+    if (empty) empty.hidden = profiles.length > 0;
+    profiles.forEach(profile => {
+      const li = document.createElement('li');
+      const text = document.createElement('div');
+      text.className = 'template-text';
+      text.textContent = profile.faxNumbers.length
+        ? 'FAX ' + profile.faxNumbers.map(formatFax).join('・')
+        : 'FAX番号なし（ページの配置で照合）';
+      const report = document.createElement('div');
+      report.className = 'template-report';
+      report.textContent = describeProfile(profile);
+      text.appendChild(report);
+      li.appendChild(text);
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-ghost';
+      btn.textContent = '削除';
+      btn.addEventListener('click', async () => {
+        if (!confirm(`受領書の書式（${text.firstChild.textContent}）を削除しますか？`)) return;
+        try {
+          await deleteReceiptProfile(profile.id);
+        } catch (err) {
+          showError(err.message);
+        }
+        refresh();
+      });
+      li.appendChild(btn);
+      list.appendChild(li);
+    });
+  }
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,122 @@
+/**
+ * 印影の画面（事務所設定の印影の登録・大きさ・位置・濃さ・削除）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import { listSeals, addSeal, updateSeal, deleteSeal, importSealImage } from '../index.js';
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('画像を読み込めません'));
+    reader.readAsDataURL(file);
+  });
+}
+
+// 印影の数値の欄（大きさ・ずれ・濃さ）。変えたらすぐ保存する
+function sealField(label, value, unit, onChange) {
+  const wrap = document.createElement('label');
+  wrap.textContent = label + ' ';
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.value = value;
+  input.addEventListener('change', () => onChange(input.value));
+  wrap.appendChild(input);
+  if (unit) wrap.appendChild(document.createTextNode(' ' + unit));
+  return wrap;
+}
+
+/**
+ * 印影の画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @param {function(): void} [options.onChange] 登録・変更・削除したとき（受領書の印影の選択肢を更新する）
+ * @returns {{refresh: function(): void}|undefined} 画面が無い場合は undefined
+ */
+export function setupSeals({ showError, onChange }) {
+  const list = document.querySelector('#sealList');
+  if (!list) return;
+  const empty = document.querySelector('#sealEmpty');
+  const input = document.querySelector('#sealInput');
+  const ownerInput = document.querySelector('#sealOwner');
+  const kindSelect = document.querySelector('#sealKind');
+  const extractCheck = document.querySelector('#sealExtract');
+
+  function changed() {
+    if (onChange) onChange();
+  }
+
+  function save(id, changes) {
+    try {
+      updateSeal(id, changes);
+      changed();
+    } catch (err) {
+      showError(err.message);
+    }
+    refresh();
+  }
+
+  function refresh() {
+    const seals = listSeals();
+    list.innerHTML = '';
+    if (empty) empty.hidden = seals.length > 0;
+    seals.forEach(seal => {
+      const li = document.createElement('li');
+      const img = document.createElement('img');
+      img.src = seal.dataUrl;
+      img.alt = '';
+      li.appendChild(img);
+
+      const text = document.createElement('div');
+      text.className = 'template-text';
+      text.textContent = `${seal.owner || '全員共通'}・${seal.kind}`;
+      const fields = document.createElement('div');
+      fields.className = 'seal-fields';
+      fields.appendChild(sealField('大きさ', seal.size, 'pt', v => save(seal.id, { size: v })));
+      fields.appendChild(sealField('横', seal.offsetX, 'pt', v => save(seal.id, { offsetX: v })));
+      fields.appendChild(sealField('縦', seal.offsetY, 'pt', v => save(seal.id, { offsetY: v })));
+      fields.appendChild(sealField('濃さ', Math.round(seal.opacity * 100), '%', v => save(seal.id, { opacity: v / 100 })));
+      text.appendChild(fields);
+      li.appendChild(text);
+
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-ghost';
+      btn.textContent = '削除';
+      btn.addEventListener('click', () => {
+        if (!confirm(`印影（${text.firstChild.textContent}）を削除しますか？`)) return;
+        deleteSeal(seal.id);
+        changed();
+        refresh();
+      });
+      li.appendChild(btn);
+      list.appendChild(li);
+    });
+  }
+
+  if (input) {
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      try {
+        const image = await importSealImage(await readAsDataUrl(file), {
+          extract: !extractCheck || extractCheck.checked,
+        });
+        addSeal(Object.assign(image, {
+          owner: ownerInput ? ownerInput.value : '',
+          kind: kindSelect ? kindSelect.value : undefined,
+        }));
+        changed();
+      } catch (err) {
+        showError('印影を登録できません: ' + err.message);
+      }
+      input.value = '';
+      refresh();
+    });
+  }
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,140 @@
+/**
+ * 設定・印影の暗号化の画面（事務所設定の暗号化・合言葉の変更・解除と、起動時・ロック後の解錠）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import {
+  isSecureStoreEnabled, isSecureStoreUnlocked, getAutoLockMinutes, setAutoLockMinutes,
+  enableSecureStore, unlockSecureStore, lockSecureStore, changeSecureStorePassphrase,
+  disableSecureStore, resetSecureStore,
+} from '../index.js';
+
+/**
+ * 暗号化の画面と解錠の画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @param {function(): void} [options.onUnlock] 解錠・暗号化の解除をしたとき（設定・印影を読み直す）
+ * @returns {{refresh: function(): void, showUnlock: function(string=): void}}
+ */
+export function setupSecureStore({ showError, onUnlock }) {
+  const $ = (sel) => document.querySelector(sel);
+  const status = $('#secureStoreStatus');
+  const current = $('#secureStoreCurrent');
+  const passphrase = $('#secureStorePassphrase');
+  const confirmInput = $('#secureStorePassphraseConfirm');
+  const btnApply = $('#secureStoreApply');
+  const manage = $('#secureStoreManage');
+  const autoLock = $('#secureStoreAutoLock');
+  const modal = $('#unlockModal');
+  const unlockInput = $('#unlockPassphrase');
+  const unlockMessage = $('#unlockMessage');
+  const btnUnlock = $('#unlockSubmit');
+
+  function unlocked() {
+    if (onUnlock) onUnlock();
+    refresh();
+  }
+
+  function refresh() {
+    if (!status) return;
+    const enabled = isSecureStoreEnabled();
+    status.textContent = !enabled
+      ? '暗号化していません（事務所設定と印影はこのブラウザに平文で保存されています）'
+      : isSecureStoreUnlocked() ? '暗号化しています（解錠中）' : '暗号化しています（ロック中）';
+    if (current) current.hidden = !enabled;
+    if (btnApply) btnApply.textContent = enabled ? '合言葉を変更' : '暗号化する';
+    if (manage) manage.hidden = !enabled;
+    if (autoLock) autoLock.value = getAutoLockMinutes();
+    [current, passphrase, confirmInput].forEach(input => { if (input) input.value = ''; });
+  }
+
+  function readNewPassphrase() {
+    if (passphrase.value !== confirmInput.value) throw new Error('確認の合言葉が一致しません');
+    return passphrase.value;
+  }
+
+  // 解錠の画面（起動時・ロックしたとき・ロック中に生成しようとしたとき）
+  function showUnlock(message) {
+    if (!modal || !isSecureStoreEnabled() || isSecureStoreUnlocked()) return;
+    if (unlockMessage) unlockMessage.textContent = message || '事務所設定と印影は暗号化されています。合言葉を入力してください';
+    unlockInput.value = '';
+    modal.classList.add('visible');
+    unlockInput.focus();
+  }
+
+  async function submitUnlock() {
+    btnUnlock.disabled = true;
+    try {
+      await unlockSecureStore(unlockInput.value);
+      modal.classList.remove('visible');
+      unlocked();
+    } catch (err) {
+      if (unlockMessage) unlockMessage.textContent = err.message;
+    } finally {
+      btnUnlock.disabled = false;
+      unlockInput.value = '';
+    }
+  }
+
+  if (modal) {
+    btnUnlock.addEventListener('click', submitUnlock);
+    unlockInput.addEventListener('keydown', e => { if (e.key === 'Enter') submitUnlock(); });
+    $('#unlockSkip').addEventListener('click', () => modal.classList.remove('visible'));
+  }
+
+  if (btnApply) {
+    btnApply.addEventListener('click', async () => {
+      btnApply.disabled = true;
+      try {
+        if (isSecureStoreEnabled()) {
+          await changeSecureStorePassphrase(current.value, readNewPassphrase());
+        } else {
+          const minutes = autoLock && autoLock.value !== '' ? Math.max(0, Number(autoLock.value) || 0) : undefined;
+          await enableSecureStore(readNewPassphrase(), { autoLockMinutes: minutes });
+        }
+        unlocked();
+      } catch (err) {
+        showError(err.message);
+      } finally {
+        btnApply.disabled = false;
+      }
+    });
+  }
+
+  // 暗号化する前は、暗号化するときに使う
+  if (autoLock) {
+    autoLock.addEventListener('change', () => {
+      if (isSecureStoreEnabled()) setAutoLockMinutes(autoLock.value);
+    });
+  }
+
+  if (manage) {
+    $('#secureStoreLock').addEventListener('click', () => {
+      lockSecureStore();
+      refresh();
+    });
+    $('#secureStoreDisable').addEventListener('click', async () => {
+      if (!confirm('暗号化をやめて、事務所設定と印影をこのブラウザに平文で保存しますか？')) return;
+      try {
+        await disableSecureStore(current.value);
+        unlocked();
+      } catch (err) {
+        showError(err.message);
+      }
+    });
+    $('#secureStoreReset').addEventListener('click', async () => {
+      if (!confirm('暗号化した事務所設定と印影を削除します。元に戻せません。よろしいですか？')) return;
+      try {
+        await resetSecureStore();
+        unlocked();
+      } catch (err) {
+        showError(err.message);
+      }
+    });
+  }
+
+  refresh();
+  return { refresh, showUnlock };
+}
@@ -0,0 +1,109 @@
+/**
+ * 設定の書き出し・読み込みの画面（署名付きの ZIP）と、アプリ版の事務所共通の設定ファイルの選択
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import { exportSettingsBundle, importSettingsBundle, applyOfficeConfig } from '../index.js';
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function today() {
+  const d = new Date();
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map(n => String(n).padStart(2, '0')).join('');
+}
+
+/**
+ * 設定の書き出し・読み込みの画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @param {function(): void} [options.onChange] 設定を読み込んだとき・事務所共通の設定を変えたとき（画面の設定を読み直す）
+ * @returns {{refresh: function(): void}}
+ */
+export function setupSettingsBundle({ showError, onChange = () => {} }) {
+  const $ = (sel) => document.querySelector(sel);
+  const passphrase = $('#settingsBundlePassphrase');
+  const btnExport = $('#settingsBundleExport');
+  const importInput = $('#settingsBundleImport');
+  const officeGroup = $('#officeConfigGroup');
+  const officePath = $('#officeConfigPath');
+  const btnChoose = $('#officeConfigChoose');
+  const btnClear = $('#officeConfigClear');
+  const electronAPI = window.electronAPI && window.electronAPI.readOfficeConfig ? window.electronAPI : null;
+
+  if (btnExport) {
+    btnExport.addEventListener('click', async () => {
+      btnExport.disabled = true;
+      try {
+        downloadBlob(await exportSettingsBundle(passphrase.value), `つくる君設定_${today()}.zip`);
+      } catch (err) {
+        showError('設定を書き出せませんでした: ' + err.message);
+      } finally {
+        btnExport.disabled = false;
+      }
+    });
+  }
+
+  if (importInput) {
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      if (!file) return;
+      try {
+        const result = await importSettingsBundle(await file.arrayBuffer(), passphrase.value);
+        alert(`設定を読み込みました（弁護士 ${result.lawyers}人・裁判所 ${result.courts}件・印影 ${result.seals}件・テンプレート ${result.templates}件）`);
+        onChange();
+      } catch (err) {
+        showError('設定を読み込めませんでした: ' + err.message);
+      }
+      importInput.value = '';
+    });
+  }
+
+  // --- 事務所共通の設定ファイル（アプリ版のみ）---
+  function showOffice(result) {
+    if (!officePath) return;
+    officePath.textContent = !result ? '使っていません'
+      : result.error ? `${result.path}（読み込めません: ${result.error}）`
+      : result.path + (result.fromEnv ? '（環境変数 TSUKURUKUN_OFFICE_CONFIG で指定）' : '');
+    if (btnClear) btnClear.hidden = !result || !!result.fromEnv;
+    if (btnChoose) btnChoose.hidden = !!(result && result.fromEnv);
+  }
+
+  function applyOffice(result) {
+    try {
+      applyOfficeConfig(result && result.text ? result.text : null);
+    } catch (err) {
+      showError(err.message);
+    }
+    showOffice(result);
+    onChange();
+  }
+
+  async function refresh() {
+    if (!electronAPI) return;
+    try {
+      showOffice(await electronAPI.readOfficeConfig());
+    } catch (err) {
+      showError(err.message);
+    }
+  }
+
+  if (officeGroup) officeGroup.hidden = !electronAPI;
+  if (electronAPI) {
+    if (btnChoose) btnChoose.addEventListener('click', async () => applyOffice(await electronAPI.chooseOfficeConfig()));
+    if (btnClear) btnClear.addEventListener('click', async () => applyOffice(await electronAPI.clearOfficeConfig()));
+  }
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,125 @@
+/**
+ * 送付書テンプレートの画面（事務所設定のテンプレート一覧・追加・削除と、確認画面のテンプレート選択）
+ *
+ * 処理本体には公開API（../index.js）経由でのみアクセスする。
+ */
+
+import {
+  TEMPLATE_PLACEHOLDERS, listSofushoTemplates, addSofushoTemplate, deleteSofushoTemplate,
+  getDefaultSofushoTemplateId, setDefaultSofushoTemplate,
+} from '../index.js';
+
+// 検査結果の説明（知らない項目・足りない項目）
+function describeReport(template) {
+  const notes = [];
+  if (template.unknown.length) notes.push('知らない項目（置き換えません）: ' + template.unknown.join(', '));
+  if (template.missing.length) {
+    notes.push('テンプレートに無い項目: ' + template.missing.map(name => TEMPLATE_PLACEHOLDERS[name]).join('、'));
+  }
+  return notes.join(' / ');
+}
+
+/**
+ * 送付書テンプレートの画面を初期化する。
+ *
+ * @param {Object} options
+ * @param {function(string): void} options.showError エラー表示
+ * @returns {{refresh: function(): Promise<void>}|undefined} 画面が無い場合は undefined
+ */
+export function setupSofushoTemplates({ showError }) {
+  const $ = (sel) => document.querySelector(sel);
+  const list = $('#sofushoTemplateList');
+  if (!list) return;
+
+  const upload = $('#sofushoTemplateUpload');
+  const row = $('#sofushoTemplateRow');
+  const select = $('#sofushoTemplateSelect');
+  const help = $('#sofushoTemplateHelp');
+  if (help) {
+    help.textContent += '。使える項目: ' +
+      Object.entries(TEMPLATE_PLACEHOLDERS).map(([name, label]) => `{{${name}}} ${label}`).join('、');
+  }
+
+  async function refresh() {
+    let templates;
+    try {
+      templates = await listSofushoTemplates();
+    } catch (err) {
+      showError('送付書テンプレートを読み込めません: ' + err.message);
+      return;
+    }
+    const defaultId = templates.some(t => t.id === getDefaultSofushoTemplateId())
+      ? getDefaultSofushoTemplateId() : templates[0].id;
+
+    list.innerHTML = '';
+    templates.forEach(t => {
+      const li = document.createElement('li');
+      const text = document.createElement('div');
+      text.className = 'template-text';
+      text.textContent = t.name + (t.id === defaultId ? '（使用中）' : '');
+      const report = document.createElement('div');
+      const note = describeReport(t);
+      report.className = 'template-report' + (note ? ' warning' : '');
+      report.textContent = t.builtin ? '同梱の様式' : note || `${t.fileName}・差し込み項目 ${t.placeholders.length}件`;
+      text.appendChild(report);
+      li.appendChild(text);
+      if (!t.builtin) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-ghost';
+        btn.textContent = '削除';
+        btn.addEventListener('click', async () => {
+          if (!confirm(`テンプレート「${t.name}」を削除しますか？`)) return;
+          try {
+            await deleteSofushoTemplate(t.id);
+          } catch (err) {
+            showError(err.message);
+          }
+          refresh();
+        });
+        li.appendChild(btn);
+      }
+      list.appendChild(li);
+    });
+
+    if (select) {
+      select.innerHTML = '';
+      templates.forEach(t => {
+        const option = document.createElement('option');
+        option.value = t.id;
+        option.textContent = t.name;
+        select.appendChild(option);
+      });
+      select.value = defaultId;
+      row.hidden = templates.length < 2;
+    }
+  }
+
+  if (select) {
+    select.addEventListener('change', () => {
+      setDefaultSofushoTemplate(select.value);
+      refresh();
+    });
+  }
+
+  if (upload) {
+    upload.addEventListener('change', async () => {
+      const file = upload.files[0];
+      if (!file) return;
+      try {
+        const template = await addSofushoTemplate(await file.arrayBuffer(), file.name);
+        const note = describeReport(template);
+        if (confirm(`テンプレート「${template.name}」を追加しました（差し込み項目 ${template.placeholders.length}件）。` +
+          (note ? `\n\n${note}` : '') + '\n\n送付書の作成にこのテンプレートを使いますか？')) {
+          setDefaultSofushoTemplate(template.id);
+        }
+      } catch (err) {
+        showError('テンプレートを追加できません: ' + err.message);
+      }
+      upload.value = '';
+      refresh();
+    });
+  }
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,68 @@
+/**
+ * 同梱ライブラリ（vendor/）- ブラウザ版・アプリ版が CDN を使わずに読み込むファイルの一覧と起動時の確認
+ *
+ * 一覧の from（node_modules からの場所）を scripts/vendor.mjs が各配布フォルダの vendor/ にコピーする。
+ * dir: true はフォルダごと（確認は probe のファイルだけ）。
+ */
+
+import { runtime } from './runtime.js';
+
+/**
+ * @type {{path: string, from: string, global?: string, dir?: boolean, probe?: string, label: string}[]}
+ *   path は配布フォルダからの場所、global はそのスクリプトが作るグローバル変数
+ */
+export const VENDOR_ASSETS = [
+  { path: 'vendor/pdfjs/pdf.min.js', from: 'pdfjs-dist/build/pdf.min.js', global: 'pdfjsLib', label: 'pdf.js' },
+  { path: 'vendor/pdfjs/pdf.worker.min.js', from: 'pdfjs-dist/build/pdf.worker.min.js', label: 'pdf.js ワーカー' },
+  {
+    path: 'vendor/pdfjs/cmaps/', from: 'pdfjs-dist/cmaps/', dir: true, probe: 'UniJIS-UCS2-H.bcmap',
+    label: 'pdf.js 文字コード表（cMap）',
+  },
+  { path: 'vendor/tesseract/tesseract.min.js', from: 'tesseract.js/dist/tesseract.min.js', global: 'Tesseract', label: 'Tesseract.js' },
+  { path: 'vendor/tesseract/worker.min.js', from: 'tesseract.js/dist/worker.min.js', label: 'Tesseract.js ワーカー' },
+  // LSTM のみ（createWorker の oem 1）で使うコア。SIMD の有無でどちらかを読み込む
+  {
+    path: 'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+    from: 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js', label: 'Tesseract.js コア（SIMD）',
+  },
+  {
+    path: 'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+    from: 'tesseract.js-core/tesseract-core-lstm.wasm.js', label: 'Tesseract.js コア',
+  },
+  {
+    path: 'vendor/tessdata/jpn.traineddata.gz',
+    from: '@tesseract.js-data/jpn/4.0.0_best_int/jpn.traineddata.gz', label: '日本語言語データ（横書き）',
+  },
+  {
+    path: 'vendor/tessdata/jpn_vert.traineddata.gz',
+    from: '@tesseract.js-data/jpn_vert/4.0.0_best_int/jpn_vert.traineddata.gz', label: '日本語言語データ（縦書き）',
+  },
+  { path: 'vendor/pdf-lib/pdf-lib.min.js', from: 'pdf-lib/dist/pdf-lib.min.js', global: 'PDFLib', label: 'pdf-lib' },
+  { path: 'vendor/fontkit/fontkit.umd.min.js', from: '@pdf-lib/fontkit/dist/fontkit.umd.min.js', global: 'fontkit', label: 'fontkit' },
+  { path: 'vendor/jszip/jszip.min.js', from: 'jszip/dist/jszip.min.js', global: 'JSZip', label: 'JSZip' },
+];
+
+/**
+ * 同梱ライブラリがそろっているか確認する（起動時）。
+ * スクリプトは読み込まれたか（グローバル変数があるか）、それ以外は runtime.fetch で取得できるかを見る。
+ *
+ * @param {Object} [globals] スクリプトのグローバル変数を探す先（ブラウザは window）
+ * @returns {Promise<{path: string, label: string, reason: string}[]>} 足りないもの（そろっていれば空）
+ */
+export async function checkVendorAssets(globals = globalThis) {
+  const results = await Promise.all(VENDOR_ASSETS.map(async asset => {
+    if (asset.global) {
+      return globals[asset.global] ? null : { path: asset.path, label: asset.label, reason: '読み込まれていません' };
+    }
+    const url = asset.dir ? asset.path + asset.probe : asset.path;
+    try {
+      // Service Worker のキャッシュにも当たるよう GET で取り、中身は読まない
+      const res = await runtime.fetch(url);
+      if (res.body && res.body.cancel) res.body.cancel().catch(() => {});
+      return res.ok ? null : { path: url, label: asset.label, reason: `HTTP ${res.status}` };
+    } catch (err) {
+      return { path: url, label: asset.label, reason: err.message };
+    }
+  }));
+  return results.filter(Boolean);
+}
@@ -0,0 +1,265 @@
+/**
+ * 和暦 - 西暦と和暦（明治・大正・昭和・平成・令和）の相互変換、日付の読み取りと書式
+ *
+ * 元号の境目は改元の日で判定する（平成31年4月30日の翌日が令和元年5月1日）。
+ * 読み取りは「令和元年5月1日」「令和７年３月６日」「令和七年三月六日」「R7.3.6」「2025/3/6」などを受け付け、
+ * 書式は算用数字（半角・全角）と漢数字（「二十六」「二六」）、「元年」の有無を選べる。
+ * 受領書・送付書・証拠説明書の日付と事件番号の年は、すべてここを通す。
+ */
+
+/** 元号（新しい順）。start は改元の日（この日から）、abbr は略号 */
+export const ERAS = [
+  { name: '令和', abbr: 'R', start: { year: 2019, month: 5, day: 1 } },
+  { name: '平成', abbr: 'H', start: { year: 1989, month: 1, day: 8 } },
+  { name: '昭和', abbr: 'S', start: { year: 1926, month: 12, day: 25 } },
+  { name: '大正', abbr: 'T', start: { year: 1912, month: 7, day: 30 } },
+  { name: '明治', abbr: 'M', start: { year: 1868, month: 10, day: 23 } },
+];
+
+/** 元号名の正規表現（文字列） */
+export const ERA_PATTERN = ERAS.map(e => e.name).join('|');
+
+const KANJI_DIGITS = '〇一二三四五六七八九';
+const KANJI_UNITS = { 十: 10, 百: 100, 千: 1000 };
+// 数（算用数字・全角・漢数字・元）
+const NUMBER = '[0-9０-９〇零一二三四五六七八九十百千]+';
+const WAREKI_PATTERN = new RegExp(
+  `^(${ERA_PATTERN}|[RHSTMrhstm]|[令平昭大明])\\s*(元|${NUMBER})\\s*(?:年|[./\\-．／・])\\s*(?:(${NUMBER})\\s*(?:月|[./\\-．／・])?\\s*(?:(${NUMBER})\\s*日?)?)?$`
+);
+const SEIREKI_PATTERN = new RegExp(
+  `^(\\d{4}|[０-９]{4})\\s*(?:年|[./\\-．／])\\s*(${NUMBER})\\s*(?:月|[./\\-．／])?\\s*(?:(${NUMBER})\\s*日?)?$`
+);
+
+function findEra(nameOrAbbr) {
+  const key = String(nameOrAbbr || '');
+  return ERAS.find(e => e.name === key || e.abbr === key.toUpperCase() || e.name[0] === key) || null;
+}
+
+function serial(date) {
+  return date.year * 10000 + date.month * 100 + (date.day || 1);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function toDateParts(date) {
+  if (date instanceof Date) return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  return { year: Number(date.year), month: Number(date.month) || 1, day: date.day === undefined ? undefined : Number(date.day) };
+}
+
+/**
+ * 全角数字を半角にする。
+ * @param {string} str
+ * @returns {string}
+ */
+export function toHalfWidthDigits(str) {
+  return String(str).replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+}
+
+/**
+ * 数の表記を数にする（算用数字・全角数字・漢数字「二十六」「二六」・「元」）。読めなければ NaN。
+ * @param {string} str
+ * @returns {number}
+ */
+export function parseJapaneseNumber(str) {
+  const s = toHalfWidthDigits(String(str || '').trim()).replace(/零/g, '〇');
+  if (s === '元') return 1;
+  if (/^\d+$/.test(s)) return Number(s);
+  if (!/^[〇一二三四五六七八九十百千]+$/.test(s)) return NaN;
+  // 「十」「百」「千」を含まなければ1字ずつの位取り（二〇二五・一二）
+  if (!/[十百千]/.test(s)) return Number([...s].map(c => KANJI_DIGITS.indexOf(c)).join(''));
+  let total = 0;
+  let digit = 0;
+  for (const c of s) {
+    if (KANJI_UNITS[c]) {
+      total += (digit || 1) * KANJI_UNITS[c];
+      digit = 0;
+    } else {
+      digit = KANJI_DIGITS.indexOf(c);
+    }
+  }
+  return total + digit;
+}
+
+/**
+ * 数を書式にそろえる。
+ *
+ * @param {number} n
+ * @param {'half'|'full'|'kanji'|'kanjiPositional'} [digits] 半角・全角・漢数字（二十六）・漢数字の位取り（二六）
+ * @returns {string}
+ */
+export function formatJapaneseNumber(n, digits = 'half') {
+  const s = String(n);
+  if (digits === 'full') return s.replace(/[0-9]/g, c => String.fromCharCode(c.charCodeAt(0) + 0xFEE0));
+  if (digits === 'kanjiPositional') return [...s].map(c => KANJI_DIGITS[c]).join('');
+  if (digits !== 'kanji') return s;
+  if (n === 0) return KANJI_DIGITS[0];
+  let out = '';
+  let rest = n;
+  for (const [unit, value] of [['千', 1000], ['百', 100], ['十', 10]]) {
+    const q = Math.floor(rest / value);
+    if (q > 0) out += (q > 1 ? KANJI_DIGITS[q] : '') + unit;
+    rest %= value;
+  }
+  return out + (rest > 0 ? KANJI_DIGITS[rest] : '');
+}
+
+/**
+ * 西暦の日付を和暦にする（明治より前は null）。
+ *
+ * @param {Date|{year: number, month: number, day?: number}} date
+ * @returns {{era: string, year: number, month: number, day?: number}|null}
+ */
+export function toWareki(date) {
+  const d = toDateParts(date);
+  const era = ERAS.find(e => serial(d) >= serial(e.start));
+  if (!era) return null;
+  return { era: era.name, year: d.year - era.start.year + 1, month: d.month, day: d.day };
+}
+
+/**
+ * 和暦の日付を西暦にする。その元号に無い日付（平成31年5月1日・昭和64年1月8日など）や、無い日（2月30日）はエラー。
+ *
+ * @param {string} era 元号名（略号 R・H・S・T・M も可）
+ * @param {number|string} year 元号の年（「元」も可）
+ * @param {number} [month] 省略時は年だけ確かめる
+ * @param {number} [day] 省略時は月まで確かめる
+ * @returns {{year: number, month?: number, day?: number}}
+ */
+export function fromWareki(era, year, month, day) {
+  const info = findEra(era);
+  if (!info) throw new Error(`元号が分かりません: ${era}`);
+  const y = typeof year === 'number' ? year : parseJapaneseNumber(year);
+  if (!(y >= 1)) throw new Error(`${info.name}の年が正しくありません: ${year}`);
+  const next = ERAS[ERAS.indexOf(info) - 1];
+  const result = { year: info.start.year + y - 1 };
+  if (month !== undefined) {
+    if (!(month >= 1 && month <= 12)) throw new Error(`月が正しくありません: ${month}`);
+    result.month = month;
+  }
+  if (day !== undefined) {
+    if (!(day >= 1 && day <= daysInMonth(result.year, month))) throw new Error(`${month}月${day}日はありません`);
+    result.day = day;
+  }
+  // 年・月だけなら、その年・月のどこかがこの元号に入っていればよい
+  const first = { year: result.year, month: result.month || 1, day: result.day || 1 };
+  const last = { year: result.year, month: result.month || 12, day: result.day || daysInMonth(result.year, result.month || 12) };
+  if (serial(last) < serial(info.start) || (next && serial(first) >= serial(next.start))) {
+    const end = next ? toWareki(previousDay(next.start)) : null;
+    throw new Error(`${info.name}は${formatEraDate(toWareki(info.start))}から${end ? formatEraDate(end) + 'まで' : ''}です`);
+  }
+  return result;
+}
+
+function previousDay(date) {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day - 1));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function formatEraDate(w) {
+  return `${w.era}${w.year === 1 ? '元' : w.year}年${w.month}月${w.day}日`;
+}
+
+/**
+ * 日付の文字列を読む（和暦・略号・西暦。月まででもよい）。
+ * 日付の形でなければ null、日付の形だがその元号・暦に無い日付ならエラー。
+ *
+ * @param {string} text 例: 「令和元年5月1日」「令和７年３月６日」「令和七年三月六日」「R7.3.6」「2025/3/6」「令和7年3月」
+ * @returns {{year: number, month: number, day?: number, era: string, eraYear: number}|null}
+ *   year・month・day は西暦、era・eraYear は和暦
+ */
+export function parseDate(text) {
+  const s = String(text || '').trim().replace(/\s+/g, ' ');
+  if (!s) return null;
+  let m = s.match(WAREKI_PATTERN);
+  if (m) {
+    const era = findEra(m[1]);
+    const eraYear = parseJapaneseNumber(m[2]);
+    const month = m[3] !== undefined ? parseJapaneseNumber(m[3]) : undefined;
+    const day = m[4] !== undefined ? parseJapaneseNumber(m[4]) : undefined;
+    if (month === undefined) return null;
+    const date = fromWareki(era.name, eraYear, month, day);
+    return Object.assign(date, { era: era.name, eraYear });
+  }
+  m = s.match(SEIREKI_PATTERN);
+  if (m) {
+    const year = Number(toHalfWidthDigits(m[1]));
+    const month = parseJapaneseNumber(m[2]);
+    const day = m[3] !== undefined ? parseJapaneseNumber(m[3]) : undefined;
+    if (!(month >= 1 && month <= 12)) throw new Error(`月が正しくありません: ${m[2]}`);
+    if (day !== undefined && !(day >= 1 && day <= daysInMonth(year, month))) throw new Error(`${month}月${day}日はありません`);
+    const wareki = toWareki({ year, month, day: day || daysInMonth(year, month) });
+    if (!wareki) throw new Error('明治より前の日付は扱えません');
+    return { year, month, day, era: wareki.era, eraYear: wareki.year };
+  }
+  return null;
+}
+
+/**
+ * 日付を和暦で書く。
+ *
+ * @param {Date|{year: number, month: number, day?: number}} date 西暦の日付（day が無ければ月まで）
+ * @param {Object} [options]
+ * @param {'half'|'full'|'kanji'|'kanjiPositional'} [options.digits] 数の書き方（既定は半角）
+ * @param {boolean} [options.gannen] 1年を「元年」と書く（既定 true）
+ * @param {'day'|'month'|'year'} [options.precision] どこまで書くか（既定 'day'）
+ * @param {boolean} [options.abbr] 略号で書く（R7.3.6）
+ * @returns {string}
+ */
+export function formatWareki(date, options = {}) {
+  const d = toDateParts(date);
+  const w = toWareki(Object.assign({}, d, { day: d.day || 1 }));
+  if (!w) throw new Error('明治より前の日付は和暦で書けません');
+  const precision = options.precision || (d.day === undefined ? 'month' : 'day');
+  if (options.abbr) {
+    const parts = [w.year, d.month, d.day].slice(0, precision === 'year' ? 1 : precision === 'month' ? 2 : 3);
+    return findEra(w.era).abbr + parts.join('.');
+  }
+  const num = n => formatJapaneseNumber(n, options.digits);
+  let out = w.era + (w.year === 1 && options.gannen !== false ? '元' : num(w.year)) + '年';
+  if (precision !== 'year') out += num(d.month) + '月';
+  if (precision === 'day') out += num(d.day) + '日';
+  return out;
+}
+
+/**
+ * 日付を西暦で書く（2025年3月6日）。
+ *
+ * @param {Date|{year: number, month: number, day?: number}} date
+ * @param {Object} [options]
+ * @param {'half'|'full'|'kanji'|'kanjiPositional'} [options.digits]
+ * @returns {string}
+ */
+export function formatSeireki(date, options = {}) {
+  const d = toDateParts(date);
+  const num = n => formatJapaneseNumber(n, options.digits);
+  // 漢数字の西暦の年は位取りで書く（二〇二五年）
+  const year = formatJapaneseNumber(d.year, options.digits === 'kanji' ? 'kanjiPositional' : options.digits);
+  return `${year}年${num(d.month)}月` + (d.day === undefined ? '' : `${num(d.day)}日`);
+}
+
+/**
+ * 日付の文字列を和暦の書式にそろえる（「R7.3.6」→「令和7年3月6日」）。日付として読めなければそのまま返す。
+ *
+ * @param {string} text
+ * @param {Object} [options] formatWareki と同じ
+ * @returns {string}
+ */
+export function normalizeWarekiDate(text, options) {
+  let date = null;
+  try {
+    date = parseDate(text);
+  } catch (e) { /* 読めない日付はそのまま */ }
+  return date ? formatWareki(date, options) : String(text || '').trim();
+}
+
+/**
+ * 元号と年を西暦の年にする（事件番号の年など）。その元号に無い年はエラー。
+ * @param {string} era
+ * @param {number|string} year 「元」・全角・漢数字も可
+ * @returns {number}
+ */
+export function warekiYearToSeireki(era, year) {
+  return fromWareki(era, year).year;
+}
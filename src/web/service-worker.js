@@ -0,0 +1,85 @@
+/**
+ * Service Worker - 自動でつくる君 PWA
+ *
+ * キャッシュ戦略:
+ * - install時: コアファイル（HTML/CSS/JS/フォント/テンプレート）と同梱ライブラリ（vendor/files.json の一覧）をプリキャッシュ
+ * - fetch時: Cache First → Network Fallback
+ * - update時: 新バージョンをバックグラウンドインストール → 次回起動で反映
+ */
+
+const CACHE_VERSION = 'tsukurukun-v2';
+
+// プリキャッシュ対象（アプリの核となるファイル）
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './app.js',
+  './style.css',
+  './manifest.json',
+  './icons/icon.svg',
+  './fonts/NotoSerifJP.ttf',
+  './template/文書送付書.doc.docx',
+];
+
+// 同梱ライブラリ（pdf.js・Tesseract.js・言語データ等）の一覧。npm run vendor が書き出す
+const VENDOR_FILE_LIST = './vendor/files.json';
+
+// ===== Install: プリキャッシュ =====
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION).then(cache => {
+      console.log('[SW] Pre-caching core assets');
+      // コアファイルを先にキャッシュ（失敗してもインストールは続行）
+      return cache.addAll(PRECACHE_URLS).then(() =>
+        fetch(VENDOR_FILE_LIST)
+          .then(res => res.json())
+          .then(files => cache.addAll([VENDOR_FILE_LIST].concat(files.map(f => './' + f))))
+          .catch(e => console.warn('[SW] vendor cache skip:', e))
+      );
+    }).then(() => self.skipWaiting())
+  );
+});
+
+// ===== Activate: 古いキャッシュ削除 =====
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys().then(keys =>
+      Promise.all(
+        keys.filter(k => k !== CACHE_VERSION).map(k => {
+          console.log('[SW] Deleting old cache:', k);
+          return caches.delete(k);
+        })
+      )
+    ).then(() => self.clients.claim())
+  );
+});
+
+// ===== Fetch: Cache First → Network Fallback =====
+self.addEventListener('fetch', event => {
+  const { request } = event;
+
+  // POST等はスキップ
+  if (request.method !== 'GET') return;
+
+  event.respondWith(cacheFirstStrategy(request));
+});
+
+async function cacheFirstStrategy(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_VERSION);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (e) {
+    // オフラインでキャッシュもない場合
+    return new Response('オフラインです。ネットワーク接続を確認してください。', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain; charset=UTF-8' },
+    });
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * 事件台帳（保存・検索・編集・統合と、抽出結果への反映）
+ *
+ * IndexedDB の無い Node ではメモリ上の台帳で動く。
+ *
+ *   node --test test/case-registry.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCaseNumber, caseKey, listCases, findCase, saveCase, updateCase,
+  deleteCase, clearCases, mergeCases, applyCaseRecord, applyCaseRegistry, extractInfo,
+  configureRuntime, onDatabaseConflict,
+} from '../src/index.js';
+
+const CONFIRMED = {
+  courtName: '大阪地方裁判所第24民事部',
+  courtFax: '06-6316-2804',
+  caseNumber: '令和7年(ワ)第1234号',
+  caseName: '損害賠償請求事件',
+  plaintiffName: '甲野一郎',
+  defendantName: '乙山商事株式会社',
+  plaintiffLawyer: '丙川三郎',
+  plaintiffLawyerFax: '06-1111-2222',
+};
+
+beforeEach(() => clearCases());
+
+test('normalizeCaseNumber / caseKey: 表記ゆれをそろえ、部・係はキーに含めない', () => {
+  assert.equal(normalizeCaseNumber('令和元年（ワ）第 ０１２号'), '令和1年(ワ)第12号');
+  assert.equal(normalizeCaseNumber('令和7年(ワ)1234号'), '令和7年(ワ)第1234号');
+  assert.equal(caseKey('令和7年（ワ）第1234号', '大阪地裁第24民事部'), '令和7年(ワ)第1234号|大阪地方裁判所');
+  assert.equal(caseKey('', '大阪地方裁判所'), '');
+});
+
+test('saveCase / findCase: 表記が違っても同じ事件として引ける', async () => {
+  await saveCase(CONFIRMED);
+  const found = await findCase('令和７年（ワ）第１２３４号', '大阪地方裁判所');
+  assert.equal(found.plaintiffLawyer, '丙川三郎');
+  assert.equal(found.useCount, 1);
+  // 裁判所が分からなくても、同じ事件番号が1件だけなら引ける
+  assert.ok(await findCase('令和7年(ワ)第1234号'));
+  // 別の裁判所の同じ事件番号は別の事件
+  assert.equal(await findCase('令和7年(ワ)第1234号', '東京地方裁判所'), null);
+
+  // 再保存では空欄で既存の値を消さない
+  await saveCase(Object.assign({}, CONFIRMED, { plaintiffLawyerFax: '', caseName: '損害賠償等請求事件' }));
+  const again = await findCase(CONFIRMED.caseNumber, CONFIRMED.courtName);
+  assert.equal(again.plaintiffLawyerFax, '06-1111-2222');
+  assert.equal(again.caseName, '損害賠償等請求事件');
+  assert.equal(again.useCount, 2);
+  assert.equal((await listCases()).length, 1);
+});
+
+test('saveCase: 裁判所なしで保存した事件は、裁判所が分かったらキーを付け替える', async () => {
+  await saveCase(Object.assign({}, CONFIRMED, { courtName: '' }));
+  const record = await saveCase(CONFIRMED);
+  assert.equal(record.key, '令和7年(ワ)第1234号|大阪地方裁判所');
+  assert.deepEqual(record.aliases, ['令和7年(ワ)第1234号|']);
+  assert.equal((await listCases()).length, 1);
+});
+
+test('applyCaseRecord: override は台帳の値を採用し、prefill は空欄だけ補う', async () => {
+  const record = await saveCase(CONFIRMED);
+  const info = extractInfo('大阪地方裁判所第24民事部 御中\n令和7年(ワ)第1234号 損害賠償請求事件\n原告 甲野一郎\n被告 乙山商事株式会社\n', {});
+
+  const overridden = applyCaseRecord(info, record, 'override');
+  assert.equal(overridden.plaintiffLawyer, '丙川三郎');
+  assert.equal(overridden.fieldMeta.plaintiffLawyer.pattern, 'caseRegistry');
+  assert.equal(overridden.candidates.plaintiffLawyer[0].value, '丙川三郎');
+  assert.ok(overridden.caseRecord.applied.includes('plaintiffLawyerFax'));
+  assert.equal(info.plaintiffLawyer, undefined, '元の info は変更しない');
+
+  const conflicting = Object.assign({}, info, { caseName: '貸金返還請求事件' });
+  const prefilled = applyCaseRecord(conflicting, record, 'prefill');
+  assert.equal(prefilled.caseName, '貸金返還請求事件');
+  assert.ok(prefilled.candidates.caseName.some(c => c.value === '損害賠償請求事件' && c.pattern === 'caseRegistry'));
+  assert.equal(prefilled.plaintiffLawyer, '丙川三郎');
+  assert.ok(!prefilled.caseRecord.applied.includes('caseName'));
+
+  const viaRegistry = await applyCaseRegistry(info, { mode: 'override' });
+  assert.equal(viaRegistry.caseRecord.key, record.key);
+  assert.equal(await applyCaseRegistry(Object.assign({}, info, { caseNumber: '令和7年(ワ)第1号' })).caseRecord, undefined);
+});
+
+test('updateCase: 事件番号を直すとキーを付け替え、元のキーでも引ける', async () => {
+  const record = await saveCase(CONFIRMED);
+  const updated = await updateCase(record.key, Object.assign({}, CONFIRMED, { caseNumber: '令和7年(ワ)第1243号' }));
+  assert.equal(updated.key, '令和7年(ワ)第1243号|大阪地方裁判所');
+  assert.equal((await findCase('令和7年(ワ)第1234号', '大阪地方裁判所')).key, updated.key);
+
+  await saveCase(Object.assign({}, CONFIRMED, { caseNumber: '令和7年(ワ)第1号' }));
+  await assert.rejects(updateCase(updated.key, Object.assign({}, CONFIRMED, { caseNumber: '令和7年(ワ)第1号' })),
+    /既にあります/);
+});
+
+test('mergeCases: 空欄を補い、統合した事件のキーを別名として引き継ぐ', async () => {
+  const a = await saveCase(Object.assign({}, CONFIRMED, { plaintiffLawyerFax: '' }));
+  const b = await saveCase(Object.assign({}, CONFIRMED, { courtName: '大阪高等裁判所', caseName: '' }));
+  const merged = await mergeCases(a.key, [b.key]);
+  assert.equal(merged.plaintiffLawyerFax, '06-1111-2222');
+  assert.equal(merged.useCount, 2);
+  assert.deepEqual(merged.aliases, [b.key]);
+  assert.equal((await findCase(CONFIRMED.caseNumber, '大阪高等裁判所')).key, a.key);
+  assert.equal((await listCases()).length, 1);
+
+  await deleteCase(a.key);
+  assert.deepEqual(await listCases(), []);
+});
+
+// open() の結果（onblocked・onsuccess）をテストから起こす IndexedDB。getAll は空を返す
+function fakeIndexedDB() {
+  const requests = [];
+  const createDb = () => ({
+    closed: false,
+    objectStoreNames: { contains: () => true },
+    close() { this.closed = true; },
+    transaction() {
+      const tx = {
+        objectStore: () => ({
+          getAll() {
+            setImmediate(() => tx.oncomplete());
+            return { result: [] };
+          },
+        }),
+      };
+      return tx;
+    },
+  });
+  const succeed = req => {
+    req.result = createDb();
+    req.onsuccess();
+    return req.result;
+  };
+  return { indexedDB: { open: (name, version) => requests[requests.push({ name, version }) - 1] }, requests, succeed };
+}
+
+test('IndexedDB: 古い版のタブが残っていれば待たずに失敗し、新しい版が開かれたら接続を閉じて開き直す', async () => {
+  const { indexedDB, requests, succeed } = fakeIndexedDB();
+  const conflicts = [];
+  const off = onDatabaseConflict(e => conflicts.push(e.reason));
+  configureRuntime({ indexedDB });
+  try {
+    const blocked = listCases();
+    requests[0].onblocked();
+    await assert.rejects(blocked, /古い版のつくる君が開いている/);
+    // ほかのタブが閉じた後で開けた接続は使わずに閉じる
+    assert.ok(succeed(requests[0]).closed);
+
+    const listed = listCases();
+    assert.equal(requests.length, 2, '失敗した接続は使い回さない');
+    const db = succeed(requests[1]);
+    assert.deepEqual(await listed, []);
+
+    db.onversionchange();
+    assert.ok(db.closed);
+    assert.deepEqual(conflicts, ['blocked', 'versionchange']);
+    const reopened = listCases();
+    assert.equal(requests.length, 3, '閉じた接続は使い回さない');
+    succeed(requests[2]);
+    assert.deepEqual(await reopened, []);
+  } finally {
+    off();
+    configureRuntime({ indexedDB: null });
+  }
+});
@@ -0,0 +1,173 @@
+/**
+ * 裁判所名簿（lookupCourt のフォールバック・ユーザー登録・CSV/JSON の入出力・
+ * 文書から見つかったFAX番号の確認待ち）
+ *
+ *   node --test test/court-directory.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configureRuntime, lookupCourt, describeCourtMatch, splitCourtName, findCourt,
+  saveCourt, deleteCourt, restoreCourt, getCourtDirectory,
+  exportCourtDirectory, importCourtDirectory, parseCsv,
+  checkCourtFax, recordCourtFaxObservation, getCourtFaxReviewQueue,
+  acceptCourtFaxObservation, dismissCourtFaxObservation, extractInfo, extractInfoFromText, LOW_CONFIDENCE,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+beforeEach(() => {
+  configureRuntime({ storage: memoryStorage() });
+});
+
+test('splitCourtName: 庁と部・係を分け、表記をそろえる', () => {
+  assert.deepEqual(splitCourtName('神戸地方裁判所尼崎支部民事第２部'),
+    { court: '神戸地方裁判所尼崎支部', division: '民事第2部' });
+  assert.deepEqual(splitCourtName('大阪地裁第24民事部'), { court: '大阪地方裁判所', division: '民事第24部' });
+  assert.deepEqual(splitCourtName('東京地方裁判所'), { court: '東京地方裁判所', division: '' });
+});
+
+test('lookupCourt: 支部の登録があればその番号', () => {
+  const m = lookupCourt('神戸地方裁判所尼崎支部民事第2部');
+  assert.equal(m.fax, '06-6438-1710');
+  assert.equal(m.court, '神戸地方裁判所尼崎支部');
+  assert.equal(m.matchedBy, 'court');
+});
+
+test('lookupCourt: 支部にFAXが無ければ本庁にフォールバックする', () => {
+  const m = lookupCourt('神戸地方裁判所姫路支部');
+  assert.equal(m.fax, '078-367-1478');
+  assert.equal(m.court, '神戸地方裁判所');
+  assert.equal(m.requested, '神戸地方裁判所姫路支部');
+  assert.equal(m.matchedBy, 'parent');
+  assert.match(describeCourtMatch(m), /上位の「神戸地方裁判所」/);
+  // 抽出結果では要確認（低い確信度）にし、どの登録の番号かを残す
+  const meta = extractInfoFromText('神戸地方裁判所姫路支部　御中\n').fieldMeta.courtFax;
+  assert.equal(meta.pattern, 'courtFax.directoryParent');
+  assert.ok(meta.confidence < LOW_CONFIDENCE);
+  assert.equal(meta.directory.court, '神戸地方裁判所');
+});
+
+test('lookupCourt: 名簿に無い支部も本庁にフォールバックする', () => {
+  const m = lookupCourt('大阪地方裁判所架空支部');
+  assert.equal(m.fax, '06-6316-2804');
+  assert.equal(m.matchedBy, 'parent');
+  assert.equal(lookupCourt('架空地方裁判所'), null);
+});
+
+test('lookupCourt: 部・係の登録があれば部のFAXを優先する', () => {
+  const osaka = findCourt('大阪地方裁判所');
+  saveCourt(Object.assign({}, osaka, { divisions: [{ name: '第24民事部', fax: '06-6363-0000' }] }));
+  const m = lookupCourt('大阪地方裁判所民事第24部B係');
+  assert.equal(m.fax, '06-6363-0000');
+  assert.equal(m.division, '民事第24部');
+  assert.equal(m.matchedBy, 'division');
+  assert.equal(lookupCourt('大阪地方裁判所民事第1部').matchedBy, 'court');
+});
+
+test('ユーザー登録: 修正・追加・削除・取り消し', () => {
+  saveCourt({ name: '姫路簡易裁判所', parent: '神戸地方裁判所姫路支部', fax: '079-000-0000' });
+  saveCourt(Object.assign({}, findCourt('京都地方裁判所'), { fax: '075-000-0000' }));
+  deleteCourt('京都家庭裁判所');
+  const byName = Object.fromEntries(getCourtDirectory().map(c => [c.name, c]));
+  assert.equal(byName['姫路簡易裁判所'].origin, 'user');
+  assert.equal(byName['京都地方裁判所'].origin, 'modified');
+  assert.equal(byName['京都家庭裁判所'], undefined);
+  assert.equal(lookupCourt('京都地方裁判所').fax, '075-000-0000');
+
+  restoreCourt('京都地方裁判所');
+  restoreCourt('京都家庭裁判所');
+  assert.equal(lookupCourt('京都地方裁判所').fax, '075-211-4226');
+  assert.ok(findCourt('京都家庭裁判所'));
+
+  // 同梱と同じ内容に戻したら修正扱いにしない
+  saveCourt(findCourt('京都地方裁判所'));
+  assert.equal(findCourt('京都地方裁判所').origin, 'bundled');
+});
+
+test('parseCsv: クォート内のカンマ・改行・二重引用符', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,"b,c","d""e"\r\n"f\ng",h\n\n'), [['a', 'b,c', 'd"e'], ['f\ng', 'h']]);
+});
+
+test('CSV: 書き出した内容を別の環境に取り込むと同じ名簿になる', () => {
+  saveCourt({ name: '姫路簡易裁判所', parent: '神戸地方裁判所姫路支部', fax: '079-000-0000', phone: '079-111-1111' });
+  saveCourt(Object.assign({}, findCourt('大阪地方裁判所'), {
+    divisions: [{ name: '民事第24部', fax: '06-6363-0000' }, { name: '執行部, 不動産執行係', fax: '06-6363-1111' }],
+  }));
+  const csv = exportCourtDirectory('csv', { changedOnly: true });
+  assert.ok(csv.startsWith('\uFEFF裁判所,部・係,FAX,電話,上位裁判所\r\n'));
+  const before = getCourtDirectory();
+
+  configureRuntime({ storage: memoryStorage() });
+  const result = importCourtDirectory(csv);
+  assert.deepEqual(result, { courts: 2, divisions: 2, deleted: 0, errors: [] });
+  assert.deepEqual(getCourtDirectory(), before);
+});
+
+test('CSV: 空欄の項目は上書きしない・裁判所名の無い行はエラー', () => {
+  const result = importCourtDirectory('裁判所,部・係,FAX,電話,上位裁判所\n京都地方裁判所,,,075-222-2222,\n,民事第1部,075-1,,\n');
+  assert.equal(result.courts, 1);
+  assert.deepEqual(result.errors, [{ line: 3, message: '裁判所名が空です' }]);
+  const kyoto = findCourt('京都地方裁判所');
+  assert.equal(kyoto.fax, '075-211-4226');
+  assert.equal(kyoto.phone, '075-222-2222');
+});
+
+test('JSON: 削除も含めて書き出し・取り込みできる', () => {
+  deleteCourt('京都家庭裁判所');
+  saveCourt({ name: '姫路簡易裁判所', fax: '079-000-0000' });
+  const json = exportCourtDirectory('json', { changedOnly: true });
+
+  configureRuntime({ storage: memoryStorage() });
+  const result = importCourtDirectory(json);
+  assert.equal(result.courts, 1);
+  assert.equal(result.deleted, 1);
+  assert.equal(findCourt('京都家庭裁判所'), null);
+  assert.equal(lookupCourt('姫路簡易裁判所').fax, '079-000-0000');
+  assert.throws(() => importCourtDirectory('{ broken', 'json'), /JSONを読み込めません/);
+});
+
+test('checkCourtFax: 区切りの違いは同じ番号とみなす', () => {
+  assert.equal(checkCourtFax('東京地方裁判所民事第15部', '03(3580)5611').status, 'match');
+  assert.equal(checkCourtFax('東京地方裁判所', '03-0000-1111').status, 'mismatch');
+  assert.equal(checkCourtFax('京都家庭裁判所', '075-000-0000').status, 'unregistered');
+});
+
+test('確認待ち: 名簿と異なる番号だけを記録し、承認するまで名簿を変えない', () => {
+  assert.equal(recordCourtFaxObservation('東京地方裁判所', '03-3580-5611', 'a.pdf'), null);
+  recordCourtFaxObservation('東京地方裁判所民事第15部', '03-0000-1111', 'a.pdf');
+  recordCourtFaxObservation('東京地方裁判所民事第15部', '03-0000-1111', 'b.pdf');
+  recordCourtFaxObservation('京都家庭裁判所', '075-000-0000', 'c.pdf');
+
+  const queue = getCourtFaxReviewQueue();
+  assert.equal(queue.length, 2);
+  const tokyo = queue.find(o => o.court === '東京地方裁判所');
+  assert.equal(tokyo.division, '民事第15部');
+  assert.equal(tokyo.count, 2);
+  assert.deepEqual(tokyo.sources, ['a.pdf', 'b.pdf']);
+  assert.equal(tokyo.check.status, 'mismatch');
+  assert.equal(lookupCourt('東京地方裁判所民事第15部').fax, '03-3580-5611');
+
+  acceptCourtFaxObservation(tokyo);
+  const m = lookupCourt('東京地方裁判所民事第15部');
+  assert.equal(m.fax, '03-0000-1111');
+  assert.equal(m.matchedBy, 'division');
+  assert.equal(lookupCourt('東京地方裁判所').fax, '03-3580-5611');
+
+  dismissCourtFaxObservation(queue.find(o => o.court === '京都家庭裁判所'));
+  recordCourtFaxObservation('京都家庭裁判所', '075-000-0000', 'd.pdf');
+  assert.deepEqual(getCourtFaxReviewQueue(), []);
+  assert.equal(findCourt('京都家庭裁判所').fax, '');
+});
+
+test('extractInfo: 本文の裁判所FAXが名簿と異なれば courtFaxMismatch を付けて確信度を下げる', () => {
+  const text = '東京地方裁判所民事第15部 御中\n裁判所（FAX 03-0000-1111）\n令和7年(ワ)第123号 損害賠償請求事件\n';
+  const info = extractInfo(text, {});
+  assert.equal(info.courtFax, '03-0000-1111');
+  assert.equal(info.courtFaxMismatch.stored.fax, '03-3580-5611');
+  assert.ok(info.fieldMeta.courtFax.confidence < info.fieldMeta.courtFaxFromPdf.confidence);
+  assert.ok(info.candidates.courtFax.some(c => c.value === '03-3580-5611'));
+
+  const same = extractInfo(text.replace('03-0000-1111', '03-3580-5611'), {});
+  assert.equal(same.courtFaxMismatch, undefined);
+});
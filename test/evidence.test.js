@@ -0,0 +1,87 @@
+/**
+ * 証拠番号スタンプ（回転・CropBox のあるページ）とページの座標系
+ *
+ * 日本語フォントは同梱していないので、pdfjs-dist の欧文フォントでスタンプし、pdf.js で読み直して位置と向きを確かめる。
+ *
+ *   node --test test/evidence.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import * as PDFLib from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { configureRuntime, stampEvidence, getPageFrame } from '../src/index.js';
+
+const require = createRequire(import.meta.url);
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const FONT_PATH = require.resolve('pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf');
+
+function useTestFont() {
+  const fontBytes = fs.readFileSync(FONT_PATH);
+  configureRuntime({
+    PDFLib, fontkit,
+    fetch: async url => ({ ok: url === 'fonts/NotoSerifJP.ttf', arrayBuffer: async () => fontBytes }),
+  });
+}
+
+// MediaBox の原点がずれ、CropBox で切り取り、90度回転して表示する横長のページ（見たままでは 300×500 の縦長）
+async function rotatedCroppedPdf() {
+  const doc = await PDFLib.PDFDocument.create();
+  const page = doc.addPage([700, 400]);
+  page.setMediaBox(-50, -20, 700, 400);
+  page.setCropBox(40, 30, 500, 300);
+  page.setRotation(PDFLib.degrees(90));
+  return doc.save();
+}
+
+// pdf.js で見たままの向き（左上原点・下向き）に描画したときの文字の位置と向き
+async function visualTextItems(bytes) {
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(bytes), disableFontFace: true }).promise;
+  const page = await doc.getPage(1);
+  const viewport = page.getViewport({ scale: 1 });
+  const { items } = await page.getTextContent();
+  const result = {
+    width: viewport.width,
+    height: viewport.height,
+    items: items.filter(i => i.str.trim()).map(i => {
+      const [a, b, , , x, y] = pdfjs.Util.transform(viewport.transform, i.transform);
+      return { str: i.str, x, y, upright: a > 0 && Math.abs(b) < 1e-6 };
+    }),
+  };
+  await doc.destroy();
+  return result;
+}
+
+test('getPageFrame: 見たままの大きさと、見たままの点から MediaBox の原点・CropBox を考えたページの点への変換', async () => {
+  configureRuntime({ PDFLib });
+  const doc = await PDFLib.PDFDocument.load(await rotatedCroppedPdf());
+  const frame = getPageFrame(doc.getPage(0));
+  assert.equal(frame.rotation, 90);
+  assert.deepEqual([frame.width, frame.height], [300, 500]);
+  // 時計回りに90度回して表示するので、見たままの左下・右上は CropBox の右下・左上
+  assert.deepEqual(frame.toPage(0, 0), { x: 540, y: 30 });
+  assert.deepEqual(frame.toPage(300, 500), { x: 40, y: 330 });
+  assert.equal(frame.rotate.angle, 90);
+});
+
+test('stampEvidence: 回転・CropBox のあるページでも、見たままの右上に正立して押し、ページ番号は下中央に入れる', async () => {
+  useTestFont();
+  const { bytes } = await stampEvidence(await rotatedCroppedPdf(), { evidenceLabel: 'Ko 1', addPageNum: true });
+  const { width, height, items } = await visualTextItems(bytes);
+  assert.deepEqual([Math.round(width), Math.round(height)], [300, 500]);
+
+  const labels = items.filter(i => i.str === 'Ko 1');
+  assert.equal(labels.length, 9, '太字化のため重ねて描く');
+  for (const label of labels) {
+    assert.ok(label.upright, '正立している');
+    assert.ok(label.x > width / 2 && label.x < width, `右側にある（x=${label.x}）`);
+    assert.ok(label.y > 0 && label.y < 60, `上端にある（y=${label.y}）`);
+  }
+
+  const pageNum = items.find(i => i.str === '- 1 -');
+  assert.ok(pageNum.upright);
+  assert.ok(Math.abs(pageNum.x - width / 2) < 20, `下中央にある（x=${pageNum.x}）`);
+  assert.ok(pageNum.y > height - 40 && pageNum.y < height, `下端にある（y=${pageNum.y}）`);
+});
@@ -0,0 +1,160 @@
+/**
+ * extractInfoFromText 回帰テスト
+ *
+ * test/fixtures/extract-info/ の匿名化サンプル（*.txt: PDFテキスト層・OCR・Wordの抽出結果）と
+ * 正解（*.json）を突き合わせ、最後に項目別の precision / recall と、
+ * 正解が候補（candidates）に含まれる割合（候補内 recall）を表示する。
+ *
+ *   npm test
+ *   node --test test/extract-info.test.js
+ *
+ * あわせて fieldMeta の span が元テキスト上の抽出元を指していることを確認する。
+ *
+ * 正解JSON:
+ *   source         'pdf' | 'ocr' | 'docx'
+ *   description    サンプルの特徴
+ *   config         事務所設定（省略時は DEFAULT_CONFIG）
+ *   expected       正しい抽出結果（抽出されるべきでない項目は書かない）
+ *   knownFailures  { 項目: 理由 } 現状の抽出が正解と一致しない項目。
+ *                  テストでは判定せず precision / recall にのみ反映する。
+ *                  直ったら削除すること（一致するようになると通知する）。
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { extractInfo, normalizeExtractedText, mergeExtractedInfo } from '../src/index.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/extract-info');
+
+// 自事務所（被告側）の設定。自事務所の代理人名・FAXは抽出対象から除外される
+const DEFAULT_CONFIG = {
+  officeName: 'テスト法律事務所',
+  lawyerNames: ['山田太郎'],
+  faxNumbers: ['06-6000-0000'],
+};
+
+const FIELDS = [
+  'courtName', 'caseNumber', 'caseNumberGuessed', 'caseName',
+  'plaintiffName', 'defendantName', 'plaintiffLawyer',
+  'courtFax', 'courtFaxFromPdf', 'plaintiffLawyerFax',
+];
+
+// 空文字・false は「抽出なし」として扱う
+function present(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+function loadFixtures() {
+  return fs.readdirSync(FIXTURE_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => {
+      const name = path.basename(f, '.json');
+      const golden = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, f), 'utf8'));
+      const text = fs.readFileSync(path.join(FIXTURE_DIR, name + '.txt'), 'utf8');
+      return Object.assign({ name, text }, golden);
+    });
+}
+
+const stats = {};
+for (const field of FIELDS) stats[field] = { correct: 0, extracted: 0, expected: 0, inCandidates: 0, candidateExpected: 0 };
+const sourceStats = {};
+
+for (const fixture of loadFixtures()) {
+  test(`${fixture.source}: ${fixture.name}`, t => {
+    const actual = extractInfo(fixture.text, fixture.config || DEFAULT_CONFIG);
+    const known = fixture.knownFailures || {};
+    const src = sourceStats[fixture.source] || (sourceStats[fixture.source] = { correct: 0, total: 0 });
+
+    for (const field of FIELDS) {
+      const exp = fixture.expected[field];
+      const act = actual[field];
+      const ok = present(exp) ? act === exp : !present(act);
+      const s = stats[field];
+      if (present(act)) s.extracted++;
+      if (present(exp)) s.expected++;
+      if (present(act) && act === exp) s.correct++;
+      const candidates = actual.candidates[field] || [];
+      if (typeof exp === 'string') {
+        s.candidateExpected++;
+        if (candidates.some(c => c.value === exp)) s.inCandidates++;
+      }
+      if (present(exp) || present(act)) {
+        src.total++;
+        if (ok) src.correct++;
+      }
+
+      if (field in known) {
+        if (ok) t.diagnostic(`${field} は正解と一致するようになりました。knownFailures から削除してください`);
+        continue;
+      }
+      assert.ok(ok, `${field}: 期待 ${JSON.stringify(exp)} / 実際 ${JSON.stringify(act)}`);
+    }
+
+    // 候補の先頭は採用値、値の重複なし
+    for (const [field, list] of Object.entries(actual.candidates)) {
+      if (present(actual[field])) assert.equal(list[0].value, actual[field], `${field}: 候補の先頭`);
+      assert.equal(new Set(list.map(c => c.value)).size, list.length, `${field}: 候補の重複`);
+    }
+  });
+}
+
+test('mergeExtractedInfo: 先頭ファイルの値を採用し、他ファイルの候補も残す', () => {
+  const [a, b] = ['docx-junbi-sapporo-kakusho', 'docx-sofu-chiba'].map(name => ({
+    info: extractInfo(fs.readFileSync(path.join(FIXTURE_DIR, name + '.txt'), 'utf8'), DEFAULT_CONFIG),
+    documentTitle: name,
+    originalName: name + '.docx',
+  }));
+  const { info } = mergeExtractedInfo([a, b]);
+  assert.equal(info.courtName, a.info.courtName);
+  const courts = info.candidates.courtName.map(c => c.value);
+  assert.equal(courts[0], a.info.courtName);
+  assert.ok(courts.includes(b.info.courtName));
+  assert.equal(info.candidates.courtName.find(c => c.value === b.info.courtName).file, 'docx-sofu-chiba.docx');
+  assert.equal(info.fieldMeta.courtName.file, 'docx-junbi-sapporo-kakusho.docx');
+});
+
+// span で切り出した元テキストを正規化・空白除去したものに値が含まれるか（事件番号は推測で補うため除く）
+const SPAN_FIELDS = ['courtName', 'caseName', 'plaintiffName', 'defendantName', 'plaintiffLawyer',
+  'courtFaxFromPdf', 'plaintiffLawyerFax'];
+
+function squash(str) {
+  return normalizeExtractedText(str).replace(/[－ー・]/g, '-').replace(/\s+/g, '');
+}
+
+for (const fixture of loadFixtures()) {
+  test(`span: ${fixture.name}`, () => {
+    const actual = extractInfo(fixture.text, fixture.config || DEFAULT_CONFIG);
+    for (const [field, meta] of Object.entries(actual.fieldMeta)) {
+      assert.ok(meta.confidence >= 0 && meta.confidence <= 1, `${field}: confidence ${meta.confidence}`);
+      if (!meta.span) continue;
+      const [start, end] = meta.span;
+      assert.equal(fixture.text.slice(start, end), meta.snippet.text, `${field}: snippet`);
+      if (SPAN_FIELDS.includes(field)) {
+        assert.ok(squash(meta.snippet.text).includes(squash(actual[field])),
+          `${field}: ${JSON.stringify(actual[field])} が ${JSON.stringify(meta.snippet.text)} に含まれない`);
+      }
+    }
+  });
+}
+
+function pct(n, d) {
+  return d === 0 ? '   -  ' : (n / d * 100).toFixed(1).padStart(5) + '%';
+}
+
+after(() => {
+  const lines = ['', '項目別 precision / recall / 候補内 recall（正解数 / 抽出数 / 正解データ数）'];
+  for (const field of FIELDS) {
+    const s = stats[field];
+    lines.push(`  ${field.padEnd(20)} P ${pct(s.correct, s.extracted)}  R ${pct(s.correct, s.expected)}` +
+      `  候補 ${pct(s.inCandidates, s.candidateExpected)}  (${s.correct}/${s.extracted}/${s.expected})`);
+  }
+  lines.push('ソース別 一致率');
+  for (const [source, s] of Object.entries(sourceStats)) {
+    lines.push(`  ${source.padEnd(20)} ${pct(s.correct, s.total)}  (${s.correct}/${s.total})`);
+  }
+  console.log(lines.join('\n'));
+});
@@ -0,0 +1,17 @@
+/**
+ * テスト用の localStorage の代わり（runtime.storage に渡す）
+ */
+
+/**
+ * メモリ上の storage を作る。data は保存した中身（テストで平文が残っていないかを見る）。
+ * @returns {{data: Map<string, string>, getItem: Function, setItem: Function, removeItem: Function}}
+ */
+export function memoryStorage() {
+  const data = new Map();
+  return {
+    data,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * 弁護士（以前の署名者設定からの移行・登録と既定・印影・送付書の差出人・事件台帳の担当弁護士）
+ *
+ *   node --test test/lawyers.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configureRuntime, getConfig, saveConfig, listLawyers, getDefaultLawyer, findLawyerByName,
+  saveLawyer, deleteLawyer, setDefaultLawyer, getLawyerSeal, getOwnLawyerNames, getOwnFaxNumbers,
+  addSeal, listSeals, buildSofushoLayout, buildPlaceholderValues, saveCase, clearCases, findCaseLawyer,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+beforeEach(async () => {
+  configureRuntime({ storage: memoryStorage() });
+  await clearCases();
+});
+
+test('listLawyers: 弁護士が未登録なら、以前の署名者名と最初のFAX番号を1人の弁護士として扱う', () => {
+  saveConfig({ signerName: '山田太郎', lawyerNames: ['山田'], faxNumbers: ['06-6000-0000'] });
+  const [lawyer] = listLawyers();
+  assert.deepEqual([lawyer.name, lawyer.fax, lawyer.title], ['山田太郎', '06-6000-0000', '']);
+  assert.equal(getDefaultLawyer().id, lawyer.id);
+
+  // 編集すると登録した弁護士になる
+  saveLawyer(Object.assign({}, lawyer, { shortName: '山田', fax: '06-6000-0001' }));
+  const config = getConfig();
+  assert.equal(config.lawyers.length, 1);
+  assert.equal(config.signerName, '山田太郎');
+  assert.deepEqual(getOwnLawyerNames(), ['山田', '山田太郎']);
+  assert.deepEqual(getOwnFaxNumbers(), ['06-6000-0000', '06-6000-0001']);
+});
+
+test('saveLawyer / setDefaultLawyer / deleteLawyer: 既定の弁護士の氏名を signerName にそろえる', () => {
+  const yamada = saveLawyer({ name: '山田 太郎', shortName: '山田' });
+  const suzuki = saveLawyer({ name: '鈴木花子', title: '原告訴訟代理人', fax: '03-1111-2222' });
+  assert.equal(getDefaultLawyer().id, yamada.id);
+  assert.throws(() => saveLawyer({ name: '山田太郎' }), /同じ氏名/);
+  assert.throws(() => saveLawyer({ name: '　' }), /氏名を入力/);
+
+  setDefaultLawyer(suzuki.id);
+  assert.equal(getConfig().signerName, '鈴木花子');
+  assert.equal(findLawyerByName('山田').id, yamada.id);
+  assert.equal(findLawyerByName('山田太郎').id, yamada.id);
+
+  deleteLawyer(suzuki.id);
+  assert.equal(getDefaultLawyer().id, yamada.id);
+  assert.equal(getConfig().signerName, '山田 太郎');
+});
+
+test('getLawyerSeal: 選んだ印影、無ければその弁護士の認印。氏名を変えると印影の持ち主も付け替える', () => {
+  const image = { dataUrl: 'data:image/png;base64,AAAA', width: 10, height: 10 };
+  const mitome = addSeal(Object.assign({ owner: '山田太郎', kind: '認印' }, image));
+  const shokuin = addSeal(Object.assign({ owner: '山田太郎', kind: '職印' }, image));
+  const lawyer = saveLawyer({ name: '山田太郎' });
+  assert.equal(getLawyerSeal(lawyer).id, mitome.id);
+  const withSeal = saveLawyer(Object.assign({}, lawyer, { sealId: shokuin.id }));
+  assert.equal(getLawyerSeal(withSeal).id, shokuin.id);
+
+  saveLawyer(Object.assign({}, withSeal, { name: '山田一郎' }));
+  assert.deepEqual(listSeals().map(s => s.owner), ['山田一郎', '山田一郎']);
+});
+
+test('送付書の差出人: 弁護士の肩書き・直通FAX（無ければ事務所のFAX）を入れる', () => {
+  saveConfig({ officeName: '丁原法律事務所', faxNumbers: ['06-9999-0000'] });
+  const lawyer = saveLawyer({ name: '丁原四郎', title: '相手方代理人', fax: '06-9999-0001' });
+  const info = { courtName: '大阪地方裁判所', courtFax: '06-6316-2804' };
+  const texts = buildSofushoLayout(info, '準備書面', getConfig(), { lawyer }).map(l => l.text);
+  assert.ok(texts.includes('相手方代理人弁護士　丁原四郎'));
+  assert.ok(texts.includes('ＦＡＸ０６－９９９９－０００１番'));
+
+  const other = saveLawyer({ name: '戊井五郎' });
+  const values = buildPlaceholderValues(info, '準備書面', undefined, other);
+  assert.deepEqual([values.signerName, values.signerTitle, values.signerFax], ['戊井五郎', '被告訴訟代理人', '06-9999-0000']);
+  // 省略時は既定の弁護士
+  assert.equal(buildPlaceholderValues(info, '準備書面').signerName, '丁原四郎');
+});
+
+test('findCaseLawyer: 文書の事件番号で事件台帳の担当弁護士を引く', async () => {
+  const lawyer = saveLawyer({ name: '山田太郎', shortName: '山田' });
+  await saveCase({ courtName: '大阪地方裁判所', caseNumber: '令和7年(ワ)第1234号', ownLawyer: '山田 太郎' });
+  await saveCase({ courtName: '大阪地方裁判所', caseNumber: '令和7年(ワ)第99号' });
+
+  const text = '大阪地方裁判所 御中\n令和７年（ワ）第１２３４号 損害賠償請求事件\n受領書';
+  assert.equal((await findCaseLawyer(text)).id, lawyer.id);
+  assert.equal(await findCaseLawyer('令和7年(ワ)第99号 大阪地方裁判所'), null);
+  assert.equal(await findCaseLawyer('受領書'), null);
+});
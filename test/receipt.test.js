@@ -0,0 +1,128 @@
+/**
+ * 受領書の書き込み位置（プレビューと生成で共通の計算、プレビューで動かした位置）と
+ * 差出人ごとに記憶する書式（FAX番号・ページの指紋での照合）
+ *
+ *   node --test test/receipt.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configureRuntime, saveConfig, detectPositions, resolveReceiptPlacements, RECEIPT_FONT_SIZE, RECEIPT_SEAL_SIZE,
+  findSenderFaxNumbers, matchReceiptProfile, profilePlacements, saveReceiptProfile, listReceiptProfiles,
+  deleteReceiptProfile,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+// 1pt = 1px のページ（600×800）の受領書欄
+const WORDS = [
+  { text: '受領書', x1: 250, y1: 400, x2: 330, y2: 420 },
+  { text: '弁護士', x1: 100, y1: 450, x2: 160, y2: 466 },
+  { text: '行', x1: 170, y1: 450, x2: 184, y2: 466 },
+  { text: '令和', x1: 60, y1: 560, x2: 90, y2: 574 },
+  { text: '代理人', x1: 60, y1: 640, x2: 100, y2: 654 },
+];
+const TEXTS = { receiptDate: '令和7年10月19日', signerTitle: '被告訴訟代理人', signerName: '山田太郎' };
+const fullWidth = (text, size) => Array.from(text).length * size;
+
+test('resolveReceiptPlacements: 検出した語の位置から「先生」・受領日・記名・印影を並べる', () => {
+  const pos = detectPositions(WORDS, 600, 800, 600, 800);
+  const items = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600);
+  assert.deepEqual(items.sensei, { x: 186, y: 334, size: RECEIPT_FONT_SIZE });
+  assert.deepEqual([items.date.x, items.date.y], [60, 226]);
+  assert.deepEqual(items.date.cover, { x: 56, y: 223, width: 300, height: 20 });
+  // 肩書きの「人」の後ろに記名、その後ろに印影
+  assert.deepEqual([items.name.x, items.name.y], [104, 146]);
+  const nameW = fullWidth('　山田太郎', RECEIPT_FONT_SIZE);
+  assert.equal(items.seal.x, 104 + nameW + 2);
+  assert.equal(items.seal.size, RECEIPT_SEAL_SIZE);
+});
+
+test('resolveReceiptPlacements: 動かした項目だけ置き換え、印影は動かしていなければ記名に付いていく', () => {
+  const pos = detectPositions(WORDS, 600, 800, 600, 800);
+  const items = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600, { name: { x: 200, y: 100, size: 21 } });
+  assert.deepEqual([items.date.x, items.date.y], [60, 226]);
+  assert.deepEqual([items.name.x, items.name.y, items.name.size], [200, 100, 21]);
+  // 文字を倍にすると下地も広げる
+  assert.equal(items.name.cover.height, 14 * 2 + 6);
+  assert.equal(items.seal.x, 200 + fullWidth('　山田太郎', 21) + 2);
+
+  const moved = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600, {
+    name: { x: 200, y: 100, size: 21 }, seal: { x: 500, y: 50, size: 48 },
+  });
+  assert.deepEqual(moved.seal, { x: 500, y: 50, size: 48 });
+});
+
+test('resolveReceiptPlacements: 「行」の打消し線は検出位置から引き、null にすると「先生」とともに書き込まない', () => {
+  const pos = detectPositions(WORDS, 600, 800, 600, 800);
+  const items = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600);
+  assert.deepEqual(items.strike, { x: 170, y: 334, width: RECEIPT_FONT_SIZE });
+
+  const none = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600, { strike: null, sensei: null });
+  assert.equal(none.strike, null);
+  assert.equal(none.sensei, null);
+  assert.deepEqual([none.date.x, none.date.y], [60, 226]);
+});
+
+// 差出人のFAX番号と、自分（事務所設定）のFAX番号が書かれた受領書
+const FAX_WORDS = [
+  { text: 'FAX', x1: 380, y1: 100, x2: 410, y2: 114 },
+  { text: '03-1234-5678', x1: 414, y1: 100, x2: 520, y2: 114 },
+  { text: 'FAX', x1: 380, y1: 300, x2: 410, y2: 314 },
+  { text: '06-9999-0000', x1: 414, y1: 300, x2: 520, y2: 314 },
+];
+const UPRIGHT_OCR = words => ({ words, imgWidth: 600, imgHeight: 800, orientation: { rotation: 0, vertical: false } });
+
+function useOwnFax() {
+  configureRuntime({ storage: memoryStorage() });
+  saveConfig({ faxNumbers: ['06-9999-0000'] });
+}
+
+test('findSenderFaxNumbers: 自分のFAX番号を除いた差出人のFAX番号（数字だけ）', () => {
+  useOwnFax();
+  assert.deepEqual(findSenderFaxNumbers([...WORDS, ...FAX_WORDS]), ['0312345678']);
+  assert.deepEqual(findSenderFaxNumbers(WORDS), []);
+});
+
+test('saveReceiptProfile / matchReceiptProfile: FAX番号か、指紋だけでも同じ配置なら照合し、ページの大きさに合わせて使う', async () => {
+  useOwnFax();
+  const ocr = UPRIGHT_OCR([...WORDS, ...FAX_WORDS]);
+  const pos = detectPositions(ocr.words, 600, 800, 600, 800);
+  const items = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600, { strike: null, name: { x: 200, y: 100, size: 21 } });
+  const saved = await saveReceiptProfile(ocr, items, { width: 600, height: 800 });
+  try {
+    assert.deepEqual(saved.faxNumbers, ['0312345678']);
+    assert.equal(saved.placements.strike, null);
+
+    const byFax = await matchReceiptProfile(ocr);
+    assert.equal(byFax.profile.id, saved.id);
+    assert.equal(byFax.by, 'fax');
+    // FAX番号が読めなくても、書式の語が同じ位置にあれば同じ書式
+    const byPrint = await matchReceiptProfile(UPRIGHT_OCR([...WORDS, FAX_WORDS[0], FAX_WORDS[2]]));
+    assert.equal(byPrint.by, 'fingerprint');
+    // 配置の違う書式・向きの違うページには使わない
+    const shifted = WORDS.map(w => Object.assign({}, w, { y1: w.y1 - 200, y2: w.y2 - 200 }));
+    assert.equal(await matchReceiptProfile(UPRIGHT_OCR(shifted)), null);
+    assert.equal(await matchReceiptProfile(Object.assign(UPRIGHT_OCR(WORDS), { orientation: { rotation: 0, vertical: true } })), null);
+
+    // 倍の大きさのページには倍の位置・大きさで
+    const placements = profilePlacements(byFax.profile, { width: 1200, height: 1600 });
+    assert.equal(placements.strike, null);
+    assert.deepEqual(placements.name, { x: 400, y: 200, size: 42 });
+
+    // 同じ書式を保存し直すと上書き
+    const again = await saveReceiptProfile(ocr, items, { width: 600, height: 800 });
+    assert.equal(again.id, saved.id);
+    assert.equal((await listReceiptProfiles()).length, 1);
+  } finally {
+    await deleteReceiptProfile(saved.id);
+  }
+  assert.equal(await matchReceiptProfile(ocr), null);
+});
+
+test('resolveReceiptPlacements: 印影は登録した大きさで、記名の後ろからずらして押す', () => {
+  const pos = detectPositions(WORDS, 600, 800, 600, 800);
+  const items = resolveReceiptPlacements(pos, TEXTS, fullWidth, 600, null, { size: 30, offsetX: -6, offsetY: 2 });
+  const nameW = fullWidth('　山田太郎', RECEIPT_FONT_SIZE);
+  assert.deepEqual(items.seal, { x: 104 + nameW + 2 - 6, y: 146 - 15 + RECEIPT_FONT_SIZE * 0.3 + 2, size: 30 });
+});
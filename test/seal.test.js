@@ -0,0 +1,111 @@
+/**
+ * 印影（背景を除いた朱色の抜き出し・弁護士と種類ごとの登録と選択・以前の印鑑画像の移行）
+ *
+ *   node --test test/seal.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import canvasLib from '@napi-rs/canvas';
+import {
+  configureRuntime, saveSeal, getSeal, extractSealInk, importSealImage,
+  listSeals, addSeal, updateSeal, deleteSeal, pickSeal, sealsForSigner, SEAL_DEFAULTS,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+beforeEach(() => {
+  configureRuntime({
+    storage: memoryStorage(),
+    createCanvas: (width, height) => canvasLib.createCanvas(width, height),
+    loadImage: src => canvasLib.loadImage(src),
+  });
+});
+
+// 生成りの紙（20×20）に、朱肉の四角（x・y 6〜13）と黒い罫線（y 3）
+function scannedSeal(ink = [200, 40, 50]) {
+  const width = 20;
+  const height = 20;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inSeal = x >= 6 && x <= 13 && y >= 6 && y <= 13;
+      const color = inSeal ? ink : y === 3 ? [20, 20, 20] : [250, 248, 240];
+      data.set([...color, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+const alphaAt = (image, x, y) => image.data[(y * image.width + x) * 4 + 3];
+
+test('extractSealInk: 朱肉の部分だけを朱色で残し、紙の色と黒い罫線は透明にして、印影の範囲で切り取る', () => {
+  const ink = extractSealInk(scannedSeal());
+  assert.equal(ink.mode, 'red');
+  // 印影の範囲（6〜13）に2pxの余白
+  assert.deepEqual([ink.width, ink.height], [12, 12]);
+  assert.equal(alphaAt(ink, 6, 6), 255);
+  assert.deepEqual([...ink.data.slice((6 * 12 + 6) * 4, (6 * 12 + 6) * 4 + 3)], [205, 32, 40]);
+  assert.equal(alphaAt(ink, 0, 0), 0);
+});
+
+test('extractSealInk: 黒い印影は濃い部分を残す。印影らしい部分が無ければエラー', () => {
+  const ink = extractSealInk(scannedSeal([30, 30, 30]));
+  assert.equal(ink.mode, 'dark');
+  // 罫線（y 3）も濃いので残る
+  assert.deepEqual([ink.width, ink.height], [20, 15]);
+  assert.equal(alphaAt(ink, 10, 10), 255);
+
+  const blank = { data: new Uint8ClampedArray(4 * 4 * 4).fill(255), width: 4, height: 4 };
+  assert.throws(() => extractSealInk(blank), /印影が見つかりません/);
+});
+
+test('importSealImage: 画像を読み、背景を除いた PNG にする', async () => {
+  const canvas = canvasLib.createCanvas(100, 80);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fafaf0';
+  ctx.fillRect(0, 0, 100, 80);
+  ctx.fillStyle = '#c82832';
+  ctx.beginPath();
+  ctx.arc(50, 40, 20, 0, Math.PI * 2);
+  ctx.fill();
+  const image = await importSealImage(canvas.toDataURL('image/jpeg'));
+  assert.match(image.dataUrl, /^data:image\/png;base64,/);
+  assert.ok(Math.abs(image.width - 44) <= 2 && Math.abs(image.height - 44) <= 2, `${image.width}×${image.height}`);
+
+  const loaded = await canvasLib.loadImage(image.dataUrl);
+  const check = canvasLib.createCanvas(loaded.width, loaded.height).getContext('2d');
+  check.drawImage(loaded, 0, 0);
+  assert.equal(check.getImageData(0, 0, 1, 1).data[3], 0, '角（円の外）は透明');
+  assert.equal(check.getImageData(Math.floor(loaded.width / 2), Math.floor(loaded.height / 2), 1, 1).data[3], 255);
+});
+
+test('pickSeal: その弁護士の指定した種類、無ければ認印、無ければ全員共通の印影', () => {
+  const image = { dataUrl: 'data:image/png;base64,AAAA', width: 10, height: 10 };
+  const shared = addSeal(Object.assign({ owner: '' }, image));
+  const mitome = addSeal(Object.assign({ owner: '山田 太郎', kind: '認印' }, image));
+  const shokuin = addSeal(Object.assign({ owner: '山田太郎', kind: '職印' }, image));
+  addSeal(Object.assign({ owner: '鈴木花子', kind: '認印' }, image));
+
+  assert.equal(pickSeal('山田太郎').id, mitome.id);
+  assert.equal(pickSeal('山田太郎', '職印').id, shokuin.id);
+  assert.equal(pickSeal('佐藤次郎').id, shared.id);
+  assert.deepEqual(sealsForSigner('山田太郎').map(s => s.id), [shared.id, mitome.id, shokuin.id]);
+  assert.deepEqual([mitome.size, mitome.offsetX, mitome.opacity], [SEAL_DEFAULTS.size, SEAL_DEFAULTS.offsetX, SEAL_DEFAULTS.opacity]);
+
+  // 大きさ・濃さは範囲に収める
+  const updated = updateSeal(mitome.id, { size: '48', opacity: 3, offsetY: 'x' });
+  assert.deepEqual([updated.size, updated.opacity, updated.offsetY], [48, 1, SEAL_DEFAULTS.offsetY]);
+  deleteSeal(shared.id);
+  assert.equal(pickSeal('佐藤次郎'), null);
+  assert.throws(() => addSeal({ dataUrl: 'data:image/gif;base64,AAAA' }), /PNG か JPEG/);
+});
+
+test('listSeals: 以前の1つだけの印鑑画像は、全員共通の認印としてずらさず透かさずに移す', () => {
+  saveSeal('data:image/png;base64,AAAA');
+  const [seal] = listSeals();
+  assert.equal(seal.dataUrl, 'data:image/png;base64,AAAA');
+  assert.deepEqual([seal.owner, seal.kind, seal.offsetX, seal.offsetY, seal.opacity], ['', '認印', 0, 0, 1]);
+  assert.equal(getSeal(), null);
+  assert.equal(listSeals().length, 1);
+  assert.equal(pickSeal('山田太郎').id, seal.id);
+});
@@ -0,0 +1,134 @@
+/**
+ * 設定・印影の暗号化（合言葉での暗号化・解錠・ロック・自動ロック・合言葉の変更と暗号化の解除）
+ *
+ * IndexedDB の無い Node では暗号化した記録をメモリ上に持つ。
+ *
+ *   node --test test/secure-store.test.js
+ */
+
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+import {
+  configureRuntime, getConfig, saveConfig, listSeals, addSeal, pickSeal,
+  isSecureStoreEnabled, isSecureStoreUnlocked, assertSecureStoreUnlocked, enableSecureStore, unlockSecureStore,
+  lockSecureStore, setAutoLockMinutes, onSecureStoreLock, changeSecureStorePassphrase, disableSecureStore,
+  resetSecureStore, flushSecureStore,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+const PASSPHRASE = 'correct horse';
+const SEAL = { owner: '山田太郎', dataUrl: 'data:image/png;base64,AAAA', width: 10, height: 10 };
+
+let storage;
+
+beforeEach(() => {
+  lockSecureStore();
+  storage = memoryStorage();
+  configureRuntime({ storage, crypto: webcrypto });
+  saveConfig({ officeName: 'テスト法律事務所', signerName: '山田太郎' });
+  addSeal(SEAL);
+});
+
+test('enableSecureStore: 事務所設定と印影を暗号化し、localStorage には平文を残さない', async () => {
+  await assert.rejects(enableSecureStore('short'), /8文字以上/);
+  await enableSecureStore(PASSPHRASE);
+  assert.ok(isSecureStoreEnabled() && isSecureStoreUnlocked());
+  assert.equal(storage.getItem('tsukurukun_config'), null);
+  assert.equal(storage.getItem('tsukurukun_seals'), null);
+  assert.ok(![...storage.data.values()].some(v => v.includes('山田太郎') || v.includes('base64')));
+
+  // 解錠中はこれまでどおり読み書きできる
+  assert.equal(getConfig().officeName, 'テスト法律事務所');
+  saveConfig(Object.assign(getConfig(), { officeName: '変更後' }));
+  assert.equal(pickSeal('山田太郎').owner, '山田太郎');
+  await flushSecureStore();
+});
+
+test('lockSecureStore: ロック中は設定・印影が読めず、保存と押印はエラー。正しい合言葉で戻る', async () => {
+  await enableSecureStore(PASSPHRASE);
+  saveConfig(Object.assign(getConfig(), { officeName: 'ロック前に変更' }));
+  const locked = mock.fn();
+  const off = onSecureStoreLock(locked);
+  lockSecureStore();
+  off();
+  assert.equal(locked.mock.callCount(), 1);
+
+  assert.deepEqual(getConfig(), {});
+  assert.deepEqual(listSeals(), []);
+  assert.throws(() => saveConfig({ officeName: 'x' }), /ロックされています/);
+  assert.throws(() => assertSecureStoreUnlocked(), /解錠してください/);
+
+  await assert.rejects(unlockSecureStore('wrong passphrase'), /合言葉が違います/);
+  assert.equal(isSecureStoreUnlocked(), false);
+  await unlockSecureStore(PASSPHRASE);
+  assert.equal(getConfig().officeName, 'ロック前に変更');
+  assert.equal(listSeals().length, 1);
+});
+
+// 自動ロックのタイマー（runtime.setTimeout・clearTimeout）を時間を進めて動かす
+function fakeTimers() {
+  let now = 0;
+  let nextId = 0;
+  const timers = new Map();
+  return {
+    setTimeout: (fn, ms) => {
+      timers.set(++nextId, { fn, at: now + ms });
+      return nextId;
+    },
+    clearTimeout: id => timers.delete(id),
+    tick(ms) {
+      now += ms;
+      for (const [id, timer] of [...timers]) {
+        if (timer.at > now) continue;
+        timers.delete(id);
+        timer.fn();
+      }
+    },
+  };
+}
+
+test('自動ロック: 使わないまま設定した時間が過ぎるとロックする', async () => {
+  const timers = fakeTimers();
+  configureRuntime({ setTimeout: timers.setTimeout, clearTimeout: timers.clearTimeout });
+  try {
+    await enableSecureStore(PASSPHRASE, { autoLockMinutes: 5 });
+    getConfig();
+    timers.tick(4 * 60000);
+    getConfig();
+    timers.tick(4 * 60000);
+    assert.ok(isSecureStoreUnlocked(), '使うたびに数え直す');
+    timers.tick(60000);
+    assert.equal(isSecureStoreUnlocked(), false);
+
+    await unlockSecureStore(PASSPHRASE);
+    setAutoLockMinutes(0);
+    timers.tick(24 * 60 * 60000);
+    assert.ok(isSecureStoreUnlocked(), '0 なら自動ロックしない');
+  } finally {
+    configureRuntime({
+      setTimeout: (...args) => globalThis.setTimeout(...args),
+      clearTimeout: (...args) => globalThis.clearTimeout(...args),
+    });
+  }
+});
+
+test('changeSecureStorePassphrase / disableSecureStore / resetSecureStore', async () => {
+  await enableSecureStore(PASSPHRASE);
+  await assert.rejects(changeSecureStorePassphrase('wrong passphrase', 'new passphrase'), /合言葉が違います/);
+  await changeSecureStorePassphrase(PASSPHRASE, 'new passphrase');
+  lockSecureStore();
+  await assert.rejects(unlockSecureStore(PASSPHRASE), /合言葉が違います/);
+
+  await disableSecureStore('new passphrase');
+  assert.equal(isSecureStoreEnabled(), false);
+  assert.equal(JSON.parse(storage.getItem('tsukurukun_config')).officeName, 'テスト法律事務所');
+  assert.equal(listSeals().length, 1);
+
+  // 合言葉を忘れたら、暗号化した設定ごと消して最初からにする
+  await enableSecureStore(PASSPHRASE);
+  lockSecureStore();
+  await resetSecureStore();
+  assert.equal(isSecureStoreEnabled(), false);
+  assert.deepEqual(getConfig(), {});
+});
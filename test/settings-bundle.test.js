@@ -0,0 +1,140 @@
+/**
+ * 設定の書き出し・読み込み（署名付きの ZIP）と、事務所共通の設定の上に端末の設定を重ねること
+ *
+ *   node --test test/settings-bundle.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+import JSZip from 'jszip';
+import {
+  configureRuntime, getConfig, saveConfig, getLocalConfig, saveLawyer, listLawyers, getLawyerSeal,
+  addSeal, listSeals, saveCourt, findCourt, restoreCourt, getCourtDirectory,
+  addSofushoTemplate, listSofushoTemplates, deleteSofushoTemplate, setDefaultSofushoTemplate, getDefaultSofushoTemplateId,
+  exportSettingsBundle, readSettingsBundle, importSettingsBundle, applyOfficeConfig,
+  enableSecureStore, lockSecureStore,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+const PASSPHRASE = 'office signing key';
+
+async function makeDocx() {
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<w:document><w:body><w:p><w:r><w:t>{{courtName}} 御中 {{caseNumber}}</w:t></w:r></w:p></w:body></w:document>');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+async function clearTemplates() {
+  for (const t of await listSofushoTemplates()) {
+    if (!t.builtin) await deleteSofushoTemplate(t.id);
+  }
+}
+
+beforeEach(async () => {
+  lockSecureStore();
+  configureRuntime({ storage: memoryStorage(), JSZip, crypto: webcrypto });
+  applyOfficeConfig(null);
+  await clearTemplates();
+});
+
+test('exportSettingsBundle / importSettingsBundle: 事務所設定・弁護士・名簿・印影・テンプレートを別の端末へ移す', async () => {
+  saveConfig({ officeName: 'テスト法律事務所', faxNumbers: ['06-6000-0000'] });
+  const seal = addSeal({ owner: '山田太郎', kind: '職印', dataUrl: 'data:image/png;base64,AAAA', width: 10, height: 10 });
+  saveLawyer({ name: '山田太郎', title: '原告訴訟代理人', sealId: seal.id });
+  saveCourt({ name: '大阪地方裁判所', fax: '06-0000-1111', divisions: [] });
+  const template = await addSofushoTemplate(await makeDocx(), '様式.docx');
+  setDefaultSofushoTemplate(template.id);
+
+  const blob = await exportSettingsBundle(PASSPHRASE);
+  const data = await blob.arrayBuffer();
+
+  // 何も設定していない端末
+  configureRuntime({ storage: memoryStorage() });
+  await clearTemplates();
+  const result = await importSettingsBundle(data, PASSPHRASE);
+  assert.deepEqual(result, { lawyers: 1, courts: 1, seals: 1, templates: 1 });
+  assert.equal(getConfig().officeName, 'テスト法律事務所');
+  assert.equal(getLawyerSeal(listLawyers()[0]).id, seal.id);
+  assert.equal(findCourt('大阪地裁').fax, '06-0000-1111');
+  assert.equal(getDefaultSofushoTemplateId(), template.id);
+  assert.equal((await listSofushoTemplates())[1].name, '様式');
+});
+
+test('readSettingsBundle: 署名の合言葉が違うか書き換えられていれば取り込まない', async () => {
+  saveConfig({ officeName: 'テスト法律事務所' });
+  addSeal({ owner: '', dataUrl: 'data:image/png;base64,AAAA', width: 10, height: 10 });
+  const data = await (await exportSettingsBundle(PASSPHRASE)).arrayBuffer();
+  await assert.rejects(exportSettingsBundle('short'), /8文字以上/);
+
+  configureRuntime({ storage: memoryStorage() });
+  await assert.rejects(importSettingsBundle(data, 'another passphrase'), /署名が一致しません/);
+
+  const zip = await JSZip.loadAsync(data);
+  const settings = JSON.parse(await zip.file('settings.json').async('string'));
+  settings.config.officeName = '書き換えた事務所';
+  zip.file('settings.json', JSON.stringify(settings));
+  const tampered = await zip.generateAsync({ type: 'uint8array' });
+  await assert.rejects(readSettingsBundle(tampered, PASSPHRASE), /署名が一致しません/);
+
+  // 署名の鍵を作る前に、反復回数と salt を確かめる
+  const original = await JSZip.loadAsync(data);
+  const sig = JSON.parse(await original.file('signature.json').async('string'));
+  for (const kdf of [{ iterations: 1e12 }, { salt: 'not hex' }, { salt: null }]) {
+    original.file('signature.json', JSON.stringify(Object.assign({}, sig, { kdf: Object.assign({}, sig.kdf, kdf) })));
+    await assert.rejects(readSettingsBundle(await original.generateAsync({ type: 'uint8array' }), PASSPHRASE),
+      /書き出した設定のファイルではありません/);
+  }
+  assert.deepEqual([getConfig(), listSeals()], [{}, []]);
+});
+
+test('exportSettingsBundle: 設定・印影を暗号化していれば、書き出す事務所設定・印影も暗号化する', async () => {
+  saveConfig({ officeName: 'テスト法律事務所' });
+  addSeal({ owner: '山田太郎', dataUrl: 'data:image/png;base64,SEALDATA', width: 10, height: 10 });
+  await enableSecureStore('correct horse');
+  const data = await (await exportSettingsBundle(PASSPHRASE)).arrayBuffer();
+
+  const zip = await JSZip.loadAsync(data);
+  const plain = await zip.file('settings.json').async('string');
+  assert.ok(zip.file('settings.enc'));
+  assert.ok(!plain.includes('テスト法律事務所') && !plain.includes('SEALDATA'));
+  assert.ok(!(await zip.file('settings.enc').async('string')).includes('SEALDATA'));
+
+  lockSecureStore();
+  configureRuntime({ storage: memoryStorage() });
+  await assert.rejects(importSettingsBundle(data, 'another passphrase'), /署名が一致しません/);
+  assert.equal((await importSettingsBundle(data, PASSPHRASE)).seals, 1);
+  assert.equal(getConfig().officeName, 'テスト法律事務所');
+  assert.equal(listSeals()[0].dataUrl, 'data:image/png;base64,SEALDATA');
+});
+
+test('applyOfficeConfig: 事務所共通の設定と名簿の上に端末の設定を重ね、保存するのは違う項目だけ', () => {
+  applyOfficeConfig(JSON.stringify({
+    officeName: '共通法律事務所',
+    faxNumbers: ['06-6000-0000'],
+    lawyers: [{ id: 'l1', name: '山田太郎', shortName: '山田', title: '', fax: '' }],
+    defaultLawyerId: 'l1',
+    courtDirectory: { courts: [{ name: '大阪地方裁判所', fax: '06-1234-0000', divisions: [] }], deleted: ['堺簡易裁判所'] },
+  }));
+  assert.equal(getConfig().officeName, '共通法律事務所');
+  assert.equal(listLawyers()[0].name, '山田太郎');
+  assert.equal(findCourt('大阪地方裁判所').origin, 'office');
+
+  // 端末で変えた項目だけを保存し、事務所共通の設定の変更はそのまま反映される
+  saveConfig(Object.assign(getConfig(), { faxNumbers: ['06-6000-9999'] }));
+  assert.deepEqual(getLocalConfig(), { faxNumbers: ['06-6000-9999'] });
+  applyOfficeConfig({ officeName: '改称法律事務所', faxNumbers: ['06-6000-0000'] });
+  assert.deepEqual([getConfig().officeName, getConfig().faxNumbers], ['改称法律事務所', ['06-6000-9999']]);
+
+  // 名簿の端末での修正を取り消すと、事務所共通の名簿に戻る
+  applyOfficeConfig({ courtDirectory: { courts: [{ name: '大阪地方裁判所', fax: '06-1234-0000' }] } });
+  saveCourt({ name: '大阪地方裁判所', fax: '06-9999-9999', divisions: [] });
+  assert.equal(findCourt('大阪地方裁判所').origin, 'modified');
+  restoreCourt('大阪地方裁判所');
+  assert.equal(findCourt('大阪地方裁判所').fax, '06-1234-0000');
+
+  applyOfficeConfig(null);
+  assert.notEqual(findCourt('大阪地方裁判所').fax, '06-1234-0000');
+  assert.ok(getCourtDirectory().every(c => c.origin !== 'office'));
+  assert.throws(() => applyOfficeConfig('{ broken'), /読み込めません/);
+});
@@ -0,0 +1,110 @@
+/**
+ * 文書送付書 PDF（行の組み立てと pdf-lib での生成）
+ *
+ * 日本語フォントは同梱していないので、生成のテストは pdfjs-dist の欧文フォントで描画だけを確かめる。
+ *
+ *   node --test test/sofusho-pdf.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as buffer from 'node:buffer';
+import { createRequire } from 'node:module';
+import * as PDFLib from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import {
+  configureRuntime, buildSofushoLayout, generateSofushoPdfBrowser, generateSofushoBundleBrowser,
+} from '../src/index.js';
+
+const require = createRequire(import.meta.url);
+// src/ は File をグローバルに使う（Node.js 18 は cli/node-runtime.js と同じく node:buffer のもの）
+globalThis.File = globalThis.File || buffer.File;
+const FONT_PATH = require.resolve('pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf');
+
+const INFO = {
+  courtName: '大阪地方裁判所第24民事部',
+  courtFax: '06-6316-2804',
+  caseNumber: '令和7年(ワ)第1234号',
+  caseName: '損害賠償請求事件',
+  plaintiffName: '甲野一郎',
+  defendantName: '乙山商事株式会社',
+  plaintiffLawyer: '丙川三郎',
+  plaintiffLawyerFax: '06-1111-2222',
+};
+
+const CONFIG = { officeName: '丁原法律事務所', signerName: '丁原四郎', faxNumbers: ['06-9999-0000'] };
+
+test('buildSofushoLayout: 同梱テンプレートと同じ項目を並べ、差出人は事務所設定から入れる', () => {
+  const lines = buildSofushoLayout(INFO, '被告第1準備書面', CONFIG);
+  const texts = lines.map(l => l.text);
+  assert.equal(texts[0], '大阪地方裁判所第24民事部　御中　（FAX 06-6316-2804番）');
+  assert.ok(texts.includes('原告訴訟代理人弁護士　丙川三郎　先生　（FAX 06-1111-2222番）'));
+  assert.ok(texts.includes('令和７年（ワ）第１２３４号　損害賠償請求事件'));
+  assert.ok(texts.includes('に関する　被告第1準備書面'));
+  assert.ok(texts.includes('ＦＡＸ０６－９９９９－００００番'));
+  assert.deepEqual(lines.find(l => l.text === '丁原法律事務所'), { text: '丁原法律事務所', align: 'right', size: undefined });
+  assert.equal(lines.filter(l => l.rule).length, 1);
+
+  // 空欄の項目は「（FAX …番）」ごと省く
+  const blank = buildSofushoLayout(Object.assign({}, INFO, { courtFax: '' }), 'x', {});
+  assert.equal(blank[0].text, '大阪地方裁判所第24民事部　御中　');
+
+  const withCount = buildSofushoLayout(INFO, 'x', CONFIG, { pageCount: 12 }).map(l => l.text);
+  assert.ok(withCount.includes('（送信枚数　本書を含め１２枚）'));
+});
+
+test('buildSofushoLayout: 送付書類を1件1行で並べ、全ページ数が分かれば送付書を含めた送信枚数を入れる', () => {
+  const documents = [{ title: '被告第1準備書面', pageCount: 5 }, { title: '乙第3号証', pageCount: 2 }];
+  const texts = buildSofushoLayout(INFO, '被告第1準備書面', CONFIG, { documents }).map(l => l.text);
+  const at = texts.indexOf('に関する　被告第1準備書面（５枚）');
+  assert.ok(at > 0);
+  assert.equal(texts[at + 1], '　　　　　乙第3号証（２枚）');
+  assert.equal(texts[at + 2], '（送信枚数　本書を含め８枚）');
+
+  // ページ数の分からない書類があれば送信枚数は入れない
+  const unknown = buildSofushoLayout(INFO, 'x', CONFIG, { documents: [documents[0], { title: '乙第4号証' }] })
+    .map(l => l.text);
+  assert.ok(unknown.includes('　　　　　乙第4号証'));
+  assert.ok(!unknown.some(t => t.includes('送信枚数')));
+});
+
+function useTestFont() {
+  const fontBytes = fs.readFileSync(FONT_PATH);
+  configureRuntime({
+    PDFLib, fontkit,
+    fetch: async url => ({ ok: url === 'fonts/NotoSerifJP.ttf', arrayBuffer: async () => fontBytes }),
+  });
+}
+
+async function blankPdf(name, pages) {
+  const doc = await PDFLib.PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([300, 400]);
+  return new File([await doc.save()], name, { type: 'application/pdf' });
+}
+
+test('generateSofushoPdfBrowser: A4 の PDF を生成する', async () => {
+  useTestFont();
+  const result = await generateSofushoPdfBrowser(INFO, '被告第1準備書面');
+  assert.match(result.fileName, /^文書送付書_被告第1準備書面_.*\.pdf$/);
+  const doc = await PDFLib.PDFDocument.load(await result.blob.arrayBuffer());
+  assert.equal(doc.getPageCount(), 1);
+  const { width, height } = doc.getPage(0).getSize();
+  assert.equal(Math.round(width), 595);
+  assert.equal(Math.round(height), 842);
+});
+
+test('generateSofushoBundleBrowser: 送付書を表紙にして添付PDFの前に付け、総ページ数を返す', async () => {
+  useTestFont();
+  const files = [await blankPdf('準備書面.pdf', 2), await blankPdf('甲1.pdf', 3)];
+  const result = await generateSofushoBundleBrowser(INFO, '被告第1準備書面', files, null,
+    { documents: [{ title: '被告第1準備書面', pageCount: 9, originalName: '準備書面.pdf' }] });
+  assert.equal(result.pageCount, 6);
+  assert.match(result.fileName, /^文書送付書付き_被告第1準備書面_.*\.pdf$/);
+  const doc = await PDFLib.PDFDocument.load(await result.blob.arrayBuffer());
+  assert.equal(doc.getPageCount(), 6);
+  assert.equal(Math.round(doc.getPage(0).getSize().width), 595, '1ページ目は送付書');
+  assert.equal(doc.getPage(1).getSize().width, 300);
+
+  await assert.rejects(generateSofushoBundleBrowser(INFO, 'x', []), /PDFがありません/);
+});
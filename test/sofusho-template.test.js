@@ -0,0 +1,122 @@
+/**
+ * 送付書テンプレート（差し込み項目の検査・置き換えと、利用者テンプレートでの生成）
+ *
+ *   node --test test/sofusho-template.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import {
+  configureRuntime, findPlaceholders, applyPlaceholdersToXml, applyInfoToTemplate, inspectSofushoTemplate,
+  addSofushoTemplate, listSofushoTemplates, deleteSofushoTemplate,
+  getDefaultSofushoTemplateId, setDefaultSofushoTemplate, generateDocumentBrowser, BUILTIN_TEMPLATE_ID,
+} from '../src/index.js';
+import { memoryStorage } from './helpers/memory-storage.js';
+
+function paragraph(...runs) {
+  return '<w:p>' + runs.map(t => `<w:r><w:t xml:space="preserve">${t}</w:t></w:r>`).join('') + '</w:p>';
+}
+
+function findParagraphTexts(xml) {
+  return [...xml.matchAll(/<w:p>(.*?)<\/w:p>/g)].map(m => m[1].replace(/<[^>]+>/g, ''));
+}
+
+async function makeDocx(paragraphs) {
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<w:document><w:body>' + paragraphs.join('') + '</w:body></w:document>');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+const INFO = {
+  courtName: '大阪地方裁判所第24民事部',
+  courtFax: '06-6316-2804',
+  caseNumber: '令和7年(ワ)第1234号',
+  caseName: '損害賠償請求事件',
+  plaintiffName: '甲野一郎',
+  defendantName: '乙山商事株式会社',
+  plaintiffLawyer: '丙川三郎',
+  plaintiffLawyerFax: '06-1111-2222',
+};
+
+beforeEach(() => {
+  configureRuntime({ storage: memoryStorage(), JSZip });
+});
+
+test('findPlaceholders / applyPlaceholdersToXml: 複数の w:t に分かれた項目も置き換える', () => {
+  const xml = paragraph('{{court', 'Name}} 御中') + paragraph('{{ caseNumber }}　{{caseName}}', '（{{caseNumber}}）') +
+    paragraph('{{unknownField}}');
+  assert.deepEqual(findPlaceholders(xml), ['courtName', 'caseNumber', 'caseName', 'unknownField']);
+  const out = applyPlaceholdersToXml(xml, { courtName: 'A&B裁判所', caseNumber: '令和7年(ワ)第1号', caseName: '' });
+  assert.ok(out.includes('A&amp;B裁判所'));
+  assert.equal(out.split('令和7年(ワ)第1号').length - 1, 2, '同じ項目が段落内に2つあっても両方置き換える');
+  assert.ok(!out.includes('{{caseName}}'));
+  assert.ok(out.includes('{{unknownField}}'), '知らない項目は残す');
+});
+
+test('applyPlaceholdersToXml: 値に同じ {{項目名}} が入っていても1回ずつ置き換えて終わる', () => {
+  const xml = paragraph('{{caseName}}／{{case', 'Name}}') + paragraph('{{caseName}}');
+  const out = applyPlaceholdersToXml(xml, { caseName: 'A{{caseName}}\nB' });
+  assert.deepEqual(findParagraphTexts(out), ['A{{caseName}}B／A{{caseName}}B', 'A{{caseName}}B']);
+  assert.equal(out.split('<w:br/>').length - 1, 3);
+});
+
+test('送付書類の一覧: 差し込み項目は段落内で改行し、同梱テンプレートは1件1段落にする', async () => {
+  const documents = [{ title: '原告第1準備書面', pageCount: 4 }, { title: '甲第5号証', pageCount: 1 }];
+  const data = await makeDocx([paragraph('{{documentList}}'), paragraph('送信枚数 {{totalPages}}枚')]);
+  const result = await generateDocumentBrowser(INFO, '原告第1準備書面', null, { templateData: data, documents });
+  const xml = await (await JSZip.loadAsync(await result.blob.arrayBuffer())).file('word/document.xml').async('string');
+  assert.ok(xml.includes('原告第1準備書面（４枚）</w:t><w:br/><w:t xml:space="preserve">甲第5号証（１枚）'));
+  assert.ok(xml.includes('送信枚数 6枚'));
+
+  const builtin = applyInfoToTemplate(paragraph('  に関する　', '被告第９準備書面'), INFO, 'x', documents);
+  assert.deepEqual(findParagraphTexts(builtin), [
+    '  に関する　原告第1準備書面（４枚）',
+    '  　　　　　甲第5号証（１枚）',
+    '  　　　　　（送信枚数　本書を含め６枚）',
+  ]);
+});
+
+test('inspectSofushoTemplate: 知らない項目と足りない項目を報告する', async () => {
+  const data = await makeDocx([paragraph('{{courtName}} 御中'), paragraph('{{caseNo}}')]);
+  const report = await inspectSofushoTemplate(data);
+  assert.deepEqual(report.placeholders, ['courtName']);
+  assert.deepEqual(report.unknown, ['caseNo']);
+  assert.ok(report.missing.includes('caseNumber'));
+  assert.ok(!report.missing.includes('courtName'));
+  await assert.rejects(inspectSofushoTemplate(new Uint8Array([1, 2, 3])), /読み込めません/);
+});
+
+test('addSofushoTemplate: 差し込み項目の無いテンプレートは登録しない', async () => {
+  await assert.rejects(addSofushoTemplate(await makeDocx([paragraph('神戸地方裁判所 御中')]), '旧様式.docx'),
+    /差し込み項目/);
+  await assert.rejects(addSofushoTemplate(await makeDocx([paragraph('{{court}}')]), '誤り.docx'),
+    /項目名を確認してください: court/);
+});
+
+test('generateDocumentBrowser: 登録したテンプレートで差し込み、削除すると既定が同梱に戻る', async () => {
+  const data = await makeDocx([
+    paragraph('{{courtName}} 御中（FAX {{courtFax}}）'),
+    paragraph('{{caseNumber}} {{caseName}} 原告 {{plaintiffName}} 被告 {{defendantName}}'),
+    paragraph('{{date}}　{{documentTitle}}'),
+  ]);
+  const added = await addSofushoTemplate(data, '事務所様式.docx');
+  assert.equal(added.name, '事務所様式');
+  assert.deepEqual(added.missing, []);
+  assert.equal(added.data, undefined);
+  assert.deepEqual((await listSofushoTemplates()).map(t => t.id), [BUILTIN_TEMPLATE_ID, added.id]);
+
+  setDefaultSofushoTemplate(added.id);
+  const result = await generateDocumentBrowser(INFO, '原告第1準備書面');
+  assert.equal(result.template.id, added.id);
+  const zip = await JSZip.loadAsync(await result.blob.arrayBuffer());
+  const xml = await zip.file('word/document.xml').async('string');
+  assert.ok(xml.includes('大阪地方裁判所第24民事部 御中（FAX 06-6316-2804）'));
+  assert.ok(xml.includes('原告第1準備書面'));
+  assert.match(xml, /令和\d+年\d+月\d+日/);
+  assert.ok(!xml.includes('{{'));
+
+  await deleteSofushoTemplate(added.id);
+  assert.equal(getDefaultSofushoTemplateId(), BUILTIN_TEMPLATE_ID);
+  await assert.rejects(generateDocumentBrowser(INFO, 'x', null, { templateId: added.id }), /見つかりません/);
+});
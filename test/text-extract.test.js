@@ -0,0 +1,211 @@
+/**
+ * 画像PDFのOCR（ページの読む順・打ち切り・中止・向きの判定）、OCRワーカープールと受領書のOCR結果のキャッシュ
+ *
+ * OCR は Tesseract の代わりに、ページ幅から決めた文字列を返す偽物で置き換える。
+ *
+ *   node --test test/text-extract.test.js
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as PDFLib from 'pdf-lib';
+import { setupNodeRuntime } from '../cli/node-runtime.js';
+import {
+  configureRuntime, extractTextWithOCRBrowser, recognizeImage, terminateOcrPool,
+  findReceiptPage, clearOcrCache, runOcrBrowser, recognizeOriented,
+  rotateImagePoint, unrotateImagePoint, layoutToPagePoint, layoutSize,
+} from '../src/index.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// ページごとに幅を変え、描画した canvas の幅からどのページかを見分ける
+const pageWidth = pageNum => 100 + pageNum * 10;
+const scale = 400 / 72;
+
+async function blankPdf(pages) {
+  const doc = await PDFLib.PDFDocument.create();
+  for (let i = 1; i <= pages; i++) doc.addPage([pageWidth(i), 200]);
+  return doc.save();
+}
+
+function fakeTesseract(texts, onRecognize) {
+  const workers = { created: 0, terminated: 0 };
+  const Tesseract = {
+    createWorker: async () => {
+      workers.created++;
+      return {
+        recognize: async (width) => {
+          const pageNum = Math.round((width / scale - 100) / 10);
+          await (onRecognize && onRecognize(pageNum));
+          return { data: { text: texts[pageNum] || '', confidence: 90 } };
+        },
+        terminate: async () => { workers.terminated++; },
+      };
+    },
+  };
+  return { Tesseract, workers };
+}
+
+beforeEach(() => {
+  setupNodeRuntime({ assetDir: path.join(ROOT, 'docs') });
+  configureRuntime({ toOcrImage: canvas => canvas.width, ocrConcurrency: 2 });
+});
+
+afterEach(() => terminateOcrPool());
+
+test('extractTextWithOCRBrowser: 1・末尾ページの後、裁判所と事件番号がそろうまで残りを先頭から読む', async () => {
+  const read = [];
+  const { Tesseract, workers } = fakeTesseract({
+    1: '被告第1準備書面',
+    2: '大阪地方裁判所第24民事部 御中',
+    3: '令和7年(ワ)第1234号 損害賠償請求事件',
+  }, pageNum => read.push(pageNum));
+  configureRuntime({ Tesseract });
+  const messages = [];
+  const text = await extractTextWithOCRBrowser(await blankPdf(6), msg => messages.push(msg));
+  assert.deepEqual(read, [1, 6, 2, 3]);
+  assert.ok(text.includes('令和7年(ワ)第1234号'));
+  assert.ok(messages.includes('ページ 3/6 をOCR中...（4ページ目）'));
+  assert.equal(workers.created, 1, '1ページずつ読むのでワーカーは1つを使い回す');
+});
+
+test('extractTextWithOCRBrowser: 中止すると残りのページを読まずに AbortError を投げる', async () => {
+  const read = [];
+  const controller = new AbortController();
+  const { Tesseract, workers } = fakeTesseract({}, pageNum => {
+    read.push(pageNum);
+    if (pageNum === 4) controller.abort();
+  });
+  configureRuntime({ Tesseract });
+  await assert.rejects(extractTextWithOCRBrowser(await blankPdf(4), null, { signal: controller.signal }),
+    err => err.name === 'AbortError');
+  assert.deepEqual(read, [1, 4]);
+  assert.equal(workers.terminated, 1, '認識中のワーカーは終了する');
+});
+
+test('recognizeImage: 同時の依頼はプールの上限までワーカーを増やして並行し、呼び出しをまたいで使い回す', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const { Tesseract, workers } = fakeTesseract({}, async () => {
+    maxRunning = Math.max(maxRunning, ++running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+  });
+  configureRuntime({ Tesseract });
+  const image = pageWidth(1) * scale;
+  await Promise.all([1, 2, 3, 4, 5].map(() => recognizeImage(image)));
+  await recognizeImage(image);
+  assert.equal(maxRunning, 2);
+  assert.equal(workers.created, 2);
+  assert.equal(workers.terminated, 0);
+  await terminateOcrPool();
+  assert.equal(workers.terminated, 2);
+});
+
+test('findReceiptPage: 同じ内容の PDF は2回目から OCR せずに前の結果を返す', async () => {
+  await clearOcrCache();
+  const read = [];
+  const { Tesseract } = fakeTesseract({}, pageNum => read.push(pageNum));
+  configureRuntime({ Tesseract });
+  const bytes = await blankPdf(3);
+  const first = await findReceiptPage(bytes.slice().buffer, 3);
+  assert.deepEqual(read, [1, 3, 2]);
+
+  const messages = [];
+  const second = await findReceiptPage(bytes.slice().buffer, 3, msg => messages.push(msg));
+  assert.deepEqual(read, [1, 3, 2], 'OCR していない');
+  assert.deepEqual(second, first);
+  assert.deepEqual(messages, ['受領書ページ（1ページ目）のOCR結果を再利用しました']);
+
+  await clearOcrCache();
+  await findReceiptPage(bytes.slice().buffer, 3);
+  assert.equal(read.length, 6);
+});
+
+test('rotateImagePoint / layoutToPagePoint: 画像の回転と PDF 座標への戻しが同じ向きになる', () => {
+  // ページ 200x300pt を 2倍で描いた 400x600px の画像
+  for (const rotation of [0, 90, 180, 270]) {
+    const page = { x: 50, y: 80 }; // PDF 座標（左下原点）
+    const image = { x: page.x * 2, y: (300 - page.y) * 2 };
+    const rotated = rotateImagePoint(image.x, image.y, rotation, 400, 600);
+    const layoutImg = layoutSize(400, 600, rotation);
+    assert.deepEqual(unrotateImagePoint(rotated.x, rotated.y, rotation, layoutImg.width, layoutImg.height), image);
+    const layoutPage = layoutSize(200, 300, rotation);
+    const back = layoutToPagePoint(rotated.x / 2, layoutPage.height - rotated.y / 2, rotation, 200, 300);
+    assert.deepEqual(back, page, `${rotation}度`);
+  }
+});
+
+// 回した画像の幅（= toOcrImage の値）で向きを見分け、正しい向きのときだけ確信度を高くする。
+// 違う向きで読んだときは expect.miss（既定は確信度20・行なし）を返す
+function orientedTesseract(expect) {
+  const tried = [];
+  const Tesseract = {
+    createWorker: async (lang) => ({
+      recognize: async (width) => {
+        tried.push(`${lang}:${width}`);
+        const ok = lang === expect.lang && width === expect.width;
+        const miss = Object.assign({ text: '', confidence: 20, words: [] }, expect.miss);
+        return { data: ok ? { text: '受領書', confidence: 88, words: expect.words || [] } : miss };
+      },
+      terminate: async () => {},
+    }),
+  };
+  return { Tesseract, tried };
+}
+
+// 横書きモデルで縦長に読めた行（縦書き・横向きのスキャン）
+const TALL_LINES = [{ text: '受領書', bbox: { x0: 0, y0: 0, x1: 20, y1: 200 } }];
+
+function rotatableCanvas() {
+  configureRuntime({ createCanvas: (w, h) => ({ width: w, height: h, getContext: () => ({ translate() {}, rotate() {}, drawImage() {} }) }) });
+  return { width: 300, height: 500 };
+}
+
+test('recognizeOriented: 縦長の行ばかりなら縦書き・90・270度の順に読み直し、読めた向きを返す', async () => {
+  const canvas = rotatableCanvas();
+  const { Tesseract, tried } = orientedTesseract({ lang: 'jpn', width: 500, miss: { lines: TALL_LINES } });
+  configureRuntime({ Tesseract });
+  const result = await recognizeOriented(canvas);
+  assert.deepEqual(tried, ['jpn:300', 'jpn_vert:300', 'jpn:500']);
+  assert.deepEqual(result.orientation, { rotation: 90, vertical: false });
+  assert.equal(result.width, 500);
+  assert.equal(result.height, 300);
+});
+
+test('recognizeOriented: 向きが違う手がかりが無ければ、確信度が低くても読み直さない', async () => {
+  const canvas = rotatableCanvas();
+  // かすれたFAX: 横長の行がそこそこ読めている
+  const wide = [{ text: '受領書', bbox: { x0: 0, y0: 0, x1: 200, y1: 20 } }];
+  let { Tesseract, tried } = orientedTesseract({ lang: 'none', miss: { confidence: 45, lines: wide } });
+  configureRuntime({ Tesseract });
+  let result = await recognizeOriented(canvas);
+  assert.deepEqual(tried, ['jpn:300']);
+  assert.deepEqual(result.orientation, { rotation: 0, vertical: false });
+
+  // ほとんど読めない横長の行は逆さまとみて、180度だけ読み直す（縦書きモデルには切り替えない）
+  await terminateOcrPool();
+  ({ Tesseract, tried } = orientedTesseract({ lang: 'none', miss: { confidence: 10, lines: wide } }));
+  configureRuntime({ Tesseract });
+  result = await recognizeOriented(canvas);
+  assert.deepEqual(tried, ['jpn:300', 'jpn:300']);
+  assert.deepEqual(result.orientation, { rotation: 0, vertical: false });
+});
+
+test('runOcrBrowser: 縦書きのページは右の列から読む向き（反時計回りに倒した座標）で語を返す', async () => {
+  const pdf = await blankPdf(1);
+  const w = Math.floor(pageWidth(1) * scale);
+  const h = Math.floor(200 * scale);
+  // 右上の列の先頭の語
+  const words = [{ text: '受領書', bbox: { x0: w - 40, y0: 10, x1: w - 10, y1: 100 } }];
+  const { Tesseract } = orientedTesseract({ lang: 'jpn_vert', width: w, words, miss: { lines: TALL_LINES } });
+  configureRuntime({ Tesseract });
+  const ocr = await runOcrBrowser(pdf.slice().buffer, 1);
+  assert.deepEqual(ocr.orientation, { rotation: 0, vertical: true });
+  assert.equal(ocr.imgWidth, h);
+  assert.equal(ocr.imgHeight, w);
+  // 列の上端が行の左端、右端の列が一番上の行になる
+  assert.deepEqual(ocr.words[0], { x1: 10, y1: 10, x2: 100, y2: 40, text: '受領書' });
+});
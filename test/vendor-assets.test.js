@@ -0,0 +1,51 @@
+/**
+ * 同梱ライブラリ（起動時の確認）
+ *
+ *   node --test test/vendor-assets.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, access } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { configureRuntime, VENDOR_ASSETS, checkVendorAssets } from '../src/index.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const GLOBALS = { pdfjsLib: {}, Tesseract: {}, PDFLib: {}, fontkit: {}, JSZip: {} };
+
+test('checkVendorAssets: 読み込まれていないスクリプトと取得できないファイルを一覧の順に返す', async () => {
+  const fetched = [];
+  configureRuntime({
+    fetch: async url => {
+      fetched.push(url);
+      if (url === 'vendor/tessdata/jpn_vert.traineddata.gz') return { ok: false, status: 404 };
+      if (url === 'vendor/tesseract/worker.min.js') throw new Error('Failed to fetch');
+      return { ok: true, status: 200 };
+    },
+  });
+  const missing = await checkVendorAssets(Object.assign({}, GLOBALS, { JSZip: undefined }));
+  assert.deepEqual(missing.map(m => [m.path, m.reason]), [
+    ['vendor/tesseract/worker.min.js', 'Failed to fetch'],
+    ['vendor/tessdata/jpn_vert.traineddata.gz', 'HTTP 404'],
+    ['vendor/jszip/jszip.min.js', '読み込まれていません'],
+  ]);
+  // スクリプトは取得しない。フォルダは代表のファイルだけ確かめる
+  assert.equal(fetched.length, VENDOR_ASSETS.filter(a => !a.global).length);
+  assert.ok(fetched.includes('vendor/pdfjs/cmaps/UniJIS-UCS2-H.bcmap'));
+
+  configureRuntime({ fetch: async () => ({ ok: true, status: 200 }) });
+  assert.deepEqual(await checkVendorAssets(GLOBALS), []);
+});
+
+test('配布フォルダ: vendor/ に一覧のファイルがそろってコミットされ、files.json に載っている', async () => {
+  for (const dir of ['docs', 'HTML版', 'アプリ版/app']) {
+    const files = JSON.parse(await readFile(path.join(ROOT, dir, 'vendor/files.json'), 'utf8'));
+    for (const asset of VENDOR_ASSETS) {
+      const rel = asset.dir ? asset.path + asset.probe : asset.path;
+      assert.ok(files.includes(rel), `${dir}/vendor/files.json に ${rel} がありません`);
+    }
+    await Promise.all(files.map(rel => access(path.join(ROOT, dir, rel))));
+  }
+});
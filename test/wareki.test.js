@@ -0,0 +1,77 @@
+/**
+ * 和暦（改元の日の境目・元年・全角・漢数字）と、事件番号・送付書・受領書の日付がそれを通ること
+ *
+ *   node --test test/wareki.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toWareki, fromWareki, parseDate, formatWareki, formatSeireki, normalizeWarekiDate, parseJapaneseNumber,
+  formatJapaneseNumber, normalizeCaseNumber, extractInfoFromText, resolveSendDate, formatReceiptDate,
+} from '../src/index.js';
+
+test('toWareki / fromWareki: 改元の日で元号が変わる', () => {
+  assert.deepEqual(toWareki({ year: 2019, month: 4, day: 30 }), { era: '平成', year: 31, month: 4, day: 30 });
+  assert.deepEqual(toWareki({ year: 2019, month: 5, day: 1 }), { era: '令和', year: 1, month: 5, day: 1 });
+  assert.equal(toWareki({ year: 1989, month: 1, day: 7 }).era, '昭和');
+  assert.equal(toWareki({ year: 1989, month: 1, day: 8 }).era, '平成');
+  assert.equal(toWareki({ year: 1926, month: 12, day: 25 }).era, '昭和');
+  assert.equal(toWareki({ year: 1912, month: 7, day: 30 }).era, '大正');
+  assert.equal(toWareki({ year: 1868, month: 10, day: 22 }), null);
+
+  assert.deepEqual(fromWareki('昭和', 64, 1, 7), { year: 1989, month: 1, day: 7 });
+  assert.throws(() => fromWareki('昭和', 64, 1, 8), /昭和64年1月7日まで/);
+  assert.throws(() => fromWareki('令和', 1, 4, 30), /令和は令和元年5月1日から/);
+  assert.throws(() => fromWareki('平成', 31, 5, 1), /平成31年4月30日まで/);
+});
+
+test('parseDate / formatWareki: 元年・全角・漢数字・略号・西暦を読み、書き分ける', () => {
+  const may1 = { year: 2019, month: 5, day: 1, era: '令和', eraYear: 1 };
+  assert.deepEqual(parseDate('令和元年5月1日'), may1);
+  assert.deepEqual(parseDate('令和１年５月１日'), may1);
+  assert.deepEqual(parseDate('令和元年五月一日'), may1);
+  assert.deepEqual(parseDate('R1.5.1'), may1);
+  assert.deepEqual(parseDate('2019/5/1'), may1);
+  assert.equal(parseDate('令和七年三月二十六日').day, 26);
+  assert.equal(parseDate('令和七年三月二六日').day, 26);
+  assert.equal(parseDate('令和7年3月').day, undefined);
+  assert.equal(parseDate('原本'), null);
+  assert.throws(() => parseDate('令和8年2月30日'), /2月30日/);
+  assert.throws(() => parseDate('平成32年1月1日'), /平成31年4月30日まで/);
+
+  assert.deepEqual([parseJapaneseNumber('二十六'), parseJapaneseNumber('二〇二五'), formatJapaneseNumber(26, 'kanji')],
+    [26, 2025, '二十六']);
+  const date = { year: 2025, month: 3, day: 26 };
+  assert.equal(formatWareki(date), '令和7年3月26日');
+  assert.equal(formatWareki(date, { digits: 'full' }), '令和７年３月２６日');
+  assert.equal(formatWareki(date, { digits: 'kanji' }), '令和七年三月二十六日');
+  assert.equal(formatWareki(date, { abbr: true }), 'R7.3.26');
+  assert.equal(formatWareki(date, { precision: 'month' }), '令和7年3月');
+  assert.equal(formatWareki({ year: 2019, month: 5, day: 1 }), '令和元年5月1日');
+  assert.equal(formatWareki({ year: 2019, month: 5, day: 1 }, { gannen: false }), '令和1年5月1日');
+  assert.equal(formatSeireki(date, { digits: 'kanji' }), '二〇二五年三月二十六日');
+  assert.equal(normalizeWarekiDate('R7.3.6'), '令和7年3月6日');
+  assert.equal(normalizeWarekiDate('不明'), '不明');
+});
+
+test('事件番号の年: 元年・漢数字・平成・昭和をそろえ、抽出でも令和以外の元号を読む', () => {
+  assert.equal(normalizeCaseNumber('令和元年（ワ）第 ０１２号'), '令和1年(ワ)第12号');
+  assert.equal(normalizeCaseNumber('平成三十年(ネ)第五号'), '平成30年(ネ)第5号');
+  assert.equal(normalizeCaseNumber('昭和63年(ワ)第100号'), '昭和63年(ワ)第100号');
+
+  assert.equal(extractInfoFromText('事件番号 平成31年(ワ)第123号\n').caseNumber, '平成31年(ワ)第123号');
+  assert.equal(extractInfoFromText('事件番号 令和元年（ワ）第45号\n').caseNumber, '令和元年(ワ)第45号');
+  // 事件の表示に年が無ければ、本文中の最も古い年（元号をまたいでも西暦で比べる）
+  const info = extractInfoFromText('【事件の表示】 第77号\n平成31年4月1日付け申立て\n令和2年5月1日\n');
+  assert.equal(info.caseNumber, '平成31年(ワ)第77号');
+});
+
+test('resolveSendDate / formatReceiptDate: 送付日・受領日は和暦の書式にそろえ、空欄なら今日', () => {
+  assert.deepEqual(resolveSendDate({ sendDate: 'R7.3.6' }), { year: 2025, month: 3, day: 6 });
+  const now = new Date();
+  assert.deepEqual(resolveSendDate({}), { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+  assert.equal(formatReceiptDate('2025/3/6'), '令和7年3月6日');
+  assert.equal(formatReceiptDate('令和７年３月６日'), '令和7年3月6日');
+  assert.equal(formatReceiptDate(''), formatWareki(now));
+});
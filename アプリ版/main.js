@@ -3,9 +3,11 @@
  *
  * ブラウザ版と同じWeb資産（app/フォルダ）をElectronウィンドウで表示。
  * ファイルはすべてローカルから読み込まれるため、完全オフラインで動作。
+ * 事務所共通の設定ファイル（共有フォルダの config.json）があれば、起動時にレンダラへ渡す。
  */
 
-const { app, BrowserWindow, Menu, shell, dialog } = require('electron');
+const { app, BrowserWindow, Menu, shell, dialog, ipcMain } = require('electron');
+const fs = require('fs');
 const path = require('path');
 
 // セキュリティ: 開発ツールは本番では無効化
@@ -58,6 +60,53 @@ function createWindow() {
   });
 }
 
+// ===== 事務所共通の設定ファイル =====
+// 場所は環境変数 TSUKURUKUN_OFFICE_CONFIG、無ければ設定画面で選んだ場所（ユーザーデータの office-config.json に覚える）
+const OFFICE_CONFIG_ENV = 'TSUKURUKUN_OFFICE_CONFIG';
+
+function officeConfigPrefsPath() {
+  return path.join(app.getPath('userData'), 'office-config.json');
+}
+
+function getOfficeConfigPath() {
+  if (process.env[OFFICE_CONFIG_ENV]) return process.env[OFFICE_CONFIG_ENV];
+  try {
+    return JSON.parse(fs.readFileSync(officeConfigPrefsPath(), 'utf8')).path || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// { path, text } / 読めなければ { path, error } / 設定していなければ null
+function readOfficeConfig() {
+  const filePath = getOfficeConfigPath();
+  if (!filePath) return null;
+  try {
+    return { path: filePath, text: fs.readFileSync(filePath, 'utf8'), fromEnv: !!process.env[OFFICE_CONFIG_ENV] };
+  } catch (e) {
+    return { path: filePath, error: e.message, fromEnv: !!process.env[OFFICE_CONFIG_ENV] };
+  }
+}
+
+function setupOfficeConfig() {
+  ipcMain.handle('office-config:read', () => readOfficeConfig());
+  ipcMain.handle('office-config:choose', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: '事務所共通の設定ファイル',
+      properties: ['openFile'],
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    });
+    if (!result.canceled && result.filePaths.length > 0) {
+      fs.writeFileSync(officeConfigPrefsPath(), JSON.stringify({ path: result.filePaths[0] }));
+    }
+    return readOfficeConfig();
+  });
+  ipcMain.handle('office-config:clear', () => {
+    fs.rmSync(officeConfigPrefsPath(), { force: true });
+    return readOfficeConfig();
+  });
+}
+
 // ===== メニューバー =====
 function createMenu() {
   const template = [
@@ -132,6 +181,7 @@ function createMenu() {
 
 // ===== アプリ起動 =====
 app.whenReady().then(() => {
+  setupOfficeConfig();
   createMenu();
   createWindow();
 
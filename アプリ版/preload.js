@@ -13,6 +13,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onOpenFiles: (callback) => {
     ipcRenderer.on('open-files', (event, filePaths) => callback(filePaths));
   },
+  // 事務所共通の設定ファイル（{ path, text } / { path, error } / null）
+  readOfficeConfig: () => ipcRenderer.invoke('office-config:read'),
+  chooseOfficeConfig: () => ipcRenderer.invoke('office-config:choose'),
+  clearOfficeConfig: () => ipcRenderer.invoke('office-config:clear'),
   // アプリ情報
   isElectron: true,
   platform: process.platform,